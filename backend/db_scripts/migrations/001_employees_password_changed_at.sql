@@ -0,0 +1,3 @@
+-- Tracks when an employee last changed their password.
+-- Tokens issued before this moment are rejected by authenticateToken.
+ALTER TABLE public.employees ADD COLUMN IF NOT EXISTS password_changed_at timestamptz NULL;
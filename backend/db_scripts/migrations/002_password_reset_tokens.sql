@@ -0,0 +1,13 @@
+-- Single-use, expiring password reset tokens (only the SHA-256 hash is stored).
+CREATE TABLE IF NOT EXISTS public.password_reset_tokens (
+	token_id int4 GENERATED ALWAYS AS IDENTITY NOT NULL,
+	employee_id int4 NOT NULL REFERENCES public.employees(employee_id) ON DELETE CASCADE,
+	token_hash varchar(64) NOT NULL,
+	expires_at timestamptz NOT NULL,
+	used_at timestamptz NULL,
+	requested_ip varchar(64) NULL,
+	created_at timestamptz DEFAULT now() NOT NULL,
+	CONSTRAINT password_reset_tokens_pkey PRIMARY KEY (token_id),
+	CONSTRAINT password_reset_tokens_token_hash_key UNIQUE (token_hash)
+);
+CREATE INDEX IF NOT EXISTS idx_prt_employee_id ON public.password_reset_tokens USING btree (employee_id);
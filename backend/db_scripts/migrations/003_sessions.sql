@@ -0,0 +1,16 @@
+-- Server-side session registry: one row per login, holding the hashed rotating refresh token.
+-- Access tokens carry the session_id (sid) and are rejected once the session is revoked.
+CREATE TABLE IF NOT EXISTS public.sessions (
+	session_id int4 GENERATED ALWAYS AS IDENTITY NOT NULL,
+	employee_id int4 NOT NULL REFERENCES public.employees(employee_id) ON DELETE CASCADE,
+	refresh_token_hash varchar(64) NOT NULL,
+	user_agent varchar(512) NULL,
+	ip_address varchar(64) NULL,
+	created_at timestamptz DEFAULT now() NOT NULL,
+	last_used_at timestamptz DEFAULT now() NOT NULL,
+	expires_at timestamptz NOT NULL,
+	revoked_at timestamptz NULL,
+	CONSTRAINT sessions_pkey PRIMARY KEY (session_id),
+	CONSTRAINT sessions_refresh_token_hash_key UNIQUE (refresh_token_hash)
+);
+CREATE INDEX IF NOT EXISTS idx_sessions_employee_id ON public.sessions USING btree (employee_id);
@@ -0,0 +1,4 @@
+-- Failed-login counter and temporary lockout for /api/login.
+ALTER TABLE public.employees ADD COLUMN IF NOT EXISTS failed_login_attempts int4 DEFAULT 0 NOT NULL;
+ALTER TABLE public.employees ADD COLUMN IF NOT EXISTS last_failed_login_at timestamptz NULL;
+ALTER TABLE public.employees ADD COLUMN IF NOT EXISTS locked_until timestamptz NULL;
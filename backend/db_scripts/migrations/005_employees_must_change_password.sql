@@ -0,0 +1,2 @@
+-- Forces a password change on next login for accounts whose password an admin set.
+ALTER TABLE public.employees ADD COLUMN IF NOT EXISTS must_change_password bool DEFAULT false NOT NULL;
@@ -0,0 +1,20 @@
+-- Audit trail of create/update/delete on teams, employees, projects and daily entries.
+-- actor_employee_id has no FK so entries outlive deleted employees.
+CREATE TABLE IF NOT EXISTS public.audit_log (
+	audit_id int8 GENERATED ALWAYS AS IDENTITY NOT NULL,
+	occurred_at timestamptz DEFAULT now() NOT NULL,
+	actor_employee_id int4 NULL,
+	actor_email varchar(320) NULL,
+	entity_type varchar(50) NOT NULL,
+	entity_id varchar(100) NULL,
+	"action" varchar(20) NOT NULL,
+	before_data jsonb NULL,
+	after_data jsonb NULL,
+	metadata jsonb NULL,
+	ip_address varchar(64) NULL,
+	CONSTRAINT audit_log_pkey PRIMARY KEY (audit_id),
+	CONSTRAINT audit_log_action_check CHECK (action IN ('create', 'update', 'delete', 'import'))
+);
+CREATE INDEX IF NOT EXISTS idx_audit_log_occurred_at ON public.audit_log USING btree (occurred_at);
+CREATE INDEX IF NOT EXISTS idx_audit_log_entity ON public.audit_log USING btree (entity_type, entity_id);
+CREATE INDEX IF NOT EXISTS idx_audit_log_actor ON public.audit_log USING btree (actor_employee_id);
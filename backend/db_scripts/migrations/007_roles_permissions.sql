@@ -0,0 +1,62 @@
+-- Roles and permissions replace the fixed employees_role_check.
+-- employees.role now references roles.role_key; the three original roles are seeded as system roles.
+CREATE TABLE IF NOT EXISTS public.roles (
+	role_key varchar(50) NOT NULL,
+	role_name varchar(100) NOT NULL,
+	description varchar(255) NULL,
+	is_system bool DEFAULT false NOT NULL,
+	created_at timestamptz DEFAULT now() NOT NULL,
+	CONSTRAINT roles_pkey PRIMARY KEY (role_key),
+	CONSTRAINT roles_role_key_check CHECK (((role_key)::text ~ '^[a-z][a-z0-9_]*$'::text))
+);
+
+CREATE TABLE IF NOT EXISTS public.permissions (
+	permission_key varchar(100) NOT NULL,
+	description varchar(255) NULL,
+	CONSTRAINT permissions_pkey PRIMARY KEY (permission_key)
+);
+
+CREATE TABLE IF NOT EXISTS public.role_permissions (
+	role_key varchar(50) NOT NULL REFERENCES public.roles(role_key) ON DELETE CASCADE ON UPDATE CASCADE,
+	permission_key varchar(100) NOT NULL REFERENCES public.permissions(permission_key) ON DELETE CASCADE,
+	CONSTRAINT role_permissions_pkey PRIMARY KEY (role_key, permission_key)
+);
+
+INSERT INTO public.permissions (permission_key, description) VALUES
+	('entries.view_team', 'View daily entries of their own team'),
+	('entries.view_all', 'View daily entries of every employee'),
+	('entries.edit_others', 'Create, edit and delete entries of employees they can view'),
+	('reports.view', 'Open team reports'),
+	('reports.export', 'Export reports to Excel'),
+	('projects.edit', 'Create, edit, delete and import projects'),
+	('teams.manage', 'Create, rename and delete teams'),
+	('employees.view', 'List all employees'),
+	('employees.manage', 'Register, edit, delete, import and unlock employees'),
+	('roles.manage', 'Create roles and assign permissions'),
+	('audit.view', 'View and export the audit log'),
+	('system.admin', 'Settings, snapshots, factory reset and the database inspector')
+ON CONFLICT (permission_key) DO UPDATE SET description = EXCLUDED.description;
+
+INSERT INTO public.roles (role_key, role_name, description, is_system) VALUES
+	('admin', 'Admin', 'Full access', true),
+	('team_lead', 'Team Lead', 'Manages the entries of their own team', true),
+	('employee', 'Employee', 'Records their own entries', true)
+ON CONFLICT (role_key) DO NOTHING;
+
+INSERT INTO public.role_permissions (role_key, permission_key)
+SELECT 'admin', permission_key FROM public.permissions
+ON CONFLICT DO NOTHING;
+
+INSERT INTO public.role_permissions (role_key, permission_key) VALUES
+	('team_lead', 'entries.view_team'),
+	('team_lead', 'entries.edit_others'),
+	('team_lead', 'reports.view'),
+	('team_lead', 'reports.export'),
+	('team_lead', 'projects.edit'),
+	('team_lead', 'employees.view')
+ON CONFLICT DO NOTHING;
+
+ALTER TABLE public.employees DROP CONSTRAINT IF EXISTS employees_role_check;
+ALTER TABLE public.employees ALTER COLUMN "role" TYPE varchar(50);
+ALTER TABLE public.employees DROP CONSTRAINT IF EXISTS employees_role_fkey;
+ALTER TABLE public.employees ADD CONSTRAINT employees_role_fkey FOREIGN KEY ("role") REFERENCES public.roles(role_key) ON UPDATE CASCADE;
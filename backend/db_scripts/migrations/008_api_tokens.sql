@@ -0,0 +1,19 @@
+-- Personal access tokens for scripts: named, scoped (read / write), expiring and revocable.
+-- Only the SHA-256 hash is stored; token_prefix is kept so users can tell tokens apart.
+CREATE TABLE IF NOT EXISTS public.api_tokens (
+	token_id int4 GENERATED ALWAYS AS IDENTITY NOT NULL,
+	employee_id int4 NOT NULL REFERENCES public.employees(employee_id) ON DELETE CASCADE,
+	"name" varchar(100) NOT NULL,
+	token_prefix varchar(16) NOT NULL,
+	token_hash varchar(64) NOT NULL,
+	scopes varchar(20)[] DEFAULT '{read}'::varchar[] NOT NULL,
+	created_at timestamptz DEFAULT now() NOT NULL,
+	expires_at timestamptz NOT NULL,
+	last_used_at timestamptz NULL,
+	last_used_ip varchar(64) NULL,
+	revoked_at timestamptz NULL,
+	CONSTRAINT api_tokens_pkey PRIMARY KEY (token_id),
+	CONSTRAINT api_tokens_token_hash_key UNIQUE (token_hash),
+	CONSTRAINT api_tokens_scopes_check CHECK (scopes <@ ARRAY['read', 'write']::varchar[])
+);
+CREATE INDEX IF NOT EXISTS idx_api_tokens_employee_id ON public.api_tokens USING btree (employee_id);
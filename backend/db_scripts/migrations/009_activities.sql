@@ -0,0 +1,60 @@
+-- Activity catalog replaces the activity lists hard-coded in the entry form, the scrum export
+-- and the team utilization summary. daily_entry_utilization.activity now holds activity_code.
+CREATE TABLE IF NOT EXISTS public.activities (
+	activity_code varchar(20) NOT NULL,
+	"label" varchar(100) NOT NULL,
+	category varchar(20) DEFAULT 'work'::character varying NOT NULL,
+	is_billable bool DEFAULT false NOT NULL,
+	is_active bool DEFAULT true NOT NULL,
+	sort_order int4 DEFAULT 0 NOT NULL,
+	created_at timestamptz DEFAULT now() NOT NULL,
+	CONSTRAINT activities_pkey PRIMARY KEY (activity_code),
+	CONSTRAINT activities_label_key UNIQUE ("label"),
+	CONSTRAINT activities_activity_code_check CHECK (((activity_code)::text ~ '^[A-Z][A-Z0-9_]*$'::text)),
+	CONSTRAINT activities_category_check CHECK (((category)::text = ANY ((ARRAY['work'::character varying, 'training'::character varying, 'overhead'::character varying, 'leave'::character varying])::text[])))
+);
+
+-- The former summary column codes are kept so existing spreadsheets still line up
+INSERT INTO public.activities (activity_code, "label", category, is_billable, sort_order) VALUES
+	('L', 'Leave', 'leave', false, 10),
+	('NA', 'Misc', 'overhead', false, 20),
+	('O', 'Meeting', 'overhead', false, 30),
+	('M', 'Method development', 'work', true, 40),
+	('C', 'Correlation', 'work', true, 50),
+	('PR', 'Projects', 'work', true, 60),
+	('S', 'Supervision', 'work', true, 70),
+	('T1', 'Trainer', 'training', false, 80),
+	('CP', 'CPM', 'work', true, 90),
+	('A', 'Application', 'work', true, 100),
+	('T2', 'Trainee', 'training', false, 110),
+	('SW', 'Software', 'work', true, 120)
+ON CONFLICT (activity_code) DO NOTHING;
+
+-- Free-text activities entered before the catalog existed become inactive entries (X1, X2, ...)
+INSERT INTO public.activities (activity_code, "label", category, is_active, sort_order)
+SELECT 'X' || row_number() OVER (ORDER BY legacy.activity), legacy.activity, 'work', false, 1000
+  FROM (
+	SELECT DISTINCT ON (lower(trim(du.activity))) trim(du.activity) AS activity
+	  FROM public.daily_entry_utilization du
+	 WHERE NOT EXISTS (SELECT 1 FROM public.activities a WHERE a.activity_code = du.activity)
+	   AND NOT EXISTS (SELECT 1 FROM public.activities a WHERE lower(a."label") = lower(trim(du.activity)))
+	 ORDER BY lower(trim(du.activity)), du.activity
+  ) legacy
+ON CONFLICT DO NOTHING;
+
+UPDATE public.daily_entry_utilization du
+   SET activity = a.activity_code
+  FROM public.activities a
+ WHERE lower(a."label") = lower(trim(du.activity))
+   AND du.activity <> a.activity_code;
+
+ALTER TABLE public.daily_entry_utilization DROP CONSTRAINT IF EXISTS daily_entry_utilization_activity_fkey;
+ALTER TABLE public.daily_entry_utilization ADD CONSTRAINT daily_entry_utilization_activity_fkey FOREIGN KEY (activity) REFERENCES public.activities(activity_code) ON UPDATE CASCADE;
+
+INSERT INTO public.permissions (permission_key, description) VALUES
+	('activities.manage', 'Maintain the activity catalog')
+ON CONFLICT (permission_key) DO UPDATE SET description = EXCLUDED.description;
+
+INSERT INTO public.role_permissions (role_key, permission_key) VALUES
+	('admin', 'activities.manage')
+ON CONFLICT DO NOTHING;
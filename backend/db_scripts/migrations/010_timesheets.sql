@@ -0,0 +1,29 @@
+-- Weekly timesheets: an employee submits a Monday-to-Sunday week, a reviewer approves or rejects it.
+-- Weeks without a row are drafts. Entries of an approved week can no longer be changed.
+CREATE TABLE IF NOT EXISTS public.timesheets (
+	timesheet_id int4 GENERATED ALWAYS AS IDENTITY NOT NULL,
+	employee_id int4 NOT NULL REFERENCES public.employees(employee_id) ON DELETE CASCADE,
+	week_start date NOT NULL,
+	status varchar(20) DEFAULT 'draft'::character varying NOT NULL,
+	submitted_at timestamptz NULL,
+	submitted_by int4 NULL,
+	reviewed_at timestamptz NULL,
+	reviewed_by int4 NULL,
+	review_comment text NULL,
+	created_at timestamptz DEFAULT now() NOT NULL,
+	updated_at timestamptz DEFAULT now() NOT NULL,
+	CONSTRAINT timesheets_pkey PRIMARY KEY (timesheet_id),
+	CONSTRAINT timesheets_employee_week_key UNIQUE (employee_id, week_start),
+	CONSTRAINT timesheets_week_start_monday_check CHECK ((EXTRACT(isodow FROM week_start) = (1)::numeric)),
+	CONSTRAINT timesheets_status_check CHECK (((status)::text = ANY ((ARRAY['draft'::character varying, 'submitted'::character varying, 'approved'::character varying, 'rejected'::character varying])::text[])))
+);
+CREATE INDEX IF NOT EXISTS idx_timesheets_status_week ON public.timesheets USING btree (status, week_start);
+
+INSERT INTO public.permissions (permission_key, description) VALUES
+	('timesheets.approve', 'Approve or reject submitted timesheets of employees they can view')
+ON CONFLICT (permission_key) DO UPDATE SET description = EXCLUDED.description;
+
+INSERT INTO public.role_permissions (role_key, permission_key) VALUES
+	('admin', 'timesheets.approve'),
+	('team_lead', 'timesheets.approve')
+ON CONFLICT DO NOTHING;
@@ -0,0 +1,26 @@
+-- Period close: a date range frozen for one team (team_id) or the whole organisation (team_id NULL).
+-- Reopening keeps the row for the record; only rows with reopened_at NULL lock entries.
+CREATE TABLE IF NOT EXISTS public.closed_periods (
+	period_id int4 GENERATED ALWAYS AS IDENTITY NOT NULL,
+	team_id int4 NULL REFERENCES public.teams(team_id) ON DELETE CASCADE,
+	start_date date NOT NULL,
+	end_date date NOT NULL,
+	note varchar(500) NULL,
+	closed_at timestamptz DEFAULT now() NOT NULL,
+	closed_by int4 NULL,
+	reopened_at timestamptz NULL,
+	reopened_by int4 NULL,
+	reopen_reason text NULL,
+	CONSTRAINT closed_periods_pkey PRIMARY KEY (period_id),
+	CONSTRAINT closed_periods_range_check CHECK ((end_date >= start_date)),
+	CONSTRAINT closed_periods_reopen_check CHECK (((reopened_at IS NULL) OR (reopen_reason IS NOT NULL)))
+);
+CREATE INDEX IF NOT EXISTS idx_closed_periods_open_range ON public.closed_periods USING btree (start_date, end_date) WHERE (reopened_at IS NULL);
+
+INSERT INTO public.permissions (permission_key, description) VALUES
+	('periods.manage', 'Close and reopen accounting periods')
+ON CONFLICT (permission_key) DO UPDATE SET description = EXCLUDED.description;
+
+INSERT INTO public.role_permissions (role_key, permission_key) VALUES
+	('admin', 'periods.manage')
+ON CONFLICT DO NOTHING;
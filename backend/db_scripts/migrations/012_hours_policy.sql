@@ -0,0 +1,14 @@
+-- Daily hours policy: an optional cap per activity and day (e.g. Leave <= 8).
+-- Day-level limits (max / expected hours per day) are env settings, see utils/hoursPolicy.js.
+ALTER TABLE public.activities ADD COLUMN IF NOT EXISTS max_hours_per_day numeric(4, 2) NULL;
+
+DO $$
+BEGIN
+	IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'activities_max_hours_per_day_check') THEN
+		ALTER TABLE public.activities ADD CONSTRAINT activities_max_hours_per_day_check
+			CHECK (((max_hours_per_day > (0)::numeric) AND (max_hours_per_day <= (24)::numeric)));
+	END IF;
+END $$;
+
+UPDATE public.activities SET max_hours_per_day = 8
+ WHERE activity_code = 'L' AND max_hours_per_day IS NULL;
@@ -0,0 +1,23 @@
+-- Holiday calendar: non-working days for the whole organisation (team_id NULL) or one team.
+-- Missing-entry detection and the dashboard calendar skip them like weekends.
+CREATE TABLE IF NOT EXISTS public.holidays (
+	holiday_id int4 GENERATED ALWAYS AS IDENTITY NOT NULL,
+	holiday_date date NOT NULL,
+	"name" varchar(200) NOT NULL,
+	team_id int4 NULL REFERENCES public.teams(team_id) ON DELETE CASCADE,
+	"source" varchar(20) DEFAULT 'manual' NOT NULL,
+	created_at timestamptz DEFAULT now() NOT NULL,
+	created_by int4 NULL,
+	CONSTRAINT holidays_pkey PRIMARY KEY (holiday_id),
+	CONSTRAINT holidays_source_check CHECK ((("source")::text = ANY ((ARRAY['manual'::character varying, 'xlsx'::character varying, 'ics'::character varying])::text[])))
+);
+-- One holiday per day and scope; org-wide rows use team 0 in the key
+CREATE UNIQUE INDEX IF NOT EXISTS holidays_date_scope_key ON public.holidays USING btree (holiday_date, COALESCE(team_id, 0));
+
+INSERT INTO public.permissions (permission_key, description) VALUES
+	('holidays.manage', 'Maintain and import the holiday calendar')
+ON CONFLICT (permission_key) DO UPDATE SET description = EXCLUDED.description;
+
+INSERT INTO public.role_permissions (role_key, permission_key) VALUES
+	('admin', 'holidays.manage')
+ON CONFLICT DO NOTHING;
@@ -0,0 +1,68 @@
+-- Leave requests: an employee asks for a date range of one leave type, a reviewer with
+-- leave.approve approves or rejects it. Approval writes one 'L' (Leave) utilization row per
+-- working day, linked back through daily_entry_utilization.leave_request_id.
+CREATE TABLE IF NOT EXISTS public.leave_types (
+	leave_type varchar(20) NOT NULL,
+	"label" varchar(100) NOT NULL,
+	-- Days per calendar year; NULL = no allowance tracked (e.g. unpaid leave)
+	annual_allowance numeric(5, 1) NULL,
+	is_active bool DEFAULT true NOT NULL,
+	sort_order int4 DEFAULT 0 NOT NULL,
+	CONSTRAINT leave_types_pkey PRIMARY KEY (leave_type),
+	CONSTRAINT leave_types_label_key UNIQUE ("label"),
+	CONSTRAINT leave_types_leave_type_check CHECK (((leave_type)::text ~ '^[A-Z][A-Z0-9_]*$'::text))
+);
+
+INSERT INTO public.leave_types (leave_type, "label", annual_allowance, sort_order) VALUES
+	('ANNUAL', 'Annual leave', 18, 10),
+	('SICK', 'Sick leave', 12, 20),
+	('CASUAL', 'Casual leave', 6, 30),
+	('UNPAID', 'Unpaid leave', NULL, 40)
+ON CONFLICT (leave_type) DO NOTHING;
+
+CREATE TABLE IF NOT EXISTS public.leave_requests (
+	leave_request_id int4 GENERATED ALWAYS AS IDENTITY NOT NULL,
+	employee_id int4 NOT NULL REFERENCES public.employees(employee_id) ON DELETE CASCADE,
+	leave_type varchar(20) NOT NULL REFERENCES public.leave_types(leave_type) ON UPDATE CASCADE,
+	start_date date NOT NULL,
+	end_date date NOT NULL,
+	-- The leave starts at midday on start_date / ends at midday on end_date
+	start_half_day bool DEFAULT false NOT NULL,
+	end_half_day bool DEFAULT false NOT NULL,
+	-- Working days requested (weekends and holidays excluded), fixed when the request is made
+	days numeric(5, 1) NOT NULL,
+	reason text NULL,
+	status varchar(20) DEFAULT 'pending'::character varying NOT NULL,
+	requested_by int4 NULL,
+	reviewed_at timestamptz NULL,
+	reviewed_by int4 NULL,
+	review_comment text NULL,
+	created_at timestamptz DEFAULT now() NOT NULL,
+	updated_at timestamptz DEFAULT now() NOT NULL,
+	CONSTRAINT leave_requests_pkey PRIMARY KEY (leave_request_id),
+	CONSTRAINT leave_requests_range_check CHECK ((end_date >= start_date)),
+	CONSTRAINT leave_requests_single_half_day_check CHECK (((start_date < end_date) OR (NOT (start_half_day AND end_half_day)))),
+	CONSTRAINT leave_requests_days_check CHECK ((days > (0)::numeric)),
+	CONSTRAINT leave_requests_status_check CHECK (((status)::text = ANY ((ARRAY['pending'::character varying, 'approved'::character varying, 'rejected'::character varying, 'cancelled'::character varying])::text[])))
+);
+CREATE INDEX IF NOT EXISTS idx_leave_requests_employee_range ON public.leave_requests USING btree (employee_id, start_date, end_date);
+CREATE INDEX IF NOT EXISTS idx_leave_requests_status ON public.leave_requests USING btree (status, start_date);
+
+ALTER TABLE public.daily_entry_utilization ADD COLUMN IF NOT EXISTS leave_request_id int4 NULL;
+
+DO $$
+BEGIN
+	IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'daily_entry_utilization_leave_request_id_fkey') THEN
+		ALTER TABLE public.daily_entry_utilization ADD CONSTRAINT daily_entry_utilization_leave_request_id_fkey
+			FOREIGN KEY (leave_request_id) REFERENCES public.leave_requests(leave_request_id) ON DELETE SET NULL;
+	END IF;
+END $$;
+
+INSERT INTO public.permissions (permission_key, description) VALUES
+	('leave.approve', 'Approve or reject leave requests of employees they can view')
+ON CONFLICT (permission_key) DO UPDATE SET description = EXCLUDED.description;
+
+INSERT INTO public.role_permissions (role_key, permission_key) VALUES
+	('admin', 'leave.approve'),
+	('team_lead', 'leave.approve')
+ON CONFLICT DO NOTHING;
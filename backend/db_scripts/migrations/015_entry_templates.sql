@@ -0,0 +1,31 @@
+-- Daily entry templates: named sets of utilization rows (and optionally project hours) an
+-- employee applies to a day in one click, e.g. "Standard dev day".
+CREATE TABLE IF NOT EXISTS public.entry_templates (
+	template_id int4 GENERATED ALWAYS AS IDENTITY NOT NULL,
+	employee_id int4 NOT NULL REFERENCES public.employees(employee_id) ON DELETE CASCADE,
+	"name" varchar(100) NOT NULL,
+	created_at timestamptz DEFAULT now() NOT NULL,
+	updated_at timestamptz DEFAULT now() NOT NULL,
+	CONSTRAINT entry_templates_pkey PRIMARY KEY (template_id)
+);
+-- Names are unique per employee, ignoring case
+CREATE UNIQUE INDEX IF NOT EXISTS entry_templates_employee_name_key ON public.entry_templates USING btree (employee_id, lower(("name")::text));
+
+CREATE TABLE IF NOT EXISTS public.entry_template_activities (
+	template_id int4 NOT NULL REFERENCES public.entry_templates(template_id) ON DELETE CASCADE,
+	activity varchar(100) NOT NULL REFERENCES public.activities(activity_code) ON UPDATE CASCADE,
+	hours numeric(4, 2) DEFAULT 0 NOT NULL,
+	comments text NULL,
+	sort_order int4 DEFAULT 0 NOT NULL,
+	CONSTRAINT entry_template_activities_pkey PRIMARY KEY (template_id, activity),
+	CONSTRAINT entry_template_activities_hours_check CHECK (((hours >= (0)::numeric) AND (hours <= (24)::numeric)))
+);
+
+CREATE TABLE IF NOT EXISTS public.entry_template_projects (
+	template_id int4 NOT NULL REFERENCES public.entry_templates(template_id) ON DELETE CASCADE,
+	project_id varchar(100) NOT NULL REFERENCES public.projects(project_id) ON DELETE CASCADE ON UPDATE CASCADE,
+	hours numeric(4, 2) DEFAULT 0 NOT NULL,
+	comments text NULL,
+	CONSTRAINT entry_template_projects_pkey PRIMARY KEY (template_id, project_id),
+	CONSTRAINT entry_template_projects_hours_check CHECK (((hours >= (0)::numeric) AND (hours <= (24)::numeric)))
+);
@@ -0,0 +1,72 @@
+-- Revision history of daily entries: every change to an employee-day stores the day's rows as
+-- they are afterwards, with who changed them and when, so any earlier version can be shown,
+-- compared and restored.
+CREATE TABLE IF NOT EXISTS public.entry_revisions (
+	revision_id int4 GENERATED ALWAYS AS IDENTITY NOT NULL,
+	employee_id int4 NOT NULL REFERENCES public.employees(employee_id) ON DELETE CASCADE,
+	entry_date date NOT NULL,
+	"source" varchar(20) NOT NULL,
+	restored_from int4 NULL,
+	changed_by int4 NULL,
+	changed_by_email varchar(320) NULL,
+	changed_at timestamptz DEFAULT now() NOT NULL,
+	CONSTRAINT entry_revisions_pkey PRIMARY KEY (revision_id),
+	CONSTRAINT entry_revisions_source_check CHECK ((("source")::text = ANY ((ARRAY['baseline'::character varying, 'entry'::character varying, 'week_grid'::character varying, 'copy'::character varying, 'template'::character varying, 'leave'::character varying, 'restore'::character varying, 'project_delete'::character varying, 'team_delete'::character varying])::text[])))
+);
+CREATE INDEX IF NOT EXISTS idx_entry_revisions_employee_day ON public.entry_revisions USING btree (employee_id, entry_date, revision_id);
+
+CREATE TABLE IF NOT EXISTS public.daily_entry_utilization_history (
+	revision_id int4 NOT NULL REFERENCES public.entry_revisions(revision_id) ON DELETE CASCADE,
+	activity varchar(100) NOT NULL,
+	utilization_hours numeric NOT NULL,
+	utilization_comments text NULL,
+	leave_request_id int4 NULL,
+	CONSTRAINT daily_entry_utilization_history_pkey PRIMARY KEY (revision_id, activity)
+);
+
+CREATE TABLE IF NOT EXISTS public.daily_entry_project_utilization_history (
+	revision_id int4 NOT NULL REFERENCES public.entry_revisions(revision_id) ON DELETE CASCADE,
+	project_id varchar(100) NOT NULL,
+	project_name varchar(255) NULL,
+	employee_project_start_date date NULL,
+	employee_project_end_date date NULL,
+	employee_project_status varchar(50) NULL,
+	employee_project_hours numeric NULL,
+	employee_project_comments text NULL,
+	employee_planned_start_date date NULL,
+	employee_planned_end_date date NULL,
+	CONSTRAINT daily_entry_project_utilization_history_pkey PRIMARY KEY (revision_id, project_id)
+);
+
+-- Days logged before this migration start with a 'baseline' revision of their current rows
+INSERT INTO public.entry_revisions (employee_id, entry_date, "source")
+SELECT d.employee_id, d.entry_date, 'baseline'
+  FROM (
+    SELECT employee_id, entry_date FROM public.daily_entry_utilization
+    UNION
+    SELECT employee_id, entry_date FROM public.daily_entry_project_utilization
+  ) d
+ WHERE NOT EXISTS (
+   SELECT 1 FROM public.entry_revisions r WHERE r.employee_id = d.employee_id AND r.entry_date = d.entry_date
+ )
+ ORDER BY d.employee_id, d.entry_date;
+
+INSERT INTO public.daily_entry_utilization_history
+  (revision_id, activity, utilization_hours, utilization_comments, leave_request_id)
+SELECT r.revision_id, u.activity, u.utilization_hours, u.utilization_comments, u.leave_request_id
+  FROM public.entry_revisions r
+  JOIN public.daily_entry_utilization u ON u.employee_id = r.employee_id AND u.entry_date = r.entry_date
+ WHERE r."source" = 'baseline'
+ON CONFLICT DO NOTHING;
+
+INSERT INTO public.daily_entry_project_utilization_history
+  (revision_id, project_id, project_name, employee_project_start_date, employee_project_end_date,
+   employee_project_status, employee_project_hours, employee_project_comments,
+   employee_planned_start_date, employee_planned_end_date)
+SELECT r.revision_id, p.project_id, p.project_name, p.employee_project_start_date, p.employee_project_end_date,
+       p.employee_project_status, p.employee_project_hours, p.employee_project_comments,
+       p.employee_planned_start_date, p.employee_planned_end_date
+  FROM public.entry_revisions r
+  JOIN public.daily_entry_project_utilization p ON p.employee_id = r.employee_id AND p.entry_date = r.entry_date
+ WHERE r."source" = 'baseline'
+ON CONFLICT DO NOTHING;
@@ -0,0 +1,9 @@
+-- Soft delete: deleting a team, employee or project sets archived_at instead of removing the row,
+-- so their daily entries stay in reports. Archived rows are hidden from lists and pickers and can be
+-- restored or purged (the old hard delete) from the recycle bin.
+ALTER TABLE public.teams ADD COLUMN IF NOT EXISTS archived_at timestamptz NULL;
+ALTER TABLE public.teams ADD COLUMN IF NOT EXISTS archived_by int4 NULL REFERENCES public.employees(employee_id) ON DELETE SET NULL;
+ALTER TABLE public.employees ADD COLUMN IF NOT EXISTS archived_at timestamptz NULL;
+ALTER TABLE public.employees ADD COLUMN IF NOT EXISTS archived_by int4 NULL REFERENCES public.employees(employee_id) ON DELETE SET NULL;
+ALTER TABLE public.projects ADD COLUMN IF NOT EXISTS archived_at timestamptz NULL;
+ALTER TABLE public.projects ADD COLUMN IF NOT EXISTS archived_by int4 NULL REFERENCES public.employees(employee_id) ON DELETE SET NULL;
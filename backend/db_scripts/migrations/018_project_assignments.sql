@@ -0,0 +1,20 @@
+-- Project assignments: who works on a project, in which role, over which planned window and for how
+-- many hours a week. Assigned projects appear in the employee's daily project tab; reports compare
+-- the planned hours with the hours logged in daily_entry_project_utilization.
+CREATE TABLE IF NOT EXISTS public.project_assignments (
+	assignment_id int4 GENERATED ALWAYS AS IDENTITY NOT NULL,
+	project_id varchar(100) NOT NULL REFERENCES public.projects(project_id) ON DELETE CASCADE ON UPDATE CASCADE,
+	employee_id int4 NOT NULL REFERENCES public.employees(employee_id) ON DELETE CASCADE,
+	project_role varchar(100) NULL,
+	planned_start_date date NULL,
+	planned_end_date date NULL,
+	planned_hours_per_week numeric(5, 2) NULL,
+	created_by int4 NULL REFERENCES public.employees(employee_id) ON DELETE SET NULL,
+	created_at timestamptz DEFAULT now() NOT NULL,
+	updated_at timestamptz DEFAULT now() NOT NULL,
+	CONSTRAINT project_assignments_pkey PRIMARY KEY (assignment_id),
+	CONSTRAINT project_assignments_project_employee_key UNIQUE (project_id, employee_id),
+	CONSTRAINT project_assignments_dates_check CHECK (((planned_end_date IS NULL) OR (planned_start_date IS NULL) OR (planned_end_date >= planned_start_date))),
+	CONSTRAINT project_assignments_hours_check CHECK (((planned_hours_per_week IS NULL) OR ((planned_hours_per_week >= (0)::numeric) AND (planned_hours_per_week <= (168)::numeric))))
+);
+CREATE INDEX IF NOT EXISTS idx_project_assignments_employee ON public.project_assignments USING btree (employee_id);
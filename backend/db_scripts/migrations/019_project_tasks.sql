@@ -0,0 +1,34 @@
+-- Tasks under a project (title, owner, status, estimate, due date). The hours of an employee-project
+-- row in daily_entry_project_utilization can optionally be split across the project's tasks; the
+-- part that is not split stays on the project alone.
+CREATE TABLE IF NOT EXISTS public.project_tasks (
+	task_id int4 GENERATED ALWAYS AS IDENTITY NOT NULL,
+	project_id varchar(100) NOT NULL REFERENCES public.projects(project_id) ON DELETE CASCADE ON UPDATE CASCADE,
+	title varchar(200) NOT NULL,
+	owner_id int4 NULL REFERENCES public.employees(employee_id) ON DELETE SET NULL,
+	status varchar(20) DEFAULT 'Open'::character varying NOT NULL,
+	estimate_hours numeric(7, 2) NULL,
+	due_date date NULL,
+	created_by int4 NULL REFERENCES public.employees(employee_id) ON DELETE SET NULL,
+	created_at timestamptz DEFAULT now() NOT NULL,
+	updated_at timestamptz DEFAULT now() NOT NULL,
+	CONSTRAINT project_tasks_pkey PRIMARY KEY (task_id),
+	CONSTRAINT project_tasks_status_check CHECK (((status)::text = ANY ((ARRAY['Open'::character varying, 'In Progress'::character varying, 'Blocked'::character varying, 'Done'::character varying])::text[]))),
+	CONSTRAINT project_tasks_estimate_check CHECK (((estimate_hours IS NULL) OR (estimate_hours >= (0)::numeric)))
+);
+CREATE INDEX IF NOT EXISTS idx_project_tasks_project ON public.project_tasks USING btree (project_id);
+
+-- Task split of one employee-project-day row. Rows go with their employee-project row; tasks with
+-- hours on them can't be deleted (routes/projectTasks.js asks to mark them Done instead).
+CREATE TABLE IF NOT EXISTS public.daily_entry_task_hours (
+	employee_id int4 NOT NULL,
+	project_id varchar(100) NOT NULL,
+	entry_date date NOT NULL,
+	task_id int4 NOT NULL REFERENCES public.project_tasks(task_id),
+	task_hours numeric(5, 2) NOT NULL,
+	CONSTRAINT daily_entry_task_hours_pkey PRIMARY KEY (employee_id, entry_date, task_id),
+	CONSTRAINT daily_entry_task_hours_hours_check CHECK (((task_hours > (0)::numeric) AND (task_hours <= (24)::numeric))),
+	CONSTRAINT daily_entry_task_hours_row_fkey FOREIGN KEY (employee_id, project_id, entry_date)
+		REFERENCES public.daily_entry_project_utilization(employee_id, project_id, entry_date) ON DELETE CASCADE ON UPDATE CASCADE
+);
+CREATE INDEX IF NOT EXISTS idx_daily_entry_task_hours_task ON public.daily_entry_task_hours USING btree (task_id);
@@ -0,0 +1,86 @@
+-- Business units as managed records. projects.bu_id was free text, so one unit came in spelled
+-- several ways ("Finance", "finance ", "FIN-ANCE"). This migration:
+--   1. creates business_units and the spellings that resolve to them (business_unit_aliases);
+--   2. merges the existing values that only differ in case, spacing or punctuation into one unit,
+--      named after the most used spelling, and points projects.bu_id at it;
+--   3. adds the foreign key from projects.
+-- Units that are only similar ("Fin" / "Finance", "HR" / "Human Resources") are not merged here:
+-- utils/businessUnits.js suggests them as merge candidates and an admin merges or keeps them
+-- apart on the Business Units page (business_unit_merge_reviews records the "keep apart" answers).
+CREATE TABLE IF NOT EXISTS public.business_units (
+	bu_id varchar(100) NOT NULL,
+	bu_name varchar(255) NOT NULL,
+	is_active bool DEFAULT true NOT NULL,
+	created_at timestamptz DEFAULT now() NOT NULL,
+	updated_at timestamptz DEFAULT now() NOT NULL,
+	CONSTRAINT business_units_pkey PRIMARY KEY (bu_id)
+);
+CREATE UNIQUE INDEX IF NOT EXISTS business_units_name_key ON public.business_units USING btree (lower((bu_name)::text));
+
+-- Spelling key: lower case letters and digits only (utils/businessUnits.js normalizeBuKey)
+CREATE TABLE IF NOT EXISTS public.business_unit_aliases (
+	alias_key varchar(100) NOT NULL,
+	alias varchar(100) NOT NULL,
+	bu_id varchar(100) NOT NULL REFERENCES public.business_units(bu_id) ON DELETE CASCADE ON UPDATE CASCADE,
+	CONSTRAINT business_unit_aliases_pkey PRIMARY KEY (alias_key)
+);
+CREATE INDEX IF NOT EXISTS idx_business_unit_aliases_bu ON public.business_unit_aliases USING btree (bu_id);
+
+-- Suggested merges an admin reviewed and kept apart; the pair is stored in sorted order
+CREATE TABLE IF NOT EXISTS public.business_unit_merge_reviews (
+	bu_a varchar(100) NOT NULL REFERENCES public.business_units(bu_id) ON DELETE CASCADE ON UPDATE CASCADE,
+	bu_b varchar(100) NOT NULL REFERENCES public.business_units(bu_id) ON DELETE CASCADE ON UPDATE CASCADE,
+	reviewed_by int4 NULL REFERENCES public.employees(employee_id) ON DELETE SET NULL,
+	reviewed_at timestamptz DEFAULT now() NOT NULL,
+	CONSTRAINT business_unit_merge_reviews_pkey PRIMARY KEY (bu_a, bu_b),
+	CONSTRAINT business_unit_merge_reviews_order_check CHECK (((bu_a)::text < (bu_b)::text))
+);
+
+UPDATE public.projects SET bu_id = NULLIF(TRIM(bu_id), '');
+
+WITH spellings AS (
+	SELECT bu_id AS spelling,
+	       lower(regexp_replace(bu_id, '[^A-Za-z0-9]+', '', 'g')) AS alias_key,
+	       COUNT(*) AS uses
+	  FROM public.projects
+	 WHERE bu_id IS NOT NULL
+	 GROUP BY bu_id
+),
+canonical AS (
+	SELECT DISTINCT ON (alias_key) alias_key, spelling
+	  FROM spellings
+	 WHERE alias_key <> ''
+	 ORDER BY alias_key, uses DESC, spelling
+)
+INSERT INTO public.business_units (bu_id, bu_name)
+SELECT spelling, spelling FROM canonical
+ON CONFLICT DO NOTHING;
+
+INSERT INTO public.business_unit_aliases (alias_key, alias, bu_id)
+SELECT lower(regexp_replace(bu_id, '[^A-Za-z0-9]+', '', 'g')), bu_id, bu_id
+  FROM public.business_units
+ON CONFLICT (alias_key) DO NOTHING;
+
+UPDATE public.projects p
+   SET bu_id = a.bu_id
+  FROM public.business_unit_aliases a
+ WHERE p.bu_id IS NOT NULL
+   AND a.alias_key = lower(regexp_replace(p.bu_id, '[^A-Za-z0-9]+', '', 'g'))
+   AND p.bu_id <> a.bu_id;
+
+-- Values without a letter or digit can't name a unit
+UPDATE public.projects
+   SET bu_id = NULL
+ WHERE bu_id IS NOT NULL AND regexp_replace(bu_id, '[^A-Za-z0-9]+', '', 'g') = '';
+
+ALTER TABLE public.projects DROP CONSTRAINT IF EXISTS projects_bu_id_fkey;
+ALTER TABLE public.projects ADD CONSTRAINT projects_bu_id_fkey FOREIGN KEY (bu_id) REFERENCES public.business_units(bu_id) ON UPDATE CASCADE;
+CREATE INDEX IF NOT EXISTS idx_projects_bu ON public.projects USING btree (bu_id);
+
+INSERT INTO public.permissions (permission_key, description) VALUES
+	('business_units.manage', 'Maintain business units and review their merges')
+ON CONFLICT (permission_key) DO UPDATE SET description = EXCLUDED.description;
+
+INSERT INTO public.role_permissions (role_key, permission_key) VALUES
+	('admin', 'business_units.manage')
+ON CONFLICT DO NOTHING;
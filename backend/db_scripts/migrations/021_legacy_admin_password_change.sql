@@ -0,0 +1,6 @@
+-- Installs from before the first-run setup wizard still have the seeded Admin@admin account, whose
+-- password was the well-known "Admin". Make it pick a new password on its next login.
+UPDATE public.employees
+   SET must_change_password = true
+ WHERE lower(email) = 'admin@admin'
+   AND archived_at IS NULL;
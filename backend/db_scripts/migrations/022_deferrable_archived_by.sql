@@ -0,0 +1,6 @@
+-- teams.archived_by → employees and employees.team_id → teams form a cycle, so no insert order
+-- restores a snapshot holding an archived team (utils/snapshots.js). The archived_by keys are
+-- checked at commit instead; a snapshot restore defers them until every table is back.
+ALTER TABLE public.teams ALTER CONSTRAINT teams_archived_by_fkey DEFERRABLE INITIALLY DEFERRED;
+ALTER TABLE public.employees ALTER CONSTRAINT employees_archived_by_fkey DEFERRABLE INITIALLY DEFERRED;
+ALTER TABLE public.projects ALTER CONSTRAINT projects_archived_by_fkey DEFERRABLE INITIALLY DEFERRED;
@@ -1,57 +1,129 @@
 const jwt = require('jsonwebtoken');
+const pool = require('../db/pool');
+const { ADMIN_ROLE, ALL_PERMISSIONS, hasPermission } = require('../utils/permissions');
+const { isApiToken, findActiveToken, scopeAllowsMethod, touchApiToken } = require('../utils/apiTokens');
 const JWT_SECRET = process.env.JWT_SECRET;
 
 // Authenticate JWT
+// Access tokens are short-lived and tied to a row in `sessions`; a revoked or
+// expired session rejects the token even while its signature is still valid.
+// Role and permissions are re-read on every request, so role edits apply immediately.
+// Personal access tokens (see utils/apiTokens.js) are accepted in the same header.
+const SESSION_TOUCH_INTERVAL_MS = 60 * 1000;
+
+// While must_change_password is set, only these endpoints are reachable
+const PASSWORD_CHANGE_ALLOWED = [
+    '/api/auth/change-password',
+    '/api/auth/password-policy',
+    '/api/auth/sessions',
+];
+
+const isPasswordChangeAllowed = (req) => {
+    const path = req.originalUrl.split('?')[0];
+    return PASSWORD_CHANGE_ALLOWED.some((p) => path === p || path.startsWith(`${p}/`));
+};
+
+const sendPasswordChangeRequired = (res) =>
+    res.status(403).json({
+        message: 'You must change your password before continuing.',
+        code: 'PASSWORD_CHANGE_REQUIRED',
+    });
+
+const effectivePermissions = (role, permissions) => (role === ADMIN_ROLE ? [...ALL_PERMISSIONS] : permissions || []);
+
+const authenticateApiToken = async (req, res, next, token) => {
+    try {
+        const row = await findActiveToken(token);
+        if (!row) return res.status(401).json({ message: 'Invalid, expired or revoked API token.' });
+        if (!scopeAllowsMethod(row.scopes, req.method)) {
+            return res.status(403).json({ message: 'This API token is read-only.' });
+        }
+        // Password changes need an interactive login, so a flagged account's tokens are paused
+        if (row.must_change_password) return sendPasswordChangeRequired(res);
+
+        if (!row.last_used_at || Date.now() - new Date(row.last_used_at).getTime() > SESSION_TOUCH_INTERVAL_MS) {
+            touchApiToken(row.token_id, req.ip).catch((e) => console.error('API token touch error:', e));
+        }
+
+        req.user = {
+            employeeId: row.employee_id,
+            email: row.email,
+            role: row.role,
+            teamId: row.team_id,
+            firstName: row.first_name,
+            permissions: effectivePermissions(row.role, row.permissions),
+            apiTokenId: row.token_id,
+            scopes: row.scopes,
+        };
+    } catch (e) {
+        console.error('API token lookup error:', e);
+        return res.status(500).json({ message: 'Server error during authentication.' });
+    }
+    next();
+};
+
 const authenticateToken = (req, res, next) => {
     const authHeader = req.headers['authorization'];
     const token = authHeader && authHeader.split(' ')[1];
     if (!token) return res.sendStatus(401);
+    if (isApiToken(token)) return authenticateApiToken(req, res, next, token);
 
-    jwt.verify(token, JWT_SECRET, (err, user) => {
-        if (err) return res.sendStatus(403);
-        req.user = user;
+    jwt.verify(token, JWT_SECRET, async (err, user) => {
+        // 401 lets the client try its refresh token; anything else is a bad token
+        if (err) return res.sendStatus(err.name === 'TokenExpiredError' ? 401 : 403);
+        if (!user.sid) return res.sendStatus(401);
+        try {
+            const { rows } = await pool.query(
+                `SELECT s.last_used_at, e.must_change_password, e.role,
+                        ARRAY(SELECT rp.permission_key FROM role_permissions rp WHERE rp.role_key = e.role) AS permissions
+                   FROM sessions s
+                   JOIN employees e ON e.employee_id = s.employee_id
+                  WHERE s.session_id = $1
+                    AND s.employee_id = $2
+                    AND s.revoked_at IS NULL
+                    AND s.expires_at > NOW()
+                    AND e.archived_at IS NULL`,
+                [user.sid, user.employeeId]
+            );
+            if (!rows.length) {
+                return res.status(401).json({ message: 'Session expired. Please log in again.' });
+            }
+
+            if (rows[0].must_change_password && !isPasswordChangeAllowed(req)) {
+                return sendPasswordChangeRequired(res);
+            }
+
+            if (Date.now() - new Date(rows[0].last_used_at).getTime() > SESSION_TOUCH_INTERVAL_MS) {
+                pool.query('UPDATE sessions SET last_used_at = NOW(), ip_address = COALESCE($2, ip_address) WHERE session_id = $1', [user.sid, req.ip || null])
+                    .catch((e) => console.error('Session touch error:', e));
+            }
+
+            const { role, permissions } = rows[0];
+            req.user = { ...user, role, permissions: effectivePermissions(role, permissions) };
+        } catch (e) {
+            console.error('Auth lookup error:', e);
+            return res.status(500).json({ message: 'Server error during authentication.' });
+        }
         next();
     });
 };
 
-// Admin-only (Super admin or admin role)
-const adminOnly = (req, res, next) => {
-    if (req.user.role !== 'admin') {
-        return res.status(403).json({ message: 'Admins only.' });
-    }
-    next();
-};
-
-// Tech lead or admin
-const techLeadOrAdmin = (req, res, next) => {
-    if (req.user.role === 'admin' || req.user.role === 'team_lead') {
-        return next();
-    }
-    return res.status(403).json({ message: 'Admins or Tech Leads only.' });
+// Allows the request when the user holds at least one of the given permissions
+const requirePermission = (...permissions) => (req, res, next) => {
+    if (hasPermission(req.user, ...permissions)) return next();
+    return res.status(403).json({ message: 'You do not have permission to perform this action.' });
 };
 
-// Employee access check (view-only)
-const employeeAccess = (req, res, next) => {
-    if (['admin', 'team_lead', 'employee'].includes(req.user.role)) {
-        return next();
+// For endpoints that manage credentials: an API token can't mint or revoke tokens
+const requireInteractiveSession = (req, res, next) => {
+    if (req.user?.apiTokenId) {
+        return res.status(403).json({ message: 'This action requires signing in; API tokens cannot be used.' });
     }
-    return res.status(403).json({ message: 'Access denied.' });
-};
-
-// ✅ NEW: Dynamic role-based authorization
-const authorizeRoles = (...allowedRoles) => {
-    return (req, res, next) => {
-        if (!allowedRoles.includes(req.user.role)) {
-            return res.status(403).json({ message: 'Access denied.' });
-        }
-        next();
-    };
+    next();
 };
 
-module.exports = { 
-    authenticateToken, 
-    adminOnly, 
-    techLeadOrAdmin, 
-    employeeAccess,
-    authorizeRoles // ✅ Added
+module.exports = {
+    authenticateToken,
+    requirePermission,
+    requireInteractiveSession,
 };
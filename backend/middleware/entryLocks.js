@@ -0,0 +1,57 @@
+const { findLockedTimesheet } = require('../utils/timesheets');
+const { findClosedPeriod } = require('../utils/periods');
+
+// Rejects changes to daily entries of a day that is locked:
+//   - the day falls in a closed period (org-wide or for the employee's team)
+//   - the employee's timesheet for that week is approved
+// Runs after validate(), so the employee id and day are already normalised.
+// Answers 409 { message, code: 'ENTRIES_LOCKED', lock } so the UI can tell why.
+
+// Why the day's entries are locked as { message, lock }, or null when they may change.
+// Also used by writers that are not entry routes (e.g. leave approval).
+const findDayLock = async (employeeId, day, db) => {
+    const period = await findClosedPeriod(employeeId, day, db);
+    if (period) {
+        const scope = period.team_id ? `for ${period.team_name || `team ${period.team_id}`}` : 'for all teams';
+        return {
+            message: `${day} is in a closed period (${period.start_date} to ${period.end_date}, ${scope}); ` +
+                'its entries can no longer be changed. Ask an administrator to reopen the period.',
+            lock: {
+                type: 'period',
+                periodId: period.period_id,
+                teamId: period.team_id,
+                startDate: period.start_date,
+                endDate: period.end_date,
+            },
+        };
+    }
+
+    const timesheet = await findLockedTimesheet(employeeId, day, db);
+    if (timesheet) {
+        return {
+            message: `The timesheet for the week of ${timesheet.week_start} is approved; its entries can no longer be changed.`,
+            lock: { type: 'timesheet', weekStart: timesheet.week_start, status: timesheet.status },
+        };
+    }
+    return null;
+};
+
+const lockedResponse = (res, { message, lock }) =>
+    res.status(409).json({ message, code: 'ENTRIES_LOCKED', lock });
+
+const requireUnlockedDay = (pickEmployeeId, pickDay) => async (req, res, next) => {
+    const employeeId = pickEmployeeId(req);
+    const day = pickDay(req);
+    // Let the route report a missing id or date with its own 400
+    if (!employeeId || !day) return next();
+    try {
+        const locked = await findDayLock(employeeId, day);
+        if (locked) return lockedResponse(res, locked);
+        next();
+    } catch (err) {
+        console.error('Entry lock check error:', err);
+        res.status(500).json({ message: 'Server error checking whether the day is locked.' });
+    }
+};
+
+module.exports = { requireUnlockedDay, findDayLock, lockedResponse };
@@ -0,0 +1,57 @@
+// middleware/rateLimiters.js
+// Throttles for /api/login (env overrides in brackets):
+//   per IP      [LOGIN_RATE_LIMIT_IP_MAX, default 20]
+//   per account [LOGIN_RATE_LIMIT_ACCOUNT_MAX, default 10]
+// counting failed logins only, both over a window of LOGIN_RATE_LIMIT_WINDOW_MINUTES (default 15).
+// Forgot-password and reset-password share the window, per IP
+//   [PASSWORD_RESET_RATE_LIMIT_IP_MAX, default 10 for each endpoint].
+const { rateLimit } = require('express-rate-limit');
+
+const windowMs = (parseInt(process.env.LOGIN_RATE_LIMIT_WINDOW_MINUTES, 10) || 15) * 60 * 1000;
+
+const onLimitReached = (scope, what = 'login') => (req, res, _next, options) => {
+    console.warn(`⚠️ ${what === 'login' ? 'Login' : 'Password reset'} throttled:`, {
+        scope,
+        email: req.body?.email || null,
+        ip: req.ip,
+        userAgent: req.headers['user-agent'] || null,
+    });
+    res.status(options.statusCode).json({ message: `Too many ${what} attempts. Please try again later.` });
+};
+
+// Only failed logins count, so an office sharing one address isn't locked out by its sign-ins
+const loginIpLimiter = rateLimit({
+    windowMs,
+    limit: parseInt(process.env.LOGIN_RATE_LIMIT_IP_MAX, 10) || 20,
+    standardHeaders: 'draft-7',
+    legacyHeaders: false,
+    skipSuccessfulRequests: true,
+    handler: onLimitReached('ip'),
+});
+
+// Keyed on the submitted email so one account can't be sprayed from many IPs. Failed logins only,
+// or anyone who knows the address could lock its owner out by signing in as often as the limit.
+const loginAccountLimiter = rateLimit({
+    windowMs,
+    limit: parseInt(process.env.LOGIN_RATE_LIMIT_ACCOUNT_MAX, 10) || 10,
+    standardHeaders: 'draft-7',
+    legacyHeaders: false,
+    skipSuccessfulRequests: true,
+    keyGenerator: (req) => `account:${String(req.body?.email || '').trim().toLowerCase()}`,
+    skip: (req) => !req.body?.email,
+    handler: onLimitReached('account'),
+});
+
+// One instance per endpoint so requesting links doesn't use up the tries at using them
+const passwordResetIpLimiter = () => rateLimit({
+    windowMs,
+    limit: parseInt(process.env.PASSWORD_RESET_RATE_LIMIT_IP_MAX, 10) || 10,
+    standardHeaders: 'draft-7',
+    legacyHeaders: false,
+    handler: onLimitReached('ip', 'password reset'),
+});
+
+const forgotPasswordLimiter = passwordResetIpLimiter();
+const resetPasswordLimiter = passwordResetIpLimiter();
+
+module.exports = { loginIpLimiter, loginAccountLimiter, forgotPasswordLimiter, resetPasswordLimiter };
@@ -0,0 +1,97 @@
+const pool = require('../db/pool');
+const { hasPermission } = require('../utils/permissions');
+
+// Row-level scope for employee data:
+//   entries.view_all   → every employee / team
+//   entries.view_team  → themselves and employees of their own team
+//   otherwise          → only themselves
+// Changing someone else's entries additionally needs entries.edit_others.
+// Team ids are read from the database, not the token, so a team move applies immediately.
+
+const loadTeamIds = async (actorId, targetId) => {
+    const { rows } = await pool.query(
+        'SELECT employee_id, team_id FROM employees WHERE employee_id = ANY($1::int[])',
+        [[actorId, targetId]]
+    );
+    const byId = new Map(rows.map((r) => [String(r.employee_id), r]));
+    return { actor: byId.get(String(actorId)), target: byId.get(String(targetId)) };
+};
+
+// Resolves to null when allowed, or { status, message } when not
+const checkEmployeeScope = async (user, employeeId, { write = false } = {}) => {
+    if (!/^\d+$/.test(String(employeeId))) return { status: 400, message: 'Invalid employeeId.' };
+    if (String(employeeId) === String(user.employeeId)) return null;
+    if (write && !hasPermission(user, 'entries.edit_others')) {
+        return { status: 403, message: 'You can only change your own entries.' };
+    }
+    if (hasPermission(user, 'entries.view_all')) return null;
+
+    if (hasPermission(user, 'entries.view_team')) {
+        const { actor, target } = await loadTeamIds(user.employeeId, employeeId);
+        if (!target) return { status: 404, message: 'Employee not found.' };
+        if (actor?.team_id != null && actor.team_id === target.team_id) return null;
+        return { status: 403, message: 'You can only access entries of your own team.' };
+    }
+    return { status: 403, message: 'You can only access your own entries.' };
+};
+
+// Team-wide data: every team with entries.view_all, their own team with entries.view_team
+const checkTeamScope = async (user, teamId) => {
+    if (hasPermission(user, 'entries.view_all')) return null;
+    if (!hasPermission(user, 'entries.view_team')) {
+        return { status: 403, message: 'You can only access your own entries.' };
+    }
+    const { rows } = await pool.query('SELECT team_id FROM employees WHERE employee_id = $1', [user.employeeId]);
+    const ownTeam = rows[0]?.team_id;
+    if (ownTeam != null && String(ownTeam) === String(teamId)) return null;
+    return { status: 403, message: 'You can only access data of your own team.' };
+};
+
+// For reports listing many employees: a SQL condition keeping the rows of `column` (an
+// employee_id) the user may view, by the same rules as checkEmployeeScope.
+// Placeholders are numbered from `from`; returns { sql, params }.
+const employeeScopeCondition = (user, column, from) => {
+    if (hasPermission(user, 'entries.view_all')) return { sql: 'TRUE', params: [] };
+    if (hasPermission(user, 'entries.view_team')) {
+        return {
+            sql: `(${column} = $${from} OR ${column} IN (
+                     SELECT m.employee_id
+                       FROM employees m
+                       JOIN employees a ON a.team_id = m.team_id
+                      WHERE a.employee_id = $${from}))`,
+            params: [user.employeeId],
+        };
+    }
+    return { sql: `${column} = $${from}`, params: [user.employeeId] };
+};
+
+// `write` defaults to "any method but GET"; pass false for actions that don't change entries
+const scopeGuard = (check, pickId, { write } = {}) => async (req, res, next) => {
+    const id = pickId(req);
+    // Let the route report a missing id with its own 400
+    if (id === undefined || id === null || String(id).trim() === '') return next();
+    try {
+        const denied = await check(req.user, id, { write: write ?? req.method !== 'GET' });
+        if (denied) return res.status(denied.status).json({ message: denied.message });
+        next();
+    } catch (err) {
+        console.error('Scope check error:', err);
+        res.status(500).json({ message: 'Server error checking permissions.' });
+    }
+};
+
+// Guard for routes addressing one employee (defaults to :employeeId)
+const requireEmployeeScope = (pickId = (req) => req.params.employeeId, options) =>
+    scopeGuard(checkEmployeeScope, pickId, options);
+
+// Guard for routes addressing one team (defaults to :teamId)
+const requireTeamScope = (pickId = (req) => req.params.teamId) =>
+    scopeGuard(checkTeamScope, pickId);
+
+module.exports = {
+    checkEmployeeScope,
+    checkTeamScope,
+    employeeScopeCondition,
+    requireEmployeeScope,
+    requireTeamScope,
+};
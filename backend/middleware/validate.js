@@ -0,0 +1,61 @@
+// Request validation against Joi schemas declared in ../schemas.
+//   router.post('/x', authenticateToken, validate(schemas.createX), handler)
+// A schema set is { params?, query?, body? }. Validated (converted, trimmed, defaulted)
+// values replace the raw ones, so handlers can trust req.params / req.query / req.body.
+// Failures answer 400:
+//   { message, code: 'VALIDATION_ERROR', errors: [{ location, field, message }] }
+// where `field` is the dotted path inside that location (e.g. "activities.0.hours").
+
+const SOURCES = ['params', 'query', 'body'];
+
+const JOI_OPTIONS = {
+    abortEarly: false,
+    convert: true,
+    stripUnknown: { objects: true },
+    errors: { wrap: { label: false } },
+};
+
+const toFieldErrors = (location, error) =>
+    error.details.map((d) => ({
+        location,
+        field: d.path.join('.'),
+        message: d.message,
+    }));
+
+// For checks a schema can't express (DB lookups, password policy):
+//   sendValidationError(res, bodyFieldErrors('role', ['Invalid role specified.']))
+const bodyFieldErrors = (field, messages) => messages.map((message) => ({ location: 'body', field, message }));
+
+// `message` defaults to the first error plus how many others there are
+const validationErrorBody = (errors, message) => {
+    const more = errors.length > 1 ? ` (and ${errors.length - 1} more)` : '';
+    return {
+        message: message || `${errors[0].message}${more}`,
+        code: 'VALIDATION_ERROR',
+        errors,
+    };
+};
+
+const sendValidationError = (res, errors, message) => res.status(400).json(validationErrorBody(errors, message));
+
+const validate = (schemas) => (req, res, next) => {
+    const errors = [];
+    const values = {};
+
+    for (const source of SOURCES) {
+        if (!schemas[source]) continue;
+        const { value, error } = schemas[source].validate(req[source] ?? {}, JOI_OPTIONS);
+        if (error) errors.push(...toFieldErrors(source, error));
+        else values[source] = value;
+    }
+
+    if (errors.length) return sendValidationError(res, errors);
+
+    if (values.params) req.params = values.params;
+    if (values.body) req.body = values.body;
+    // Express 5 exposes req.query as a getter; shadow it with the validated copy
+    if (values.query) Object.defineProperty(req, 'query', { value: values.query, writable: true, configurable: true });
+    next();
+};
+
+module.exports = { validate, sendValidationError, validationErrorBody, bodyFieldErrors };
@@ -0,0 +1,131 @@
+// routes/activities.js
+// Activity catalog behind the entry form, the utilization exports and the team summary.
+// Codes are permanent ids (daily rows store them); labels, categories and order can change.
+const express = require('express');
+const router = express.Router();
+const pool = require('../db/pool');
+const { authenticateToken, requirePermission } = require('../middleware/authMiddleware');
+const { withTransaction } = require('../utils/transactionHelper');
+const { ENTITY_TYPES, recordAudit } = require('../utils/audit');
+const { listActivities } = require('../utils/activities');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/activities');
+
+const COLUMNS = 'activity_code, label, category, is_billable, is_active, sort_order, max_hours_per_day::float AS max_hours_per_day';
+
+const loadActivity = async (db, code, lock = false) => {
+  const { rows } = await db.query(
+    `SELECT ${COLUMNS} FROM activities WHERE activity_code = $1 ${lock ? 'FOR UPDATE' : ''}`,
+    [code]
+  );
+  return rows[0] || null;
+};
+
+// Every signed-in user needs the list to fill in their day; inactive ones only for reports
+router.get('/activities', authenticateToken, validate(schemas.list), async (req, res) => {
+  try {
+    const rows = await listActivities({ includeInactive: req.query.includeInactive });
+    if (!req.query.includeInactive) return res.json(rows);
+
+    // Usage counts tell the catalog editor which activities can still be deleted
+    const { rows: usage } = await pool.query(
+      'SELECT activity, COUNT(*)::int AS count FROM daily_entry_utilization GROUP BY activity'
+    );
+    const counts = new Map(usage.map((u) => [u.activity, u.count]));
+    res.json(rows.map((a) => ({ ...a, usage_count: counts.get(a.activity_code) || 0 })));
+  } catch (err) {
+    console.error('Error fetching activities:', err);
+    res.status(500).json({ message: 'Failed to fetch activities.' });
+  }
+});
+
+router.post('/activities', authenticateToken, requirePermission('activities.manage'), validate(schemas.createActivity), async (req, res) => {
+  const { activityCode, label, category, isBillable, isActive, sortOrder, maxHoursPerDay } = req.body;
+
+  try {
+    const activity = await withTransaction(async (client) => {
+      await client.query(
+        `INSERT INTO activities (activity_code, label, category, is_billable, is_active, sort_order, max_hours_per_day)
+         VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+        [activityCode, label, category, isBillable, isActive, sortOrder, maxHoursPerDay || null]
+      );
+      const after = await loadActivity(client, activityCode);
+      await recordAudit(client, req, { entityType: ENTITY_TYPES.ACTIVITY, entityId: activityCode, action: 'create', after });
+      return after;
+    });
+    res.status(201).json({ message: 'Activity created.', activity });
+  } catch (err) {
+    if (err.code === '23505') {
+      return res.status(409).json({ message: `An activity with code "${activityCode}" or label "${label}" already exists.` });
+    }
+    console.error('Error creating activity:', err);
+    res.status(500).json({ message: 'Failed to create activity.' });
+  }
+});
+
+router.put('/activities/:code', authenticateToken, requirePermission('activities.manage'), validate(schemas.updateActivity), async (req, res) => {
+  const { code } = req.params;
+  const { label, category, isBillable, isActive, sortOrder, maxHoursPerDay } = req.body;
+
+  try {
+    const activity = await withTransaction(async (client) => {
+      const before = await loadActivity(client, code, true);
+      if (!before) return null;
+      await client.query(
+        `UPDATE activities
+            SET label = COALESCE($1, label),
+                category = COALESCE($2, category),
+                is_billable = COALESCE($3, is_billable),
+                is_active = COALESCE($4, is_active),
+                sort_order = COALESCE($5, sort_order),
+                -- null clears the cap, so "not sent" is passed separately
+                max_hours_per_day = CASE WHEN $6 THEN $7::numeric ELSE max_hours_per_day END
+          WHERE activity_code = $8`,
+        [
+          label ?? null, category ?? null, isBillable ?? null, isActive ?? null, sortOrder ?? null,
+          maxHoursPerDay !== undefined, maxHoursPerDay || null, code,
+        ]
+      );
+      const after = await loadActivity(client, code);
+      await recordAudit(client, req, { entityType: ENTITY_TYPES.ACTIVITY, entityId: code, action: 'update', before, after });
+      return after;
+    });
+    if (!activity) return res.status(404).json({ message: 'Activity not found.' });
+    res.json({ message: 'Activity updated.', activity });
+  } catch (err) {
+    if (err.code === '23505') return res.status(409).json({ message: `An activity labelled "${label}" already exists.` });
+    console.error('Error updating activity:', err);
+    res.status(500).json({ message: 'Failed to update activity.' });
+  }
+});
+
+// Only activities nobody has logged time against; retire used ones with isActive = false
+router.delete('/activities/:code', authenticateToken, requirePermission('activities.manage'), validate(schemas.deleteActivity), async (req, res) => {
+  const { code } = req.params;
+
+  try {
+    const outcome = await withTransaction(async (client) => {
+      const before = await loadActivity(client, code, true);
+      if (!before) return { status: 404, message: 'Activity not found.' };
+
+      const { rows } = await client.query(
+        'SELECT COUNT(*)::int AS count FROM daily_entry_utilization WHERE activity = $1',
+        [code]
+      );
+      if (rows[0].count > 0) {
+        return { status: 409, message: `${rows[0].count} entry row(s) use this activity. Deactivate it instead.` };
+      }
+
+      await client.query('DELETE FROM activities WHERE activity_code = $1', [code]);
+      await recordAudit(client, req, { entityType: ENTITY_TYPES.ACTIVITY, entityId: code, action: 'delete', before });
+      return null;
+    });
+    if (outcome) return res.status(outcome.status).json({ message: outcome.message });
+    res.json({ message: 'Activity deleted.' });
+  } catch (err) {
+    console.error('Error deleting activity:', err);
+    res.status(500).json({ message: 'Failed to delete activity.' });
+  }
+});
+
+module.exports = router;
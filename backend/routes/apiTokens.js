@@ -0,0 +1,111 @@
+// routes/apiTokens.js
+// Personal access tokens of the signed-in user (/api/auth/tokens).
+// The plaintext token is returned once on creation and never again.
+const express = require('express');
+const router = express.Router();
+const pool = require('../db/pool');
+const { authenticateToken, requireInteractiveSession } = require('../middleware/authMiddleware');
+const { withTransaction } = require('../utils/transactionHelper');
+const { ENTITY_TYPES, recordAudit } = require('../utils/audit');
+const { hashToken } = require('../utils/sessions');
+const {
+  API_TOKEN_MAX_DAYS,
+  API_TOKEN_DEFAULT_DAYS,
+  MAX_ACTIVE_TOKENS,
+  SCOPES,
+  generateApiToken,
+} = require('../utils/apiTokens');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/apiTokens');
+
+const TOKEN_COLUMNS = 'token_id, name, token_prefix, scopes, created_at, expires_at, last_used_at, last_used_ip, revoked_at';
+
+router.use('/auth/tokens', authenticateToken, requireInteractiveSession);
+
+// Limits for the create form
+router.get('/auth/tokens/options', (_req, res) => {
+  res.json({ scopes: SCOPES, maxDays: API_TOKEN_MAX_DAYS, defaultDays: API_TOKEN_DEFAULT_DAYS });
+});
+
+// Tokens of the current user, newest first (revoked/expired ones included for reference)
+router.get('/auth/tokens', async (req, res) => {
+  try {
+    const { rows } = await pool.query(
+      `SELECT ${TOKEN_COLUMNS}
+         FROM api_tokens
+        WHERE employee_id = $1
+        ORDER BY (revoked_at IS NULL AND expires_at > NOW()) DESC, created_at DESC`,
+      [req.user.employeeId]
+    );
+    res.json(rows);
+  } catch (err) {
+    console.error('Error fetching API tokens:', err);
+    res.status(500).json({ message: 'Failed to fetch API tokens.' });
+  }
+});
+
+// Create a token: { name, scopes: ['read'] | ['read','write'], expiresInDays }
+router.post('/auth/tokens', validate(schemas.createToken), async (req, res) => {
+  const { name, scopes, expiresInDays: days } = req.body;
+
+  try {
+    const created = await withTransaction(async (client) => {
+      const active = await client.query(
+        `SELECT COUNT(*)::int AS count FROM api_tokens
+          WHERE employee_id = $1 AND revoked_at IS NULL AND expires_at > NOW()`,
+        [req.user.employeeId]
+      );
+      if (active.rows[0].count >= MAX_ACTIVE_TOKENS) return null;
+
+      const { token, prefix } = generateApiToken();
+      const { rows } = await client.query(
+        `INSERT INTO api_tokens (employee_id, name, token_prefix, token_hash, scopes, expires_at)
+         VALUES ($1, $2, $3, $4, $5, NOW() + make_interval(days => $6))
+         RETURNING ${TOKEN_COLUMNS}`,
+        [req.user.employeeId, name, prefix, hashToken(token), scopes, days]
+      );
+      await recordAudit(client, req, {
+        entityType: ENTITY_TYPES.API_TOKEN, entityId: rows[0].token_id, action: 'create', after: rows[0],
+      });
+      return { ...rows[0], token };
+    });
+    if (!created) {
+      return res.status(409).json({ message: `You already have ${MAX_ACTIVE_TOKENS} active tokens. Revoke one first.` });
+    }
+    res.status(201).json({ message: 'Token created. Copy it now; it will not be shown again.', token: created });
+  } catch (err) {
+    console.error('Error creating API token:', err);
+    res.status(500).json({ message: 'Failed to create API token.' });
+  }
+});
+
+// Revoke one of the current user's tokens
+router.delete('/auth/tokens/:tokenId', validate(schemas.revokeToken), async (req, res) => {
+  const { tokenId } = req.params;
+
+  try {
+    const revoked = await withTransaction(async (client) => {
+      const { rows } = await client.query(
+        `UPDATE api_tokens
+            SET revoked_at = NOW()
+          WHERE token_id = $1
+            AND employee_id = $2
+            AND revoked_at IS NULL
+          RETURNING ${TOKEN_COLUMNS}`,
+        [tokenId, req.user.employeeId]
+      );
+      if (!rows.length) return null;
+      await recordAudit(client, req, {
+        entityType: ENTITY_TYPES.API_TOKEN, entityId: tokenId, action: 'delete', before: rows[0],
+      });
+      return rows[0];
+    });
+    if (!revoked) return res.status(404).json({ message: 'Token not found.' });
+    res.json({ message: 'Token revoked.' });
+  } catch (err) {
+    console.error('Error revoking API token:', err);
+    res.status(500).json({ message: 'Failed to revoke API token.' });
+  }
+});
+
+module.exports = router;
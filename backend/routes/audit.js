@@ -0,0 +1,116 @@
+// routes/audit.js
+// Admin viewer for audit_log: filterable list + CSV export of the same filter.
+const express = require('express');
+const XLSX = require('xlsx');
+const pool = require('../db/pool');
+const { authenticateToken, requirePermission } = require('../middleware/authMiddleware');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/audit');
+
+const router = express.Router();
+
+const MAX_EXPORT_ROWS = 50000;
+
+// Builds the WHERE clause shared by the list and the export
+// query (see schemas/audit.js): actorId, actor (email contains), entityType, entityId, action,
+//        from, to (YYYY-MM-DD, inclusive)
+const buildFilter = (query) => {
+  const where = [];
+  const params = [];
+  const add = (sql, value) => {
+    params.push(value);
+    where.push(sql.replace('?', `$${params.length}`));
+  };
+
+  if (query.actorId) add('actor_employee_id = ?', query.actorId);
+  if (query.actor) add('actor_email ILIKE ?', `%${query.actor}%`);
+  if (query.entityType) add('entity_type = ?', query.entityType);
+  if (query.entityId) add('entity_id = ?', query.entityId);
+  if (query.action) add('action = ?', query.action);
+  if (query.from) add('occurred_at >= ?::date', query.from);
+  if (query.to) add(`occurred_at < (?::date + INTERVAL '1 day')`, query.to);
+
+  return { whereSql: where.length ? `WHERE ${where.join(' AND ')}` : '', params };
+};
+
+router.get('/audit-log', authenticateToken, requirePermission('audit.view'), validate(schemas.list), async (req, res) => {
+  const { page, pageSize } = req.query;
+  const { whereSql, params } = buildFilter(req.query);
+
+  try {
+    const total = await pool.query(`SELECT COUNT(*)::int AS total FROM audit_log ${whereSql}`, params);
+    const rows = await pool.query(
+      `SELECT * FROM audit_log ${whereSql}
+        ORDER BY occurred_at DESC, audit_id DESC
+        LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, pageSize, (page - 1) * pageSize]
+    );
+    res.json({ page, pageSize, total: total.rows[0].total, data: rows.rows });
+  } catch (err) {
+    console.error('Error fetching audit log:', err);
+    res.status(500).json({ message: 'Failed to fetch audit log.' });
+  }
+});
+
+// Distinct values for the viewer's filter dropdowns
+router.get('/audit-log/facets', authenticateToken, requirePermission('audit.view'), async (_req, res) => {
+  try {
+    const [entities, actors] = await Promise.all([
+      pool.query('SELECT DISTINCT entity_type FROM audit_log ORDER BY entity_type'),
+      pool.query(
+        `SELECT DISTINCT actor_employee_id, actor_email
+           FROM audit_log
+          WHERE actor_email IS NOT NULL
+          ORDER BY actor_email`
+      ),
+    ]);
+    res.json({
+      entityTypes: entities.rows.map((r) => r.entity_type),
+      actors: actors.rows,
+    });
+  } catch (err) {
+    console.error('Error fetching audit facets:', err);
+    res.status(500).json({ message: 'Failed to fetch audit filters.' });
+  }
+});
+
+router.get('/audit-log/export', authenticateToken, requirePermission('audit.view'), validate(schemas.exportCsv), async (req, res) => {
+  const { whereSql, params } = buildFilter(req.query);
+
+  try {
+    const { rows } = await pool.query(
+      `SELECT audit_id, occurred_at, actor_employee_id, actor_email, entity_type, entity_id, action,
+              before_data, after_data, metadata, ip_address
+         FROM audit_log ${whereSql}
+        ORDER BY occurred_at DESC, audit_id DESC
+        LIMIT ${MAX_EXPORT_ROWS}`,
+      params
+    );
+
+    const sheet = XLSX.utils.json_to_sheet(
+      rows.map((r) => ({
+        ...r,
+        occurred_at: r.occurred_at ? new Date(r.occurred_at).toISOString() : '',
+        before_data: r.before_data ? JSON.stringify(r.before_data) : '',
+        after_data: r.after_data ? JSON.stringify(r.after_data) : '',
+        metadata: r.metadata ? JSON.stringify(r.metadata) : '',
+      })),
+      {
+        header: [
+          'audit_id', 'occurred_at', 'actor_employee_id', 'actor_email', 'entity_type', 'entity_id',
+          'action', 'before_data', 'after_data', 'metadata', 'ip_address',
+        ],
+      }
+    );
+
+    const stamp = new Date().toISOString().slice(0, 10);
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="audit-log-${stamp}.csv"`);
+    res.send(XLSX.utils.sheet_to_csv(sheet));
+  } catch (err) {
+    console.error('Error exporting audit log:', err);
+    res.status(500).json({ message: 'Failed to export audit log.' });
+  }
+});
+
+module.exports = router;
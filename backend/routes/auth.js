@@ -2,41 +2,105 @@ const express = require('express');
 const router = express.Router();
 const pool = require('../db/pool');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
-const { authenticateToken, adminOnly } = require('../middleware/authMiddleware');
+const crypto = require('crypto');
+const { authenticateToken, requirePermission, requireInteractiveSession } = require('../middleware/authMiddleware');
+const { getPasswordPolicy, describePasswordPolicy, validatePassword } = require('../utils/passwordPolicy');
+const { withTransaction } = require('../utils/transactionHelper');
+const { sendMail } = require('../utils/mailer');
+const { ENTITY_TYPES, recordAudit } = require('../utils/audit');
+const { loadRolePermissions, roleExists, canAssignRole } = require('../utils/permissions');
+const { validate, sendValidationError, validationErrorBody, bodyFieldErrors } = require('../middleware/validate');
+const schemas = require('../schemas/auth');
+const {
+  hashToken,
+  signAccessToken,
+  describeUserAgent,
+  createSession,
+  rotateSession,
+  revokeEmployeeSessions,
+} = require('../utils/sessions');
 
-const JWT_SECRET = process.env.JWT_SECRET;
+const APP_BASE_URL = (process.env.APP_BASE_URL || 'http://localhost:3000').replace(/\/+$/, '');
+const RESET_TOKEN_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES, 10) || 30;
+const LOGIN_MAX_FAILED_ATTEMPTS = parseInt(process.env.LOGIN_MAX_FAILED_ATTEMPTS, 10) || 5;
+const LOGIN_LOCKOUT_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MINUTES, 10) || 15;
+
+const logFailedLogin = (req, email, reason) => {
+  console.warn('⚠️ Failed login:', {
+    email: email || null,
+    reason,
+    ip: req.ip,
+    userAgent: req.headers['user-agent'] || null,
+    at: new Date().toISOString(),
+  });
+};
 
 // ======================= LOGIN =======================
-router.post('/login', async (req, res) => {
+// After LOGIN_MAX_FAILED_ATTEMPTS wrong passwords the account is locked for
+// LOGIN_LOCKOUT_MINUTES; a successful login resets the counter.
+router.post('/login', validate(schemas.login), async (req, res) => {
   const { email, password } = req.body;
 
   try {
-    const result = await pool.query('SELECT * FROM employees WHERE email = $1', [email]);
+    const result = await pool.query('SELECT * FROM employees WHERE email = $1 AND archived_at IS NULL', [email]);
     if (result.rows.length === 0) {
+      logFailedLogin(req, email, 'unknown_email');
       return res.status(400).json({ message: 'Invalid email or password.' });
     }
 
     const user = result.rows[0];
+    const lockedUntil = user.locked_until ? new Date(user.locked_until) : null;
+    if (lockedUntil && lockedUntil > new Date()) {
+      logFailedLogin(req, email, 'account_locked');
+      const minutes = Math.max(1, Math.ceil((lockedUntil - Date.now()) / 60000));
+      return res.status(429).json({
+        message: `Account temporarily locked after too many failed attempts. Try again in ${minutes} minute(s).`,
+      });
+    }
+
     const isMatch = await bcrypt.compare(password, user.password_hash);
 
     if (!isMatch) {
+      // Counted in SQL so parallel wrong guesses all add up. An expired lock starts a fresh
+      // count; a lock set meanwhile by a parallel request is kept.
+      const counted = await pool.query(
+        `UPDATE employees
+            SET failed_login_attempts = CASE WHEN locked_until <= NOW() THEN 1
+                                             ELSE COALESCE(failed_login_attempts, 0) + 1 END,
+                last_failed_login_at = NOW(),
+                locked_until = CASE
+                  WHEN locked_until > NOW() THEN locked_until
+                  WHEN (CASE WHEN locked_until <= NOW() THEN 1
+                             ELSE COALESCE(failed_login_attempts, 0) + 1 END) >= $2
+                    THEN NOW() + make_interval(mins => $3)
+                  ELSE NULL
+                END
+          WHERE employee_id = $1
+          RETURNING failed_login_attempts, locked_until`,
+        [user.employee_id, LOGIN_MAX_FAILED_ATTEMPTS, LOGIN_LOCKOUT_MINUTES]
+      );
+      const attempts = Number(counted.rows[0]?.failed_login_attempts || 0);
+      const lockNow = attempts >= LOGIN_MAX_FAILED_ATTEMPTS;
+      logFailedLogin(req, email, lockNow ? 'bad_password_locked' : 'bad_password');
+
+      if (lockNow) {
+        return res.status(429).json({
+          message: `Too many failed attempts. Account locked for ${LOGIN_LOCKOUT_MINUTES} minutes.`,
+        });
+      }
       return res.status(400).json({ message: 'Invalid email or password.' });
     }
 
-    const token = jwt.sign(
-      {
-        employeeId: user.employee_id,
-        email: user.email,
-        role: user.role,
-        teamId: user.team_id,
-        firstName: user.first_name,
-      },
-      JWT_SECRET,
-      { expiresIn: '8h' }
-    );
+    if (user.failed_login_attempts > 0 || user.locked_until) {
+      await pool.query(
+        'UPDATE employees SET failed_login_attempts = 0, locked_until = NULL WHERE employee_id = $1',
+        [user.employee_id]
+      );
+    }
 
-    res.json({ token });
+    const { token, refreshToken } = await createSession(user, req);
+
+    res.json({ token, refreshToken });
   } catch (err) {
     console.error('Login error:', err);
     res.status(500).json({ message: 'Server error during login.' });
@@ -44,24 +108,288 @@ router.post('/login', async (req, res) => {
 });
 
 // ======================= REGISTER =======================
-// Admin-only endpoint for registering new employees
-router.post('/register', authenticateToken, adminOnly, async (req, res) => {
+// Admin-only endpoint for registering new employees.
+// The admin-chosen password has to be replaced on first login.
+router.post('/register', authenticateToken, requirePermission('employees.manage'), validate(schemas.register), async (req, res) => {
   const { firstName, lastName, email, password, teamId, role } = req.body;
 
   try {
+    if (role && !(await roleExists(role))) {
+      return sendValidationError(res, bodyFieldErrors('role', ['Invalid role specified.']));
+    }
+    if (!(await canAssignRole(req.user, role || 'employee'))) {
+      return res.status(403).json({ message: 'You can only assign roles whose permissions you hold yourself.' });
+    }
+
     const hashedPassword = await bcrypt.hash(password, 10);
-    const result = await pool.query(
-      `INSERT INTO employees (first_name, last_name, email, password_hash, team_id, role)
-       VALUES ($1, $2, $3, $4, $5, $6)
-       RETURNING employee_id, email, role`,
-      [firstName, lastName, email, hashedPassword, teamId || null, role || 'employee']
-    );
+    const employee = await withTransaction(async (client) => {
+      const result = await client.query(
+        `INSERT INTO employees (first_name, last_name, email, password_hash, team_id, role, must_change_password)
+         VALUES ($1, $2, $3, $4, $5, $6, true)
+         RETURNING employee_id, first_name, last_name, email, role, team_id`,
+        [firstName, lastName, email, hashedPassword, teamId || null, role || 'employee']
+      );
+      await recordAudit(client, req, {
+        entityType: ENTITY_TYPES.EMPLOYEE, entityId: result.rows[0].employee_id, action: 'create', after: result.rows[0],
+      });
+      return result.rows[0];
+    });
 
-    res.status(201).json({ message: 'Employee registered', employee: result.rows[0] });
+    res.status(201).json({
+      message: 'Employee registered',
+      employee: { employee_id: employee.employee_id, email: employee.email, role: employee.role },
+    });
   } catch (err) {
     console.error('❌ Registration failed:', err);
     res.status(500).json({ message: 'Registration failed.' });
   }
 });
 
+// ======================= PASSWORD POLICY =======================
+router.get('/auth/password-policy', (_req, res) => {
+  const policy = getPasswordPolicy();
+  res.json({ ...policy, description: describePasswordPolicy(policy) });
+});
+
+// ======================= CHANGE PASSWORD =======================
+// Self-service: verifies the current password, applies the policy and
+// revokes the user's other sessions.
+router.post('/auth/change-password', authenticateToken, requireInteractiveSession, validate(schemas.changePassword), async (req, res) => {
+  const { currentPassword, newPassword } = req.body;
+
+  try {
+    const result = await pool.query('SELECT * FROM employees WHERE employee_id = $1', [req.user.employeeId]);
+    if (result.rows.length === 0) return res.status(404).json({ message: 'Employee not found.' });
+
+    const user = result.rows[0];
+    const isMatch = await bcrypt.compare(currentPassword, user.password_hash);
+    // 400 rather than 401 so the client doesn't treat it as an expired session
+    if (!isMatch) return res.status(400).json({ message: 'Current password is incorrect.' });
+
+    if (currentPassword === newPassword) {
+      return res.status(400).json({ message: 'New password must be different from the current password.' });
+    }
+
+    const errors = validatePassword(newPassword, { email: user.email });
+    if (errors.length) {
+      return sendValidationError(res, bodyFieldErrors('newPassword', errors), describePasswordPolicy());
+    }
+
+    const hashedPassword = await bcrypt.hash(newPassword, 10);
+    const updated = await withTransaction(async (client) => {
+      const result = await client.query(
+        `UPDATE employees
+            SET password_hash = $1,
+                password_changed_at = NOW(),
+                must_change_password = false
+          WHERE employee_id = $2
+          RETURNING *`,
+        [hashedPassword, user.employee_id]
+      );
+      // Sign out every other device; the caller's session stays valid
+      await revokeEmployeeSessions(user.employee_id, { exceptSessionId: req.user.sid }, client);
+      return result.rows[0];
+    });
+
+    const permissions = await loadRolePermissions(updated.role);
+    res.json({
+      message: 'Password changed successfully.',
+      token: signAccessToken({ ...updated, permissions }, req.user.sid),
+    });
+  } catch (err) {
+    console.error('❌ Change password failed:', err);
+    res.status(500).json({ message: 'Failed to change password.' });
+  }
+});
+
+// ======================= FORGOT PASSWORD =======================
+// Always answers the same way so the endpoint can't be used to probe for accounts.
+router.post('/auth/forgot-password', validate(schemas.forgotPassword), async (req, res) => {
+  const { email } = req.body;
+  const genericMessage = 'If that email is registered, a reset link has been sent.';
+
+  try {
+    const result = await pool.query(
+      'SELECT employee_id, email, first_name FROM employees WHERE lower(email) = lower($1) AND archived_at IS NULL',
+      [email]
+    );
+    if (result.rows.length === 0) return res.json({ message: genericMessage });
+
+    const user = result.rows[0];
+    const token = crypto.randomBytes(32).toString('hex');
+
+    await withTransaction(async (client) => {
+      // Only the most recent link stays valid
+      await client.query(
+        `UPDATE password_reset_tokens
+            SET used_at = NOW()
+          WHERE employee_id = $1 AND used_at IS NULL`,
+        [user.employee_id]
+      );
+      await client.query(
+        `INSERT INTO password_reset_tokens (employee_id, token_hash, expires_at, requested_ip)
+         VALUES ($1, $2, NOW() + make_interval(mins => $3), $4)`,
+        [user.employee_id, hashToken(token), RESET_TOKEN_TTL_MINUTES, req.ip || null]
+      );
+    });
+
+    const link = `${APP_BASE_URL}/reset-password?token=${token}`;
+    try {
+      await sendMail({
+        to: user.email,
+        subject: 'Reset your GES SCRUM password',
+        text:
+          `Hello ${user.first_name || ''},\n\n` +
+          `Use the link below to choose a new password. It expires in ${RESET_TOKEN_TTL_MINUTES} minutes ` +
+          `and can be used once.\n\n${link}\n\n` +
+          'If you did not request this, you can ignore this email.',
+      });
+    } catch (mailErr) {
+      // Logged only: a different answer would tell registered emails apart
+      console.error('❌ Reset email could not be sent:', { employeeId: user.employee_id, error: mailErr.message });
+    }
+
+    res.json({ message: genericMessage });
+  } catch (err) {
+    console.error('❌ Forgot password failed:', err);
+    res.status(500).json({ message: 'Failed to send reset email.' });
+  }
+});
+
+// ======================= RESET PASSWORD =======================
+router.post('/auth/reset-password', validate(schemas.resetPassword), async (req, res) => {
+  const { token, newPassword } = req.body;
+
+  try {
+    const outcome = await withTransaction(async (client) => {
+      const found = await client.query(
+        `SELECT prt.token_id, e.employee_id, e.email
+           FROM password_reset_tokens prt
+           JOIN employees e ON e.employee_id = prt.employee_id
+          WHERE prt.token_hash = $1
+            AND e.archived_at IS NULL
+            AND prt.used_at IS NULL
+            AND prt.expires_at > NOW()
+          FOR UPDATE OF prt`,
+        [hashToken(token)]
+      );
+      if (found.rows.length === 0) {
+        return { status: 400, body: { message: 'This reset link is invalid or has expired.' } };
+      }
+
+      const { token_id, employee_id, email } = found.rows[0];
+      const errors = validatePassword(newPassword, { email });
+      if (errors.length) {
+        return { status: 400, body: validationErrorBody(bodyFieldErrors('newPassword', errors), describePasswordPolicy()) };
+      }
+
+      const hashedPassword = await bcrypt.hash(newPassword, 10);
+      await client.query(
+        `UPDATE employees
+            SET password_hash = $1,
+                password_changed_at = NOW(),
+                must_change_password = false
+          WHERE employee_id = $2`,
+        [hashedPassword, employee_id]
+      );
+      await client.query('UPDATE password_reset_tokens SET used_at = NOW() WHERE token_id = $1', [token_id]);
+      await revokeEmployeeSessions(employee_id, {}, client);
+
+      return { status: 200, body: { message: 'Password has been reset. You can now log in.' } };
+    });
+
+    res.status(outcome.status).json(outcome.body);
+  } catch (err) {
+    console.error('❌ Reset password failed:', err);
+    res.status(500).json({ message: 'Failed to reset password.' });
+  }
+});
+
+// ======================= SESSIONS =======================
+// Exchange a refresh token for a new access/refresh pair (rotation)
+router.post('/auth/refresh', validate(schemas.refresh), async (req, res) => {
+  const { refreshToken } = req.body;
+
+  try {
+    const rotated = await rotateSession(refreshToken, req);
+    if (!rotated) return res.status(401).json({ message: 'Session expired. Please log in again.' });
+    res.json({ token: rotated.token, refreshToken: rotated.refreshToken });
+  } catch (err) {
+    console.error('Token refresh error:', err);
+    res.status(500).json({ message: 'Server error refreshing session.' });
+  }
+});
+
+// Ends the session that owns this refresh token (works even if the access token expired)
+router.post('/auth/logout', validate(schemas.logout), async (req, res) => {
+  const { refreshToken } = req.body;
+  if (!refreshToken) return res.json({ message: 'Logged out.' });
+
+  try {
+    await pool.query(
+      'UPDATE sessions SET revoked_at = NOW() WHERE refresh_token_hash = $1 AND revoked_at IS NULL',
+      [hashToken(refreshToken)]
+    );
+    res.json({ message: 'Logged out.' });
+  } catch (err) {
+    console.error('Logout error:', err);
+    res.status(500).json({ message: 'Server error during logout.' });
+  }
+});
+
+// Active sessions of the current user
+router.get('/auth/sessions', authenticateToken, requireInteractiveSession, async (req, res) => {
+  try {
+    const { rows } = await pool.query(
+      `SELECT session_id, user_agent, ip_address, created_at, last_used_at, expires_at
+         FROM sessions
+        WHERE employee_id = $1
+          AND revoked_at IS NULL
+          AND expires_at > NOW()
+        ORDER BY last_used_at DESC`,
+      [req.user.employeeId]
+    );
+    res.json(rows.map((r) => ({
+      ...r,
+      device: describeUserAgent(r.user_agent),
+      current: r.session_id === req.user.sid,
+    })));
+  } catch (err) {
+    console.error('Error fetching sessions:', err);
+    res.status(500).json({ message: 'Failed to fetch sessions.' });
+  }
+});
+
+// Revoke every session of the current user ("log out everywhere")
+router.delete('/auth/sessions', authenticateToken, requireInteractiveSession, async (req, res) => {
+  try {
+    const revoked = await revokeEmployeeSessions(req.user.employeeId);
+    res.json({ message: 'Logged out of all sessions.', revoked });
+  } catch (err) {
+    console.error('Error revoking sessions:', err);
+    res.status(500).json({ message: 'Failed to revoke sessions.' });
+  }
+});
+
+// Revoke a single session of the current user
+router.delete('/auth/sessions/:sessionId', authenticateToken, requireInteractiveSession, validate(schemas.revokeSession), async (req, res) => {
+  const { sessionId } = req.params;
+
+  try {
+    const { rowCount } = await pool.query(
+      `UPDATE sessions
+          SET revoked_at = NOW()
+        WHERE session_id = $1
+          AND employee_id = $2
+          AND revoked_at IS NULL`,
+      [sessionId, req.user.employeeId]
+    );
+    if (!rowCount) return res.status(404).json({ message: 'Session not found.' });
+    res.json({ message: 'Session revoked.' });
+  } catch (err) {
+    console.error('Error revoking session:', err);
+    res.status(500).json({ message: 'Failed to revoke session.' });
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,244 @@
+// routes/businessUnits.js
+// Business units (utils/businessUnits.js): the list everyone picks from when editing projects,
+// their maintenance and merge review for business_units.manage, and the BU rollup report.
+const express = require('express');
+const router = express.Router();
+const { authenticateToken, requirePermission } = require('../middleware/authMiddleware');
+const { withTransaction } = require('../utils/transactionHelper');
+const { ENTITY_TYPES, recordAudit } = require('../utils/audit');
+const {
+  normalizeBuKey, listBusinessUnits, loadBusinessUnit, addAliases, findSpellingOwner,
+  findMergeCandidates, businessUnitRollup,
+} = require('../utils/businessUnits');
+const { validate, sendValidationError, bodyFieldErrors } = require('../middleware/validate');
+const schemas = require('../schemas/businessUnits');
+
+const canManage = requirePermission('business_units.manage');
+
+const NOT_FOUND = { status: 404, message: 'Business unit not found.' };
+
+// Field errors for spellings that are empty once normalized or already name another unit
+const checkSpellings = async (client, fields, exceptBuId = null) => {
+  for (const [field, spelling] of fields) {
+    if (spelling === undefined) continue;
+    if (!normalizeBuKey(spelling)) return bodyFieldErrors(field, ['Must contain a letter or digit']);
+    const owner = await findSpellingOwner([spelling], exceptBuId, client);
+    if (owner) return bodyFieldErrors(field, [`"${owner.alias}" already names business unit "${owner.bu_id}"`]);
+  }
+  return null;
+};
+
+const aliasFields = (aliases = []) => aliases.map((alias, idx) => [`aliases.${idx}`, alias]);
+
+router.get('/business-units', authenticateToken, async (req, res) => {
+  try {
+    res.json(await listBusinessUnits());
+  } catch (err) {
+    console.error('Error fetching business units:', err);
+    res.status(500).json({ message: 'Failed to fetch business units.' });
+  }
+});
+
+// Suggested merges not reviewed yet, most alike first
+router.get('/business-units/merge-candidates', authenticateToken, canManage, async (req, res) => {
+  try {
+    res.json(await findMergeCandidates());
+  } catch (err) {
+    console.error('Error fetching business unit merge candidates:', err);
+    res.status(500).json({ message: 'Failed to fetch merge candidates.' });
+  }
+});
+
+router.get('/business-units/rollup', authenticateToken, requirePermission('reports.view'), validate(schemas.rollup), async (req, res) => {
+  try {
+    res.json(await businessUnitRollup(req.query));
+  } catch (err) {
+    console.error('Error building business unit rollup:', err);
+    res.status(500).json({ message: 'Failed to build the business unit report.' });
+  }
+});
+
+router.post('/business-units', authenticateToken, canManage, validate(schemas.createBusinessUnit), async (req, res) => {
+  const { buId, buName, aliases } = req.body;
+
+  try {
+    const outcome = await withTransaction(async (client) => {
+      const errors = await checkSpellings(client, [['buId', buId], ['buName', buName], ...aliasFields(aliases)]);
+      if (errors) return { errors };
+
+      await client.query('INSERT INTO business_units (bu_id, bu_name) VALUES ($1, $2)', [buId, buName || buId]);
+      await addAliases(client, buId, [buId, buName || buId, ...(aliases || [])]);
+      const after = await loadBusinessUnit(buId, client);
+      await recordAudit(client, req, {
+        entityType: ENTITY_TYPES.BUSINESS_UNIT, entityId: buId, action: 'create', after,
+      });
+      return { unit: after };
+    });
+    if (outcome.errors) return sendValidationError(res, outcome.errors);
+    res.status(201).json({ message: 'Business unit created.', unit: outcome.unit });
+  } catch (err) {
+    if (err.code === '23505') return res.status(409).json({ message: 'A business unit with this ID or name already exists.' });
+    console.error('Error creating business unit:', err);
+    res.status(500).json({ message: 'Failed to create business unit.' });
+  }
+});
+
+// A new id or name keeps the old one as a spelling, so values sent by old clients still resolve.
+// aliases, when given, replaces the other spellings.
+router.put('/business-units/:buId', authenticateToken, canManage, validate(schemas.updateBusinessUnit), async (req, res) => {
+  const { buId } = req.params;
+  const { newBuId, buName, isActive, aliases } = req.body;
+
+  try {
+    const outcome = await withTransaction(async (client) => {
+      const before = await loadBusinessUnit(buId, client);
+      if (!before) return NOT_FOUND;
+      const errors = await checkSpellings(
+        client, [['newBuId', newBuId], ['buName', buName], ...aliasFields(aliases)], buId
+      );
+      if (errors) return { errors };
+
+      const targetId = newBuId || buId;
+      if (targetId !== buId) {
+        const taken = await client.query('SELECT 1 FROM business_units WHERE bu_id = $1', [targetId]);
+        if (taken.rowCount) return { status: 409, message: `Business unit "${targetId}" already exists.` };
+        // Projects, aliases and reviews follow through ON UPDATE CASCADE
+        await client.query('UPDATE business_units SET bu_id = $1 WHERE bu_id = $2', [targetId, buId]);
+      }
+      await client.query(
+        `UPDATE business_units
+            SET bu_name = COALESCE($2, bu_name),
+                is_active = COALESCE($3, is_active),
+                updated_at = NOW()
+          WHERE bu_id = $1`,
+        [targetId, buName ?? null, isActive ?? null]
+      );
+      const spellings = [targetId, buName || before.bu_name];
+      if (targetId !== buId) spellings.push(buId);
+      if (buName && buName !== before.bu_name) spellings.push(before.bu_name);
+      if (aliases) {
+        await client.query('DELETE FROM business_unit_aliases WHERE bu_id = $1', [targetId]);
+        spellings.push(...aliases);
+      }
+      await addAliases(client, targetId, spellings);
+
+      const after = await loadBusinessUnit(targetId, client);
+      await recordAudit(client, req, {
+        entityType: ENTITY_TYPES.BUSINESS_UNIT,
+        entityId: targetId,
+        action: 'update',
+        before,
+        after,
+        metadata: targetId !== buId ? { renamedFrom: buId } : null,
+      });
+      return { unit: after };
+    });
+    if (outcome.errors) return sendValidationError(res, outcome.errors);
+    if (!outcome.unit) return res.status(outcome.status).json({ message: outcome.message });
+    res.json({ message: 'Business unit updated.', unit: outcome.unit });
+  } catch (err) {
+    if (err.code === '23505') return res.status(409).json({ message: 'A business unit with this name already exists.' });
+    console.error('Error updating business unit:', err);
+    res.status(500).json({ message: 'Failed to update business unit.' });
+  }
+});
+
+// Only units no project uses (archived projects included); the others are merged or deactivated
+router.delete('/business-units/:buId', authenticateToken, canManage, validate(schemas.deleteBusinessUnit), async (req, res) => {
+  const { buId } = req.params;
+
+  try {
+    const outcome = await withTransaction(async (client) => {
+      const before = await loadBusinessUnit(buId, client);
+      if (!before) return NOT_FOUND;
+      const used = before.project_count + before.archived_project_count;
+      if (used > 0) {
+        return {
+          status: 409,
+          message: `"${before.bu_name}" is used by ${used} project(s). Merge it into another unit or deactivate it instead.`,
+        };
+      }
+      await client.query('DELETE FROM business_units WHERE bu_id = $1', [buId]);
+      await recordAudit(client, req, {
+        entityType: ENTITY_TYPES.BUSINESS_UNIT, entityId: buId, action: 'delete', before,
+      });
+      return { status: 200, message: 'Business unit deleted.' };
+    });
+    res.status(outcome.status).json({ message: outcome.message });
+  } catch (err) {
+    console.error('Error deleting business unit:', err);
+    res.status(500).json({ message: 'Failed to delete business unit.' });
+  }
+});
+
+// Moves the unit's projects and spellings to intoBuId and deletes it
+router.post('/business-units/:buId/merge', authenticateToken, canManage, validate(schemas.mergeBusinessUnit), async (req, res) => {
+  const { buId } = req.params;
+  const { intoBuId } = req.body;
+  if (intoBuId === buId) return sendValidationError(res, bodyFieldErrors('intoBuId', ['Cannot merge a unit into itself']));
+
+  try {
+    const outcome = await withTransaction(async (client) => {
+      const source = await loadBusinessUnit(buId, client);
+      if (!source) return NOT_FOUND;
+      const target = await loadBusinessUnit(intoBuId, client);
+      if (!target) return { errors: bodyFieldErrors('intoBuId', ['Business unit not found']) };
+
+      const moved = await client.query('UPDATE projects SET bu_id = $1 WHERE bu_id = $2', [intoBuId, buId]);
+      await client.query('UPDATE business_unit_aliases SET bu_id = $1 WHERE bu_id = $2', [intoBuId, buId]);
+      await addAliases(client, intoBuId, [source.bu_id, source.bu_name]);
+      await client.query('DELETE FROM business_units WHERE bu_id = $1', [buId]);
+
+      const after = await loadBusinessUnit(intoBuId, client);
+      await recordAudit(client, req, {
+        entityType: ENTITY_TYPES.BUSINESS_UNIT,
+        entityId: buId,
+        action: 'delete',
+        before: source,
+        after,
+        metadata: { operation: 'merge', mergedInto: intoBuId, projects: moved.rowCount },
+      });
+      return { unit: after, projects: moved.rowCount };
+    });
+    if (outcome.errors) return sendValidationError(res, outcome.errors);
+    if (!outcome.unit) return res.status(outcome.status).json({ message: outcome.message });
+    res.json({
+      message: `Merged "${buId}" into "${intoBuId}" (${outcome.projects} project(s) moved).`,
+      unit: outcome.unit,
+    });
+  } catch (err) {
+    console.error('Error merging business units:', err);
+    res.status(500).json({ message: 'Failed to merge business units.' });
+  }
+});
+
+// Keeps a suggested pair apart; it is not suggested again
+router.post('/business-units/merge-candidates/dismiss', authenticateToken, canManage, validate(schemas.dismissMergeCandidate), async (req, res) => {
+  const [buA, buB] = [...req.body.buIds].sort();
+
+  try {
+    const outcome = await withTransaction(async (client) => {
+      const { rows } = await client.query('SELECT bu_id FROM business_units WHERE bu_id = ANY($1::varchar[])', [[buA, buB]]);
+      if (rows.length < 2) return NOT_FOUND;
+      await client.query(
+        `INSERT INTO business_unit_merge_reviews (bu_a, bu_b, reviewed_by)
+         VALUES ($1, $2, $3)
+         ON CONFLICT (bu_a, bu_b) DO NOTHING`,
+        [buA, buB, req.user.employeeId ?? null]
+      );
+      await recordAudit(client, req, {
+        entityType: ENTITY_TYPES.BUSINESS_UNIT,
+        entityId: buA,
+        action: 'update',
+        metadata: { operation: 'keep_apart', with: buB },
+      });
+      return { status: 200, message: `"${buA}" and "${buB}" are kept apart.` };
+    });
+    res.status(outcome.status).json({ message: outcome.message });
+  } catch (err) {
+    console.error('Error dismissing business unit merge candidate:', err);
+    res.status(500).json({ message: 'Failed to save the review.' });
+  }
+});
+
+module.exports = router;
@@ -3,6 +3,26 @@ const express = require('express');
 const router = express.Router();
 const pool = require('../db/pool');
 const { authenticateToken } = require('../middleware/authMiddleware');
+const { requireEmployeeScope, requireTeamScope, employeeScopeCondition } = require('../middleware/scopeMiddleware');
+const { requireUnlockedDay, findDayLock } = require('../middleware/entryLocks');
+const { withTransaction } = require('../utils/transactionHelper');
+const { ENTITY_TYPES, recordAudit } = require('../utils/audit');
+const { listActivities, resolveActivityCodes } = require('../utils/activities');
+const { getHoursPolicy, checkDayHours } = require('../utils/hoursPolicy');
+const { listEmployeeHolidays, listWorkingDays } = require('../utils/holidays');
+const { findOverlappingLeave } = require('../utils/leave');
+const { weekDays } = require('../utils/timesheets');
+const { fillDay } = require('../utils/dayEntries');
+const { recordDayRevisions, listDayRevisions, loadDayRevision } = require('../utils/entryRevisions');
+const { listAssignments } = require('../utils/projectAssignments');
+const { listDayTaskSplits, replaceTaskSplit, checkTaskSplits, dropOversizedTaskSplits, listTaskHours } = require('../utils/projectTasks');
+const { validate, sendValidationError, bodyFieldErrors } = require('../middleware/validate');
+const schemas = require('../schemas/daily');
+
+// Employees see only their own rows, team leads their team's, admins everything
+const employeeScope = requireEmployeeScope();
+const bodyEmployeeScope = requireEmployeeScope((req) => req.body?.employeeId);
+const teamScope = requireTeamScope();
 
 /**
  * Tables:
@@ -10,179 +30,338 @@ const { authenticateToken } = require('../middleware/authMiddleware');
  * - daily_entry_project_utilization(entry_date DATE)  UNIQUE(employee_id, project_id, entry_date)
  */
 
-const norm = (v = '') => String(v).trim();
+// Inputs are checked and normalised by ../schemas/daily.js before a handler runs:
+// dates are 'YYYY-MM-DD' strings, ids are numbers, hours are numbers in 0..24.
 const isBlank = (v) => v === undefined || v === null || String(v).trim() === '';
 
-function parseHours(v) {
-  if (v === '' || v === null || v === undefined) return 0;
-  const n = Number(v);
-  if (!Number.isFinite(n)) throw Object.assign(new Error('hours must be a number'), { status: 400 });
-  return n;
-}
-function ensureNonNegativeHours(val) {
-  if (!Number.isFinite(val) || val < 0) {
-    const err = new Error('hours must be a non-negative number');
-    err.status = 400;
-    throw err;
-  }
-  return val;
-}
-function assertDateString(yyyy_mm_dd, label = 'date') {
-  if (isBlank(yyyy_mm_dd)) {
-    const err = new Error(`${label} is required`);
-    err.status = 400;
-    throw err;
-  }
-  if (!/^\d{4}-\d{2}-\d{2}$/.test(String(yyyy_mm_dd))) {
-    const err = new Error(`${label} must be YYYY-MM-DD`);
-    err.status = 400;
-    throw err;
-  }
-  return String(yyyy_mm_dd);
-}
+// Audit entity ids: one employee-day for utilization, one employee-project-day for project rows
+const utilizationEntityId = (employeeId, day) => `${employeeId}/${day}`;
+const projectUtilizationEntityId = (employeeId, projectId, day) => `${employeeId}/${projectId}/${day}`;
+
 // Local "today" as YYYY-MM-DD in Asia/Kolkata (no UTC drift)
 function todayYMDLocal() {
   return new Intl.DateTimeFormat('en-CA', { timeZone: 'Asia/Kolkata' }).format(new Date());
 }
 
-// ONLY compare strings (YYYY-MM-DD); never construct Date objects
-function validateDateWindow(start, end, label = 'date range') {
-  if (!isBlank(start) && !isBlank(end)) {
-    assertDateString(start, `${label} start`);
-    assertDateString(end, `${label} end`);
-    if (start > end) {
-      const err = new Error(`${label}: start cannot be after end`);
-      err.status = 400;
-      throw err;
-    }
-  }
-}
-
 // Accept date from body.entryDate OR query.date OR params.date (in that order)
-function getEntryDate(req, label = 'entryDate') {
-  const d = req.body?.entryDate ?? req.query?.date ?? req.params?.date;
-  return assertDateString(d, label);
+function getEntryDate(req) {
+  return req.body?.entryDate ?? req.query?.date ?? req.params?.date;
 }
 
+const MISSING_ENTRY_DATE = bodyFieldErrors('entryDate', ['entryDate is required']);
+
+// Blocks changes to days whose week is approved (every mutating route below)
+const dayLock = requireUnlockedDay((req) => req.params.employeeId ?? req.body?.employeeId, getEntryDate);
+
+// Hours policy violations (utils/hoursPolicy.js) as body field errors.
+// fieldFor(activityCode) names the field for an activity cap, fieldFor(null) the one for the day limit.
+const hoursPolicyErrors = (violations, fieldFor) =>
+  violations.map((v) => ({ location: 'body', field: fieldFor(v.activity), message: v.message }));
+
+// Rows written by an approved leave request (routes/leave.js) change only through that request
+const leaveRowMessage = (row) =>
+  `This ${row.activity} row is approved leave (request #${row.leave_request_id}); cancel the leave request to change it.`;
+
+// Project row as audited when its task split (utils/projectTasks.js) was replaced too
+const withTaskSplit = (row, split) => (row && split ? { ...row, task_split: split } : row);
+
+/* =============================================================================
+   HOURS POLICY
+============================================================================= */
+
+// Day limits for the entry form's running total; activity caps come with /api/activities
+router.get('/hours-policy', authenticateToken, (_req, res) => {
+  res.json(getHoursPolicy());
+});
+
 /* =============================================================================
    UTILIZATION (per-day, non-project)
 ============================================================================= */
 
-router.get('/daily-entries/:employeeId/:date', authenticateToken, async (req, res) => {
-  const { employeeId, date } = req.params;
+router.get('/daily-entries/:employeeId/:date', authenticateToken, validate(schemas.getUtilization), employeeScope, async (req, res) => {
+  const { employeeId, date: day } = req.params;
   try {
-    const day = assertDateString(date, 'date');
     const { rows } = await pool.query(
-      `SELECT utilization_id, activity, utilization_hours, utilization_comments
-         FROM daily_entry_utilization
-        WHERE employee_id = $1 AND entry_date = $2::date
-        ORDER BY activity`,
+      `SELECT du.utilization_id, du.activity, a.label AS activity_label, du.utilization_hours, du.utilization_comments,
+              du.leave_request_id
+         FROM daily_entry_utilization du
+         LEFT JOIN activities a ON a.activity_code = du.activity
+        WHERE du.employee_id = $1 AND du.entry_date = $2::date
+        ORDER BY a.sort_order, du.activity`,
       [employeeId, day]
     );
     res.json(rows);
   } catch (err) {
     console.error('GET daily utilization error:', err);
-    res.status(err.status || 500).json({ message: err.message || 'Failed to fetch utilization.' });
+    res.status(500).json({ message: 'Failed to fetch utilization.' });
   }
 });
 
 // POST replace all utilization rows for the day
-// body: { employeeId, entryDate (YYYY-MM-DD), activities: [{activity, hours, comments?}] }
-router.post('/daily-entries', authenticateToken, async (req, res) => {
-  const { employeeId, entryDate, activities = [] } = req.body;
+// body: { employeeId, entryDate (YYYY-MM-DD), activities: [{activity (code or label), hours, comments?}] }
+router.post('/daily-entries', authenticateToken, validate(schemas.replaceUtilization), bodyEmployeeScope, dayLock, async (req, res) => {
+  const { employeeId, entryDate: day, activities } = req.body;
 
+  const client = await pool.connect();
   try {
-    if (!employeeId) { const e = new Error('employeeId is required'); e.status = 400; throw e; }
-    const day = assertDateString(entryDate, 'entryDate');
+    await client.query('BEGIN');
 
-    for (const a of activities) {
-      if (isBlank(a?.activity)) { const e = new Error('activity is required'); e.status = 400; throw e; }
-      ensureNonNegativeHours(parseHours(a?.hours));
-    }
+    const before = await client.query(
+      `DELETE FROM daily_entry_utilization WHERE employee_id = $1 AND entry_date = $2::date RETURNING *`,
+      [employeeId, day]
+    );
 
-    const client = await pool.connect();
-    try {
-      await client.query('BEGIN');
+    // Activities retired since the day was saved may stay on it
+    const { codes, errors } = await resolveActivityCodes(
+      activities.map((a) => a.activity),
+      { keepCodes: before.rows.map((r) => r.activity) },
+      client
+    );
+    const fieldErrors = [];
+    codes.forEach((code, idx) => {
+      const message = errors[idx] || (codes.indexOf(code) < idx ? `activity "${code}" appears more than once` : null);
+      if (message) fieldErrors.push({ location: 'body', field: `activities.${idx}.activity`, message });
+    });
+    // Leave rows must come back unchanged; they keep their link to the leave request
+    const leaveRequestIds = codes.map(() => null);
+    before.rows.filter((r) => r.leave_request_id).forEach((r) => {
+      const idx = codes.indexOf(r.activity);
+      if (idx === -1) {
+        fieldErrors.push({ location: 'body', field: 'activities', message: leaveRowMessage(r) });
+      } else if (Number(activities[idx].hours) !== Number(r.utilization_hours)) {
+        fieldErrors.push({ location: 'body', field: `activities.${idx}.hours`, message: leaveRowMessage(r) });
+      } else {
+        leaveRequestIds[idx] = r.leave_request_id;
+      }
+    });
+    if (fieldErrors.length) {
+      await client.query('ROLLBACK');
+      return sendValidationError(res, fieldErrors);
+    }
 
-      await client.query(
-        `DELETE FROM daily_entry_utilization WHERE employee_id = $1 AND entry_date = $2::date`,
-        [employeeId, day]
+    const after = [];
+    for (const [idx, a] of activities.entries()) {
+      const inserted = await client.query(
+        `INSERT INTO daily_entry_utilization
+           (employee_id, entry_date, activity, utilization_hours, utilization_comments, leave_request_id)
+         VALUES ($1, $2::date, $3, $4, $5, $6)
+         RETURNING *`,
+        [employeeId, day, codes[idx], a.hours, isBlank(a.comments) ? null : a.comments, leaveRequestIds[idx]]
       );
+      after.push(inserted.rows[0]);
+    }
 
-      for (const a of activities) {
-        await client.query(
-          `INSERT INTO daily_entry_utilization
-             (employee_id, entry_date, activity, utilization_hours, utilization_comments)
-           VALUES ($1, $2::date, $3, $4, $5)`,
-          [
-            employeeId,
-            day,
-            String(a.activity).trim(),
-            parseHours(a.hours),
-            isBlank(a.comments) ? null : String(a.comments)
-          ]
-        );
-      }
+    const policy = await checkDayHours(employeeId, day, client);
+    if (policy.violations.length) {
+      await client.query('ROLLBACK');
+      return sendValidationError(res, hoursPolicyErrors(
+        policy.violations,
+        (code) => (code ? `activities.${codes.indexOf(code)}.hours` : 'activities')
+      ));
+    }
 
-      await client.query('COMMIT');
-      res.json({ message: 'Utilization saved' });
-    } catch (err) {
-      try { await client.query('ROLLBACK'); } catch {}
-      console.error('POST daily utilization error:', err);
-      res.status(500).json({ message: 'Failed to save utilization.' });
-    } finally {
-      client.release();
+    if (before.rowCount || after.length) {
+      await recordAudit(client, req, {
+        entityType: ENTITY_TYPES.DAILY_UTILIZATION,
+        entityId: utilizationEntityId(employeeId, day),
+        action: !before.rowCount ? 'create' : !after.length ? 'delete' : 'update',
+        before: before.rows,
+        after,
+      });
+      await recordDayRevisions(client, req, [{ employeeId, day }], { source: 'entry' });
     }
+
+    await client.query('COMMIT');
+    res.json({ message: 'Utilization saved', warnings: policy.warnings, totals: policy.totals });
   } catch (err) {
-    res.status(err.status || 400).json({ message: err.message });
+    try { await client.query('ROLLBACK'); } catch {}
+    console.error('POST daily utilization error:', err);
+    res.status(500).json({ message: 'Failed to save utilization.' });
+  } finally {
+    client.release();
   }
 });
 
-router.put('/daily-entries/:employeeId/:date/:utilizationId', authenticateToken, async (req, res) => {
-  const { employeeId, date, utilizationId } = req.params;
+router.put('/daily-entries/:employeeId/:date/:utilizationId', authenticateToken, validate(schemas.updateUtilization), employeeScope, dayLock, async (req, res) => {
+  const { employeeId, date: day, utilizationId } = req.params;
   const { activity, hours, comments } = req.body;
   try {
-    const day = assertDateString(date, 'date');
+    const outcome = await withTransaction(async (client) => {
+      const before = await client.query(
+        `SELECT * FROM daily_entry_utilization
+          WHERE employee_id = $1 AND entry_date = $2::date AND utilization_id = $3
+          FOR UPDATE`,
+        [employeeId, day, utilizationId]
+      );
+      if (!before.rowCount) return { rowCount: 0 };
+      const leaveRow = before.rows[0].leave_request_id ? before.rows[0] : null;
+      if (leaveRow && hours !== undefined && Number(hours) !== Number(leaveRow.utilization_hours)) {
+        return { status: 409, message: leaveRowMessage(leaveRow) };
+      }
 
-    const sets = [];
-    const params = [];
-    let i = 1;
+      const sets = [];
+      const params = [];
+      let i = 1;
 
-    if (activity  !== undefined) { sets.push(`activity = $${i++}`); params.push(String(activity).trim()); }
-    if (hours     !== undefined)  { sets.push(`utilization_hours = $${i++}`); params.push(parseHours(hours)); }
-    if (comments  !== undefined)  { sets.push(`utilization_comments = $${i++}`); params.push(isBlank(comments) ? null : String(comments)); }
+      if (activity !== undefined) {
+        const { codes, errors } = await resolveActivityCodes([activity], { keepCodes: [before.rows[0].activity] }, client);
+        if (errors[0]) return { errors: bodyFieldErrors('activity', [errors[0]]) };
+        if (leaveRow && codes[0] !== leaveRow.activity) return { status: 409, message: leaveRowMessage(leaveRow) };
+        sets.push(`activity = $${i++}`); params.push(codes[0]);
+      }
+      if (hours     !== undefined)  { sets.push(`utilization_hours = $${i++}`); params.push(hours); }
+      if (comments  !== undefined)  { sets.push(`utilization_comments = $${i++}`); params.push(isBlank(comments) ? null : comments); }
 
-    if (!sets.length) return res.status(400).json({ message: 'No fields to update.' });
-    params.push(employeeId, day, utilizationId);
+      params.push(employeeId, day, utilizationId);
 
-    const { rowCount } = await pool.query(
-      `UPDATE daily_entry_utilization
-          SET ${sets.join(', ')}
-        WHERE employee_id = $${i++} AND entry_date = $${i++}::date AND utilization_id = $${i++}`,
-      params
-    );
-    if (!rowCount) return res.status(404).json({ message: 'Utilization row not found' });
-    res.json({ message: 'Utilization updated' });
+      // withTransaction commits whatever the callback returns, so a policy violation undoes the update here
+      await client.query('SAVEPOINT hours_policy');
+      const updated = await client.query(
+        `UPDATE daily_entry_utilization
+            SET ${sets.join(', ')}
+          WHERE employee_id = $${i++} AND entry_date = $${i++}::date AND utilization_id = $${i++}
+          RETURNING *`,
+        params
+      );
+      const policy = await checkDayHours(employeeId, day, client);
+      if (policy.violations.length) {
+        await client.query('ROLLBACK TO SAVEPOINT hours_policy');
+        return { errors: hoursPolicyErrors(policy.violations, () => 'hours') };
+      }
+
+      await recordAudit(client, req, {
+        entityType: ENTITY_TYPES.DAILY_UTILIZATION,
+        entityId: utilizationEntityId(employeeId, day),
+        action: 'update',
+        before: before.rows,
+        after: updated.rows,
+      });
+      await recordDayRevisions(client, req, [{ employeeId, day }], { source: 'entry' });
+      return { rowCount: updated.rowCount, policy };
+    });
+    if (outcome.errors) return sendValidationError(res, outcome.errors);
+    if (outcome.status) return res.status(outcome.status).json({ message: outcome.message });
+    if (!outcome.rowCount) return res.status(404).json({ message: 'Utilization row not found' });
+    res.json({ message: 'Utilization updated', warnings: outcome.policy.warnings, totals: outcome.policy.totals });
   } catch (err) {
     console.error('PUT daily utilization error:', err);
-    res.status(err.status || 500).json({ message: err.message || 'Failed to update utilization.' });
+    res.status(500).json({ message: 'Failed to update utilization.' });
   }
 });
 
-router.delete('/daily-entries/:employeeId/:date/:utilizationId', authenticateToken, async (req, res) => {
-  const { employeeId, date, utilizationId } = req.params;
+router.delete('/daily-entries/:employeeId/:date/:utilizationId', authenticateToken, validate(schemas.deleteUtilization), employeeScope, dayLock, async (req, res) => {
+  const { employeeId, date: day, utilizationId } = req.params;
   try {
-    const day = assertDateString(date, 'date');
-    const { rowCount } = await pool.query(
-      `DELETE FROM daily_entry_utilization
-        WHERE employee_id = $1 AND entry_date = $2::date AND utilization_id = $3`,
-      [employeeId, day, utilizationId]
-    );
-    if (!rowCount) return res.status(404).json({ message: 'Utilization row not found' });
+    const outcome = await withTransaction(async (client) => {
+      const deleted = await client.query(
+        `DELETE FROM daily_entry_utilization
+          WHERE employee_id = $1 AND entry_date = $2::date AND utilization_id = $3
+            AND leave_request_id IS NULL
+          RETURNING *`,
+        [employeeId, day, utilizationId]
+      );
+      if (deleted.rowCount) {
+        await recordAudit(client, req, {
+          entityType: ENTITY_TYPES.DAILY_UTILIZATION,
+          entityId: utilizationEntityId(employeeId, day),
+          action: 'delete',
+          before: deleted.rows,
+        });
+        await recordDayRevisions(client, req, [{ employeeId, day }], { source: 'entry' });
+        return { rowCount: deleted.rowCount };
+      }
+      const { rows } = await client.query(
+        `SELECT activity, leave_request_id FROM daily_entry_utilization
+          WHERE employee_id = $1 AND entry_date = $2::date AND utilization_id = $3`,
+        [employeeId, day, utilizationId]
+      );
+      return rows[0] ? { status: 409, message: leaveRowMessage(rows[0]) } : { rowCount: 0 };
+    });
+    if (outcome.status) return res.status(outcome.status).json({ message: outcome.message });
+    if (!outcome.rowCount) return res.status(404).json({ message: 'Utilization row not found' });
     res.json({ message: 'Utilization row deleted' });
   } catch (err) {
     console.error('DELETE daily utilization error:', err);
-    res.status(err.status || 500).json({ message: err.message || 'Failed to delete utilization.' });
+    res.status(500).json({ message: 'Failed to delete utilization.' });
+  }
+});
+
+/* =============================================================================
+   COPY A DAY
+============================================================================= */
+
+// Copies one day's utilization rows (and optionally its project hours) into each working day
+// of [startDate, endDate]. Weekends, holidays, locked days, days on leave and, unless
+// overwrite is set, days that already have entries are skipped and listed in the response.
+// body: { employeeId, sourceDate, startDate, endDate?, includeProjects?, includeComments?, overwrite? }
+router.post('/daily-entries/copy', authenticateToken, validate(schemas.copyDay), bodyEmployeeScope, async (req, res) => {
+  const { employeeId, sourceDate, startDate, includeProjects, includeComments, overwrite } = req.body;
+  const endDate = req.body.endDate || startDate;
+
+  if (sourceDate >= startDate && sourceDate <= endDate) {
+    return sendValidationError(res, bodyFieldErrors('sourceDate', ['sourceDate cannot be one of the days being filled']));
+  }
+
+  try {
+    const outcome = await withTransaction(async (client) => {
+      // Leave rows belong to their leave request and are never copied
+      const { rows: sourceActivities } = await client.query(
+        `SELECT du.activity, du.utilization_hours::float AS hours, du.utilization_comments AS comments
+           FROM daily_entry_utilization du
+           LEFT JOIN activities a ON a.activity_code = du.activity
+          WHERE du.employee_id = $1 AND du.entry_date = $2::date AND du.leave_request_id IS NULL
+          ORDER BY a.sort_order, du.activity`,
+        [employeeId, sourceDate]
+      );
+      const { rows: sourceProjects } = includeProjects
+        ? await client.query(
+          `SELECT project_id, project_name, employee_project_status,
+                  employee_project_start_date, employee_project_end_date,
+                  employee_planned_start_date, employee_planned_end_date,
+                  COALESCE(employee_project_hours, 0)::float AS hours, employee_project_comments AS comments
+             FROM daily_entry_project_utilization
+            WHERE employee_id = $1 AND entry_date = $2::date`,
+          [employeeId, sourceDate]
+        )
+        : { rows: [] };
+
+      // Activities retired since the source day was saved are left out
+      const { codes, errors } = await resolveActivityCodes(sourceActivities.map((a) => a.activity), {}, client);
+      const warnings = errors.filter(Boolean);
+      const activities = sourceActivities
+        .filter((_, idx) => codes[idx])
+        .map((a) => ({ ...a, comments: includeComments ? a.comments : null }));
+      const projects = sourceProjects.map((p) => ({ ...p, comments: includeComments ? p.comments : null }));
+      if (!activities.length && !projects.length) {
+        return { status: 400, message: `${sourceDate} has no entries to copy.` };
+      }
+
+      const { days, skipped } = await listWorkingDays(employeeId, startDate, endDate, client);
+      const results = skipped.map((d) => ({ ...d, status: 'skipped' }));
+      for (const day of days) {
+        results.push(await fillDay(client, req, employeeId, day, {
+          activities,
+          projects,
+          overwrite,
+          source: 'copy',
+          metadata: { copiedFrom: sourceDate },
+        }));
+      }
+      results.sort((a, b) => a.date.localeCompare(b.date));
+      return { results, warnings };
+    });
+    if (!outcome.results) return res.status(outcome.status).json({ message: outcome.message });
+
+    const filled = outcome.results.filter((r) => r.status === 'filled');
+    res.json({
+      message: `Copied ${sourceDate} to ${filled.length} day(s).`,
+      filled: filled.map((r) => r.date),
+      skipped: outcome.results.filter((r) => r.status === 'skipped'),
+      warnings: [...outcome.warnings, ...filled.flatMap((r) => r.warnings)],
+    });
+  } catch (err) {
+    console.error('Copy daily entries error:', err);
+    res.status(500).json({ message: 'Failed to copy entries.' });
   }
 });
 
@@ -190,15 +369,34 @@ router.delete('/daily-entries/:employeeId/:date/:utilizationId', authenticateTok
    PROJECT (per-day rows)
 ============================================================================= */
 
-// Carry-forward: latest prior row (any gap) while status != 'Completed'
+// Maintain projects.actual_start_date as min of any employee_project_start_date
+const syncProjectActualStart = (projectId, db) =>
+  db.query(
+    `UPDATE projects p
+        SET actual_start_date = sub.min_actual_start
+      FROM (
+        SELECT project_id, MIN(employee_project_start_date) AS min_actual_start
+          FROM daily_entry_project_utilization
+         WHERE project_id = $1
+      GROUP BY project_id
+      ) AS sub
+     WHERE p.project_id = $1`,
+    [projectId]
+  );
+
+// Carry-forward: latest prior row (any gap) while status != 'Completed'.
+// Projects the employee is assigned to on that day (project_assignments) and has never logged
+// come as empty 'Active' rows with the assignment's planned dates.
 async function fetchEmployeeProjectsForDate(employeeId, day, status) {
   const params = [employeeId, day];
   let statusCurrent = '';
   let statusCarry = '';
+  let statusAssigned = '';
   if (!isBlank(status)) {
     params.push(status);
-    statusCurrent = ` AND depu.employee_project_status = $3`;
-    statusCarry   = ` AND lp.employee_project_status = $3`;
+    statusCurrent  = ` AND depu.employee_project_status = $3`;
+    statusCarry    = ` AND lp.employee_project_status = $3`;
+    statusAssigned = ` AND $3 = 'Active'`;
   }
 
   const { rows } = await pool.query(
@@ -217,9 +415,11 @@ async function fetchEmployeeProjectsForDate(employeeId, day, status) {
         depu.employee_project_comments,
         p.planned_start_date::text  AS project_planned_start_date,
         p.planned_end_date::text    AS project_planned_end_date,
-        depu.entry_date::text       AS entry_date
+        depu.entry_date::text       AS entry_date,
+        pa.assignment_id, pa.project_role, pa.planned_hours_per_week
       FROM daily_entry_project_utilization depu
       LEFT JOIN projects p ON p.project_id = depu.project_id
+      LEFT JOIN project_assignments pa ON pa.employee_id = depu.employee_id AND pa.project_id = depu.project_id
       WHERE depu.employee_id = $1
         AND depu.entry_date  = $2::date
         ${statusCurrent}
@@ -246,10 +446,13 @@ async function fetchEmployeeProjectsForDate(employeeId, day, status) {
         NULL::text    AS employee_project_comments,
         p.planned_start_date::text  AS project_planned_start_date,
         p.planned_end_date::text    AS project_planned_end_date,
-        $2::text AS entry_date
+        $2::text AS entry_date,
+        pa.assignment_id, pa.project_role, pa.planned_hours_per_week
       FROM last_prior lp
       LEFT JOIN projects p ON p.project_id = lp.project_id
+      LEFT JOIN project_assignments pa ON pa.employee_id = lp.employee_id AND pa.project_id = lp.project_id
       WHERE lp.employee_project_status <> 'Completed'
+        AND p.archived_at IS NULL  -- archived projects are not carried into new days
         ${statusCarry}
         AND NOT EXISTS (
           SELECT 1
@@ -258,12 +461,47 @@ async function fetchEmployeeProjectsForDate(employeeId, day, status) {
              AND t.project_id  = lp.project_id
              AND t.entry_date  = $2::date
         )
+    ),
+    assigned_rows AS (
+      SELECT
+        NULL::bigint AS depu_id,
+        pa.project_id,
+        p.project_name,
+        pa.planned_start_date::text AS employee_planned_start_date,
+        pa.planned_end_date::text   AS employee_planned_end_date,
+        NULL::text AS employee_project_start_date,
+        NULL::text AS employee_project_end_date,
+        'Active' AS employee_project_status,
+        NULL::numeric AS employee_project_hours,
+        NULL::text    AS employee_project_comments,
+        p.planned_start_date::text  AS project_planned_start_date,
+        p.planned_end_date::text    AS project_planned_end_date,
+        $2::text AS entry_date,
+        pa.assignment_id, pa.project_role, pa.planned_hours_per_week
+      FROM project_assignments pa
+      JOIN projects p ON p.project_id = pa.project_id
+      WHERE pa.employee_id = $1
+        AND p.archived_at IS NULL
+        AND (pa.planned_start_date IS NULL OR pa.planned_start_date <= $2::date)
+        AND (pa.planned_end_date IS NULL OR pa.planned_end_date >= $2::date)
+        ${statusAssigned}
+        -- logged before: the carry-forward (or its 'Completed' status) decides
+        AND NOT EXISTS (SELECT 1 FROM last_prior lp WHERE lp.project_id = pa.project_id)
+        AND NOT EXISTS (
+          SELECT 1
+            FROM daily_entry_project_utilization t
+           WHERE t.employee_id = $1
+             AND t.project_id  = pa.project_id
+             AND t.entry_date  = $2::date
+        )
     )
     SELECT *
     FROM (
       SELECT * FROM current_rows
       UNION ALL
       SELECT * FROM carry_rows
+      UNION ALL
+      SELECT * FROM assigned_rows
     ) AS combined
     ORDER BY lower(project_name) NULLS LAST;
     `,
@@ -277,21 +515,21 @@ const getProjectsHandler = async (req, res) => {
   const { employeeId } = req.params;
   const { status } = req.query;
   try {
-    const d =
-      req.body?.entryDate ||
-      req.query?.date ||
-      req.params?.date ||
-      todayYMDLocal(); // fallback only if nothing provided
-    const day = assertDateString(d, 'date');
+    const day = getEntryDate(req) || todayYMDLocal(); // fallback only if nothing provided
     const rows = await fetchEmployeeProjectsForDate(employeeId, day, status);
-    res.json(rows);
+    // Task split of each saved row; carried / assigned rows have no hours to split yet
+    const splits = await listDayTaskSplits(employeeId, day);
+    res.json(rows.map((r) => ({
+      ...r,
+      tasks: r.depu_id == null ? [] : splits.filter((t) => t.project_id === r.project_id),
+    })));
   } catch (err) {
     console.error('GET employee project utilization error:', err);
-    res.status(err.status || 500).json({ message: err.message || 'Failed to fetch employee projects.' });
+    res.status(500).json({ message: 'Failed to fetch employee projects.' });
   }
 };
-router.get('/employee/:employeeId/projects', authenticateToken, getProjectsHandler);
-router.get('/employee/:employeeId/projects/:date', authenticateToken, getProjectsHandler);
+router.get('/employee/:employeeId/projects', authenticateToken, validate(schemas.listEmployeeProjects), employeeScope, getProjectsHandler);
+router.get('/employee/:employeeId/projects/:date', authenticateToken, validate(schemas.listEmployeeProjects), employeeScope, getProjectsHandler);
 
 const postProjectHandler = async (req, res) => {
   const { employeeId } = req.params;
@@ -304,218 +542,641 @@ const postProjectHandler = async (req, res) => {
     hours,
     comments,
     plannedStart,
-    plannedEnd
+    plannedEnd,
+    tasks
   } = req.body;
 
-  if (isBlank(projectId)) return res.status(400).json({ message: 'projectId is required' });
+  const day = getEntryDate(req);
+  if (!day) return sendValidationError(res, MISSING_ENTRY_DATE);
 
+  const client = await pool.connect();
   try {
-    const day = getEntryDate(req, 'entryDate');
-    if (!isBlank(startDate) || !isBlank(endDate)) validateDateWindow(startDate, endDate, 'actual date range');
-    if (!isBlank(plannedStart) || !isBlank(plannedEnd)) validateDateWindow(plannedStart, plannedEnd, 'planned date range');
-
-    const hrs = ensureNonNegativeHours(parseHours(hours));
-
-    const client = await pool.connect();
-    try {
-      await client.query('BEGIN');
-
-      await client.query(
-        `INSERT INTO daily_entry_project_utilization
-           (employee_id, project_id, entry_date, project_name,
-            employee_project_start_date, employee_project_end_date,
-            employee_project_status, employee_project_hours, employee_project_comments,
-            employee_planned_start_date, employee_planned_end_date)
-         VALUES ($1,$2,$3::date,$4,$5,$6,$7,$8,$9,$10,$11)
-         ON CONFLICT (employee_id, project_id, entry_date)
-         DO UPDATE SET
-           project_name                = COALESCE(EXCLUDED.project_name,                daily_entry_project_utilization.project_name),
-           employee_project_start_date = COALESCE(EXCLUDED.employee_project_start_date, daily_entry_project_utilization.employee_project_start_date),
-           employee_project_end_date   = COALESCE(EXCLUDED.employee_project_end_date,   daily_entry_project_utilization.employee_project_end_date),
-           employee_project_status     = COALESCE(EXCLUDED.employee_project_status,     daily_entry_project_utilization.employee_project_status),
-           employee_project_hours      = COALESCE(EXCLUDED.employee_project_hours,      daily_entry_project_utilization.employee_project_hours),
-           employee_project_comments   = COALESCE(EXCLUDED.employee_project_comments,   daily_entry_project_utilization.employee_project_comments),
-           employee_planned_start_date = COALESCE(EXCLUDED.employee_planned_start_date, daily_entry_project_utilization.employee_planned_start_date),
-           employee_planned_end_date   = COALESCE(EXCLUDED.employee_planned_end_date,   daily_entry_project_utilization.employee_planned_end_date)`,
-        [
-          employeeId,
-          norm(projectId),
-          day,
-          projectName ? norm(projectName) : null,
-          startDate || null,
-          endDate || null,
-          status || 'Active',
-          hrs,
-          isBlank(comments) ? null : comments,
-          plannedStart || null,
-          plannedEnd || null
-        ]
-      );
+    await client.query('BEGIN');
 
-      // Maintain projects.actual_start_date as min of any employee_project_start_date
-      await client.query(
-        `UPDATE projects p
-            SET actual_start_date = sub.min_actual_start
-          FROM (
-            SELECT project_id, MIN(employee_project_start_date) AS min_actual_start
-              FROM daily_entry_project_utilization
-             WHERE project_id = $1
-          GROUP BY project_id
-          ) AS sub
-         WHERE p.project_id = $1`,
-        [norm(projectId)]
-      );
+    const before = await client.query(
+      `SELECT * FROM daily_entry_project_utilization
+        WHERE employee_id = $1 AND project_id = $2 AND entry_date = $3::date
+        FOR UPDATE`,
+      [employeeId, projectId, day]
+    );
+
+    const saved = await client.query(
+      `INSERT INTO daily_entry_project_utilization
+         (employee_id, project_id, entry_date, project_name,
+          employee_project_start_date, employee_project_end_date,
+          employee_project_status, employee_project_hours, employee_project_comments,
+          employee_planned_start_date, employee_planned_end_date)
+       VALUES ($1,$2,$3::date,$4,$5,$6,$7,$8,$9,$10,$11)
+       ON CONFLICT (employee_id, project_id, entry_date)
+       DO UPDATE SET
+         project_name                = COALESCE(EXCLUDED.project_name,                daily_entry_project_utilization.project_name),
+         employee_project_start_date = COALESCE(EXCLUDED.employee_project_start_date, daily_entry_project_utilization.employee_project_start_date),
+         employee_project_end_date   = COALESCE(EXCLUDED.employee_project_end_date,   daily_entry_project_utilization.employee_project_end_date),
+         employee_project_status     = COALESCE(EXCLUDED.employee_project_status,     daily_entry_project_utilization.employee_project_status),
+         employee_project_hours      = COALESCE(EXCLUDED.employee_project_hours,      daily_entry_project_utilization.employee_project_hours),
+         employee_project_comments   = COALESCE(EXCLUDED.employee_project_comments,   daily_entry_project_utilization.employee_project_comments),
+         employee_planned_start_date = COALESCE(EXCLUDED.employee_planned_start_date, daily_entry_project_utilization.employee_planned_start_date),
+         employee_planned_end_date   = COALESCE(EXCLUDED.employee_planned_end_date,   daily_entry_project_utilization.employee_planned_end_date)
+       RETURNING *`,
+      [
+        employeeId,
+        projectId,
+        day,
+        projectName || null,
+        startDate || null,
+        endDate || null,
+        status || 'Active',
+        hours,
+        isBlank(comments) ? null : comments,
+        plannedStart || null,
+        plannedEnd || null
+      ]
+    );
+
+    const split = tasks === undefined ? null : await replaceTaskSplit(client, { employeeId, projectId, day, tasks });
+    if (split?.errors) {
+      await client.query('ROLLBACK');
+      return sendValidationError(res, split.errors);
+    }
+    const oversized = await checkTaskSplits(employeeId, day, client);
+    if (oversized.some((o) => o.project_id === projectId)) {
+      await client.query('ROLLBACK');
+      return sendValidationError(res, bodyFieldErrors('tasks', [oversized.find((o) => o.project_id === projectId).message]));
+    }
 
-      await client.query('COMMIT');
-      res.json({ message: 'Employee project saved' });
-    } catch (err) {
-      try { await client.query('ROLLBACK'); } catch {}
-      console.error('UPSERT employee project utilization error:', err);
-      if (err.code === '23503') return res.status(400).json({ message: 'employeeId or projectId does not exist.' });
-      if (err.code === '23514') return res.status(400).json({ message: 'Constraint failed for project utilization row.' });
-      if (err.code === '23505') return res.status(400).json({ message: 'Uniqueness violation (employee, project, date).' });
-      res.status(500).json({ message: 'Failed to save employee project.' });
-    } finally {
-      client.release();
+    const policy = await checkDayHours(employeeId, day, client);
+    if (policy.violations.length) {
+      await client.query('ROLLBACK');
+      return sendValidationError(res, hoursPolicyErrors(policy.violations, () => 'hours'));
     }
-  } catch (e) {
-    res.status(e.status || 400).json({ message: e.message });
+
+    await recordAudit(client, req, {
+      entityType: ENTITY_TYPES.PROJECT_UTILIZATION,
+      entityId: projectUtilizationEntityId(employeeId, projectId, day),
+      action: before.rowCount ? 'update' : 'create',
+      before: withTaskSplit(before.rows[0], split?.before),
+      after: withTaskSplit(saved.rows[0], split?.after),
+    });
+
+    await syncProjectActualStart(projectId, client);
+    await recordDayRevisions(client, req, [{ employeeId, day }], { source: 'entry' });
+
+    await client.query('COMMIT');
+    res.json({ message: 'Employee project saved', warnings: policy.warnings, totals: policy.totals });
+  } catch (err) {
+    try { await client.query('ROLLBACK'); } catch {}
+    console.error('UPSERT employee project utilization error:', err);
+    if (err.code === '23503') return res.status(400).json({ message: 'employeeId or projectId does not exist.' });
+    if (err.code === '23514') return res.status(400).json({ message: 'Constraint failed for project utilization row.' });
+    if (err.code === '23505') return res.status(400).json({ message: 'Uniqueness violation (employee, project, date).' });
+    res.status(500).json({ message: 'Failed to save employee project.' });
+  } finally {
+    client.release();
   }
 };
-router.post('/employee/:employeeId/projects', authenticateToken, postProjectHandler);
-router.post('/employee/:employeeId/projects/:date', authenticateToken, postProjectHandler);
+router.post('/employee/:employeeId/projects', authenticateToken, validate(schemas.saveEmployeeProject), employeeScope, dayLock, postProjectHandler);
+router.post('/employee/:employeeId/projects/:date', authenticateToken, validate(schemas.saveEmployeeProject), employeeScope, dayLock, postProjectHandler);
 
 const putProjectHandler = async (req, res) => {
   const { employeeId, projectId } = req.params;
-  const { projectName, startDate, endDate, status, hours, comments, plannedStart, plannedEnd } = req.body;
+  const { projectName, startDate, endDate, status, hours, comments, plannedStart, plannedEnd, tasks } = req.body;
+
+  const day = getEntryDate(req);
+  if (!day) return sendValidationError(res, MISSING_ENTRY_DATE);
+
+  const sets = [];
+  const params = [];
+  let i = 1;
+
+  if (projectName  !== undefined) { sets.push(`project_name = $${i++}`); params.push(projectName || null); }
+  if (startDate    !== undefined) { sets.push(`employee_project_start_date = $${i++}`); params.push(startDate || null); }
+  if (endDate      !== undefined) { sets.push(`employee_project_end_date   = $${i++}`); params.push(endDate || null); }
+  if (status       !== undefined) { sets.push(`employee_project_status     = $${i++}`); params.push(status || 'Active'); }
+  if (hours        !== undefined) { sets.push(`employee_project_hours      = $${i++}`); params.push(hours); }
+  if (comments     !== undefined) { sets.push(`employee_project_comments   = $${i++}`); params.push(isBlank(comments) ? null : comments); }
+  if (plannedStart !== undefined) { sets.push(`employee_planned_start_date = $${i++}`); params.push(plannedStart || null); }
+  if (plannedEnd   !== undefined) { sets.push(`employee_planned_end_date   = $${i++}`); params.push(plannedEnd || null); }
+
+  if (!sets.length && tasks === undefined) {
+    return sendValidationError(res, bodyFieldErrors('', ['No fields to update.']));
+  }
 
+  params.push(employeeId, projectId, day);
+
+  const client = await pool.connect();
   try {
-    const day = getEntryDate(req, 'entryDate');
-    if (startDate !== undefined || endDate !== undefined) validateDateWindow(startDate, endDate, 'actual date range');
-    if (plannedStart !== undefined || plannedEnd !== undefined) validateDateWindow(plannedStart, plannedEnd, 'planned date range');
-    if (hours !== undefined) ensureNonNegativeHours(parseHours(hours));
-
-    const sets = [];
-    const params = [];
-    let i = 1;
-
-    if (projectName  !== undefined) { sets.push(`project_name = $${i++}`); params.push(projectName ? norm(projectName) : null); }
-    if (startDate    !== undefined) { sets.push(`employee_project_start_date = $${i++}`); params.push(startDate || null); }
-    if (endDate      !== undefined) { sets.push(`employee_project_end_date   = $${i++}`); params.push(endDate || null); }
-    if (status       !== undefined) { sets.push(`employee_project_status     = $${i++}`); params.push(status || 'Active'); }
-    if (hours        !== undefined) { sets.push(`employee_project_hours      = $${i++}`); params.push(parseHours(hours)); }
-    if (comments     !== undefined) { sets.push(`employee_project_comments   = $${i++}`); params.push(isBlank(comments) ? null : comments); }
-    if (plannedStart !== undefined) { sets.push(`employee_planned_start_date = $${i++}`); params.push(plannedStart || null); }
-    if (plannedEnd   !== undefined) { sets.push(`employee_planned_end_date   = $${i++}`); params.push(plannedEnd || null); }
-
-    if (!sets.length) return res.status(400).json({ message: 'No fields to update.' });
-
-    params.push(employeeId, norm(projectId), day);
-
-    const client = await pool.connect();
-    try {
-      await client.query('BEGIN');
-
-      const { rowCount } = await client.query(
-        `UPDATE daily_entry_project_utilization
-            SET ${sets.join(', ')}
-          WHERE employee_id = $${i++} AND project_id = $${i++} AND entry_date = $${i++}::date`,
-        params
-      );
-      if (!rowCount) {
-        await client.query('ROLLBACK');
-        return res.status(404).json({ message: 'Employee project (for entryDate) not found.' });
-      }
+    await client.query('BEGIN');
 
-      await client.query(
-        `UPDATE projects p
-            SET actual_start_date = sub.min_actual_start
-          FROM (
-            SELECT project_id, MIN(employee_project_start_date) AS min_actual_start
-              FROM daily_entry_project_utilization
-             WHERE project_id = $1
-          GROUP BY project_id
-          ) AS sub
-         WHERE p.project_id = $1`,
-        [norm(projectId)]
-      );
+    const before = await client.query(
+      `SELECT * FROM daily_entry_project_utilization
+        WHERE employee_id = $1 AND project_id = $2 AND entry_date = $3::date
+        FOR UPDATE`,
+      [employeeId, projectId, day]
+    );
 
-      await client.query('COMMIT');
-      res.json({ message: 'Employee project updated' });
-    } catch (err) {
-      try { await client.query('ROLLBACK'); } catch {}
-      console.error('PUT employee project utilization error:', err);
-      if (err.code === '23514') return res.status(400).json({ message: 'Constraint failed for project utilization row.' });
-      res.status(500).json({ message: 'Failed to update employee project.' });
-    } finally {
-      client.release();
+    // Only the task split may be sent, which leaves the row itself as it is
+    const updated = !sets.length ? before : await client.query(
+      `UPDATE daily_entry_project_utilization
+          SET ${sets.join(', ')}
+        WHERE employee_id = $${i++} AND project_id = $${i++} AND entry_date = $${i++}::date
+        RETURNING *`,
+      params
+    );
+    if (!updated.rowCount) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ message: 'Employee project (for entryDate) not found.' });
     }
-  } catch (e) {
-    return res.status(e.status || 400).json({ message: e.message });
+
+    const split = tasks === undefined ? null : await replaceTaskSplit(client, { employeeId, projectId, day, tasks });
+    if (split?.errors) {
+      await client.query('ROLLBACK');
+      return sendValidationError(res, split.errors);
+    }
+    const oversized = await checkTaskSplits(employeeId, day, client);
+    if (oversized.some((o) => o.project_id === projectId)) {
+      await client.query('ROLLBACK');
+      return sendValidationError(res, bodyFieldErrors('tasks', [oversized.find((o) => o.project_id === projectId).message]));
+    }
+
+    const policy = await checkDayHours(employeeId, day, client);
+    if (policy.violations.length) {
+      await client.query('ROLLBACK');
+      return sendValidationError(res, hoursPolicyErrors(policy.violations, () => 'hours'));
+    }
+
+    await recordAudit(client, req, {
+      entityType: ENTITY_TYPES.PROJECT_UTILIZATION,
+      entityId: projectUtilizationEntityId(employeeId, projectId, day),
+      action: 'update',
+      before: withTaskSplit(before.rows[0], split?.before),
+      after: withTaskSplit(updated.rows[0], split?.after),
+    });
+
+    await syncProjectActualStart(projectId, client);
+    await recordDayRevisions(client, req, [{ employeeId, day }], { source: 'entry' });
+
+    await client.query('COMMIT');
+    res.json({ message: 'Employee project updated', warnings: policy.warnings, totals: policy.totals });
+  } catch (err) {
+    try { await client.query('ROLLBACK'); } catch {}
+    console.error('PUT employee project utilization error:', err);
+    if (err.code === '23514') return res.status(400).json({ message: 'Constraint failed for project utilization row.' });
+    res.status(500).json({ message: 'Failed to update employee project.' });
+  } finally {
+    client.release();
   }
 };
-router.put('/employee/:employeeId/projects/:projectId', authenticateToken, putProjectHandler);
-router.put('/employee/:employeeId/projects/:projectId/:date', authenticateToken, putProjectHandler);
-
-router.delete('/employee/:employeeId/projects/:projectId', authenticateToken, async (req, res) => {
-  const { employeeId, projectId } = req.params;
-  try {
-    const day = getEntryDate(req, 'date');
+router.put('/employee/:employeeId/projects/:projectId', authenticateToken, validate(schemas.updateEmployeeProject), employeeScope, dayLock, putProjectHandler);
+router.put('/employee/:employeeId/projects/:projectId/:date', authenticateToken, validate(schemas.updateEmployeeProject), employeeScope, dayLock, putProjectHandler);
 
-    const { rowCount } = await pool.query(
+// Removes one employee-project row for a day and re-derives projects.actual_start_date
+const removeEmployeeProjectForDay = (req, employeeId, projectId, day) =>
+  withTransaction(async (client) => {
+    const deleted = await client.query(
       `DELETE FROM daily_entry_project_utilization
-        WHERE employee_id = $1 AND project_id = $2 AND entry_date = $3::date`,
-      [employeeId, norm(projectId), day]
+        WHERE employee_id = $1 AND project_id = $2 AND entry_date = $3::date
+        RETURNING *`,
+      [employeeId, projectId, day]
     );
-    if (!rowCount) return res.status(404).json({ message: 'Employee project (for date) not found.' });
+    if (!deleted.rowCount) return 0;
 
-    await pool.query(
-      `UPDATE projects p
-          SET actual_start_date = sub.min_actual_start
-        FROM (
-          SELECT project_id, MIN(employee_project_start_date) AS min_actual_start
-            FROM daily_entry_project_utilization
-           WHERE project_id = $1
-        GROUP BY project_id
-        ) AS sub
-       WHERE p.project_id = $1`,
-      [norm(projectId)]
-    );
+    await syncProjectActualStart(projectId, client);
+
+    await recordAudit(client, req, {
+      entityType: ENTITY_TYPES.PROJECT_UTILIZATION,
+      entityId: projectUtilizationEntityId(employeeId, projectId, day),
+      action: 'delete',
+      before: deleted.rows[0],
+    });
+    await recordDayRevisions(client, req, [{ employeeId, day }], { source: 'entry' });
+    return deleted.rowCount;
+  });
+
+router.delete('/employee/:employeeId/projects/:projectId', authenticateToken, validate(schemas.removeEmployeeProject), employeeScope, dayLock, async (req, res) => {
+  const { employeeId, projectId } = req.params;
+  const day = getEntryDate(req);
+  if (!day) return sendValidationError(res, [{ location: 'query', field: 'date', message: 'date is required' }]);
+  try {
+    const rowCount = await removeEmployeeProjectForDay(req, employeeId, projectId, day);
+    if (!rowCount) return res.status(404).json({ message: 'Employee project (for date) not found.' });
 
     res.json({ message: 'Employee project (for date) removed' });
   } catch (err) {
     console.error('DELETE employee project utilization error:', err);
-    res.status(err.status || 500).json({ message: err.message || 'Failed to remove employee project.' });
+    res.status(500).json({ message: 'Failed to remove employee project.' });
   }
 });
-router.delete('/employee/:employeeId/projects/:projectId/:date', authenticateToken, async (req, res) => {
-  const { employeeId, projectId, date } = req.params;
+router.delete('/employee/:employeeId/projects/:projectId/:date', authenticateToken, validate(schemas.removeEmployeeProject), employeeScope, dayLock, async (req, res) => {
+  const { employeeId, projectId, date: day } = req.params;
   try {
-    const day = assertDateString(date, 'date');
-    const { rowCount } = await pool.query(
-      `DELETE FROM daily_entry_project_utilization
-        WHERE employee_id = $1 AND project_id = $2 AND entry_date = $3::date`,
-      [employeeId, norm(projectId), day]
-    );
+    const rowCount = await removeEmployeeProjectForDay(req, employeeId, projectId, day);
     if (!rowCount) return res.status(404).json({ message: 'Employee project (for date) not found.' });
 
-    await pool.query(
-      `UPDATE projects p
-          SET actual_start_date = sub.min_actual_start
-        FROM (
-          SELECT project_id, MIN(employee_project_start_date) AS min_actual_start
-            FROM daily_entry_project_utilization
-           WHERE project_id = $1
-        GROUP BY project_id
-        ) AS sub
-       WHERE p.project_id = $1`,
-      [norm(projectId)]
-    );
-
     res.json({ message: 'Employee project (for date) removed' });
   } catch (err) {
     console.error('DELETE employee project utilization (with date) error:', err);
-    res.status(err.status || 500).json({ message: err.message || 'Failed to remove employee project.' });
+    res.status(500).json({ message: 'Failed to remove employee project.' });
+  }
+});
+
+/* =============================================================================
+   WEEK GRID (one employee-week in one transaction)
+============================================================================= */
+
+// Saves the week grid of the entry form as a whole. Each row carries one hours cell per day,
+// Monday first, and the grid replaces the week:
+//   - a blank activity cell means no row for that activity on that day
+//   - a blank project cell keeps an existing project row (status, dates) at 0 h;
+//     projects left out of the grid are removed from the week
+//   - comments of the entries that stay are kept
+//   - a project cell may not drop below the hours split across its tasks
+// Days whose cells did not change are not written. Leave rows must come back unchanged and
+// locked days may not change. Nothing is saved unless the whole week is valid; problems are
+// reported per cell as activities.<row>.hours.<day> / projects.<row>.hours.<day>, and as
+// days.<day> for the day limit.
+// body: { activities: [{ activity (code or label), hours: [7] }], projects: [{ projectId, hours: [7] }] }
+router.put('/employee/:employeeId/week-entries/:weekStart', authenticateToken, validate(schemas.saveWeek), employeeScope, async (req, res) => {
+  const { employeeId, weekStart } = req.params;
+  const { activities, projects } = req.body;
+  const days = weekDays(weekStart);
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const { rows: storedActivities } = await client.query(
+      `SELECT to_char(entry_date, 'YYYY-MM-DD') AS entry_date, activity, utilization_hours::float AS hours,
+              utilization_comments AS comments, leave_request_id
+         FROM daily_entry_utilization
+        WHERE employee_id = $1 AND entry_date BETWEEN $2::date AND $3::date
+        FOR UPDATE`,
+      [employeeId, days[0], days[6]]
+    );
+    const { rows: storedProjects } = await client.query(
+      `SELECT to_char(entry_date, 'YYYY-MM-DD') AS entry_date, project_id,
+              COALESCE(employee_project_hours, 0)::float AS hours
+         FROM daily_entry_project_utilization
+        WHERE employee_id = $1 AND entry_date BETWEEN $2::date AND $3::date
+        FOR UPDATE`,
+      [employeeId, days[0], days[6]]
+    );
+
+    // Rows first: unknown activities / projects make the cells meaningless
+    const fieldErrors = [];
+    const fieldError = (field, message) => fieldErrors.push({ location: 'body', field, message });
+
+    const { codes, errors: codeErrors } = await resolveActivityCodes(
+      activities.map((a) => a.activity),
+      { keepCodes: storedActivities.map((r) => r.activity) },
+      client
+    );
+    codes.forEach((code, idx) => {
+      const message = codeErrors[idx] || (codes.indexOf(code) < idx ? `activity "${code}" appears more than once` : null);
+      if (message) fieldError(`activities.${idx}.activity`, message);
+    });
+    const { rows: knownProjects } = await client.query(
+      'SELECT project_id, project_name FROM projects WHERE project_id = ANY($1::varchar[])',
+      [projects.map((p) => p.projectId)]
+    );
+    const projectNames = new Map(knownProjects.map((p) => [p.project_id, p.project_name]));
+    projects.forEach((p, idx) => {
+      if (!projectNames.has(p.projectId)) fieldError(`projects.${idx}.projectId`, `Unknown project "${p.projectId}"`);
+    });
+    if (fieldErrors.length) {
+      await client.query('ROLLBACK');
+      return sendValidationError(res, fieldErrors);
+    }
+
+    const activityField = (code, dayIdx) => {
+      const idx = codes.indexOf(code);
+      return idx === -1 ? 'activities' : `activities.${idx}.hours.${dayIdx}`;
+    };
+    const projectField = (projectId, dayIdx) => {
+      const idx = projects.findIndex((p) => p.projectId === projectId);
+      return idx === -1 ? 'projects' : `projects.${idx}.hours.${dayIdx}`;
+    };
+
+    const saved = [];
+    const warnings = [];
+    const touchedProjects = new Set();
+
+    for (const [dayIdx, day] of days.entries()) {
+      // Activity rows wanted for the day, in grid order: code -> hours
+      const wanted = new Map();
+      activities.forEach((a, idx) => {
+        if (a.hours[dayIdx] > 0) wanted.set(codes[idx], a.hours[dayIdx]);
+      });
+      const had = storedActivities.filter((r) => r.entry_date === day);
+      const changedActivities = [...new Set([...had.map((r) => r.activity), ...wanted.keys()])]
+        .filter((code) => had.find((r) => r.activity === code)?.hours !== wanted.get(code));
+
+      // Project rows of the day that change: { projectId, hours } with hours null for a removal
+      const hadProjects = storedProjects.filter((r) => r.entry_date === day);
+      const changedProjects = [];
+      projects.forEach((p) => {
+        const stored = hadProjects.find((r) => r.project_id === p.projectId);
+        if (stored ? stored.hours !== p.hours[dayIdx] : p.hours[dayIdx] > 0) {
+          changedProjects.push({ projectId: p.projectId, hours: p.hours[dayIdx] });
+        }
+      });
+      hadProjects.forEach((r) => {
+        if (!projects.some((p) => p.projectId === r.project_id)) changedProjects.push({ projectId: r.project_id, hours: null });
+      });
+
+      if (!changedActivities.length && !changedProjects.length) continue;
+
+      const leaveErrors = had
+        .filter((r) => r.leave_request_id && changedActivities.includes(r.activity))
+        .map((r) => ({ field: activityField(r.activity, dayIdx), message: leaveRowMessage(r) }));
+      if (leaveErrors.length) {
+        leaveErrors.forEach((e) => fieldError(e.field, e.message));
+        continue;
+      }
+
+      const locked = await findDayLock(employeeId, day, client);
+      if (locked) {
+        changedActivities.forEach((code) => fieldError(activityField(code, dayIdx), locked.message));
+        changedProjects.forEach((p) => fieldError(projectField(p.projectId, dayIdx), locked.message));
+        continue;
+      }
+
+      if (changedActivities.length) {
+        const before = await client.query(
+          `DELETE FROM daily_entry_utilization WHERE employee_id = $1 AND entry_date = $2::date RETURNING *`,
+          [employeeId, day]
+        );
+        const after = [];
+        for (const [code, hours] of wanted) {
+          const kept = had.find((r) => r.activity === code);
+          const inserted = await client.query(
+            `INSERT INTO daily_entry_utilization
+               (employee_id, entry_date, activity, utilization_hours, utilization_comments, leave_request_id)
+             VALUES ($1, $2::date, $3, $4, $5, $6)
+             RETURNING *`,
+            [employeeId, day, code, hours, kept?.comments ?? null, kept?.leave_request_id ?? null]
+          );
+          after.push(inserted.rows[0]);
+        }
+        await recordAudit(client, req, {
+          entityType: ENTITY_TYPES.DAILY_UTILIZATION,
+          entityId: utilizationEntityId(employeeId, day),
+          action: !before.rowCount ? 'create' : !after.length ? 'delete' : 'update',
+          before: before.rows,
+          after,
+          metadata: { weekGrid: weekStart },
+        });
+      }
+
+      for (const p of changedProjects) {
+        const before = await client.query(
+          `SELECT * FROM daily_entry_project_utilization
+            WHERE employee_id = $1 AND project_id = $2 AND entry_date = $3::date`,
+          [employeeId, p.projectId, day]
+        );
+        let after = null;
+        if (p.hours === null) {
+          await client.query(
+            `DELETE FROM daily_entry_project_utilization
+              WHERE employee_id = $1 AND project_id = $2 AND entry_date = $3::date`,
+            [employeeId, p.projectId, day]
+          );
+          touchedProjects.add(p.projectId);
+        } else {
+          const upserted = await client.query(
+            `INSERT INTO daily_entry_project_utilization
+               (employee_id, project_id, entry_date, project_name, employee_project_status, employee_project_hours)
+             VALUES ($1, $2, $3::date, $4, 'Active', $5)
+             ON CONFLICT (employee_id, project_id, entry_date)
+             DO UPDATE SET employee_project_hours = EXCLUDED.employee_project_hours
+             RETURNING *`,
+            [employeeId, p.projectId, day, projectNames.get(p.projectId) || null, p.hours]
+          );
+          after = upserted.rows[0];
+        }
+        await recordAudit(client, req, {
+          entityType: ENTITY_TYPES.PROJECT_UTILIZATION,
+          entityId: projectUtilizationEntityId(employeeId, p.projectId, day),
+          action: !before.rowCount ? 'create' : !after ? 'delete' : 'update',
+          before: before.rows[0],
+          after,
+          metadata: { weekGrid: weekStart },
+        });
+      }
+
+      (await checkTaskSplits(employeeId, day, client)).forEach((o) => fieldError(projectField(o.project_id, dayIdx), o.message));
+      const policy = await checkDayHours(employeeId, day, client);
+      policy.violations.forEach((v) => fieldError(v.activity ? activityField(v.activity, dayIdx) : `days.${dayIdx}`, v.message));
+      warnings.push(...policy.warnings);
+      saved.push(day);
+    }
+
+    if (fieldErrors.length) {
+      await client.query('ROLLBACK');
+      return sendValidationError(res, fieldErrors);
+    }
+
+    for (const projectId of touchedProjects) {
+      await syncProjectActualStart(projectId, client);
+    }
+    await recordDayRevisions(client, req, saved.map((day) => ({ employeeId, day })), { source: 'week_grid' });
+
+    await client.query('COMMIT');
+    res.json({
+      message: saved.length ? `Saved ${saved.length} day(s) of the week.` : 'No changes to save.',
+      saved,
+      warnings,
+    });
+  } catch (err) {
+    try { await client.query('ROLLBACK'); } catch {}
+    console.error('PUT week entries error:', err);
+    if (err.code === '23514') return res.status(400).json({ message: 'Constraint failed for a row of the week.' });
+    res.status(500).json({ message: 'Failed to save the week.' });
+  } finally {
+    client.release();
+  }
+});
+
+/* =============================================================================
+   REVISION HISTORY (utils/entryRevisions.js)
+============================================================================= */
+
+// Every saved version of the day, newest first, each with the day's complete rows
+router.get('/daily-entries/:employeeId/:date/revisions', authenticateToken, validate(schemas.listRevisions), employeeScope, async (req, res) => {
+  const { employeeId, date: day } = req.params;
+  try {
+    res.json(await listDayRevisions({ employeeId, day }));
+  } catch (err) {
+    console.error('GET daily entry revisions error:', err);
+    res.status(500).json({ message: 'Failed to fetch the revision history.' });
+  }
+});
+
+// Puts the day back the way a revision recorded it. Leave rows only change through their leave
+// request, so the day's current leave rows stay and the revision's are not brought back; rows
+// for activities or projects that no longer exist are left out. Each is named in `warnings`.
+router.post('/daily-entries/:employeeId/:date/revisions/:revisionId/restore', authenticateToken, validate(schemas.restoreRevision), employeeScope, dayLock, async (req, res) => {
+  const { employeeId, date: day, revisionId } = req.params;
+
+  try {
+    const outcome = await withTransaction(async (client) => {
+      const revision = await loadDayRevision(employeeId, day, revisionId, client);
+      if (!revision) return { status: 404, message: 'Revision not found for this day.' };
+
+      const { rows: revisionActivities } = await client.query(
+        'SELECT * FROM daily_entry_utilization_history WHERE revision_id = $1 ORDER BY activity',
+        [revisionId]
+      );
+      const { rows: revisionProjects } = await client.query(
+        'SELECT * FROM daily_entry_project_utilization_history WHERE revision_id = $1 ORDER BY project_id',
+        [revisionId]
+      );
+      const { rows: currentLeave } = await client.query(
+        `SELECT * FROM daily_entry_utilization
+          WHERE employee_id = $1 AND entry_date = $2::date AND leave_request_id IS NOT NULL
+          FOR UPDATE`,
+        [employeeId, day]
+      );
+
+      const warnings = [];
+      const restorable = revisionActivities.filter((r) => {
+        if (r.leave_request_id) {
+          warnings.push(`${r.activity} ${Number(r.utilization_hours)} h was leave (request #${r.leave_request_id}) and is not restored.`);
+          return false;
+        }
+        if (currentLeave.some((l) => l.activity === r.activity)) {
+          warnings.push(leaveRowMessage(currentLeave.find((l) => l.activity === r.activity)));
+          return false;
+        }
+        return true;
+      });
+      const { codes, errors } = await resolveActivityCodes(
+        restorable.map((r) => r.activity),
+        { keepCodes: restorable.map((r) => r.activity) },
+        client
+      );
+      errors.filter(Boolean).forEach((message) => warnings.push(`${message}; its row is not restored.`));
+      const activities = restorable.filter((_, idx) => codes[idx]);
+
+      const { rows: existingProjects } = await client.query(
+        'SELECT project_id FROM projects WHERE project_id = ANY($1::varchar[])',
+        [revisionProjects.map((p) => p.project_id)]
+      );
+      const projects = revisionProjects.filter((p) => {
+        if (existingProjects.some((e) => e.project_id === p.project_id)) return true;
+        warnings.push(`Project "${p.project_id}" no longer exists; its row is not restored.`);
+        return false;
+      });
+
+      // withTransaction commits whatever the callback returns, so a policy violation undoes the restore here
+      await client.query('SAVEPOINT restore_revision');
+
+      const utilizationBefore = await client.query(
+        `DELETE FROM daily_entry_utilization
+          WHERE employee_id = $1 AND entry_date = $2::date AND leave_request_id IS NULL
+          RETURNING *`,
+        [employeeId, day]
+      );
+      const utilizationAfter = [];
+      for (const a of activities) {
+        const inserted = await client.query(
+          `INSERT INTO daily_entry_utilization (employee_id, entry_date, activity, utilization_hours, utilization_comments)
+           VALUES ($1, $2::date, $3, $4, $5)
+           RETURNING *`,
+          [employeeId, day, a.activity, a.utilization_hours, a.utilization_comments]
+        );
+        utilizationAfter.push(inserted.rows[0]);
+      }
+
+      const projectsBefore = await client.query(
+        `DELETE FROM daily_entry_project_utilization
+          WHERE employee_id = $1 AND entry_date = $2::date AND NOT (project_id = ANY($3::varchar[]))
+          RETURNING *`,
+        [employeeId, day, projects.map((p) => p.project_id)]
+      );
+      const projectChanges = projectsBefore.rows.map((row) => ({ projectId: row.project_id, before: row, after: null }));
+      for (const p of projects) {
+        const before = await client.query(
+          `SELECT * FROM daily_entry_project_utilization
+            WHERE employee_id = $1 AND project_id = $2 AND entry_date = $3::date
+            FOR UPDATE`,
+          [employeeId, p.project_id, day]
+        );
+        const saved = await client.query(
+          `INSERT INTO daily_entry_project_utilization
+             (employee_id, project_id, entry_date, project_name,
+              employee_project_start_date, employee_project_end_date,
+              employee_project_status, employee_project_hours, employee_project_comments,
+              employee_planned_start_date, employee_planned_end_date)
+           VALUES ($1, $2, $3::date, $4, $5, $6, $7, $8, $9, $10, $11)
+           ON CONFLICT (employee_id, project_id, entry_date)
+           DO UPDATE SET
+             project_name                = EXCLUDED.project_name,
+             employee_project_start_date = EXCLUDED.employee_project_start_date,
+             employee_project_end_date   = EXCLUDED.employee_project_end_date,
+             employee_project_status     = EXCLUDED.employee_project_status,
+             employee_project_hours      = EXCLUDED.employee_project_hours,
+             employee_project_comments   = EXCLUDED.employee_project_comments,
+             employee_planned_start_date = EXCLUDED.employee_planned_start_date,
+             employee_planned_end_date   = EXCLUDED.employee_planned_end_date
+           RETURNING *`,
+          [
+            employeeId, p.project_id, day, p.project_name,
+            p.employee_project_start_date, p.employee_project_end_date,
+            p.employee_project_status, p.employee_project_hours, p.employee_project_comments,
+            p.employee_planned_start_date, p.employee_planned_end_date,
+          ]
+        );
+        projectChanges.push({ projectId: p.project_id, before: before.rows[0], after: saved.rows[0] });
+      }
+
+      const policy = await checkDayHours(employeeId, day, client);
+      if (policy.violations.length) {
+        await client.query('ROLLBACK TO SAVEPOINT restore_revision');
+        return { errors: policy.violations.map((v) => ({ location: 'params', field: 'revisionId', message: v.message })) };
+      }
+
+      // Revisions don't record task splits; a split that no longer fits its restored row goes
+      (await dropOversizedTaskSplits(client, employeeId, day)).forEach((projectId) => {
+        warnings.push(`The task split of project "${projectId}" no longer fit its hours and was removed.`);
+      });
+
+      const metadata = { restoredRevision: revision.revision_id };
+      if (utilizationBefore.rowCount || utilizationAfter.length) {
+        await recordAudit(client, req, {
+          entityType: ENTITY_TYPES.DAILY_UTILIZATION,
+          entityId: utilizationEntityId(employeeId, day),
+          action: !utilizationBefore.rowCount ? 'create' : !utilizationAfter.length ? 'delete' : 'update',
+          before: utilizationBefore.rows,
+          after: utilizationAfter,
+          metadata,
+        });
+      }
+      for (const change of projectChanges) {
+        await recordAudit(client, req, {
+          entityType: ENTITY_TYPES.PROJECT_UTILIZATION,
+          entityId: projectUtilizationEntityId(employeeId, change.projectId, day),
+          action: !change.before ? 'create' : !change.after ? 'delete' : 'update',
+          before: change.before,
+          after: change.after,
+          metadata,
+        });
+        await syncProjectActualStart(change.projectId, client);
+      }
+      await recordDayRevisions(client, req, [{ employeeId, day }], { source: 'restore', restoredFrom: revision.revision_id });
+
+      await client.query('RELEASE SAVEPOINT restore_revision');
+      return { revision, policy, warnings };
+    });
+    if (outcome.errors) return sendValidationError(res, outcome.errors);
+    if (outcome.status) return res.status(outcome.status).json({ message: outcome.message });
+    res.json({
+      message: `Restored revision #${outcome.revision.revision_id}.`,
+      warnings: [...outcome.warnings, ...outcome.policy.warnings],
+      totals: outcome.policy.totals,
+    });
+  } catch (err) {
+    console.error('Restore daily entry revision error:', err);
+    res.status(500).json({ message: 'Failed to restore the revision.' });
   }
 });
 
@@ -524,24 +1185,23 @@ router.delete('/employee/:employeeId/projects/:projectId/:date', authenticateTok
 ============================================================================= */
 
 // Range report for one employee
-router.get('/employee/:employeeId/range', authenticateToken, async (req, res) => {
+router.get('/employee/:employeeId/range', authenticateToken, validate(schemas.employeeRange), employeeScope, async (req, res) => {
   const { employeeId } = req.params;
-  const { startDate, endDate } = req.query;
+  const { startDate: s, endDate: e } = req.query;
   try {
-    const s = assertDateString(startDate, 'startDate');
-    const e = assertDateString(endDate, 'endDate');
-
     const utilQ = await pool.query(
-      `SELECT entry_date, activity, utilization_hours, utilization_comments
-         FROM daily_entry_utilization
-        WHERE employee_id = $1
-          AND entry_date BETWEEN $2::date AND $3::date
-        ORDER BY entry_date, activity`,
+      `SELECT du.entry_date, du.activity, a.label, du.utilization_hours, du.utilization_comments
+         FROM daily_entry_utilization du
+         LEFT JOIN activities a ON a.activity_code = du.activity
+        WHERE du.employee_id = $1
+          AND du.entry_date BETWEEN $2::date AND $3::date
+        ORDER BY du.entry_date, a.sort_order, du.activity`,
       [employeeId, s, e]
     );
     const activities = utilQ.rows.map(r => ({
       report_date: r.entry_date,
-      activity_type: r.activity,
+      activity_code: r.activity,
+      activity_type: r.label ?? r.activity,
       hours: Number(r.utilization_hours) || 0,
       comment: r.utilization_comments ?? null,
     }));
@@ -570,19 +1230,22 @@ router.get('/employee/:employeeId/range', authenticateToken, async (req, res) =>
       employee_project_status: r.employee_project_status ?? 'Active',
     }));
 
-    res.json({ activities, projectEntries, assignments: [] });
+    // Planned vs logged hours of the assignments overlapping the range
+    const assignments = await listAssignments({ employeeId, startDate: s, endDate: e });
+    // Hours per task of the range (the part of the project hours split across tasks)
+    const taskEntries = await listTaskHours({ employeeId, startDate: s, endDate: e });
+
+    res.json({ activities, projectEntries, assignments, taskEntries });
   } catch (err) {
     console.error('GET /employee/:employeeId/range error:', err);
-    res.status(err.status || 500).json({ message: err.message || 'Failed to build range report.' });
+    res.status(500).json({ message: 'Failed to build range report.' });
   }
 });
 
 // Summary for a day (used by “Missing Daily Entries” widget)
-router.get('/daily-entries/:employeeId/:date/summary', authenticateToken, async (req, res) => {
-  const { employeeId, date } = req.params;
+router.get('/daily-entries/:employeeId/:date/summary', authenticateToken, validate(schemas.daySummary), employeeScope, async (req, res) => {
+  const { employeeId, date: day } = req.params;
   try {
-    const day = assertDateString(date, 'date');
-
     const utilQ = await pool.query(
       `SELECT COUNT(*) AS cnt, COALESCE(SUM(utilization_hours),0) AS hours
          FROM daily_entry_utilization
@@ -605,28 +1268,39 @@ router.get('/daily-entries/:employeeId/:date/summary', authenticateToken, async
     const has_any_entry  = utilCnt > 0 || projCnt > 0;
     const has_both_entry = utilCnt > 0 && projCnt > 0; // <-- required rule
 
+    // Holidays are non-working days: an empty one is not "missing"
+    const [holiday] = await listEmployeeHolidays(employeeId, day, day);
+    // Approved leave covering the day; half is set when only half the day is off
+    const [leave] = (await findOverlappingLeave(employeeId, day, day)).filter((r) => r.status === 'approved');
+
     res.json({
       has_any_entry,
       has_both_entry,
+      holiday: holiday ? { name: holiday.name, team_id: holiday.team_id } : null,
+      leave: leave
+        ? {
+          leave_request_id: leave.leave_request_id,
+          leave_type: leave.leave_type,
+          label: leave.leave_type_label,
+          half: (leave.start_date === day && leave.start_half_day) || (leave.end_date === day && leave.end_half_day),
+        }
+        : null,
       activities_count: utilCnt,
       projects_count: projCnt,
       total_hours: Number((utilHrs + projHrs).toFixed(2)),
     });
   } catch (err) {
     console.error('GET daily summary error:', err);
-    res.status(err.status || 500).json({ message: err.message || 'Failed to fetch summary.' });
+    res.status(500).json({ message: 'Failed to fetch summary.' });
   }
 });
 
 // Project hours for donut (selected team & range)
-router.get('/team/:teamId/project-hours', authenticateToken, async (req, res) => {
+router.get('/team/:teamId/project-hours', authenticateToken, validate(schemas.teamReport), teamScope, async (req, res) => {
   const { teamId } = req.params;
-  const { startDate, endDate } = req.query;
+  const { startDate: s, endDate: e } = req.query;
 
   try {
-    const s = assertDateString(startDate, 'startDate');
-    const e = assertDateString(endDate, 'endDate');
-
     const { rows } = await pool.query(
       `
       WITH team_emp AS (
@@ -650,23 +1324,17 @@ router.get('/team/:teamId/project-hours', authenticateToken, async (req, res) =>
     res.json({ rows });
   } catch (err) {
     console.error('GET /team/:teamId/project-hours error:', err);
-    res.status(err.status || 500).json({ message: err.message || 'Failed to fetch project hours.' });
+    res.status(500).json({ message: 'Failed to fetch project hours.' });
   }
 });
-// Contributors for a project in a selected date range
-router.get('/projects/:projectId/contributors', authenticateToken, async (req, res) => {
+// Contributors for a project in a selected date range, limited to the employees the caller
+// may view (see middleware/scopeMiddleware.js)
+router.get('/projects/:projectId/contributors', authenticateToken, validate(schemas.projectContributors), async (req, res) => {
   const { projectId } = req.params;
-  const { startDate, endDate } = req.query;
+  const { startDate: s, endDate: e } = req.query;
+  const scope = employeeScopeCondition(req.user, 'depu.employee_id', 4);
 
   try {
-    const s = assertDateString(startDate, 'startDate');
-    const e = assertDateString(endDate, 'endDate');
-    if (s > e) {
-      const err = new Error('startDate cannot be after endDate');
-      err.status = 400;
-      throw err;
-    }
-
     const { rows } = await pool.query(
       `
       SELECT
@@ -678,11 +1346,12 @@ router.get('/projects/:projectId/contributors', authenticateToken, async (req, r
       LEFT JOIN employees e ON e.employee_id = depu.employee_id
       WHERE depu.project_id = $1
         AND depu.entry_date BETWEEN $2::date AND $3::date
+        AND ${scope.sql}
       GROUP BY depu.employee_id, e.first_name, e.last_name
       HAVING COUNT(*) > 0                               -- show if any entry exists (even 0 hrs)
       ORDER BY total_hours DESC, employee_name ASC
       `,
-      [String(projectId).trim(), s, e]
+      [projectId, s, e, ...scope.params]
     );
 
     // convenient total for the project in this range
@@ -691,78 +1360,78 @@ router.get('/projects/:projectId/contributors', authenticateToken, async (req, r
     res.json({ rows, total_hours_in_range });
   } catch (err) {
     console.error('GET /projects/:projectId/contributors error:', err);
-    res.status(err.status || 500).json({ message: err.message || 'Failed to fetch contributors.' });
+    res.status(500).json({ message: 'Failed to fetch contributors.' });
   }
 });
-// Utilization summary table by team (your existing query)
-router.get('/team/:teamId/utilization-summary', authenticateToken, async (req, res) => {
+// Utilization summary table by team: one column per catalog activity plus project hours.
+// Columns are the active activities and any retired ones that still have hours in the range.
+// response: { activities: [{ activity_code, label, category, is_billable }],
+//             rows: [{ employee_id, name, hours: { [activity_code]: n }, utilization_hours,
+//                      billable_hours, project_hours, total_hours }] }
+router.get('/team/:teamId/utilization-summary', authenticateToken, validate(schemas.teamReport), teamScope, async (req, res) => {
   const { teamId } = req.params;
-  const { startDate, endDate } = req.query;
+  const { startDate: s, endDate: e } = req.query;
 
   try {
-    const s = assertDateString(startDate, 'startDate');
-    const e = assertDateString(endDate, 'endDate');
-
-    const { rows } = await pool.query(
-      `
-      WITH emp AS (
-        SELECT e.employee_id, e.first_name, e.last_name
-        FROM employees e
-        WHERE e.team_id = $1
-      ),
-      u AS (
-        SELECT
-          du.employee_id,
-          SUM(CASE WHEN lower(du.activity) = 'supervision'         THEN du.utilization_hours ELSE 0 END) AS s,
-          SUM(CASE WHEN lower(du.activity) = 'correlation'         THEN du.utilization_hours ELSE 0 END) AS c,
-          SUM(CASE WHEN lower(du.activity) = 'method development'  THEN du.utilization_hours ELSE 0 END) AS m,
-          SUM(CASE WHEN lower(du.activity) = 'application'         THEN du.utilization_hours ELSE 0 END) AS a,
-          SUM(CASE WHEN lower(du.activity) = 'cpm'                 THEN du.utilization_hours ELSE 0 END) AS cp,
-          SUM(CASE WHEN lower(du.activity) = 'meeting'             THEN du.utilization_hours ELSE 0 END) AS o,
-          SUM(CASE WHEN lower(du.activity) = 'trainer'             THEN du.utilization_hours ELSE 0 END) AS t1,
-          SUM(CASE WHEN lower(du.activity) = 'trainee'             THEN du.utilization_hours ELSE 0 END) AS t2,
-          SUM(CASE WHEN lower(du.activity) = 'misc'                THEN du.utilization_hours ELSE 0 END) AS na,
-          SUM(CASE WHEN lower(du.activity) = 'leave'               THEN du.utilization_hours ELSE 0 END) AS l,
-          SUM(CASE WHEN lower(du.activity) = 'software'            THEN du.utilization_hours ELSE 0 END) AS sw
-        FROM daily_entry_utilization du
-        WHERE du.entry_date BETWEEN $2::date AND $3::date
-        GROUP BY du.employee_id
-      ),
-      p AS (
-        SELECT
-          depu.employee_id,
-          SUM(COALESCE(depu.employee_project_hours,0)) AS p
-        FROM daily_entry_project_utilization depu
-        WHERE depu.entry_date BETWEEN $2::date AND $3::date
-        GROUP BY depu.employee_id
-      )
-      SELECT
-        emp.employee_id,
-        (emp.first_name || ' ' || emp.last_name) AS name,
-        COALESCE(u.s,0)  AS "S",
-        COALESCE(p.p,0)  AS "P",
-        COALESCE(u.c,0)  AS "C",
-        COALESCE(u.m,0)  AS "M",
-        COALESCE(u.a,0)  AS "A",
-        COALESCE(u.cp,0) AS "CP",
-        COALESCE(u.o,0)  AS "O",
-        COALESCE(u.t1,0) AS "T1",
-        COALESCE(u.t2,0) AS "T2",
-        COALESCE(u.na,0) AS "NA",
-        COALESCE(u.l,0)  AS "L",
-        COALESCE(u.sw,0) AS "SW"
-      FROM emp
-      LEFT JOIN u ON u.employee_id = emp.employee_id
-      LEFT JOIN p ON p.employee_id = emp.employee_id
-      ORDER BY name;
-      `,
+    // Employees archived before the range are gone; later ones still own hours in it
+    const empQ = await pool.query(
+      `SELECT employee_id, (first_name || ' ' || last_name) AS name
+         FROM employees
+        WHERE team_id = $1
+          AND (archived_at IS NULL OR archived_at >= $2::date)
+        ORDER BY name`,
+      [teamId, s]
+    );
+    const utilQ = await pool.query(
+      `SELECT du.employee_id, du.activity, SUM(du.utilization_hours) AS hours
+         FROM daily_entry_utilization du
+         JOIN employees e ON e.employee_id = du.employee_id
+        WHERE e.team_id = $1 AND du.entry_date BETWEEN $2::date AND $3::date
+        GROUP BY du.employee_id, du.activity`,
+      [teamId, s, e]
+    );
+    const projQ = await pool.query(
+      `SELECT depu.employee_id, SUM(COALESCE(depu.employee_project_hours,0)) AS hours
+         FROM daily_entry_project_utilization depu
+         JOIN employees e ON e.employee_id = depu.employee_id
+        WHERE e.team_id = $1 AND depu.entry_date BETWEEN $2::date AND $3::date
+        GROUP BY depu.employee_id`,
       [teamId, s, e]
     );
 
-    res.json({ rows });
+    const used = new Set(utilQ.rows.map((r) => r.activity));
+    const activities = (await listActivities({ includeInactive: true }))
+      .filter((a) => a.is_active || used.has(a.activity_code))
+      .map(({ activity_code, label, category, is_billable }) => ({ activity_code, label, category, is_billable }));
+    const billable = new Set(activities.filter((a) => a.is_billable).map((a) => a.activity_code));
+    const round2 = (n) => Number(n.toFixed(2));
+
+    const rows = empQ.rows.map((emp) => {
+      const hours = Object.fromEntries(activities.map((a) => [a.activity_code, 0]));
+      let utilization = 0;
+      let billableHours = 0;
+      utilQ.rows.filter((r) => r.employee_id === emp.employee_id).forEach((r) => {
+        const h = Number(r.hours) || 0;
+        hours[r.activity] = round2((hours[r.activity] || 0) + h);
+        utilization += h;
+        if (billable.has(r.activity)) billableHours += h;
+      });
+      const project = Number(projQ.rows.find((r) => r.employee_id === emp.employee_id)?.hours) || 0;
+      return {
+        employee_id: emp.employee_id,
+        name: emp.name,
+        hours,
+        utilization_hours: round2(utilization),
+        billable_hours: round2(billableHours),
+        project_hours: round2(project),
+        total_hours: round2(utilization + project),
+      };
+    });
+
+    res.json({ activities, rows });
   } catch (err) {
     console.error('GET /team/:teamId/utilization-summary error:', err);
-    res.status(err.status || 500).json({ message: err.message || 'Failed to build team utilization summary.' });
+    res.status(500).json({ message: 'Failed to build team utilization summary.' });
   }
 });
 
@@ -1,49 +1,188 @@
+// routes/debug.js
+// Read-only schema and data inspector (system.admin permission).
+// The table whitelist is whatever information_schema reports for the public schema,
+// so new tables show up without touching this file.
 const express = require('express');
 const router = express.Router();
 const pool = require('../db/pool');
+const { authenticateToken, requirePermission } = require('../middleware/authMiddleware');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/system');
 
-// Get all tables
+router.use(authenticateToken, requirePermission('system.admin'));
+
+const REDACTED = '[redacted]';
+
+// Credentials and token hashes are never sent to the client, not even to admins
+const isRedactedColumn = (name) => name === 'password_hash' || /_hash$/.test(name);
+
+const quoteIdent = (name) => `"${String(name).replace(/"/g, '""')}"`;
+
+const listTableNames = async () => {
+    const { rows } = await pool.query(`
+        SELECT table_name
+        FROM information_schema.tables
+        WHERE table_schema = 'public' AND table_type = 'BASE TABLE'
+        ORDER BY table_name
+    `);
+    return rows.map((r) => r.table_name);
+};
+
+const loadColumns = async (tableName) => {
+    const { rows } = await pool.query(
+        `SELECT column_name, data_type, udt_name, is_nullable, column_default,
+                character_maximum_length, is_identity
+         FROM information_schema.columns
+         WHERE table_schema = 'public' AND table_name = $1
+         ORDER BY ordinal_position`,
+        [tableName]
+    );
+    return rows.map((c) => ({ ...c, redacted: isRedactedColumn(c.column_name) }));
+};
+
+const countRows = async (tableName) => {
+    const { rows } = await pool.query(`SELECT COUNT(*)::int AS count FROM public.${quoteIdent(tableName)}`);
+    return rows[0].count;
+};
+
+// Resolves the :tableName param against the live whitelist; sends 404 and returns null otherwise
+const resolveTable = async (req, res) => {
+    const { tableName } = req.params;
+    const tables = await listTableNames();
+    if (!tables.includes(tableName)) {
+        res.status(404).json({ message: `Unknown table "${tableName}".` });
+        return null;
+    }
+    return tableName;
+};
+
+// List tables with row counts
 router.get('/tables', async (req, res) => {
     try {
-        const result = await pool.query(`
-            SELECT table_name 
-            FROM information_schema.tables 
-            WHERE table_schema = 'public'
-            ORDER BY table_name
-        `);
-        res.json({ tables: result.rows.map(r => r.table_name) });
+        const names = await listTableNames();
+        const tables = [];
+        for (const name of names) {
+            tables.push({ table_name: name, row_count: await countRows(name) });
+        }
+        res.json({ tables });
     } catch (error) {
         console.error('Error fetching tables:', error);
         res.status(500).json({ message: 'Failed to fetch tables.' });
     }
 });
 
-// Get all rows from a specific table
-router.get('/table/:tableName', async (req, res) => {
-    const { tableName } = req.params;
+// Columns, constraints, indexes and row count of one table
+router.get('/tables/:tableName', validate(schemas.describeTable), async (req, res) => {
+    try {
+        const tableName = await resolveTable(req, res);
+        if (!tableName) return;
+
+        const [columns, constraintsQ, indexesQ, rowCount] = await Promise.all([
+            loadColumns(tableName),
+            pool.query(
+                `SELECT con.conname AS constraint_name,
+                        CASE con.contype
+                            WHEN 'p' THEN 'PRIMARY KEY'
+                            WHEN 'f' THEN 'FOREIGN KEY'
+                            WHEN 'u' THEN 'UNIQUE'
+                            WHEN 'c' THEN 'CHECK'
+                            WHEN 'x' THEN 'EXCLUDE'
+                            ELSE con.contype::text
+                        END AS constraint_type,
+                        pg_get_constraintdef(con.oid) AS definition
+                 FROM pg_constraint con
+                 JOIN pg_class rel ON rel.oid = con.conrelid
+                 JOIN pg_namespace n ON n.oid = rel.relnamespace
+                 WHERE n.nspname = 'public' AND rel.relname = $1
+                 ORDER BY con.contype, con.conname`,
+                [tableName]
+            ),
+            pool.query(
+                `SELECT indexname AS index_name, indexdef AS definition
+                 FROM pg_indexes
+                 WHERE schemaname = 'public' AND tablename = $1
+                 ORDER BY indexname`,
+                [tableName]
+            ),
+            countRows(tableName),
+        ]);
 
-    // Allow only known tables to prevent SQL injection
-    const allowedTables = [
-        'business_units',
-        'daily_project_logs',
-        'daily_scrums',
-        'daily_utilization',
-        'employee_projects',
-        'employees',
-        'projects',
-        'teams'
-    ];
-
-    if (!allowedTables.includes(tableName)) {
-        return res.status(400).json({ message: 'Invalid table name.' });
+        res.json({
+            table_name: tableName,
+            row_count: rowCount,
+            columns,
+            constraints: constraintsQ.rows,
+            indexes: indexesQ.rows,
+        });
+    } catch (error) {
+        console.error(`Error describing table ${req.params.tableName}:`, error);
+        res.status(500).json({ message: `Failed to describe ${req.params.tableName}.` });
     }
+});
 
+// Paginated rows of one table
+// query: page (1-based), pageSize, sort, order=asc|desc,
+//        search (any column contains), column + value (one column contains)
+router.get('/tables/:tableName/rows', validate(schemas.tableRows), async (req, res) => {
     try {
-        const result = await pool.query(`SELECT * FROM ${tableName} LIMIT 100`);
-        res.json({ data: result.rows });
+        const tableName = await resolveTable(req, res);
+        if (!tableName) return;
+
+        const columns = await loadColumns(tableName);
+        const visible = columns.filter((c) => !c.redacted).map((c) => c.column_name);
+
+        const { page, pageSize, sort, search, column, value } = req.query;
+        const order = req.query.order === 'desc' ? 'DESC' : 'ASC';
+        if (sort && !visible.includes(sort)) {
+            return res.status(400).json({ message: `Cannot sort by "${sort}".` });
+        }
+        if (column && !visible.includes(column)) {
+            return res.status(400).json({ message: `Cannot filter by "${column}".` });
+        }
+
+        const where = [];
+        const params = [];
+        if (column && value) {
+            params.push(`%${value}%`);
+            where.push(`${quoteIdent(column)}::text ILIKE $${params.length}`);
+        }
+        if (search && visible.length) {
+            params.push(`%${search}%`);
+            const p = `$${params.length}`;
+            where.push(`(${visible.map((c) => `${quoteIdent(c)}::text ILIKE ${p}`).join(' OR ')})`);
+        }
+        const whereSql = where.length ? `WHERE ${where.join(' AND ')}` : '';
+        const orderSql = sort ? `ORDER BY ${quoteIdent(sort)} ${order} NULLS LAST` : '';
+        const table = `public.${quoteIdent(tableName)}`;
+
+        const totalQ = await pool.query(`SELECT COUNT(*)::int AS total FROM ${table} ${whereSql}`, params);
+        const rowsQ = await pool.query(
+            `SELECT * FROM ${table} ${whereSql} ${orderSql}
+             LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+            [...params, pageSize, (page - 1) * pageSize]
+        );
+
+        const redactedCols = columns.filter((c) => c.redacted).map((c) => c.column_name);
+        const data = rowsQ.rows.map((row) => {
+            const out = { ...row };
+            redactedCols.forEach((c) => {
+                if (c in out) out[c] = out[c] == null ? null : REDACTED;
+            });
+            return out;
+        });
+
+        res.json({
+            table_name: tableName,
+            columns: columns.map((c) => c.column_name),
+            redacted_columns: redactedCols,
+            page,
+            pageSize,
+            total: totalQ.rows[0].total,
+            data,
+        });
     } catch (error) {
-        console.error(`Error fetching table ${tableName}:`, error);
-        res.status(500).json({ message: `Failed to fetch data from ${tableName}` });
+        console.error(`Error fetching table ${req.params.tableName}:`, error);
+        res.status(500).json({ message: `Failed to fetch data from ${req.params.tableName}` });
     }
 });
 
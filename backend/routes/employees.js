@@ -2,8 +2,14 @@
 const express = require('express');
 const router = express.Router();
 const pool = require('../db/pool');
-const { authenticateToken, authorizeRoles, adminOnly } = require('../middleware/authMiddleware');
+const { authenticateToken, requirePermission } = require('../middleware/authMiddleware');
 const { withTransaction } = require('../utils/transactionHelper');
+const { ENTITY_TYPES, recordAudit } = require('../utils/audit');
+const { ADMIN_ROLE, roleExists, canAssignRole } = require('../utils/permissions');
+const { revokeEmployeeSessions } = require('../utils/sessions');
+const { archiveRecord } = require('../utils/recycleBin');
+const { validate, sendValidationError, bodyFieldErrors } = require('../middleware/validate');
+const schemas = require('../schemas/employees');
 
 const multer = require('multer');
 const XLSX = require('xlsx');
@@ -14,12 +20,50 @@ const upload = multer({
   limits: { fileSize: 10 * 1024 * 1024 }, // 10MB
 });
 
+// Columns captured in audit entries (never the password hash)
+const AUDIT_COLUMNS = 'employee_id, first_name, last_name, email, role, team_id';
+
+const INVALID_ROLE = bodyFieldErrors('role', ['Invalid role specified.']);
+const ROLE_NOT_ASSIGNABLE = 'You can only assign roles whose permissions you hold yourself.';
+const ACCOUNT_NOT_MANAGEABLE = 'You can only change accounts whose permissions you hold yourself.';
+const LAST_ADMIN = 'This is the last active admin; make someone else admin first.';
+
+const lockEmployeeForAudit = async (client, where, value) => {
+  const { rows } = await client.query(
+    `SELECT ${AUDIT_COLUMNS} FROM employees WHERE ${where} AND archived_at IS NULL FOR UPDATE`,
+    [value]
+  );
+  return rows[0] || null;
+};
+
+// Locks an active employee for a change by the caller: { before }, or the 404 / 403 outcome.
+// Accounts holding permissions the caller lacks are left to holders of roles.manage, by the same
+// rule as assigning their role.
+const lockManagedEmployee = async (client, req, where, value) => {
+  const before = await lockEmployeeForAudit(client, where, value);
+  if (!before) return { status: 404, message: 'Employee not found.' };
+  if (!(await canAssignRole(req.user, before.role, client))) return { status: 403, message: ACCOUNT_NOT_MANAGEABLE };
+  return { before };
+};
+
+// Whether giving `before` the role nextRole (null when archiving) leaves no active admin.
+// The active admins are locked so two requests cannot each remove one of the last two.
+const removesLastAdmin = async (client, before, nextRole = null) => {
+  if (before.role !== ADMIN_ROLE || nextRole === ADMIN_ROLE) return false;
+  const { rowCount } = await client.query(
+    'SELECT employee_id FROM employees WHERE role = $1 AND archived_at IS NULL FOR UPDATE',
+    [ADMIN_ROLE]
+  );
+  return rowCount <= 1;
+};
+
 // Get all employees
-router.get('/', authenticateToken, authorizeRoles('admin', 'team_lead'), async (req, res) => {
+router.get('/', authenticateToken, requirePermission('employees.view'), async (req, res) => {
   try {
     const result = await pool.query(
       `SELECT employee_id, first_name, last_name, email, role, team_id 
        FROM employees 
+       WHERE archived_at IS NULL
        ORDER BY first_name`
     );
     res.json(result.rows);
@@ -29,13 +73,13 @@ router.get('/', authenticateToken, authorizeRoles('admin', 'team_lead'), async (
 });
 
 // Get employees by team
-router.get('/team/:teamId', authenticateToken, async (req, res) => {
+router.get('/team/:teamId', authenticateToken, validate(schemas.listByTeam), async (req, res) => {
   const { teamId } = req.params;
   try {
     const result = await pool.query(
       `SELECT employee_id, first_name, last_name, email, role 
        FROM employees 
-       WHERE team_id=$1 
+       WHERE team_id=$1 AND archived_at IS NULL
        ORDER BY first_name`,
       [teamId]
     );
@@ -45,87 +89,183 @@ router.get('/team/:teamId', authenticateToken, async (req, res) => {
   }
 });
 
+// Accounts that are locked or have recent failed logins (admin only)
+router.get('/locked', authenticateToken, requirePermission('employees.manage'), async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT employee_id, first_name, last_name, email, role,
+              failed_login_attempts, last_failed_login_at, locked_until,
+              (locked_until IS NOT NULL AND locked_until > NOW()) AS is_locked
+         FROM employees
+        WHERE archived_at IS NULL
+          AND (failed_login_attempts > 0 OR (locked_until IS NOT NULL AND locked_until > NOW()))
+        ORDER BY is_locked DESC, last_failed_login_at DESC NULLS LAST`
+    );
+    res.json(result.rows);
+  } catch (err) {
+    console.error('Error fetching locked accounts:', err);
+    res.status(500).json({ message: 'Failed to fetch locked accounts.' });
+  }
+});
+
+// Clear the lockout and failed-attempt counter (admin only)
+router.post('/:id/unlock', authenticateToken, requirePermission('employees.manage'), validate(schemas.unlock), async (req, res) => {
+  const { id } = req.params;
+  try {
+    const employee = await withTransaction(async (client) => {
+      const before = await client.query(
+        'SELECT employee_id, email, failed_login_attempts, locked_until FROM employees WHERE employee_id = $1 FOR UPDATE',
+        [id]
+      );
+      if (before.rowCount === 0) return null;
+      const result = await client.query(
+        `UPDATE employees
+            SET failed_login_attempts = 0,
+                locked_until = NULL
+          WHERE employee_id = $1
+          RETURNING employee_id, email, failed_login_attempts, locked_until`,
+        [id]
+      );
+      await recordAudit(client, req, {
+        entityType: ENTITY_TYPES.EMPLOYEE, entityId: id, action: 'update',
+        before: before.rows[0], after: result.rows[0], metadata: { operation: 'unlock' },
+      });
+      return result.rows[0];
+    });
+    if (!employee) return res.status(404).json({ message: 'Employee not found.' });
+    console.log(`🔓 Account unlocked by admin ${req.user.email}:`, employee.email);
+    res.json({ message: 'Account unlocked.', employee: { employee_id: employee.employee_id, email: employee.email } });
+  } catch (err) {
+    console.error('Error unlocking account:', err);
+    res.status(500).json({ message: 'Failed to unlock account.' });
+  }
+});
+
 // Update employee role (by id)
-router.put('/:employeeId/role', authenticateToken, authorizeRoles('admin'), async (req, res) => {
+router.put('/:employeeId/role', authenticateToken, requirePermission('employees.manage'), validate(schemas.updateRole), async (req, res) => {
   const { employeeId } = req.params;
   const { role } = req.body;
 
-  if (!['admin', 'team_lead', 'employee'].includes(role)) {
-    return res.status(400).json({ message: 'Invalid role specified.' });
-  }
-
   try {
-    const result = await pool.query(
-      `UPDATE employees 
-       SET role=$1 
-       WHERE employee_id=$2 
-       RETURNING employee_id, first_name, last_name, email, role, team_id`,
-      [role, employeeId]
-    );
-    if (result.rows.length === 0) return res.status(404).json({ message: 'Employee not found.' });
-    res.json({ message: 'Role updated successfully.', employee: result.rows[0] });
+    if (!(await roleExists(role))) return sendValidationError(res, INVALID_ROLE);
+    if (!(await canAssignRole(req.user, role))) return res.status(403).json({ message: ROLE_NOT_ASSIGNABLE });
+
+    const outcome = await withTransaction(async (client) => {
+      const { before, ...denied } = await lockManagedEmployee(client, req, 'employee_id = $1', employeeId);
+      if (!before) return denied;
+      if (await removesLastAdmin(client, before, role)) return { status: 409, message: LAST_ADMIN };
+      const result = await client.query(
+        `UPDATE employees 
+         SET role=$1 
+         WHERE employee_id=$2 
+         RETURNING ${AUDIT_COLUMNS}`,
+        [role, employeeId]
+      );
+      await recordAudit(client, req, {
+        entityType: ENTITY_TYPES.EMPLOYEE, entityId: employeeId, action: 'update', before, after: result.rows[0],
+      });
+      return { employee: result.rows[0] };
+    });
+    if (!outcome.employee) return res.status(outcome.status).json({ message: outcome.message });
+    res.json({ message: 'Role updated successfully.', employee: outcome.employee });
   } catch (err) {
     res.status(500).json({ message: 'Failed to update employee role.' });
   }
 });
 
 // Update employee (by id)
-router.put('/id/:employeeId', authenticateToken, authorizeRoles('admin'), async (req, res) => {
+router.put('/id/:employeeId', authenticateToken, requirePermission('employees.manage'), validate(schemas.updateById), async (req, res) => {
   const { employeeId } = req.params;
   const { firstName, lastName, teamId, role } = req.body;
 
   try {
-    const result = await pool.query(
-      `UPDATE employees 
-       SET first_name=$1, last_name=$2, team_id=$3, role=$4 
-       WHERE employee_id=$5 
-       RETURNING employee_id, first_name, last_name, email, role, team_id`,
-      [firstName ?? null, lastName ?? null, teamId ?? null, role ?? null, employeeId]
-    );
-    if (result.rows.length === 0) return res.status(404).json({ message: 'Employee not found.' });
-    res.json({ message: 'Employee updated successfully.', employee: result.rows[0] });
+    if (role != null && !(await roleExists(role))) return sendValidationError(res, INVALID_ROLE);
+    if (role != null && !(await canAssignRole(req.user, role))) {
+      return res.status(403).json({ message: ROLE_NOT_ASSIGNABLE });
+    }
+
+    const outcome = await withTransaction(async (client) => {
+      const { before, ...denied } = await lockManagedEmployee(client, req, 'employee_id = $1', employeeId);
+      if (!before) return denied;
+      if (await removesLastAdmin(client, before, role ?? null)) return { status: 409, message: LAST_ADMIN };
+      const result = await client.query(
+        `UPDATE employees 
+         SET first_name=$1, last_name=$2, team_id=$3, role=$4 
+         WHERE employee_id=$5 
+         RETURNING ${AUDIT_COLUMNS}`,
+        [firstName ?? null, lastName ?? null, teamId ?? null, role ?? null, employeeId]
+      );
+      await recordAudit(client, req, {
+        entityType: ENTITY_TYPES.EMPLOYEE, entityId: employeeId, action: 'update', before, after: result.rows[0],
+      });
+      return { employee: result.rows[0] };
+    });
+    if (!outcome.employee) return res.status(outcome.status).json({ message: outcome.message });
+    res.json({ message: 'Employee updated successfully.', employee: outcome.employee });
   } catch (err) {
     res.status(500).json({ message: 'Failed to update employee.' });
   }
 });
 
 // Update employee (by email)
-router.put('/:email', authenticateToken, authorizeRoles('admin'), async (req, res) => {
+router.put('/:email', authenticateToken, requirePermission('employees.manage'), validate(schemas.updateByEmail), async (req, res) => {
   const { email } = req.params;
   const { firstName, lastName, teamId, role } = req.body;
 
   try {
-    const result = await pool.query(
-      `UPDATE employees
-       SET first_name = COALESCE($1, first_name),
-           last_name  = COALESCE($2, last_name),
-           team_id    = $3,
-           role       = COALESCE($4, role)
-       WHERE lower(email) = lower($5)
-       RETURNING employee_id, first_name, last_name, email, role, team_id`,
-      [firstName ?? null, lastName ?? null, teamId ?? null, role ?? null, email]
-    );
-    if (result.rowCount === 0) return res.status(404).json({ message: 'Employee not found.' });
-    res.json({ message: 'Employee updated successfully.', employee: result.rows[0] });
+    if (role != null && !(await roleExists(role))) return sendValidationError(res, INVALID_ROLE);
+    if (role != null && !(await canAssignRole(req.user, role))) {
+      return res.status(403).json({ message: ROLE_NOT_ASSIGNABLE });
+    }
+
+    const outcome = await withTransaction(async (client) => {
+      const { before, ...denied } = await lockManagedEmployee(client, req, 'lower(email) = lower($1)', email);
+      if (!before) return denied;
+      if (role != null && (await removesLastAdmin(client, before, role))) return { status: 409, message: LAST_ADMIN };
+      const result = await client.query(
+        `UPDATE employees
+         SET first_name = COALESCE($1, first_name),
+             last_name  = COALESCE($2, last_name),
+             team_id    = $3,
+             role       = COALESCE($4, role)
+         WHERE employee_id = $5
+         RETURNING ${AUDIT_COLUMNS}`,
+        [firstName ?? null, lastName ?? null, teamId ?? null, role ?? null, before.employee_id]
+      );
+      await recordAudit(client, req, {
+        entityType: ENTITY_TYPES.EMPLOYEE, entityId: before.employee_id, action: 'update', before, after: result.rows[0],
+      });
+      return { employee: result.rows[0] };
+    });
+    if (!outcome.employee) return res.status(outcome.status).json({ message: outcome.message });
+    res.json({ message: 'Employee updated successfully.', employee: outcome.employee });
   } catch (err) {
     res.status(500).json({ message: 'Failed to update employee.' });
   }
 });
 
-// Delete employee by ID
-router.delete('/:id', authenticateToken, authorizeRoles('admin'), async (req, res) => {
+// Delete employee by ID — archives them (see utils/recycleBin.js): their entries stay in reports
+// and they can no longer sign in.
+router.delete('/:id', authenticateToken, requirePermission('employees.manage'), validate(schemas.remove), async (req, res) => {
   const { id } = req.params;
 
+  if (Number(id) === req.user.employeeId) {
+    return res.status(400).json({ message: 'You cannot delete your own account.' });
+  }
+
   try {
-    const deleted = await withTransaction(async (client) => {
-      await client.query('DELETE FROM daily_entry_project_utilization WHERE employee_id = $1', [id]);
-      await client.query('DELETE FROM daily_entry_utilization WHERE employee_id = $1', [id]);
-      const result = await client.query('DELETE FROM employees WHERE employee_id = $1 RETURNING employee_id', [id]);
-      return result.rowCount;
+    const outcome = await withTransaction(async (client) => {
+      const { before, ...denied } = await lockManagedEmployee(client, req, 'employee_id = $1', id);
+      if (!before) return denied;
+      if (await removesLastAdmin(client, before)) return { status: 409, message: LAST_ADMIN };
+      const employee = await archiveRecord(client, req, 'employee', id);
+      if (!employee) return { status: 404, message: 'Employee not found.' };
+      await revokeEmployeeSessions(id, {}, client);
+      return { employee };
     });
 
-    if (deleted === 0) return res.status(404).json({ message: 'Employee not found.' });
-    res.json({ message: 'Employee deleted successfully.' });
+    if (!outcome.employee) return res.status(outcome.status).json({ message: outcome.message });
+    res.json({ message: 'Employee moved to the recycle bin.' });
   } catch (err) {
     console.error('Delete employee error:', err);
     res.status(500).json({ message: 'Server error deleting employee.' });
@@ -137,17 +277,18 @@ router.delete('/:id', authenticateToken, authorizeRoles('admin'), async (req, re
    POST /api/employees/import
    Accepts columns (case-insensitive):
    Team | Team Name | Team ID | First Name | Last Name | Email | Password | Role
-   - Maps "Tech Lead" → team_lead
+   - Role matches a role key or name; "Tech Lead" → team_lead
    - Writes to employees.password_hash (not "password")
+   - Imported passwords must be changed on first login
 ============================== */
 const normalize = (v) => String(v ?? '').trim();
 const lower = (v) => normalize(v).toLowerCase();
-const normalizeRole = (v) => {
+const TEAM_LEAD_ALIASES = ['team lead', 'tech lead', 'techlead', 'lead'];
+const normalizeRole = (v, roleByName) => {
   const s = lower(v);
   if (!s) return null; // means "don’t overwrite" on update
-  if (s === 'admin') return 'admin';
-  if (['team lead', 'team_lead', 'tech lead', 'techlead', 'lead'].includes(s)) return 'team_lead';
-  if (s === 'employee') return 'employee';
+  if (roleByName.has(s)) return roleByName.get(s);
+  if (TEAM_LEAD_ALIASES.includes(s) && roleByName.has('team_lead')) return 'team_lead';
   // Fallback: treat unknown roles as invalid so we don't insert garbage
   return null;
 };
@@ -155,7 +296,7 @@ const normalizeRole = (v) => {
 router.post(
   '/import',
   authenticateToken,
-  authorizeRoles('admin'),
+  requirePermission('employees.manage'),
   upload.single('file'),
   async (req, res) => {
     if (!req.file) {
@@ -180,12 +321,31 @@ router.post(
     // Team name → id map
     let teamByName = new Map();
     try {
-      const teamsResult = await pool.query('SELECT team_id, team_name FROM teams');
+      const teamsResult = await pool.query('SELECT team_id, team_name FROM teams WHERE archived_at IS NULL');
       teamsResult.rows.forEach((t) => teamByName.set(lower(t.team_name), t.team_id));
     } catch (e) {
       return res.status(500).json({ message: 'Failed to load teams for mapping.' });
     }
 
+    // Role key / name → key map
+    const roleByName = new Map();
+    try {
+      const rolesResult = await pool.query('SELECT role_key, role_name FROM roles');
+      rolesResult.rows.forEach((r) => {
+        roleByName.set(lower(r.role_key), r.role_key);
+        roleByName.set(lower(r.role_name), r.role_key);
+      });
+    } catch (e) {
+      return res.status(500).json({ message: 'Failed to load roles for mapping.' });
+    }
+
+    // role key → whether the importer may assign it
+    const assignable = new Map();
+    const isAssignable = async (role) => {
+      if (!assignable.has(role)) assignable.set(role, await canAssignRole(req.user, role));
+      return assignable.get(role);
+    };
+
     const summary = { inserted: 0, updated: 0, skipped: 0, errors: [] };
 
     const client = await pool.connect();
@@ -212,10 +372,15 @@ router.post(
         }
 
         // Resolve role (don’t overwrite if blank/unknown on update)
-        const normalizedRole = normalizeRole(roleCell);
+        const normalizedRole = normalizeRole(roleCell, roleByName);
         if (roleCell && !normalizedRole) {
           summary.skipped++;
-          summary.errors.push({ row: rowNum, reason: `Invalid role "${roleCell}". Allowed: admin, team_lead, tech lead, employee` });
+          summary.errors.push({ row: rowNum, reason: `Invalid role "${roleCell}". Use a role key or name from Roles.` });
+          continue;
+        }
+        if (normalizedRole && !(await isAssignable(normalizedRole))) {
+          summary.skipped++;
+          summary.errors.push({ row: rowNum, reason: `Role "${normalizedRole}": ${ROLE_NOT_ASSIGNABLE}` });
           continue;
         }
 
@@ -228,7 +393,7 @@ router.post(
             summary.errors.push({ row: rowNum, reason: `Team ID "${teamIdStr}" is not a number` });
             continue;
           }
-          const teamExists = await client.query('SELECT 1 FROM teams WHERE team_id = $1', [parsed]);
+          const teamExists = await client.query('SELECT 1 FROM teams WHERE team_id = $1 AND archived_at IS NULL', [parsed]);
           if (teamExists.rowCount === 0) {
             summary.skipped++;
             summary.errors.push({ row: rowNum, reason: `Team ID ${parsed} does not exist` });
@@ -247,10 +412,16 @@ router.post(
 
         // Existing employee?
         const exists = await client.query(
-          `SELECT employee_id FROM employees WHERE lower(email) = lower($1)`,
+          `SELECT employee_id, archived_at FROM employees WHERE lower(email) = lower($1)`,
           [email]
         );
 
+        if (exists.rows[0]?.archived_at) {
+          summary.skipped++;
+          summary.errors.push({ row: rowNum, reason: `Employee ${email} is in the recycle bin; restore them first` });
+          continue;
+        }
+
         if (exists.rowCount > 0) {
           // UPDATE — only change password if provided; don’t clobber role/team if omitted
           let hash = null;
@@ -264,16 +435,35 @@ router.post(
             }
           }
 
-          await client.query(
+          const { before, ...denied } = await lockManagedEmployee(client, req, 'lower(email) = lower($1)', email);
+          if (!before) {
+            summary.skipped++;
+            summary.errors.push({ row: rowNum, reason: `${email}: ${denied.message}` });
+            continue;
+          }
+          if (normalizedRole && (await removesLastAdmin(client, before, normalizedRole))) {
+            summary.skipped++;
+            summary.errors.push({ row: rowNum, reason: `${email}: ${LAST_ADMIN}` });
+            continue;
+          }
+          const updated = await client.query(
             `UPDATE employees
                SET first_name   = COALESCE($1, first_name),
                    last_name    = COALESCE($2, last_name),
                    role         = COALESCE($3, role),
                    team_id      = COALESCE($4, team_id),
-                   password_hash= COALESCE($5, password_hash)
-             WHERE lower(email) = lower($6)`,
+                   password_hash= COALESCE($5, password_hash),
+                   must_change_password = must_change_password OR $5::text IS NOT NULL
+             WHERE lower(email) = lower($6)
+             RETURNING ${AUDIT_COLUMNS}`,
             [firstName || null, lastName || null, normalizedRole, team_id, hash, email]
           );
+          await recordAudit(client, req, {
+            entityType: ENTITY_TYPES.EMPLOYEE, entityId: before.employee_id, action: 'update',
+            before, after: updated.rows[0], metadata: { source: 'import', row: rowNum, passwordChanged: !!hash },
+          });
+          // A new password signs the account out everywhere, like a password change
+          if (hash) await revokeEmployeeSessions(before.employee_id, {}, client);
           summary.updated++;
         } else {
           // INSERT — password required
@@ -292,15 +482,25 @@ router.post(
             continue;
           }
 
-          await client.query(
-            `INSERT INTO employees (first_name, last_name, email, role, team_id, password_hash)
-             VALUES ($1, $2, $3, $4, $5, $6)`,
+          const created = await client.query(
+            `INSERT INTO employees (first_name, last_name, email, role, team_id, password_hash, must_change_password)
+             VALUES ($1, $2, $3, $4, $5, $6, true)
+             RETURNING ${AUDIT_COLUMNS}`,
             [firstName, lastName, email, insertRole, team_id, hash]
           );
+          await recordAudit(client, req, {
+            entityType: ENTITY_TYPES.EMPLOYEE, entityId: created.rows[0].employee_id, action: 'create',
+            after: created.rows[0], metadata: { source: 'import', row: rowNum },
+          });
           summary.inserted++;
         }
       }
 
+      await recordAudit(client, req, {
+        entityType: ENTITY_TYPES.EMPLOYEE, action: 'import',
+        after: summary, metadata: { fileName: req.file.originalname || null, rows: rows.length },
+      });
+
       await client.query('COMMIT');
       return res.json({ message: 'Employee import finished.', summary });
     } catch (e) {
@@ -0,0 +1,201 @@
+// routes/entryTemplates.js
+// Daily entry templates: an employee saves a named set of utilization rows (and optionally
+// project hours), e.g. "Standard dev day", and applies it to a day or a range of days.
+// Templates are personal; the same employee scope as the daily entries applies.
+const express = require('express');
+const router = express.Router();
+const { authenticateToken } = require('../middleware/authMiddleware');
+const { requireEmployeeScope } = require('../middleware/scopeMiddleware');
+const { withTransaction } = require('../utils/transactionHelper');
+const { ENTITY_TYPES, recordAudit } = require('../utils/audit');
+const { resolveActivityCodes } = require('../utils/activities');
+const { listWorkingDays } = require('../utils/holidays');
+const { fillDay } = require('../utils/dayEntries');
+const { listTemplates, loadTemplate, saveTemplateRows } = require('../utils/entryTemplates');
+const { validate, sendValidationError, bodyFieldErrors } = require('../middleware/validate');
+const schemas = require('../schemas/entryTemplates');
+
+const employeeScope = requireEmployeeScope();
+
+// Resolves activity codes / labels and checks project ids; returns { activities, errors }
+const checkTemplateRows = async ({ activities, projects }, db) => {
+  const errors = [];
+  let resolved;
+  if (activities) {
+    const { codes, errors: codeErrors } = await resolveActivityCodes(activities.map((a) => a.activity), {}, db);
+    codeErrors.forEach((message, idx) => {
+      if (message) errors.push({ location: 'body', field: `activities.${idx}.activity`, message });
+    });
+    resolved = activities.map((a, idx) => ({ ...a, activity: codes[idx] }));
+  }
+  if (projects?.length) {
+    const { rows } = await db.query(
+      'SELECT project_id FROM projects WHERE project_id = ANY($1::varchar[]) AND archived_at IS NULL',
+      [projects.map((p) => p.projectId)]
+    );
+    const known = new Set(rows.map((r) => r.project_id));
+    projects.forEach((p, idx) => {
+      if (!known.has(p.projectId)) {
+        errors.push({ location: 'body', field: `projects.${idx}.projectId`, message: `Unknown project "${p.projectId}"` });
+      }
+    });
+  }
+  return { activities: resolved, errors };
+};
+
+// Postgres unique violation on (employee_id, lower(name))
+const duplicateName = (err, name) =>
+  err.code === '23505' ? bodyFieldErrors('name', [`You already have a template named "${name}"`]) : null;
+
+router.get('/employee/:employeeId/entry-templates', authenticateToken, validate(schemas.listTemplates), employeeScope, async (req, res) => {
+  try {
+    res.json(await listTemplates({ employeeId: req.params.employeeId }));
+  } catch (err) {
+    console.error('Error fetching entry templates:', err);
+    res.status(500).json({ message: 'Failed to fetch templates.' });
+  }
+});
+
+router.post('/employee/:employeeId/entry-templates', authenticateToken, validate(schemas.createTemplate), employeeScope, async (req, res) => {
+  const { employeeId } = req.params;
+  const { name, activities, projects } = req.body;
+
+  if (!activities.length && !projects.length) {
+    return sendValidationError(res, bodyFieldErrors('activities', ['A template needs at least one activity or project row']));
+  }
+
+  try {
+    const outcome = await withTransaction(async (client) => {
+      const checked = await checkTemplateRows({ activities, projects }, client);
+      if (checked.errors.length) return { errors: checked.errors };
+
+      const { rows } = await client.query(
+        'INSERT INTO entry_templates (employee_id, name) VALUES ($1, $2) RETURNING template_id',
+        [employeeId, name]
+      );
+      await saveTemplateRows(rows[0].template_id, { activities: checked.activities, projects }, client);
+      const after = await loadTemplate(employeeId, rows[0].template_id, client);
+      await recordAudit(client, req, {
+        entityType: ENTITY_TYPES.ENTRY_TEMPLATE,
+        entityId: after.template_id,
+        action: 'create',
+        after,
+      });
+      return { template: after };
+    });
+    if (outcome.errors) return sendValidationError(res, outcome.errors);
+    res.status(201).json({ message: 'Template saved.', template: outcome.template });
+  } catch (err) {
+    const duplicate = duplicateName(err, name);
+    if (duplicate) return sendValidationError(res, duplicate);
+    console.error('Error creating entry template:', err);
+    res.status(500).json({ message: 'Failed to save template.' });
+  }
+});
+
+router.put('/employee/:employeeId/entry-templates/:templateId', authenticateToken, validate(schemas.updateTemplate), employeeScope, async (req, res) => {
+  const { employeeId, templateId } = req.params;
+  const { name, activities, projects } = req.body;
+
+  try {
+    const outcome = await withTransaction(async (client) => {
+      const before = await loadTemplate(employeeId, templateId, client);
+      if (!before) return { status: 404, message: 'Template not found.' };
+
+      const checked = await checkTemplateRows({ activities, projects }, client);
+      if (checked.errors.length) return { errors: checked.errors };
+      if (!(activities ?? before.activities).length && !(projects ?? before.projects).length) {
+        return { errors: bodyFieldErrors('activities', ['A template needs at least one activity or project row']) };
+      }
+
+      await client.query(
+        `UPDATE entry_templates SET name = COALESCE($1, name), updated_at = NOW() WHERE template_id = $2`,
+        [name ?? null, templateId]
+      );
+      await saveTemplateRows(templateId, { activities: checked.activities, projects }, client);
+      const after = await loadTemplate(employeeId, templateId, client);
+      await recordAudit(client, req, {
+        entityType: ENTITY_TYPES.ENTRY_TEMPLATE,
+        entityId: templateId,
+        action: 'update',
+        before,
+        after,
+      });
+      return { template: after };
+    });
+    if (outcome.errors) return sendValidationError(res, outcome.errors);
+    if (!outcome.template) return res.status(outcome.status).json({ message: outcome.message });
+    res.json({ message: 'Template updated.', template: outcome.template });
+  } catch (err) {
+    const duplicate = duplicateName(err, name);
+    if (duplicate) return sendValidationError(res, duplicate);
+    console.error('Error updating entry template:', err);
+    res.status(500).json({ message: 'Failed to update template.' });
+  }
+});
+
+router.delete('/employee/:employeeId/entry-templates/:templateId', authenticateToken, validate(schemas.deleteTemplate), employeeScope, async (req, res) => {
+  const { employeeId, templateId } = req.params;
+
+  try {
+    const deleted = await withTransaction(async (client) => {
+      const before = await loadTemplate(employeeId, templateId, client);
+      if (!before) return false;
+      await client.query('DELETE FROM entry_templates WHERE template_id = $1', [templateId]);
+      await recordAudit(client, req, { entityType: ENTITY_TYPES.ENTRY_TEMPLATE, entityId: templateId, action: 'delete', before });
+      return true;
+    });
+    if (!deleted) return res.status(404).json({ message: 'Template not found.' });
+    res.json({ message: 'Template deleted.' });
+  } catch (err) {
+    console.error('Error deleting entry template:', err);
+    res.status(500).json({ message: 'Failed to delete template.' });
+  }
+});
+
+// Fills each working day of [startDate, endDate] with the template. Weekends, holidays, locked
+// days, days on leave and, unless overwrite is set, days that already have entries are skipped.
+router.post('/employee/:employeeId/entry-templates/:templateId/apply', authenticateToken, validate(schemas.applyTemplate), employeeScope, async (req, res) => {
+  const { employeeId, templateId } = req.params;
+  const { startDate, overwrite } = req.body;
+  const endDate = req.body.endDate || startDate;
+
+  try {
+    const outcome = await withTransaction(async (client) => {
+      const template = await loadTemplate(employeeId, templateId, client);
+      if (!template) return { status: 404, message: 'Template not found.' };
+
+      // Activities retired since the template was saved are left out
+      const { codes, errors } = await resolveActivityCodes(template.activities.map((a) => a.activity), {}, client);
+      const activities = template.activities.filter((_, idx) => codes[idx]);
+
+      const { days, skipped } = await listWorkingDays(employeeId, startDate, endDate, client);
+      const results = skipped.map((d) => ({ ...d, status: 'skipped' }));
+      for (const day of days) {
+        results.push(await fillDay(client, req, employeeId, day, {
+          activities,
+          projects: template.projects,
+          overwrite,
+          source: 'template',
+          metadata: { templateId: template.template_id, templateName: template.name },
+        }));
+      }
+      results.sort((a, b) => a.date.localeCompare(b.date));
+      return { template, results, warnings: errors.filter(Boolean) };
+    });
+    if (!outcome.results) return res.status(outcome.status).json({ message: outcome.message });
+
+    const filled = outcome.results.filter((r) => r.status === 'filled');
+    res.json({
+      message: `Applied "${outcome.template.name}" to ${filled.length} day(s).`,
+      filled: filled.map((r) => r.date),
+      skipped: outcome.results.filter((r) => r.status === 'skipped'),
+      warnings: [...outcome.warnings, ...filled.flatMap((r) => r.warnings)],
+    });
+  } catch (err) {
+    console.error('Error applying entry template:', err);
+    res.status(500).json({ message: 'Failed to apply template.' });
+  }
+});
+
+module.exports = router;
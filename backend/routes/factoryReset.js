@@ -0,0 +1,123 @@
+// routes/factoryReset.js
+const express = require('express');
+const { authenticateToken, requirePermission } = require('../middleware/authMiddleware');
+const { withTransaction } = require('../utils/transactionHelper');
+const { recordAudit } = require('../utils/audit');
+const {
+  listTables,
+  resetIdentitySequences,
+  createSnapshot,
+  listSnapshots,
+  resolveSnapshotPath,
+  restoreSnapshot,
+} = require('../utils/snapshots');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/system');
+
+const router = express.Router();
+
+// Configuration that survives a reset (the retained admin's role must still exist)
+const PRESERVED_TABLES = ['roles', 'permissions', 'role_permissions', 'activities', 'leave_types'];
+
+// ======================= FACTORY RESET =======================
+// body: { confirm: 'FACTORY RESET' } (schemas.RESET_CONFIRMATION)
+// Writes a snapshot first, then wipes every table in one transaction.
+// Only the admin who triggered the reset is kept; there are no default credentials.
+router.delete('/factory-reset', authenticateToken, requirePermission('system.admin'), validate(schemas.factoryReset), async (req, res) => {
+  let snapshot;
+  try {
+    snapshot = await createSnapshot({ reason: 'pre-factory-reset', createdBy: req.user.email });
+  } catch (error) {
+    console.error('❌ Safety snapshot failed, reset aborted:', error);
+    return res.status(500).json({ message: 'Could not write the safety snapshot. Nothing was deleted.' });
+  }
+
+  try {
+    console.log(`⚠️ Factory reset triggered by ${req.user.email} (snapshot ${snapshot.fileName})`);
+
+    await withTransaction(async (client) => {
+      // 1) Remember the acting admin, detached from any team
+      const keep = await client.query(
+        `SELECT employee_id, first_name, last_name, email, password_hash, role, password_changed_at
+           FROM employees
+          WHERE employee_id = $1`,
+        [req.user.employeeId]
+      );
+
+      // 2) Wipe everything (sessions included, so everyone signs in again)
+      const tables = (await listTables(client)).filter((t) => !PRESERVED_TABLES.includes(t));
+      await client.query(`TRUNCATE TABLE ${tables.map((t) => `public."${t}"`).join(', ')} RESTART IDENTITY CASCADE`);
+
+      // 3) Put the admin back with the original id
+      for (const a of keep.rows) {
+        await client.query(
+          `INSERT INTO employees (employee_id, first_name, last_name, email, password_hash, role, password_changed_at)
+           OVERRIDING SYSTEM VALUE
+           VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+          [a.employee_id, a.first_name, a.last_name, a.email, a.password_hash, a.role, a.password_changed_at]
+        );
+      }
+
+      await resetIdentitySequences(client, ['employees']);
+
+      // The audit trail was wiped with everything else; start the new one with the reset itself
+      await recordAudit(client, req, {
+        entityType: 'system', action: 'delete', metadata: { operation: 'factory-reset', snapshot: snapshot.fileName },
+      });
+    });
+
+    console.log('✅ Factory reset complete (admin retained).');
+    res.json({ message: 'Factory reset successful. Admin retained. Please log in again.', snapshot });
+  } catch (error) {
+    console.error('❌ Factory reset error:', error);
+    res.status(500).json({ message: 'Failed to perform factory reset.', snapshot });
+  }
+});
+
+// ======================= SNAPSHOTS =======================
+router.get('/snapshots', authenticateToken, requirePermission('system.admin'), async (_req, res) => {
+  try {
+    res.json(await listSnapshots());
+  } catch (error) {
+    console.error('Error listing snapshots:', error);
+    res.status(500).json({ message: 'Failed to list snapshots.' });
+  }
+});
+
+// Manual snapshot
+router.post('/snapshots', authenticateToken, requirePermission('system.admin'), async (req, res) => {
+  try {
+    const snapshot = await createSnapshot({ reason: 'manual', createdBy: req.user.email });
+    res.status(201).json({ message: 'Snapshot created.', snapshot });
+  } catch (error) {
+    console.error('Error creating snapshot:', error);
+    res.status(500).json({ message: 'Failed to create snapshot.' });
+  }
+});
+
+router.get('/snapshots/:fileName', authenticateToken, requirePermission('system.admin'), validate(schemas.downloadSnapshot), (req, res) => {
+  const filePath = resolveSnapshotPath(req.params.fileName);
+  res.download(filePath, req.params.fileName, (err) => {
+    if (!err) return;
+    if (!res.headersSent) {
+      res.status(err.code === 'ENOENT' ? 404 : 500).json({ message: 'Snapshot not found.' });
+    }
+  });
+});
+
+// body: { confirm: 'RESTORE' } (schemas.RESTORE_CONFIRMATION) — takes a snapshot of the current data before replacing it
+router.post('/snapshots/:fileName/restore', authenticateToken, requirePermission('system.admin'), validate(schemas.restoreSnapshot), async (req, res) => {
+  const { fileName } = req.params;
+
+  try {
+    const before = await createSnapshot({ reason: 'pre-restore', createdBy: req.user.email });
+    const result = await withTransaction((client) => restoreSnapshot(client, fileName));
+    console.log(`♻️ Snapshot ${fileName} restored by ${req.user.email}`);
+    res.json({ message: 'Snapshot restored. Please log in again.', ...result, previousData: before.fileName });
+  } catch (error) {
+    console.error('❌ Snapshot restore error:', error);
+    res.status(error.status || 500).json({ message: error.status ? error.message : 'Failed to restore snapshot.' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,189 @@
+// routes/holidays.js
+// Holiday calendar: org-wide or per-team non-working days, maintained by holidays.manage
+// and importable from a spreadsheet (Date | Name) or an iCalendar (.ics) file.
+// Every signed-in user can read it; the dashboard and entry form skip holidays like weekends.
+const express = require('express');
+const router = express.Router();
+const multer = require('multer');
+const { authenticateToken, requirePermission } = require('../middleware/authMiddleware');
+const { withTransaction } = require('../utils/transactionHelper');
+const { ENTITY_TYPES, recordAudit } = require('../utils/audit');
+const { loadHoliday, listHolidays, parseHolidaySheet, parseHolidayIcs } = require('../utils/holidays');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/holidays');
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 2 * 1024 * 1024 }, // 2MB
+});
+
+const canManage = requirePermission('holidays.manage');
+
+const scopeLabel = (teamId) => (teamId ? `team ${teamId}` : 'all teams');
+
+// Maps constraint errors of holiday writes to a response, or null for anything else
+const holidayWriteError = (err, date, teamId) => {
+  if (err.code === '23505') return { status: 409, message: `There is already a holiday on ${date} for ${scopeLabel(teamId)}.` };
+  if (err.code === '23503') return { status: 404, message: 'Team not found.' };
+  return null;
+};
+
+router.get('/holidays', authenticateToken, validate(schemas.list), async (req, res) => {
+  const { startDate, endDate, teamId } = req.query;
+  try {
+    res.json(await listHolidays({ startDate, endDate, teamId: teamId || null }));
+  } catch (err) {
+    console.error('Error fetching holidays:', err);
+    res.status(500).json({ message: 'Failed to fetch holidays.' });
+  }
+});
+
+router.post('/holidays', authenticateToken, canManage, validate(schemas.createHoliday), async (req, res) => {
+  const { date, name } = req.body;
+  const teamId = req.body.teamId || null;
+
+  try {
+    const holiday = await withTransaction(async (client) => {
+      const { rows } = await client.query(
+        `INSERT INTO holidays (holiday_date, name, team_id, source, created_by)
+         VALUES ($1::date, $2, $3, 'manual', $4)
+         RETURNING holiday_id`,
+        [date, name, teamId, req.user.employeeId]
+      );
+      const after = await loadHoliday(rows[0].holiday_id, client);
+      await recordAudit(client, req, { entityType: ENTITY_TYPES.HOLIDAY, entityId: after.holiday_id, action: 'create', after });
+      return after;
+    });
+    res.status(201).json({ message: 'Holiday added.', holiday });
+  } catch (err) {
+    const known = holidayWriteError(err, date, teamId);
+    if (known) return res.status(known.status).json({ message: known.message });
+    console.error('Error creating holiday:', err);
+    res.status(500).json({ message: 'Failed to add holiday.' });
+  }
+});
+
+router.put('/holidays/:holidayId', authenticateToken, canManage, validate(schemas.updateHoliday), async (req, res) => {
+  const { holidayId } = req.params;
+  const { date, name, teamId } = req.body;
+
+  try {
+    const holiday = await withTransaction(async (client) => {
+      const before = await loadHoliday(holidayId, client);
+      if (!before) return null;
+      await client.query(
+        `UPDATE holidays
+            SET holiday_date = COALESCE($1::date, holiday_date),
+                name = COALESCE($2, name),
+                -- '' / null moves the holiday to org-wide, so "not sent" is passed separately
+                team_id = CASE WHEN $3 THEN $4::int ELSE team_id END
+          WHERE holiday_id = $5`,
+        [date ?? null, name ?? null, teamId !== undefined, teamId || null, holidayId]
+      );
+      const after = await loadHoliday(holidayId, client);
+      await recordAudit(client, req, { entityType: ENTITY_TYPES.HOLIDAY, entityId: holidayId, action: 'update', before, after });
+      return after;
+    });
+    if (!holiday) return res.status(404).json({ message: 'Holiday not found.' });
+    res.json({ message: 'Holiday updated.', holiday });
+  } catch (err) {
+    const known = holidayWriteError(err, date, teamId);
+    if (known) return res.status(known.status).json({ message: known.message });
+    console.error('Error updating holiday:', err);
+    res.status(500).json({ message: 'Failed to update holiday.' });
+  }
+});
+
+router.delete('/holidays/:holidayId', authenticateToken, canManage, validate(schemas.deleteHoliday), async (req, res) => {
+  const { holidayId } = req.params;
+
+  try {
+    const deleted = await withTransaction(async (client) => {
+      const before = await loadHoliday(holidayId, client);
+      if (!before) return false;
+      await client.query('DELETE FROM holidays WHERE holiday_id = $1', [holidayId]);
+      await recordAudit(client, req, { entityType: ENTITY_TYPES.HOLIDAY, entityId: holidayId, action: 'delete', before });
+      return true;
+    });
+    if (!deleted) return res.status(404).json({ message: 'Holiday not found.' });
+    res.json({ message: 'Holiday deleted.' });
+  } catch (err) {
+    console.error('Error deleting holiday:', err);
+    res.status(500).json({ message: 'Failed to delete holiday.' });
+  }
+});
+
+// ---------------- Import (xlsx / csv / ics) ----------------
+// form-data: file, teamId (optional; empty = org-wide). Existing holidays on the same day
+// and scope are renamed, so re-importing an updated list is safe.
+router.post('/holidays/import', authenticateToken, canManage, upload.single('file'), validate(schemas.importHolidays), async (req, res) => {
+  if (!req.file) return res.status(400).json({ message: 'Please upload a .xlsx, .csv or .ics file.' });
+  const teamId = req.body.teamId || null;
+
+  const fileName = req.file.originalname || '';
+  const isIcs = /\.ics$/i.test(fileName) || req.file.mimetype === 'text/calendar';
+  const source = isIcs ? 'ics' : 'xlsx';
+
+  let parsed;
+  try {
+    parsed = isIcs ? parseHolidayIcs(req.file.buffer) : parseHolidaySheet(req.file.buffer);
+  } catch (e) {
+    return res.status(400).json({ message: e.message || 'Cannot read the uploaded file.' });
+  }
+  if (!parsed.holidays.length && !parsed.errors.length) {
+    return res.status(400).json({ message: 'The file contains no holidays.' });
+  }
+
+  try {
+    const summary = await withTransaction(async (client) => {
+      let inserted = 0;
+      let updated = 0;
+      let skipped = 0;
+      const errors = [...parsed.errors];
+      const seen = new Set();
+
+      for (const h of parsed.holidays) {
+        // The same day twice in one file (e.g. overlapping events): first one wins
+        if (seen.has(h.date)) { skipped += 1; continue; }
+        seen.add(h.date);
+
+        const before = await client.query(
+          `SELECT holiday_id FROM holidays WHERE holiday_date = $1::date AND team_id IS NOT DISTINCT FROM $2`,
+          [h.date, teamId]
+        );
+        const { rows } = await client.query(
+          `INSERT INTO holidays (holiday_date, name, team_id, source, created_by)
+           VALUES ($1::date, $2, $3, $4, $5)
+           ON CONFLICT (holiday_date, (COALESCE(team_id, 0))) DO UPDATE SET name = EXCLUDED.name
+           RETURNING holiday_id`,
+          [h.date, h.name, teamId, source, req.user.employeeId]
+        );
+        if (before.rowCount) updated += 1; else inserted += 1;
+
+        await recordAudit(client, req, {
+          entityType: ENTITY_TYPES.HOLIDAY,
+          entityId: rows[0].holiday_id,
+          action: before.rowCount ? 'update' : 'create',
+          after: await loadHoliday(rows[0].holiday_id, client),
+          metadata: { source: 'import', ref: h.ref },
+        });
+      }
+
+      const result = { inserted, updated, skipped, errors };
+      await recordAudit(client, req, {
+        entityType: ENTITY_TYPES.HOLIDAY,
+        action: 'import',
+        after: result,
+        metadata: { fileName: fileName || null, format: source, teamId },
+      });
+      return result;
+    });
+    res.json(summary);
+  } catch (err) {
+    if (err.code === '23503') return res.status(404).json({ message: 'Team not found.' });
+    console.error('Holiday import error:', err);
+    res.status(500).json({ message: 'Failed to import holidays.' });
+  }
+});
+
+module.exports = router;
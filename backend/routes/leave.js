@@ -0,0 +1,353 @@
+// routes/leave.js
+// Leave requests: employees request a leave type over a date range (half days allowed at
+// either end), reviewers (leave.approve) approve or reject them. Approval writes one 'L'
+// utilization row per working day, so approved leave fills the day like any other entry;
+// cancelling an approved request removes those rows again.
+const express = require('express');
+const router = express.Router();
+const pool = require('../db/pool');
+const { authenticateToken, requirePermission } = require('../middleware/authMiddleware');
+const { requireEmployeeScope, checkEmployeeScope, checkTeamScope } = require('../middleware/scopeMiddleware');
+const { findDayLock } = require('../middleware/entryLocks');
+const { withTransaction } = require('../utils/transactionHelper');
+const { ENTITY_TYPES, recordAudit } = require('../utils/audit');
+const { ADMIN_ROLE, hasPermission } = require('../utils/permissions');
+const { getHoursPolicy, checkDayHours } = require('../utils/hoursPolicy');
+const { recordDayRevisions } = require('../utils/entryRevisions');
+const {
+  LEAVE_ACTIVITY_CODE,
+  listLeaveTypes,
+  loadLeaveRequest,
+  listLeaveRequests,
+  findOverlappingLeave,
+  leaveDays,
+  leaveBalance,
+} = require('../utils/leave');
+const { validate, sendValidationError, bodyFieldErrors } = require('../middleware/validate');
+const schemas = require('../schemas/leave');
+
+const employeeScope = requireEmployeeScope();
+// Reviewing is not editing entries, so entries.edit_others is not required
+const reviewScope = { write: false };
+const canReview = requirePermission('leave.approve');
+
+// Same audit entity id as routes/daily.js uses for a day's utilization rows
+const utilizationEntityId = (employeeId, day) => `${employeeId}/${day}`;
+
+const currentYear = () => Number(new Intl.DateTimeFormat('en-CA', { timeZone: 'Asia/Kolkata', year: 'numeric' }).format(new Date()));
+
+const isOwnRequest = (user, request) => String(request.employee_id) === String(user.employeeId);
+
+router.get('/leave-types', authenticateToken, validate(schemas.listTypes), async (req, res) => {
+  try {
+    res.json(await listLeaveTypes({ includeInactive: req.query.includeInactive }));
+  } catch (err) {
+    console.error('Error fetching leave types:', err);
+    res.status(500).json({ message: 'Failed to fetch leave types.' });
+  }
+});
+
+router.get('/employee/:employeeId/leave-requests', authenticateToken, validate(schemas.listEmployeeRequests), employeeScope, async (req, res) => {
+  try {
+    res.json(await listLeaveRequests({ employeeId: req.params.employeeId, year: req.query.year ?? null }));
+  } catch (err) {
+    console.error('Error fetching leave requests:', err);
+    res.status(500).json({ message: 'Failed to fetch leave requests.' });
+  }
+});
+
+router.get('/employee/:employeeId/leave-balance', authenticateToken, validate(schemas.balance), employeeScope, async (req, res) => {
+  const year = req.query.year ?? currentYear();
+  try {
+    res.json({ year, balances: await leaveBalance(req.params.employeeId, year) });
+  } catch (err) {
+    console.error('Error fetching leave balance:', err);
+    res.status(500).json({ message: 'Failed to fetch leave balance.' });
+  }
+});
+
+router.post('/employee/:employeeId/leave-requests', authenticateToken, validate(schemas.createRequest), employeeScope, async (req, res) => {
+  const { employeeId } = req.params;
+  const { leaveType, startDate, endDate, startHalfDay, endHalfDay, reason } = req.body;
+
+  try {
+    const outcome = await withTransaction(async (client) => {
+      const types = await listLeaveTypes({}, client);
+      if (!types.some((t) => t.leave_type === leaveType)) {
+        return { errors: bodyFieldErrors('leaveType', [`Unknown or inactive leave type "${leaveType}"`]) };
+      }
+
+      // Serialises requests of one employee so two overlapping ones cannot both pass the check
+      await client.query('SELECT 1 FROM employees WHERE employee_id = $1 FOR UPDATE', [employeeId]);
+      const [overlap] = await findOverlappingLeave(employeeId, startDate, endDate, client);
+      if (overlap) {
+        return {
+          status: 409,
+          message: `This overlaps your ${overlap.status} ${overlap.leave_type_label || overlap.leave_type} ` +
+            `request for ${overlap.start_date} to ${overlap.end_date}.`,
+        };
+      }
+
+      const { total } = await leaveDays(employeeId, { startDate, endDate, startHalfDay, endHalfDay }, client);
+      if (!total) return { status: 400, message: 'The selected dates are all weekends or holidays; there is no leave to request.' };
+
+      const { rows } = await client.query(
+        `INSERT INTO leave_requests
+           (employee_id, leave_type, start_date, end_date, start_half_day, end_half_day, days, reason, requested_by)
+         VALUES ($1, $2, $3::date, $4::date, $5, $6, $7, $8, $9)
+         RETURNING leave_request_id`,
+        [employeeId, leaveType, startDate, endDate, startHalfDay, endHalfDay, total, reason || null, req.user.employeeId]
+      );
+      const after = await loadLeaveRequest(rows[0].leave_request_id, {}, client);
+      await recordAudit(client, req, {
+        entityType: ENTITY_TYPES.LEAVE_REQUEST,
+        entityId: after.leave_request_id,
+        action: 'create',
+        after,
+      });
+      return { request: after };
+    });
+    if (outcome.errors) return sendValidationError(res, outcome.errors);
+    if (!outcome.request) return res.status(outcome.status).json({ message: outcome.message });
+    res.status(201).json({ message: 'Leave requested.', request: outcome.request });
+  } catch (err) {
+    console.error('Error creating leave request:', err);
+    res.status(500).json({ message: 'Failed to create leave request.' });
+  }
+});
+
+// Requests waiting for (or past) review. Reviewers without entries.view_all only see their own team.
+router.get('/leave-requests/queue', authenticateToken, canReview, validate(schemas.queue), async (req, res) => {
+  const { status, teamId } = req.query;
+
+  try {
+    let team = teamId || null;
+    if (!hasPermission(req.user, 'entries.view_all')) {
+      if (team) {
+        const denied = await checkTeamScope(req.user, team);
+        if (denied) return res.status(denied.status).json({ message: denied.message });
+      } else {
+        const { rows } = await pool.query('SELECT team_id FROM employees WHERE employee_id = $1', [req.user.employeeId]);
+        if (rows[0]?.team_id == null) return res.json([]);
+        team = rows[0].team_id;
+      }
+    }
+    res.json(await listLeaveRequests({ teamId: team, statuses: [status] }));
+  } catch (err) {
+    console.error('Error fetching leave queue:', err);
+    res.status(500).json({ message: 'Failed to fetch leave requests.' });
+  }
+});
+
+// Writes the request's 'L' rows. Returns { status, message, lock? } when a day cannot take them.
+const writeLeaveRows = async (client, req, request) => {
+  const { days } = await leaveDays(request.employee_id, {
+    startDate: request.start_date,
+    endDate: request.end_date,
+    startHalfDay: request.start_half_day,
+    endHalfDay: request.end_half_day,
+  }, client);
+  if (!days.length) {
+    return { status: 409, message: 'Every day of this request is now a weekend or holiday; reject or cancel it instead.' };
+  }
+
+  const { expectedHoursPerDay } = getHoursPolicy();
+  for (const { date, fraction } of days) {
+    const locked = await findDayLock(request.employee_id, date, client);
+    if (locked) return { status: 409, message: locked.message, lock: locked.lock };
+
+    const before = await client.query(
+      `SELECT * FROM daily_entry_utilization
+        WHERE employee_id = $1 AND entry_date = $2::date AND activity = $3
+        FOR UPDATE`,
+      [request.employee_id, date, LEAVE_ACTIVITY_CODE]
+    );
+    if (before.rows[0]?.leave_request_id) {
+      return { status: 409, message: `${date} already has leave from request #${before.rows[0].leave_request_id}.` };
+    }
+
+    // A Leave row logged by hand for the day becomes this request's row
+    const after = await client.query(
+      `INSERT INTO daily_entry_utilization
+         (employee_id, entry_date, activity, utilization_hours, utilization_comments, leave_request_id)
+       VALUES ($1, $2::date, $3, $4, $5, $6)
+       ON CONFLICT (employee_id, entry_date, activity) DO UPDATE
+          SET utilization_hours = EXCLUDED.utilization_hours,
+              utilization_comments = COALESCE(daily_entry_utilization.utilization_comments, EXCLUDED.utilization_comments),
+              leave_request_id = EXCLUDED.leave_request_id
+       RETURNING *`,
+      [
+        request.employee_id, date, LEAVE_ACTIVITY_CODE, expectedHoursPerDay * fraction,
+        request.leave_type_label || request.leave_type, request.leave_request_id,
+      ]
+    );
+
+    const policy = await checkDayHours(request.employee_id, date, client);
+    if (policy.violations.length) {
+      return { status: 409, message: `${date}: ${policy.violations.map((v) => v.message).join(' ')}` };
+    }
+
+    await recordAudit(client, req, {
+      entityType: ENTITY_TYPES.DAILY_UTILIZATION,
+      entityId: utilizationEntityId(request.employee_id, date),
+      action: before.rowCount ? 'update' : 'create',
+      before: before.rows,
+      after: after.rows,
+      metadata: { leaveRequestId: request.leave_request_id },
+    });
+    await recordDayRevisions(client, req, [{ employeeId: request.employee_id, day: date }], { source: 'leave' });
+  }
+  return null;
+};
+
+// Removes the 'L' rows an approved request wrote, or nothing and { status, message, lock } when a day is locked.
+const removeLeaveRows = async (client, req, request) => {
+  const { rows } = await client.query(
+    `SELECT to_char(entry_date, 'YYYY-MM-DD') AS entry_date
+       FROM daily_entry_utilization
+      WHERE leave_request_id = $1
+      ORDER BY entry_date`,
+    [request.leave_request_id]
+  );
+  for (const { entry_date: date } of rows) {
+    const locked = await findDayLock(request.employee_id, date, client);
+    if (locked) return { status: 409, message: locked.message, lock: locked.lock };
+  }
+
+  const deleted = await client.query(
+    `DELETE FROM daily_entry_utilization WHERE leave_request_id = $1
+     RETURNING *, to_char(entry_date, 'YYYY-MM-DD') AS day`,
+    [request.leave_request_id]
+  );
+  for (const row of deleted.rows) {
+    const { day, ...before } = row;
+    await recordAudit(client, req, {
+      entityType: ENTITY_TYPES.DAILY_UTILIZATION,
+      entityId: utilizationEntityId(request.employee_id, day),
+      action: 'delete',
+      before: [before],
+      metadata: { leaveRequestId: request.leave_request_id },
+    });
+  }
+  await recordDayRevisions(
+    client, req, deleted.rows.map((r) => ({ employeeId: request.employee_id, day: r.day })), { source: 'leave' }
+  );
+  return null;
+};
+
+// Moves a pending request to approved / rejected
+const review = (decision) => async (req, res) => {
+  const { leaveRequestId } = req.params;
+  const comment = req.body.comment || null;
+
+  try {
+    const outcome = await withTransaction(async (client) => {
+      const before = await loadLeaveRequest(leaveRequestId, { lock: true }, client);
+      if (!before) return { status: 404, message: 'Leave request not found.' };
+
+      const denied = await checkEmployeeScope(req.user, before.employee_id, reviewScope);
+      if (denied) return denied;
+      if (isOwnRequest(req.user, before) && req.user.role !== ADMIN_ROLE) {
+        return { status: 403, message: 'You cannot review your own leave request.' };
+      }
+      if (before.status !== 'pending') {
+        return { status: 409, message: `Only pending requests can be reviewed; this one is ${before.status}.` };
+      }
+
+      // withTransaction commits whatever the callback returns, so a refused day undoes the rows written before it
+      await client.query('SAVEPOINT leave_review');
+      if (decision === 'approved') {
+        const refused = await writeLeaveRows(client, req, before);
+        if (refused) {
+          await client.query('ROLLBACK TO SAVEPOINT leave_review');
+          return refused;
+        }
+      }
+
+      await client.query(
+        `UPDATE leave_requests
+            SET status = $1, reviewed_at = NOW(), reviewed_by = $2, review_comment = $3, updated_at = NOW()
+          WHERE leave_request_id = $4`,
+        [decision, req.user.employeeId, comment, leaveRequestId]
+      );
+      const after = await loadLeaveRequest(leaveRequestId, {}, client);
+      await recordAudit(client, req, {
+        entityType: ENTITY_TYPES.LEAVE_REQUEST,
+        entityId: leaveRequestId,
+        action: 'update',
+        before,
+        after,
+        metadata: { transition: decision === 'approved' ? 'approve' : 'reject' },
+      });
+      return { request: after };
+    });
+    if (!outcome.request) {
+      return res.status(outcome.status).json({
+        message: outcome.message,
+        ...(outcome.lock && { code: 'ENTRIES_LOCKED', lock: outcome.lock }),
+      });
+    }
+    res.json({ message: `Leave request ${decision}.`, request: outcome.request });
+  } catch (err) {
+    console.error(`Error setting leave request ${decision}:`, err);
+    res.status(500).json({ message: 'Failed to review leave request.' });
+  }
+};
+
+router.post('/leave-requests/:leaveRequestId/approve', authenticateToken, canReview, validate(schemas.approve), review('approved'));
+router.post('/leave-requests/:leaveRequestId/reject', authenticateToken, canReview, validate(schemas.reject), review('rejected'));
+
+// The employee withdraws a pending or approved request; a reviewer can cancel one they could approve
+router.post('/leave-requests/:leaveRequestId/cancel', authenticateToken, validate(schemas.cancel), async (req, res) => {
+  const { leaveRequestId } = req.params;
+
+  try {
+    const outcome = await withTransaction(async (client) => {
+      const before = await loadLeaveRequest(leaveRequestId, { lock: true }, client);
+      if (!before) return { status: 404, message: 'Leave request not found.' };
+
+      if (!isOwnRequest(req.user, before)) {
+        if (!hasPermission(req.user, 'leave.approve')) {
+          return { status: 403, message: 'You can only cancel your own leave requests.' };
+        }
+        const denied = await checkEmployeeScope(req.user, before.employee_id, reviewScope);
+        if (denied) return denied;
+      }
+      if (!['pending', 'approved'].includes(before.status)) {
+        return { status: 409, message: `This request is already ${before.status}.` };
+      }
+
+      if (before.status === 'approved') {
+        const refused = await removeLeaveRows(client, req, before);
+        if (refused) return refused;
+      }
+
+      await client.query(
+        `UPDATE leave_requests SET status = 'cancelled', updated_at = NOW() WHERE leave_request_id = $1`,
+        [leaveRequestId]
+      );
+      const after = await loadLeaveRequest(leaveRequestId, {}, client);
+      await recordAudit(client, req, {
+        entityType: ENTITY_TYPES.LEAVE_REQUEST,
+        entityId: leaveRequestId,
+        action: 'update',
+        before,
+        after,
+        metadata: { transition: 'cancel' },
+      });
+      return { request: after };
+    });
+    if (!outcome.request) {
+      return res.status(outcome.status).json({
+        message: outcome.message,
+        ...(outcome.lock && { code: 'ENTRIES_LOCKED', lock: outcome.lock }),
+      });
+    }
+    res.json({ message: 'Leave request cancelled.', request: outcome.request });
+  } catch (err) {
+    console.error('Error cancelling leave request:', err);
+    res.status(500).json({ message: 'Failed to cancel leave request.' });
+  }
+});
+
+module.exports = router;
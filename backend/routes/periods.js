@@ -0,0 +1,149 @@
+// routes/periods.js
+// Month-end period close: admins (periods.manage) freeze a date range for one team or the
+// whole organisation, and reopen it with a reason. Entries of closed days are rejected by
+// middleware/entryLocks.js; employees can list the closed periods that apply to them.
+const express = require('express');
+const router = express.Router();
+const pool = require('../db/pool');
+const { authenticateToken, requirePermission } = require('../middleware/authMiddleware');
+const { requireEmployeeScope } = require('../middleware/scopeMiddleware');
+const { withTransaction } = require('../utils/transactionHelper');
+const { ENTITY_TYPES, recordAudit } = require('../utils/audit');
+const { loadPeriod, listClosedPeriodsFor } = require('../utils/periods');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/periods');
+
+const canManage = requirePermission('periods.manage');
+// Reading the closed days is not editing entries
+const employeeScope = requireEmployeeScope((req) => req.params.employeeId, { write: false });
+
+router.get('/closed-periods', authenticateToken, canManage, validate(schemas.list), async (req, res) => {
+  const { includeReopened, teamId } = req.query;
+
+  try {
+    const { rows } = await pool.query(
+      `SELECT cp.period_id, cp.team_id, t.team_name,
+              to_char(cp.start_date, 'YYYY-MM-DD') AS start_date, to_char(cp.end_date, 'YYYY-MM-DD') AS end_date,
+              cp.note, cp.closed_at, cp.reopened_at, cp.reopen_reason,
+              TRIM(CONCAT(ec.first_name, ' ', ec.last_name)) AS closed_by_name,
+              TRIM(CONCAT(er.first_name, ' ', er.last_name)) AS reopened_by_name
+         FROM closed_periods cp
+         LEFT JOIN teams t ON t.team_id = cp.team_id
+         LEFT JOIN employees ec ON ec.employee_id = cp.closed_by
+         LEFT JOIN employees er ON er.employee_id = cp.reopened_by
+        WHERE ($1::boolean OR cp.reopened_at IS NULL)
+          AND ($2::int IS NULL OR cp.team_id = $2 OR cp.team_id IS NULL)
+        ORDER BY cp.start_date DESC, cp.period_id DESC`,
+      [includeReopened, teamId || null]
+    );
+    res.json(rows);
+  } catch (err) {
+    console.error('Error fetching closed periods:', err);
+    res.status(500).json({ message: 'Failed to fetch closed periods.' });
+  }
+});
+
+router.post('/closed-periods', authenticateToken, canManage, validate(schemas.closePeriod), async (req, res) => {
+  const { startDate, endDate, note } = req.body;
+  const teamId = req.body.teamId || null;
+
+  try {
+    const outcome = await withTransaction(async (client) => {
+      if (teamId) {
+        const team = await client.query('SELECT 1 FROM teams WHERE team_id = $1 AND archived_at IS NULL', [teamId]);
+        if (!team.rowCount) return { status: 404, message: 'Team not found.' };
+      }
+
+      // Overlapping closes of the same scope would make reopening one of them meaningless
+      const { rows: overlap } = await client.query(
+        `SELECT to_char(start_date, 'YYYY-MM-DD') AS start_date, to_char(end_date, 'YYYY-MM-DD') AS end_date
+           FROM closed_periods
+          WHERE reopened_at IS NULL
+            AND team_id IS NOT DISTINCT FROM $1
+            AND start_date <= $3::date AND end_date >= $2::date
+          LIMIT 1`,
+        [teamId, startDate, endDate]
+      );
+      if (overlap.length) {
+        return {
+          status: 409,
+          message: `This range overlaps the closed period ${overlap[0].start_date} to ${overlap[0].end_date}.`,
+        };
+      }
+
+      const { rows } = await client.query(
+        `INSERT INTO closed_periods (team_id, start_date, end_date, note, closed_by)
+         VALUES ($1, $2::date, $3::date, $4, $5)
+         RETURNING period_id`,
+        [teamId, startDate, endDate, note || null, req.user.employeeId]
+      );
+      const after = await loadPeriod(rows[0].period_id, {}, client);
+      await recordAudit(client, req, {
+        entityType: ENTITY_TYPES.CLOSED_PERIOD,
+        entityId: after.period_id,
+        action: 'create',
+        after,
+        metadata: { transition: 'close' },
+      });
+      return { period: after };
+    });
+    if (!outcome.period) return res.status(outcome.status).json({ message: outcome.message });
+    res.status(201).json({ message: 'Period closed.', period: outcome.period });
+  } catch (err) {
+    console.error('Error closing period:', err);
+    res.status(500).json({ message: 'Failed to close period.' });
+  }
+});
+
+router.post('/closed-periods/:periodId/reopen', authenticateToken, canManage, validate(schemas.reopenPeriod), async (req, res) => {
+  const { periodId } = req.params;
+  const { reason } = req.body;
+
+  try {
+    const outcome = await withTransaction(async (client) => {
+      const before = await loadPeriod(periodId, { lock: true }, client);
+      if (!before) return { status: 404, message: 'Closed period not found.' };
+      if (before.reopened_at) return { status: 409, message: 'This period has already been reopened.' };
+
+      await client.query(
+        `UPDATE closed_periods
+            SET reopened_at = NOW(), reopened_by = $1, reopen_reason = $2
+          WHERE period_id = $3`,
+        [req.user.employeeId, reason, periodId]
+      );
+      const after = await loadPeriod(periodId, {}, client);
+      await recordAudit(client, req, {
+        entityType: ENTITY_TYPES.CLOSED_PERIOD,
+        entityId: periodId,
+        action: 'update',
+        before,
+        after,
+        metadata: { transition: 'reopen', reason },
+      });
+      return { period: after };
+    });
+    if (!outcome.period) return res.status(outcome.status).json({ message: outcome.message });
+    res.json({ message: 'Period reopened.', period: outcome.period });
+  } catch (err) {
+    console.error('Error reopening period:', err);
+    res.status(500).json({ message: 'Failed to reopen period.' });
+  }
+});
+
+// Closed periods that apply to one employee within a range (the entry form's lock indicator)
+router.get('/employee/:employeeId/closed-periods', authenticateToken, validate(schemas.employeePeriods), employeeScope, async (req, res) => {
+  const { employeeId } = req.params;
+  const { startDate, endDate } = req.query;
+
+  try {
+    const rows = await listClosedPeriodsFor(employeeId, startDate, endDate);
+    res.json(rows.map(({ period_id, team_id, team_name, start_date, end_date, note }) => ({
+      period_id, team_id, team_name, start_date, end_date, note,
+    })));
+  } catch (err) {
+    console.error('Error fetching closed periods for employee:', err);
+    res.status(500).json({ message: 'Failed to fetch closed periods.' });
+  }
+});
+
+module.exports = router;
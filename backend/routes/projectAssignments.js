@@ -0,0 +1,169 @@
+// routes/projectAssignments.js
+// Employee-to-project assignments with planned allocation (utils/projectAssignments.js).
+// Project editors (team leads included) manage them from a project's page; they may only assign
+// employees they can view, the same scope as daily entries.
+const express = require('express');
+const router = express.Router();
+const { authenticateToken, requirePermission } = require('../middleware/authMiddleware');
+const { checkEmployeeScope, requireEmployeeScope } = require('../middleware/scopeMiddleware');
+const { withTransaction } = require('../utils/transactionHelper');
+const { ENTITY_TYPES, recordAudit } = require('../utils/audit');
+const { listAssignments, loadAssignment } = require('../utils/projectAssignments');
+const { validate, sendValidationError, bodyFieldErrors } = require('../middleware/validate');
+const schemas = require('../schemas/projectAssignments');
+
+const canEdit = requirePermission('projects.edit');
+// Assigning someone is not editing their entries
+const bodyEmployeeScope = requireEmployeeScope((req) => req.body.employeeId, { write: false });
+const employeeScope = requireEmployeeScope((req) => req.params.employeeId, { write: false });
+
+// Postgres errors a body can cause: duplicate assignment, end before start
+const constraintErrors = (err) => {
+  if (err.code === '23505') return bodyFieldErrors('employeeId', ['This employee is already assigned to the project']);
+  if (err.code === '23514' && err.constraint === 'project_assignments_dates_check') {
+    return bodyFieldErrors('plannedEndDate', ['plannedEndDate cannot be before plannedStartDate']);
+  }
+  return null;
+};
+
+// Locks an assignment of the project and checks the caller may manage its employee before it is
+// changed; returns it with its hours for the audit entry
+const loadManagedAssignment = async (req, client) => {
+  const { projectId, assignmentId } = req.params;
+  const { rows } = await client.query(
+    'SELECT employee_id FROM project_assignments WHERE assignment_id = $1 AND project_id = $2 FOR UPDATE',
+    [assignmentId, projectId]
+  );
+  if (!rows.length) return { status: 404, message: 'Assignment not found.' };
+  const denied = await checkEmployeeScope(req.user, rows[0].employee_id, { write: false });
+  if (denied) return denied;
+  return { assignment: await loadAssignment(assignmentId, client) };
+};
+
+router.get('/projects/:projectId/assignments', authenticateToken, canEdit, validate(schemas.listProjectAssignments), async (req, res) => {
+  try {
+    res.json(await listAssignments({ projectId: req.params.projectId }));
+  } catch (err) {
+    console.error('Error fetching project assignments:', err);
+    res.status(500).json({ message: 'Failed to fetch assignments.' });
+  }
+});
+
+router.post('/projects/:projectId/assignments', authenticateToken, canEdit, validate(schemas.createAssignment), bodyEmployeeScope, async (req, res) => {
+  const { projectId } = req.params;
+  const { employeeId, projectRole, plannedStartDate, plannedEndDate, plannedHoursPerWeek } = req.body;
+
+  try {
+    const outcome = await withTransaction(async (client) => {
+      const project = await client.query('SELECT 1 FROM projects WHERE project_id = $1 AND archived_at IS NULL', [projectId]);
+      if (!project.rowCount) return { status: 404, message: 'Project not found.' };
+      const employee = await client.query('SELECT 1 FROM employees WHERE employee_id = $1 AND archived_at IS NULL', [employeeId]);
+      if (!employee.rowCount) return { errors: bodyFieldErrors('employeeId', ['Employee not found']) };
+
+      const { rows } = await client.query(
+        `INSERT INTO project_assignments
+           (project_id, employee_id, project_role, planned_start_date, planned_end_date, planned_hours_per_week, created_by)
+         VALUES ($1, $2, $3, $4, $5, $6, $7)
+         RETURNING assignment_id`,
+        [
+          projectId, employeeId, projectRole || null, plannedStartDate || null, plannedEndDate || null,
+          plannedHoursPerWeek ?? null, req.user.employeeId,
+        ]
+      );
+      const after = await loadAssignment(rows[0].assignment_id, client);
+      await recordAudit(client, req, {
+        entityType: ENTITY_TYPES.PROJECT_ASSIGNMENT, entityId: after.assignment_id, action: 'create', after,
+      });
+      return { assignment: after };
+    });
+    if (outcome.errors) return sendValidationError(res, outcome.errors);
+    if (!outcome.assignment) return res.status(outcome.status).json({ message: outcome.message });
+    res.status(201).json({ message: 'Employee assigned.', assignment: outcome.assignment });
+  } catch (err) {
+    const errors = constraintErrors(err);
+    if (errors) return sendValidationError(res, errors);
+    console.error('Error creating project assignment:', err);
+    res.status(500).json({ message: 'Failed to assign employee.' });
+  }
+});
+
+router.put('/projects/:projectId/assignments/:assignmentId', authenticateToken, canEdit, validate(schemas.updateAssignment), async (req, res) => {
+  const { assignmentId } = req.params;
+  const { projectRole, plannedStartDate, plannedEndDate, plannedHoursPerWeek } = req.body;
+  // Fields left out keep their value; null / '' clears them
+  const keep = (value) => value === undefined;
+
+  try {
+    const outcome = await withTransaction(async (client) => {
+      const found = await loadManagedAssignment(req, client);
+      if (!found.assignment) return found;
+
+      await client.query(
+        `UPDATE project_assignments
+            SET project_role           = CASE WHEN $2::bool THEN project_role ELSE $3 END,
+                planned_start_date     = CASE WHEN $4::bool THEN planned_start_date ELSE $5::date END,
+                planned_end_date       = CASE WHEN $6::bool THEN planned_end_date ELSE $7::date END,
+                planned_hours_per_week = CASE WHEN $8::bool THEN planned_hours_per_week ELSE $9::numeric END,
+                updated_at = NOW()
+          WHERE assignment_id = $1`,
+        [
+          assignmentId,
+          keep(projectRole), projectRole || null,
+          keep(plannedStartDate), plannedStartDate || null,
+          keep(plannedEndDate), plannedEndDate || null,
+          keep(plannedHoursPerWeek), plannedHoursPerWeek ?? null,
+        ]
+      );
+      const after = await loadAssignment(assignmentId, client);
+      await recordAudit(client, req, {
+        entityType: ENTITY_TYPES.PROJECT_ASSIGNMENT,
+        entityId: assignmentId,
+        action: 'update',
+        before: found.assignment,
+        after,
+      });
+      return { assignment: after };
+    });
+    if (!outcome.assignment) return res.status(outcome.status).json({ message: outcome.message });
+    res.json({ message: 'Assignment updated.', assignment: outcome.assignment });
+  } catch (err) {
+    const errors = constraintErrors(err);
+    if (errors) return sendValidationError(res, errors);
+    console.error('Error updating project assignment:', err);
+    res.status(500).json({ message: 'Failed to update assignment.' });
+  }
+});
+
+// Logged hours stay; the project just stops being pre-filled for the employee
+router.delete('/projects/:projectId/assignments/:assignmentId', authenticateToken, canEdit, validate(schemas.deleteAssignment), async (req, res) => {
+  const { assignmentId } = req.params;
+
+  try {
+    const outcome = await withTransaction(async (client) => {
+      const found = await loadManagedAssignment(req, client);
+      if (!found.assignment) return found;
+      await client.query('DELETE FROM project_assignments WHERE assignment_id = $1', [assignmentId]);
+      await recordAudit(client, req, {
+        entityType: ENTITY_TYPES.PROJECT_ASSIGNMENT, entityId: assignmentId, action: 'delete', before: found.assignment,
+      });
+      return { status: 200, message: 'Assignment removed.' };
+    });
+    res.status(outcome.status).json({ message: outcome.message });
+  } catch (err) {
+    console.error('Error deleting project assignment:', err);
+    res.status(500).json({ message: 'Failed to remove assignment.' });
+  }
+});
+
+// One employee's assignments; with startDate / endDate only those overlapping the range
+router.get('/employee/:employeeId/project-assignments', authenticateToken, validate(schemas.listEmployeeAssignments), employeeScope, async (req, res) => {
+  const { startDate, endDate } = req.query;
+  try {
+    res.json(await listAssignments({ employeeId: req.params.employeeId, startDate, endDate }));
+  } catch (err) {
+    console.error('Error fetching employee project assignments:', err);
+    res.status(500).json({ message: 'Failed to fetch assignments.' });
+  }
+});
+
+module.exports = router;
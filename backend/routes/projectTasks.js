@@ -0,0 +1,178 @@
+// routes/projectTasks.js
+// Tasks under a project (utils/projectTasks.js) and the project detail view built on them.
+// Everyone signed in can read them, since daily entry splits project hours across tasks; their
+// hour rollups only count the employees the caller may view. Project editors manage them.
+const express = require('express');
+const router = express.Router();
+const pool = require('../db/pool');
+const { authenticateToken, requirePermission } = require('../middleware/authMiddleware');
+const { withTransaction } = require('../utils/transactionHelper');
+const { ENTITY_TYPES, recordAudit } = require('../utils/audit');
+const { listTasks, loadTask, projectHourTotals } = require('../utils/projectTasks');
+const { validate, sendValidationError, bodyFieldErrors } = require('../middleware/validate');
+const schemas = require('../schemas/projectTasks');
+
+const canEdit = requirePermission('projects.edit');
+
+const OWNER_NOT_FOUND = bodyFieldErrors('ownerId', ['Owner not found']);
+
+// Owners are active employees; null clears the owner
+const ownerExists = async (ownerId, client) => {
+  if (ownerId == null) return true;
+  const { rowCount } = await client.query(
+    'SELECT 1 FROM employees WHERE employee_id = $1 AND archived_at IS NULL',
+    [ownerId]
+  );
+  return rowCount > 0;
+};
+
+// Loads a task of the project, or the 404 outcome
+const loadProjectTask = async (req, client) => {
+  const { projectId, taskId } = req.params;
+  const task = await loadTask(taskId, client);
+  if (!task || task.project_id !== projectId) return { status: 404, message: 'Task not found.' };
+  return { task };
+};
+
+router.get('/projects/:projectId/tasks', authenticateToken, validate(schemas.listTasks), async (req, res) => {
+  try {
+    res.json(await listTasks({ projectId: req.params.projectId, viewer: req.user }));
+  } catch (err) {
+    console.error('Error fetching project tasks:', err);
+    res.status(500).json({ message: 'Failed to fetch tasks.' });
+  }
+});
+
+// Project detail view: the project, its hour totals (split across tasks or not) and its tasks
+router.get('/projects/:projectId/detail', authenticateToken, validate(schemas.projectDetail), async (req, res) => {
+  const { projectId } = req.params;
+  try {
+    const { rows } = await pool.query(
+      `SELECT project_id, project_name, bu_id, status, estimated_hours::float AS estimated_hours,
+              to_char(planned_start_date, 'YYYY-MM-DD') AS planned_start_date,
+              to_char(planned_end_date, 'YYYY-MM-DD') AS planned_end_date,
+              to_char(actual_start_date, 'YYYY-MM-DD') AS actual_start_date,
+              to_char(actual_end_date, 'YYYY-MM-DD') AS actual_end_date,
+              comments
+         FROM projects
+        WHERE project_id = $1 AND archived_at IS NULL`,
+      [projectId]
+    );
+    if (!rows.length) return res.status(404).json({ message: 'Project not found.' });
+
+    const [totals, tasks] = await Promise.all([
+      projectHourTotals(projectId, pool, req.user),
+      listTasks({ projectId, viewer: req.user }),
+    ]);
+    res.json({ project: rows[0], totals, tasks });
+  } catch (err) {
+    console.error('Error fetching project detail:', err);
+    res.status(500).json({ message: 'Failed to fetch the project.' });
+  }
+});
+
+router.post('/projects/:projectId/tasks', authenticateToken, canEdit, validate(schemas.createTask), async (req, res) => {
+  const { projectId } = req.params;
+  const { title, ownerId, status, estimateHours, dueDate } = req.body;
+
+  try {
+    const outcome = await withTransaction(async (client) => {
+      const project = await client.query('SELECT 1 FROM projects WHERE project_id = $1 AND archived_at IS NULL', [projectId]);
+      if (!project.rowCount) return { status: 404, message: 'Project not found.' };
+      if (!(await ownerExists(ownerId, client))) return { errors: OWNER_NOT_FOUND };
+
+      const { rows } = await client.query(
+        `INSERT INTO project_tasks (project_id, title, owner_id, status, estimate_hours, due_date, created_by)
+         VALUES ($1, $2, $3, $4, $5, $6, $7)
+         RETURNING task_id`,
+        [projectId, title, ownerId ?? null, status || 'Open', estimateHours ?? null, dueDate || null, req.user.employeeId]
+      );
+      const after = await loadTask(rows[0].task_id, client);
+      await recordAudit(client, req, {
+        entityType: ENTITY_TYPES.PROJECT_TASK, entityId: after.task_id, action: 'create', after,
+      });
+      return { task: after };
+    });
+    if (outcome.errors) return sendValidationError(res, outcome.errors);
+    if (!outcome.task) return res.status(outcome.status).json({ message: outcome.message });
+    res.status(201).json({ message: 'Task created.', task: outcome.task });
+  } catch (err) {
+    console.error('Error creating project task:', err);
+    res.status(500).json({ message: 'Failed to create task.' });
+  }
+});
+
+router.put('/projects/:projectId/tasks/:taskId', authenticateToken, canEdit, validate(schemas.updateTask), async (req, res) => {
+  const { taskId } = req.params;
+  const { title, ownerId, status, estimateHours, dueDate } = req.body;
+  // Fields left out keep their value; null / '' clears the optional ones
+  const keep = (value) => value === undefined;
+
+  try {
+    const outcome = await withTransaction(async (client) => {
+      const found = await loadProjectTask(req, client);
+      if (!found.task) return found;
+      if (!keep(ownerId) && !(await ownerExists(ownerId, client))) return { errors: OWNER_NOT_FOUND };
+
+      await client.query(
+        `UPDATE project_tasks
+            SET title          = COALESCE($2, title),
+                owner_id       = CASE WHEN $3::bool THEN owner_id ELSE $4::int END,
+                status         = COALESCE($5, status),
+                estimate_hours = CASE WHEN $6::bool THEN estimate_hours ELSE $7::numeric END,
+                due_date       = CASE WHEN $8::bool THEN due_date ELSE $9::date END,
+                updated_at = NOW()
+          WHERE task_id = $1`,
+        [
+          taskId,
+          title ?? null,
+          keep(ownerId), ownerId ?? null,
+          status ?? null,
+          keep(estimateHours), estimateHours ?? null,
+          keep(dueDate), dueDate || null,
+        ]
+      );
+      const after = await loadTask(taskId, client);
+      await recordAudit(client, req, {
+        entityType: ENTITY_TYPES.PROJECT_TASK, entityId: taskId, action: 'update', before: found.task, after,
+      });
+      // The audit keeps the full rollups; the caller gets the ones they may see
+      return { task: await loadTask(taskId, client, req.user) };
+    });
+    if (outcome.errors) return sendValidationError(res, outcome.errors);
+    if (!outcome.task) return res.status(outcome.status).json({ message: outcome.message });
+    res.json({ message: 'Task updated.', task: outcome.task });
+  } catch (err) {
+    console.error('Error updating project task:', err);
+    res.status(500).json({ message: 'Failed to update task.' });
+  }
+});
+
+// Only tasks nobody logged hours on; the others are kept for the reports and can be marked Done
+router.delete('/projects/:projectId/tasks/:taskId', authenticateToken, canEdit, validate(schemas.deleteTask), async (req, res) => {
+  const { taskId } = req.params;
+
+  try {
+    const outcome = await withTransaction(async (client) => {
+      const found = await loadProjectTask(req, client);
+      if (!found.task) return found;
+      if (found.task.logged_hours > 0) {
+        return {
+          status: 409,
+          message: `"${found.task.title}" has ${found.task.logged_hours} h logged on it. Mark it Done instead.`,
+        };
+      }
+      await client.query('DELETE FROM project_tasks WHERE task_id = $1', [taskId]);
+      await recordAudit(client, req, {
+        entityType: ENTITY_TYPES.PROJECT_TASK, entityId: taskId, action: 'delete', before: found.task,
+      });
+      return { status: 200, message: 'Task deleted.' };
+    });
+    res.status(outcome.status).json({ message: outcome.message });
+  } catch (err) {
+    console.error('Error deleting project task:', err);
+    res.status(500).json({ message: 'Failed to delete task.' });
+  }
+});
+
+module.exports = router;
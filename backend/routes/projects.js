@@ -1,9 +1,16 @@
 const express = require('express');
 const router = express.Router();
 const pool = require('../db/pool');
-const { authenticateToken, authorizeRoles } = require('../middleware/authMiddleware');
+const { authenticateToken, requirePermission } = require('../middleware/authMiddleware');
 const multer = require('multer');
 const XLSX = require('xlsx');
+const { ENTITY_TYPES, recordAudit } = require('../utils/audit');
+const { withTransaction } = require('../utils/transactionHelper');
+const { archiveRecord } = require('../utils/recycleBin');
+const { toISODate } = require('../utils/spreadsheet');
+const { resolveBusinessUnit, unknownBusinessUnitMessage } = require('../utils/businessUnits');
+const { validate, sendValidationError, bodyFieldErrors } = require('../middleware/validate');
+const schemas = require('../schemas/projects');
 const upload = multer({
   storage: multer.memoryStorage(),
   limits: { fileSize: 10 * 1024 * 1024 }, // 10MB
@@ -13,53 +20,25 @@ const upload = multer({
 const norm = (v = '') => String(v).trim();
 const lc = (v = '') => norm(v).toLowerCase();
 
-function ymd(y, m, d) {
-  return `${String(y).padStart(4, '0')}-${String(m).padStart(2, '0')}-${String(d).padStart(2, '0')}`;
-}
-
-/**
- * Convert any supported input to a plain 'YYYY-MM-DD' string WITHOUT timezone math.
- */
-function toISODate(v) {
-  if (v === undefined || v === null || v === '') return null;
-
-  // Excel serial numbers from XLSX
-  if (typeof v === 'number') {
-    const d = XLSX.SSF.parse_date_code(v);
-    if (!d) return null;
-    return ymd(d.y, d.m, d.d); // calendar-only, no timezone
-  }
-
-  const s = norm(v);
-  if (!s) return null;
-
-  // Already YYYY-MM-DD -> trust it
-  if (/^\d{4}-\d{2}-\d{2}$/.test(s)) return s;
-
-  // Handle dd/mm/yyyy or mm/dd/yyyy (and with '-' or '.')
-  const m = s.match(/^(\d{1,2})[\/.\-](\d{1,2})[\/.\-](\d{2,4})$/);
-  if (m) {
-    const a = parseInt(m[1], 10);
-    const b = parseInt(m[2], 10);
-    const y = m[3].length === 2 ? 2000 + parseInt(m[3], 10) : parseInt(m[3], 10);
-    // Heuristic: if first part > 12, it's day-first; else assume month-first
-    const day = a > 12 ? a : b;
-    const mon = a > 12 ? b : a;
-    return ymd(y, mon, day);
-  }
-
-  // Last resort: JS Date parse, but extract LOCAL parts (no UTC conversion)
-  const dt = new Date(s);
-  if (isNaN(dt.getTime())) return null;
-  return ymd(dt.getFullYear(), dt.getMonth() + 1, dt.getDate());
-}
-
 function toNumberOrNull(v) {
   if (v === undefined || v === null || v === '') return null;
   const n = Number(v);
   return Number.isFinite(n) ? n : null;
 }
 
+// Optional date columns of the project import
+const DATE_COLUMNS = ['planned_start_date', 'planned_end_date', 'actual_start_date', 'actual_end_date'];
+
+// Business unit a project may be put on: the unit the spelling resolves to (see
+// utils/businessUnits.js), active unless the project is already on it.
+// Returns { buId } or { message }.
+async function resolveProjectBu(client, value, currentBuId = null) {
+  const unit = await resolveBusinessUnit(value, client);
+  if (!unit) return { message: await unknownBusinessUnitMessage(value, client) };
+  if (!unit.is_active && unit.bu_id !== currentBuId) return { message: `Business unit "${unit.bu_id}" is inactive` };
+  return { buId: unit.bu_id };
+}
+
 async function upsertProject(client, data) {
   const {
     project_id, project_name, bu_id,
@@ -74,6 +53,9 @@ async function upsertProject(client, data) {
   const asd = toISODate(actual_start_date);
   const aed = toISODate(actual_end_date);
 
+  const before = await client.query('SELECT * FROM projects WHERE project_id = $1 FOR UPDATE', [project_id]);
+  if (before.rows[0]?.archived_at) throw new Error(`Project ${project_id} is in the recycle bin; restore it first`);
+
   // Try UPDATE first
   const upd = await client.query(
     `UPDATE projects
@@ -87,23 +69,25 @@ async function upsertProject(client, data) {
            comments           = $8,
            actual_start_date  = $9,
            actual_end_date    = $10
-     WHERE project_id = $11`,
+     WHERE project_id = $11
+     RETURNING *`,
     [
       project_name, bu_id, psd, ped, status,
       estimated_hours, actual_hours, comments, asd, aed,
       project_id,
     ]
   );
-  if (upd.rowCount > 0) return 'updated';
+  if (upd.rowCount > 0) return { outcome: 'updated', before: before.rows[0], after: upd.rows[0] };
 
   // Otherwise INSERT
-  await client.query(
+  const ins = await client.query(
     `INSERT INTO projects
        (project_id, project_name, bu_id,
         planned_start_date, planned_end_date, status,
         estimated_hours, actual_hours,
         comments, actual_start_date, actual_end_date)
-     VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11)`,
+     VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11)
+     RETURNING *`,
     [
       project_id, project_name, bu_id,
       psd, ped, status,
@@ -111,11 +95,11 @@ async function upsertProject(client, data) {
       comments, asd, aed,
     ]
   );
-  return 'inserted';
+  return { outcome: 'inserted', before: null, after: ins.rows[0] };
 }
 
 // ---------------- POST (create) ----------------
-router.post('/', authenticateToken, authorizeRoles('admin'), async (req, res) => {
+router.post('/', authenticateToken, requirePermission('projects.edit'), validate(schemas.createProject), async (req, res) => {
   const {
     projectId, projectName,
     buId,            // supported
@@ -135,11 +119,13 @@ router.post('/', authenticateToken, authorizeRoles('admin'), async (req, res) =>
 
   const client = await pool.connect();
   try {
-    if (!norm(projectId))   return res.status(400).json({ message: 'projectId is required' });
-    if (!norm(projectName)) return res.status(400).json({ message: 'projectName is required' });
+    await client.query('BEGIN');
 
-    const buVal = norm(buId ?? businessUnit ?? '');
-    if (!buVal) return res.status(400).json({ message: 'BU is required' });
+    const bu = await resolveProjectBu(client, buId ?? businessUnit);
+    if (!bu.buId) {
+      await client.query('ROLLBACK');
+      return sendValidationError(res, bodyFieldErrors(buId !== undefined ? 'buId' : 'businessUnit', [bu.message]));
+    }
 
     const result = await client.query(
       `INSERT INTO projects
@@ -150,24 +136,32 @@ router.post('/', authenticateToken, authorizeRoles('admin'), async (req, res) =>
        VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11)
        RETURNING *`,
       [
-        norm(projectId),
-        norm(projectName),
-        buVal,
-        toISODate(plannedStartDate), // sanitize to date-only
-        toISODate(plannedEndDate),
+        projectId,
+        projectName,
+        bu.buId,
+        plannedStartDate || null,
+        plannedEndDate || null,
         status || 'Active',
-        toNumberOrNull(estimatedHours),
-        toNumberOrNull(actualHours),
-        (nextComments !== null ? norm(nextComments) : null),
-        toISODate(nextActualStart),
-        toISODate(nextActualEnd),
+        estimatedHours ?? null,
+        actualHours ?? null,
+        nextComments || null,
+        nextActualStart || null,
+        nextActualEnd || null,
       ]
     );
 
+    await recordAudit(client, req, {
+      entityType: ENTITY_TYPES.PROJECT, entityId: result.rows[0].project_id, action: 'create', after: result.rows[0],
+    });
+    await client.query('COMMIT');
+
     res.status(201).json(result.rows[0]);
   } catch (err) {
+    try { await client.query('ROLLBACK'); } catch {}
     console.error('Error creating project:', err);
-    if (err.code === '23505') return res.status(409).json({ message: 'Project ID already exists' });
+    if (err.code === '23505') {
+      return res.status(409).json({ message: 'Project ID already exists (it may be in the recycle bin)' });
+    }
     res.status(500).json({ message: 'Failed to create project' });
   } finally {
     client.release();
@@ -175,7 +169,7 @@ router.post('/', authenticateToken, authorizeRoles('admin'), async (req, res) =>
 });
 
 // ---------------- PUT (update) ----------------
-router.put('/:id', authenticateToken, authorizeRoles('admin', 'team_lead'), async (req, res) => {
+router.put('/:id', authenticateToken, requirePermission('projects.edit'), validate(schemas.updateProject), async (req, res) => {
   const { id } = req.params;
   const {
     newProjectId,           // optional PK change
@@ -199,10 +193,12 @@ router.put('/:id', authenticateToken, authorizeRoles('admin', 'team_lead'), asyn
   try {
     await client.query('BEGIN');
 
-    const targetId = norm(newProjectId || id);
-    if (!norm(id)) {
+    const targetId = newProjectId || id;
+
+    const before = await client.query('SELECT * FROM projects WHERE project_id = $1 AND archived_at IS NULL FOR UPDATE', [id]);
+    if (before.rowCount === 0) {
       await client.query('ROLLBACK');
-      return res.status(400).json({ message: 'Invalid project id' });
+      return res.status(404).json({ message: 'Project not found' });
     }
 
     // PK change if needed
@@ -215,11 +211,16 @@ router.put('/:id', authenticateToken, authorizeRoles('admin', 'team_lead'), asyn
       await client.query('UPDATE projects SET project_id=$1 WHERE project_id=$2', [targetId, id]);
     }
 
-    // accept either buId or businessUnit
-    const nextBuId =
-      (buId !== undefined && buId !== null && norm(buId) !== '') ? norm(buId)
-      : (businessUnit !== undefined && businessUnit !== null && norm(businessUnit) !== '') ? norm(businessUnit)
-      : null;
+    // accept either buId or businessUnit; none clears the unit
+    let nextBuId = null;
+    if (buId || businessUnit) {
+      const bu = await resolveProjectBu(client, buId || businessUnit, before.rows[0].bu_id);
+      if (!bu.buId) {
+        await client.query('ROLLBACK');
+        return sendValidationError(res, bodyFieldErrors(buId ? 'buId' : 'businessUnit', [bu.message]));
+      }
+      nextBuId = bu.buId;
+    }
 
     const result = await client.query(
       `UPDATE projects 
@@ -238,21 +239,29 @@ router.put('/:id', authenticateToken, authorizeRoles('admin', 'team_lead'), asyn
       [
         (projectName ?? null),
         nextBuId,
-        toISODate(plannedStartDate),  // sanitize to date-only
-        toISODate(plannedEndDate),
+        plannedStartDate || null,
+        plannedEndDate || null,
         status || 'Active',
-        toNumberOrNull(estimatedHours),
-        toNumberOrNull(actualHours),
-        (nextComments !== null ? norm(nextComments) : null),
-        toISODate(nextActualStart),
-        toISODate(nextActualEnd),
+        estimatedHours ?? null,
+        actualHours ?? null,
+        nextComments || null,
+        nextActualStart || null,
+        nextActualEnd || null,
         targetId,
       ]
     );
 
+    await recordAudit(client, req, {
+      entityType: ENTITY_TYPES.PROJECT,
+      entityId: targetId,
+      action: 'update',
+      before: before.rows[0],
+      after: result.rows[0],
+      metadata: targetId !== id ? { renamedFrom: id } : null,
+    });
+
     await client.query('COMMIT');
 
-    if (result.rowCount === 0) return res.status(404).json({ message: 'Project not found' });
     res.json({ message: 'Project updated successfully', project: result.rows[0] });
   } catch (error) {
     try { await client.query('ROLLBACK'); } catch {}
@@ -267,8 +276,10 @@ router.put('/:id', authenticateToken, authorizeRoles('admin', 'team_lead'), asyn
 router.get('/', authenticateToken, async (req, res) => {
   try {
     const result = await pool.query(
-      `SELECT p.*, p.bu_id AS business_unit
+      `SELECT p.*, p.bu_id AS business_unit, bu.bu_name AS business_unit_name
          FROM projects p
+         LEFT JOIN business_units bu ON bu.bu_id = p.bu_id
+        WHERE p.archived_at IS NULL
         ORDER BY p.project_name`
     );
     res.json(result.rows);
@@ -279,26 +290,21 @@ router.get('/', authenticateToken, async (req, res) => {
 });
 
 // ---------------- DELETE ----------------
-router.delete('/:id', authenticateToken, authorizeRoles('admin', 'team_lead'), async (req, res) => {
+// Archives the project (see utils/recycleBin.js); its daily entries stay in reports
+router.delete('/:id', authenticateToken, requirePermission('projects.edit'), validate(schemas.deleteProject), async (req, res) => {
   const { id } = req.params;
   try {
-    await pool.query('DELETE FROM daily_entry_project_utilization WHERE project_id = $1', [id]);
-    const result = await pool.query('DELETE FROM projects WHERE project_id = $1 RETURNING *', [id]);
-    if (result.rowCount === 0) return res.status(404).json({ message: 'Project not found' });
-    res.json({ message: 'Project deleted successfully.' });
+    const archived = await withTransaction((client) => archiveRecord(client, req, 'project', id));
+    if (!archived) return res.status(404).json({ message: 'Project not found' });
+    res.json({ message: 'Project moved to the recycle bin.' });
   } catch (error) {
-    if (error.code === '23503') {
-      return res.status(409).json({
-        message: 'Cannot delete: project is still referenced by daily entries. Remove usages first or enable ON DELETE CASCADE.',
-      });
-    }
     console.error('Error deleting project:', error);
     res.status(500).json({ message: 'Server error deleting project.' });
   }
 });
 
 // ---------------- Import (xlsx/csv) ----------------
-router.post('/import', authenticateToken, authorizeRoles('admin'), upload.single('file'), async (req, res) => {
+router.post('/import', authenticateToken, requirePermission('projects.edit'), upload.single('file'), async (req, res) => {
   if (!req.file) return res.status(400).json({ message: 'No file uploaded.' });
 
   try {
@@ -347,19 +353,34 @@ router.post('/import', authenticateToken, authorizeRoles('admin'), upload.single
 
         const project_id = norm(row[map.project_id]);
         const project_name = norm(row[map.project_name]);
-        const bu_id = norm(row[map.bu]);
-
-        if (!project_id || !project_name || !bu_id) { skipped++; continue; }
+        const bu = norm(row[map.bu]);
+
+        if (!project_id || !project_name || !bu) { skipped++; continue; }
+
+        // Spellings resolve to their unit; unknown ones fail the row
+        const current = await client.query('SELECT bu_id FROM projects WHERE project_id = $1', [project_id]);
+        const resolved = await resolveProjectBu(client, bu, current.rows[0]?.bu_id);
+        if (!resolved.buId) { errors.push({ row: r + 1, error: resolved.message }); continue; }
+        const bu_id = resolved.buId;
+
+        // Filled date cells have to be real dates; empty ones stay null
+        const dates = {};
+        const badDate = DATE_COLUMNS.find((col) => {
+          const cell = map[col] !== -1 ? row[map[col]] : '';
+          dates[col] = toISODate(cell);
+          return !dates[col] && norm(cell) !== '';
+        });
+        if (badDate) {
+          errors.push({ row: r + 1, error: `Unreadable ${badDate} "${norm(row[map[badDate]])}"` });
+          continue;
+        }
+        const { planned_start_date, planned_end_date, actual_start_date, actual_end_date } = dates;
 
-        const planned_start_date = map.planned_start_date !== -1 ? toISODate(row[map.planned_start_date]) : null;
-        const planned_end_date   = map.planned_end_date   !== -1 ? toISODate(row[map.planned_end_date])   : null;
         const status             = map.status !== -1 ? norm(row[map.status] || 'Active') : 'Active';
         const estimated_hours    = map.estimated_hours !== -1 ? toNumberOrNull(row[map.estimated_hours]) : null;
         const actual_hours       = map.actual_hours    !== -1 ? toNumberOrNull(row[map.actual_hours])    : null;
 
         const comments           = map.comments          !== -1 ? (norm(row[map.comments]) || null)     : null;
-        const actual_start_date  = map.actual_start_date !== -1 ? toISODate(row[map.actual_start_date]) : null;
-        const actual_end_date    = map.actual_end_date   !== -1 ? toISODate(row[map.actual_end_date])   : null;
 
         try {
           const resUp = await upsertProject(client, {
@@ -367,12 +388,26 @@ router.post('/import', authenticateToken, authorizeRoles('admin'), upload.single
             planned_start_date, planned_end_date, status, estimated_hours, actual_hours,
             comments, actual_start_date, actual_end_date,
           });
-          if (resUp === 'inserted') inserted++; else updated++;
+          await recordAudit(client, req, {
+            entityType: ENTITY_TYPES.PROJECT,
+            entityId: project_id,
+            action: resUp.outcome === 'inserted' ? 'create' : 'update',
+            before: resUp.before,
+            after: resUp.after,
+            metadata: { source: 'import', row: r + 1 },
+          });
+          if (resUp.outcome === 'inserted') inserted++; else updated++;
         } catch (e) {
           errors.push({ row: r + 1, error: e.message });
         }
       }
 
+      await recordAudit(client, req, {
+        entityType: ENTITY_TYPES.PROJECT, action: 'import',
+        after: { inserted, updated, skipped, errors },
+        metadata: { fileName: req.file.originalname || null, rows: rows.length - 1 },
+      });
+
       await client.query('COMMIT');
     } catch (e) {
       await client.query('ROLLBACK');
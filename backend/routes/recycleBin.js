@@ -0,0 +1,71 @@
+// routes/recycleBin.js
+// Admin recycle bin: deleting a team, employee or project only archives it (utils/recycleBin.js).
+// Here an admin lists the archived records, restores them or purges them for good.
+const express = require('express');
+const router = express.Router();
+const { authenticateToken, requirePermission } = require('../middleware/authMiddleware');
+const { withTransaction } = require('../utils/transactionHelper');
+const { listArchived, restoreRecord, purgeRecord } = require('../utils/recycleBin');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/recycleBin');
+
+const canAdmin = requirePermission('system.admin');
+
+const TYPE_LABELS = { team: 'Team', employee: 'Employee', project: 'Project' };
+
+router.get('/recycle-bin', authenticateToken, canAdmin, async (req, res) => {
+  try {
+    res.json(await listArchived());
+  } catch (err) {
+    console.error('Error fetching the recycle bin:', err);
+    res.status(500).json({ message: 'Failed to fetch the recycle bin.' });
+  }
+});
+
+router.post('/recycle-bin/:type/:id/restore', authenticateToken, canAdmin, validate(schemas.restore), async (req, res) => {
+  const { type, id } = req.params;
+
+  try {
+    const outcome = await withTransaction(async (client) => {
+      const record = await restoreRecord(client, req, type, id);
+      if (!record) return null;
+      const warnings = [];
+      // Teams are archived only once empty, so a restored member must not land in a hidden one
+      if (type === 'employee') {
+        const { rows } = await client.query(
+          `UPDATE employees e
+              SET team_id = NULL
+             FROM teams t
+            WHERE e.employee_id = $1
+              AND t.team_id = e.team_id
+              AND t.archived_at IS NOT NULL
+            RETURNING t.team_name`,
+          [id]
+        );
+        if (rows.length) warnings.push(`Team "${rows[0].team_name}" is in the recycle bin, so they have no team now.`);
+      }
+      return { record, warnings };
+    });
+    if (!outcome) return res.status(404).json({ message: `${TYPE_LABELS[type]} is not in the recycle bin.` });
+    res.json({ message: `${TYPE_LABELS[type]} restored.`, ...outcome });
+  } catch (err) {
+    console.error('Error restoring from the recycle bin:', err);
+    res.status(500).json({ message: 'Failed to restore.' });
+  }
+});
+
+// Permanent: removes the record and, for employees and projects, their daily entries
+router.delete('/recycle-bin/:type/:id', authenticateToken, canAdmin, validate(schemas.purge), async (req, res) => {
+  const { type, id } = req.params;
+
+  try {
+    const purged = await withTransaction((client) => purgeRecord(client, req, type, id));
+    if (!purged) return res.status(404).json({ message: `${TYPE_LABELS[type]} is not in the recycle bin.` });
+    res.json({ message: `${TYPE_LABELS[type]} deleted permanently.` });
+  } catch (err) {
+    console.error('Error purging from the recycle bin:', err);
+    res.status(500).json({ message: 'Failed to delete permanently.' });
+  }
+});
+
+module.exports = router;
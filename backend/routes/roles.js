@@ -0,0 +1,153 @@
+// routes/roles.js
+// Role catalogue: built-in roles (admin, team_lead, employee) plus admin-defined
+// custom roles such as "PMO" or "Viewer", each with its own set of permissions.
+const express = require('express');
+const router = express.Router();
+const pool = require('../db/pool');
+const { authenticateToken, requirePermission } = require('../middleware/authMiddleware');
+const { withTransaction } = require('../utils/transactionHelper');
+const { ENTITY_TYPES, recordAudit } = require('../utils/audit');
+const { ADMIN_ROLE, PERMISSIONS } = require('../utils/permissions');
+const { validate, sendValidationError, bodyFieldErrors } = require('../middleware/validate');
+const schemas = require('../schemas/roles');
+
+const loadRole = async (db, roleKey, lock = false) => {
+  const { rows } = await db.query(
+    `SELECT r.role_key, r.role_name, r.description, r.is_system,
+            ARRAY(SELECT rp.permission_key FROM role_permissions rp
+                   WHERE rp.role_key = r.role_key ORDER BY rp.permission_key) AS permissions
+       FROM roles r
+      WHERE r.role_key = $1
+      ${lock ? 'FOR UPDATE' : ''}`,
+    [roleKey]
+  );
+  return rows[0] || null;
+};
+
+const replacePermissions = async (client, roleKey, permissions) => {
+  await client.query('DELETE FROM role_permissions WHERE role_key = $1', [roleKey]);
+  if (permissions.length) {
+    await client.query(
+      `INSERT INTO role_permissions (role_key, permission_key)
+       SELECT $1, unnest($2::varchar[])`,
+      [roleKey, permissions]
+    );
+  }
+};
+
+// Permission catalogue for the role editor
+router.get('/permissions', authenticateToken, requirePermission('roles.manage'), (_req, res) => {
+  res.json(Object.entries(PERMISSIONS).map(([permission_key, description]) => ({ permission_key, description })));
+});
+
+// Every screen that assigns roles needs the list, not only the role editor
+const canListRoles = requirePermission('roles.manage', 'employees.manage', 'employees.view', 'teams.manage');
+
+// List roles with their permissions and how many employees hold each
+router.get('/roles', authenticateToken, canListRoles, async (_req, res) => {
+  try {
+    const { rows } = await pool.query(
+      `SELECT r.role_key, r.role_name, r.description, r.is_system,
+              ARRAY(SELECT rp.permission_key FROM role_permissions rp
+                     WHERE rp.role_key = r.role_key ORDER BY rp.permission_key) AS permissions,
+              (SELECT COUNT(*)::int FROM employees e WHERE e.role = r.role_key) AS employee_count
+         FROM roles r
+        ORDER BY r.is_system DESC, r.role_name`
+    );
+    res.json(rows);
+  } catch (err) {
+    console.error('Error fetching roles:', err);
+    res.status(500).json({ message: 'Failed to fetch roles.' });
+  }
+});
+
+// Create a custom role
+router.post('/roles', authenticateToken, requirePermission('roles.manage'), validate(schemas.createRole), async (req, res) => {
+  const { roleKey, roleName, permissions } = req.body;
+  const description = req.body.description || null;
+
+  try {
+    const role = await withTransaction(async (client) => {
+      await client.query(
+        'INSERT INTO roles (role_key, role_name, description) VALUES ($1, $2, $3)',
+        [roleKey, roleName, description]
+      );
+      await replacePermissions(client, roleKey, permissions);
+      const after = await loadRole(client, roleKey);
+      await recordAudit(client, req, { entityType: ENTITY_TYPES.ROLE, entityId: roleKey, action: 'create', after });
+      return after;
+    });
+    res.status(201).json({ message: 'Role created.', role });
+  } catch (err) {
+    if (err.code === '23505') return res.status(409).json({ message: `Role "${roleKey}" already exists.` });
+    console.error('Error creating role:', err);
+    res.status(500).json({ message: 'Failed to create role.' });
+  }
+});
+
+// Rename a role and/or replace its permissions
+router.put('/roles/:roleKey', authenticateToken, requirePermission('roles.manage'), validate(schemas.updateRole), async (req, res) => {
+  const { roleKey } = req.params;
+  const { roleName, description, permissions } = req.body;
+
+  if (permissions && roleKey === ADMIN_ROLE) {
+    return sendValidationError(res, bodyFieldErrors('permissions', ['The admin role always has every permission.']));
+  }
+
+  try {
+    const role = await withTransaction(async (client) => {
+      const before = await loadRole(client, roleKey, true);
+      if (!before) return null;
+      await client.query(
+        `UPDATE roles
+            SET role_name = COALESCE($1, role_name),
+                description = CASE WHEN $3 THEN $2 ELSE description END
+          WHERE role_key = $4`,
+        [
+          roleName ?? null,
+          description || null,
+          description !== undefined,
+          roleKey,
+        ]
+      );
+      if (permissions) await replacePermissions(client, roleKey, permissions);
+      const after = await loadRole(client, roleKey);
+      await recordAudit(client, req, { entityType: ENTITY_TYPES.ROLE, entityId: roleKey, action: 'update', before, after });
+      return after;
+    });
+    if (!role) return res.status(404).json({ message: 'Role not found.' });
+    res.json({ message: 'Role updated.', role });
+  } catch (err) {
+    console.error('Error updating role:', err);
+    res.status(500).json({ message: 'Failed to update role.' });
+  }
+});
+
+// Delete a custom role that nobody holds any more
+router.delete('/roles/:roleKey', authenticateToken, requirePermission('roles.manage'), validate(schemas.deleteRole), async (req, res) => {
+  const { roleKey } = req.params;
+
+  try {
+    const outcome = await withTransaction(async (client) => {
+      const before = await loadRole(client, roleKey, true);
+      if (!before) return { status: 404, message: 'Role not found.' };
+      if (before.is_system) return { status: 400, message: 'Built-in roles cannot be deleted.' };
+
+      const { rows } = await client.query('SELECT COUNT(*)::int AS count FROM employees WHERE role = $1', [roleKey]);
+      if (rows[0].count > 0) {
+        return { status: 409, message: `${rows[0].count} employee(s) still have this role. Reassign them first.` };
+      }
+
+      await client.query('DELETE FROM roles WHERE role_key = $1', [roleKey]);
+      await recordAudit(client, req, { entityType: ENTITY_TYPES.ROLE, entityId: roleKey, action: 'delete', before });
+      return null;
+    });
+    if (outcome) return res.status(outcome.status).json({ message: outcome.message });
+    res.json({ message: 'Role deleted.' });
+  } catch (err) {
+    console.error('Error deleting role:', err);
+    res.status(500).json({ message: 'Failed to delete role.' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,76 @@
+// routes/setup.js
+// First-run setup: while the database has no accounts at all, anyone reaching the app can
+// create the first admin (their own email + a policy-compliant password).
+// Once any account exists (archived ones included) these endpoints refuse to do anything, so
+// archiving or demoting admins never reopens them.
+//   SETUP_TOKEN  optional shared secret the setup form must supply
+const express = require('express');
+const bcrypt = require('bcryptjs');
+const pool = require('../db/pool');
+const { validatePassword, describePasswordPolicy } = require('../utils/passwordPolicy');
+const { withTransaction } = require('../utils/transactionHelper');
+const { createSession } = require('../utils/sessions');
+const { validate, sendValidationError, bodyFieldErrors } = require('../middleware/validate');
+const schemas = require('../schemas/system');
+
+const router = express.Router();
+
+const SETUP_TOKEN = process.env.SETUP_TOKEN || '';
+// Serializes concurrent setup attempts (arbitrary app-wide advisory lock key)
+const SETUP_LOCK_KEY = 7420001;
+
+const accountsExist = async (db = pool) => {
+  const { rows } = await db.query('SELECT EXISTS (SELECT 1 FROM employees) AS present');
+  return rows[0].present;
+};
+
+router.get('/setup/status', async (_req, res) => {
+  try {
+    res.json({ setupRequired: !(await accountsExist()), tokenRequired: !!SETUP_TOKEN });
+  } catch (err) {
+    console.error('Setup status error:', err);
+    res.status(500).json({ message: 'Failed to check setup status.' });
+  }
+});
+
+// body: { firstName, lastName, email, password, setupToken? }
+router.post('/setup', validate(schemas.setup), async (req, res) => {
+  const { firstName, lastName, email, password, setupToken } = req.body;
+
+  if (SETUP_TOKEN && setupToken !== SETUP_TOKEN) {
+    return res.status(403).json({ message: 'Invalid setup token.' });
+  }
+  const errors = validatePassword(password, { email });
+  if (errors.length) {
+    return sendValidationError(res, bodyFieldErrors('password', errors), describePasswordPolicy());
+  }
+
+  try {
+    const hashedPassword = await bcrypt.hash(password, 10);
+    const outcome = await withTransaction(async (client) => {
+      await client.query('SELECT pg_advisory_xact_lock($1)', [SETUP_LOCK_KEY]);
+      if (await accountsExist(client)) {
+        return { status: 409, body: { message: 'Setup has already been completed.' } };
+      }
+
+      const { rows } = await client.query(
+        `INSERT INTO employees (first_name, last_name, email, password_hash, role)
+         VALUES ($1, $2, $3, $4, 'admin')
+         RETURNING *`,
+        [firstName, lastName || null, email, hashedPassword]
+      );
+      const { token, refreshToken } = await createSession(rows[0], req, client);
+      return { status: 201, body: { message: 'Administrator account created.', token, refreshToken } };
+    });
+
+    if (outcome.status === 201) console.log(`✅ First-run setup completed: ${email}`);
+    res.status(outcome.status).json(outcome.body);
+  } catch (err) {
+    if (err.code === '23505') return res.status(409).json({ message: 'That email is already in use.' });
+    console.error('❌ Setup failed:', err);
+    res.status(500).json({ message: 'Failed to create the administrator account.' });
+  }
+});
+
+module.exports = router;
+module.exports.accountsExist = accountsExist;
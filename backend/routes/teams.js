@@ -1,13 +1,17 @@
 const express = require('express');
 const router = express.Router();
 const pool = require('../db/pool');
-const { authenticateToken, adminOnly } = require('../middleware/authMiddleware');
+const { authenticateToken, requirePermission } = require('../middleware/authMiddleware');
 const { withTransaction } = require('../utils/transactionHelper');
+const { ENTITY_TYPES, recordAudit } = require('../utils/audit');
+const { archiveRecord } = require('../utils/recycleBin');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/teams');
 
 // Get all teams
 router.get('/', authenticateToken, async (req, res) => {
   try {
-    const result = await pool.query('SELECT * FROM teams ORDER BY team_name');
+    const result = await pool.query('SELECT * FROM teams WHERE archived_at IS NULL ORDER BY team_name');
     res.json(result.rows);
   } catch (error) {
     console.error('Error fetching teams:', error);
@@ -15,90 +19,88 @@ router.get('/', authenticateToken, async (req, res) => {
   }
 });
 
-// Create team (admin only)
-router.post('/', authenticateToken, adminOnly, async (req, res) => {
+// Create team
+router.post('/', authenticateToken, requirePermission('teams.manage'), validate(schemas.createTeam), async (req, res) => {
   const { teamName } = req.body;
   try {
-    const result = await pool.query(
-      'INSERT INTO teams (team_name) VALUES ($1) RETURNING team_id, team_name',
-      [String(teamName || '').trim()]
-    );
-    res.status(201).json({ message: 'Team created', team: result.rows[0] });
+    const team = await withTransaction(async (client) => {
+      const result = await client.query(
+        'INSERT INTO teams (team_name) VALUES ($1) RETURNING team_id, team_name',
+        [teamName]
+      );
+      await recordAudit(client, req, {
+        entityType: ENTITY_TYPES.TEAM, entityId: result.rows[0].team_id, action: 'create', after: result.rows[0],
+      });
+      return result.rows[0];
+    });
+    res.status(201).json({ message: 'Team created', team });
   } catch (error) {
+    // Archived teams keep their name
+    if (error.code === '23505') {
+      return res.status(409).json({ message: `Team "${teamName}" already exists (it may be in the recycle bin).` });
+    }
     console.error('Error creating team:', error);
     res.status(500).json({ message: 'Failed to create team.' });
   }
 });
 
-// Update team name (admin only) — matches your frontend PUT /api/teams/:id
-router.put('/:id', authenticateToken, adminOnly, async (req, res) => {
+// Update team name — matches your frontend PUT /api/teams/:id
+router.put('/:id', authenticateToken, requirePermission('teams.manage'), validate(schemas.updateTeam), async (req, res) => {
   const { id } = req.params;
   const { teamName } = req.body;
 
   try {
-    const result = await pool.query(
-      `UPDATE teams
-       SET team_name = $1
-       WHERE team_id = $2
-       RETURNING team_id, team_name`,
-      [String(teamName || '').trim(), id]
-    );
-    if (result.rowCount === 0) return res.status(404).json({ message: 'Team not found' });
-    res.json({ message: 'Team updated', team: result.rows[0] });
+    const team = await withTransaction(async (client) => {
+      const before = await client.query('SELECT team_id, team_name FROM teams WHERE team_id = $1 AND archived_at IS NULL FOR UPDATE', [id]);
+      if (before.rowCount === 0) return null;
+      const result = await client.query(
+        `UPDATE teams
+         SET team_name = $1
+         WHERE team_id = $2
+         RETURNING team_id, team_name`,
+        [teamName, id]
+      );
+      await recordAudit(client, req, {
+        entityType: ENTITY_TYPES.TEAM, entityId: id, action: 'update', before: before.rows[0], after: result.rows[0],
+      });
+      return result.rows[0];
+    });
+    if (!team) return res.status(404).json({ message: 'Team not found' });
+    res.json({ message: 'Team updated', team });
   } catch (error) {
     console.error('Error updating team:', error);
     res.status(500).json({ message: 'Failed to update team.' });
   }
 });
 
-// Delete team (admin only) — uses correct table names
-router.delete('/:id', authenticateToken, adminOnly, async (req, res) => {
+// Delete team — archives it (see utils/recycleBin.js); members' entries are kept.
+// A team that still has active members can't be archived, so nobody ends up in a hidden team.
+router.delete('/:id', authenticateToken, requirePermission('teams.manage'), validate(schemas.deleteTeam), async (req, res) => {
   const { id } = req.params;
 
   try {
-    await withTransaction(async (client) => {
-      // 1) Delete project-utilization rows for employees in this team
-      await client.query(
-        `
-        DELETE FROM daily_entry_project_utilization depu
-        WHERE EXISTS (
-          SELECT 1
-          FROM employees e
-          WHERE e.employee_id = depu.employee_id
-            AND e.team_id = $1
-        )
-        `,
-        [id]
-      );
-
-      // 2) Delete plain utilization rows for employees in this team
-      await client.query(
-        `
-        DELETE FROM daily_entry_utilization deu
-        WHERE EXISTS (
-          SELECT 1
-          FROM employees e
-          WHERE e.employee_id = deu.employee_id
-            AND e.team_id = $1
-        )
-        `,
+    const outcome = await withTransaction(async (client) => {
+      const { rows } = await client.query(
+        `SELECT t.team_name,
+                (SELECT COUNT(*)::int FROM employees e WHERE e.team_id = t.team_id AND e.archived_at IS NULL) AS members
+           FROM teams t
+          WHERE t.team_id = $1 AND t.archived_at IS NULL
+          FOR UPDATE`,
         [id]
       );
-
-      // 3) Unassign employees from team (keep the employee records)
-      await client.query('UPDATE employees SET team_id = NULL WHERE team_id = $1', [id]);
-
-      // 4) Delete the team
-      const result = await client.query('DELETE FROM teams WHERE team_id = $1 RETURNING team_id', [id]);
-      if (result.rowCount === 0) throw new Error('Team not found');
+      if (!rows.length) return { status: 404, message: 'Team not found' };
+      if (rows[0].members > 0) {
+        return {
+          status: 409,
+          message: `"${rows[0].team_name}" still has ${rows[0].members} member(s). Move them to another team first.`,
+        };
+      }
+      await archiveRecord(client, req, 'team', id);
+      return { status: 200, message: 'Team moved to the recycle bin.' };
     });
-
-    res.json({ message: 'Team deleted successfully.' });
+    res.status(outcome.status).json({ message: outcome.message });
   } catch (error) {
     console.error('Error deleting team:', error);
-    if (error.message === 'Team not found') {
-      return res.status(404).json({ message: 'Team not found' });
-    }
     res.status(500).json({ message: 'Server error deleting team.' });
   }
 });
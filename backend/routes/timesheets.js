@@ -0,0 +1,250 @@
+// routes/timesheets.js
+// Weekly timesheets: employees submit a week, reviewers (timesheets.approve) approve or
+// reject it with a comment. Entries of an approved week are frozen by middleware/entryLocks.js
+// until a reviewer reopens it with a reason; the week then goes back to draft.
+const express = require('express');
+const router = express.Router();
+const pool = require('../db/pool');
+const { authenticateToken, requirePermission } = require('../middleware/authMiddleware');
+const { requireEmployeeScope, checkTeamScope } = require('../middleware/scopeMiddleware');
+const { withTransaction } = require('../utils/transactionHelper');
+const { ENTITY_TYPES, recordAudit } = require('../utils/audit');
+const { ADMIN_ROLE, hasPermission } = require('../utils/permissions');
+const {
+  SUBMITTABLE_STATUSES,
+  addDays,
+  weekStartOf,
+  weekDays,
+  loadTimesheet,
+  dailyHours,
+} = require('../utils/timesheets');
+const { listEmployeeHolidays } = require('../utils/holidays');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/timesheets');
+
+const employeeScope = requireEmployeeScope();
+// Reviewing is not editing entries, so entries.edit_others is not required
+const reviewScope = requireEmployeeScope((req) => req.params.employeeId, { write: false });
+const canReview = requirePermission('timesheets.approve');
+
+const timesheetEntityId = (employeeId, weekStart) => `${employeeId}/${weekStart}`;
+
+// Local "today" as YYYY-MM-DD in Asia/Kolkata, like routes/daily.js
+const todayYMDLocal = () => new Intl.DateTimeFormat('en-CA', { timeZone: 'Asia/Kolkata' }).format(new Date());
+
+const round2 = (n) => Number(Number(n || 0).toFixed(2));
+
+// Submitted / reviewed weeks for the approval queue, with per-employee totals.
+// Reviewers without entries.view_all only see their own team.
+router.get('/timesheets/queue', authenticateToken, canReview, validate(schemas.queue), async (req, res) => {
+  const { status, teamId, weekStart } = req.query;
+
+  try {
+    let team = teamId || null;
+    if (!hasPermission(req.user, 'entries.view_all')) {
+      if (team) {
+        const denied = await checkTeamScope(req.user, team);
+        if (denied) return res.status(denied.status).json({ message: denied.message });
+      } else {
+        const { rows } = await pool.query('SELECT team_id FROM employees WHERE employee_id = $1', [req.user.employeeId]);
+        if (rows[0]?.team_id == null) return res.json([]);
+        team = rows[0].team_id;
+      }
+    }
+
+    const { rows } = await pool.query(
+      `SELECT t.timesheet_id, t.employee_id, to_char(t.week_start, 'YYYY-MM-DD') AS week_start, t.status,
+              t.submitted_at, t.reviewed_at, t.review_comment,
+              e.first_name, e.last_name, e.team_id, tm.team_name,
+              (SELECT COALESCE(SUM(du.utilization_hours), 0)
+                 FROM daily_entry_utilization du
+                WHERE du.employee_id = t.employee_id
+                  AND du.entry_date BETWEEN t.week_start AND t.week_start + 6)::float AS utilization_hours,
+              (SELECT COALESCE(SUM(depu.employee_project_hours), 0)
+                 FROM daily_entry_project_utilization depu
+                WHERE depu.employee_id = t.employee_id
+                  AND depu.entry_date BETWEEN t.week_start AND t.week_start + 6)::float AS project_hours
+         FROM timesheets t
+         JOIN employees e ON e.employee_id = t.employee_id
+         LEFT JOIN teams tm ON tm.team_id = e.team_id
+        WHERE t.status = $1
+          AND ($2::int IS NULL OR e.team_id = $2)
+          AND ($3::date IS NULL OR t.week_start = $3::date)
+        ORDER BY t.week_start, e.first_name, e.last_name`,
+      [status, team, weekStart || null]
+    );
+
+    res.json(rows.map((r) => ({
+      ...r,
+      utilization_hours: round2(r.utilization_hours),
+      project_hours: round2(r.project_hours),
+      total_hours: round2(r.utilization_hours + r.project_hours),
+    })));
+  } catch (err) {
+    console.error('Error fetching timesheet queue:', err);
+    res.status(500).json({ message: 'Failed to fetch timesheets.' });
+  }
+});
+
+// One employee-week: status plus the entries of each day (drill-down and the entry form)
+router.get('/timesheets/:employeeId/:weekStart', authenticateToken, validate(schemas.getWeek), employeeScope, async (req, res) => {
+  const { employeeId, weekStart } = req.params;
+  const weekEnd = addDays(weekStart, 6);
+
+  try {
+    const timesheet = await loadTimesheet(employeeId, weekStart);
+    const totals = await dailyHours([employeeId], weekStart, weekEnd);
+
+    const utilQ = await pool.query(
+      `SELECT to_char(du.entry_date, 'YYYY-MM-DD') AS entry_date, du.activity, a.label AS activity_label,
+              du.utilization_hours::float AS hours, du.utilization_comments AS comments, du.leave_request_id
+         FROM daily_entry_utilization du
+         LEFT JOIN activities a ON a.activity_code = du.activity
+        WHERE du.employee_id = $1 AND du.entry_date BETWEEN $2::date AND $3::date
+        ORDER BY du.entry_date, a.sort_order, du.activity`,
+      [employeeId, weekStart, weekEnd]
+    );
+    const projQ = await pool.query(
+      `SELECT to_char(depu.entry_date, 'YYYY-MM-DD') AS entry_date, depu.project_id,
+              COALESCE(depu.project_name, p.project_name) AS project_name,
+              COALESCE(depu.employee_project_hours, 0)::float AS hours, depu.employee_project_comments AS comments
+         FROM daily_entry_project_utilization depu
+         LEFT JOIN projects p ON p.project_id = depu.project_id
+        WHERE depu.employee_id = $1 AND depu.entry_date BETWEEN $2::date AND $3::date
+        ORDER BY depu.entry_date, depu.project_id`,
+      [employeeId, weekStart, weekEnd]
+    );
+
+    const holidays = await listEmployeeHolidays(employeeId, weekStart, weekEnd);
+
+    const days = weekDays(weekStart).map((date) => {
+      const t = totals.find((r) => r.entry_date === date);
+      const utilizationHours = round2(t?.utilization_hours);
+      const projectHours = round2(t?.project_hours);
+      return {
+        date,
+        holiday: holidays.find((h) => h.holiday_date === date)?.name || null,
+        utilization_hours: utilizationHours,
+        project_hours: projectHours,
+        total_hours: round2(utilizationHours + projectHours),
+        activities: utilQ.rows.filter((r) => r.entry_date === date),
+        projects: projQ.rows.filter((r) => r.entry_date === date),
+      };
+    });
+
+    res.json({
+      timesheet,
+      days,
+      total_hours: round2(days.reduce((sum, d) => sum + d.total_hours, 0)),
+    });
+  } catch (err) {
+    console.error('Error fetching timesheet:', err);
+    res.status(500).json({ message: 'Failed to fetch timesheet.' });
+  }
+});
+
+router.post('/timesheets/:employeeId/:weekStart/submit', authenticateToken, validate(schemas.submit), employeeScope, async (req, res) => {
+  const { employeeId, weekStart } = req.params;
+
+  if (weekStart > weekStartOf(todayYMDLocal())) {
+    return res.status(400).json({ message: 'A week can only be submitted once it has started.' });
+  }
+
+  try {
+    const outcome = await withTransaction(async (client) => {
+      const before = await loadTimesheet(employeeId, weekStart, { lock: true }, client);
+      if (!SUBMITTABLE_STATUSES.includes(before.status)) {
+        return { status: 409, message: `This week is already ${before.status}.` };
+      }
+
+      const hours = await dailyHours([employeeId], weekStart, addDays(weekStart, 6), client);
+      if (!hours.length) return { status: 400, message: 'There are no entries in this week to submit.' };
+
+      await client.query(
+        `INSERT INTO timesheets (employee_id, week_start, status, submitted_at, submitted_by)
+         VALUES ($1, $2::date, 'submitted', NOW(), $3)
+         ON CONFLICT (employee_id, week_start) DO UPDATE
+            SET status = 'submitted', submitted_at = NOW(), submitted_by = $3,
+                reviewed_at = NULL, reviewed_by = NULL, review_comment = NULL, updated_at = NOW()`,
+        [employeeId, weekStart, req.user.employeeId]
+      );
+      const after = await loadTimesheet(employeeId, weekStart, {}, client);
+      await recordAudit(client, req, {
+        entityType: ENTITY_TYPES.TIMESHEET,
+        entityId: timesheetEntityId(employeeId, weekStart),
+        action: before.timesheet_id ? 'update' : 'create',
+        before: before.timesheet_id ? before : null,
+        after,
+        metadata: { transition: 'submit' },
+      });
+      return { timesheet: after };
+    });
+    if (!outcome.timesheet) return res.status(outcome.status).json({ message: outcome.message });
+    res.json({ message: 'Timesheet submitted.', timesheet: outcome.timesheet });
+  } catch (err) {
+    console.error('Error submitting timesheet:', err);
+    res.status(500).json({ message: 'Failed to submit timesheet.' });
+  }
+});
+
+// Review transitions: submitted → approved / rejected, approved → draft (reopen)
+const REVIEW_TRANSITIONS = {
+  approve: {
+    from: 'submitted', to: 'approved', done: 'Timesheet approved.',
+    conflict: (status) => `Only submitted timesheets can be reviewed; this one is ${status}.`,
+  },
+  reject: {
+    from: 'submitted', to: 'rejected', done: 'Timesheet rejected.',
+    conflict: (status) => `Only submitted timesheets can be reviewed; this one is ${status}.`,
+  },
+  reopen: {
+    from: 'approved', to: 'draft', done: 'Timesheet reopened.',
+    conflict: (status) => `Only approved timesheets can be reopened; this one is ${status}.`,
+  },
+};
+
+const review = (transition) => async (req, res) => {
+  const { from, to, done, conflict } = REVIEW_TRANSITIONS[transition];
+  const { employeeId, weekStart } = req.params;
+  const comment = req.body.comment || null;
+
+  if (String(employeeId) === String(req.user.employeeId) && req.user.role !== ADMIN_ROLE) {
+    return res.status(403).json({ message: 'You cannot review your own timesheet.' });
+  }
+
+  try {
+    const outcome = await withTransaction(async (client) => {
+      const before = await loadTimesheet(employeeId, weekStart, { lock: true }, client);
+      if (before.status !== from) return { status: 409, message: conflict(before.status) };
+
+      await client.query(
+        `UPDATE timesheets
+            SET status = $1, reviewed_at = NOW(), reviewed_by = $2, review_comment = $3, updated_at = NOW()
+          WHERE timesheet_id = $4`,
+        [to, req.user.employeeId, comment, before.timesheet_id]
+      );
+      const after = await loadTimesheet(employeeId, weekStart, {}, client);
+      await recordAudit(client, req, {
+        entityType: ENTITY_TYPES.TIMESHEET,
+        entityId: timesheetEntityId(employeeId, weekStart),
+        action: 'update',
+        before,
+        after,
+        metadata: { transition },
+      });
+      return { timesheet: after };
+    });
+    if (!outcome.timesheet) return res.status(outcome.status).json({ message: outcome.message });
+    res.json({ message: done, timesheet: outcome.timesheet });
+  } catch (err) {
+    console.error(`Error on timesheet ${transition}:`, err);
+    res.status(500).json({ message: 'Failed to review timesheet.' });
+  }
+};
+
+router.post('/timesheets/:employeeId/:weekStart/approve', authenticateToken, canReview, validate(schemas.approve), reviewScope, review('approve'));
+router.post('/timesheets/:employeeId/:weekStart/reject', authenticateToken, canReview, validate(schemas.reject), reviewScope, review('reject'));
+// Withdraws an approval so the week's entries can change again; the reason is kept as the review comment
+router.post('/timesheets/:employeeId/:weekStart/reopen', authenticateToken, canReview, validate(schemas.reopen), reviewScope, review('reopen'));
+
+module.exports = router;
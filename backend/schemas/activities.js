@@ -0,0 +1,42 @@
+// schemas/activities.js
+// Activity catalog (routes/activities.js).
+const { Joi, text } = require('./common');
+const { ACTIVITY_CATEGORIES } = require('../utils/activities');
+
+const activityCode = () => Joi.string().trim().uppercase().pattern(/^[A-Z][A-Z0-9_]{0,19}$/)
+  .messages({ 'string.pattern.base': '{{#label}} must start with a letter and use only A-Z, 0-9 and _ (max 20)' });
+
+const activityFields = {
+  label: text(100).min(1),
+  category: Joi.string().trim().lowercase().valid(...ACTIVITY_CATEGORIES),
+  isBillable: Joi.boolean(),
+  isActive: Joi.boolean(),
+  sortOrder: Joi.number().integer().min(0).max(100000),
+  // Cap per day for this activity (utils/hoursPolicy.js); null / '' removes it
+  maxHoursPerDay: Joi.number().greater(0).max(24).precision(2).allow(null, ''),
+};
+
+const codeParams = Joi.object({ code: activityCode().required() });
+
+module.exports = {
+  list: {
+    query: Joi.object({ includeInactive: Joi.boolean().default(false) }),
+  },
+  createActivity: {
+    body: Joi.object({
+      ...activityFields,
+      activityCode: activityCode().required(),
+      label: activityFields.label.required(),
+      category: activityFields.category.default('work'),
+      isBillable: activityFields.isBillable.default(false),
+      isActive: activityFields.isActive.default(true),
+      sortOrder: activityFields.sortOrder.default(0),
+      maxHoursPerDay: activityFields.maxHoursPerDay.default(null),
+    }),
+  },
+  updateActivity: {
+    params: codeParams,
+    body: Joi.object(activityFields).min(1).messages({ 'object.min': 'No fields to update.' }),
+  },
+  deleteActivity: { params: codeParams },
+};
@@ -0,0 +1,15 @@
+// schemas/apiTokens.js
+// Personal access tokens (routes/apiTokens.js).
+const { Joi, id, text } = require('./common');
+const { API_TOKEN_MAX_DAYS, API_TOKEN_DEFAULT_DAYS, SCOPES } = require('../utils/apiTokens');
+
+module.exports = {
+  createToken: {
+    body: Joi.object({
+      name: text(100).min(1).required(),
+      scopes: Joi.array().items(Joi.string().valid(...SCOPES)).min(1).unique().default(['read']),
+      expiresInDays: Joi.number().integer().min(1).max(API_TOKEN_MAX_DAYS).default(API_TOKEN_DEFAULT_DAYS),
+    }),
+  },
+  revokeToken: { params: Joi.object({ tokenId: id().required() }) },
+};
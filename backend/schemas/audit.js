@@ -0,0 +1,23 @@
+// schemas/audit.js
+// Filters shared by the audit log list and its CSV export (routes/audit.js).
+const { Joi, id, ymd, notBefore, text } = require('./common');
+
+const filterQuery = Joi.object({
+  actorId: id(),
+  actor: text(320).allow(''),
+  entityType: text(50).allow(''),
+  entityId: text(200).allow(''),
+  action: text(20).allow(''),
+  from: ymd().allow(''),
+  to: ymd().allow('').custom(notBefore('from')),
+});
+
+module.exports = {
+  list: {
+    query: filterQuery.keys({
+      page: Joi.number().integer().min(1).default(1),
+      pageSize: Joi.number().integer().min(1).max(200).default(50),
+    }),
+  },
+  exportCsv: { query: filterQuery },
+};
@@ -0,0 +1,42 @@
+// schemas/auth.js
+// Login, registration, password and session endpoints (routes/auth.js).
+const { Joi, id, email, password, text, roleKey } = require('./common');
+
+const refreshBody = (required) => Joi.object({
+  refreshToken: required ? Joi.string().required() : Joi.string().allow(''),
+});
+
+module.exports = {
+  login: {
+    body: Joi.object({
+      email: email().required(),
+      password: password().required(),
+    }),
+  },
+  register: {
+    body: Joi.object({
+      firstName: text(100).min(1).required(),
+      lastName: text(100).allow(''),
+      email: email().required(),
+      password: password().min(1).required(),
+      teamId: id().allow(null, '').empty(''),
+      role: roleKey().allow(null, '').empty(''),
+    }),
+  },
+  changePassword: {
+    body: Joi.object({
+      currentPassword: password().required(),
+      newPassword: password().required(),
+    }),
+  },
+  forgotPassword: { body: Joi.object({ email: email().required() }) },
+  resetPassword: {
+    body: Joi.object({
+      token: Joi.string().trim().required(),
+      newPassword: password().required(),
+    }),
+  },
+  refresh: { body: refreshBody(true) },
+  logout: { body: refreshBody(false) },
+  revokeSession: { params: Joi.object({ sessionId: id().required() }) },
+};
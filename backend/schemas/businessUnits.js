@@ -0,0 +1,42 @@
+// schemas/businessUnits.js
+// Business units, their merges and the BU rollup report (routes/businessUnits.js).
+const { Joi, ymd, notBefore, text } = require('./common');
+
+const buId = () => text(100).min(1);
+const buParams = Joi.object({ buId: buId().required() });
+
+module.exports = {
+  createBusinessUnit: {
+    body: Joi.object({
+      buId: buId().required(),
+      buName: text(255).min(1),
+      aliases: Joi.array().items(text(100).min(1)).max(50),
+    }),
+  },
+  updateBusinessUnit: {
+    params: buParams,
+    body: Joi.object({
+      newBuId: buId(),
+      buName: text(255).min(1),
+      isActive: Joi.boolean(),
+      aliases: Joi.array().items(text(100).min(1)).max(50),
+    }).min(1).messages({ 'object.min': 'No fields to update.' }),
+  },
+  deleteBusinessUnit: { params: buParams },
+  mergeBusinessUnit: {
+    params: buParams,
+    body: Joi.object({ intoBuId: buId().required() }),
+  },
+  // A suggested pair the admin keeps apart
+  dismissMergeCandidate: {
+    body: Joi.object({
+      buIds: Joi.array().items(buId()).length(2).unique().required(),
+    }),
+  },
+  rollup: {
+    query: Joi.object({
+      startDate: ymd().required(),
+      endDate: ymd().required().custom(notBefore('startDate')),
+    }),
+  },
+};
@@ -0,0 +1,89 @@
+// schemas/common.js
+// Building blocks shared by the per-router schemas.
+const BaseJoi = require('joi');
+const { isWeekStart } = require('../utils/timesheets');
+
+// Adds Joi.hours(): a non-negative number of hours in one day.
+// Blank cells ('' / null) count as 0, which is how the entry grids send untouched rows.
+const Joi = BaseJoi.extend((joi) => ({
+  type: 'hours',
+  base: joi.number().min(0).max(24),
+  coerce: {
+    from: ['string', 'object'],
+    method: (value) => (value === '' || value === null ? { value: 0 } : undefined),
+  },
+}));
+
+const YMD_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+// Calendar date as a 'YYYY-MM-DD' string; stays a string so no timezone math happens
+const ymd = () =>
+  Joi.string()
+    .trim()
+    .pattern(YMD_RE)
+    .custom((value, helpers) => {
+      const [y, m, d] = value.split('-').map(Number);
+      const dt = new Date(Date.UTC(y, m - 1, d));
+      if (dt.getUTCFullYear() !== y || dt.getUTCMonth() !== m - 1 || dt.getUTCDate() !== d) {
+        return helpers.message({ custom: '{{#label}} is not a valid date' });
+      }
+      return value;
+    })
+    .messages({ 'string.pattern.base': '{{#label}} must be YYYY-MM-DD' });
+
+// Weeks are addressed by their Monday (utils/timesheets.js)
+const weekStart = () => ymd().custom((value, helpers) => (
+  isWeekStart(value) ? value : helpers.message({ custom: '{{#label}} must be a Monday' })
+));
+
+// Optional date; '' and null are passed through and mean "no date"
+const optionalYmd = () => ymd().allow('', null);
+
+// End of a window must not be before its start sibling (both optional)
+const notBefore = (startKey) => (value, helpers) => {
+  const start = helpers.state.ancestors[0]?.[startKey];
+  if (value && start && value < start) {
+    return helpers.message({ custom: `{{#label}} cannot be before ${startKey}` });
+  }
+  return value;
+};
+
+// Window from its start sibling to this date may cover at most `days` days (both ends included)
+const maxSpan = (startKey, days) => (value, helpers) => {
+  const start = helpers.state.ancestors[0]?.[startKey];
+  if (!value || !start) return value;
+  const last = new Date(`${start}T00:00:00Z`);
+  last.setUTCDate(last.getUTCDate() + days - 1);
+  if (value > last.toISOString().slice(0, 10)) {
+    return helpers.message({ custom: `{{#label}} can be at most ${days} days from ${startKey}` });
+  }
+  return value;
+};
+
+const id = () => Joi.number().integer().positive();
+// Single-label domains allowed: the seeded admin signs in as Admin@admin
+const email = () => Joi.string().trim().email({ tlds: { allow: false }, minDomainSegments: 1 }).max(320);
+// Never trimmed; strength rules live in utils/passwordPolicy.js
+const password = () => Joi.string().max(200);
+const text = (max) => Joi.string().trim().max(max);
+// Optional free text; '' and null are passed through and mean "clear it"
+const optionalText = (max) => text(max).allow('', null);
+const projectId = () => Joi.string().trim().min(1).max(100);
+const roleKey = () => Joi.string().trim().lowercase().pattern(/^[a-z][a-z0-9_]{0,49}$/)
+  .messages({ 'string.pattern.base': '{{#label}} must start with a letter and use only a-z, 0-9 and _' });
+
+module.exports = {
+  Joi,
+  ymd,
+  optionalYmd,
+  notBefore,
+  maxSpan,
+  weekStart,
+  id,
+  email,
+  password,
+  text,
+  optionalText,
+  projectId,
+  roleKey,
+};
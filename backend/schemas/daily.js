@@ -0,0 +1,134 @@
+// schemas/daily.js
+// Daily utilization, employee-project rows and the reports built on them (routes/daily.js).
+const { Joi, ymd, optionalYmd, notBefore, maxSpan, weekStart, id, text, optionalText, projectId } = require('./common');
+const { MAX_FILL_DAYS } = require('../utils/dayEntries');
+
+const COMMENT_MAX = 2000;
+
+const dateRangeQuery = Joi.object({
+  startDate: ymd().required(),
+  endDate: ymd().required().custom(notBefore('startDate')),
+});
+
+const employeeDayParams = Joi.object({
+  employeeId: id().required(),
+  date: ymd().required(),
+});
+
+const utilizationRowParams = employeeDayParams.keys({
+  utilizationId: id().required(),
+});
+
+const activity = Joi.object({
+  activity: text(100).min(1).required(),
+  hours: Joi.hours().default(0),
+  comments: optionalText(COMMENT_MAX),
+});
+
+// Shared by the create (POST) and update (PUT) bodies of an employee-project row
+const projectRowFields = {
+  entryDate: ymd(),
+  projectName: optionalText(255),
+  startDate: optionalYmd(),
+  endDate: optionalYmd().custom(notBefore('startDate')),
+  status: optionalText(50),
+  hours: Joi.hours(),
+  comments: optionalText(COMMENT_MAX),
+  plannedStart: optionalYmd(),
+  plannedEnd: optionalYmd().custom(notBefore('plannedStart')),
+  // Optional split of the hours across the project's tasks; replaces the row's split when sent
+  tasks: Joi.array().items(Joi.object({
+    taskId: id().required(),
+    hours: Joi.number().greater(0).max(24).required(),
+  })).unique('taskId')
+    .messages({ 'array.unique': 'task {{#value.taskId}} appears more than once' }),
+};
+
+const employeeProjectsParams = Joi.object({
+  employeeId: id().required(),
+  projectId: projectId(),
+  date: ymd(),
+});
+
+const dateQuery = Joi.object({ date: ymd() });
+
+// One hours cell per day of a week grid row, Monday first
+const weekHours = () => Joi.array().items(Joi.hours()).length(7)
+  .messages({ 'array.length': '{{#label}} needs one value per day, Monday to Sunday' });
+
+module.exports = {
+  getUtilization: { params: employeeDayParams },
+  replaceUtilization: {
+    body: Joi.object({
+      employeeId: id().required(),
+      entryDate: ymd().required(),
+      activities: Joi.array().items(activity).unique('activity').default([])
+        .messages({ 'array.unique': 'activity "{{#value.activity}}" appears more than once' }),
+    }),
+  },
+  updateUtilization: {
+    params: utilizationRowParams,
+    body: Joi.object({
+      activity: text(100).min(1),
+      hours: Joi.hours(),
+      comments: optionalText(COMMENT_MAX),
+    }).min(1).messages({ 'object.min': 'No fields to update.' }),
+  },
+  deleteUtilization: { params: utilizationRowParams },
+  // Copies sourceDate into each working day of [startDate, endDate]
+  copyDay: {
+    body: Joi.object({
+      employeeId: id().required(),
+      sourceDate: ymd().required(),
+      startDate: ymd().required(),
+      endDate: ymd().custom(notBefore('startDate')).custom(maxSpan('startDate', MAX_FILL_DAYS)),
+      includeProjects: Joi.boolean().default(false),
+      includeComments: Joi.boolean().default(false),
+      overwrite: Joi.boolean().default(false),
+    }),
+  },
+  daySummary: { params: employeeDayParams },
+  listRevisions: { params: employeeDayParams },
+  restoreRevision: { params: employeeDayParams.keys({ revisionId: id().required() }) },
+
+  listEmployeeProjects: {
+    params: employeeProjectsParams,
+    query: dateQuery.keys({ status: text(50) }),
+  },
+  saveEmployeeProject: {
+    params: employeeProjectsParams,
+    query: dateQuery,
+    body: Joi.object({
+      projectId: projectId().required(),
+      ...projectRowFields,
+      hours: Joi.hours().default(0),
+    }),
+  },
+  updateEmployeeProject: {
+    params: employeeProjectsParams,
+    query: dateQuery,
+    body: Joi.object(projectRowFields),
+  },
+  removeEmployeeProject: { params: employeeProjectsParams, query: dateQuery },
+
+  // The week grid of the entry form, saved as a whole
+  saveWeek: {
+    params: Joi.object({ employeeId: id().required(), weekStart: weekStart().required() }),
+    body: Joi.object({
+      activities: Joi.array().items(Joi.object({
+        activity: text(100).min(1).required(),
+        hours: weekHours().required(),
+      })).unique('activity').default([])
+        .messages({ 'array.unique': 'activity "{{#value.activity}}" appears more than once' }),
+      projects: Joi.array().items(Joi.object({
+        projectId: projectId().required(),
+        hours: weekHours().required(),
+      })).unique('projectId').default([])
+        .messages({ 'array.unique': 'project "{{#value.projectId}}" appears more than once' }),
+    }),
+  },
+
+  employeeRange: { params: Joi.object({ employeeId: id().required() }), query: dateRangeQuery },
+  teamReport: { params: Joi.object({ teamId: id().required() }), query: dateRangeQuery },
+  projectContributors: { params: Joi.object({ projectId: projectId().required() }), query: dateRangeQuery },
+};
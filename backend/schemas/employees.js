@@ -0,0 +1,22 @@
+// schemas/employees.js
+// Employee directory maintenance (routes/employees.js). Role keys are checked against the roles table by the route.
+const { Joi, id, email, text, roleKey } = require('./common');
+
+const employeeFields = Joi.object({
+  firstName: text(100).allow('', null),
+  lastName: text(100).allow('', null),
+  teamId: id().allow(null, '').empty(''),
+  role: roleKey().allow(null),
+});
+
+module.exports = {
+  listByTeam: { params: Joi.object({ teamId: id().required() }) },
+  unlock: { params: Joi.object({ id: id().required() }) },
+  updateRole: {
+    params: Joi.object({ employeeId: id().required() }),
+    body: Joi.object({ role: roleKey().required() }),
+  },
+  updateById: { params: Joi.object({ employeeId: id().required() }), body: employeeFields },
+  updateByEmail: { params: Joi.object({ email: email().required() }), body: employeeFields },
+  remove: { params: Joi.object({ id: id().required() }) },
+};
@@ -0,0 +1,52 @@
+// schemas/entryTemplates.js
+// Daily entry templates and applying them to days (routes/entryTemplates.js).
+const { Joi, ymd, notBefore, maxSpan, id, text, optionalText, projectId } = require('./common');
+const { MAX_FILL_DAYS } = require('../utils/dayEntries');
+
+const COMMENT_MAX = 2000;
+
+const templateFields = {
+  name: text(100).min(1),
+  activities: Joi.array().items(Joi.object({
+    activity: text(100).min(1).required(),
+    hours: Joi.hours().default(0),
+    comments: optionalText(COMMENT_MAX),
+  })).unique('activity')
+    .messages({ 'array.unique': 'activity "{{#value.activity}}" appears more than once' }),
+  projects: Joi.array().items(Joi.object({
+    projectId: projectId().required(),
+    hours: Joi.hours().default(0),
+    comments: optionalText(COMMENT_MAX),
+  })).unique('projectId')
+    .messages({ 'array.unique': 'project "{{#value.projectId}}" appears more than once' }),
+};
+
+const employeeParams = Joi.object({ employeeId: id().required() });
+const templateParams = employeeParams.keys({ templateId: id().required() });
+
+module.exports = {
+  listTemplates: { params: employeeParams },
+  createTemplate: {
+    params: employeeParams,
+    body: Joi.object({
+      ...templateFields,
+      name: templateFields.name.required(),
+      activities: templateFields.activities.default([]),
+      projects: templateFields.projects.default([]),
+    }),
+  },
+  updateTemplate: {
+    params: templateParams,
+    body: Joi.object(templateFields).min(1).messages({ 'object.min': 'No fields to update.' }),
+  },
+  deleteTemplate: { params: templateParams },
+  // Fills each working day of [startDate, endDate] with the template
+  applyTemplate: {
+    params: templateParams,
+    body: Joi.object({
+      startDate: ymd().required(),
+      endDate: ymd().custom(notBefore('startDate')).custom(maxSpan('startDate', MAX_FILL_DAYS)),
+      overwrite: Joi.boolean().default(false),
+    }),
+  },
+};
@@ -0,0 +1,38 @@
+// schemas/holidays.js
+// Holiday calendar and its XLSX / ICS import (routes/holidays.js).
+const { Joi, ymd, notBefore, id, text } = require('./common');
+
+const holidayFields = {
+  date: ymd(),
+  name: text(200).min(1),
+  // null = org-wide
+  teamId: id().allow(null, ''),
+};
+
+const holidayParams = Joi.object({ holidayId: id().required() });
+
+module.exports = {
+  list: {
+    query: Joi.object({
+      startDate: ymd().required(),
+      endDate: ymd().required().custom(notBefore('startDate')),
+      teamId: id().allow(''),
+    }),
+  },
+  createHoliday: {
+    body: Joi.object({
+      ...holidayFields,
+      date: holidayFields.date.required(),
+      name: holidayFields.name.required(),
+    }),
+  },
+  updateHoliday: {
+    params: holidayParams,
+    body: Joi.object(holidayFields).min(1).messages({ 'object.min': 'No fields to update.' }),
+  },
+  deleteHoliday: { params: holidayParams },
+  // multipart form fields next to the uploaded file
+  importHolidays: {
+    body: Joi.object({ teamId: holidayFields.teamId }),
+  },
+};
@@ -0,0 +1,60 @@
+// schemas/leave.js
+// Leave requests, their review and the leave balance (routes/leave.js).
+const { Joi, ymd, notBefore, maxSpan, id, text, optionalText } = require('./common');
+const { LEAVE_STATUSES, MAX_LEAVE_SPAN_DAYS } = require('../utils/leave');
+
+const REASON_MAX = 2000;
+
+const leaveType = () => Joi.string().trim().uppercase().max(20);
+
+// A one-day request is a full day or one half of it, not both halves
+const singleDayHalves = (value, helpers) => {
+  const { startDate, endDate, startHalfDay } = helpers.state.ancestors[0] || {};
+  if (value && startHalfDay && startDate && startDate === endDate) {
+    return helpers.message({ custom: 'A one-day request can be a half day or a full day; untick one of the halves' });
+  }
+  return value;
+};
+
+const employeeParams = Joi.object({ employeeId: id().required() });
+const requestParams = Joi.object({ leaveRequestId: id().required() });
+
+module.exports = {
+  listTypes: {
+    query: Joi.object({ includeInactive: Joi.boolean().default(false) }),
+  },
+  listEmployeeRequests: {
+    params: employeeParams,
+    query: Joi.object({ year: Joi.number().integer().min(2000).max(2100) }),
+  },
+  createRequest: {
+    params: employeeParams,
+    body: Joi.object({
+      leaveType: leaveType().required(),
+      startDate: ymd().required(),
+      endDate: ymd().required().custom(notBefore('startDate')).custom(maxSpan('startDate', MAX_LEAVE_SPAN_DAYS)),
+      startHalfDay: Joi.boolean().default(false),
+      endHalfDay: Joi.boolean().default(false).custom(singleDayHalves),
+      reason: optionalText(REASON_MAX),
+    }),
+  },
+  balance: {
+    params: employeeParams,
+    query: Joi.object({ year: Joi.number().integer().min(2000).max(2100) }),
+  },
+  queue: {
+    query: Joi.object({
+      status: Joi.string().trim().lowercase().valid(...LEAVE_STATUSES).default('pending'),
+      teamId: id(),
+    }),
+  },
+  approve: {
+    params: requestParams,
+    body: Joi.object({ comment: optionalText(REASON_MAX) }),
+  },
+  reject: {
+    params: requestParams,
+    body: Joi.object({ comment: text(REASON_MAX).min(1).required() }),
+  },
+  cancel: { params: requestParams },
+};
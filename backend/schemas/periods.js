@@ -0,0 +1,35 @@
+// schemas/periods.js
+// Month-end period close and reopen (routes/periods.js).
+const { Joi, ymd, notBefore, id, text, optionalText } = require('./common');
+
+const REASON_MAX = 2000;
+
+const dateRange = {
+  startDate: ymd().required(),
+  endDate: ymd().required().custom(notBefore('startDate')),
+};
+
+module.exports = {
+  list: {
+    query: Joi.object({
+      includeReopened: Joi.boolean().default(false),
+      teamId: id(),
+    }),
+  },
+  closePeriod: {
+    body: Joi.object({
+      ...dateRange,
+      // Omitted / null closes the range for every team
+      teamId: id().allow(null),
+      note: optionalText(500),
+    }),
+  },
+  reopenPeriod: {
+    params: Joi.object({ periodId: id().required() }),
+    body: Joi.object({ reason: text(REASON_MAX).min(1).required() }),
+  },
+  employeePeriods: {
+    params: Joi.object({ employeeId: id().required() }),
+    query: Joi.object(dateRange),
+  },
+};
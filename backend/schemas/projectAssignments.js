@@ -0,0 +1,34 @@
+// schemas/projectAssignments.js
+// Employee-to-project assignments with planned allocation (routes/projectAssignments.js).
+const { Joi, ymd, optionalYmd, notBefore, id, optionalText, projectId } = require('./common');
+
+const assignmentFields = {
+  projectRole: optionalText(100),
+  plannedStartDate: optionalYmd(),
+  plannedEndDate: optionalYmd().custom(notBefore('plannedStartDate')),
+  plannedHoursPerWeek: Joi.number().min(0).max(168).allow(null),
+};
+
+const projectParams = Joi.object({ projectId: projectId().required() });
+const assignmentParams = projectParams.keys({ assignmentId: id().required() });
+
+module.exports = {
+  listProjectAssignments: { params: projectParams },
+  createAssignment: {
+    params: projectParams,
+    body: Joi.object({ ...assignmentFields, employeeId: id().required() }),
+  },
+  updateAssignment: {
+    params: assignmentParams,
+    body: Joi.object(assignmentFields).min(1).messages({ 'object.min': 'No fields to update.' }),
+  },
+  deleteAssignment: { params: assignmentParams },
+  // Range is optional; without it the hours run up to today
+  listEmployeeAssignments: {
+    params: Joi.object({ employeeId: id().required() }),
+    query: Joi.object({
+      startDate: ymd(),
+      endDate: ymd().custom(notBefore('startDate')),
+    }).and('startDate', 'endDate'),
+  },
+};
@@ -0,0 +1,29 @@
+// schemas/projectTasks.js
+// Tasks under a project (routes/projectTasks.js).
+const { Joi, optionalYmd, id, text, projectId } = require('./common');
+const { TASK_STATUSES } = require('../utils/projectTasks');
+
+const taskFields = {
+  title: text(200).min(1),
+  ownerId: id().allow(null),
+  status: Joi.string().valid(...TASK_STATUSES),
+  estimateHours: Joi.number().min(0).max(99999).allow(null),
+  dueDate: optionalYmd(),
+};
+
+const projectParams = Joi.object({ projectId: projectId().required() });
+const taskParams = projectParams.keys({ taskId: id().required() });
+
+module.exports = {
+  listTasks: { params: projectParams },
+  projectDetail: { params: projectParams },
+  createTask: {
+    params: projectParams,
+    body: Joi.object({ ...taskFields, title: taskFields.title.required() }),
+  },
+  updateTask: {
+    params: taskParams,
+    body: Joi.object(taskFields).min(1).messages({ 'object.min': 'No fields to update.' }),
+  },
+  deleteTask: { params: taskParams },
+};
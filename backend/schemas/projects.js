@@ -0,0 +1,41 @@
+// schemas/projects.js
+// Project master data (routes/projects.js). Excel import rows are parsed by the route itself.
+const { Joi, optionalYmd, notBefore, text, optionalText, projectId } = require('./common');
+
+const hoursTotal = () => Joi.number().min(0).allow(null, '').empty('');
+
+// Shared by create and update; old clients send the project* aliases
+const projectFields = {
+  projectName: text(255).min(1),
+  buId: text(100),
+  businessUnit: text(100),
+  plannedStartDate: optionalYmd(),
+  plannedEndDate: optionalYmd().custom(notBefore('plannedStartDate')),
+  status: optionalText(50),
+  estimatedHours: hoursTotal(),
+  actualHours: hoursTotal(),
+  comments: optionalText(5000),
+  projectComments: optionalText(5000),
+  actualStartDate: optionalYmd(),
+  actualEndDate: optionalYmd().custom(notBefore('actualStartDate')),
+  projectActualStartDate: optionalYmd(),
+  projectActualEndDate: optionalYmd().custom(notBefore('projectActualStartDate')),
+};
+
+const idParams = Joi.object({ id: projectId().required() });
+
+module.exports = {
+  createProject: {
+    body: Joi.object({
+      ...projectFields,
+      projectId: projectId().required(),
+      projectName: projectFields.projectName.required(),
+      businessUnit: projectFields.businessUnit.when('buId', { not: Joi.exist(), then: Joi.required() }),
+    }),
+  },
+  updateProject: {
+    params: idParams,
+    body: Joi.object({ ...projectFields, newProjectId: projectId() }),
+  },
+  deleteProject: { params: idParams },
+};
@@ -0,0 +1,15 @@
+// schemas/recycleBin.js
+// Recycle bin of archived teams, employees and projects (routes/recycleBin.js).
+const { Joi, id, projectId } = require('./common');
+const { RECYCLABLE_TYPES } = require('../utils/recycleBin');
+
+// Projects are keyed by their code, teams and employees by a numeric id
+const recordParams = Joi.object({
+  type: Joi.string().valid(...RECYCLABLE_TYPES).required(),
+  id: Joi.when('type', { is: 'project', then: projectId().required(), otherwise: id().required() }),
+});
+
+module.exports = {
+  restore: { params: recordParams },
+  purge: { params: recordParams },
+};
@@ -0,0 +1,30 @@
+// schemas/roles.js
+// Role catalogue (routes/roles.js). Permission keys must come from utils/permissions.js.
+const { Joi, text, optionalText, roleKey } = require('./common');
+const { PERMISSIONS } = require('../utils/permissions');
+
+const permissionList = () => Joi.array()
+  .items(Joi.string().valid(...Object.keys(PERMISSIONS)).messages({ 'any.only': 'Unknown permission "{{#value}}"' }))
+  .unique();
+
+const roleKeyParams = Joi.object({ roleKey: roleKey().required() });
+
+module.exports = {
+  createRole: {
+    body: Joi.object({
+      roleKey: roleKey().required(),
+      roleName: text(100).min(1).required(),
+      description: optionalText(255),
+      permissions: permissionList().default([]),
+    }),
+  },
+  updateRole: {
+    params: roleKeyParams,
+    body: Joi.object({
+      roleName: text(100).min(1),
+      description: optionalText(255),
+      permissions: permissionList(),
+    }),
+  },
+  deleteRole: { params: roleKeyParams },
+};
@@ -0,0 +1,53 @@
+// schemas/system.js
+// First-run setup, factory reset, snapshots and the debug inspector.
+const { Joi, email, password, text } = require('./common');
+const { SNAPSHOT_FILE_RE } = require('../utils/snapshots');
+
+// Typed confirmations the client must send back verbatim
+const RESET_CONFIRMATION = 'FACTORY RESET';
+const RESTORE_CONFIRMATION = 'RESTORE';
+
+const confirmBody = (phrase) => Joi.object({
+  confirm: Joi.string().valid(phrase).required()
+    .messages({ 'any.only': `Type "${phrase}" to confirm.`, 'any.required': `Type "${phrase}" to confirm.` }),
+});
+
+const snapshotParams = Joi.object({
+  fileName: Joi.string().pattern(SNAPSHOT_FILE_RE).required()
+    .messages({ 'string.pattern.base': 'Invalid snapshot name.' }),
+});
+
+const tableParams = Joi.object({ tableName: text(63).min(1).required() });
+
+module.exports = {
+  RESET_CONFIRMATION,
+  RESTORE_CONFIRMATION,
+
+  setup: {
+    body: Joi.object({
+      firstName: text(100).min(1).required(),
+      lastName: text(100).allow('', null),
+      email: email().required(),
+      password: password().required(),
+      setupToken: Joi.string().allow(''),
+    }),
+  },
+
+  factoryReset: { body: confirmBody(RESET_CONFIRMATION) },
+  downloadSnapshot: { params: snapshotParams },
+  restoreSnapshot: { params: snapshotParams, body: confirmBody(RESTORE_CONFIRMATION) },
+
+  describeTable: { params: tableParams },
+  tableRows: {
+    params: tableParams,
+    query: Joi.object({
+      page: Joi.number().integer().min(1).default(1),
+      pageSize: Joi.number().integer().min(1).max(200).default(25),
+      sort: text(63).allow(''),
+      order: Joi.string().lowercase().valid('asc', 'desc').default('asc'),
+      search: text(200).allow(''),
+      column: text(63).allow(''),
+      value: Joi.string().max(200).allow(''),
+    }),
+  },
+};
@@ -0,0 +1,11 @@
+// schemas/teams.js
+const { Joi, id, text } = require('./common');
+
+const teamBody = Joi.object({ teamName: text(255).min(1).required() });
+const idParams = Joi.object({ id: id().required() });
+
+module.exports = {
+  createTeam: { body: teamBody },
+  updateTeam: { params: idParams, body: teamBody },
+  deleteTeam: { params: idParams },
+};
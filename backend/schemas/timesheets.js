@@ -0,0 +1,35 @@
+// schemas/timesheets.js
+// Weekly timesheet submission and review (routes/timesheets.js).
+const { Joi, weekStart, id, text, optionalText } = require('./common');
+
+const REVIEW_COMMENT_MAX = 2000;
+
+const weekParams = Joi.object({
+  employeeId: id().required(),
+  weekStart: weekStart().required(),
+});
+
+module.exports = {
+  queue: {
+    // Drafts have no row until submitted, so the queue only lists the other states
+    query: Joi.object({
+      status: Joi.string().trim().lowercase().valid('submitted', 'approved', 'rejected').default('submitted'),
+      teamId: id(),
+      weekStart: weekStart().allow(''),
+    }),
+  },
+  getWeek: { params: weekParams },
+  submit: { params: weekParams },
+  approve: {
+    params: weekParams,
+    body: Joi.object({ comment: optionalText(REVIEW_COMMENT_MAX) }),
+  },
+  reject: {
+    params: weekParams,
+    body: Joi.object({ comment: text(REVIEW_COMMENT_MAX).min(1).required() }),
+  },
+  reopen: {
+    params: weekParams,
+    body: Joi.object({ comment: text(REVIEW_COMMENT_MAX).min(1).required() }),
+  },
+};
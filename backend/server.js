@@ -1,17 +1,33 @@
 require('dotenv').config();
 const express = require('express');
 const { Pool } = require('pg');
-const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const cors = require('cors');
 const helmet = require('helmet');
 const multer = require('multer');
+const {
+  loginIpLimiter, loginAccountLimiter, forgotPasswordLimiter, resetPasswordLimiter,
+} = require('./middleware/rateLimiters');
 
 const debugRoutes = require('./routes/debug');
 const authRoutes = require('./routes/auth');
+const setupRoutes = require('./routes/setup');
 const teamsRouter = require('./routes/teams');
 const employeesRouter = require('./routes/employees');
 const projectsRouter = require('./routes/projects');
+const factoryResetRouter = require('./routes/factoryReset');
+const auditRouter = require('./routes/audit');
+const rolesRouter = require('./routes/roles');
+const apiTokensRouter = require('./routes/apiTokens');
+const activitiesRouter = require('./routes/activities');
+const timesheetsRouter = require('./routes/timesheets');
+const periodsRouter = require('./routes/periods');
+const holidaysRouter = require('./routes/holidays');
+const leaveRouter = require('./routes/leave');
+const entryTemplatesRouter = require('./routes/entryTemplates');
+const recycleBinRouter = require('./routes/recycleBin');
+const projectAssignmentsRouter = require('./routes/projectAssignments');
+const projectTasksRouter = require('./routes/projectTasks');
+const businessUnitsRouter = require('./routes/businessUnits');
 
 // ✅ single merged daily router (replaces dailyEntries + employeeProjects)
 const dailyRoutes = require('./routes/daily');
@@ -19,17 +35,24 @@ const dailyRoutes = require('./routes/daily');
 const app = express();
 const upload = multer({ dest: 'uploads/' });
 const PORT = process.env.PORT || 5000;
-const JWT_SECRET = process.env.JWT_SECRET;
 
 // Middleware
 app.use(helmet());
 app.use(cors());
 app.use(express.json());
 
-// Auth routes
+// Auth routes (login is throttled per IP and per account, the password reset flow per IP)
+app.use('/api/login', loginIpLimiter, loginAccountLimiter);
+app.use('/api/auth/forgot-password', forgotPasswordLimiter);
+app.use('/api/auth/reset-password', resetPasswordLimiter);
 app.use('/api', authRoutes);
+// Personal access tokens of the signed-in user (/api/auth/tokens...)
+app.use('/api', apiTokensRouter);
 
-// Debug
+// First-run setup (only usable while there are no accounts)
+app.use('/api', setupRoutes);
+
+// Debug inspector (system.admin, read-only)
 app.use('/api/debug', debugRoutes);
 
 // PostgreSQL Connection Pool
@@ -46,26 +69,6 @@ pool.connect((err, client, release) => {
   release();
 });
 
-// JWT middleware
-const authenticateToken = (req, res, next) => {
-  const authHeader = req.headers['authorization'];
-  const token = authHeader && authHeader.split(' ')[1];
-  if (!token) return res.sendStatus(401);
-  jwt.verify(token, JWT_SECRET, (err, user) => {
-    if (err) return res.sendStatus(403);
-    req.user = user;
-    next();
-  });
-};
-
-// Role authorization
-const authorizeRoles = (...roles) => (req, res, next) => {
-  if (!roles.includes(req.user.role)) {
-    return res.status(403).json({ message: 'Access denied. Insufficient permissions.' });
-  }
-  next();
-};
-
 // Helper for DB transactions
 const withTransaction = async (callback) => {
   const client = await pool.connect();
@@ -82,69 +85,47 @@ const withTransaction = async (callback) => {
   }
 };
 
-// ✅ Seed default admin if not present
-const seedDefaultAdmin = async () => {
-  try {
-    const result = await pool.query('SELECT 1 FROM employees WHERE email = $1', ['Admin@admin']);
-    if (result.rows.length === 0) {
-      const hashed = await bcrypt.hash('Admin', 10);
-      await pool.query(
-        `INSERT INTO employees (first_name, last_name, email, password_hash, role)
-         VALUES ($1, $2, $3, $4, $5)`,
-        ['Admin', 'User', 'Admin@admin', hashed, 'admin']
-      );
-      console.log('✅ Default admin created: Admin@admin / Admin');
-    }
-  } catch (error) {
-    console.error('❌ Error seeding default admin:', error);
-  }
-};
-seedDefaultAdmin();
-
-// ✅ Factory Reset (keeps admin)
-app.delete('/api/factory-reset', async (_req, res) => {
-  try {
-    await pool.query('BEGIN');
-
-    // Truncate in correct order for your actual tables
-    await pool.query('TRUNCATE TABLE daily_entry_project_utilization RESTART IDENTITY CASCADE');
-    await pool.query('TRUNCATE TABLE daily_entry_utilization RESTART IDENTITY CASCADE');
-    await pool.query('TRUNCATE TABLE projects RESTART IDENTITY CASCADE');
-    await pool.query('TRUNCATE TABLE teams RESTART IDENTITY CASCADE');
-
-    // Delete employees except admin
-    await pool.query(`DELETE FROM employees WHERE email <> 'Admin@admin'`);
-
-    // Recreate admin if missing
-    const adminCheck = await pool.query(`SELECT 1 FROM employees WHERE email = 'Admin@admin'`);
-    if (adminCheck.rows.length === 0) {
-      const hashedPassword = await bcrypt.hash('Admin', 10);
-      await pool.query(
-        `INSERT INTO employees (first_name, last_name, email, password_hash, role)
-         VALUES ('Admin', 'User', 'Admin@admin', $1, 'admin')`,
-        [hashedPassword]
-      );
-    }
-
-    await pool.query('COMMIT');
-    res.json({ message: 'Factory reset complete. Admin retained.' });
-  } catch (error) {
-    await pool.query('ROLLBACK');
-    console.error('❌ Factory reset error:', error);
-    res.status(500).json({ message: 'Factory reset failed.' });
-  }
-});
+// No default credentials: a fresh database is claimed through the setup screen
+setupRoutes.accountsExist(pool)
+  .then((present) => {
+    if (!present) console.log('ℹ️ No accounts yet. Open the app to run first-time setup.');
+  })
+  .catch((error) => console.error('❌ Error checking for accounts:', error));
 
 // Attach shared modules if other routers need them
 app.locals.pool = pool;
-app.locals.authenticateToken = authenticateToken;
-app.locals.authorizeRoles = authorizeRoles;
 app.locals.withTransaction = withTransaction;
 
 // Mount routers
 app.use('/api/teams', teamsRouter);
 app.use('/api/employees', employeesRouter);
 app.use('/api/projects', projectsRouter);
+// Factory reset + snapshots (system.admin) (/api/factory-reset, /api/snapshots...)
+app.use('/api', factoryResetRouter);
+// Audit trail viewer (audit.view) (/api/audit-log...)
+app.use('/api', auditRouter);
+// Roles and permission catalogue (/api/roles, /api/permissions)
+app.use('/api', rolesRouter);
+// Activity catalog (/api/activities)
+app.use('/api', activitiesRouter);
+// Weekly timesheet submission and approval (/api/timesheets...)
+app.use('/api', timesheetsRouter);
+// Month-end period close (/api/closed-periods...)
+app.use('/api', periodsRouter);
+// Holiday calendar and its import (/api/holidays...)
+app.use('/api', holidaysRouter);
+// Leave requests, their approval and the leave balance (/api/leave-requests..., /api/employee/:id/leave-...)
+app.use('/api', leaveRouter);
+// Daily entry templates (/api/employee/:id/entry-templates...)
+app.use('/api', entryTemplatesRouter);
+// Recycle bin of archived teams, employees and projects (system.admin) (/api/recycle-bin...)
+app.use('/api', recycleBinRouter);
+// Employee-to-project assignments (/api/projects/:id/assignments..., /api/employee/:id/project-assignments)
+app.use('/api', projectAssignmentsRouter);
+// Tasks under projects and the project detail view (/api/projects/:id/tasks..., /api/projects/:id/detail)
+app.use('/api', projectTasksRouter);
+// Business units, their merge review and the BU rollup report (/api/business-units...)
+app.use('/api', businessUnitsRouter);
 //test
 app.get('/api/health', (req, res) => {
   res.json({ status: 'ok', time: new Date() });
@@ -0,0 +1,82 @@
+// POST /api/auth/change-password (routes/auth.js)
+const { test, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const bcrypt = require('bcryptjs');
+const { db, signIn, resetDb, startApp } = require('./support/harness');
+const authRoutes = require('../routes/auth');
+
+const CURRENT = 'Current#Pass1';
+const USER = { employeeId: 7, role: 'employee', email: 'jane.doe@example.com' };
+
+let app;
+let employee;
+
+const givenEmployee = async () => {
+  employee = {
+    employee_id: USER.employeeId,
+    email: USER.email,
+    first_name: 'Jane',
+    role: USER.role,
+    team_id: 1,
+    password_hash: await bcrypt.hash(CURRENT, 4),
+    must_change_password: false,
+  };
+  db.on(/SELECT \* FROM employees WHERE employee_id = \$1/, () => [employee]);
+  db.on(/UPDATE employees\s+SET password_hash = \$1/, ([hash]) => {
+    employee = { ...employee, password_hash: hash, must_change_password: false };
+    return [employee];
+  });
+};
+
+const changePassword = (token, body) => app.request('POST', '/api/auth/change-password', { token, body });
+
+beforeEach(async () => {
+  resetDb();
+  await givenEmployee();
+  app = app || await startApp([['/api', authRoutes]]);
+});
+
+after(() => app?.close());
+
+test('rejects a wrong current password', async () => {
+  const res = await changePassword(signIn(USER), { currentPassword: 'Wrong#Pass1', newPassword: 'Fresh#Pass42' });
+
+  assert.equal(res.status, 400);
+  assert.equal(res.body.message, 'Current password is incorrect.');
+  assert.equal(db.find(/UPDATE employees/).length, 0);
+});
+
+test('reports policy violations on newPassword', async () => {
+  const res = await changePassword(signIn(USER), { currentPassword: CURRENT, newPassword: 'short' });
+
+  assert.equal(res.status, 400);
+  assert.equal(res.body.code, 'VALIDATION_ERROR');
+  const fields = res.body.errors.map((e) => e.field);
+  assert.ok(fields.length > 0);
+  assert.ok(fields.every((f) => f === 'newPassword'));
+  assert.ok(res.body.errors.some((e) => /at least 8 characters/.test(e.message)));
+  assert.equal(db.find(/UPDATE employees/).length, 0);
+});
+
+test('stores the new password and returns a fresh access token', async () => {
+  const res = await changePassword(signIn(USER), { currentPassword: CURRENT, newPassword: 'Fresh#Pass42' });
+
+  assert.equal(res.status, 200);
+  assert.equal(res.body.message, 'Password changed successfully.');
+  assert.ok(res.body.token);
+  assert.ok(await bcrypt.compare('Fresh#Pass42', employee.password_hash));
+  assert.equal(employee.must_change_password, false);
+});
+
+test('signs out the other sessions and keeps the caller signed in', async () => {
+  const current = signIn(USER);
+  const other = signIn(USER);
+  const otherUser = signIn({ employeeId: 8, role: 'employee' });
+
+  const res = await changePassword(current, { currentPassword: CURRENT, newPassword: 'Fresh#Pass42' });
+  assert.equal(res.status, 200);
+
+  assert.equal((await app.request('GET', '/api/auth/sessions', { token: other })).status, 401);
+  assert.equal((await app.request('GET', '/api/auth/sessions', { token: current })).status, 200);
+  assert.equal((await app.request('GET', '/api/auth/sessions', { token: otherUser })).status, 200);
+});
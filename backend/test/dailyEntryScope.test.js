@@ -0,0 +1,176 @@
+// Role matrix of the daily-entry routes (/daily-entries/..., /employee/:employeeId/...) and the
+// team reports (/team/:teamId/...): who may read or change whose entries (middleware/scopeMiddleware.js).
+// Only the access decision is checked: with an empty database an allowed request may still end
+// in 400 / 404 / 500, but never in 401 / 403.
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { db, signIn, startApp } = require('./support/harness');
+const dailyRoutes = require('../routes/daily');
+const entryTemplatesRouter = require('../routes/entryTemplates');
+const leaveRouter = require('../routes/leave');
+const periodsRouter = require('../routes/periods');
+const projectAssignmentsRouter = require('../routes/projectAssignments');
+
+const TEAM_LEAD_PERMISSIONS = [
+  'entries.view_team', 'entries.edit_others', 'reports.view', 'reports.export',
+  'projects.edit', 'employees.view', 'timesheets.approve', 'leave.approve',
+];
+
+// employee_id -> team_id
+const TEAMS = { 10: 1, 11: 1, 20: 1, 30: 3, 40: 2 };
+
+const ACTORS = {
+  employee: { employeeId: 10, role: 'employee', teamId: 1 },
+  team_lead: { employeeId: 20, role: 'team_lead', teamId: 1, permissions: TEAM_LEAD_PERMISSIONS },
+  admin: { employeeId: 30, role: 'admin', teamId: 3 },
+};
+
+// Whose entries the request addresses, relative to the actor
+const TARGETS = {
+  self: (actor) => actor.employeeId,
+  teammate: () => 11,
+  other_team: () => 40,
+};
+
+const EXPECTED = {
+  employee: { self: 'allow', teammate: 'deny', other_team: 'deny' },
+  team_lead: { self: 'allow', teammate: 'allow', other_team: 'deny' },
+  admin: { self: 'allow', teammate: 'allow', other_team: 'allow' },
+};
+
+const DAY = '2025-03-04';
+const WEEK = '2025-03-03';
+const RANGE = 'startDate=2025-03-01&endDate=2025-03-31';
+
+// [method, route, (employeeId) => { url, body }]
+const ROUTES = [
+  ['GET', '/daily-entries/:employeeId/:date', (id) => ({ url: `/daily-entries/${id}/${DAY}` })],
+  ['POST', '/daily-entries', (id) => ({
+    url: '/daily-entries',
+    body: { employeeId: id, entryDate: DAY, activities: [{ activity: 'Meetings', hours: 1 }] },
+  })],
+  ['PUT', '/daily-entries/:employeeId/:date/:utilizationId', (id) => ({
+    url: `/daily-entries/${id}/${DAY}/5`, body: { hours: 2 },
+  })],
+  ['DELETE', '/daily-entries/:employeeId/:date/:utilizationId', (id) => ({ url: `/daily-entries/${id}/${DAY}/5` })],
+  ['POST', '/daily-entries/copy', (id) => ({
+    url: '/daily-entries/copy',
+    body: { employeeId: id, sourceDate: '2025-03-03', startDate: DAY, endDate: DAY },
+  })],
+  ['GET', '/daily-entries/:employeeId/:date/revisions', (id) => ({ url: `/daily-entries/${id}/${DAY}/revisions` })],
+  ['POST', '/daily-entries/:employeeId/:date/revisions/:revisionId/restore', (id) => ({
+    url: `/daily-entries/${id}/${DAY}/revisions/3/restore`,
+  })],
+  ['GET', '/daily-entries/:employeeId/:date/summary', (id) => ({ url: `/daily-entries/${id}/${DAY}/summary` })],
+
+  ['GET', '/employee/:employeeId/projects', (id) => ({ url: `/employee/${id}/projects?date=${DAY}` })],
+  ['GET', '/employee/:employeeId/projects/:date', (id) => ({ url: `/employee/${id}/projects/${DAY}` })],
+  ['POST', '/employee/:employeeId/projects', (id) => ({
+    url: `/employee/${id}/projects?date=${DAY}`, body: { projectId: 'P-1', hours: 2 },
+  })],
+  ['POST', '/employee/:employeeId/projects/:date', (id) => ({
+    url: `/employee/${id}/projects/${DAY}`, body: { projectId: 'P-1', hours: 2 },
+  })],
+  ['PUT', '/employee/:employeeId/projects/:projectId', (id) => ({
+    url: `/employee/${id}/projects/P-1?date=${DAY}`, body: { hours: 3 },
+  })],
+  ['PUT', '/employee/:employeeId/projects/:projectId/:date', (id) => ({
+    url: `/employee/${id}/projects/P-1/${DAY}`, body: { hours: 3 },
+  })],
+  ['DELETE', '/employee/:employeeId/projects/:projectId', (id) => ({ url: `/employee/${id}/projects/P-1?date=${DAY}` })],
+  ['DELETE', '/employee/:employeeId/projects/:projectId/:date', (id) => ({ url: `/employee/${id}/projects/P-1/${DAY}` })],
+  ['PUT', '/employee/:employeeId/week-entries/:weekStart', (id) => ({
+    url: `/employee/${id}/week-entries/${WEEK}`,
+    body: { activities: [{ activity: 'Meetings', hours: [1, 1, 1, 1, 1, 0, 0] }], projects: [] },
+  })],
+  ['GET', '/employee/:employeeId/range', (id) => ({ url: `/employee/${id}/range?${RANGE}` })],
+
+  ['GET', '/employee/:employeeId/entry-templates', (id) => ({ url: `/employee/${id}/entry-templates` })],
+  ['POST', '/employee/:employeeId/entry-templates', (id) => ({
+    url: `/employee/${id}/entry-templates`, body: { name: 'Standard day' },
+  })],
+  ['PUT', '/employee/:employeeId/entry-templates/:templateId', (id) => ({
+    url: `/employee/${id}/entry-templates/4`, body: { name: 'Renamed' },
+  })],
+  ['DELETE', '/employee/:employeeId/entry-templates/:templateId', (id) => ({ url: `/employee/${id}/entry-templates/4` })],
+  ['POST', '/employee/:employeeId/entry-templates/:templateId/apply', (id) => ({
+    url: `/employee/${id}/entry-templates/4/apply`, body: { startDate: DAY, endDate: DAY },
+  })],
+
+  ['GET', '/employee/:employeeId/leave-requests', (id) => ({ url: `/employee/${id}/leave-requests` })],
+  ['GET', '/employee/:employeeId/leave-balance', (id) => ({ url: `/employee/${id}/leave-balance` })],
+  ['POST', '/employee/:employeeId/leave-requests', (id) => ({
+    url: `/employee/${id}/leave-requests`, body: { leaveType: 'CL', startDate: DAY, endDate: DAY },
+  })],
+
+  ['GET', '/employee/:employeeId/closed-periods', (id) => ({ url: `/employee/${id}/closed-periods?${RANGE}` })],
+  ['GET', '/employee/:employeeId/project-assignments', (id) => ({ url: `/employee/${id}/project-assignments` })],
+];
+
+// Team reports: everyone with entries.view_all, their own team with entries.view_team
+const TEAM_TARGETS = {
+  own_team: (actor) => actor.teamId,
+  other_team: () => 2,
+};
+
+const TEAM_EXPECTED = {
+  employee: { own_team: 'deny', other_team: 'deny' },
+  team_lead: { own_team: 'allow', other_team: 'deny' },
+  admin: { own_team: 'allow', other_team: 'allow' },
+};
+
+// [method, route, (teamId) => { url }]
+const TEAM_ROUTES = [
+  ['GET', '/team/:teamId/project-hours', (id) => ({ url: `/team/${id}/project-hours?${RANGE}` })],
+  ['GET', '/team/:teamId/utilization-summary', (id) => ({ url: `/team/${id}/utilization-summary?${RANGE}` })],
+];
+
+let app;
+const tokens = {};
+
+before(async () => {
+  // middleware/scopeMiddleware.js loadTeamIds
+  db.on(/SELECT employee_id, team_id FROM employees WHERE employee_id = ANY/, ([ids]) => (
+    ids.filter((id) => TEAMS[id] !== undefined).map((id) => ({ employee_id: Number(id), team_id: TEAMS[id] }))
+  ));
+  // checkTeamScope
+  db.on(/SELECT team_id FROM employees WHERE employee_id = \$1/, ([id]) => (
+    TEAMS[id] !== undefined ? [{ team_id: TEAMS[id] }] : []
+  ));
+  Object.entries(ACTORS).forEach(([name, actor]) => { tokens[name] = signIn(actor); });
+  // Mounted in server.js order: the other routers before the daily one
+  app = await startApp([
+    ['/api', leaveRouter],
+    ['/api', entryTemplatesRouter],
+    ['/api', periodsRouter],
+    ['/api', projectAssignmentsRouter],
+    ['/api', dailyRoutes],
+  ]);
+});
+
+after(() => app?.close());
+
+const matrix = (routes, targets, expectations) => routes.forEach(([method, route, build]) => {
+  describe(`${method} ${route}`, () => {
+    Object.entries(ACTORS).forEach(([actorName, actor]) => {
+      Object.entries(targets).forEach(([targetName, pickTarget]) => {
+        const expected = expectations[actorName][targetName];
+
+        test(`${actorName} on ${targetName}: ${expected}`, async () => {
+          const { url, body } = build(pickTarget(actor));
+          const res = await app.request(method, `/api${url}`, { token: tokens[actorName], body });
+
+          if (expected === 'deny') {
+            assert.equal(res.status, 403, JSON.stringify(res.body));
+            assert.match(res.body.message, /only (access|change) .*(own|team)/);
+          } else {
+            assert.ok(![401, 403].includes(res.status), `got ${res.status}: ${JSON.stringify(res.body)}`);
+          }
+        });
+      });
+    });
+  });
+});
+
+matrix(ROUTES, TARGETS, EXPECTED);
+matrix(TEAM_ROUTES, TEAM_TARGETS, TEAM_EXPECTED);
@@ -0,0 +1,123 @@
+// Filling whole days (utils/dayEntries.js fillDay) through "copy from another day" and entry
+// templates: every day of the range is reported as filled or skipped, with the reason
+const { test, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { db, signIn, resetDb, startApp } = require('./support/harness');
+const { utilizationTable } = require('./support/utilizationTable');
+const dailyRoutes = require('../routes/daily');
+const entryTemplatesRouter = require('../routes/entryTemplates');
+
+const EMPLOYEE = { employeeId: 4, role: 'employee', teamId: 1 };
+const ACTIVITIES = [
+  { activity_code: 'DEV', label: 'Development', is_active: true },
+  { activity_code: 'MEET', label: 'Meetings', is_active: true },
+  { activity_code: 'L', label: 'Leave', is_active: true },
+];
+
+let app;
+let entries;
+let closedPeriods;
+let template;
+
+beforeEach(async () => {
+  resetDb();
+  closedPeriods = [{ period_id: 5, team_id: null, start_date: '2025-03-10', end_date: '2025-03-10' }];
+  template = {
+    template_id: 6, employee_id: 4, name: 'Build day',
+    activities: [{ activity: 'DEV', hours: 8, comments: null }], projects: [],
+  };
+
+  db.on(/SELECT activity_code, label, is_active FROM activities/, () => ACTIVITIES);
+  db.on(/FROM closed_periods cp/, ([, startDate, endDate]) => (
+    closedPeriods.filter((p) => p.start_date <= endDate && p.end_date >= startDate)
+  ));
+  db.on(/FROM entry_templates t/, ([employeeId, templateId]) => (
+    Number(employeeId) === template.employee_id && Number(templateId) === template.template_id ? [template] : []
+  ));
+  entries = utilizationTable(db);
+  // Mon 10: closed period, Tue 11: approved leave, Wed 12: already logged
+  entries.seed([
+    { employee_id: 4, entry_date: '2025-03-07', activity: 'DEV', utilization_hours: 6, utilization_comments: 'API' },
+    { employee_id: 4, entry_date: '2025-03-07', activity: 'MEET', utilization_hours: 2 },
+    { employee_id: 4, entry_date: '2025-03-11', activity: 'L', utilization_hours: 8, leave_request_id: 20 },
+    { employee_id: 4, entry_date: '2025-03-12', activity: 'MEET', utilization_hours: 2 },
+  ]);
+  app = app || await startApp([['/api', entryTemplatesRouter], ['/api', dailyRoutes]]);
+});
+
+after(() => app?.close());
+
+const copy = (body) => app.request('POST', '/api/daily-entries/copy', {
+  token: signIn(EMPLOYEE), body: { employeeId: 4, sourceDate: '2025-03-07', ...body },
+});
+const applyTemplate = (body) => app.request('POST', '/api/employee/4/entry-templates/6/apply', {
+  token: signIn(EMPLOYEE), body,
+});
+
+const rowsOf = (day) => entries.rows
+  .filter((r) => r.entry_date === day)
+  .map((r) => [r.activity, r.utilization_hours])
+  .sort((a, b) => a[0].localeCompare(b[0]));
+const revisedDays = () => db.find(/INSERT INTO entry_revisions/).map((q) => [q.params[1][0], q.params[2]]);
+
+test('copy fills free days and reports locked, leave, logged and weekend days as skipped', async () => {
+  const res = await copy({ startDate: '2025-03-10', endDate: '2025-03-16' });
+
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.body.filled, ['2025-03-13', '2025-03-14']);
+  assert.deepEqual(res.body.skipped.map((s) => s.date), [
+    '2025-03-10', '2025-03-11', '2025-03-12', '2025-03-15', '2025-03-16',
+  ]);
+  const [locked, leave, logged, saturday] = res.body.skipped;
+  assert.match(locked.reason, /^2025-03-10 is in a closed period/);
+  assert.equal(leave.reason, 'The day has approved leave.');
+  assert.equal(logged.reason, 'The day already has entries.');
+  assert.equal(saturday.reason, 'Weekend');
+
+  assert.deepEqual(rowsOf('2025-03-13'), [['DEV', 6], ['MEET', 2]]);
+  assert.deepEqual(rowsOf('2025-03-14'), [['DEV', 6], ['MEET', 2]]);
+  assert.deepEqual(rowsOf('2025-03-12'), [['MEET', 2]]);
+  assert.deepEqual(rowsOf('2025-03-11'), [['L', 8]]);
+  assert.deepEqual(revisedDays(), [['2025-03-13', 'copy'], ['2025-03-14', 'copy']]);
+});
+
+test('copy leaves comments behind unless asked to bring them', async () => {
+  await copy({ startDate: '2025-03-13' });
+  await copy({ startDate: '2025-03-14', includeComments: true });
+
+  const comment = (day) => entries.rows.find((r) => r.entry_date === day && r.activity === 'DEV').utilization_comments;
+  assert.equal(comment('2025-03-13'), null);
+  assert.equal(comment('2025-03-14'), 'API');
+});
+
+test('a template with overwrite replaces logged days but still skips locked and leave days', async () => {
+  const res = await applyTemplate({ startDate: '2025-03-10', endDate: '2025-03-12', overwrite: true });
+
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.body.filled, ['2025-03-12']);
+  assert.deepEqual(res.body.skipped.map((s) => s.date), ['2025-03-10', '2025-03-11']);
+  assert.match(res.body.skipped[0].reason, /^2025-03-10 is in a closed period/);
+  assert.equal(res.body.skipped[1].reason, 'The day has approved leave.');
+  assert.deepEqual(rowsOf('2025-03-12'), [['DEV', 8]]);
+  assert.deepEqual(rowsOf('2025-03-11'), [['L', 8]]);
+  assert.deepEqual(revisedDays(), [['2025-03-12', 'template']]);
+});
+
+test('a day the fill would take over the daily limit is rolled back and reported', async () => {
+  // Thursday already has 10 h on projects: 8 more would make 18 h, over the 16 h limit
+  entries.projectHours['4/2025-03-13'] = 10;
+  entries.seed([...entries.rows, { employee_id: 4, entry_date: '2025-03-13', activity: 'MEET', utilization_hours: 1 }]);
+
+  const res = await applyTemplate({ startDate: '2025-03-12', endDate: '2025-03-13', overwrite: true });
+
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.body.filled, ['2025-03-12']);
+  assert.equal(res.body.skipped.length, 1);
+  assert.equal(res.body.skipped[0].date, '2025-03-13');
+  assert.match(res.body.skipped[0].reason, /2025-03-13 would have 18 h logged .*the limit is 16 h per day/);
+
+  assert.deepEqual(rowsOf('2025-03-13'), [['MEET', 1]]);
+  assert.ok(db.find(/ROLLBACK TO SAVEPOINT fill_day/).length);
+  assert.deepEqual(revisedDays(), [['2025-03-12', 'template']]);
+  assert.equal(db.find(/INSERT INTO audit_log/).filter((q) => q.params[3] === '4/2025-03-13').length, 0);
+});
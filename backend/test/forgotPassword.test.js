@@ -0,0 +1,29 @@
+// POST /api/auth/forgot-password (routes/auth.js)
+const { test, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { db, resetDb, startApp } = require('./support/harness');
+const authRoutes = require('../routes/auth');
+
+// No SMTP_HOST: utils/mailer.js fails every send
+delete process.env.SMTP_HOST;
+
+let app;
+
+beforeEach(async () => {
+  resetDb();
+  db.on(/FROM employees WHERE lower\(email\) = lower\(\$1\)/, ([email]) => (
+    email === 'jane@example.com' ? [{ employee_id: 7, email, first_name: 'Jane' }] : []
+  ));
+  app = app || await startApp([['/api', authRoutes]]);
+});
+
+after(() => app?.close());
+
+test('answers a registered email the same way as an unknown one when the mail fails', async () => {
+  const known = await app.request('POST', '/api/auth/forgot-password', { body: { email: 'jane@example.com' } });
+  const unknown = await app.request('POST', '/api/auth/forgot-password', { body: { email: 'nobody@example.com' } });
+
+  assert.equal(known.status, 200);
+  assert.deepEqual(known.body, unknown.body);
+  assert.equal(db.find(/INSERT INTO password_reset_tokens/).length, 1);
+});
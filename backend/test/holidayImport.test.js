@@ -0,0 +1,52 @@
+// Date cells of the holiday import (utils/holidays.js, utils/spreadsheet.js toISODate)
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const XLSX = require('xlsx');
+const { toISODate } = require('../utils/spreadsheet');
+const { parseHolidaySheet, parseHolidayIcs } = require('../utils/holidays');
+
+const sheet = (rows) => {
+  const wb = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet(rows), 'Holidays');
+  return XLSX.write(wb, { type: 'buffer', bookType: 'xlsx' });
+};
+
+test('toISODate only returns real calendar dates', () => {
+  assert.equal(toISODate('2024-02-29'), '2024-02-29');
+  assert.equal(toISODate('31/12/2025'), '2025-12-31');
+  assert.equal(toISODate('2025-02-31'), null);
+  assert.equal(toISODate('2025-02-29'), null);
+  assert.equal(toISODate('2025-13-01'), null);
+  assert.equal(toISODate('13/13/2025'), null);
+  assert.equal(toISODate('02/30/2025'), null);
+});
+
+test('reports impossible dates of a sheet as row errors', () => {
+  const { holidays, errors } = parseHolidaySheet(sheet([
+    ['Date', 'Name'],
+    ['2025-12-25', 'Christmas'],
+    ['2025-02-31', 'Nonsense'],
+    ['2025-13-01', 'Month 13'],
+  ]));
+
+  assert.deepEqual(holidays.map((h) => h.date), ['2025-12-25']);
+  assert.deepEqual(errors, [
+    { ref: 'row 3', error: 'Unreadable date "2025-02-31"' },
+    { ref: 'row 4', error: 'Unreadable date "2025-13-01"' },
+  ]);
+});
+
+test('reports an impossible DTSTART as an event error', () => {
+  const ics = [
+    'BEGIN:VCALENDAR',
+    'BEGIN:VEVENT', 'DTSTART;VALUE=DATE:20251225', 'SUMMARY:Christmas', 'END:VEVENT',
+    'BEGIN:VEVENT', 'DTSTART;VALUE=DATE:20250231', 'SUMMARY:Nonsense', 'END:VEVENT',
+    'END:VCALENDAR',
+  ].join('\r\n');
+
+  const { holidays, errors } = parseHolidayIcs(Buffer.from(ics));
+
+  assert.deepEqual(holidays.map((h) => h.date), ['2025-12-25']);
+  assert.equal(errors.length, 1);
+  assert.equal(errors[0].ref, 'event 2 (Nonsense)');
+});
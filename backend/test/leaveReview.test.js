@@ -0,0 +1,136 @@
+// Leave approval and cancelling (routes/leave.js): approval writes one 'L' row per working day,
+// cancelling an approved request takes exactly those rows out again
+const { test, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { db, signIn, resetDb, startApp } = require('./support/harness');
+const { utilizationTable } = require('./support/utilizationTable');
+const leaveRouter = require('../routes/leave');
+
+// employee_id -> team_id
+const TEAMS = { 2: 1, 4: 1 };
+const TEAM_LEAD = { employeeId: 2, role: 'team_lead', teamId: 1, permissions: ['entries.view_team', 'leave.approve'] };
+const EMPLOYEE = { employeeId: 4, role: 'employee', teamId: 1 };
+
+let app;
+let request;
+let entries;
+let holidays;
+let closedPeriods;
+
+beforeEach(async () => {
+  resetDb();
+  // Mon 3 to Fri 7 March 2025, half days at both ends
+  request = {
+    leave_request_id: 12, employee_id: 4, team_id: 1, leave_type: 'CL', leave_type_label: 'Casual leave',
+    start_date: '2025-03-03', end_date: '2025-03-07', start_half_day: true, end_half_day: true,
+    days: 3, status: 'pending',
+  };
+  holidays = [{ holiday_id: 1, holiday_date: '2025-03-05', name: 'Founders Day', team_id: null }];
+  closedPeriods = [];
+
+  db.on(/SELECT employee_id, team_id FROM employees WHERE employee_id = ANY/, ([ids]) => (
+    ids.filter((id) => TEAMS[id] !== undefined).map((id) => ({ employee_id: Number(id), team_id: TEAMS[id] }))
+  ));
+  db.on(/WHERE lr\.leave_request_id = \$1/, ([id]) => (Number(id) === request.leave_request_id ? [{ ...request }] : []));
+  db.on(/UPDATE leave_requests\s+SET status = \$1/, ([status, reviewedBy]) => {
+    request = { ...request, status, reviewed_by: reviewedBy };
+    return { rows: [], rowCount: 1 };
+  });
+  db.on(/UPDATE leave_requests SET status = 'cancelled'/, () => {
+    request = { ...request, status: 'cancelled' };
+    return { rows: [], rowCount: 1 };
+  });
+  db.on(/FROM holidays h/, ([, startDate, endDate]) => (
+    holidays.filter((h) => h.holiday_date >= startDate && h.holiday_date <= endDate)
+  ));
+  db.on(/FROM closed_periods cp/, ([, startDate, endDate]) => (
+    closedPeriods.filter((p) => p.start_date <= endDate && p.end_date >= startDate)
+  ));
+  entries = utilizationTable(db, { caps: { L: 8 } });
+  app = app || await startApp([['/api', leaveRouter]]);
+});
+
+after(() => app?.close());
+
+const approve = (user) => app.request('POST', `/api/leave-requests/${request.leave_request_id}/approve`, {
+  token: signIn(user), body: {},
+});
+const cancel = (user) => app.request('POST', `/api/leave-requests/${request.leave_request_id}/cancel`, {
+  token: signIn(user), body: {},
+});
+
+const dayRows = () => entries.rows
+  .map((r) => [r.entry_date, r.activity, r.utilization_hours, r.leave_request_id])
+  .sort((a, b) => a[0].localeCompare(b[0]) || a[1].localeCompare(b[1]));
+
+test('approval writes half days at the ends and skips the holiday', async () => {
+  const res = await approve(TEAM_LEAD);
+
+  assert.equal(res.status, 200);
+  assert.equal(request.status, 'approved');
+  assert.deepEqual(dayRows(), [
+    ['2025-03-03', 'L', 4, 12],
+    ['2025-03-04', 'L', 8, 12],
+    ['2025-03-06', 'L', 8, 12],
+    ['2025-03-07', 'L', 4, 12],
+  ]);
+  assert.equal(entries.rows[0].utilization_comments, 'Casual leave');
+  assert.deepEqual(db.find(/INSERT INTO entry_revisions/).map((q) => q.params[1]), [
+    ['2025-03-03'], ['2025-03-04'], ['2025-03-06'], ['2025-03-07'],
+  ]);
+});
+
+test('approval is refused on a locked day and leaves no rows behind', async () => {
+  closedPeriods = [{ period_id: 3, team_id: null, start_date: '2025-03-06', end_date: '2025-03-31' }];
+
+  const res = await approve(TEAM_LEAD);
+
+  assert.equal(res.status, 409);
+  assert.equal(res.body.code, 'ENTRIES_LOCKED');
+  assert.deepEqual(res.body.lock, {
+    type: 'period', periodId: 3, teamId: null, startDate: '2025-03-06', endDate: '2025-03-31',
+  });
+  // The two days before the locked one were written, then rolled back
+  assert.equal(db.find(/INSERT INTO daily_entry_utilization\s*\(/).length, 2);
+  assert.deepEqual(dayRows(), []);
+  assert.equal(request.status, 'pending');
+  assert.equal(db.find(/UPDATE leave_requests/).length, 0);
+});
+
+test('cancelling an approved request removes only its own rows', async () => {
+  request.status = 'approved';
+  entries.seed([
+    { employee_id: 4, entry_date: '2025-03-03', activity: 'L', utilization_hours: 4, leave_request_id: 12 },
+    { employee_id: 4, entry_date: '2025-03-03', activity: 'MEET', utilization_hours: 4 },
+    { employee_id: 4, entry_date: '2025-03-04', activity: 'L', utilization_hours: 8, leave_request_id: 12 },
+    { employee_id: 4, entry_date: '2025-03-10', activity: 'L', utilization_hours: 8, leave_request_id: 13 },
+  ]);
+
+  const res = await cancel(EMPLOYEE);
+
+  assert.equal(res.status, 200);
+  assert.equal(request.status, 'cancelled');
+  assert.deepEqual(dayRows(), [
+    ['2025-03-03', 'MEET', 4, null],
+    ['2025-03-10', 'L', 8, 13],
+  ]);
+  assert.deepEqual(
+    db.find(/INSERT INTO audit_log/).filter((q) => q.params[4] === 'delete').map((q) => q.params[3]),
+    ['4/2025-03-03', '4/2025-03-04']
+  );
+});
+
+test('reviewers cannot approve or reject their own request', async () => {
+  request.employee_id = 2;
+
+  for (const decision of ['approve', 'reject']) {
+    const res = await app.request('POST', `/api/leave-requests/12/${decision}`, {
+      token: signIn(TEAM_LEAD), body: { comment: 'Fine' },
+    });
+    assert.equal(res.status, 403);
+    assert.equal(res.body.message, 'You cannot review your own leave request.');
+  }
+  assert.deepEqual(dayRows(), []);
+  assert.equal(request.status, 'pending');
+  assert.equal(db.find(/UPDATE leave_requests/).length, 0);
+});
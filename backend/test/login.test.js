@@ -0,0 +1,85 @@
+// POST /api/login (routes/auth.js) behind its throttles (middleware/rateLimiters.js)
+const { test, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const bcrypt = require('bcryptjs');
+
+process.env.LOGIN_RATE_LIMIT_IP_MAX = '3';
+process.env.LOGIN_RATE_LIMIT_ACCOUNT_MAX = '3';
+process.env.LOGIN_MAX_FAILED_ATTEMPTS = '5';
+
+const { db, resetDb, startApp } = require('./support/harness');
+const { loginIpLimiter, loginAccountLimiter } = require('../middleware/rateLimiters');
+const authRoutes = require('../routes/auth');
+
+const PASSWORD = 'Right#Pass1';
+
+let app;
+let employee;
+let passwordHash;
+
+beforeEach(async () => {
+  resetDb();
+  loginIpLimiter.resetKey('127.0.0.1');
+  loginAccountLimiter.resetKey('account:jane@example.com');
+  passwordHash = passwordHash || await bcrypt.hash(PASSWORD, 4);
+  employee = {
+    employee_id: 7, email: 'jane@example.com', role: 'employee', team_id: 1,
+    password_hash: passwordHash, failed_login_attempts: 0, locked_until: null,
+  };
+  db.on(/SELECT \* FROM employees WHERE email = \$1/, () => [employee]);
+  db.on(/INSERT INTO sessions/, () => [{ session_id: 1 }]);
+  app = app || await startApp([
+    ['/api/login', loginIpLimiter, loginAccountLimiter],
+    ['/api', authRoutes],
+  ]);
+});
+
+after(() => app?.close());
+
+const login = (password) => app.request('POST', '/api/login', { body: { email: employee.email, password } });
+
+test('counts failed attempts in SQL and locks from the returned count', async () => {
+  // Another request already counted four wrong guesses since this row was read
+  db.on(/UPDATE employees\s+SET failed_login_attempts = CASE/, () => [{ failed_login_attempts: 5, locked_until: new Date() }]);
+
+  const res = await login('Wrong#Pass1');
+
+  assert.equal(res.status, 429);
+  const [update] = db.find(/UPDATE employees\s+SET failed_login_attempts = CASE/);
+  assert.match(update.sql, /COALESCE\(failed_login_attempts, 0\) \+ 1/);
+  assert.deepEqual(update.params, [7, 5, 15]);
+});
+
+test('successful logins do not use up the per-IP limit', async () => {
+  for (let i = 0; i < 5; i++) {
+    assert.equal((await login(PASSWORD)).status, 200);
+  }
+
+  db.on(/UPDATE employees\s+SET failed_login_attempts = CASE/, () => [{ failed_login_attempts: 1, locked_until: null }]);
+  const statuses = [];
+  for (let i = 0; i < 4; i++) statuses.push((await login('Wrong#Pass1')).status);
+  assert.deepEqual(statuses, [400, 400, 400, 429]);
+});
+
+test('successful logins do not use up the per-account limit', async () => {
+  for (let i = 0; i < 5; i++) {
+    assert.equal((await login(PASSWORD)).status, 200);
+  }
+
+  db.on(/UPDATE employees\s+SET failed_login_attempts = CASE/, () => [{ failed_login_attempts: 1, locked_until: null }]);
+  const statuses = [];
+  for (let i = 0; i < 3; i++) statuses.push((await login('Wrong#Pass1')).status);
+  // A fresh IP: only the account's three failures count now
+  loginIpLimiter.resetKey('127.0.0.1');
+  statuses.push((await login('Wrong#Pass1')).status);
+  assert.deepEqual(statuses, [400, 400, 400, 429]);
+});
+
+test('accepts the single-label address of the seeded admin', async () => {
+  employee.email = 'Admin@admin';
+
+  const res = await login(PASSWORD);
+
+  assert.equal(res.status, 200);
+  assert.equal(db.find(/SELECT \* FROM employees WHERE email = \$1/)[0].params[0], 'Admin@admin');
+});
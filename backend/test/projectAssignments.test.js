@@ -0,0 +1,63 @@
+// PUT / DELETE /api/projects/:projectId/assignments/:assignmentId (routes/projectAssignments.js):
+// a project editor may only change assignments of employees they can view
+const { test, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { db, signIn, resetDb, startApp } = require('./support/harness');
+const projectAssignmentsRouter = require('../routes/projectAssignments');
+
+// employee_id -> team_id
+const TEAMS = { 2: 1, 4: 1, 5: 2 };
+const TEAM_LEAD = {
+  employeeId: 2, role: 'team_lead', teamId: 1, permissions: ['entries.view_team', 'entries.edit_others', 'projects.edit'],
+};
+// assignment_id -> employee_id, all on project P-1
+const ASSIGNMENTS = { 11: 4, 12: 5 };
+
+let app;
+
+beforeEach(async () => {
+  resetDb();
+  db.on(/SELECT employee_id, team_id FROM employees WHERE employee_id = ANY/, ([ids]) => (
+    ids.filter((id) => TEAMS[id] !== undefined).map((id) => ({ employee_id: Number(id), team_id: TEAMS[id] }))
+  ));
+  db.on(/SELECT employee_id FROM project_assignments WHERE assignment_id = \$1 AND project_id = \$2 FOR UPDATE/, ([id, projectId]) => (
+    ASSIGNMENTS[id] && projectId === 'P-1' ? [{ employee_id: ASSIGNMENTS[id] }] : []
+  ));
+  db.on(/FROM project_assignments pa/, (params) => (
+    ASSIGNMENTS[params[2]] ? [{ assignment_id: Number(params[2]), project_id: 'P-1', employee_id: ASSIGNMENTS[params[2]] }] : []
+  ));
+  app = app || await startApp([['/api', projectAssignmentsRouter]]);
+});
+
+after(() => app?.close());
+
+const update = (assignmentId) => app.request('PUT', `/api/projects/P-1/assignments/${assignmentId}`, {
+  token: signIn(TEAM_LEAD), body: { plannedHoursPerWeek: 10 },
+});
+const remove = (assignmentId) => app.request('DELETE', `/api/projects/P-1/assignments/${assignmentId}`, {
+  token: signIn(TEAM_LEAD),
+});
+
+test('changes an assignment of a teammate', async () => {
+  assert.equal((await update(11)).status, 200);
+  assert.equal((await remove(11)).status, 200);
+  assert.equal(db.find(/UPDATE project_assignments/).length, 1);
+  assert.equal(db.find(/DELETE FROM project_assignments/).length, 1);
+});
+
+test('refuses to change an assignment of an employee outside the caller\'s scope', async () => {
+  const updated = await update(12);
+  const removed = await remove(12);
+
+  assert.equal(updated.status, 403);
+  assert.equal(removed.status, 403);
+  assert.equal(db.find(/UPDATE project_assignments/).length, 0);
+  assert.equal(db.find(/DELETE FROM project_assignments/).length, 0);
+});
+
+test('does not reach an assignment through another project', async () => {
+  const res = await app.request('DELETE', '/api/projects/P-2/assignments/11', { token: signIn(TEAM_LEAD) });
+
+  assert.equal(res.status, 404);
+  assert.equal(db.find(/DELETE FROM project_assignments/).length, 0);
+});
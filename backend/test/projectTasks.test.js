@@ -0,0 +1,56 @@
+// GET /api/projects/:projectId/tasks and /detail (routes/projectTasks.js): the hour rollups only
+// count the employees the caller may view
+const { test, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { db, signIn, resetDb, startApp } = require('./support/harness');
+const projectTasksRouter = require('../routes/projectTasks');
+
+const EMPLOYEE = { employeeId: 4, role: 'employee', teamId: 1 };
+const TEAM_LEAD = { employeeId: 2, role: 'team_lead', teamId: 1, permissions: ['entries.view_team', 'reports.view'] };
+const ADMIN = { employeeId: 1, role: 'admin' };
+
+let app;
+
+beforeEach(async () => {
+  resetDb();
+  db.on(/FROM project_tasks t/, () => [{ task_id: 1, project_id: 'P-1', title: 'Build', logged_hours: 0 }]);
+  db.on(/FROM projects\s+WHERE project_id = \$1 AND archived_at IS NULL/, () => [{ project_id: 'P-1', project_name: 'Apollo' }]);
+  db.on(/FROM daily_entry_project_utilization d/, () => [{ logged_hours: 0, task_hours: 0, contributors: 0 }]);
+  app = app || await startApp([['/api', projectTasksRouter]]);
+});
+
+after(() => app?.close());
+
+const get = (user, path) => app.request('GET', `/api/projects/P-1/${path}`, { token: signIn(user) });
+
+test('an employee only counts their own hours', async () => {
+  assert.equal((await get(EMPLOYEE, 'tasks')).status, 200);
+  assert.equal((await get(EMPLOYEE, 'detail')).status, 200);
+
+  const [tasks, detailTasks] = db.find(/FROM project_tasks t/);
+  const [totals] = db.find(/FROM daily_entry_project_utilization d/);
+  assert.match(tasks.sql, /WHERE employee_id = \$3\s+GROUP BY task_id/);
+  assert.deepEqual(tasks.params, ['P-1', null, 4]);
+  assert.deepEqual(detailTasks.params, ['P-1', null, 4]);
+  assert.match(totals.sql, /AND d\.employee_id = \$2/);
+  assert.deepEqual(totals.params, ['P-1', 4]);
+});
+
+test('a team lead counts their team', async () => {
+  await get(TEAM_LEAD, 'detail');
+
+  const [tasks] = db.find(/FROM project_tasks t/);
+  const [totals] = db.find(/FROM daily_entry_project_utilization d/);
+  assert.match(tasks.sql, /employee_id IN \(/);
+  assert.match(totals.sql, /d\.employee_id IN \(/);
+  assert.deepEqual(totals.params, ['P-1', 2]);
+});
+
+test('entries.view_all counts everyone', async () => {
+  await get(ADMIN, 'detail');
+
+  const [tasks] = db.find(/FROM project_tasks t/);
+  const [totals] = db.find(/FROM daily_entry_project_utilization d/);
+  assert.deepEqual(tasks.params, ['P-1', null]);
+  assert.deepEqual(totals.params, ['P-1']);
+});
@@ -0,0 +1,118 @@
+// POST /api/daily-entries/:employeeId/:date/revisions/:revisionId/restore (routes/daily.js):
+// puts a day back the way a revision recorded it (utils/entryRevisions.js) and records that as
+// a revision of its own
+const { test, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { db, signIn, resetDb, startApp } = require('./support/harness');
+const { utilizationTable } = require('./support/utilizationTable');
+const dailyRoutes = require('../routes/daily');
+
+const DAY = '2025-03-04';
+const EMPLOYEE = { employeeId: 4, role: 'employee', teamId: 1, email: 'jane@example.com' };
+const ACTIVITIES = [
+  { activity_code: 'DEV', label: 'Development', is_active: true },
+  { activity_code: 'MEET', label: 'Meetings', is_active: true },
+  { activity_code: 'L', label: 'Leave', is_active: true },
+];
+
+let app;
+let entries;
+let revisions;
+let history;
+let timesheets;
+let closedPeriods;
+
+beforeEach(async () => {
+  resetDb();
+  // Revision 3 had 6 h development and 2 h meetings; since then the day was changed to 4 h development
+  revisions = [{ revision_id: 3, source: 'manual', activities: [], projects: [] }];
+  history = {
+    3: [
+      { activity: 'DEV', utilization_hours: '6.00', utilization_comments: 'API', leave_request_id: null },
+      { activity: 'MEET', utilization_hours: '2.00', utilization_comments: null, leave_request_id: null },
+    ],
+  };
+  timesheets = [];
+  closedPeriods = [];
+
+  db.on(/SELECT activity_code, label, is_active FROM activities/, () => ACTIVITIES);
+  db.on(/FROM timesheets t\s+WHERE t\.employee_id = \$1 AND t\.week_start = \$2::date/, ([, weekStart]) => (
+    timesheets.filter((t) => t.week_start === weekStart)
+  ));
+  db.on(/FROM closed_periods cp/, ([, startDate, endDate]) => (
+    closedPeriods.filter((p) => p.start_date <= endDate && p.end_date >= startDate)
+  ));
+  db.on(/FROM entry_revisions r\s+LEFT JOIN employees e/, ([, , revisionId]) => (
+    revisions.filter((r) => revisionId == null || r.revision_id === Number(revisionId))
+  ));
+  db.on(/SELECT \* FROM daily_entry_utilization_history WHERE revision_id = \$1/, ([revisionId]) => history[revisionId] || []);
+  db.on(/INSERT INTO entry_revisions/, () => [{ revision_id: 8 }]);
+  // The new revision's rows are the day as it stands when it is recorded
+  db.on(/INSERT INTO daily_entry_utilization_history/, ([[revisionId]]) => {
+    history[revisionId] = entries.rows.filter((r) => r.entry_date === DAY).map((r) => ({ ...r }));
+  });
+  entries = utilizationTable(db);
+  entries.seed([
+    { employee_id: 4, entry_date: DAY, activity: 'DEV', utilization_hours: 4 },
+    { employee_id: 4, entry_date: DAY, activity: 'L', utilization_hours: 4, leave_request_id: 20 },
+  ]);
+  app = app || await startApp([['/api', dailyRoutes]]);
+});
+
+after(() => app?.close());
+
+const restore = (revisionId = 3) => app.request('POST', `/api/daily-entries/4/${DAY}/revisions/${revisionId}/restore`, {
+  token: signIn(EMPLOYEE),
+});
+
+const dayRows = (rows) => rows
+  .map((r) => [r.activity, Number(r.utilization_hours), r.leave_request_id])
+  .sort((a, b) => a[0].localeCompare(b[0]));
+
+test('restoring puts the revision back, keeps the leave row and records a new revision', async () => {
+  const res = await restore();
+
+  assert.equal(res.status, 200);
+  assert.equal(res.body.message, 'Restored revision #3.');
+  assert.deepEqual(dayRows(entries.rows), [['DEV', 6, null], ['L', 4, 20], ['MEET', 2, null]]);
+
+  const [revision] = db.find(/INSERT INTO entry_revisions/);
+  assert.deepEqual(revision.params, [[4], [DAY], 'restore', 3, 4, 'jane@example.com']);
+  assert.deepEqual(dayRows(history[8]), [['DEV', 6, null], ['L', 4, 20], ['MEET', 2, null]]);
+  // The revision restored from is left as it was
+  assert.deepEqual(dayRows(history[3]), [['DEV', 6, null], ['MEET', 2, null]]);
+
+  const [audit] = db.find(/INSERT INTO audit_log/);
+  assert.equal(audit.params[3], `4/${DAY}`);
+  assert.deepEqual(JSON.parse(audit.params[7]), { restoredRevision: 3 });
+});
+
+test('a restore is refused on a locked day and changes nothing', async () => {
+  const locks = [
+    ['timesheet', () => { timesheets = [{ timesheet_id: 9, employee_id: 4, week_start: '2025-03-03', status: 'approved' }]; }],
+    ['period', () => { closedPeriods = [{ period_id: 5, team_id: null, start_date: '2025-03-01', end_date: '2025-03-31' }]; }],
+  ];
+
+  for (const [type, lock] of locks) {
+    timesheets = [];
+    closedPeriods = [];
+    lock();
+
+    const res = await restore();
+
+    assert.equal(res.status, 409, type);
+    assert.equal(res.body.code, 'ENTRIES_LOCKED');
+    assert.equal(res.body.lock.type, type);
+  }
+  assert.deepEqual(dayRows(entries.rows), [['DEV', 4, null], ['L', 4, 20]]);
+  assert.equal(db.find(/DELETE FROM daily_entry_utilization/).length, 0);
+  assert.equal(db.find(/INSERT INTO entry_revisions/).length, 0);
+  assert.equal(db.find(/INSERT INTO audit_log/).length, 0);
+});
+
+test('an unknown revision of the day is a 404', async () => {
+  const res = await restore(99);
+
+  assert.equal(res.status, 404);
+  assert.equal(db.find(/INSERT INTO entry_revisions/).length, 0);
+});
@@ -0,0 +1,192 @@
+// Who may hand out which role (PUT /api/employees/:employeeId/role, POST /api/register) and change
+// whose account (the other employee updates, delete and import)
+const { test, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const XLSX = require('xlsx');
+const { db, signIn, resetDb, startApp } = require('./support/harness');
+const authRoutes = require('../routes/auth');
+const employeesRouter = require('../routes/employees');
+
+const ROLE_PERMISSIONS = {
+  employee: [],
+  team_lead: ['entries.view_team', 'entries.edit_others', 'reports.view', 'employees.view'],
+};
+
+// Can manage employees, but not roles
+const MANAGER = { employeeId: 2, role: 'hr', permissions: ['employees.manage', 'employees.view', 'reports.view'] };
+const ROLE_ADMIN = { employeeId: 3, role: 'hr_admin', permissions: ['employees.manage', 'roles.manage'] };
+
+// Accounts the requests act on, by employee_id
+const ACCOUNTS = {
+  7: { employee_id: 7, first_name: 'Jane', last_name: 'Doe', email: 'jane@example.com', role: 'employee', team_id: 1 },
+  8: { employee_id: 8, first_name: 'Ada', last_name: 'Admin', email: 'ada@example.com', role: 'admin', team_id: 1 },
+};
+const byEmail = (email) => Object.values(ACCOUNTS).find((a) => a.email === String(email).toLowerCase());
+
+let app;
+
+beforeEach(async () => {
+  resetDb();
+  db.on(/SELECT 1 FROM roles WHERE role_key = \$1/, ([role]) => (
+    role === 'admin' || ROLE_PERMISSIONS[role] ? [{ '?column?': 1 }] : []
+  ));
+  db.on(/SELECT permission_key FROM role_permissions WHERE role_key = \$1/, ([role]) => (
+    (ROLE_PERMISSIONS[role] || []).map((permission_key) => ({ permission_key }))
+  ));
+  db.on(/SELECT role_key, role_name FROM roles/, () => (
+    ['admin', ...Object.keys(ROLE_PERMISSIONS)].map((role_key) => ({ role_key, role_name: role_key }))
+  ));
+  db.on(/FROM employees WHERE employee_id = \$1 AND archived_at IS NULL FOR UPDATE/, ([id]) => (
+    ACCOUNTS[id] ? [ACCOUNTS[id]] : []
+  ));
+  db.on(/FROM employees WHERE lower\(email\) = lower\(\$1\) AND archived_at IS NULL FOR UPDATE/, ([email]) => (
+    byEmail(email) ? [byEmail(email)] : []
+  ));
+  db.on(/SELECT employee_id, archived_at FROM employees WHERE lower\(email\) = lower\(\$1\)/, ([email]) => (
+    byEmail(email) ? [{ employee_id: byEmail(email).employee_id, archived_at: null }] : []
+  ));
+  db.on(/UPDATE employees\s+SET role=\$1/, ([role, id]) => [{ ...ACCOUNTS[id], role }]);
+  db.on(/UPDATE employees\s+SET first_name=\$1/, (params) => [{ ...ACCOUNTS[params[4]], role: params[3] }]);
+  db.on(/UPDATE employees\s+SET first_name\s+= COALESCE/, (params) => [byEmail(params[5])]);
+  db.on(/UPDATE employees\s+SET archived_at/, ([id]) => [{ ...ACCOUNTS[id], archived_at: new Date() }]);
+  // Active admins: only Ada
+  db.on(/SELECT employee_id FROM employees WHERE role = \$1 AND archived_at IS NULL FOR UPDATE/, () => [{ employee_id: 8 }]);
+  db.on(/INSERT INTO employees/, (params) => [{ employee_id: 9, email: params[2], role: params[5] }]);
+  app = app || await startApp([['/api', authRoutes], ['/api/employees', employeesRouter]]);
+});
+
+after(() => app?.close());
+
+const setRoleOf = (user, employeeId, role) => (
+  app.request('PUT', `/api/employees/${employeeId}/role`, { token: signIn(user), body: { role } })
+);
+const setRole = (user, role) => setRoleOf(user, 7, role);
+const register = (user, role) => app.request('POST', '/api/register', {
+  token: signIn(user),
+  body: { firstName: 'New', lastName: 'Hire', email: 'new.hire@example.com', password: 'Temp#Pass1', role },
+});
+
+test('employees.manage alone cannot make someone admin', async () => {
+  const res = await setRole(MANAGER, 'admin');
+
+  assert.equal(res.status, 403);
+  assert.equal(db.find(/UPDATE employees/).length, 0);
+});
+
+test('employees.manage alone cannot assign a role with permissions the caller lacks', async () => {
+  const res = await setRole(MANAGER, 'team_lead');
+
+  assert.equal(res.status, 403);
+  assert.equal(db.find(/UPDATE employees/).length, 0);
+});
+
+test('employees.manage can assign a role within the caller\'s own permissions', async () => {
+  const res = await setRole(MANAGER, 'employee');
+
+  assert.equal(res.status, 200);
+  assert.equal(res.body.employee.role, 'employee');
+});
+
+test('roles.manage can assign any role', async () => {
+  assert.equal((await setRole(ROLE_ADMIN, 'admin')).status, 200);
+  assert.equal((await setRole(ROLE_ADMIN, 'team_lead')).status, 200);
+  assert.equal((await setRole({ employeeId: 1, role: 'admin' }, 'admin')).status, 200);
+});
+
+test('register applies the same rule', async () => {
+  assert.equal((await register(MANAGER, 'admin')).status, 403);
+  assert.equal((await register(MANAGER, 'team_lead')).status, 403);
+  assert.equal(db.find(/INSERT INTO employees/).length, 0);
+
+  assert.equal((await register(MANAGER, undefined)).status, 201);
+  assert.equal((await register(ROLE_ADMIN, 'admin')).status, 201);
+});
+
+const importSheet = (user, rows) => {
+  const wb = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(wb, XLSX.utils.json_to_sheet(rows), 'Employees');
+  const form = new FormData();
+  form.append('file', new Blob([XLSX.write(wb, { type: 'buffer', bookType: 'xlsx' })]), 'employees.xlsx');
+  return app.request('POST', '/api/employees/import', { token: signIn(user), form });
+};
+
+test('employees.manage alone cannot change, demote or delete an account with more permissions', async () => {
+  const edit = await app.request('PUT', '/api/employees/id/8', {
+    token: signIn(MANAGER), body: { firstName: 'Ada', lastName: 'Admin', teamId: 1, role: 'employee' },
+  });
+  const byMail = await app.request('PUT', '/api/employees/ada@example.com', {
+    token: signIn(MANAGER), body: { firstName: 'Eve' },
+  });
+  const demote = await setRoleOf(MANAGER, 8, 'employee');
+  const remove = await app.request('DELETE', '/api/employees/8', { token: signIn(MANAGER) });
+
+  assert.deepEqual([edit.status, byMail.status, demote.status, remove.status], [403, 403, 403, 403]);
+  assert.equal(db.find(/UPDATE employees/).length, 0);
+});
+
+test('employees.manage can still change and delete accounts within its own permissions', async () => {
+  const edit = await app.request('PUT', '/api/employees/id/7', {
+    token: signIn(MANAGER), body: { firstName: 'Jane', lastName: 'Roe', teamId: 1, role: 'employee' },
+  });
+  const remove = await app.request('DELETE', '/api/employees/7', { token: signIn(MANAGER) });
+
+  assert.equal(edit.status, 200);
+  assert.equal(remove.status, 200);
+});
+
+test('an import cannot overwrite the password of an account with more permissions', async () => {
+  const adminSession = signIn({ employeeId: 8, role: 'admin' });
+
+  const res = await importSheet(MANAGER, [
+    { 'First Name': 'Ada', 'Last Name': 'Admin', Email: 'ada@example.com', Password: 'Taken#Over1' },
+  ]);
+
+  assert.equal(res.status, 200);
+  assert.equal(res.body.summary.updated, 0);
+  assert.equal(res.body.summary.skipped, 1);
+  assert.match(res.body.summary.errors[0].reason, /only change accounts whose permissions you hold/);
+  assert.equal(db.find(/UPDATE employees/).length, 0);
+  assert.equal((await app.request('GET', '/api/auth/sessions', { token: adminSession })).status, 200);
+});
+
+test('an import that resets a password signs that account out', async () => {
+  const janeSession = signIn({ employeeId: 7, role: 'employee' });
+
+  const res = await importSheet(MANAGER, [
+    { 'First Name': 'Jane', 'Last Name': 'Doe', Email: 'jane@example.com', Password: 'Fresh#Start1' },
+  ]);
+
+  assert.equal(res.status, 200);
+  assert.equal(res.body.summary.updated, 1);
+  const [update] = db.find(/UPDATE employees\s+SET first_name\s+= COALESCE/);
+  assert.ok(update.params[4], 'stores the new password hash');
+  assert.equal((await app.request('GET', '/api/auth/sessions', { token: janeSession })).status, 401);
+});
+
+test('roles.manage may reset the password of an admin by import', async () => {
+  const res = await importSheet(ROLE_ADMIN, [
+    { 'First Name': 'Ada', 'Last Name': 'Admin', Email: 'ada@example.com', Password: 'Fresh#Start1' },
+  ]);
+
+  assert.equal(res.body.summary.updated, 1);
+});
+
+test('the last active admin can be neither demoted nor archived', async () => {
+  const demote = await setRoleOf(ROLE_ADMIN, 8, 'employee');
+  const edit = await app.request('PUT', '/api/employees/ada@example.com', {
+    token: signIn(ROLE_ADMIN), body: { role: 'team_lead' },
+  });
+  const remove = await app.request('DELETE', '/api/employees/8', { token: signIn(ROLE_ADMIN) });
+
+  assert.deepEqual([demote.status, edit.status, remove.status], [409, 409, 409]);
+  assert.match(demote.body.message, /last active admin/);
+  assert.equal(db.find(/UPDATE employees/).length, 0);
+});
+
+test('an admin can be demoted while another one remains', async () => {
+  db.on(/SELECT employee_id FROM employees WHERE role = \$1 AND archived_at IS NULL FOR UPDATE/, () => (
+    [{ employee_id: 8 }, { employee_id: 1 }]
+  ));
+
+  assert.equal((await setRoleOf(ROLE_ADMIN, 8, 'employee')).status, 200);
+});
@@ -0,0 +1,50 @@
+// First-run setup (routes/setup.js): only open while the database has no accounts at all
+const { test, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { db, resetDb, startApp } = require('./support/harness');
+const setupRoutes = require('../routes/setup');
+
+const FIRST_ADMIN = { firstName: 'Ada', lastName: 'Admin', email: 'ada@example.com', password: 'Strong#Setup42' };
+
+let app;
+// Rows of employees, archived ones included
+let employees;
+
+beforeEach(async () => {
+  resetDb();
+  employees = [];
+  db.on(/SELECT EXISTS \(SELECT 1 FROM employees\) AS present/, () => [{ present: employees.length > 0 }]);
+  db.on(/INSERT INTO employees/, ([firstName, lastName, email]) => {
+    const row = { employee_id: employees.length + 1, first_name: firstName, last_name: lastName, email, role: 'admin' };
+    employees.push(row);
+    return [row];
+  });
+  db.on(/INSERT INTO sessions/, () => [{ session_id: 1 }]);
+  app = app || await startApp([['/api', setupRoutes]]);
+});
+
+after(() => app?.close());
+
+test('creates the first admin on an empty database', async () => {
+  assert.equal((await app.request('GET', '/api/setup/status')).body.setupRequired, true);
+
+  const res = await app.request('POST', '/api/setup', { body: FIRST_ADMIN });
+
+  assert.equal(res.status, 201);
+  assert.ok(res.body.token);
+  assert.equal((await app.request('GET', '/api/setup/status')).body.setupRequired, false);
+});
+
+test('stays closed once accounts exist, even with no active admin left', async () => {
+  // The only admin was archived, the remaining account is a plain employee
+  employees.push(
+    { employee_id: 1, role: 'admin', archived_at: new Date() },
+    { employee_id: 2, role: 'employee', archived_at: null }
+  );
+
+  assert.equal((await app.request('GET', '/api/setup/status')).body.setupRequired, false);
+  const res = await app.request('POST', '/api/setup', { body: FIRST_ADMIN });
+
+  assert.equal(res.status, 409);
+  assert.equal(db.find(/INSERT INTO employees/).length, 0);
+});
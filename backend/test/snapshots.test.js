@@ -0,0 +1,95 @@
+// Snapshot restore order (utils/snapshots.js). employees.team_id → teams and teams.archived_by →
+// employees form a cycle; the fake below enforces the keys the way Postgres does: immediate ones
+// on every INSERT, deferred ones at the end of the transaction.
+const { test, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.SNAPSHOT_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'snapshots-test-'));
+
+const { db, resetDb } = require('./support/harness');
+const { createSnapshot, restoreSnapshot, sortByDependencies } = require('../utils/snapshots');
+
+// child.column → parent.column, as migrations 017 and 022 leave them
+const FOREIGN_KEYS = [
+  { child: 'employees', column: 'team_id', parent: 'teams', key: 'team_id', deferrable: false },
+  { child: 'employees', column: 'archived_by', parent: 'employees', key: 'employee_id', deferrable: true },
+  { child: 'teams', column: 'archived_by', parent: 'employees', key: 'employee_id', deferrable: true },
+  { child: 'projects', column: 'archived_by', parent: 'employees', key: 'employee_id', deferrable: true },
+];
+const TABLES = ['employees', 'projects', 'sessions', 'teams'];
+
+// An archived team, archived by a member of it
+const DATA = {
+  teams: [{ team_id: 1, team_name: 'Ops', archived_at: '2025-03-01T10:00:00+00:00', archived_by: 5 }],
+  employees: [{ employee_id: 5, first_name: 'Ada', team_id: 1, archived_at: null, archived_by: null }],
+  projects: [],
+};
+
+let stored;
+let deferred;
+
+// The deferred keys as checked at COMMIT
+const checkDeferredKeys = () => FOREIGN_KEYS.filter((fk) => fk.deferrable).forEach((fk) => {
+  (stored[fk.child] || []).forEach((row) => {
+    const value = row[fk.column];
+    if (value != null && !(stored[fk.parent] || []).some((p) => p[fk.key] === value)) {
+      throw Object.assign(new Error(`${fk.child}.${fk.column} = ${value} has no ${fk.parent} row`), { code: '23503' });
+    }
+  });
+});
+
+beforeEach(() => {
+  resetDb();
+  stored = {};
+  deferred = false;
+  db.on(/FROM information_schema\.tables/, () => TABLES.map((table_name) => ({ table_name })));
+  db.on(/FROM pg_constraint c/, (_params, sql) => FOREIGN_KEYS
+    .filter((fk) => !(fk.deferrable && /NOT c\.condeferrable/.test(sql)))
+    .map(({ child, parent }) => ({ child, parent })));
+  db.on(/json_agg\(x\)/, (_params, sql) => [{ rows: DATA[/public\."(\w+)"/.exec(sql)[1]] || [] }]);
+  db.on(/FROM information_schema\.columns\s+WHERE table_schema = 'public' AND table_name = ANY/, ([tables]) => (
+    tables.flatMap((t) => Object.keys((DATA[t] || [])[0] || {}).map((column_name) => ({ table_name: t, column_name })))
+  ));
+  db.on(/SET CONSTRAINTS ALL DEFERRED/, () => { deferred = true; return []; });
+  db.on(/INSERT INTO public\."(\w+)"/, ([json], sql) => {
+    const table = /INSERT INTO public\."(\w+)"/.exec(sql)[1];
+    const rows = JSON.parse(json);
+    FOREIGN_KEYS.filter((fk) => fk.child === table && !(fk.deferrable && deferred)).forEach((fk) => {
+      rows.forEach((row) => {
+        const value = row[fk.column];
+        const parents = fk.parent === table ? rows : stored[fk.parent] || [];
+        if (value != null && !parents.some((p) => p[fk.key] === value)) {
+          throw Object.assign(new Error(`insert into ${table} violates ${fk.child}_${fk.column}_fkey`), { code: '23503' });
+        }
+      });
+    });
+    stored[table] = rows;
+    return { rows: [], rowCount: rows.length };
+  });
+});
+
+after(() => fs.rmSync(process.env.SNAPSHOT_DIR, { recursive: true, force: true }));
+
+test('orders tables by their immediate keys only', async () => {
+  const order = await sortByDependencies(db, ['employees', 'projects', 'teams']);
+
+  assert.ok(order.indexOf('teams') < order.indexOf('employees'), order.join(', '));
+});
+
+test('round-trips a snapshot holding an archived team', async () => {
+  const { fileName } = await createSnapshot({ reason: 'test' }, db);
+
+  const { restored } = await restoreSnapshot(db, fileName);
+  checkDeferredKeys();
+
+  assert.deepEqual(restored, { employees: 1, projects: 0, teams: 1 });
+  assert.deepEqual(stored.teams, DATA.teams);
+  assert.deepEqual(stored.employees, DATA.employees);
+  const statements = db.queries.map((q) => q.sql);
+  assert.ok(
+    statements.findIndex((sql) => /SET CONSTRAINTS ALL DEFERRED/.test(sql)) < statements.findIndex((sql) => /INSERT INTO/.test(sql))
+  );
+});
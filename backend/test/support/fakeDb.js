@@ -0,0 +1,47 @@
+// test/support/fakeDb.js
+// Stand-in for db/pool.js. Every query is recorded and answered by the most recently added
+// handler whose pattern matches the SQL; unmatched queries return no rows.
+// A handler gets (params, sql) and returns an array of rows or { rows, rowCount }.
+class FakeDb {
+  constructor() {
+    this.handlers = [];
+    this.queries = [];
+  }
+
+  on(pattern, handler) {
+    this.handlers.push({ pattern, handler });
+    return this;
+  }
+
+  // Drops handlers added after the first `keep` ones, and the recorded queries
+  reset(keep = 0) {
+    this.handlers = this.handlers.slice(0, keep);
+    this.queries = [];
+  }
+
+  // Recorded queries whose SQL matches the pattern
+  find(pattern) {
+    return this.queries.filter((q) => pattern.test(q.sql));
+  }
+
+  async query(sql, params = []) {
+    const text = typeof sql === 'string' ? sql : sql.text;
+    const values = typeof sql === 'string' ? params : sql.values || params;
+    this.queries.push({ sql: text, params: values });
+    // Savepoint commands (ROLLBACK TO SAVEPOINT ...) go to the handlers like any other query
+    if (/^\s*(BEGIN|COMMIT|ROLLBACK)\s*$/i.test(text)) return { rows: [], rowCount: 0 };
+
+    const match = [...this.handlers].reverse().find((h) => h.pattern.test(text));
+    const result = match ? (await match.handler(values, text)) ?? [] : [];
+    const rows = Array.isArray(result) ? result : result.rows || [];
+    return { rows, rowCount: result.rowCount ?? rows.length };
+  }
+
+  async connect() {
+    return { query: (sql, params) => this.query(sql, params), release() {} };
+  }
+
+  async end() {}
+}
+
+module.exports = { FakeDb };
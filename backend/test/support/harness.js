@@ -0,0 +1,114 @@
+// test/support/harness.js
+// Loads routers against a FakeDb (test/support/fakeDb.js) instead of PostgreSQL.
+// Require this before any module of the app: it takes the place of db/pool.js in the
+// require cache, so every `require('../db/pool')` gets the fake.
+const Module = require('module');
+const path = require('path');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const { FakeDb } = require('./fakeDb');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret';
+
+const db = new FakeDb();
+const poolPath = path.resolve(__dirname, '../../db/pool.js');
+const poolModule = new Module(poolPath);
+poolModule.filename = poolPath;
+poolModule.loaded = true;
+poolModule.exports = db;
+require.cache[poolPath] = poolModule;
+
+// Session registry behind authenticateToken (middleware/authMiddleware.js): session id -> session
+const sessions = new Map();
+let nextSessionId = 1;
+
+db.on(/FROM sessions s\s+JOIN employees e/, ([sid, employeeId]) => {
+  const s = sessions.get(sid);
+  if (!s || s.revoked || s.user.employeeId !== employeeId) return [];
+  return [{
+    last_used_at: new Date(),
+    must_change_password: !!s.user.mustChangePassword,
+    role: s.user.role,
+    permissions: s.user.permissions || [],
+  }];
+});
+
+// utils/sessions.js revokeEmployeeSessions
+db.on(/UPDATE sessions\s+SET revoked_at = NOW\(\)\s+WHERE employee_id = \$1/, ([employeeId, exceptSessionId]) => {
+  let rowCount = 0;
+  sessions.forEach((s, sid) => {
+    if (s.user.employeeId === employeeId && !s.revoked && sid !== exceptSessionId) {
+      s.revoked = true;
+      rowCount++;
+    }
+  });
+  return { rows: [], rowCount };
+});
+
+// Handlers above this line stay across tests
+const BASE_HANDLERS = db.handlers.length;
+
+/**
+ * Opens a session for a test user and returns its access token.
+ * user: { employeeId, role, teamId?, permissions?, email?, mustChangePassword? }
+ */
+const signIn = (user) => {
+  const sid = nextSessionId++;
+  sessions.set(sid, { user, revoked: false });
+  const token = jwt.sign(
+    {
+      employeeId: user.employeeId,
+      email: user.email || `user${user.employeeId}@example.com`,
+      role: user.role,
+      permissions: user.permissions || [],
+      teamId: user.teamId ?? null,
+      firstName: user.firstName || 'Test',
+      sid,
+    },
+    process.env.JWT_SECRET,
+    { expiresIn: '5m' }
+  );
+  return token;
+};
+
+// Forgets the test's own handlers, recorded queries and sessions
+const resetDb = () => {
+  db.reset(BASE_HANDLERS);
+  sessions.clear();
+};
+
+/**
+ * Serves routers on a random local port, mounted like server.js does.
+ * mounts: [[prefix, router, ...middleware]]
+ * Returns { request(method, url, { token, body, form }), close() }; form is a FormData for uploads.
+ */
+const startApp = async (mounts) => {
+  const app = express();
+  app.use(express.json());
+  mounts.forEach(([prefix, ...handlers]) => app.use(prefix, ...handlers));
+
+  const server = await new Promise((resolve) => {
+    const s = app.listen(0, '127.0.0.1', () => resolve(s));
+  });
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  const request = async (method, url, { token, body, form } = {}) => {
+    const headers = {};
+    if (token) headers.Authorization = `Bearer ${token}`;
+    if (body !== undefined) headers['Content-Type'] = 'application/json';
+    const res = await fetch(`${base}${url}`, {
+      method,
+      headers,
+      body: form ?? (body !== undefined ? JSON.stringify(body) : undefined),
+    });
+    const text = await res.text();
+    let json = null;
+    try { json = text ? JSON.parse(text) : null; } catch { json = text; }
+    return { status: res.status, body: json };
+  };
+
+  const close = () => new Promise((resolve) => server.close(resolve));
+  return { request, close };
+};
+
+module.exports = { db, signIn, resetDb, startApp };
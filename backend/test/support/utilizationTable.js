@@ -0,0 +1,116 @@
+// test/support/utilizationTable.js
+// In-memory daily_entry_utilization behind a FakeDb, for the writers that fill whole days
+// (leave approval and cancelling, copy / templates, revision restore). It answers their reads,
+// writes and the day-hours check, and keeps SAVEPOINT / ROLLBACK TO SAVEPOINT so a test can see
+// what a refused day left behind. Project rows are not kept, only each day's project hours.
+//   caps  activity code -> max_hours_per_day (activities.max_hours_per_day)
+// Returns { rows, projectHours, seed(rows) }; rows are { employee_id, entry_date, activity,
+// utilization_hours, utilization_comments, leave_request_id }, projectHours maps
+// 'employeeId/day' to the hours of that day's project rows (none when missing).
+const ROW_DEFAULTS = { utilization_comments: null, leave_request_id: null };
+
+const utilizationTable = (db, { caps = {} } = {}) => {
+  const table = {
+    rows: [],
+    projectHours: {},
+    seed(rows) {
+      table.rows = rows.map((r) => ({ ...ROW_DEFAULTS, ...r }));
+    },
+  };
+  const savepoints = new Map();
+  const ofDay = (employeeId, day) => (r) => r.employee_id === Number(employeeId) && r.entry_date === day;
+  const projectHoursOf = (employeeId, day) => table.projectHours[`${employeeId}/${day}`] || 0;
+
+  db.on(/^\s*SAVEPOINT (\w+)/, (params, sql) => {
+    savepoints.set(sql.match(/SAVEPOINT (\w+)/)[1], table.rows.map((r) => ({ ...r })));
+  });
+  db.on(/^\s*ROLLBACK TO SAVEPOINT (\w+)/, (params, sql) => {
+    table.rows = savepoints.get(sql.match(/SAVEPOINT (\w+)/)[1]).map((r) => ({ ...r }));
+  });
+
+  // Plain inserts and the leave upsert (ON CONFLICT (employee_id, entry_date, activity))
+  db.on(/INSERT INTO daily_entry_utilization\s*\(/, (params, sql) => {
+    const columns = sql.match(/INSERT INTO daily_entry_utilization\s*\(([^)]*)\)/)[1].split(',').map((c) => c.trim());
+    const row = { ...ROW_DEFAULTS };
+    columns.forEach((column, i) => { row[column] = params[i]; });
+    row.employee_id = Number(row.employee_id);
+    row.utilization_hours = Number(row.utilization_hours);
+
+    const existing = table.rows.find((r) => ofDay(row.employee_id, row.entry_date)(r) && r.activity === row.activity);
+    if (existing && !/ON CONFLICT/.test(sql)) {
+      throw new Error('duplicate key value violates unique constraint "daily_entry_utilization_unique"');
+    }
+    if (existing) {
+      existing.utilization_hours = row.utilization_hours;
+      existing.utilization_comments = existing.utilization_comments ?? row.utilization_comments;
+      existing.leave_request_id = row.leave_request_id;
+      return [{ ...existing }];
+    }
+    table.rows.push(row);
+    return [{ ...row }];
+  });
+
+  db.on(/DELETE FROM daily_entry_utilization WHERE leave_request_id = \$1/, ([leaveRequestId]) => {
+    const deleted = table.rows.filter((r) => r.leave_request_id === Number(leaveRequestId));
+    table.rows = table.rows.filter((r) => !deleted.includes(r));
+    return deleted.map((r) => ({ ...r, day: r.entry_date }));
+  });
+  db.on(/DELETE FROM daily_entry_utilization\s+WHERE employee_id = \$1 AND entry_date = \$2::date/, ([employeeId, day], sql) => {
+    const keepLeave = /leave_request_id IS NULL/.test(sql);
+    const deleted = table.rows.filter((r) => ofDay(employeeId, day)(r) && !(keepLeave && r.leave_request_id));
+    table.rows = table.rows.filter((r) => !deleted.includes(r));
+    return deleted.map((r) => ({ ...r }));
+  });
+
+  db.on(/SELECT \* FROM daily_entry_utilization\s+WHERE employee_id = \$1 AND entry_date = \$2::date AND activity = \$3/, (
+    [employeeId, day, activity]
+  ) => table.rows.filter((r) => ofDay(employeeId, day)(r) && r.activity === activity).map((r) => ({ ...r })));
+  db.on(/^\s*SELECT to_char\(entry_date, 'YYYY-MM-DD'\) AS entry_date\s+FROM daily_entry_utilization\s+WHERE leave_request_id = \$1/, (
+    [leaveRequestId]
+  ) => (
+    table.rows
+      .filter((r) => r.leave_request_id === Number(leaveRequestId))
+      .map((r) => ({ entry_date: r.entry_date }))
+      .sort((a, b) => a.entry_date.localeCompare(b.entry_date))
+  ));
+
+  // routes/daily.js revision restore: the day's leave rows, which it keeps
+  db.on(/SELECT \* FROM daily_entry_utilization\s+WHERE employee_id = \$1 AND entry_date = \$2::date AND leave_request_id IS NOT NULL/, (
+    [employeeId, day]
+  ) => table.rows.filter((r) => ofDay(employeeId, day)(r) && r.leave_request_id).map((r) => ({ ...r })));
+
+  // routes/daily.js copy: the source day's rows
+  db.on(/du\.leave_request_id IS NULL\s+ORDER BY a\.sort_order/, ([employeeId, day]) => (
+    table.rows
+      .filter((r) => ofDay(employeeId, day)(r) && !r.leave_request_id)
+      .map((r) => ({ activity: r.activity, hours: r.utilization_hours, comments: r.utilization_comments }))
+  ));
+
+  // utils/dayEntries.js fillDay: what the day already holds
+  db.on(/SELECT \(SELECT COUNT\(\*\) FROM daily_entry_utilization/, ([employeeId, day]) => {
+    const rows = table.rows.filter(ofDay(employeeId, day));
+    return [{
+      activities: rows.length,
+      leave: rows.filter((r) => r.leave_request_id).length,
+      projects: projectHoursOf(employeeId, day) ? 1 : 0,
+    }];
+  });
+
+  // utils/hoursPolicy.js checkDayHours
+  db.on(/SUM\(du\.utilization_hours\)::float AS hours\s+FROM daily_entry_utilization du/, ([employeeId, day]) => {
+    const byActivity = new Map();
+    table.rows.filter(ofDay(employeeId, day)).forEach((r) => {
+      byActivity.set(r.activity, (byActivity.get(r.activity) || 0) + r.utilization_hours);
+    });
+    return [...byActivity].map(([activity, hours]) => ({
+      activity, label: null, max_hours: caps[activity] ?? null, hours,
+    }));
+  });
+  db.on(/SUM\(employee_project_hours\), 0\)::float AS hours\s+FROM daily_entry_project_utilization/, ([employeeId, day]) => (
+    [{ hours: projectHoursOf(employeeId, day) }]
+  ));
+
+  return table;
+};
+
+module.exports = { utilizationTable };
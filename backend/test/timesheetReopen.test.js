@@ -0,0 +1,85 @@
+// POST /api/timesheets/:employeeId/:weekStart/reopen (routes/timesheets.js): a reviewer withdraws an
+// approval, which unlocks the week's entries
+const { test, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { db, signIn, resetDb, startApp } = require('./support/harness');
+const timesheetsRouter = require('../routes/timesheets');
+
+const WEEK = '2025-03-03';
+// employee_id -> team_id
+const TEAMS = { 2: 1, 4: 1, 5: 2 };
+const TEAM_LEAD = { employeeId: 2, role: 'team_lead', teamId: 1, permissions: ['entries.view_team', 'timesheets.approve'] };
+const EMPLOYEE = { employeeId: 4, role: 'employee', teamId: 1 };
+const ADMIN = { employeeId: 1, role: 'admin' };
+
+let app;
+let timesheet;
+
+beforeEach(async () => {
+  resetDb();
+  timesheet = {
+    timesheet_id: 9, employee_id: 4, week_start: WEEK, status: 'approved', reviewed_by: 2, review_comment: null,
+  };
+  db.on(/SELECT employee_id, team_id FROM employees WHERE employee_id = ANY/, ([ids]) => (
+    ids.filter((id) => TEAMS[id] !== undefined).map((id) => ({ employee_id: Number(id), team_id: TEAMS[id] }))
+  ));
+  db.on(/FROM timesheets t\s+WHERE t\.employee_id = \$1/, ([employeeId]) => (
+    Number(employeeId) === timesheet.employee_id ? [timesheet] : []
+  ));
+  db.on(/UPDATE timesheets\s+SET status = \$1/, ([status, reviewedBy, comment]) => {
+    timesheet = { ...timesheet, status, reviewed_by: reviewedBy, review_comment: comment };
+    return { rows: [], rowCount: 1 };
+  });
+  app = app || await startApp([['/api', timesheetsRouter]]);
+});
+
+after(() => app?.close());
+
+const reopen = (user, employeeId = 4, body = { comment: 'Hours on Tuesday were booked to the wrong project' }) => (
+  app.request('POST', `/api/timesheets/${employeeId}/${WEEK}/reopen`, { token: signIn(user), body })
+);
+
+test('a reviewer reopens an approved week back to draft, with an audit entry', async () => {
+  const res = await reopen(TEAM_LEAD);
+
+  assert.equal(res.status, 200);
+  assert.equal(res.body.message, 'Timesheet reopened.');
+  assert.equal(timesheet.status, 'draft');
+  assert.equal(timesheet.review_comment, 'Hours on Tuesday were booked to the wrong project');
+
+  const [audit] = db.find(/INSERT INTO audit_log/);
+  assert.equal(audit.params[3], `4/${WEEK}`);
+  assert.equal(JSON.parse(audit.params[5]).status, 'approved');
+  assert.equal(JSON.parse(audit.params[6]).status, 'draft');
+  assert.deepEqual(JSON.parse(audit.params[7]), { transition: 'reopen' });
+});
+
+test('only approved weeks can be reopened', async () => {
+  timesheet.status = 'submitted';
+
+  const res = await reopen(TEAM_LEAD);
+
+  assert.equal(res.status, 409);
+  assert.equal(db.find(/UPDATE timesheets/).length, 0);
+});
+
+test('a reason is required', async () => {
+  const res = await reopen(TEAM_LEAD, 4, {});
+
+  assert.equal(res.status, 400);
+  assert.equal(db.find(/UPDATE timesheets/).length, 0);
+});
+
+test('needs timesheets.approve and the employee in scope', async () => {
+  assert.equal((await reopen(EMPLOYEE)).status, 403);
+  assert.equal((await reopen(TEAM_LEAD, 5)).status, 403);
+  assert.equal(db.find(/UPDATE timesheets/).length, 0);
+});
+
+test('only admins may reopen their own week', async () => {
+  timesheet.employee_id = 2;
+  assert.equal((await reopen(TEAM_LEAD, 2)).status, 403);
+
+  timesheet.employee_id = 1;
+  assert.equal((await reopen(ADMIN, 1)).status, 200);
+});
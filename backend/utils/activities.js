@@ -0,0 +1,56 @@
+// utils/activities.js
+// Activity catalog (activities). daily_entry_utilization.activity stores activity_code;
+// older clients and scripts still send the label ("Leave"), so both are accepted on write.
+const pool = require('../db/pool');
+
+const ACTIVITY_CATEGORIES = ['work', 'training', 'overhead', 'leave'];
+
+const listActivities = async ({ includeInactive = false } = {}, db = pool) => {
+  const { rows } = await db.query(
+    `SELECT activity_code, label, category, is_billable, is_active, sort_order,
+            max_hours_per_day::float AS max_hours_per_day
+       FROM activities
+      WHERE $1 OR is_active
+      ORDER BY sort_order, label`,
+    [includeInactive]
+  );
+  return rows;
+};
+
+/**
+ * Maps each submitted activity (code or label, any case) to its activity_code.
+ * Inactive activities are only accepted when listed in `keepCodes`, i.e. the row
+ * already uses it, so retiring an activity never blocks editing an old day.
+ * @returns {Promise<{ codes: (string|null)[], errors: (string|null)[] }>}  errors[i] explains codes[i] === null
+ */
+const resolveActivityCodes = async (values, { keepCodes = [] } = {}, db = pool) => {
+  const { rows } = await db.query('SELECT activity_code, label, is_active FROM activities');
+  const byKey = new Map();
+  rows.forEach((a) => {
+    byKey.set(a.activity_code.toLowerCase(), a);
+    byKey.set(a.label.toLowerCase(), a);
+  });
+
+  const codes = [];
+  const errors = [];
+  values.forEach((value) => {
+    const a = byKey.get(String(value).trim().toLowerCase());
+    if (!a) {
+      codes.push(null);
+      errors.push(`Unknown activity "${value}"`);
+    } else if (!a.is_active && !keepCodes.includes(a.activity_code)) {
+      codes.push(null);
+      errors.push(`Activity "${a.label}" is no longer in use`);
+    } else {
+      codes.push(a.activity_code);
+      errors.push(null);
+    }
+  });
+  return { codes, errors };
+};
+
+module.exports = {
+  ACTIVITY_CATEGORIES,
+  listActivities,
+  resolveActivityCodes,
+};
@@ -0,0 +1,63 @@
+// utils/apiTokens.js
+// Personal access tokens for scripts. They are sent as `Authorization: Bearer <token>`
+// like access JWTs and told apart by their prefix.
+//   API_TOKEN_MAX_DAYS  longest lifetime a user may pick (default 365)
+const crypto = require('crypto');
+const pool = require('../db/pool');
+const { hashToken } = require('./sessions');
+
+const TOKEN_PREFIX = 'gst_';
+const API_TOKEN_MAX_DAYS = parseInt(process.env.API_TOKEN_MAX_DAYS, 10) || 365;
+const API_TOKEN_DEFAULT_DAYS = Math.min(90, API_TOKEN_MAX_DAYS);
+const MAX_ACTIVE_TOKENS = 20;
+
+// read → GET/HEAD only; write → every method
+const SCOPES = ['read', 'write'];
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+const isApiToken = (token) => String(token || '').startsWith(TOKEN_PREFIX);
+
+// Returns the plaintext token (shown once) and the short prefix kept for display
+const generateApiToken = () => {
+  const token = `${TOKEN_PREFIX}${crypto.randomBytes(32).toString('hex')}`;
+  return { token, prefix: token.slice(0, TOKEN_PREFIX.length + 6) };
+};
+
+const scopeAllowsMethod = (scopes, method) =>
+  (scopes || []).includes('write') || ((scopes || []).includes('read') && READ_METHODS.includes(method));
+
+// Active token + owner, or null when unknown, revoked, expired or the owner is archived
+const findActiveToken = async (token, db = pool) => {
+  const { rows } = await db.query(
+    `SELECT t.token_id, t.scopes, t.last_used_at,
+            e.employee_id, e.email, e.role, e.team_id, e.first_name, e.must_change_password,
+            ARRAY(SELECT rp.permission_key FROM role_permissions rp WHERE rp.role_key = e.role) AS permissions
+       FROM api_tokens t
+       JOIN employees e ON e.employee_id = t.employee_id
+      WHERE t.token_hash = $1
+        AND t.revoked_at IS NULL
+        AND t.expires_at > NOW()
+        AND e.archived_at IS NULL`,
+    [hashToken(token)]
+  );
+  return rows[0] || null;
+};
+
+const touchApiToken = (tokenId, ip, db = pool) =>
+  db.query(
+    'UPDATE api_tokens SET last_used_at = NOW(), last_used_ip = COALESCE($2, last_used_ip) WHERE token_id = $1',
+    [tokenId, ip || null]
+  );
+
+module.exports = {
+  TOKEN_PREFIX,
+  API_TOKEN_MAX_DAYS,
+  API_TOKEN_DEFAULT_DAYS,
+  MAX_ACTIVE_TOKENS,
+  SCOPES,
+  isApiToken,
+  generateApiToken,
+  scopeAllowsMethod,
+  findActiveToken,
+  touchApiToken,
+};
@@ -0,0 +1,72 @@
+// utils/audit.js
+// Append-only audit trail (audit_log). Call recordAudit with the same client that
+// performs the mutation so the entry commits or rolls back together with it.
+const pool = require('../db/pool');
+
+const ENTITY_TYPES = {
+  TEAM: 'team',
+  EMPLOYEE: 'employee',
+  PROJECT: 'project',
+  DAILY_UTILIZATION: 'daily_utilization',
+  PROJECT_UTILIZATION: 'project_utilization',
+  ROLE: 'role',
+  API_TOKEN: 'api_token',
+  ACTIVITY: 'activity',
+  TIMESHEET: 'timesheet',
+  CLOSED_PERIOD: 'closed_period',
+  HOLIDAY: 'holiday',
+  LEAVE_REQUEST: 'leave_request',
+  ENTRY_TEMPLATE: 'entry_template',
+  PROJECT_ASSIGNMENT: 'project_assignment',
+  PROJECT_TASK: 'project_task',
+  BUSINESS_UNIT: 'business_unit',
+};
+
+const REDACTED = '[redacted]';
+const isSecretKey = (key) => key === 'password_hash' || /_hash$/.test(key);
+
+// Drops secrets from a row (or array of rows) before it is stored
+const sanitize = (data) => {
+  if (data === undefined || data === null) return null;
+  if (Array.isArray(data)) return data.map(sanitize);
+  if (typeof data !== 'object' || data instanceof Date) return data;
+  const out = {};
+  Object.entries(data).forEach(([k, v]) => {
+    out[k] = isSecretKey(k) ? REDACTED : v;
+  });
+  return out;
+};
+
+const toJson = (data) => {
+  const clean = sanitize(data);
+  return clean === null ? null : JSON.stringify(clean);
+};
+
+/**
+ * Writes one audit entry.
+ * @param {import('pg').PoolClient|import('pg').Pool} db  client of the surrounding transaction
+ * @param {object} req  Express request (actor + IP are taken from req.user / req.ip)
+ * @param {{ entityType: string, entityId?: string|number, action: 'create'|'update'|'delete'|'import',
+ *           before?: object|object[], after?: object|object[], metadata?: object }} entry
+ */
+const recordAudit = async (db, req, { entityType, entityId = null, action, before = null, after = null, metadata = null }) => {
+  await (db || pool).query(
+    `INSERT INTO audit_log
+       (actor_employee_id, actor_email, entity_type, entity_id, action,
+        before_data, after_data, metadata, ip_address)
+     VALUES ($1, $2, $3, $4, $5, $6::jsonb, $7::jsonb, $8::jsonb, $9)`,
+    [
+      req?.user?.employeeId ?? null,
+      req?.user?.email ?? null,
+      entityType,
+      entityId === null || entityId === undefined ? null : String(entityId),
+      action,
+      toJson(before),
+      toJson(after),
+      metadata ? JSON.stringify(metadata) : null,
+      req?.ip || null,
+    ]
+  );
+};
+
+module.exports = { ENTITY_TYPES, recordAudit };
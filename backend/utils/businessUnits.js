@@ -0,0 +1,233 @@
+// utils/businessUnits.js
+// Business units (business_units) and the spellings that resolve to them (business_unit_aliases).
+// A spelling resolves by its key, lower-case letters and digits only, so "Fin-Ops", "fin ops" and
+// "FINOPS" are the same unit. Units that are only similar are suggested as merge candidates for
+// an admin to review (see migrations/020_business_units.sql).
+const pool = require('../db/pool');
+
+// Same key as the migration: lower(regexp_replace(value, '[^A-Za-z0-9]+', '', 'g'))
+const normalizeBuKey = (value) => String(value ?? '').toLowerCase().replace(/[^a-z0-9]+/g, '');
+
+// Below this score two units are not suggested as the same one
+const MERGE_THRESHOLD = 0.75;
+
+const levenshtein = (a, b) => {
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const curr = [i];
+    for (let j = 1; j <= b.length; j++) {
+      curr[j] = Math.min(prev[j] + 1, curr[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    prev = curr;
+  }
+  return prev[b.length];
+};
+
+// Initials of a multi-word spelling ("Human Resources" -> "hr"), or null
+const acronymOf = (spelling) => {
+  const words = String(spelling).split(/[^A-Za-z0-9]+/).filter(Boolean);
+  return words.length > 1 ? words.map((w) => w[0].toLowerCase()).join('') : null;
+};
+
+/**
+ * How alike two spellings are, 0..1, with the reason:
+ *   acronym  one is the initials of the other ("HR" / "Human Resources")
+ *   prefix   one key starts the other, 3 characters at least ("Fin" / "Finance")
+ *   spelling edit distance relative to the longer key ("Finanse" / "Finance")
+ */
+const spellingSimilarity = (a, b) => {
+  const ka = normalizeBuKey(a);
+  const kb = normalizeBuKey(b);
+  if (!ka || !kb) return { score: 0, reason: null };
+  if (ka === kb) return { score: 1, reason: 'spelling' };
+  if ((acronymOf(a) && acronymOf(a) === kb) || (acronymOf(b) && acronymOf(b) === ka)) {
+    return { score: 0.9, reason: 'acronym' };
+  }
+  const [shorter, longer] = ka.length <= kb.length ? [ka, kb] : [kb, ka];
+  if (shorter.length >= 3 && longer.startsWith(shorter)) return { score: 0.8, reason: 'prefix' };
+  return { score: 1 - levenshtein(ka, kb) / longer.length, reason: 'spelling' };
+};
+
+// Best match between the spellings of two units
+const unitSimilarity = (spellingsA, spellingsB) => {
+  let best = { score: 0, reason: null };
+  spellingsA.forEach((a) => spellingsB.forEach((b) => {
+    const s = spellingSimilarity(a, b);
+    if (s.score > best.score) best = s;
+  }));
+  return best;
+};
+
+const spellingsOf = (unit) => [unit.bu_id, unit.bu_name, ...(unit.aliases || [])];
+
+// Units with their spellings and the number of projects on them (archived ones counted apart),
+// all of them or a single one
+const listBusinessUnits = async ({ buId = null } = {}, db = pool) => {
+  const { rows } = await db.query(
+    `SELECT bu.bu_id, bu.bu_name, bu.is_active, bu.created_at, bu.updated_at,
+            COALESCE((SELECT array_agg(a.alias ORDER BY a.alias)
+                        FROM business_unit_aliases a WHERE a.bu_id = bu.bu_id), '{}') AS aliases,
+            (SELECT COUNT(*)::int FROM projects p WHERE p.bu_id = bu.bu_id AND p.archived_at IS NULL) AS project_count,
+            (SELECT COUNT(*)::int FROM projects p WHERE p.bu_id = bu.bu_id AND p.archived_at IS NOT NULL) AS archived_project_count
+       FROM business_units bu
+      WHERE ($1::varchar IS NULL OR bu.bu_id = $1)
+      ORDER BY lower(bu.bu_name)`,
+    [buId]
+  );
+  return rows;
+};
+
+const loadBusinessUnit = async (buId, db = pool) => {
+  const [unit] = await listBusinessUnits({ buId }, db);
+  return unit || null;
+};
+
+// The unit a spelling stands for (its id or any alias), or null
+const resolveBusinessUnit = async (value, db = pool) => {
+  const key = normalizeBuKey(value);
+  if (!key) return null;
+  const { rows } = await db.query(
+    `SELECT bu.*
+       FROM business_units bu
+      WHERE bu.bu_id = $1
+         OR bu.bu_id = (SELECT bu_id FROM business_unit_aliases WHERE alias_key = $2)
+      ORDER BY bu.bu_id = $1 DESC
+      LIMIT 1`,
+    [String(value).trim(), key]
+  );
+  return rows[0] || null;
+};
+
+// The unit an unknown spelling most likely means, for "did you mean" messages; null if none is close
+const suggestBusinessUnit = async (value, db = pool) => {
+  let best = null;
+  (await listBusinessUnits({}, db)).forEach((unit) => {
+    const { score } = unitSimilarity([value], spellingsOf(unit));
+    if (score >= MERGE_THRESHOLD && (!best || score > best.score)) best = { unit, score };
+  });
+  return best?.unit || null;
+};
+
+// Field error message for a spelling that is not a business unit
+const unknownBusinessUnitMessage = async (value, db = pool) => {
+  const suggestion = await suggestBusinessUnit(value, db);
+  return `Unknown business unit "${value}"${suggestion ? `; did you mean "${suggestion.bu_id}"?` : ''}`;
+};
+
+// Records spellings of a unit; spellings that already resolve somewhere stay with their unit
+const addAliases = async (client, buId, spellings) => {
+  for (const alias of spellings) {
+    const key = normalizeBuKey(alias);
+    if (!key) continue;
+    await client.query(
+      `INSERT INTO business_unit_aliases (alias_key, alias, bu_id)
+       VALUES ($1, $2, $3)
+       ON CONFLICT (alias_key) DO NOTHING`,
+      [key, String(alias).trim().slice(0, 100), buId]
+    );
+  }
+};
+
+// Unit already owning one of the spellings' keys, other than exceptBuId; null if none
+const findSpellingOwner = async (spellings, exceptBuId = null, db = pool) => {
+  const keys = spellings.map(normalizeBuKey).filter(Boolean);
+  const { rows } = await db.query(
+    `SELECT bu_id, alias FROM business_unit_aliases
+      WHERE alias_key = ANY($1::varchar[]) AND ($2::varchar IS NULL OR bu_id <> $2)
+      LIMIT 1`,
+    [keys, exceptBuId]
+  );
+  return rows[0] || null;
+};
+
+/**
+ * Pairs of units that look like the same one and were not reviewed yet, most alike first:
+ * [{ a, b, score, reason }] where a and b are listBusinessUnits rows.
+ */
+const findMergeCandidates = async (db = pool) => {
+  const units = await listBusinessUnits({}, db);
+  const { rows: reviewed } = await db.query('SELECT bu_a, bu_b FROM business_unit_merge_reviews');
+  const kept = new Set(reviewed.map((r) => `${r.bu_a}\u0000${r.bu_b}`));
+
+  const candidates = [];
+  units.forEach((a, i) => units.slice(i + 1).forEach((b) => {
+    const [first, second] = a.bu_id < b.bu_id ? [a, b] : [b, a];
+    if (kept.has(`${first.bu_id}\u0000${second.bu_id}`)) return;
+    const { score, reason } = unitSimilarity(spellingsOf(a), spellingsOf(b));
+    if (score >= MERGE_THRESHOLD) candidates.push({ a: first, b: second, score: Math.round(score * 100) / 100, reason });
+  }));
+  return candidates.sort((x, y) => y.score - x.score || x.a.bu_name.localeCompare(y.a.bu_name));
+};
+
+/**
+ * BU rollup: per unit the projects (archived ones not counted), the hours logged in the range and
+ * overall, the estimates, and the overruns (projects whose logged hours passed their estimate).
+ * Projects without a unit are grouped under bu_id null.
+ * Returns { rows, overruns } with overruns the over-estimate projects, largest first.
+ */
+const businessUnitRollup = async ({ startDate, endDate }, db = pool) => {
+  const perProject = `
+    WITH logged AS (
+      SELECT project_id,
+             SUM(employee_project_hours) AS total_hours,
+             SUM(employee_project_hours) FILTER (WHERE entry_date BETWEEN $1::date AND $2::date) AS range_hours
+        FROM daily_entry_project_utilization
+       GROUP BY project_id
+    ),
+    per_project AS (
+      SELECT p.project_id, p.project_name, p.bu_id, p.status, p.archived_at, p.estimated_hours,
+             COALESCE(l.total_hours, 0) AS logged_hours,
+             COALESCE(l.range_hours, 0) AS range_hours,
+             GREATEST(COALESCE(l.total_hours, 0) - p.estimated_hours, 0) AS overrun_hours
+        FROM projects p
+        LEFT JOIN logged l ON l.project_id = p.project_id
+    )`;
+
+  const { rows } = await db.query(
+    `${perProject}
+     SELECT bu.bu_id, bu.bu_name, bu.is_active,
+            COUNT(pp.project_id) FILTER (WHERE pp.archived_at IS NULL)::int AS project_count,
+            COUNT(pp.project_id) FILTER (WHERE pp.archived_at IS NULL AND pp.status = 'Active')::int AS active_project_count,
+            COALESCE(SUM(pp.range_hours), 0)::float AS hours_in_range,
+            COALESCE(SUM(pp.logged_hours), 0)::float AS hours_total,
+            COALESCE(SUM(pp.estimated_hours) FILTER (WHERE pp.archived_at IS NULL), 0)::float AS estimated_hours,
+            COUNT(pp.project_id) FILTER (WHERE pp.archived_at IS NULL AND pp.overrun_hours > 0)::int AS overrun_projects,
+            COALESCE(SUM(pp.overrun_hours) FILTER (WHERE pp.archived_at IS NULL), 0)::float AS overrun_hours
+       FROM (SELECT bu_id, bu_name, is_active FROM business_units
+             UNION ALL
+             SELECT NULL, NULL, true) bu
+       LEFT JOIN per_project pp ON pp.bu_id IS NOT DISTINCT FROM bu.bu_id
+      GROUP BY bu.bu_id, bu.bu_name, bu.is_active
+     HAVING bu.bu_id IS NOT NULL OR COUNT(pp.project_id) > 0
+      ORDER BY bu.bu_id IS NULL, lower(bu.bu_name)`,
+    [startDate, endDate]
+  );
+
+  const { rows: overruns } = await db.query(
+    `${perProject}
+     SELECT pp.project_id, pp.project_name, pp.bu_id, pp.status,
+            pp.estimated_hours::float AS estimated_hours,
+            pp.logged_hours::float AS logged_hours,
+            pp.overrun_hours::float AS overrun_hours
+       FROM per_project pp
+      WHERE pp.archived_at IS NULL AND pp.overrun_hours > 0
+      ORDER BY pp.overrun_hours DESC, lower(pp.project_name)`,
+    [startDate, endDate]
+  );
+
+  return { rows, overruns };
+};
+
+module.exports = {
+  normalizeBuKey,
+  spellingSimilarity,
+  listBusinessUnits,
+  loadBusinessUnit,
+  resolveBusinessUnit,
+  suggestBusinessUnit,
+  unknownBusinessUnitMessage,
+  addAliases,
+  findSpellingOwner,
+  findMergeCandidates,
+  businessUnitRollup,
+};
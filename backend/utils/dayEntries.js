@@ -0,0 +1,139 @@
+// utils/dayEntries.js
+// Fills whole days with a prepared set of rows: "copy from another day" and entry templates
+// (routes/daily.js, routes/entryTemplates.js). Each target day is written on its own so one
+// locked or over-limit day is reported as skipped without failing the rest.
+const { findDayLock } = require('../middleware/entryLocks');
+const { ENTITY_TYPES, recordAudit } = require('./audit');
+const { checkDayHours } = require('./hoursPolicy');
+const { recordDayRevisions } = require('./entryRevisions');
+const { dropOversizedTaskSplits } = require('./projectTasks');
+
+// Longest range one copy / apply may fill, weekends included
+const MAX_FILL_DAYS = 31;
+
+// Same audit entity ids as routes/daily.js
+const utilizationEntityId = (employeeId, day) => `${employeeId}/${day}`;
+const projectUtilizationEntityId = (employeeId, projectId, day) => `${employeeId}/${projectId}/${day}`;
+
+/**
+ * Writes one employee-day inside the caller's transaction.
+ *   activities  [{ activity (code), hours, comments }]; replace the day's utilization rows when not empty
+ *   projects    [{ project_id, hours, comments, project_name?, employee_project_status?, ... }];
+ *               upserted by project, other project rows of the day stay
+ *   overwrite   false skips days that already have any entry
+ *   source      entry_revisions.source of the revision written for the day ('copy', 'template')
+ *   metadata    stored with the audit entries, e.g. { copiedFrom } or { templateId }
+ * @returns {Promise<{ date: string, status: 'filled', warnings: string[] }
+ *   | { date: string, status: 'skipped', reason: string }>}
+ */
+const fillDay = async (client, req, employeeId, day, { activities = [], projects = [], overwrite = false, source, metadata }) => {
+  const skip = (reason) => ({ date: day, status: 'skipped', reason });
+
+  const locked = await findDayLock(employeeId, day, client);
+  if (locked) return skip(locked.message);
+
+  const { rows: [existing] } = await client.query(
+    `SELECT (SELECT COUNT(*) FROM daily_entry_utilization
+              WHERE employee_id = $1 AND entry_date = $2::date)::int AS activities,
+            (SELECT COUNT(*) FROM daily_entry_utilization
+              WHERE employee_id = $1 AND entry_date = $2::date AND leave_request_id IS NOT NULL)::int AS leave,
+            (SELECT COUNT(*) FROM daily_entry_project_utilization
+              WHERE employee_id = $1 AND entry_date = $2::date)::int AS projects`,
+    [employeeId, day]
+  );
+  if (existing.leave) return skip('The day has approved leave.');
+  if (!overwrite && (existing.activities || existing.projects)) return skip('The day already has entries.');
+
+  await client.query('SAVEPOINT fill_day');
+
+  let utilization = null;
+  if (activities.length) {
+    const before = await client.query(
+      `DELETE FROM daily_entry_utilization WHERE employee_id = $1 AND entry_date = $2::date RETURNING *`,
+      [employeeId, day]
+    );
+    const after = [];
+    for (const a of activities) {
+      const inserted = await client.query(
+        `INSERT INTO daily_entry_utilization (employee_id, entry_date, activity, utilization_hours, utilization_comments)
+         VALUES ($1, $2::date, $3, $4, $5)
+         RETURNING *`,
+        [employeeId, day, a.activity, a.hours, a.comments || null]
+      );
+      after.push(inserted.rows[0]);
+    }
+    utilization = { before: before.rows, after };
+  }
+
+  const projectChanges = [];
+  for (const p of projects) {
+    const before = await client.query(
+      `SELECT * FROM daily_entry_project_utilization
+        WHERE employee_id = $1 AND project_id = $2 AND entry_date = $3::date
+        FOR UPDATE`,
+      [employeeId, p.project_id, day]
+    );
+    // Project-level fields follow the source row; hours and comments are the copied values
+    const saved = await client.query(
+      `INSERT INTO daily_entry_project_utilization
+         (employee_id, project_id, entry_date, project_name,
+          employee_project_start_date, employee_project_end_date,
+          employee_project_status, employee_project_hours, employee_project_comments,
+          employee_planned_start_date, employee_planned_end_date)
+       VALUES ($1, $2, $3::date, $4, $5, $6, $7, $8, $9, $10, $11)
+       ON CONFLICT (employee_id, project_id, entry_date)
+       DO UPDATE SET
+         employee_project_hours    = EXCLUDED.employee_project_hours,
+         employee_project_comments = EXCLUDED.employee_project_comments
+       RETURNING *`,
+      [
+        employeeId, p.project_id, day, p.project_name || null,
+        p.employee_project_start_date || null, p.employee_project_end_date || null,
+        p.employee_project_status || 'Active', p.hours, p.comments || null,
+        p.employee_planned_start_date || null, p.employee_planned_end_date || null,
+      ]
+    );
+    projectChanges.push({ projectId: p.project_id, before: before.rows[0], after: saved.rows[0] });
+  }
+
+  const policy = await checkDayHours(employeeId, day, client);
+  if (policy.violations.length) {
+    await client.query('ROLLBACK TO SAVEPOINT fill_day');
+    return skip(policy.violations.map((v) => v.message).join(' '));
+  }
+
+  if (utilization && (utilization.before.length || utilization.after.length)) {
+    await recordAudit(client, req, {
+      entityType: ENTITY_TYPES.DAILY_UTILIZATION,
+      entityId: utilizationEntityId(employeeId, day),
+      action: utilization.before.length ? 'update' : 'create',
+      before: utilization.before,
+      after: utilization.after,
+      metadata,
+    });
+  }
+  for (const change of projectChanges) {
+    await recordAudit(client, req, {
+      entityType: ENTITY_TYPES.PROJECT_UTILIZATION,
+      entityId: projectUtilizationEntityId(employeeId, change.projectId, day),
+      action: change.before ? 'update' : 'create',
+      before: change.before,
+      after: change.after,
+      metadata,
+    });
+  }
+
+  // Copied hours replace the row's; a task split that no longer fits goes
+  const dropped = await dropOversizedTaskSplits(client, employeeId, day);
+  const warnings = [
+    ...policy.warnings,
+    ...dropped.map((projectId) => `${day}: the task split of project "${projectId}" no longer fit its hours and was removed.`),
+  ];
+
+  await recordDayRevisions(client, req, [{ employeeId, day }], { source });
+
+  await client.query('RELEASE SAVEPOINT fill_day');
+  return { date: day, status: 'filled', warnings };
+};
+
+module.exports = { MAX_FILL_DAYS, fillDay };
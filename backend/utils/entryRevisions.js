@@ -0,0 +1,113 @@
+// utils/entryRevisions.js
+// Revision history of daily entries (entry_revisions + daily_entry_utilization_history /
+// daily_entry_project_utilization_history). Every writer of daily_entry_utilization or
+// daily_entry_project_utilization calls recordDayRevisions after its change, with the same
+// client, so each revision holds the complete rows of the day as they were after that change.
+// entry_revisions.source says what made it ('entry', 'week_grid', 'copy', 'leave', 'restore', ...);
+// 'baseline' revisions were created by the migration for days logged before it.
+const pool = require('../db/pool');
+
+/**
+ * Stores one revision per distinct employee-day with the day's current rows.
+ * @param {import('pg').PoolClient} db  client of the transaction that made the change
+ * @param {object} req  Express request (the actor is req.user)
+ * @param {{ employeeId: number, day: string }[]} days
+ * @param {{ source: string, restoredFrom?: number }} options
+ * @returns {Promise<number[]>} the new revision ids
+ */
+const recordDayRevisions = async (db, req, days, { source, restoredFrom = null }) => {
+  if (!days.length) return [];
+  const { rows } = await db.query(
+    `INSERT INTO entry_revisions (employee_id, entry_date, "source", restored_from, changed_by, changed_by_email)
+     SELECT DISTINCT d.employee_id, d.entry_date, $3, $4::int, $5::int, $6
+       FROM unnest($1::int[], $2::date[]) AS d(employee_id, entry_date)
+     RETURNING revision_id`,
+    [
+      days.map((d) => d.employeeId),
+      days.map((d) => d.day),
+      source,
+      restoredFrom,
+      req?.user?.employeeId ?? null,
+      req?.user?.email ?? null,
+    ]
+  );
+  const revisionIds = rows.map((r) => r.revision_id);
+
+  await db.query(
+    `INSERT INTO daily_entry_utilization_history
+       (revision_id, activity, utilization_hours, utilization_comments, leave_request_id)
+     SELECT r.revision_id, u.activity, u.utilization_hours, u.utilization_comments, u.leave_request_id
+       FROM entry_revisions r
+       JOIN daily_entry_utilization u ON u.employee_id = r.employee_id AND u.entry_date = r.entry_date
+      WHERE r.revision_id = ANY($1::int[])`,
+    [revisionIds]
+  );
+  await db.query(
+    `INSERT INTO daily_entry_project_utilization_history
+       (revision_id, project_id, project_name, employee_project_start_date, employee_project_end_date,
+        employee_project_status, employee_project_hours, employee_project_comments,
+        employee_planned_start_date, employee_planned_end_date)
+     SELECT r.revision_id, p.project_id, p.project_name, p.employee_project_start_date, p.employee_project_end_date,
+            p.employee_project_status, p.employee_project_hours, p.employee_project_comments,
+            p.employee_planned_start_date, p.employee_planned_end_date
+       FROM entry_revisions r
+       JOIN daily_entry_project_utilization p ON p.employee_id = r.employee_id AND p.entry_date = r.entry_date
+      WHERE r.revision_id = ANY($1::int[])`,
+    [revisionIds]
+  );
+  return revisionIds;
+};
+
+// Revisions of one employee-day, newest first, each with its rows:
+// [{ revision_id, source, restored_from, changed_by, changed_by_email, changed_by_name, changed_at,
+//    activities: [{ activity, activity_label, hours, comments, leave_request_id }],
+//    projects: [{ project_id, project_name, status, hours, comments, start_date, end_date,
+//                 planned_start, planned_end }] }]
+const listDayRevisions = async ({ employeeId, day, revisionId = null }, db = pool) => {
+  const { rows } = await db.query(
+    `SELECT r.revision_id, r."source", r.restored_from, r.changed_by, r.changed_by_email, r.changed_at,
+            NULLIF(TRIM(CONCAT(e.first_name, ' ', e.last_name)), '') AS changed_by_name,
+            COALESCE((
+              SELECT json_agg(json_build_object(
+                       'activity', h.activity, 'activity_label', a.label,
+                       'hours', h.utilization_hours::float, 'comments', h.utilization_comments,
+                       'leave_request_id', h.leave_request_id)
+                     ORDER BY a.sort_order, h.activity)
+                FROM daily_entry_utilization_history h
+                LEFT JOIN activities a ON a.activity_code = h.activity
+               WHERE h.revision_id = r.revision_id
+            ), '[]'::json) AS activities,
+            COALESCE((
+              SELECT json_agg(json_build_object(
+                       'project_id', h.project_id, 'project_name', COALESCE(h.project_name, p.project_name),
+                       'status', h.employee_project_status,
+                       'hours', COALESCE(h.employee_project_hours, 0)::float, 'comments', h.employee_project_comments,
+                       'start_date', to_char(h.employee_project_start_date, 'YYYY-MM-DD'),
+                       'end_date', to_char(h.employee_project_end_date, 'YYYY-MM-DD'),
+                       'planned_start', to_char(h.employee_planned_start_date, 'YYYY-MM-DD'),
+                       'planned_end', to_char(h.employee_planned_end_date, 'YYYY-MM-DD'))
+                     ORDER BY h.project_id)
+                FROM daily_entry_project_utilization_history h
+                LEFT JOIN projects p ON p.project_id = h.project_id
+               WHERE h.revision_id = r.revision_id
+            ), '[]'::json) AS projects
+       FROM entry_revisions r
+       LEFT JOIN employees e ON e.employee_id = r.changed_by
+      WHERE r.employee_id = $1 AND r.entry_date = $2::date
+        AND ($3::int IS NULL OR r.revision_id = $3)
+      ORDER BY r.revision_id DESC`,
+    [employeeId, day, revisionId]
+  );
+  return rows;
+};
+
+const loadDayRevision = async (employeeId, day, revisionId, db = pool) => {
+  const [revision] = await listDayRevisions({ employeeId, day, revisionId }, db);
+  return revision || null;
+};
+
+module.exports = {
+  recordDayRevisions,
+  listDayRevisions,
+  loadDayRevision,
+};
@@ -0,0 +1,70 @@
+// utils/entryTemplates.js
+// Daily entry templates (entry_templates + entry_template_activities / entry_template_projects):
+// an employee's named sets of rows, applied to days through utils/dayEntries.js.
+const pool = require('../db/pool');
+
+// Templates with their rows: [{ template_id, employee_id, name, ..., activities: [...], projects: [...] }]
+const listTemplates = async ({ employeeId, templateId = null }, db = pool) => {
+  const { rows } = await db.query(
+    `SELECT t.template_id, t.employee_id, t.name, t.created_at, t.updated_at,
+            COALESCE((
+              SELECT json_agg(json_build_object(
+                       'activity', ta.activity, 'activity_label', a.label,
+                       'hours', ta.hours::float, 'comments', ta.comments)
+                     ORDER BY ta.sort_order, a.sort_order)
+                FROM entry_template_activities ta
+                LEFT JOIN activities a ON a.activity_code = ta.activity
+               WHERE ta.template_id = t.template_id
+            ), '[]'::json) AS activities,
+            COALESCE((
+              SELECT json_agg(json_build_object(
+                       'project_id', tp.project_id, 'project_name', p.project_name,
+                       'hours', tp.hours::float, 'comments', tp.comments)
+                     ORDER BY lower(p.project_name))
+                FROM entry_template_projects tp
+                LEFT JOIN projects p ON p.project_id = tp.project_id
+               WHERE tp.template_id = t.template_id
+            ), '[]'::json) AS projects
+       FROM entry_templates t
+      WHERE t.employee_id = $1
+        AND ($2::int IS NULL OR t.template_id = $2)
+      ORDER BY lower(t.name)`,
+    [employeeId, templateId]
+  );
+  return rows;
+};
+
+const loadTemplate = async (employeeId, templateId, db = pool) => {
+  const [template] = await listTemplates({ employeeId, templateId }, db);
+  return template || null;
+};
+
+// Replaces a template's rows; activities carry resolved activity codes
+const saveTemplateRows = async (templateId, { activities, projects }, db = pool) => {
+  if (activities) {
+    await db.query('DELETE FROM entry_template_activities WHERE template_id = $1', [templateId]);
+    for (const [idx, a] of activities.entries()) {
+      await db.query(
+        `INSERT INTO entry_template_activities (template_id, activity, hours, comments, sort_order)
+         VALUES ($1, $2, $3, $4, $5)`,
+        [templateId, a.activity, a.hours, a.comments || null, idx]
+      );
+    }
+  }
+  if (projects) {
+    await db.query('DELETE FROM entry_template_projects WHERE template_id = $1', [templateId]);
+    for (const p of projects) {
+      await db.query(
+        `INSERT INTO entry_template_projects (template_id, project_id, hours, comments)
+         VALUES ($1, $2, $3, $4)`,
+        [templateId, p.projectId, p.hours, p.comments || null]
+      );
+    }
+  }
+};
+
+module.exports = {
+  listTemplates,
+  loadTemplate,
+  saveTemplateRows,
+};
@@ -0,0 +1,185 @@
+// utils/holidays.js
+// Holiday calendar (holidays). A holiday is org-wide (team_id NULL) or applies to one team;
+// an employee's non-working days are weekends plus the org-wide and their team's holidays.
+// Lists can be imported from a spreadsheet (Date | Name) or an iCalendar (.ics) feed.
+const XLSX = require('xlsx');
+const pool = require('../db/pool');
+const { calendarDate, toISODate } = require('./spreadsheet');
+
+const HOLIDAY_SOURCES = ['manual', 'xlsx', 'ics'];
+
+const HOLIDAY_COLUMNS = `h.holiday_id, to_char(h.holiday_date, 'YYYY-MM-DD') AS holiday_date, h.name,
+       h.team_id, t.team_name, h.source, h.created_at`;
+
+const loadHoliday = async (holidayId, db = pool) => {
+  const { rows } = await db.query(
+    `SELECT ${HOLIDAY_COLUMNS}
+       FROM holidays h
+       LEFT JOIN teams t ON t.team_id = h.team_id
+      WHERE h.holiday_id = $1`,
+    [holidayId]
+  );
+  return rows[0] || null;
+};
+
+/**
+ * Holidays in [startDate, endDate].
+ *   teamId set:   org-wide ones plus that team's (what its members get off)
+ *   teamId null:  every holiday, any scope (the admin list)
+ */
+const listHolidays = async ({ startDate, endDate, teamId = null }, db = pool) => {
+  const { rows } = await db.query(
+    `SELECT ${HOLIDAY_COLUMNS}
+       FROM holidays h
+       LEFT JOIN teams t ON t.team_id = h.team_id
+      WHERE h.holiday_date BETWEEN $1::date AND $2::date
+        AND ($3::int IS NULL OR h.team_id IS NULL OR h.team_id = $3)
+      ORDER BY h.holiday_date, h.team_id NULLS FIRST`,
+    [startDate, endDate, teamId]
+  );
+  return rows;
+};
+
+// Holidays that apply to one employee (org-wide + their team's) in [startDate, endDate]
+const listEmployeeHolidays = async (employeeId, startDate, endDate, db = pool) => {
+  const { rows } = await db.query(
+    `SELECT ${HOLIDAY_COLUMNS}
+       FROM holidays h
+       LEFT JOIN teams t ON t.team_id = h.team_id
+      WHERE h.holiday_date BETWEEN $2::date AND $3::date
+        AND (h.team_id IS NULL
+             OR h.team_id = (SELECT e.team_id FROM employees e WHERE e.employee_id = $1))
+      ORDER BY h.holiday_date, h.team_id NULLS FIRST`,
+    [employeeId, startDate, endDate]
+  );
+  return rows;
+};
+
+const isWeekend = (day) => [0, 6].includes(new Date(`${day}T00:00:00Z`).getUTCDay());
+
+/**
+ * Splits [startDate, endDate] into the employee's working days and the days off.
+ * @returns {Promise<{ days: string[], skipped: { date: string, reason: string }[] }>}
+ *   reason is 'Weekend' or the holiday's name
+ */
+const listWorkingDays = async (employeeId, startDate, endDate, db = pool) => {
+  const holidays = new Map();
+  (await listEmployeeHolidays(employeeId, startDate, endDate, db)).forEach((h) => {
+    // A team holiday on the same day as an org-wide one keeps the org-wide name
+    if (!holidays.has(h.holiday_date)) holidays.set(h.holiday_date, h.name);
+  });
+  const days = [];
+  const skipped = [];
+  for (let day = startDate; day <= endDate; day = addDaysYmd(day, 1)) {
+    if (isWeekend(day)) skipped.push({ date: day, reason: 'Weekend' });
+    else if (holidays.has(day)) skipped.push({ date: day, reason: holidays.get(day) });
+    else days.push(day);
+  }
+  return { days, skipped };
+};
+
+// ---------------- Import parsers ----------------
+// Both return { holidays: [{ date, name, ref }], errors: [{ ref, error }] } where ref
+// points back into the file (sheet row or calendar event) for the import report.
+
+const DATE_HEADERS = ['date', 'holiday date', 'holiday_date', 'day'];
+const NAME_HEADERS = ['name', 'holiday', 'holiday name', 'holiday_name', 'description', 'occasion'];
+
+const parseHolidaySheet = (buffer) => {
+  const wb = XLSX.read(buffer, { type: 'buffer' });
+  const ws = wb.Sheets[wb.SheetNames[0]];
+  if (!ws) throw new Error('No sheet found in file.');
+
+  const rows = XLSX.utils.sheet_to_json(ws, { header: 1, defval: '' });
+  const header = (rows[0] || []).map((h) => String(h).trim().toLowerCase());
+  const dateCol = header.findIndex((h) => DATE_HEADERS.includes(h));
+  const nameCol = header.findIndex((h) => NAME_HEADERS.includes(h));
+  if (dateCol === -1 || nameCol === -1) throw new Error('Missing required columns: Date, Name');
+
+  const holidays = [];
+  const errors = [];
+  rows.slice(1).forEach((row, i) => {
+    const ref = `row ${i + 2}`;
+    if (!row || row.every((c) => String(c).trim() === '')) return;
+    const date = toISODate(row[dateCol]);
+    const name = String(row[nameCol] ?? '').trim();
+    if (!date) errors.push({ ref, error: `Unreadable date "${row[dateCol]}"` });
+    else if (!name) errors.push({ ref, error: 'Name is empty' });
+    else holidays.push({ date, name: name.slice(0, 200), ref });
+  });
+  return { holidays, errors };
+};
+
+// RFC 5545 text: folded lines start with a space or tab, values escape \, \; \n
+const unfoldIcs = (text) => String(text).replace(/\r\n/g, '\n').replace(/\n[ \t]/g, '').split('\n');
+const unescapeIcs = (v) => v.replace(/\\n/gi, ' ').replace(/\\([,;\\])/g, '$1').trim();
+
+// DTSTART / DTEND value → 'YYYY-MM-DD' (date part only; all-day events carry no time)
+const icsDate = (value) => {
+  const m = /^(\d{4})(\d{2})(\d{2})/.exec(value || '');
+  return m ? calendarDate(Number(m[1]), Number(m[2]), Number(m[3])) : null;
+};
+
+const addDaysYmd = (ymdValue, days) => {
+  const d = new Date(`${ymdValue}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0, 10);
+};
+
+// Longest holiday an event may expand to; guards against open-ended or mistyped ranges
+const MAX_EVENT_DAYS = 31;
+
+const parseHolidayIcs = (buffer) => {
+  const lines = unfoldIcs(buffer.toString('utf8'));
+  if (!lines.some((l) => l.trim().toUpperCase() === 'BEGIN:VCALENDAR')) {
+    throw new Error('Not an iCalendar file (BEGIN:VCALENDAR missing).');
+  }
+
+  const holidays = [];
+  const errors = [];
+  let event = null;
+  let count = 0;
+
+  lines.forEach((raw) => {
+    const line = raw.trim();
+    if (line.toUpperCase() === 'BEGIN:VEVENT') { event = {}; count += 1; return; }
+    if (line.toUpperCase() === 'END:VEVENT') {
+      const ref = `event ${count}${event.summary ? ` (${event.summary})` : ''}`;
+      const start = icsDate(event.dtstart);
+      if (!start) errors.push({ ref, error: 'Missing or unreadable DTSTART' });
+      else if (!event.summary) errors.push({ ref, error: 'Missing SUMMARY' });
+      else {
+        // DTEND of an all-day event is exclusive; without it the event is one day
+        const endExclusive = icsDate(event.dtend);
+        const last = endExclusive && endExclusive > start ? addDaysYmd(endExclusive, -1) : start;
+        let day = start;
+        for (let n = 0; day <= last && n < MAX_EVENT_DAYS; n += 1, day = addDaysYmd(day, 1)) {
+          holidays.push({ date: day, name: event.summary.slice(0, 200), ref });
+        }
+      }
+      event = null;
+      return;
+    }
+    if (!event) return;
+
+    const colon = line.indexOf(':');
+    if (colon === -1) return;
+    const key = line.slice(0, colon).split(';')[0].toUpperCase();
+    const value = line.slice(colon + 1);
+    if (key === 'DTSTART') event.dtstart = value;
+    else if (key === 'DTEND') event.dtend = value;
+    else if (key === 'SUMMARY') event.summary = unescapeIcs(value);
+  });
+
+  return { holidays, errors };
+};
+
+module.exports = {
+  HOLIDAY_SOURCES,
+  loadHoliday,
+  listHolidays,
+  listEmployeeHolidays,
+  listWorkingDays,
+  parseHolidaySheet,
+  parseHolidayIcs,
+};
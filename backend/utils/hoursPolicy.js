@@ -0,0 +1,93 @@
+// utils/hoursPolicy.js
+// Daily hours policy, checked over both entry tables of a day combined
+// (daily_entry_utilization + daily_entry_project_utilization).
+// Day limits are read from env so each deployment can set its own workday:
+//   HOURS_MAX_PER_DAY (default 16)       hard limit: saves that go above it are rejected
+//   HOURS_EXPECTED_PER_DAY (default 8)   soft limit: saves above it succeed with a warning
+// Caps per activity live in activities.max_hours_per_day (e.g. Leave <= 8) and are hard limits.
+const pool = require('../db/pool');
+
+const envHours = (name, fallback) => {
+  const n = Number(process.env[name]);
+  return Number.isFinite(n) && n > 0 && n <= 24 ? n : fallback;
+};
+
+const getHoursPolicy = () => {
+  const maxHoursPerDay = envHours('HOURS_MAX_PER_DAY', 16);
+  return {
+    maxHoursPerDay,
+    expectedHoursPerDay: Math.min(envHours('HOURS_EXPECTED_PER_DAY', 8), maxHoursPerDay),
+  };
+};
+
+const round2 = (n) => Number(Number(n || 0).toFixed(2));
+
+/**
+ * Checks one employee-day as it stands in `db`. Call it inside the transaction that
+ * changed the day, after the write: violations mean the transaction must roll back.
+ * Concurrent saves of the same day are serialised so each sees the others' hours.
+ * @returns {Promise<{ violations: { activity: string|null, message: string }[], warnings: string[],
+ *   totals: { utilization_hours: number, project_hours: number, total_hours: number,
+ *             expected_hours: number, max_hours: number } }>}
+ *   violations[].activity is the activity_code a cap applies to, null for the day limit
+ */
+const checkDayHours = async (employeeId, day, db = pool) => {
+  const policy = getHoursPolicy();
+  await db.query(`SELECT pg_advisory_xact_lock($1::int, ($2::date - DATE '2000-01-01'))`, [employeeId, day]);
+
+  const { rows: activityRows } = await db.query(
+    `SELECT du.activity, a.label, a.max_hours_per_day::float AS max_hours,
+            SUM(du.utilization_hours)::float AS hours
+       FROM daily_entry_utilization du
+       LEFT JOIN activities a ON a.activity_code = du.activity
+      WHERE du.employee_id = $1 AND du.entry_date = $2::date
+      GROUP BY du.activity, a.label, a.max_hours_per_day`,
+    [employeeId, day]
+  );
+  const { rows: projectRows } = await db.query(
+    `SELECT COALESCE(SUM(employee_project_hours), 0)::float AS hours
+       FROM daily_entry_project_utilization
+      WHERE employee_id = $1 AND entry_date = $2::date`,
+    [employeeId, day]
+  );
+
+  const utilizationHours = round2(activityRows.reduce((sum, r) => sum + r.hours, 0));
+  const projectHours = round2(projectRows[0].hours);
+  const totalHours = round2(utilizationHours + projectHours);
+
+  const violations = [];
+  const warnings = [];
+
+  activityRows.forEach((r) => {
+    if (r.max_hours != null && r.hours > r.max_hours) {
+      violations.push({
+        activity: r.activity,
+        message: `${r.label || r.activity} is limited to ${r.max_hours} h per day (got ${round2(r.hours)} h).`,
+      });
+    }
+  });
+
+  const breakdown = `${utilizationHours} h activities + ${projectHours} h projects`;
+  if (totalHours > policy.maxHoursPerDay) {
+    violations.push({
+      activity: null,
+      message: `${day} would have ${totalHours} h logged (${breakdown}); the limit is ${policy.maxHoursPerDay} h per day.`,
+    });
+  } else if (totalHours > policy.expectedHoursPerDay) {
+    warnings.push(`${day} has ${totalHours} h logged (${breakdown}), more than the expected ${policy.expectedHoursPerDay} h.`);
+  }
+
+  return {
+    violations,
+    warnings,
+    totals: {
+      utilization_hours: utilizationHours,
+      project_hours: projectHours,
+      total_hours: totalHours,
+      expected_hours: policy.expectedHoursPerDay,
+      max_hours: policy.maxHoursPerDay,
+    },
+  };
+};
+
+module.exports = { getHoursPolicy, checkDayHours };
@@ -0,0 +1,140 @@
+// utils/leave.js
+// Leave requests (leave_requests) and leave types (leave_types). A request covers a date
+// range of one type; only working days count (weekends and the employee's holidays are
+// skipped) and the first / last day may be a half day. Approved requests are written to the
+// day entries as 'L' (Leave) utilization rows linked by daily_entry_utilization.leave_request_id.
+const pool = require('../db/pool');
+const { listWorkingDays } = require('./holidays');
+
+const LEAVE_STATUSES = ['pending', 'approved', 'rejected', 'cancelled'];
+// Requests in these states hold their days: they count against the balance and block overlaps
+const ACTIVE_LEAVE_STATUSES = ['pending', 'approved'];
+// activities.activity_code of the rows approval creates
+const LEAVE_ACTIVITY_CODE = 'L';
+// Longest range one request may span, weekends included
+const MAX_LEAVE_SPAN_DAYS = 92;
+
+const LEAVE_COLUMNS = `lr.leave_request_id, lr.employee_id, e.first_name, e.last_name, e.team_id, tm.team_name,
+       lr.leave_type, lt.label AS leave_type_label,
+       to_char(lr.start_date, 'YYYY-MM-DD') AS start_date, to_char(lr.end_date, 'YYYY-MM-DD') AS end_date,
+       lr.start_half_day, lr.end_half_day, lr.days::float AS days, lr.reason, lr.status,
+       lr.requested_by, lr.reviewed_at, lr.reviewed_by,
+       TRIM(CONCAT(rv.first_name, ' ', rv.last_name)) AS reviewed_by_name,
+       lr.review_comment, lr.created_at, lr.updated_at`;
+
+const LEAVE_FROM = `leave_requests lr
+       JOIN employees e ON e.employee_id = lr.employee_id
+       LEFT JOIN teams tm ON tm.team_id = e.team_id
+       LEFT JOIN leave_types lt ON lt.leave_type = lr.leave_type
+       LEFT JOIN employees rv ON rv.employee_id = lr.reviewed_by`;
+
+const listLeaveTypes = async ({ includeInactive = false } = {}, db = pool) => {
+  const { rows } = await db.query(
+    `SELECT leave_type, label, annual_allowance::float AS annual_allowance, is_active, sort_order
+       FROM leave_types
+      WHERE $1::bool OR is_active
+      ORDER BY sort_order, label`,
+    [includeInactive]
+  );
+  return rows;
+};
+
+const loadLeaveRequest = async (leaveRequestId, { lock = false } = {}, db = pool) => {
+  const { rows } = await db.query(
+    `SELECT ${LEAVE_COLUMNS}
+       FROM ${LEAVE_FROM}
+      WHERE lr.leave_request_id = $1
+      ${lock ? 'FOR UPDATE OF lr' : ''}`,
+    [leaveRequestId]
+  );
+  return rows[0] || null;
+};
+
+/**
+ * Leave requests matching the filters, newest range first.
+ *   employeeId  one employee's requests
+ *   teamId      requests of that team's members
+ *   statuses    e.g. ['pending']; all states when empty
+ *   year        requests starting in that calendar year
+ */
+const listLeaveRequests = async ({ employeeId = null, teamId = null, statuses = [], year = null } = {}, db = pool) => {
+  const { rows } = await db.query(
+    `SELECT ${LEAVE_COLUMNS}
+       FROM ${LEAVE_FROM}
+      WHERE ($1::int IS NULL OR lr.employee_id = $1)
+        AND ($2::int IS NULL OR e.team_id = $2)
+        AND (cardinality($3::text[]) = 0 OR lr.status = ANY($3::text[]))
+        AND ($4::int IS NULL OR EXTRACT(YEAR FROM lr.start_date) = $4)
+      ORDER BY lr.start_date DESC, lr.leave_request_id DESC`,
+    [employeeId, teamId, statuses, year]
+  );
+  return rows;
+};
+
+// Active requests of the employee that share a day with [startDate, endDate]
+const findOverlappingLeave = async (employeeId, startDate, endDate, db = pool) => {
+  const { rows } = await db.query(
+    `SELECT ${LEAVE_COLUMNS}
+       FROM ${LEAVE_FROM}
+      WHERE lr.employee_id = $1
+        AND lr.status = ANY($4::text[])
+        AND lr.start_date <= $3::date AND lr.end_date >= $2::date
+      ORDER BY lr.start_date`,
+    [employeeId, startDate, endDate, ACTIVE_LEAVE_STATUSES]
+  );
+  return rows;
+};
+
+/**
+ * Working days a request covers for the employee.
+ * @returns {Promise<{ days: { date: string, fraction: number }[], total: number }>}
+ *   fraction is 0.5 on a half start / end day, 1 otherwise
+ */
+const leaveDays = async (employeeId, { startDate, endDate, startHalfDay = false, endHalfDay = false }, db = pool) => {
+  const { days: workingDays } = await listWorkingDays(employeeId, startDate, endDate, db);
+  const days = workingDays.map((day) => {
+    const half = (day === startDate && startHalfDay) || (day === endDate && endHalfDay);
+    return { date: day, fraction: half ? 0.5 : 1 };
+  });
+  return { days, total: days.reduce((sum, d) => sum + d.fraction, 0) };
+};
+
+/**
+ * Leave balance per active type for one calendar year. Requests count in the year they start.
+ * @returns {Promise<{ leave_type: string, label: string, allowance: number|null,
+ *   approved: number, pending: number, remaining: number|null }[]>}
+ *   remaining = allowance - approved - pending, null for types without an allowance
+ */
+const leaveBalance = async (employeeId, year, db = pool) => {
+  const { rows } = await db.query(
+    `SELECT lt.leave_type, lt.label, lt.annual_allowance::float AS allowance,
+            COALESCE(SUM(lr.days) FILTER (WHERE lr.status = 'approved'), 0)::float AS approved,
+            COALESCE(SUM(lr.days) FILTER (WHERE lr.status = 'pending'), 0)::float AS pending
+       FROM leave_types lt
+       LEFT JOIN leave_requests lr
+              ON lr.leave_type = lt.leave_type
+             AND lr.employee_id = $1
+             AND EXTRACT(YEAR FROM lr.start_date) = $2
+      WHERE lt.is_active
+      GROUP BY lt.leave_type, lt.label, lt.annual_allowance, lt.sort_order
+      ORDER BY lt.sort_order, lt.label`,
+    [employeeId, year]
+  );
+  return rows.map((r) => ({
+    ...r,
+    remaining: r.allowance == null ? null : r.allowance - r.approved - r.pending,
+  }));
+};
+
+module.exports = {
+  LEAVE_STATUSES,
+  ACTIVE_LEAVE_STATUSES,
+  LEAVE_ACTIVITY_CODE,
+  MAX_LEAVE_SPAN_DAYS,
+  listLeaveTypes,
+  loadLeaveRequest,
+  listLeaveRequests,
+  findOverlappingLeave,
+  leaveDays,
+  leaveBalance,
+};
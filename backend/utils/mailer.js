@@ -0,0 +1,33 @@
+// utils/mailer.js
+// SMTP settings come from env so development can point at a local catch-all server:
+//   SMTP_HOST, SMTP_PORT (default 587), SMTP_SECURE ('true' for port 465),
+//   SMTP_USER, SMTP_PASS (optional for servers without auth), MAIL_FROM
+const nodemailer = require('nodemailer');
+
+let transporter = null;
+
+const getTransporter = () => {
+  if (transporter) return transporter;
+  if (!process.env.SMTP_HOST) {
+    throw new Error('SMTP_HOST is not configured');
+  }
+
+  const auth = process.env.SMTP_USER
+    ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+    : undefined;
+
+  transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT, 10) || 587,
+    secure: String(process.env.SMTP_SECURE).toLowerCase() === 'true',
+    auth,
+  });
+  return transporter;
+};
+
+const sendMail = async ({ to, subject, text, html }) => {
+  const from = process.env.MAIL_FROM || 'GES SCRUM <no-reply@localhost>';
+  return getTransporter().sendMail({ from, to, subject, text, html });
+};
+
+module.exports = { sendMail };
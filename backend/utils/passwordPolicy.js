@@ -0,0 +1,53 @@
+// utils/passwordPolicy.js
+// Password rules are read from env so each deployment can tighten them:
+//   PASSWORD_MIN_LENGTH (default 8)
+//   PASSWORD_REQUIRE_UPPERCASE / _LOWERCASE / _DIGIT / _SYMBOL ('true' | 'false', default 'true')
+
+const envFlag = (name, fallback = true) => {
+  const v = process.env[name];
+  if (v === undefined || v === '') return fallback;
+  return ['1', 'true', 'yes', 'on'].includes(String(v).trim().toLowerCase());
+};
+
+const getPasswordPolicy = () => {
+  const min = parseInt(process.env.PASSWORD_MIN_LENGTH, 10);
+  return {
+    minLength: Number.isFinite(min) && min > 0 ? min : 8,
+    requireUppercase: envFlag('PASSWORD_REQUIRE_UPPERCASE'),
+    requireLowercase: envFlag('PASSWORD_REQUIRE_LOWERCASE'),
+    requireDigit: envFlag('PASSWORD_REQUIRE_DIGIT'),
+    requireSymbol: envFlag('PASSWORD_REQUIRE_SYMBOL'),
+  };
+};
+
+// Human-readable summary, e.g. for helper text under a password field
+const describePasswordPolicy = (policy = getPasswordPolicy()) => {
+  const parts = [`at least ${policy.minLength} characters`];
+  if (policy.requireUppercase) parts.push('an uppercase letter');
+  if (policy.requireLowercase) parts.push('a lowercase letter');
+  if (policy.requireDigit) parts.push('a digit');
+  if (policy.requireSymbol) parts.push('a symbol');
+  return `Password must contain ${parts.join(', ')}.`;
+};
+
+// Returns a list of violations (empty when the password is acceptable)
+const validatePassword = (password, { email } = {}) => {
+  const policy = getPasswordPolicy();
+  const pwd = String(password ?? '');
+  const errors = [];
+
+  if (pwd.length < policy.minLength) errors.push(`Must be at least ${policy.minLength} characters.`);
+  if (policy.requireUppercase && !/[A-Z]/.test(pwd)) errors.push('Must contain an uppercase letter.');
+  if (policy.requireLowercase && !/[a-z]/.test(pwd)) errors.push('Must contain a lowercase letter.');
+  if (policy.requireDigit && !/\d/.test(pwd)) errors.push('Must contain a digit.');
+  if (policy.requireSymbol && !/[^A-Za-z0-9]/.test(pwd)) errors.push('Must contain a symbol.');
+
+  const localPart = String(email || '').split('@')[0].trim().toLowerCase();
+  if (localPart.length >= 3 && pwd.toLowerCase().includes(localPart)) {
+    errors.push('Must not contain your email name.');
+  }
+
+  return errors;
+};
+
+module.exports = { getPasswordPolicy, describePasswordPolicy, validatePassword };
@@ -0,0 +1,49 @@
+// utils/periods.js
+// Closed periods (closed_periods): date ranges finance has reported on. A period covers one
+// team (team_id) or the whole organisation (team_id NULL). Reopened periods keep their row
+// with reopened_at / reopen_reason set and no longer lock anything.
+const pool = require('../db/pool');
+
+const PERIOD_COLUMNS = `cp.period_id, cp.team_id, t.team_name,
+       to_char(cp.start_date, 'YYYY-MM-DD') AS start_date, to_char(cp.end_date, 'YYYY-MM-DD') AS end_date,
+       cp.note, cp.closed_at, cp.closed_by, cp.reopened_at, cp.reopened_by, cp.reopen_reason`;
+
+const loadPeriod = async (periodId, { lock = false } = {}, db = pool) => {
+  const { rows } = await db.query(
+    `SELECT ${PERIOD_COLUMNS}
+       FROM closed_periods cp
+       LEFT JOIN teams t ON t.team_id = cp.team_id
+      WHERE cp.period_id = $1
+      ${lock ? 'FOR UPDATE OF cp' : ''}`,
+    [periodId]
+  );
+  return rows[0] || null;
+};
+
+// Closed (not reopened) periods that apply to an employee and overlap [startDate, endDate]
+const listClosedPeriodsFor = async (employeeId, startDate, endDate, db = pool) => {
+  const { rows } = await db.query(
+    `SELECT ${PERIOD_COLUMNS}
+       FROM closed_periods cp
+       LEFT JOIN teams t ON t.team_id = cp.team_id
+      WHERE cp.reopened_at IS NULL
+        AND cp.start_date <= $3::date AND cp.end_date >= $2::date
+        AND (cp.team_id IS NULL
+             OR cp.team_id = (SELECT e.team_id FROM employees e WHERE e.employee_id = $1))
+      ORDER BY cp.start_date, cp.period_id`,
+    [employeeId, startDate, endDate]
+  );
+  return rows;
+};
+
+// Closed period covering the given day for the employee, or null when the day is open
+const findClosedPeriod = async (employeeId, day, db = pool) => {
+  const rows = await listClosedPeriodsFor(employeeId, day, day, db);
+  return rows[0] || null;
+};
+
+module.exports = {
+  loadPeriod,
+  listClosedPeriodsFor,
+  findClosedPeriod,
+};
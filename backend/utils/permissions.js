@@ -0,0 +1,73 @@
+// utils/permissions.js
+// Permission catalogue and role → permission lookups.
+// Roles live in `roles`, their grants in `role_permissions`. The built-in `admin`
+// role always holds every permission so an admin can never lock themselves out.
+const pool = require('../db/pool');
+
+const ADMIN_ROLE = 'admin';
+
+// key → description; keep in sync with the seed in db_scripts
+const PERMISSIONS = {
+  'entries.view_team': 'View daily entries of their own team',
+  'entries.view_all': 'View daily entries of every employee',
+  'entries.edit_others': 'Create, edit and delete entries of employees they can view',
+  'reports.view': 'Open team reports',
+  'reports.export': 'Export reports to Excel',
+  'projects.edit': 'Create, edit, delete and import projects',
+  'teams.manage': 'Create, rename and delete teams',
+  'employees.view': 'List all employees',
+  'employees.manage': 'Register, edit, delete, import and unlock employees',
+  'roles.manage': 'Create roles and assign permissions',
+  'audit.view': 'View and export the audit log',
+  'activities.manage': 'Maintain the activity catalog',
+  'timesheets.approve': 'Approve or reject submitted timesheets of employees they can view',
+  'periods.manage': 'Close and reopen accounting periods',
+  'holidays.manage': 'Maintain and import the holiday calendar',
+  'leave.approve': 'Approve or reject leave requests of employees they can view',
+  'business_units.manage': 'Maintain business units and review their merges',
+  'system.admin': 'Settings, snapshots, factory reset and the database inspector',
+};
+
+const ALL_PERMISSIONS = Object.keys(PERMISSIONS);
+
+const loadRolePermissions = async (role, db = pool) => {
+  if (role === ADMIN_ROLE) return [...ALL_PERMISSIONS];
+  const { rows } = await db.query(
+    'SELECT permission_key FROM role_permissions WHERE role_key = $1 ORDER BY permission_key',
+    [role]
+  );
+  return rows.map((r) => r.permission_key);
+};
+
+const roleExists = async (role, db = pool) => {
+  const { rows } = await db.query('SELECT 1 FROM roles WHERE role_key = $1', [String(role)]);
+  return rows.length > 0;
+};
+
+// True when the user holds at least one of the given permissions
+const hasPermission = (user, ...permissions) => {
+  if (!user) return false;
+  if (user.role === ADMIN_ROLE) return true;
+  const granted = user.permissions || [];
+  return permissions.some((p) => granted.includes(p));
+};
+
+// Whether the user may give an employee this role: holders of roles.manage may assign any role,
+// everyone else only roles whose permissions they hold themselves, and never admin.
+const canAssignRole = async (user, role, db = pool) => {
+  if (hasPermission(user, 'roles.manage')) return true;
+  if (role === ADMIN_ROLE) return false;
+  const granted = user?.permissions || [];
+  const required = await loadRolePermissions(role, db);
+  return required.every((p) => granted.includes(p));
+};
+
+module.exports = {
+  ADMIN_ROLE,
+  PERMISSIONS,
+  ALL_PERMISSIONS,
+  loadRolePermissions,
+  roleExists,
+  hasPermission,
+  canAssignRole,
+};
@@ -0,0 +1,67 @@
+// utils/projectAssignments.js
+// Project assignments (project_assignments): an employee planned on a project in a role, over an
+// optional window, for a number of hours a week. Assigned projects pre-populate the employee's
+// daily project tab (routes/daily.js) and reports set the planned hours against the logged ones.
+const pool = require('../db/pool');
+
+/**
+ * Assignments with planned and logged hours.
+ *   projectId / employeeId / assignmentId  filters
+ *   startDate, endDate  report range: only assignments overlapping it, hours counted inside it.
+ *                       Without a range the hours run from the planned start up to today.
+ * planned_hours prorates planned_hours_per_week over the calendar days of the window (days / 7);
+ * it is null when the assignment has no planned hours or no start to count from.
+ * logged_hours sums the employee's daily project hours on the project in the same window.
+ */
+const listAssignments = async (
+  { projectId = null, employeeId = null, assignmentId = null, startDate = null, endDate = null } = {},
+  db = pool
+) => {
+  const { rows } = await db.query(
+    `WITH windowed AS (
+       SELECT pa.*,
+              GREATEST(pa.planned_start_date, $4::date) AS window_start,
+              LEAST(pa.planned_end_date, COALESCE($5::date, CURRENT_DATE)) AS window_end
+         FROM project_assignments pa
+        WHERE ($1::varchar IS NULL OR pa.project_id = $1)
+          AND ($2::int IS NULL OR pa.employee_id = $2)
+          AND ($3::int IS NULL OR pa.assignment_id = $3)
+          AND ($5::date IS NULL OR pa.planned_start_date IS NULL OR pa.planned_start_date <= $5::date)
+          AND ($4::date IS NULL OR pa.planned_end_date IS NULL OR pa.planned_end_date >= $4::date)
+     )
+     SELECT w.assignment_id, w.project_id, p.project_name, w.employee_id,
+            TRIM(CONCAT(e.first_name, ' ', e.last_name)) AS employee_name, e.team_id,
+            w.project_role,
+            to_char(w.planned_start_date, 'YYYY-MM-DD') AS planned_start_date,
+            to_char(w.planned_end_date, 'YYYY-MM-DD') AS planned_end_date,
+            w.planned_hours_per_week::float AS planned_hours_per_week,
+            CASE
+              WHEN w.planned_hours_per_week IS NULL OR w.window_start IS NULL THEN NULL
+              WHEN w.window_end < w.window_start THEN 0
+              ELSE ROUND(w.planned_hours_per_week * (w.window_end - w.window_start + 1) / 7.0, 2)::float
+            END AS planned_hours,
+            (SELECT COALESCE(SUM(d.employee_project_hours), 0)::float
+               FROM daily_entry_project_utilization d
+              WHERE d.employee_id = w.employee_id
+                AND d.project_id = w.project_id
+                AND (w.window_start IS NULL OR d.entry_date >= w.window_start)
+                AND d.entry_date <= w.window_end) AS logged_hours,
+            w.created_at, w.updated_at
+       FROM windowed w
+       JOIN projects p ON p.project_id = w.project_id
+       JOIN employees e ON e.employee_id = w.employee_id
+      ORDER BY lower(p.project_name), employee_name`,
+    [projectId, employeeId, assignmentId, startDate, endDate]
+  );
+  return rows;
+};
+
+const loadAssignment = async (assignmentId, db = pool) => {
+  const [assignment] = await listAssignments({ assignmentId }, db);
+  return assignment || null;
+};
+
+module.exports = {
+  listAssignments,
+  loadAssignment,
+};
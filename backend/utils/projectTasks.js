@@ -0,0 +1,188 @@
+// utils/projectTasks.js
+// Tasks under a project (project_tasks) and the task split of daily project hours
+// (daily_entry_task_hours). A split is optional: the hours of an employee-project-day row that
+// are not split across tasks stay on the project alone, and the split never exceeds the row.
+const pool = require('../db/pool');
+const { employeeScopeCondition } = require('../middleware/scopeMiddleware');
+
+const TASK_STATUSES = ['Open', 'In Progress', 'Blocked', 'Done'];
+
+// Hours rollups count every employee, or with a viewer (req.user) only those they may view,
+// like the other project reports
+const viewerScope = (viewer, column, from) => (
+  viewer ? employeeScopeCondition(viewer, column, from) : { sql: 'TRUE', params: [] }
+);
+
+/**
+ * Tasks with their rollups, by project or a single task.
+ * logged_hours sums the split hours on the task; remaining_hours is the estimate minus them
+ * (null without an estimate, negative when over it).
+ * With a viewer both only count the employees they may view.
+ */
+const listTasks = async ({ projectId = null, taskId = null, viewer = null } = {}, db = pool) => {
+  const scope = viewerScope(viewer, 'employee_id', 3);
+  const { rows } = await db.query(
+    `SELECT t.task_id, t.project_id, t.title, t.owner_id,
+            NULLIF(TRIM(CONCAT(o.first_name, ' ', o.last_name)), '') AS owner_name,
+            t.status, t.estimate_hours::float AS estimate_hours,
+            to_char(t.due_date, 'YYYY-MM-DD') AS due_date,
+            COALESCE(h.logged_hours, 0)::float AS logged_hours,
+            (t.estimate_hours - COALESCE(h.logged_hours, 0))::float AS remaining_hours,
+            COALESCE(h.contributors, 0)::int AS contributors,
+            t.created_at, t.updated_at
+       FROM project_tasks t
+       LEFT JOIN employees o ON o.employee_id = t.owner_id
+       LEFT JOIN (
+         SELECT task_id, SUM(task_hours) AS logged_hours, COUNT(DISTINCT employee_id) AS contributors
+           FROM daily_entry_task_hours
+          WHERE ${scope.sql}
+          GROUP BY task_id
+       ) h ON h.task_id = t.task_id
+      WHERE ($1::varchar IS NULL OR t.project_id = $1)
+        AND ($2::int IS NULL OR t.task_id = $2)
+      ORDER BY t.status = 'Done', t.due_date NULLS LAST, lower(t.title)`,
+    [projectId, taskId, ...scope.params]
+  );
+  return rows;
+};
+
+const loadTask = async (taskId, db = pool, viewer = null) => {
+  const [task] = await listTasks({ taskId, viewer }, db);
+  return task || null;
+};
+
+// Project totals for the detail view: hours logged on the project, the part split across tasks
+// and the part that is not; with a viewer only the employees they may view
+const projectHourTotals = async (projectId, db = pool, viewer = null) => {
+  const scope = viewerScope(viewer, 'd.employee_id', 2);
+  const { rows } = await db.query(
+    `SELECT COALESCE(SUM(d.employee_project_hours), 0)::float AS logged_hours,
+            COALESCE(SUM(s.split_hours), 0)::float AS task_hours,
+            COUNT(DISTINCT d.employee_id)::int AS contributors
+       FROM daily_entry_project_utilization d
+       LEFT JOIN (
+         SELECT employee_id, entry_date, SUM(task_hours) AS split_hours
+           FROM daily_entry_task_hours
+          WHERE project_id = $1
+          GROUP BY employee_id, entry_date
+       ) s ON s.employee_id = d.employee_id AND s.entry_date = d.entry_date
+      WHERE d.project_id = $1
+        AND ${scope.sql}`,
+    [projectId, ...scope.params]
+  );
+  const totals = rows[0];
+  return { ...totals, unallocated_hours: Math.round((totals.logged_hours - totals.task_hours) * 100) / 100 };
+};
+
+// Task split of every project row of one employee-day
+const listDayTaskSplits = async (employeeId, day, db = pool) => {
+  const { rows } = await db.query(
+    `SELECT th.project_id, th.task_id, t.title, t.status, th.task_hours::float AS hours
+       FROM daily_entry_task_hours th
+       JOIN project_tasks t ON t.task_id = th.task_id
+      WHERE th.employee_id = $1 AND th.entry_date = $2::date
+      ORDER BY th.project_id, lower(t.title)`,
+    [employeeId, day]
+  );
+  return rows;
+};
+
+/**
+ * Replaces the task split of one employee-project-day row; the row must exist.
+ * tasks: [{ taskId, hours }] with hours > 0. Tasks of another project are reported as
+ * `${field}.<index>.taskId` errors. Whether the split fits the row's hours is checked by
+ * checkTaskSplits once the row itself is saved.
+ * Returns { errors } or { before, after } with the old and new splits.
+ */
+const replaceTaskSplit = async (client, { employeeId, projectId, day, tasks, field = 'tasks' }) => {
+  const { rows: known } = await client.query(
+    'SELECT task_id FROM project_tasks WHERE project_id = $1 AND task_id = ANY($2::int[])',
+    [projectId, tasks.map((t) => t.taskId)]
+  );
+  const errors = [];
+  tasks.forEach((t, idx) => {
+    if (!known.some((k) => k.task_id === t.taskId)) {
+      errors.push({ location: 'body', field: `${field}.${idx}.taskId`, message: `Task ${t.taskId} is not a task of project "${projectId}"` });
+    }
+  });
+  if (errors.length) return { errors };
+
+  const before = await client.query(
+    `DELETE FROM daily_entry_task_hours
+      WHERE employee_id = $1 AND project_id = $2 AND entry_date = $3::date
+      RETURNING task_id, task_hours::float AS hours`,
+    [employeeId, projectId, day]
+  );
+  const after = [];
+  for (const t of tasks) {
+    const inserted = await client.query(
+      `INSERT INTO daily_entry_task_hours (employee_id, project_id, entry_date, task_id, task_hours)
+       VALUES ($1, $2, $3::date, $4, $5)
+       RETURNING task_id, task_hours::float AS hours`,
+      [employeeId, projectId, day, t.taskId, t.hours]
+    );
+    after.push(inserted.rows[0]);
+  }
+  return { before: before.rows, after };
+};
+
+// Project rows of an employee-day whose task split is larger than the row's hours:
+// [{ project_id, message }]
+const checkTaskSplits = async (employeeId, day, db = pool) => {
+  const { rows } = await db.query(
+    `SELECT d.project_id, COALESCE(d.employee_project_hours, 0)::float AS hours, SUM(th.task_hours)::float AS split
+       FROM daily_entry_project_utilization d
+       JOIN daily_entry_task_hours th
+         ON th.employee_id = d.employee_id AND th.project_id = d.project_id AND th.entry_date = d.entry_date
+      WHERE d.employee_id = $1 AND d.entry_date = $2::date
+      GROUP BY d.project_id, d.employee_project_hours
+     HAVING SUM(th.task_hours) > COALESCE(d.employee_project_hours, 0)`,
+    [employeeId, day]
+  );
+  return rows.map((r) => ({
+    project_id: r.project_id,
+    message: `Task hours (${r.split} h) exceed the ${r.hours} h logged on project "${r.project_id}" on ${day}`,
+  }));
+};
+
+// For writers that replace a day wholesale (revision restore, copy / template fill): drops the
+// task split of rows it no longer fits. Returns the project ids whose split was dropped.
+const dropOversizedTaskSplits = async (client, employeeId, day) => {
+  const oversized = await checkTaskSplits(employeeId, day, client);
+  if (!oversized.length) return [];
+  const projectIds = oversized.map((o) => o.project_id);
+  await client.query(
+    `DELETE FROM daily_entry_task_hours
+      WHERE employee_id = $1 AND entry_date = $2::date AND project_id = ANY($3::varchar[])`,
+    [employeeId, day, projectIds]
+  );
+  return projectIds;
+};
+
+// Hours per task of one employee over a report range
+const listTaskHours = async ({ employeeId, startDate, endDate }, db = pool) => {
+  const { rows } = await db.query(
+    `SELECT th.project_id, p.project_name, th.task_id, t.title, t.status,
+            SUM(th.task_hours)::float AS hours
+       FROM daily_entry_task_hours th
+       JOIN project_tasks t ON t.task_id = th.task_id
+       LEFT JOIN projects p ON p.project_id = th.project_id
+      WHERE th.employee_id = $1 AND th.entry_date BETWEEN $2::date AND $3::date
+      GROUP BY th.project_id, p.project_name, th.task_id, t.title, t.status
+      ORDER BY lower(p.project_name), lower(t.title)`,
+    [employeeId, startDate, endDate]
+  );
+  return rows;
+};
+
+module.exports = {
+  TASK_STATUSES,
+  listTasks,
+  loadTask,
+  projectHourTotals,
+  listDayTaskSplits,
+  replaceTaskSplit,
+  checkTaskSplits,
+  dropOversizedTaskSplits,
+  listTaskHours,
+};
@@ -0,0 +1,149 @@
+// utils/recycleBin.js
+// Soft delete of teams, employees and projects. Deleting one sets archived_at / archived_by; the
+// row and every daily entry that points at it stay, so reports keep their history. Archived rows
+// are left out of lists and pickers (and archived employees cannot sign in) until they are
+// restored from the recycle bin or purged there, which is the old hard delete.
+const { ENTITY_TYPES, recordAudit } = require('./audit');
+const { recordDayRevisions } = require('./entryRevisions');
+const pool = require('../db/pool');
+
+// Hard deletes; each returns the counts stored in the audit entry's metadata
+const purgeTeam = async (client, req, teamId) => {
+  // Archived members may still point at the team; active ones block archiving it
+  const unassigned = await client.query('UPDATE employees SET team_id = NULL WHERE team_id = $1', [teamId]);
+  await client.query('DELETE FROM teams WHERE team_id = $1', [teamId]);
+  return { unassignedEmployees: unassigned.rowCount };
+};
+
+const purgeEmployee = async (client, req, employeeId) => {
+  const projectRows = await client.query('DELETE FROM daily_entry_project_utilization WHERE employee_id = $1', [employeeId]);
+  const utilizationRows = await client.query('DELETE FROM daily_entry_utilization WHERE employee_id = $1', [employeeId]);
+  await client.query('DELETE FROM employees WHERE employee_id = $1', [employeeId]);
+  return { deletedProjectUtilizationRows: projectRows.rowCount, deletedUtilizationRows: utilizationRows.rowCount };
+};
+
+const purgeProject = async (client, req, projectId) => {
+  const usage = await client.query(
+    `DELETE FROM daily_entry_project_utilization WHERE project_id = $1
+     RETURNING employee_id, to_char(entry_date, 'YYYY-MM-DD') AS entry_date`,
+    [projectId]
+  );
+  await recordDayRevisions(
+    client, req, usage.rows.map((r) => ({ employeeId: r.employee_id, day: r.entry_date })), { source: 'project_delete' }
+  );
+  await client.query('DELETE FROM projects WHERE project_id = $1', [projectId]);
+  return { deletedProjectUtilizationRows: usage.rowCount };
+};
+
+// type (as used in /api/recycle-bin/:type/:id) → table and the columns kept in audit entries
+const RECYCLABLE = {
+  team: {
+    entityType: ENTITY_TYPES.TEAM,
+    table: 'teams',
+    key: 'team_id',
+    columns: 'team_id, team_name',
+    purge: purgeTeam,
+  },
+  employee: {
+    entityType: ENTITY_TYPES.EMPLOYEE,
+    table: 'employees',
+    key: 'employee_id',
+    columns: 'employee_id, first_name, last_name, email, role, team_id',
+    purge: purgeEmployee,
+  },
+  project: {
+    entityType: ENTITY_TYPES.PROJECT,
+    table: 'projects',
+    key: 'project_id',
+    columns: 'project_id, project_name, bu_id, status',
+    purge: purgeProject,
+  },
+};
+
+const RECYCLABLE_TYPES = Object.keys(RECYCLABLE);
+
+// Sets archived_at / archived_by on (archive) or off (restore) an active / archived row.
+// Returns the row as it is afterwards, or null when there is no such row in that state.
+const setArchived = async (client, req, type, id, archive) => {
+  const { entityType, table, key, columns } = RECYCLABLE[type];
+  const { rows } = await client.query(
+    `UPDATE ${table}
+        SET archived_at = CASE WHEN $2::bool THEN NOW() END,
+            archived_by = CASE WHEN $2::bool THEN $3::int END
+      WHERE ${key} = $1
+        AND (archived_at IS NULL) = $2::bool
+      RETURNING ${columns}, archived_at, archived_by`,
+    [id, archive, req.user?.employeeId ?? null]
+  );
+  if (!rows.length) return null;
+  const after = rows[0];
+  await recordAudit(client, req, {
+    entityType,
+    entityId: id,
+    action: archive ? 'delete' : 'update',
+    before: archive ? { ...after, archived_at: null, archived_by: null } : undefined,
+    after: archive ? undefined : after,
+    metadata: { operation: archive ? 'archive' : 'restore' },
+  });
+  return after;
+};
+
+const archiveRecord = (client, req, type, id) => setArchived(client, req, type, id, true);
+const restoreRecord = (client, req, type, id) => setArchived(client, req, type, id, false);
+
+// Permanently deletes an archived row; null when it is not in the recycle bin
+const purgeRecord = async (client, req, type, id) => {
+  const { entityType, table, key, columns, purge } = RECYCLABLE[type];
+  const { rows } = await client.query(
+    `SELECT ${columns}, archived_at, archived_by FROM ${table} WHERE ${key} = $1 AND archived_at IS NOT NULL FOR UPDATE`,
+    [id]
+  );
+  if (!rows.length) return null;
+  const counts = await purge(client, req, id);
+  await recordAudit(client, req, {
+    entityType, entityId: id, action: 'delete', before: rows[0], metadata: { operation: 'purge', ...counts },
+  });
+  return rows[0];
+};
+
+// Everything in the recycle bin, most recently archived first:
+// [{ type, id, name, detail, archived_at, archived_by, archived_by_name, entry_count, member_count }]
+// entry_count is what a purge deletes (a team purge keeps its members' entries).
+const listArchived = async (db = pool) => {
+  const { rows } = await db.query(
+    `SELECT x.*, NULLIF(TRIM(CONCAT(a.first_name, ' ', a.last_name)), '') AS archived_by_name
+       FROM (
+             SELECT 'team' AS type, t.team_id::text AS id, t.team_name AS name, NULL AS detail,
+                    t.archived_at, t.archived_by, 0 AS entry_count,
+                    (SELECT COUNT(*)::int FROM employees e WHERE e.team_id = t.team_id) AS member_count
+               FROM teams t
+              WHERE t.archived_at IS NOT NULL
+             UNION ALL
+             SELECT 'employee', e.employee_id::text, TRIM(CONCAT(e.first_name, ' ', e.last_name)), e.email,
+                    e.archived_at, e.archived_by,
+                    (SELECT COUNT(*)::int FROM daily_entry_utilization u WHERE u.employee_id = e.employee_id)
+                    + (SELECT COUNT(*)::int FROM daily_entry_project_utilization p WHERE p.employee_id = e.employee_id),
+                    NULL
+               FROM employees e
+              WHERE e.archived_at IS NOT NULL
+             UNION ALL
+             SELECT 'project', p.project_id, p.project_name, p.bu_id,
+                    p.archived_at, p.archived_by,
+                    (SELECT COUNT(*)::int FROM daily_entry_project_utilization d WHERE d.project_id = p.project_id),
+                    NULL
+               FROM projects p
+              WHERE p.archived_at IS NOT NULL
+            ) x
+       LEFT JOIN employees a ON a.employee_id = x.archived_by
+      ORDER BY x.archived_at DESC, x.type, x.name`
+  );
+  return rows;
+};
+
+module.exports = {
+  RECYCLABLE_TYPES,
+  archiveRecord,
+  restoreRecord,
+  purgeRecord,
+  listArchived,
+};
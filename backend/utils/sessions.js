@@ -0,0 +1,121 @@
+// utils/sessions.js
+// Server-side session registry backing short-lived access tokens.
+//   ACCESS_TOKEN_TTL        jsonwebtoken expiresIn for access tokens (default '15m')
+//   REFRESH_TOKEN_TTL_DAYS  lifetime of a session's refresh token (default 30)
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const pool = require('../db/pool');
+const { loadRolePermissions } = require('./permissions');
+
+const JWT_SECRET = process.env.JWT_SECRET;
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30;
+
+// Opaque tokens (refresh, reset) are only ever stored as a SHA-256 hash
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+const generateToken = () => crypto.randomBytes(48).toString('hex');
+
+// `permissions` is a hint for the UI only; the server re-reads grants on every request
+const signAccessToken = (user, sessionId) =>
+  jwt.sign(
+    {
+      employeeId: user.employee_id,
+      email: user.email,
+      role: user.role,
+      permissions: user.permissions || [],
+      teamId: user.team_id,
+      firstName: user.first_name,
+      sid: sessionId,
+      mustChangePassword: !!user.must_change_password,
+    },
+    JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+
+// Short "Browser on OS" label for the sessions list
+const describeUserAgent = (ua = '') => {
+  const s = String(ua || '');
+  if (!s) return 'Unknown device';
+  const browser =
+    /Edg\//.test(s) ? 'Edge'
+    : /OPR\//.test(s) ? 'Opera'
+    : /Chrome\//.test(s) ? 'Chrome'
+    : /Firefox\//.test(s) ? 'Firefox'
+    : /Safari\//.test(s) ? 'Safari'
+    : /curl|python|node|axios|postman/i.test(s) ? 'Script'
+    : 'Browser';
+  const os =
+    /Windows/.test(s) ? 'Windows'
+    : /Android/.test(s) ? 'Android'
+    : /iPhone|iPad/.test(s) ? 'iOS'
+    : /Mac OS X|Macintosh/.test(s) ? 'macOS'
+    : /Linux/.test(s) ? 'Linux'
+    : 'Unknown OS';
+  return `${browser} on ${os}`;
+};
+
+// Creates a session row and returns { token, refreshToken } for it
+const createSession = async (user, req, db = pool) => {
+  const refreshToken = generateToken();
+  const { rows } = await db.query(
+    `INSERT INTO sessions (employee_id, refresh_token_hash, user_agent, ip_address, expires_at)
+     VALUES ($1, $2, $3, $4, NOW() + make_interval(days => $5))
+     RETURNING session_id`,
+    [
+      user.employee_id,
+      hashToken(refreshToken),
+      String(req.headers['user-agent'] || '').slice(0, 512) || null,
+      req.ip || null,
+      REFRESH_TOKEN_TTL_DAYS,
+    ]
+  );
+  const sessionId = rows[0].session_id;
+  const permissions = await loadRolePermissions(user.role, db);
+  return { token: signAccessToken({ ...user, permissions }, sessionId), refreshToken, sessionId };
+};
+
+// Exchanges a refresh token for a new pair; the old refresh token stops working.
+// Returns null when the token is unknown, revoked or expired.
+const rotateSession = async (refreshToken, req, db = pool) => {
+  const nextRefreshToken = generateToken();
+  const { rows } = await db.query(
+    `UPDATE sessions s
+        SET refresh_token_hash = $2,
+            last_used_at = NOW(),
+            ip_address = COALESCE($3, s.ip_address)
+       FROM employees e
+      WHERE s.refresh_token_hash = $1
+        AND s.revoked_at IS NULL
+        AND s.expires_at > NOW()
+        AND e.employee_id = s.employee_id
+        AND e.archived_at IS NULL
+      RETURNING s.session_id, e.*`,
+    [hashToken(refreshToken), hashToken(nextRefreshToken), req.ip || null]
+  );
+  if (!rows.length) return null;
+  const { session_id: sessionId, ...user } = rows[0];
+  const permissions = await loadRolePermissions(user.role, db);
+  return { token: signAccessToken({ ...user, permissions }, sessionId), refreshToken: nextRefreshToken, sessionId };
+};
+
+// Revokes sessions of one employee; pass exceptSessionId to keep the caller signed in
+const revokeEmployeeSessions = async (employeeId, { exceptSessionId = null } = {}, db = pool) => {
+  const { rowCount } = await db.query(
+    `UPDATE sessions
+        SET revoked_at = NOW()
+      WHERE employee_id = $1
+        AND revoked_at IS NULL
+        AND ($2::int IS NULL OR session_id <> $2::int)`,
+    [employeeId, exceptSessionId]
+  );
+  return rowCount;
+};
+
+module.exports = {
+  hashToken,
+  signAccessToken,
+  describeUserAgent,
+  createSession,
+  rotateSession,
+  revokeEmployeeSessions,
+};
@@ -0,0 +1,186 @@
+// utils/snapshots.js
+// JSON exports of every table, written to SNAPSHOT_DIR (default ./snapshots).
+// Rows are serialized by Postgres itself (json_agg) so DATE columns stay 'YYYY-MM-DD'.
+const fs = require('fs/promises');
+const path = require('path');
+const pool = require('../db/pool');
+
+const SNAPSHOT_DIR = path.resolve(process.env.SNAPSHOT_DIR || path.join(__dirname, '..', 'snapshots'));
+const SNAPSHOT_FILE_RE = /^snapshot-[\w-]+\.json$/;
+
+// Auth state is never exported or restored; a restore signs everyone out and voids API tokens
+const EPHEMERAL_TABLES = ['sessions', 'password_reset_tokens', 'api_tokens'];
+
+const quoteIdent = (name) => `"${String(name).replace(/"/g, '""')}"`;
+
+const listTables = async (db) => {
+  const { rows } = await db.query(
+    `SELECT table_name
+       FROM information_schema.tables
+      WHERE table_schema = 'public' AND table_type = 'BASE TABLE'
+      ORDER BY table_name`
+  );
+  return rows.map((r) => r.table_name);
+};
+
+// Orders tables so that referenced tables come before the tables referencing them.
+// Deferrable keys are left out: restoreSnapshot defers them to the commit, which is what lets
+// cycles such as employees.team_id → teams / teams.archived_by → employees be restored.
+const sortByDependencies = async (db, tables) => {
+  const { rows } = await db.query(
+    `SELECT DISTINCT child.relname AS child, parent.relname AS parent
+       FROM pg_constraint c
+       JOIN pg_class child  ON child.oid  = c.conrelid
+       JOIN pg_class parent ON parent.oid = c.confrelid
+       JOIN pg_namespace n  ON n.oid = child.relnamespace
+      WHERE c.contype = 'f' AND n.nspname = 'public' AND NOT c.condeferrable`
+  );
+  const deps = new Map(tables.map((t) => [t, new Set()]));
+  rows.forEach(({ child, parent }) => {
+    if (child !== parent && deps.has(child) && deps.has(parent)) deps.get(child).add(parent);
+  });
+
+  const ordered = [];
+  const visiting = new Set();
+  const visit = (t) => {
+    if (ordered.includes(t) || visiting.has(t)) return;
+    visiting.add(t);
+    deps.get(t).forEach(visit);
+    visiting.delete(t);
+    ordered.push(t);
+  };
+  tables.forEach(visit);
+  return ordered;
+};
+
+// Moves identity sequences past the highest restored/re-inserted id
+const resetIdentitySequences = async (db, tables) => {
+  const { rows } = await db.query(
+    `SELECT table_name, column_name
+       FROM information_schema.columns
+      WHERE table_schema = 'public' AND is_identity = 'YES' AND table_name = ANY($1::text[])`,
+    [tables]
+  );
+  for (const { table_name, column_name } of rows) {
+    const t = quoteIdent(table_name);
+    const c = quoteIdent(column_name);
+    await db.query(
+      `SELECT setval(pg_get_serial_sequence($1, $2), COALESCE((SELECT MAX(${c}) FROM public.${t}), 0) + 1, false)`,
+      [`public.${t}`, column_name]
+    );
+  }
+};
+
+const timestampSlug = (d = new Date()) =>
+  d.toISOString().replace(/[-:]/g, '').replace('T', '-').slice(0, 15);
+
+// Writes a snapshot of every (non-ephemeral) table and returns its metadata
+const createSnapshot = async ({ reason = 'manual', createdBy = null } = {}, db = pool) => {
+  const tables = (await listTables(db)).filter((t) => !EPHEMERAL_TABLES.includes(t));
+  const data = {};
+  const rowCounts = {};
+  for (const t of tables) {
+    const { rows } = await db.query(`SELECT COALESCE(json_agg(x), '[]'::json) AS rows FROM public.${quoteIdent(t)} x`);
+    data[t] = rows[0].rows;
+    rowCounts[t] = data[t].length;
+  }
+
+  const createdAt = new Date();
+  const slug = String(reason).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'manual';
+  const fileName = `snapshot-${timestampSlug(createdAt)}-${slug}.json`;
+
+  await fs.mkdir(SNAPSHOT_DIR, { recursive: true });
+  await fs.writeFile(
+    path.join(SNAPSHOT_DIR, fileName),
+    JSON.stringify({ createdAt: createdAt.toISOString(), createdBy, reason, rowCounts, tables: data })
+  );
+  return { fileName, createdAt, reason, rowCounts };
+};
+
+const listSnapshots = async () => {
+  let names = [];
+  try {
+    names = (await fs.readdir(SNAPSHOT_DIR)).filter((n) => SNAPSHOT_FILE_RE.test(n));
+  } catch (err) {
+    if (err.code === 'ENOENT') return [];
+    throw err;
+  }
+  const items = await Promise.all(
+    names.map(async (fileName) => {
+      const stat = await fs.stat(path.join(SNAPSHOT_DIR, fileName));
+      return { fileName, sizeBytes: stat.size, createdAt: stat.mtime };
+    })
+  );
+  return items.sort((a, b) => b.createdAt - a.createdAt);
+};
+
+// Absolute path of a snapshot, or null for names that aren't snapshot files
+const resolveSnapshotPath = (fileName) =>
+  SNAPSHOT_FILE_RE.test(String(fileName || '')) ? path.join(SNAPSHOT_DIR, fileName) : null;
+
+// Replaces the current data with the snapshot contents. Run inside a transaction.
+const restoreSnapshot = async (client, fileName) => {
+  const filePath = resolveSnapshotPath(fileName);
+  if (!filePath) throw Object.assign(new Error('Invalid snapshot name.'), { status: 400 });
+
+  let snapshot;
+  try {
+    snapshot = JSON.parse(await fs.readFile(filePath, 'utf8'));
+  } catch (err) {
+    if (err.code === 'ENOENT') throw Object.assign(new Error('Snapshot not found.'), { status: 404 });
+    throw Object.assign(new Error('Snapshot file is unreadable.'), { status: 400 });
+  }
+
+  // Deferrable keys (the archived_by ones) are checked once every table is back
+  await client.query('SET CONSTRAINTS ALL DEFERRED');
+
+  const existing = await listTables(client);
+  const tables = Object.keys(snapshot.tables || {}).filter((t) => existing.includes(t));
+  const wipe = [...new Set([...tables, ...EPHEMERAL_TABLES.filter((t) => existing.includes(t))])];
+  if (wipe.length) {
+    await client.query(`TRUNCATE TABLE ${wipe.map((t) => `public.${quoteIdent(t)}`).join(', ')} RESTART IDENTITY CASCADE`);
+  }
+
+  const columnsQ = await client.query(
+    `SELECT table_name, column_name
+       FROM information_schema.columns
+      WHERE table_schema = 'public' AND table_name = ANY($1::text[])`,
+    [tables]
+  );
+  const columnsByTable = new Map();
+  columnsQ.rows.forEach(({ table_name, column_name }) => {
+    if (!columnsByTable.has(table_name)) columnsByTable.set(table_name, new Set());
+    columnsByTable.get(table_name).add(column_name);
+  });
+
+  const restored = {};
+  for (const t of await sortByDependencies(client, tables)) {
+    const rows = snapshot.tables[t] || [];
+    restored[t] = rows.length;
+    if (!rows.length) continue;
+
+    // Only columns present both in the file and the current schema
+    const cols = Object.keys(rows[0]).filter((c) => columnsByTable.get(t)?.has(c));
+    const colList = cols.map(quoteIdent).join(', ');
+    await client.query(
+      `INSERT INTO public.${quoteIdent(t)} (${colList}) OVERRIDING SYSTEM VALUE
+       SELECT ${colList} FROM json_populate_recordset(NULL::public.${quoteIdent(t)}, $1::json)`,
+      [JSON.stringify(rows)]
+    );
+  }
+
+  await resetIdentitySequences(client, tables);
+  return { fileName, restored };
+};
+
+module.exports = {
+  EPHEMERAL_TABLES,
+  SNAPSHOT_FILE_RE,
+  listTables,
+  sortByDependencies,
+  resetIdentitySequences,
+  createSnapshot,
+  listSnapshots,
+  resolveSnapshotPath,
+  restoreSnapshot,
+};
@@ -0,0 +1,59 @@
+// utils/spreadsheet.js
+// Cell helpers shared by the XLSX / CSV import routes.
+const XLSX = require('xlsx');
+
+const norm = (v = '') => String(v).trim();
+
+function ymd(y, m, d) {
+  return `${String(y).padStart(4, '0')}-${String(m).padStart(2, '0')}-${String(d).padStart(2, '0')}`;
+}
+
+// 'YYYY-MM-DD' for a real calendar day, null for e.g. Feb 31st or month 13
+function calendarDate(y, m, d) {
+  const dt = new Date(0);
+  dt.setUTCFullYear(y, m - 1, d);
+  if (dt.getUTCFullYear() !== y || dt.getUTCMonth() !== m - 1 || dt.getUTCDate() !== d) return null;
+  return ymd(y, m, d);
+}
+
+/**
+ * Convert any supported input to a plain 'YYYY-MM-DD' string WITHOUT timezone math.
+ * Only spreadsheet cells need this; JSON bodies are checked by the Joi schemas.
+ * Returns null when the input is not a real calendar date, so imports can report the cell.
+ */
+function toISODate(v) {
+  if (v === undefined || v === null || v === '') return null;
+
+  // Excel serial numbers from XLSX
+  if (typeof v === 'number') {
+    const d = XLSX.SSF.parse_date_code(v);
+    if (!d) return null;
+    return calendarDate(d.y, d.m, d.d); // calendar-only, no timezone
+  }
+
+  const s = norm(v);
+  if (!s) return null;
+
+  // Already YYYY-MM-DD
+  const iso = s.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (iso) return calendarDate(Number(iso[1]), Number(iso[2]), Number(iso[3]));
+
+  // Handle dd/mm/yyyy or mm/dd/yyyy (and with '-' or '.')
+  const m = s.match(/^(\d{1,2})[\/.\-](\d{1,2})[\/.\-](\d{2,4})$/);
+  if (m) {
+    const a = parseInt(m[1], 10);
+    const b = parseInt(m[2], 10);
+    const y = m[3].length === 2 ? 2000 + parseInt(m[3], 10) : parseInt(m[3], 10);
+    // Heuristic: if first part > 12, it's day-first; else assume month-first
+    const day = a > 12 ? a : b;
+    const mon = a > 12 ? b : a;
+    return calendarDate(y, mon, day);
+  }
+
+  // Last resort: JS Date parse, but extract LOCAL parts (no UTC conversion)
+  const dt = new Date(s);
+  if (isNaN(dt.getTime())) return null;
+  return ymd(dt.getFullYear(), dt.getMonth() + 1, dt.getDate());
+}
+
+module.exports = { ymd, calendarDate, toISODate };
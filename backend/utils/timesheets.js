@@ -0,0 +1,105 @@
+// utils/timesheets.js
+// Weekly timesheets (timesheets). A week runs Monday to Sunday and is identified by
+// its Monday. Weeks without a row are drafts.
+//   draft / rejected → submitted → approved | rejected
+const pool = require('../db/pool');
+
+const TIMESHEET_STATUSES = ['draft', 'submitted', 'approved', 'rejected'];
+
+// Statuses a week may be submitted from, and the status that freezes its entries
+const SUBMITTABLE_STATUSES = ['draft', 'rejected'];
+const LOCKED_STATUS = 'approved';
+
+// Dates are 'YYYY-MM-DD' strings; the math runs in UTC so no timezone shifts the day
+const parseYmd = (ymd) => {
+  const [y, m, d] = String(ymd).slice(0, 10).split('-').map(Number);
+  return new Date(Date.UTC(y, m - 1, d));
+};
+const formatYmd = (date) => date.toISOString().slice(0, 10);
+
+const addDays = (ymd, days) => {
+  const d = parseYmd(ymd);
+  d.setUTCDate(d.getUTCDate() + days);
+  return formatYmd(d);
+};
+
+// Monday of the week containing the given day
+const weekStartOf = (ymd) => addDays(ymd, -((parseYmd(ymd).getUTCDay() + 6) % 7));
+const isWeekStart = (ymd) => parseYmd(ymd).getUTCDay() === 1;
+const weekDays = (weekStart) => Array.from({ length: 7 }, (_, i) => addDays(weekStart, i));
+
+const TIMESHEET_COLUMNS = `t.timesheet_id, t.employee_id, to_char(t.week_start, 'YYYY-MM-DD') AS week_start, t.status,
+       t.submitted_at, t.submitted_by, t.reviewed_at, t.reviewed_by, t.review_comment, t.updated_at`;
+
+// The stored row, or a draft placeholder for weeks nobody has submitted yet
+const loadTimesheet = async (employeeId, weekStart, { lock = false } = {}, db = pool) => {
+  const { rows } = await db.query(
+    `SELECT ${TIMESHEET_COLUMNS}
+       FROM timesheets t
+      WHERE t.employee_id = $1 AND t.week_start = $2::date
+      ${lock ? 'FOR UPDATE' : ''}`,
+    [employeeId, weekStart]
+  );
+  return rows[0] || {
+    timesheet_id: null,
+    employee_id: Number(employeeId),
+    week_start: weekStart,
+    status: 'draft',
+    submitted_at: null,
+    submitted_by: null,
+    reviewed_at: null,
+    reviewed_by: null,
+    review_comment: null,
+    updated_at: null,
+  };
+};
+
+// Approved timesheet covering the given day, or null when its entries may still change
+const findLockedTimesheet = async (employeeId, day, db = pool) => {
+  const { rows } = await db.query(
+    `SELECT ${TIMESHEET_COLUMNS}
+       FROM timesheets t
+      WHERE t.employee_id = $1 AND t.week_start = $2::date AND t.status = $3`,
+    [employeeId, weekStartOf(day), LOCKED_STATUS]
+  );
+  return rows[0] || null;
+};
+
+// Hours per employee and day over a date range: [{ employee_id, entry_date, utilization_hours, project_hours }]
+const dailyHours = async (employeeIds, startDate, endDate, db = pool) => {
+  const { rows } = await db.query(
+    `WITH u AS (
+       SELECT employee_id, entry_date, SUM(utilization_hours) AS hours
+         FROM daily_entry_utilization
+        WHERE employee_id = ANY($1::int[]) AND entry_date BETWEEN $2::date AND $3::date
+        GROUP BY employee_id, entry_date
+     ),
+     p AS (
+       SELECT employee_id, entry_date, SUM(COALESCE(employee_project_hours, 0)) AS hours
+         FROM daily_entry_project_utilization
+        WHERE employee_id = ANY($1::int[]) AND entry_date BETWEEN $2::date AND $3::date
+        GROUP BY employee_id, entry_date
+     )
+     SELECT COALESCE(u.employee_id, p.employee_id) AS employee_id,
+            to_char(COALESCE(u.entry_date, p.entry_date), 'YYYY-MM-DD') AS entry_date,
+            COALESCE(u.hours, 0)::float AS utilization_hours,
+            COALESCE(p.hours, 0)::float AS project_hours
+       FROM u
+       FULL JOIN p ON p.employee_id = u.employee_id AND p.entry_date = u.entry_date`,
+    [employeeIds, startDate, endDate]
+  );
+  return rows;
+};
+
+module.exports = {
+  TIMESHEET_STATUSES,
+  SUBMITTABLE_STATUSES,
+  LOCKED_STATUS,
+  addDays,
+  weekStartOf,
+  isWeekStart,
+  weekDays,
+  loadTimesheet,
+  findLockedTimesheet,
+  dailyHours,
+};
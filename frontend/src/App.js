@@ -1,5 +1,5 @@
 // App.js
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useCallback, useRef } from 'react';
 import {
   BrowserRouter as Router,
   Routes,
@@ -13,13 +13,30 @@ import axios from 'axios';
 import { ModalProvider, useModal } from './context/ModalContext';
 import Modal from './components/Modal';
 import Login from './components/Login';
+import ForgotPassword from './components/ForgotPassword';
+import ResetPassword from './components/ResetPassword';
+import Setup from './components/Setup';
 import Register from './components/Register';
 import DailyEntry from './components/DailyEntry';
 import ManageProjects from './components/ManageProjects';
+import ProjectDetail from './components/ProjectDetail';
 import TeamManagement from './components/TeamManagement';
 import TeamScrumReport from './components/TeamScrumReport';
 import AdminSettings from './components/AdminSettings';
 import Dashboard from './components/Dashboard';
+import SessionsDialog from './components/SessionsDialog';
+import DebugInspector from './components/DebugInspector';
+import AuditLog from './components/AuditLog';
+import RoleManagement from './components/RoleManagement';
+import Profile from './components/Profile';
+import ActivityCatalog from './components/ActivityCatalog';
+import TimesheetApprovals from './components/TimesheetApprovals';
+import ClosedPeriods from './components/ClosedPeriods';
+import Holidays from './components/Holidays';
+import LeaveRequests from './components/LeaveRequests';
+import RecycleBin from './components/RecycleBin';
+import BusinessUnits from './components/BusinessUnits';
+import { can } from './permissions';
 
 // ---------------- MUI ----------------
 import {
@@ -61,7 +78,19 @@ import PersonAddAltIcon from '@mui/icons-material/PersonAddAlt';
 import SettingsIcon from '@mui/icons-material/Settings';
 import LogoutIcon from '@mui/icons-material/Logout';
 import LockResetIcon from '@mui/icons-material/LockReset';
+import DevicesIcon from '@mui/icons-material/Devices';
 import AccountCircleIcon from '@mui/icons-material/AccountCircle';
+import StorageIcon from '@mui/icons-material/Storage';
+import HistoryIcon from '@mui/icons-material/History';
+import AdminPanelSettingsIcon from '@mui/icons-material/AdminPanelSettings';
+import KeyIcon from '@mui/icons-material/Key';
+import CategoryIcon from '@mui/icons-material/Category';
+import FactCheckIcon from '@mui/icons-material/FactCheck';
+import EventBusyIcon from '@mui/icons-material/EventBusy';
+import CelebrationIcon from '@mui/icons-material/Celebration';
+import BeachAccessIcon from '@mui/icons-material/BeachAccess';
+import DeleteSweepIcon from '@mui/icons-material/DeleteSweep';
+import BusinessIcon from '@mui/icons-material/Business';
 import Visibility from '@mui/icons-material/Visibility';
 import VisibilityOff from '@mui/icons-material/VisibilityOff';
 
@@ -72,9 +101,11 @@ const decodeJWT = (token) => {
     return {
       employee_id: payload.employeeId,
       role: payload.role,
+      permissions: payload.permissions || [],
       team_id: payload.teamId,
       first_name: payload.firstName,
       email: payload.email,
+      must_change_password: !!payload.mustChangePassword,
     };
   } catch {
     return null;
@@ -119,54 +150,76 @@ if (savedToken) {
 }
 
 // ---------------- Change Password Dialog ----------------
-const ChangePasswordDialog = ({ open, onClose, onSuccess }) => {
+// `forced` is used for accounts flagged must_change_password: it can't be dismissed.
+const ChangePasswordDialog = ({ open, onClose, onSuccess, forced = false, onLogout }) => {
   const [currentPassword, setCurrentPassword] = React.useState('');
   const [newPassword, setNewPassword] = React.useState('');
   const [showCurrent, setShowCurrent] = React.useState(false);
   const [showNew, setShowNew] = React.useState(false);
   const [submitting, setSubmitting] = React.useState(false);
+  const [policy, setPolicy] = React.useState(null);
+  const [error, setError] = React.useState('');
+  const [errorList, setErrorList] = React.useState([]);
   const { showModal } = useModal();
 
+  // Password rules are configured server-side; show them as helper text
+  useEffect(() => {
+    if (!open) return;
+    axios.get('/api/auth/password-policy')
+      .then((res) => setPolicy(res.data || null))
+      .catch(() => setPolicy(null));
+  }, [open]);
+
   const reset = () => {
     setCurrentPassword('');
     setNewPassword('');
     setShowCurrent(false);
     setShowNew(false);
+    setError('');
+    setErrorList([]);
   };
 
   const handleSubmit = async () => {
+    setError('');
+    setErrorList([]);
     if (!currentPassword.trim()) {
-      showModal('Please enter your current password.');
+      setError('Please enter your current password.');
       return;
     }
-    if (!newPassword.trim() || newPassword.length < 8) {
-      showModal('New password must be at least 8 characters.');
+    const minLength = policy?.minLength || 8;
+    if (!newPassword.trim() || newPassword.length < minLength) {
+      setError(`New password must be at least ${minLength} characters.`);
       return;
     }
     try {
       setSubmitting(true);
-      // Adjust the endpoint to your backend route if different
-      await axios.post('/api/auth/change-password', {
-        currentPassword,
-        newPassword,
-      });
-      showModal('Password changed successfully. Please log in again.');
+      const { data } = await axios.post(
+        '/api/auth/change-password',
+        { currentPassword, newPassword },
+        { skipErrorModal: true } // errors are shown inside the dialog
+      );
+      showModal(data?.message || 'Password changed successfully.');
       reset();
       onClose();
-      onSuccess?.(); // e.g., force logout
+      onSuccess?.(data?.token); // other sessions are signed out; keep this one
     } catch (e) {
-      // Global interceptor will surface message if present; fallback here:
-      if (!e.response?.data?.message) showModal('Failed to change password.');
+      setError(e.response?.data?.message || 'Failed to change password.');
+      setErrorList((e.response?.data?.errors || []).map((x) => x.message));
     } finally {
       setSubmitting(false);
     }
   };
 
   return (
-    <Dialog open={open} onClose={() => { reset(); onClose(); }} maxWidth="xs" fullWidth>
-      <DialogTitle>Change password</DialogTitle>
+    <Dialog open={open} onClose={forced ? undefined : () => { reset(); onClose(); }} maxWidth="xs" fullWidth>
+      <DialogTitle>{forced ? 'Set a new password' : 'Change password'}</DialogTitle>
       <DialogContent dividers>
         <Stack spacing={2} sx={{ mt: 1 }}>
+          {forced && (
+            <Alert severity="info" variant="outlined">
+              Your password was set by an administrator. Choose a new one to continue.
+            </Alert>
+          )}
           <TextField
             label="Current password"
             type={showCurrent ? 'text' : 'password'}
@@ -189,7 +242,7 @@ const ChangePasswordDialog = ({ open, onClose, onSuccess }) => {
             type={showNew ? 'text' : 'password'}
             value={newPassword}
             onChange={(e) => setNewPassword(e.target.value)}
-            helperText="Minimum 8 characters"
+            helperText={policy?.description || 'Minimum 8 characters'}
             fullWidth
             InputProps={{
               endAdornment: (
@@ -201,12 +254,28 @@ const ChangePasswordDialog = ({ open, onClose, onSuccess }) => {
               ),
             }}
           />
+          {error && (
+            <Alert severity="error" variant="outlined">
+              {error}
+              {errorList.length > 0 && (
+                <Box component="ul" sx={{ m: 0, mt: 0.5, pl: 2 }}>
+                  {errorList.map((msg) => <li key={msg}>{msg}</li>)}
+                </Box>
+              )}
+            </Alert>
+          )}
         </Stack>
       </DialogContent>
       <DialogActions>
-        <Button onClick={() => { reset(); onClose(); }} disabled={submitting}>
-          Cancel
-        </Button>
+        {forced ? (
+          <Button onClick={onLogout} disabled={submitting}>
+            Logout
+          </Button>
+        ) : (
+          <Button onClick={() => { reset(); onClose(); }} disabled={submitting}>
+            Cancel
+          </Button>
+        )}
         <Button onClick={handleSubmit} variant="contained" disabled={submitting}>
           {submitting ? 'Saving…' : 'Change password'}
         </Button>
@@ -216,12 +285,10 @@ const ChangePasswordDialog = ({ open, onClose, onSuccess }) => {
 };
 
 // ---------------- Navbar ----------------
-const Navbar = ({ user, onLogout }) => {
-  const isAdmin = user.role === 'admin';
-  const isTeamLead = user.role === 'team_lead';
-
+const Navbar = ({ user, onLogout, onPasswordChanged }) => {
   const [menuEl, setMenuEl] = React.useState(null);
   const [pwdOpen, setPwdOpen] = React.useState(false);
+  const [sessionsOpen, setSessionsOpen] = React.useState(false);
 
   const openMenu = (e) => setMenuEl(e.currentTarget);
   const closeMenu = () => setMenuEl(null);
@@ -280,7 +347,17 @@ const Navbar = ({ user, onLogout }) => {
               Daily Entry
             </Button>
 
-            {(isAdmin || isTeamLead) && (
+            <Button
+              component={NavLink}
+              to="/leave"
+              color="inherit"
+              sx={linkStyle}
+              startIcon={<BeachAccessIcon />}
+            >
+              Leave
+            </Button>
+
+            {can(user, 'reports.view') && (
               <Button
                 component={NavLink}
                 to="/team-reports"
@@ -292,45 +369,160 @@ const Navbar = ({ user, onLogout }) => {
               </Button>
             )}
 
-            {isAdmin && (
-              <>
-                <Button
-                  component={NavLink}
-                  to="/admin-settings"
-                  color="inherit"
-                  sx={linkStyle}
-                  startIcon={<SettingsIcon />}
-                >
-                  Settings
-                </Button>
-                <Button
-                  component={NavLink}
-                  to="/manage-teams"
-                  color="inherit"
-                  sx={linkStyle}
-                  startIcon={<GroupIcon />}
-                >
-                  Manage Teams
-                </Button>
-                <Button
-                  component={NavLink}
-                  to="/manage-projects"
-                  color="inherit"
-                  sx={linkStyle}
-                  startIcon={<WorkIcon />}
-                >
-                  Manage Projects
-                </Button>
-                <Button
-                  component={NavLink}
-                  to="/register"
-                  color="inherit"
-                  sx={linkStyle}
-                  startIcon={<PersonAddAltIcon />}
-                >
-                  Register
-                </Button>
-              </>
+            {can(user, 'system.admin') && (
+              <Button
+                component={NavLink}
+                to="/admin-settings"
+                color="inherit"
+                sx={linkStyle}
+                startIcon={<SettingsIcon />}
+              >
+                Settings
+              </Button>
+            )}
+
+            {can(user, 'teams.manage') && (
+              <Button
+                component={NavLink}
+                to="/manage-teams"
+                color="inherit"
+                sx={linkStyle}
+                startIcon={<GroupIcon />}
+              >
+                Manage Teams
+              </Button>
+            )}
+
+            {can(user, 'timesheets.approve') && (
+              <Button
+                component={NavLink}
+                to="/timesheet-approvals"
+                color="inherit"
+                sx={linkStyle}
+                startIcon={<FactCheckIcon />}
+              >
+                Approvals
+              </Button>
+            )}
+
+            {can(user, 'projects.edit') && (
+              <Button
+                component={NavLink}
+                to="/manage-projects"
+                color="inherit"
+                sx={linkStyle}
+                startIcon={<WorkIcon />}
+              >
+                Manage Projects
+              </Button>
+            )}
+
+            {can(user, 'business_units.manage', 'reports.view') && (
+              <Button
+                component={NavLink}
+                to="/business-units"
+                color="inherit"
+                sx={linkStyle}
+                startIcon={<BusinessIcon />}
+              >
+                Business Units
+              </Button>
+            )}
+
+            {can(user, 'employees.manage') && (
+              <Button
+                component={NavLink}
+                to="/register"
+                color="inherit"
+                sx={linkStyle}
+                startIcon={<PersonAddAltIcon />}
+              >
+                Register
+              </Button>
+            )}
+
+            {can(user, 'roles.manage') && (
+              <Button
+                component={NavLink}
+                to="/roles"
+                color="inherit"
+                sx={linkStyle}
+                startIcon={<AdminPanelSettingsIcon />}
+              >
+                Roles
+              </Button>
+            )}
+
+            {can(user, 'activities.manage') && (
+              <Button
+                component={NavLink}
+                to="/activities"
+                color="inherit"
+                sx={linkStyle}
+                startIcon={<CategoryIcon />}
+              >
+                Activities
+              </Button>
+            )}
+
+            {can(user, 'periods.manage') && (
+              <Button
+                component={NavLink}
+                to="/closed-periods"
+                color="inherit"
+                sx={linkStyle}
+                startIcon={<EventBusyIcon />}
+              >
+                Period Close
+              </Button>
+            )}
+
+            {can(user, 'holidays.manage') && (
+              <Button
+                component={NavLink}
+                to="/holidays"
+                color="inherit"
+                sx={linkStyle}
+                startIcon={<CelebrationIcon />}
+              >
+                Holidays
+              </Button>
+            )}
+
+            {can(user, 'audit.view') && (
+              <Button
+                component={NavLink}
+                to="/audit-log"
+                color="inherit"
+                sx={linkStyle}
+                startIcon={<HistoryIcon />}
+              >
+                Audit Log
+              </Button>
+            )}
+
+            {can(user, 'system.admin') && (
+              <Button
+                component={NavLink}
+                to="/recycle-bin"
+                color="inherit"
+                sx={linkStyle}
+                startIcon={<DeleteSweepIcon />}
+              >
+                Recycle Bin
+              </Button>
+            )}
+
+            {can(user, 'system.admin') && (
+              <Button
+                component={NavLink}
+                to="/debug-inspector"
+                color="inherit"
+                sx={linkStyle}
+                startIcon={<StorageIcon />}
+              >
+                Inspector
+              </Button>
             )}
           </Stack>
 
@@ -365,12 +557,24 @@ const Navbar = ({ user, onLogout }) => {
               transformOrigin={{ horizontal: 'right', vertical: 'top' }}
               anchorOrigin={{ horizontal: 'right', vertical: 'bottom' }}
             >
+              <MenuItem component={NavLink} to="/profile">
+                <ListItemIcon>
+                  <KeyIcon fontSize="small" />
+                </ListItemIcon>
+                <ListItemText>Profile &amp; API tokens</ListItemText>
+              </MenuItem>
               <MenuItem onClick={() => setPwdOpen(true)}>
                 <ListItemIcon>
                   <LockResetIcon fontSize="small" />
                 </ListItemIcon>
                 <ListItemText>Change password</ListItemText>
               </MenuItem>
+              <MenuItem onClick={() => setSessionsOpen(true)}>
+                <ListItemIcon>
+                  <DevicesIcon fontSize="small" />
+                </ListItemIcon>
+                <ListItemText>Active sessions</ListItemText>
+              </MenuItem>
               <Divider />
               <MenuItem onClick={onLogout}>
                 <ListItemIcon>
@@ -387,7 +591,14 @@ const Navbar = ({ user, onLogout }) => {
       <ChangePasswordDialog
         open={pwdOpen}
         onClose={() => setPwdOpen(false)}
-        onSuccess={onLogout} // force re-login after password change
+        onSuccess={onPasswordChanged}
+      />
+
+      {/* Sessions dialog */}
+      <SessionsDialog
+        open={sessionsOpen}
+        onClose={() => setSessionsOpen(false)}
+        onSignedOut={onLogout}
       />
     </>
   );
@@ -408,7 +619,13 @@ function App() {
   const { showModal } = useModal();
 
   const handleLogout = useCallback(() => {
+    // End the server-side session too; fire-and-forget so logout never blocks
+    const refreshToken = localStorage.getItem('refreshToken');
+    if (refreshToken) {
+      axios.post('/api/auth/logout', { refreshToken }, { skipErrorModal: true }).catch(() => {});
+    }
     localStorage.removeItem('token');
+    localStorage.removeItem('refreshToken');
     // Clear per-page cached states that your modules already use
     localStorage.removeItem('manageProjectsState');
     localStorage.removeItem('dailyEntryState');
@@ -421,8 +638,9 @@ function App() {
   }, [navigate]);
 
   const handleLogin = useCallback(
-    (newToken, userData) => {
+    (newToken, userData, refreshToken) => {
       localStorage.setItem('token', newToken);
+      if (refreshToken) localStorage.setItem('refreshToken', refreshToken);
       sessionStorage.setItem('lastPath', '/dashboard');
       setToken(newToken);
       setUser(userData);
@@ -432,6 +650,24 @@ function App() {
     [navigate]
   );
 
+  // Swap in a freshly issued token without leaving the current page
+  const applyToken = useCallback(
+    (newToken, newRefreshToken) => {
+      const u = newToken ? decodeJWT(newToken) : null;
+      if (!u) {
+        handleLogout(); // no usable token: force re-login
+        return;
+      }
+      localStorage.setItem('token', newToken);
+      if (newRefreshToken) localStorage.setItem('refreshToken', newRefreshToken);
+      setToken(newToken);
+      // Keep the same object when nothing changed so pages keyed on `user` don't reload
+      setUser((prev) => (prev && JSON.stringify(prev) === JSON.stringify(u) ? prev : u));
+      axios.defaults.headers.common['Authorization'] = `Bearer ${newToken}`;
+    },
+    [handleLogout]
+  );
+
   // Finalize boot if token exists but user wasn't decodable at construction (very rare)
   useEffect(() => {
     if (token && !user) {
@@ -447,20 +683,65 @@ function App() {
     }
   }, [token, user, handleLogout]);
 
+  // Single in-flight refresh shared by every request that hit a 401
+  const refreshRef = useRef(null);
+
+  const refreshAccessToken = useCallback(() => {
+    if (!refreshRef.current) {
+      refreshRef.current = axios
+        .post(
+          '/api/auth/refresh',
+          { refreshToken: localStorage.getItem('refreshToken') },
+          { skipErrorModal: true }
+        )
+        .then(({ data }) => {
+          applyToken(data.token, data.refreshToken);
+          return data.token;
+        })
+        .finally(() => {
+          refreshRef.current = null;
+        });
+    }
+    return refreshRef.current;
+  }, [applyToken]);
+
   // Axios global error interceptor
   useEffect(() => {
     const interceptor = axios.interceptors.response.use(
       (res) => res,
-      (err) => {
+      async (err) => {
         const status = err.response?.status;
         const message = err.response?.data?.message;
-        if (message && status !== 404) showModal(message);
-        if (status === 401 || status === 403) handleLogout();
+        const original = err.config || {};
+        const isAuthCall = /\/api\/(login|auth\/(refresh|logout))\b/.test(original.url || '');
+
+        // Expired access token: refresh silently and replay the request once
+        if (status === 401 && !original._retried && !isAuthCall && localStorage.getItem('refreshToken')) {
+          original._retried = true;
+          try {
+            // Another request (or tab) may already have stored a newer token
+            const stored = localStorage.getItem('token');
+            const sentWith = original.headers?.Authorization || '';
+            const newToken = stored && sentWith !== `Bearer ${stored}` ? stored : await refreshAccessToken();
+            original.headers.Authorization = `Bearer ${newToken}`;
+            return axios(original);
+          } catch {
+            handleLogout();
+            return Promise.reject(err);
+          }
+        }
+
+        // Blocked until the password is changed; the forced dialog explains why
+        const passwordChangeRequired = err.response?.data?.code === 'PASSWORD_CHANGE_REQUIRED';
+        if (message && status !== 404 && !original.skipErrorModal && !passwordChangeRequired) showModal(message);
+        // A 403 with a message is a permission denial; a bare 403 is a rejected token
+        const tokenRejected = status === 401 || (status === 403 && !message);
+        if (tokenRejected && !isAuthCall) handleLogout();
         return Promise.reject(err);
       }
     );
     return () => axios.interceptors.response.eject(interceptor);
-  }, [showModal, handleLogout]);
+  }, [showModal, handleLogout, refreshAccessToken]);
 
   // --- Memory of "tab" (last visited route) ---
   useEffect(() => {
@@ -480,9 +761,6 @@ function App() {
     }
   }, [location.pathname, token, navigate]);
 
-  const isAdmin = user?.role === 'admin';
-  const isTeamLead = user?.role === 'team_lead';
-
   if (booting) {
     return (
       <Box sx={{ minHeight: '100vh', display: 'grid', placeItems: 'center' }}>
@@ -493,7 +771,16 @@ function App() {
 
   return (
     <>
-      {user && <Navbar user={user} onLogout={handleLogout} />}
+      {user && <Navbar user={user} onLogout={handleLogout} onPasswordChanged={applyToken} />}
+      {user?.must_change_password && (
+        <ChangePasswordDialog
+          open
+          forced
+          onClose={() => {}}
+          onSuccess={applyToken}
+          onLogout={handleLogout}
+        />
+      )}
       <Container
         maxWidth="xl"
         sx={{
@@ -504,6 +791,9 @@ function App() {
         <Modal />
         <Routes>
           <Route path="/login" element={<Login onLogin={handleLogin} />} />
+          <Route path="/forgot-password" element={<ForgotPassword />} />
+          <Route path="/reset-password" element={<ResetPassword />} />
+          <Route path="/setup" element={<Setup onLogin={handleLogin} />} />
           <Route
             path="/"
             element={token ? <Navigate to="/dashboard" replace /> : <Login onLogin={handleLogin} />}
@@ -532,7 +822,29 @@ function App() {
             }
           />
 
-          {(isAdmin || isTeamLead) && (
+          <Route
+            path="/leave"
+            element={
+              token ? (
+                user ? <LeaveRequests user={user} /> : <Box sx={{ p: 6 }}><CircularProgress /></Box>
+              ) : (
+                <Navigate to="/login" replace />
+              )
+            }
+          />
+
+          <Route
+            path="/profile"
+            element={
+              token ? (
+                user ? <Profile user={user} /> : <Box sx={{ p: 6 }}><CircularProgress /></Box>
+              ) : (
+                <Navigate to="/login" replace />
+              )
+            }
+          />
+
+          {can(user, 'reports.view') && (
             <Route
               path="/team-reports"
               element={
@@ -551,73 +863,263 @@ function App() {
             />
           )}
 
-          {isAdmin && (
-            <>
-              <Route
-                path="/register"
-                element={
-                  token ? (
-                    user ? (
-                      <Register user={user} />
-                    ) : (
-                      <Box sx={{ p: 6 }}>
-                        <CircularProgress />
-                      </Box>
-                    )
+          {can(user, 'employees.manage') && (
+            <Route
+              path="/register"
+              element={
+                token ? (
+                  user ? (
+                    <Register user={user} />
                   ) : (
-                    <Navigate to="/login" replace />
+                    <Box sx={{ p: 6 }}>
+                      <CircularProgress />
+                    </Box>
                   )
-                }
-              />
-              <Route
-                path="/manage-teams"
-                element={
-                  token ? (
-                    user ? (
-                      <TeamManagement user={user} />
-                    ) : (
-                      <Box sx={{ p: 6 }}>
-                        <CircularProgress />
-                      </Box>
-                    )
+                ) : (
+                  <Navigate to="/login" replace />
+                )
+              }
+            />
+          )}
+
+          {can(user, 'teams.manage') && (
+            <Route
+              path="/manage-teams"
+              element={
+                token ? (
+                  user ? (
+                    <TeamManagement user={user} />
                   ) : (
-                    <Navigate to="/login" replace />
+                    <Box sx={{ p: 6 }}>
+                      <CircularProgress />
+                    </Box>
                   )
-                }
-              />
-              <Route
-                path="/manage-projects"
-                element={
-                  token ? (
-                    user ? (
-                      <ManageProjects user={user} />
-                    ) : (
-                      <Box sx={{ p: 6 }}>
-                        <CircularProgress />
-                      </Box>
-                    )
+                ) : (
+                  <Navigate to="/login" replace />
+                )
+              }
+            />
+          )}
+
+          {can(user, 'projects.edit') && (
+            <Route
+              path="/manage-projects"
+              element={
+                token ? (
+                  user ? (
+                    <ManageProjects user={user} />
+                  ) : (
+                    <Box sx={{ p: 6 }}>
+                      <CircularProgress />
+                    </Box>
+                  )
+                ) : (
+                  <Navigate to="/login" replace />
+                )
+              }
+            />
+          )}
+
+          {/* Project detail with its tasks; editing them needs projects.edit */}
+          <Route
+            path="/projects/:projectId"
+            element={
+              token ? (
+                user ? <ProjectDetail user={user} /> : <Box sx={{ p: 6 }}><CircularProgress /></Box>
+              ) : (
+                <Navigate to="/login" replace />
+              )
+            }
+          />
+
+          {can(user, 'system.admin') && (
+            <Route
+              path="/admin-settings"
+              element={
+                token ? (
+                  user ? (
+                    <AdminSettings user={user} />
+                  ) : (
+                    <Box sx={{ p: 6 }}>
+                      <CircularProgress />
+                    </Box>
+                  )
+                ) : (
+                  <Navigate to="/login" replace />
+                )
+              }
+            />
+          )}
+
+          {can(user, 'roles.manage') && (
+            <Route
+              path="/roles"
+              element={
+                token ? (
+                  user ? (
+                    <RoleManagement user={user} />
+                  ) : (
+                    <Box sx={{ p: 6 }}>
+                      <CircularProgress />
+                    </Box>
+                  )
+                ) : (
+                  <Navigate to="/login" replace />
+                )
+              }
+            />
+          )}
+
+          {can(user, 'timesheets.approve') && (
+            <Route
+              path="/timesheet-approvals"
+              element={
+                token ? (
+                  user ? (
+                    <TimesheetApprovals user={user} />
+                  ) : (
+                    <Box sx={{ p: 6 }}>
+                      <CircularProgress />
+                    </Box>
+                  )
+                ) : (
+                  <Navigate to="/login" replace />
+                )
+              }
+            />
+          )}
+
+          {can(user, 'activities.manage') && (
+            <Route
+              path="/activities"
+              element={
+                token ? (
+                  user ? (
+                    <ActivityCatalog user={user} />
+                  ) : (
+                    <Box sx={{ p: 6 }}>
+                      <CircularProgress />
+                    </Box>
+                  )
+                ) : (
+                  <Navigate to="/login" replace />
+                )
+              }
+            />
+          )}
+
+          {can(user, 'business_units.manage', 'reports.view') && (
+            <Route
+              path="/business-units"
+              element={
+                token ? (
+                  user ? (
+                    <BusinessUnits user={user} />
+                  ) : (
+                    <Box sx={{ p: 6 }}>
+                      <CircularProgress />
+                    </Box>
+                  )
+                ) : (
+                  <Navigate to="/login" replace />
+                )
+              }
+            />
+          )}
+
+          {can(user, 'periods.manage') && (
+            <Route
+              path="/closed-periods"
+              element={
+                token ? (
+                  user ? (
+                    <ClosedPeriods user={user} />
+                  ) : (
+                    <Box sx={{ p: 6 }}>
+                      <CircularProgress />
+                    </Box>
+                  )
+                ) : (
+                  <Navigate to="/login" replace />
+                )
+              }
+            />
+          )}
+
+          {can(user, 'holidays.manage') && (
+            <Route
+              path="/holidays"
+              element={
+                token ? (
+                  user ? (
+                    <Holidays user={user} />
+                  ) : (
+                    <Box sx={{ p: 6 }}>
+                      <CircularProgress />
+                    </Box>
+                  )
+                ) : (
+                  <Navigate to="/login" replace />
+                )
+              }
+            />
+          )}
+
+          {can(user, 'audit.view') && (
+            <Route
+              path="/audit-log"
+              element={
+                token ? (
+                  user ? (
+                    <AuditLog user={user} />
+                  ) : (
+                    <Box sx={{ p: 6 }}>
+                      <CircularProgress />
+                    </Box>
+                  )
+                ) : (
+                  <Navigate to="/login" replace />
+                )
+              }
+            />
+          )}
+
+          {can(user, 'system.admin') && (
+            <Route
+              path="/recycle-bin"
+              element={
+                token ? (
+                  user ? (
+                    <RecycleBin user={user} />
                   ) : (
-                    <Navigate to="/login" replace />
+                    <Box sx={{ p: 6 }}>
+                      <CircularProgress />
+                    </Box>
                   )
-                }
-              />
-              <Route
-                path="/admin-settings"
-                element={
-                  token ? (
-                    user ? (
-                      <AdminSettings user={user} />
-                    ) : (
-                      <Box sx={{ p: 6 }}>
-                        <CircularProgress />
-                      </Box>
-                    )
+                ) : (
+                  <Navigate to="/login" replace />
+                )
+              }
+            />
+          )}
+
+          {can(user, 'system.admin') && (
+            <Route
+              path="/debug-inspector"
+              element={
+                token ? (
+                  user ? (
+                    <DebugInspector user={user} />
                   ) : (
-                    <Navigate to="/login" replace />
+                    <Box sx={{ p: 6 }}>
+                      <CircularProgress />
+                    </Box>
                   )
-                }
-              />
-            </>
+                ) : (
+                  <Navigate to="/login" replace />
+                )
+              }
+            />
           )}
 
           <Route path="*" element={<Typography variant="h6">404: Page Not Found</Typography>} />
@@ -0,0 +1,316 @@
+import React, { useCallback, useEffect, useMemo, useState } from 'react';
+import axios from 'axios';
+import { can } from '../permissions';
+import { fieldErrors } from '../validation';
+import {
+  Box, Paper, Typography, Stack, Button, Alert, CircularProgress, Chip, IconButton, Tooltip,
+  Table, TableHead, TableRow, TableCell, TableBody, TableContainer,
+  Dialog, DialogTitle, DialogContent, DialogActions, TextField, MenuItem,
+  FormControlLabel, Switch
+} from '@mui/material';
+import AddIcon from '@mui/icons-material/Add';
+import EditOutlinedIcon from '@mui/icons-material/EditOutlined';
+import DeleteOutlineIcon from '@mui/icons-material/DeleteOutline';
+import RefreshIcon from '@mui/icons-material/Refresh';
+
+// Mirrors ACTIVITY_CATEGORIES in backend/utils/activities.js
+const CATEGORIES = [
+  { value: 'work', label: 'Work' },
+  { value: 'training', label: 'Training' },
+  { value: 'overhead', label: 'Overhead' },
+  { value: 'leave', label: 'Leave' },
+];
+const categoryLabel = (value) => CATEGORIES.find((c) => c.value === value)?.label || value;
+
+const EMPTY_FORM = {
+  activityCode: '', label: '', category: 'work', isBillable: false, isActive: true, sortOrder: 0, maxHoursPerDay: '',
+};
+
+function ActivityCatalog({ user }) {
+  const canManage = can(user, 'activities.manage');
+
+  const [activities, setActivities] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  // editing: null (closed), 'new', or the activity_code being edited
+  const [editing, setEditing] = useState(null);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [formError, setFormError] = useState('');
+  const [formFieldErrors, setFormFieldErrors] = useState({});
+  const [saving, setSaving] = useState(false);
+
+  const authHeaders = useMemo(
+    () => ({ headers: { Authorization: `Bearer ${localStorage.getItem('token')}` } }),
+    []
+  );
+
+  const fetchActivities = useCallback(async () => {
+    setLoading(true);
+    setError('');
+    try {
+      const { data } = await axios.get('/api/activities', { ...authHeaders, params: { includeInactive: true } });
+      setActivities(data || []);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to fetch activities.');
+    } finally {
+      setLoading(false);
+    }
+  }, [authHeaders]);
+
+  useEffect(() => {
+    if (canManage) fetchActivities();
+  }, [canManage, fetchActivities]);
+
+  const setField = (field, value) => {
+    setForm((prev) => ({ ...prev, [field]: value }));
+    setFormFieldErrors((prev) => ({ ...prev, [field]: undefined }));
+  };
+
+  const openCreate = () => {
+    const lastOrder = activities.reduce((max, a) => Math.max(max, a.sort_order), 0);
+    setForm({ ...EMPTY_FORM, sortOrder: lastOrder + 10 });
+    setFormError('');
+    setFormFieldErrors({});
+    setEditing('new');
+  };
+
+  const openEdit = (a) => {
+    setForm({
+      activityCode: a.activity_code,
+      label: a.label,
+      category: a.category,
+      isBillable: a.is_billable,
+      isActive: a.is_active,
+      sortOrder: a.sort_order,
+      maxHoursPerDay: a.max_hours_per_day ?? '',
+    });
+    setFormError('');
+    setFormFieldErrors({});
+    setEditing(a.activity_code);
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    setFormError('');
+    setFormFieldErrors({});
+    try {
+      if (editing === 'new') {
+        await axios.post('/api/activities', form, { ...authHeaders, skipErrorModal: true });
+        setSuccess(`Activity "${form.label}" created.`);
+      } else {
+        const { activityCode, ...changes } = form;
+        await axios.put(`/api/activities/${encodeURIComponent(editing)}`, changes, { ...authHeaders, skipErrorModal: true });
+        setSuccess(`Activity "${form.label}" updated.`);
+      }
+      setEditing(null);
+      fetchActivities();
+    } catch (err) {
+      setFormFieldErrors(fieldErrors(err) || {});
+      setFormError(err.response?.data?.message || 'Failed to save activity.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // Quick retire / reactivate from the table
+  const toggleActive = async (a) => {
+    setError('');
+    try {
+      await axios.put(
+        `/api/activities/${encodeURIComponent(a.activity_code)}`,
+        { isActive: !a.is_active },
+        { ...authHeaders, skipErrorModal: true }
+      );
+      setSuccess(`Activity "${a.label}" ${a.is_active ? 'retired' : 'reactivated'}.`);
+      fetchActivities();
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to update activity.');
+    }
+  };
+
+  const handleDelete = async (a) => {
+    if (!window.confirm(`Delete activity "${a.label}"?`)) return;
+    setError('');
+    try {
+      await axios.delete(`/api/activities/${encodeURIComponent(a.activity_code)}`, { ...authHeaders, skipErrorModal: true });
+      setSuccess(`Activity "${a.label}" deleted.`);
+      fetchActivities();
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to delete activity.');
+    }
+  };
+
+  if (!canManage) {
+    return (
+      <Box sx={{ p: 4 }}>
+        <Alert severity="error">Access Denied: you need the activities.manage permission.</Alert>
+      </Box>
+    );
+  }
+
+  return (
+    <Box sx={{ p: 3 }}>
+      <Stack direction="row" alignItems="center" justifyContent="space-between" sx={{ mb: 2 }}>
+        <Typography variant="h5" sx={{ fontWeight: 700 }}>Activity Catalog</Typography>
+        <Stack direction="row" spacing={1}>
+          <Tooltip title="Refresh">
+            <span>
+              <IconButton onClick={fetchActivities} disabled={loading}><RefreshIcon /></IconButton>
+            </span>
+          </Tooltip>
+          <Button variant="contained" startIcon={<AddIcon />} onClick={openCreate}>
+            New activity
+          </Button>
+        </Stack>
+      </Stack>
+      <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+        Activities offered in the daily entry form and used as columns in the utilization summary and exports.
+        Retire an activity to hide it from new entries; days that already use it keep it.
+      </Typography>
+
+      {error && <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError('')}>{error}</Alert>}
+      {success && <Alert severity="success" sx={{ mb: 2 }} onClose={() => setSuccess('')}>{success}</Alert>}
+
+      <Paper elevation={2} sx={{ borderRadius: 3 }}>
+        <TableContainer>
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell align="right">Order</TableCell>
+                <TableCell>Code</TableCell>
+                <TableCell>Label</TableCell>
+                <TableCell>Category</TableCell>
+                <TableCell>Billable</TableCell>
+                <TableCell align="right">Max h/day</TableCell>
+                <TableCell>Active</TableCell>
+                <TableCell align="right">Entries</TableCell>
+                <TableCell align="right">Actions</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {loading ? (
+                <TableRow>
+                  <TableCell colSpan={9} align="center"><CircularProgress size={24} /></TableCell>
+                </TableRow>
+              ) : activities.length === 0 ? (
+                <TableRow>
+                  <TableCell colSpan={9} align="center">No activities yet.</TableCell>
+                </TableRow>
+              ) : activities.map((a) => (
+                <TableRow key={a.activity_code} hover sx={{ opacity: a.is_active ? 1 : 0.6 }}>
+                  <TableCell align="right">{a.sort_order}</TableCell>
+                  <TableCell sx={{ fontFamily: 'monospace' }}>{a.activity_code}</TableCell>
+                  <TableCell>{a.label}</TableCell>
+                  <TableCell>{categoryLabel(a.category)}</TableCell>
+                  <TableCell>
+                    {a.is_billable && <Chip size="small" color="primary" variant="outlined" label="billable" />}
+                  </TableCell>
+                  <TableCell align="right">{a.max_hours_per_day ?? ''}</TableCell>
+                  <TableCell>
+                    <Switch size="small" checked={a.is_active} onChange={() => toggleActive(a)} />
+                  </TableCell>
+                  <TableCell align="right">{a.usage_count}</TableCell>
+                  <TableCell align="right" sx={{ whiteSpace: 'nowrap' }}>
+                    <Tooltip title="Edit">
+                      <IconButton size="small" onClick={() => openEdit(a)}><EditOutlinedIcon fontSize="small" /></IconButton>
+                    </Tooltip>
+                    <Tooltip title={a.usage_count > 0 ? 'In use: retire it instead' : 'Delete'}>
+                      <span>
+                        <IconButton
+                          size="small"
+                          color="error"
+                          disabled={a.usage_count > 0}
+                          onClick={() => handleDelete(a)}
+                        >
+                          <DeleteOutlineIcon fontSize="small" />
+                        </IconButton>
+                      </span>
+                    </Tooltip>
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </TableContainer>
+      </Paper>
+
+      <Dialog open={editing !== null} onClose={() => !saving && setEditing(null)} maxWidth="xs" fullWidth>
+        <DialogTitle>{editing === 'new' ? 'New activity' : `Edit activity "${editing}"`}</DialogTitle>
+        <DialogContent dividers>
+          <Stack spacing={2}>
+            {editing === 'new' && (
+              <TextField
+                label="Code"
+                value={form.activityCode}
+                onChange={(e) => setField('activityCode', e.target.value.toUpperCase())}
+                error={!!formFieldErrors.activityCode}
+                helperText={formFieldErrors.activityCode || 'Short permanent id, e.g. QA or T3'}
+                size="small"
+                required
+              />
+            )}
+            <TextField
+              label="Label"
+              value={form.label}
+              onChange={(e) => setField('label', e.target.value)}
+              error={!!formFieldErrors.label}
+              helperText={formFieldErrors.label}
+              size="small"
+              required
+            />
+            <TextField
+              select
+              label="Category"
+              value={form.category}
+              onChange={(e) => setField('category', e.target.value)}
+              error={!!formFieldErrors.category}
+              helperText={formFieldErrors.category}
+              size="small"
+            >
+              {CATEGORIES.map((c) => <MenuItem key={c.value} value={c.value}>{c.label}</MenuItem>)}
+            </TextField>
+            <TextField
+              label="Sort order"
+              type="number"
+              value={form.sortOrder}
+              onChange={(e) => setField('sortOrder', e.target.value)}
+              error={!!formFieldErrors.sortOrder}
+              helperText={formFieldErrors.sortOrder || 'Lower numbers come first'}
+              inputProps={{ min: 0, step: 10 }}
+              size="small"
+            />
+            <TextField
+              label="Max hours per day"
+              type="number"
+              value={form.maxHoursPerDay}
+              onChange={(e) => setField('maxHoursPerDay', e.target.value)}
+              error={!!formFieldErrors.maxHoursPerDay}
+              helperText={formFieldErrors.maxHoursPerDay || 'Saves above this are rejected; leave empty for no cap'}
+              inputProps={{ min: 0, max: 24, step: 0.5 }}
+              size="small"
+            />
+            <FormControlLabel
+              control={<Switch checked={form.isBillable} onChange={(e) => setField('isBillable', e.target.checked)} />}
+              label="Billable"
+            />
+            <FormControlLabel
+              control={<Switch checked={form.isActive} onChange={(e) => setField('isActive', e.target.checked)} />}
+              label="Active (offered for new entries)"
+            />
+            {formError && <Alert severity="error">{formError}</Alert>}
+          </Stack>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setEditing(null)} disabled={saving}>Cancel</Button>
+          <Button variant="contained" onClick={handleSave} disabled={saving || !form.label.trim()}>
+            {saving ? 'Saving…' : 'Save'}
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Box>
+  );
+}
+
+export default ActivityCatalog;
@@ -1,5 +1,6 @@
-import React, { useState } from 'react';
+import React, { useCallback, useEffect, useState } from 'react';
 import axios from 'axios';
+import { can } from '../permissions';
 import {
   Box,
   Button,
@@ -7,18 +8,152 @@ import {
   Typography,
   CircularProgress,
   Alert,
+  Table,
+  TableHead,
+  TableRow,
+  TableCell,
+  TableBody,
+  Chip,
+  Stack,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  TextField,
 } from '@mui/material';
+import LockOpenIcon from '@mui/icons-material/LockOpen';
+import RefreshIcon from '@mui/icons-material/Refresh';
+import DownloadOutlinedIcon from '@mui/icons-material/DownloadOutlined';
+import RestoreIcon from '@mui/icons-material/Restore';
+import BackupOutlinedIcon from '@mui/icons-material/BackupOutlined';
+
+const fmtDateTime = (v) => (v ? new Date(v).toLocaleString() : '—');
+const fmtSize = (bytes) => {
+  const n = Number(bytes || 0);
+  if (n < 1024) return `${n} B`;
+  if (n < 1024 * 1024) return `${(n / 1024).toFixed(1)} KB`;
+  return `${(n / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+// Phrases the backend expects back before destructive operations
+const RESET_PHRASE = 'FACTORY RESET';
+const RESTORE_PHRASE = 'RESTORE';
 
 function AdminSettings({ user }) {
   const [loading, setLoading] = useState(false);
   const [errorMessage, setErrorMessage] = useState('');
   const [successMessage, setSuccessMessage] = useState('');
 
-  const handleFactoryReset = async () => {
-    const confirmed = window.confirm(
-      '⚠️ Are you sure you want to factory reset?\nThis will delete all teams, projects, reports, and users except the default admin.'
-    );
-    if (!confirmed) return;
+  // Locked accounts
+  const [lockedAccounts, setLockedAccounts] = useState([]);
+  const [lockedLoading, setLockedLoading] = useState(false);
+  const [lockedError, setLockedError] = useState('');
+
+  const isAdmin = can(user, 'system.admin');
+
+  const fetchLockedAccounts = useCallback(async () => {
+    setLockedLoading(true);
+    setLockedError('');
+    try {
+      const token = localStorage.getItem('token');
+      const { data } = await axios.get('/api/employees/locked', {
+        headers: { Authorization: `Bearer ${token}` },
+      });
+      setLockedAccounts(Array.isArray(data) ? data : []);
+    } catch (err) {
+      setLockedError(err.response?.data?.message || 'Failed to load locked accounts.');
+    } finally {
+      setLockedLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (isAdmin) fetchLockedAccounts();
+  }, [isAdmin, fetchLockedAccounts]);
+
+  const handleUnlock = async (employeeId) => {
+    setLockedError('');
+    try {
+      const token = localStorage.getItem('token');
+      await axios.post(`/api/employees/${employeeId}/unlock`, {}, {
+        headers: { Authorization: `Bearer ${token}` },
+      });
+      fetchLockedAccounts();
+    } catch (err) {
+      setLockedError(err.response?.data?.message || 'Failed to unlock account.');
+    }
+  };
+
+  // Snapshots (written automatically before every reset/restore)
+  const [snapshots, setSnapshots] = useState([]);
+  const [snapshotsLoading, setSnapshotsLoading] = useState(false);
+  const [snapshotsError, setSnapshotsError] = useState('');
+
+  // Typed confirmation dialog: { kind: 'reset' | 'restore', fileName? }
+  const [confirmAction, setConfirmAction] = useState(null);
+  const [confirmText, setConfirmText] = useState('');
+
+  const fetchSnapshots = useCallback(async () => {
+    setSnapshotsLoading(true);
+    setSnapshotsError('');
+    try {
+      const token = localStorage.getItem('token');
+      const { data } = await axios.get('/api/snapshots', {
+        headers: { Authorization: `Bearer ${token}` },
+      });
+      setSnapshots(Array.isArray(data) ? data : []);
+    } catch (err) {
+      setSnapshotsError(err.response?.data?.message || 'Failed to load snapshots.');
+    } finally {
+      setSnapshotsLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (isAdmin) fetchSnapshots();
+  }, [isAdmin, fetchSnapshots]);
+
+  const handleCreateSnapshot = async () => {
+    setSnapshotsError('');
+    try {
+      const token = localStorage.getItem('token');
+      await axios.post('/api/snapshots', {}, {
+        headers: { Authorization: `Bearer ${token}` },
+      });
+      fetchSnapshots();
+    } catch (err) {
+      setSnapshotsError(err.response?.data?.message || 'Failed to create snapshot.');
+    }
+  };
+
+  const handleDownloadSnapshot = async (fileName) => {
+    setSnapshotsError('');
+    try {
+      const token = localStorage.getItem('token');
+      const { data } = await axios.get(`/api/snapshots/${encodeURIComponent(fileName)}`, {
+        headers: { Authorization: `Bearer ${token}` },
+        responseType: 'blob',
+      });
+      const url = URL.createObjectURL(data);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = fileName;
+      a.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      setSnapshotsError('Failed to download snapshot.');
+    }
+  };
+
+  const openConfirm = (action) => {
+    setConfirmText('');
+    setConfirmAction(action);
+  };
+
+  const runConfirmedAction = async () => {
+    const action = confirmAction;
+    setConfirmAction(null);
+    if (!action) return;
 
     setLoading(true);
     setErrorMessage('');
@@ -26,30 +161,39 @@ function AdminSettings({ user }) {
 
     try {
       const token = localStorage.getItem('token');
-      const response = await axios.delete('/api/factory-reset', {
-        headers: { Authorization: `Bearer ${token}` },
-      });
+      const headers = { Authorization: `Bearer ${token}` };
+      const response = action.kind === 'reset'
+        ? await axios.delete('/api/factory-reset', { headers, data: { confirm: confirmText } })
+        : await axios.post(
+          `/api/snapshots/${encodeURIComponent(action.fileName)}/restore`,
+          { confirm: confirmText },
+          { headers }
+        );
 
-      setSuccessMessage(response.data.message || '✅ Factory reset complete. Database cleared!');
+      setSuccessMessage(response.data.message || '✅ Done.');
+      // Sessions are cleared server-side; reload to sign in again
       setTimeout(() => window.location.reload(), 2000);
     } catch (err) {
-      console.error('Factory reset error:', err);
-      setErrorMessage(err.response?.data?.message || '❌ Factory reset failed.');
+      console.error('Admin operation error:', err);
+      setErrorMessage(err.response?.data?.message || '❌ Operation failed.');
+      fetchSnapshots();
     } finally {
       setLoading(false);
     }
   };
 
-  if (!user || user.role !== 'admin') {
+  const confirmPhrase = confirmAction?.kind === 'reset' ? RESET_PHRASE : RESTORE_PHRASE;
+
+  if (!user || !isAdmin) {
     return (
       <Box sx={{ mt: 4 }}>
-        <Alert severity="error">Access Denied. Admins only.</Alert>
+        <Alert severity="error">Access Denied. You need the system.admin permission.</Alert>
       </Box>
     );
   }
 
   return (
-    <Box sx={{ maxWidth: 600, mx: 'auto', mt: 6 }}>
+    <Box sx={{ maxWidth: 900, mx: 'auto', mt: 6 }}>
       <Typography variant="h4" gutterBottom>
         Admin Settings
       </Typography>
@@ -62,7 +206,8 @@ function AdminSettings({ user }) {
           Factory Reset
         </Typography>
         <Typography variant="body2" sx={{ mb: 3 }}>
-          Clear all data in the application (teams, projects, reports, users) except the default admin.
+          Clear all data in the application (teams, projects, reports, users) except your own admin
+          account. A snapshot of every table is saved first and can be restored below.
         </Typography>
 
         {errorMessage && <Alert severity="error" sx={{ mb: 2 }}>{errorMessage}</Alert>}
@@ -71,13 +216,162 @@ function AdminSettings({ user }) {
         <Button
           variant="contained"
           color="error"
-          onClick={handleFactoryReset}
+          onClick={() => openConfirm({ kind: 'reset' })}
           disabled={loading}
           startIcon={loading && <CircularProgress size={20} />}
         >
           {loading ? 'Resetting...' : '🔥 Factory Reset'}
         </Button>
       </Paper>
+
+      <Paper elevation={3} sx={{ p: 4, borderRadius: 3, mt: 4 }}>
+        <Stack direction="row" alignItems="center" justifyContent="space-between">
+          <Typography variant="h6" gutterBottom>
+            Snapshots
+          </Typography>
+          <Stack direction="row" spacing={1}>
+            <Button size="small" startIcon={<BackupOutlinedIcon />} onClick={handleCreateSnapshot} disabled={snapshotsLoading || loading}>
+              Take snapshot
+            </Button>
+            <Button size="small" startIcon={<RefreshIcon />} onClick={fetchSnapshots} disabled={snapshotsLoading}>
+              Refresh
+            </Button>
+          </Stack>
+        </Stack>
+        <Typography variant="body2" sx={{ mb: 3 }}>
+          JSON exports of every table. One is written automatically before each factory reset or restore.
+        </Typography>
+
+        {snapshotsError && <Alert severity="error" sx={{ mb: 2 }}>{snapshotsError}</Alert>}
+
+        {snapshotsLoading ? (
+          <Stack alignItems="center" sx={{ py: 2 }}><CircularProgress size={24} /></Stack>
+        ) : snapshots.length === 0 ? (
+          <Alert severity="info">No snapshots yet.</Alert>
+        ) : (
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>File</TableCell>
+                <TableCell>Created</TableCell>
+                <TableCell align="right">Size</TableCell>
+                <TableCell align="right" />
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {snapshots.map((snap) => (
+                <TableRow key={snap.fileName} hover>
+                  <TableCell sx={{ fontFamily: 'ui-monospace, SFMono-Regular, Menlo, monospace' }}>{snap.fileName}</TableCell>
+                  <TableCell>{fmtDateTime(snap.createdAt)}</TableCell>
+                  <TableCell align="right">{fmtSize(snap.sizeBytes)}</TableCell>
+                  <TableCell align="right">
+                    <Button size="small" startIcon={<DownloadOutlinedIcon />} onClick={() => handleDownloadSnapshot(snap.fileName)}>
+                      Download
+                    </Button>
+                    <Button
+                      size="small"
+                      color="warning"
+                      startIcon={<RestoreIcon />}
+                      onClick={() => openConfirm({ kind: 'restore', fileName: snap.fileName })}
+                      disabled={loading}
+                    >
+                      Restore
+                    </Button>
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        )}
+      </Paper>
+
+      <Paper elevation={3} sx={{ p: 4, borderRadius: 3, mt: 4 }}>
+        <Stack direction="row" alignItems="center" justifyContent="space-between">
+          <Typography variant="h6" gutterBottom>
+            Locked Accounts
+          </Typography>
+          <Button size="small" startIcon={<RefreshIcon />} onClick={fetchLockedAccounts} disabled={lockedLoading}>
+            Refresh
+          </Button>
+        </Stack>
+        <Typography variant="body2" sx={{ mb: 3 }}>
+          Accounts are locked temporarily after repeated failed logins. Unlocking also clears the failed-attempt counter.
+        </Typography>
+
+        {lockedError && <Alert severity="error" sx={{ mb: 2 }}>{lockedError}</Alert>}
+
+        {lockedLoading ? (
+          <Stack alignItems="center" sx={{ py: 2 }}><CircularProgress size={24} /></Stack>
+        ) : lockedAccounts.length === 0 ? (
+          <Alert severity="info">No locked accounts or recent failed logins.</Alert>
+        ) : (
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>Employee</TableCell>
+                <TableCell>Email</TableCell>
+                <TableCell align="right">Failed attempts</TableCell>
+                <TableCell>Last failure</TableCell>
+                <TableCell>Status</TableCell>
+                <TableCell align="right" />
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {lockedAccounts.map((a) => (
+                <TableRow key={a.employee_id} hover>
+                  <TableCell>{`${a.first_name || ''} ${a.last_name || ''}`.trim() || `Emp ${a.employee_id}`}</TableCell>
+                  <TableCell>{a.email}</TableCell>
+                  <TableCell align="right">{a.failed_login_attempts}</TableCell>
+                  <TableCell>{fmtDateTime(a.last_failed_login_at)}</TableCell>
+                  <TableCell>
+                    {a.is_locked ? (
+                      <Chip size="small" color="error" label={`Locked until ${fmtDateTime(a.locked_until)}`} />
+                    ) : (
+                      <Chip size="small" variant="outlined" label="Not locked" />
+                    )}
+                  </TableCell>
+                  <TableCell align="right">
+                    <Button size="small" startIcon={<LockOpenIcon />} onClick={() => handleUnlock(a.employee_id)}>
+                      {a.is_locked ? 'Unlock' : 'Reset'}
+                    </Button>
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        )}
+      </Paper>
+
+      <Dialog open={!!confirmAction} onClose={() => setConfirmAction(null)} maxWidth="xs" fullWidth>
+        <DialogTitle>
+          {confirmAction?.kind === 'reset' ? '⚠️ Factory reset' : '⚠️ Restore snapshot'}
+        </DialogTitle>
+        <DialogContent dividers>
+          <Typography variant="body2" sx={{ mb: 2 }}>
+            {confirmAction?.kind === 'reset'
+              ? 'This deletes all teams, projects, reports and users except your own admin account.'
+              : `This replaces all current data with ${confirmAction?.fileName}. The current data is snapshotted first.`}
+          </Typography>
+          <TextField
+            label={`Type ${confirmPhrase} to confirm`}
+            value={confirmText}
+            onChange={(e) => setConfirmText(e.target.value)}
+            fullWidth
+            autoFocus
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setConfirmAction(null)}>Cancel</Button>
+          <Button
+            variant="contained"
+            color="error"
+            onClick={runConfirmedAction}
+            disabled={confirmText !== confirmPhrase}
+          >
+            {confirmAction?.kind === 'reset' ? 'Reset everything' : 'Restore'}
+          </Button>
+        </DialogActions>
+      </Dialog>
     </Box>
   );
 }
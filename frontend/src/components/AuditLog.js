@@ -0,0 +1,302 @@
+import React, { useCallback, useEffect, useMemo, useState } from 'react';
+import axios from 'axios';
+import { can } from '../permissions';
+import {
+  Box, Paper, Typography, Stack, TextField, Select, MenuItem, FormControl, InputLabel,
+  Table, TableHead, TableRow, TableCell, TableBody, TableContainer, TablePagination,
+  Chip, IconButton, Collapse, Button, Alert, CircularProgress, Tooltip
+} from '@mui/material';
+import KeyboardArrowDownIcon from '@mui/icons-material/KeyboardArrowDown';
+import KeyboardArrowUpIcon from '@mui/icons-material/KeyboardArrowUp';
+import DownloadOutlinedIcon from '@mui/icons-material/DownloadOutlined';
+import RefreshIcon from '@mui/icons-material/Refresh';
+
+const MONO = 'ui-monospace, SFMono-Regular, Menlo, monospace';
+const ACTIONS = ['create', 'update', 'delete', 'import'];
+const ACTION_COLORS = { create: 'success', update: 'primary', delete: 'error', import: 'secondary' };
+
+const EMPTY_FILTERS = { actorId: '', entityType: '', entityId: '', action: '', from: '', to: '' };
+
+const fmtDateTime = (v) => (v ? new Date(v).toLocaleString() : '—');
+const fmtValue = (v) => (v === null || v === undefined ? '—' : typeof v === 'object' ? JSON.stringify(v) : String(v));
+
+// Field-level changes between two single-row snapshots
+const diffRows = (before, after) => {
+  if (Array.isArray(before) || Array.isArray(after)) return null;
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  return [...keys]
+    .filter((k) => JSON.stringify(before?.[k]) !== JSON.stringify(after?.[k]))
+    .map((k) => ({ field: k, before: before?.[k], after: after?.[k] }));
+};
+
+const JsonBlock = ({ label, value }) => (
+  <Box sx={{ flex: 1, minWidth: 0 }}>
+    <Typography variant="caption" color="text.secondary">{label}</Typography>
+    <Box
+      component="pre"
+      sx={{ m: 0, p: 1, bgcolor: 'action.hover', borderRadius: 1, fontFamily: MONO, fontSize: 12, overflow: 'auto', maxHeight: 260 }}
+    >
+      {value == null ? '—' : JSON.stringify(value, null, 2)}
+    </Box>
+  </Box>
+);
+
+const AuditRow = ({ entry }) => {
+  const [open, setOpen] = useState(false);
+  const changes = entry.action === 'update' ? diffRows(entry.before_data, entry.after_data) : null;
+
+  return (
+    <>
+      <TableRow hover>
+        <TableCell padding="checkbox">
+          <IconButton size="small" onClick={() => setOpen((v) => !v)}>
+            {open ? <KeyboardArrowUpIcon fontSize="small" /> : <KeyboardArrowDownIcon fontSize="small" />}
+          </IconButton>
+        </TableCell>
+        <TableCell sx={{ whiteSpace: 'nowrap' }}>{fmtDateTime(entry.occurred_at)}</TableCell>
+        <TableCell>{entry.actor_email || '—'}</TableCell>
+        <TableCell>{entry.entity_type}</TableCell>
+        <TableCell sx={{ fontFamily: MONO }}>{entry.entity_id || '—'}</TableCell>
+        <TableCell>
+          <Chip size="small" label={entry.action} color={ACTION_COLORS[entry.action] || 'default'} />
+        </TableCell>
+        <TableCell>
+          {changes ? `${changes.length} field${changes.length === 1 ? '' : 's'}` : ''}
+        </TableCell>
+      </TableRow>
+      <TableRow>
+        <TableCell colSpan={7} sx={{ py: 0, borderBottom: open ? undefined : 'none' }}>
+          <Collapse in={open} timeout="auto" unmountOnExit>
+            <Stack spacing={2} sx={{ py: 2 }}>
+              {changes && changes.length > 0 && (
+                <Table size="small">
+                  <TableHead>
+                    <TableRow>
+                      <TableCell>Field</TableCell>
+                      <TableCell>Before</TableCell>
+                      <TableCell>After</TableCell>
+                    </TableRow>
+                  </TableHead>
+                  <TableBody>
+                    {changes.map((c) => (
+                      <TableRow key={c.field}>
+                        <TableCell sx={{ fontFamily: MONO }}>{c.field}</TableCell>
+                        <TableCell sx={{ fontFamily: MONO, color: 'error.main' }}>{fmtValue(c.before)}</TableCell>
+                        <TableCell sx={{ fontFamily: MONO, color: 'success.main' }}>{fmtValue(c.after)}</TableCell>
+                      </TableRow>
+                    ))}
+                  </TableBody>
+                </Table>
+              )}
+              <Stack direction={{ xs: 'column', md: 'row' }} spacing={2}>
+                <JsonBlock label="Before" value={entry.before_data} />
+                <JsonBlock label="After" value={entry.after_data} />
+              </Stack>
+              {entry.metadata && <JsonBlock label="Details" value={entry.metadata} />}
+              <Typography variant="caption" color="text.secondary">
+                Entry #{entry.audit_id} · IP {entry.ip_address || '—'}
+              </Typography>
+            </Stack>
+          </Collapse>
+        </TableCell>
+      </TableRow>
+    </>
+  );
+};
+
+function AuditLog({ user }) {
+  const canView = can(user, 'audit.view');
+
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [facets, setFacets] = useState({ entityTypes: [], actors: [] });
+  const [entries, setEntries] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [page, setPage] = useState(0);
+  const [rowsPerPage, setRowsPerPage] = useState(50);
+  const [loading, setLoading] = useState(false);
+  const [exporting, setExporting] = useState(false);
+  const [error, setError] = useState('');
+
+  const authHeaders = useMemo(
+    () => ({ headers: { Authorization: `Bearer ${localStorage.getItem('token')}` } }),
+    []
+  );
+
+  // Only non-empty filters go on the query string
+  const filterParams = useMemo(
+    () => Object.fromEntries(Object.entries(filters).filter(([, v]) => String(v).trim() !== '')),
+    [filters]
+  );
+
+  const fetchEntries = useCallback(async () => {
+    setLoading(true);
+    setError('');
+    try {
+      const { data } = await axios.get('/api/audit-log', {
+        ...authHeaders,
+        params: { ...filterParams, page: page + 1, pageSize: rowsPerPage },
+      });
+      setEntries(data.data || []);
+      setTotal(data.total || 0);
+    } catch (err) {
+      setEntries([]);
+      setTotal(0);
+      setError(err.response?.data?.message || 'Failed to fetch audit log.');
+    } finally {
+      setLoading(false);
+    }
+  }, [authHeaders, filterParams, page, rowsPerPage]);
+
+  useEffect(() => {
+    if (canView) fetchEntries();
+  }, [canView, fetchEntries]);
+
+  useEffect(() => {
+    if (!canView) return;
+    axios.get('/api/audit-log/facets', authHeaders)
+      .then(({ data }) => setFacets({ entityTypes: data.entityTypes || [], actors: data.actors || [] }))
+      .catch(() => {});
+  }, [canView, authHeaders]);
+
+  const setFilter = (field) => (e) => {
+    setPage(0);
+    setFilters((prev) => ({ ...prev, [field]: e.target.value }));
+  };
+
+  const handleExport = async () => {
+    setExporting(true);
+    try {
+      const { data, headers } = await axios.get('/api/audit-log/export', {
+        ...authHeaders,
+        params: filterParams,
+        responseType: 'blob',
+      });
+      const match = /filename="([^"]+)"/.exec(headers['content-disposition'] || '');
+      const url = URL.createObjectURL(data);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = match ? match[1] : 'audit-log.csv';
+      a.click();
+      URL.revokeObjectURL(url);
+    } catch {
+      setError('Failed to export audit log.');
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  if (!canView) {
+    return (
+      <Box sx={{ p: 4 }}>
+        <Alert severity="error">Access Denied: you need the audit.view permission.</Alert>
+      </Box>
+    );
+  }
+
+  return (
+    <Box sx={{ p: 3 }}>
+      <Stack direction="row" alignItems="center" justifyContent="space-between" sx={{ mb: 2 }}>
+        <Typography variant="h5" sx={{ fontWeight: 700 }}>Audit Log</Typography>
+        <Stack direction="row" spacing={1}>
+          <Tooltip title="Refresh">
+            <span>
+              <IconButton onClick={fetchEntries} disabled={loading}><RefreshIcon /></IconButton>
+            </span>
+          </Tooltip>
+          <Button
+            variant="outlined"
+            startIcon={exporting ? <CircularProgress size={18} /> : <DownloadOutlinedIcon />}
+            onClick={handleExport}
+            disabled={exporting}
+          >
+            Export CSV
+          </Button>
+        </Stack>
+      </Stack>
+
+      <Paper elevation={2} sx={{ p: 2, borderRadius: 3, mb: 2 }}>
+        <Stack direction={{ xs: 'column', md: 'row' }} spacing={2} alignItems={{ md: 'center' }}>
+          <FormControl size="small" sx={{ minWidth: 200 }}>
+            <InputLabel>User</InputLabel>
+            <Select label="User" value={filters.actorId} onChange={setFilter('actorId')}>
+              <MenuItem value=""><em>Anyone</em></MenuItem>
+              {facets.actors.map((a) => (
+                <MenuItem key={`${a.actor_employee_id}-${a.actor_email}`} value={String(a.actor_employee_id ?? '')}>
+                  {a.actor_email}
+                </MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+          <FormControl size="small" sx={{ minWidth: 180 }}>
+            <InputLabel>Entity</InputLabel>
+            <Select label="Entity" value={filters.entityType} onChange={setFilter('entityType')}>
+              <MenuItem value=""><em>All</em></MenuItem>
+              {facets.entityTypes.map((t) => <MenuItem key={t} value={t}>{t}</MenuItem>)}
+            </Select>
+          </FormControl>
+          <TextField size="small" label="Entity ID" value={filters.entityId} onChange={setFilter('entityId')} />
+          <FormControl size="small" sx={{ minWidth: 130 }}>
+            <InputLabel>Action</InputLabel>
+            <Select label="Action" value={filters.action} onChange={setFilter('action')}>
+              <MenuItem value=""><em>All</em></MenuItem>
+              {ACTIONS.map((a) => <MenuItem key={a} value={a}>{a}</MenuItem>)}
+            </Select>
+          </FormControl>
+          <TextField
+            size="small" type="date" label="From" value={filters.from} onChange={setFilter('from')}
+            InputLabelProps={{ shrink: true }}
+          />
+          <TextField
+            size="small" type="date" label="To" value={filters.to} onChange={setFilter('to')}
+            InputLabelProps={{ shrink: true }}
+          />
+          <Button onClick={() => { setPage(0); setFilters(EMPTY_FILTERS); }}>Clear</Button>
+        </Stack>
+      </Paper>
+
+      {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+
+      <Paper elevation={2} sx={{ borderRadius: 3 }}>
+        <TableContainer>
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell padding="checkbox" />
+                <TableCell>When</TableCell>
+                <TableCell>User</TableCell>
+                <TableCell>Entity</TableCell>
+                <TableCell>ID</TableCell>
+                <TableCell>Action</TableCell>
+                <TableCell>Changes</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {loading ? (
+                <TableRow>
+                  <TableCell colSpan={7} align="center"><CircularProgress size={24} /></TableCell>
+                </TableRow>
+              ) : entries.length === 0 ? (
+                <TableRow>
+                  <TableCell colSpan={7} align="center">No audit entries match these filters.</TableCell>
+                </TableRow>
+              ) : (
+                entries.map((entry) => <AuditRow key={entry.audit_id} entry={entry} />)
+              )}
+            </TableBody>
+          </Table>
+        </TableContainer>
+        <TablePagination
+          component="div"
+          count={total}
+          page={page}
+          onPageChange={(_, p) => setPage(p)}
+          rowsPerPage={rowsPerPage}
+          onRowsPerPageChange={(e) => { setRowsPerPage(parseInt(e.target.value, 10)); setPage(0); }}
+          rowsPerPageOptions={[25, 50, 100, 200]}
+        />
+      </Paper>
+    </Box>
+  );
+}
+
+export default AuditLog;
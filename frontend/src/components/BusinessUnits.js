@@ -0,0 +1,629 @@
+import React, { useCallback, useEffect, useMemo, useState } from 'react';
+import axios from 'axios';
+import * as XLSX from 'xlsx';
+import { can } from '../permissions';
+import { fieldErrors } from '../validation';
+import {
+  Box, Paper, Typography, Stack, Button, Alert, CircularProgress, Chip, IconButton, Tooltip, Tabs, Tab,
+  Table, TableHead, TableRow, TableCell, TableBody, TableContainer, FormControlLabel, Switch,
+  Dialog, DialogTitle, DialogContent, DialogContentText, DialogActions, TextField, MenuItem
+} from '@mui/material';
+import AddIcon from '@mui/icons-material/Add';
+import EditIcon from '@mui/icons-material/Edit';
+import DeleteOutlineIcon from '@mui/icons-material/DeleteOutline';
+import CallMergeIcon from '@mui/icons-material/CallMerge';
+import RefreshIcon from '@mui/icons-material/Refresh';
+import DownloadIcon from '@mui/icons-material/Download';
+
+const REASON_LABELS = { acronym: 'Acronym', prefix: 'Prefix', spelling: 'Similar spelling' };
+
+const ymdLocal = (d) => `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+
+const unitLabel = (unit) => (unit.bu_name && unit.bu_name !== unit.bu_id ? `${unit.bu_name} (${unit.bu_id})` : unit.bu_id);
+
+const parseAliases = (text) => text.split(',').map((a) => a.trim()).filter(Boolean);
+
+const EMPTY_FORM = { buId: '', buName: '', aliases: '', isActive: true };
+
+// Business units: maintenance and merge review (business_units.manage) and the BU rollup
+// report of hours, project counts and overruns (reports.view)
+function BusinessUnits({ user }) {
+  const canManage = can(user, 'business_units.manage');
+  const canReport = can(user, 'reports.view');
+  const canExport = can(user, 'reports.export');
+
+  const [tab, setTab] = useState(canManage ? 'units' : 'rollup');
+  const [units, setUnits] = useState([]);
+  const [candidates, setCandidates] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  // Create / edit dialog: editing is the unit being edited, null when creating
+  const [formOpen, setFormOpen] = useState(false);
+  const [editing, setEditing] = useState(null);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [formErrors, setFormErrors] = useState({});
+
+  // Unit being merged into another one, and the one picked
+  const [merging, setMerging] = useState(null);
+  const [mergeInto, setMergeInto] = useState('');
+
+  const [deleting, setDeleting] = useState(null);
+
+  // Rollup report
+  const today = new Date();
+  const [startDate, setStartDate] = useState(ymdLocal(new Date(today.getFullYear(), today.getMonth(), 1)));
+  const [endDate, setEndDate] = useState(ymdLocal(today));
+  const [rollup, setRollup] = useState(null);
+
+  const authHeaders = useMemo(
+    () => ({ headers: { Authorization: `Bearer ${localStorage.getItem('token')}` } }),
+    []
+  );
+
+  const fetchUnits = useCallback(async () => {
+    setLoading(true);
+    setError('');
+    try {
+      const [list, pairs] = await Promise.all([
+        axios.get('/api/business-units', authHeaders),
+        axios.get('/api/business-units/merge-candidates', authHeaders),
+      ]);
+      setUnits(list.data || []);
+      setCandidates(pairs.data || []);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to fetch business units.');
+    } finally {
+      setLoading(false);
+    }
+  }, [authHeaders]);
+
+  const fetchRollup = useCallback(async () => {
+    setLoading(true);
+    setError('');
+    try {
+      const { data } = await axios.get('/api/business-units/rollup', {
+        ...authHeaders, params: { startDate, endDate }, skipErrorModal: true,
+      });
+      setRollup(data);
+    } catch (err) {
+      setRollup(null);
+      const fields = fieldErrors(err);
+      setError(fields ? Object.values(fields).join(' ') : (err.response?.data?.message || 'Failed to build the report.'));
+    } finally {
+      setLoading(false);
+    }
+  }, [authHeaders, startDate, endDate]);
+
+  useEffect(() => {
+    if (canManage) fetchUnits();
+  }, [canManage, fetchUnits]);
+
+  const openCreate = () => {
+    setEditing(null);
+    setForm(EMPTY_FORM);
+    setFormErrors({});
+    setFormOpen(true);
+  };
+
+  const openEdit = (unit) => {
+    setEditing(unit);
+    setForm({
+      buId: unit.bu_id,
+      buName: unit.bu_name,
+      // The id and name are kept as spellings anyway
+      aliases: (unit.aliases || []).filter((a) => a !== unit.bu_id && a !== unit.bu_name).join(', '),
+      isActive: unit.is_active,
+    });
+    setFormErrors({});
+    setFormOpen(true);
+  };
+
+  const handleSave = async () => {
+    setBusy(true);
+    setFormErrors({});
+    const aliases = parseAliases(form.aliases);
+    try {
+      if (editing) {
+        const body = { buName: form.buName.trim(), isActive: form.isActive, aliases };
+        if (form.buId.trim() !== editing.bu_id) body.newBuId = form.buId.trim();
+        await axios.put(`/api/business-units/${encodeURIComponent(editing.bu_id)}`, body, { ...authHeaders, skipErrorModal: true });
+        setSuccess(`Business unit "${form.buId.trim()}" updated.`);
+      } else {
+        await axios.post('/api/business-units', {
+          buId: form.buId.trim(),
+          buName: form.buName.trim() || undefined,
+          aliases,
+        }, { ...authHeaders, skipErrorModal: true });
+        setSuccess(`Business unit "${form.buId.trim()}" created.`);
+      }
+      setFormOpen(false);
+      fetchUnits();
+    } catch (err) {
+      const fields = fieldErrors(err);
+      if (fields) {
+        const out = {};
+        Object.entries(fields).forEach(([field, message]) => {
+          const key = field === 'newBuId' ? 'buId' : field.split('.')[0];
+          if (!(key in out)) out[key] = message;
+        });
+        setFormErrors(out);
+      } else {
+        setFormErrors({ _form: err.response?.data?.message || 'Failed to save the business unit.' });
+      }
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const mergeUnits = async (fromId, intoId) => {
+    setBusy(true);
+    setError('');
+    try {
+      const { data } = await axios.post(
+        `/api/business-units/${encodeURIComponent(fromId)}/merge`,
+        { intoBuId: intoId },
+        { ...authHeaders, skipErrorModal: true }
+      );
+      setSuccess(data.message);
+      setMerging(null);
+      fetchUnits();
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to merge the business units.');
+      setMerging(null);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const keepApart = async (pair) => {
+    setBusy(true);
+    setError('');
+    try {
+      const { data } = await axios.post(
+        '/api/business-units/merge-candidates/dismiss',
+        { buIds: [pair.a.bu_id, pair.b.bu_id] },
+        { ...authHeaders, skipErrorModal: true }
+      );
+      setSuccess(data.message);
+      fetchUnits();
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to save the review.');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleDelete = async () => {
+    const unit = deleting;
+    setBusy(true);
+    setError('');
+    try {
+      await axios.delete(`/api/business-units/${encodeURIComponent(unit.bu_id)}`, { ...authHeaders, skipErrorModal: true });
+      setSuccess(`Business unit "${unit.bu_id}" deleted.`);
+      fetchUnits();
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to delete the business unit.');
+    } finally {
+      setDeleting(null);
+      setBusy(false);
+    }
+  };
+
+  const exportRollup = () => {
+    const workbook = XLSX.utils.book_new();
+    const unitRows = rollup.rows.map((r) => ({
+      'BU ID': r.bu_id || '',
+      'Business Unit': r.bu_id ? r.bu_name : 'No business unit',
+      Projects: r.project_count,
+      'Active Projects': r.active_project_count,
+      [`Hours ${startDate} to ${endDate}`]: r.hours_in_range,
+      'Hours Total': r.hours_total,
+      'Estimated Hours': r.estimated_hours,
+      'Overrun Projects': r.overrun_projects,
+      'Overrun Hours': r.overrun_hours,
+    }));
+    const overrunRows = rollup.overruns.map((o) => ({
+      'Project ID': o.project_id,
+      'Project Name': o.project_name,
+      'BU ID': o.bu_id || '',
+      Status: o.status,
+      'Estimated Hours': o.estimated_hours,
+      'Logged Hours': o.logged_hours,
+      'Overrun Hours': o.overrun_hours,
+    }));
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(unitRows), 'Business Units');
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(overrunRows), 'Overruns');
+    XLSX.writeFile(workbook, `BU_Report_${startDate}_to_${endDate}.xlsx`);
+  };
+
+  if (!canManage && !canReport) {
+    return (
+      <Box sx={{ p: 4 }}>
+        <Alert severity="error">Access Denied: you need the business_units.manage or reports.view permission.</Alert>
+      </Box>
+    );
+  }
+
+  const renderUnits = () => (
+    <Paper elevation={2} sx={{ borderRadius: 3 }}>
+      <TableContainer>
+        <Table size="small">
+          <TableHead>
+            <TableRow>
+              <TableCell>ID</TableCell>
+              <TableCell>Name</TableCell>
+              <TableCell>Other spellings</TableCell>
+              <TableCell align="right">Projects</TableCell>
+              <TableCell>Status</TableCell>
+              <TableCell align="right">Actions</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {loading ? (
+              <TableRow>
+                <TableCell colSpan={6} align="center"><CircularProgress size={24} /></TableCell>
+              </TableRow>
+            ) : units.length === 0 ? (
+              <TableRow>
+                <TableCell colSpan={6} align="center">No business units yet.</TableCell>
+              </TableRow>
+            ) : units.map((unit) => (
+              <TableRow key={unit.bu_id} hover>
+                <TableCell>{unit.bu_id}</TableCell>
+                <TableCell>{unit.bu_name}</TableCell>
+                <TableCell>
+                  <Stack direction="row" spacing={0.5} flexWrap="wrap" useFlexGap>
+                    {(unit.aliases || []).filter((a) => a !== unit.bu_id && a !== unit.bu_name).map((a) => (
+                      <Chip key={a} size="small" variant="outlined" label={a} />
+                    ))}
+                  </Stack>
+                </TableCell>
+                <TableCell align="right">
+                  {unit.project_count}
+                  {unit.archived_project_count > 0 && (
+                    <Typography variant="caption" color="text.secondary"> (+{unit.archived_project_count} archived)</Typography>
+                  )}
+                </TableCell>
+                <TableCell>
+                  <Chip size="small" color={unit.is_active ? 'success' : 'default'} label={unit.is_active ? 'Active' : 'Inactive'} />
+                </TableCell>
+                <TableCell align="right">
+                  <Tooltip title="Edit">
+                    <span>
+                      <IconButton size="small" onClick={() => openEdit(unit)} disabled={busy}><EditIcon fontSize="small" /></IconButton>
+                    </span>
+                  </Tooltip>
+                  <Tooltip title="Merge into another unit">
+                    <span>
+                      <IconButton
+                        size="small"
+                        onClick={() => { setMerging(unit); setMergeInto(''); }}
+                        disabled={busy || units.length < 2}
+                      >
+                        <CallMergeIcon fontSize="small" />
+                      </IconButton>
+                    </span>
+                  </Tooltip>
+                  <Tooltip title={unit.project_count + unit.archived_project_count > 0 ? 'Used by projects; merge or deactivate it instead' : 'Delete'}>
+                    <span>
+                      <IconButton
+                        size="small"
+                        color="error"
+                        onClick={() => setDeleting(unit)}
+                        disabled={busy || unit.project_count + unit.archived_project_count > 0}
+                      >
+                        <DeleteOutlineIcon fontSize="small" />
+                      </IconButton>
+                    </span>
+                  </Tooltip>
+                </TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      </TableContainer>
+    </Paper>
+  );
+
+  const renderMerges = () => (
+    <>
+      <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+        Units with similar names, acronyms or one name starting the other. Merge them into one unit,
+        or keep them apart so they are not suggested again.
+      </Typography>
+      <Paper elevation={2} sx={{ borderRadius: 3 }}>
+        <TableContainer>
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>Unit</TableCell>
+                <TableCell>Looks like</TableCell>
+                <TableCell>Why</TableCell>
+                <TableCell align="right">Actions</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {loading ? (
+                <TableRow>
+                  <TableCell colSpan={4} align="center"><CircularProgress size={24} /></TableCell>
+                </TableRow>
+              ) : candidates.length === 0 ? (
+                <TableRow>
+                  <TableCell colSpan={4} align="center">No suggested merges left to review.</TableCell>
+                </TableRow>
+              ) : candidates.map((pair) => (
+                <TableRow key={`${pair.a.bu_id}|${pair.b.bu_id}`} hover>
+                  <TableCell>
+                    <Typography variant="body2">{unitLabel(pair.a)}</Typography>
+                    <Typography variant="caption" color="text.secondary">{pair.a.project_count} project(s)</Typography>
+                  </TableCell>
+                  <TableCell>
+                    <Typography variant="body2">{unitLabel(pair.b)}</Typography>
+                    <Typography variant="caption" color="text.secondary">{pair.b.project_count} project(s)</Typography>
+                  </TableCell>
+                  <TableCell>
+                    <Chip size="small" label={`${REASON_LABELS[pair.reason] || pair.reason} · ${Math.round(pair.score * 100)}%`} />
+                  </TableCell>
+                  <TableCell align="right">
+                    <Stack direction="row" spacing={1} justifyContent="flex-end">
+                      <Button size="small" onClick={() => mergeUnits(pair.a.bu_id, pair.b.bu_id)} disabled={busy}>
+                        Merge into {pair.b.bu_id}
+                      </Button>
+                      <Button size="small" onClick={() => mergeUnits(pair.b.bu_id, pair.a.bu_id)} disabled={busy}>
+                        Merge into {pair.a.bu_id}
+                      </Button>
+                      <Button size="small" color="inherit" onClick={() => keepApart(pair)} disabled={busy}>
+                        Keep apart
+                      </Button>
+                    </Stack>
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </TableContainer>
+      </Paper>
+    </>
+  );
+
+  const renderRollup = () => (
+    <>
+      <Stack direction={{ xs: 'column', sm: 'row' }} spacing={2} alignItems={{ sm: 'center' }} sx={{ mb: 2 }}>
+        <TextField
+          type="date" size="small" label="Start Date" InputLabelProps={{ shrink: true }}
+          value={startDate} onChange={(e) => setStartDate(e.target.value)}
+        />
+        <TextField
+          type="date" size="small" label="End Date" InputLabelProps={{ shrink: true }}
+          value={endDate} onChange={(e) => setEndDate(e.target.value)}
+        />
+        <Button variant="contained" onClick={fetchRollup} disabled={loading || !startDate || !endDate}>
+          Run report
+        </Button>
+        {canExport && (
+          <Button startIcon={<DownloadIcon />} onClick={exportRollup} disabled={!rollup}>
+            Export
+          </Button>
+        )}
+      </Stack>
+      <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+        Hours in range count the daily entries between the dates. Overruns compare all the hours
+        logged on a project with its estimate. Archived projects only count towards the hours.
+      </Typography>
+
+      {loading ? (
+        <Stack alignItems="center" sx={{ py: 3 }}><CircularProgress size={24} /></Stack>
+      ) : rollup && (
+        <Stack spacing={3}>
+          <Paper elevation={2} sx={{ borderRadius: 3 }}>
+            <TableContainer>
+              <Table size="small">
+                <TableHead>
+                  <TableRow>
+                    <TableCell>Business unit</TableCell>
+                    <TableCell align="right">Projects</TableCell>
+                    <TableCell align="right">Active</TableCell>
+                    <TableCell align="right">Hours in range</TableCell>
+                    <TableCell align="right">Hours total</TableCell>
+                    <TableCell align="right">Estimated</TableCell>
+                    <TableCell align="right">Overrun projects</TableCell>
+                    <TableCell align="right">Overrun hours</TableCell>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {rollup.rows.map((r) => (
+                    <TableRow key={r.bu_id ?? '-'} hover>
+                      <TableCell>
+                        {r.bu_id ? unitLabel(r) : <em>No business unit</em>}
+                        {r.bu_id && !r.is_active && <Chip size="small" label="Inactive" sx={{ ml: 1 }} />}
+                      </TableCell>
+                      <TableCell align="right">{r.project_count}</TableCell>
+                      <TableCell align="right">{r.active_project_count}</TableCell>
+                      <TableCell align="right">{r.hours_in_range}</TableCell>
+                      <TableCell align="right">{r.hours_total}</TableCell>
+                      <TableCell align="right">{r.estimated_hours}</TableCell>
+                      <TableCell align="right">{r.overrun_projects}</TableCell>
+                      <TableCell align="right" sx={{ color: r.overrun_hours > 0 ? 'error.main' : undefined }}>
+                        {r.overrun_hours}
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </TableContainer>
+          </Paper>
+
+          <Box>
+            <Typography variant="h6" sx={{ fontWeight: 700, mb: 1 }}>Overruns</Typography>
+            <Paper elevation={2} sx={{ borderRadius: 3 }}>
+              <TableContainer>
+                <Table size="small">
+                  <TableHead>
+                    <TableRow>
+                      <TableCell>Project</TableCell>
+                      <TableCell>Business unit</TableCell>
+                      <TableCell>Status</TableCell>
+                      <TableCell align="right">Estimated</TableCell>
+                      <TableCell align="right">Logged</TableCell>
+                      <TableCell align="right">Over by</TableCell>
+                    </TableRow>
+                  </TableHead>
+                  <TableBody>
+                    {rollup.overruns.length === 0 ? (
+                      <TableRow>
+                        <TableCell colSpan={6} align="center">No project is over its estimate.</TableCell>
+                      </TableRow>
+                    ) : rollup.overruns.map((o) => (
+                      <TableRow key={o.project_id} hover>
+                        <TableCell>
+                          <Typography variant="body2">{o.project_name}</Typography>
+                          <Typography variant="caption" color="text.secondary">{o.project_id}</Typography>
+                        </TableCell>
+                        <TableCell>{o.bu_id || '—'}</TableCell>
+                        <TableCell>{o.status}</TableCell>
+                        <TableCell align="right">{o.estimated_hours}</TableCell>
+                        <TableCell align="right">{o.logged_hours}</TableCell>
+                        <TableCell align="right" sx={{ color: 'error.main' }}>{o.overrun_hours}</TableCell>
+                      </TableRow>
+                    ))}
+                  </TableBody>
+                </Table>
+              </TableContainer>
+            </Paper>
+          </Box>
+        </Stack>
+      )}
+    </>
+  );
+
+  return (
+    <Box sx={{ p: 3 }}>
+      <Stack direction="row" alignItems="center" justifyContent="space-between" sx={{ mb: 2 }}>
+        <Typography variant="h5" sx={{ fontWeight: 700 }}>Business Units</Typography>
+        {canManage && tab !== 'rollup' && (
+          <Stack direction="row" spacing={1} alignItems="center">
+            {tab === 'units' && (
+              <Button variant="contained" startIcon={<AddIcon />} onClick={openCreate} disabled={busy}>
+                New business unit
+              </Button>
+            )}
+            <Tooltip title="Refresh">
+              <span>
+                <IconButton onClick={fetchUnits} disabled={loading}><RefreshIcon /></IconButton>
+              </span>
+            </Tooltip>
+          </Stack>
+        )}
+      </Stack>
+
+      <Tabs value={tab} onChange={(_, v) => setTab(v)} sx={{ mb: 2 }}>
+        {canManage && <Tab label="Units" value="units" />}
+        {canManage && <Tab label={`Review merges${candidates.length ? ` (${candidates.length})` : ''}`} value="merges" />}
+        {canReport && <Tab label="Rollup report" value="rollup" />}
+      </Tabs>
+
+      {error && <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError('')}>{error}</Alert>}
+      {success && <Alert severity="success" sx={{ mb: 2 }} onClose={() => setSuccess('')}>{success}</Alert>}
+
+      {tab === 'units' && renderUnits()}
+      {tab === 'merges' && renderMerges()}
+      {tab === 'rollup' && renderRollup()}
+
+      <Dialog open={formOpen} onClose={() => !busy && setFormOpen(false)} maxWidth="sm" fullWidth>
+        <DialogTitle>{editing ? `Edit ${editing.bu_id}` : 'New business unit'}</DialogTitle>
+        <DialogContent dividers>
+          {formErrors._form && <Alert severity="error" sx={{ mb: 2 }}>{formErrors._form}</Alert>}
+          <Stack spacing={2}>
+            <TextField
+              label="ID"
+              value={form.buId}
+              onChange={(e) => setForm((f) => ({ ...f, buId: e.target.value }))}
+              error={!!formErrors.buId}
+              helperText={formErrors.buId || (editing ? 'Renaming keeps the old ID as a spelling of the unit.' : '')}
+              required
+            />
+            <TextField
+              label="Name"
+              value={form.buName}
+              onChange={(e) => setForm((f) => ({ ...f, buName: e.target.value }))}
+              error={!!formErrors.buName}
+              helperText={formErrors.buName || (editing ? '' : 'Defaults to the ID.')}
+            />
+            <TextField
+              label="Other spellings"
+              value={form.aliases}
+              onChange={(e) => setForm((f) => ({ ...f, aliases: e.target.value }))}
+              error={!!formErrors.aliases}
+              helperText={formErrors.aliases || 'Comma separated. Project forms and imports accept them for this unit.'}
+            />
+            {editing && (
+              <FormControlLabel
+                control={(
+                  <Switch
+                    checked={form.isActive}
+                    onChange={(e) => setForm((f) => ({ ...f, isActive: e.target.checked }))}
+                  />
+                )}
+                label="Active (inactive units can't be picked for other projects)"
+              />
+            )}
+          </Stack>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setFormOpen(false)} disabled={busy}>Cancel</Button>
+          <Button variant="contained" onClick={handleSave} disabled={busy || !form.buId.trim()}>
+            {busy ? 'Saving…' : 'Save'}
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      <Dialog open={!!merging} onClose={() => !busy && setMerging(null)} maxWidth="xs" fullWidth>
+        <DialogTitle>Merge {merging?.bu_id}</DialogTitle>
+        <DialogContent>
+          <DialogContentText sx={{ mb: 2 }}>
+            Its projects and spellings move to the unit you pick, and it is deleted.
+          </DialogContentText>
+          <TextField
+            select
+            fullWidth
+            label="Merge into"
+            value={mergeInto}
+            onChange={(e) => setMergeInto(e.target.value)}
+          >
+            {units.filter((u) => u.bu_id !== merging?.bu_id).map((u) => (
+              <MenuItem key={u.bu_id} value={u.bu_id}>{unitLabel(u)}</MenuItem>
+            ))}
+          </TextField>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setMerging(null)} disabled={busy}>Cancel</Button>
+          <Button variant="contained" onClick={() => mergeUnits(merging.bu_id, mergeInto)} disabled={busy || !mergeInto}>
+            {busy ? 'Merging…' : 'Merge'}
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      <Dialog open={!!deleting} onClose={() => !busy && setDeleting(null)} maxWidth="xs" fullWidth>
+        <DialogTitle>Delete business unit?</DialogTitle>
+        <DialogContent>
+          {deleting && (
+            <DialogContentText>
+              <strong>{unitLabel(deleting)}</strong> and its spellings are deleted. No project uses it.
+            </DialogContentText>
+          )}
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setDeleting(null)} disabled={busy}>Cancel</Button>
+          <Button color="error" variant="contained" onClick={handleDelete} disabled={busy}>
+            {busy ? 'Deleting…' : 'Delete'}
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Box>
+  );
+}
+
+export default BusinessUnits;
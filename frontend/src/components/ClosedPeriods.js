@@ -0,0 +1,313 @@
+import React, { useCallback, useEffect, useMemo, useState } from 'react';
+import axios from 'axios';
+import { can } from '../permissions';
+import { fieldErrors } from '../validation';
+import {
+  Box, Paper, Typography, Stack, Button, Alert, CircularProgress, Chip, IconButton, Tooltip,
+  Table, TableHead, TableRow, TableCell, TableBody, TableContainer,
+  Dialog, DialogTitle, DialogContent, DialogActions, TextField, MenuItem,
+  FormControlLabel, Switch
+} from '@mui/material';
+import LockOutlinedIcon from '@mui/icons-material/LockOutlined';
+import LockOpenIcon from '@mui/icons-material/LockOpen';
+import RefreshIcon from '@mui/icons-material/Refresh';
+
+// First and last day of the previous month, the usual range to close
+const lastMonthRange = () => {
+  const now = new Date();
+  const first = new Date(Date.UTC(now.getFullYear(), now.getMonth() - 1, 1));
+  const last = new Date(Date.UTC(now.getFullYear(), now.getMonth(), 0));
+  return { startDate: first.toISOString().slice(0, 10), endDate: last.toISOString().slice(0, 10) };
+};
+
+const formatTime = (ts) => (ts ? new Date(ts).toLocaleString() : '');
+
+function ClosedPeriods({ user }) {
+  const canManage = can(user, 'periods.manage');
+
+  const [periods, setPeriods] = useState([]);
+  const [teams, setTeams] = useState([]);
+  const [includeReopened, setIncludeReopened] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  const [closeOpen, setCloseOpen] = useState(false);
+  const [form, setForm] = useState(() => ({ ...lastMonthRange(), teamId: '', note: '' }));
+  const [formError, setFormError] = useState('');
+  const [formFieldErrors, setFormFieldErrors] = useState({});
+
+  // The period being reopened, or null
+  const [reopening, setReopening] = useState(null);
+  const [reason, setReason] = useState('');
+  const [reopenError, setReopenError] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const authHeaders = useMemo(
+    () => ({ headers: { Authorization: `Bearer ${localStorage.getItem('token')}` } }),
+    []
+  );
+
+  const fetchPeriods = useCallback(async () => {
+    setLoading(true);
+    setError('');
+    try {
+      const { data } = await axios.get('/api/closed-periods', { ...authHeaders, params: { includeReopened } });
+      setPeriods(data || []);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to fetch closed periods.');
+    } finally {
+      setLoading(false);
+    }
+  }, [authHeaders, includeReopened]);
+
+  useEffect(() => {
+    if (canManage) fetchPeriods();
+  }, [canManage, fetchPeriods]);
+
+  useEffect(() => {
+    if (!canManage) return;
+    axios.get('/api/teams', authHeaders).then(({ data }) => setTeams(data || [])).catch(() => setTeams([]));
+  }, [canManage, authHeaders]);
+
+  const setField = (field, value) => {
+    setForm((prev) => ({ ...prev, [field]: value }));
+    setFormFieldErrors((prev) => ({ ...prev, [field]: undefined }));
+  };
+
+  const openClose = () => {
+    setForm({ ...lastMonthRange(), teamId: '', note: '' });
+    setFormError('');
+    setFormFieldErrors({});
+    setCloseOpen(true);
+  };
+
+  const handleClose = async () => {
+    setSaving(true);
+    setFormError('');
+    setFormFieldErrors({});
+    try {
+      await axios.post(
+        '/api/closed-periods',
+        { ...form, teamId: form.teamId || null },
+        { ...authHeaders, skipErrorModal: true }
+      );
+      setSuccess(`Closed ${form.startDate} to ${form.endDate}.`);
+      setCloseOpen(false);
+      fetchPeriods();
+    } catch (err) {
+      setFormFieldErrors(fieldErrors(err) || {});
+      setFormError(err.response?.data?.message || 'Failed to close period.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const openReopen = (p) => {
+    setReason('');
+    setReopenError('');
+    setReopening(p);
+  };
+
+  const handleReopen = async () => {
+    setSaving(true);
+    setReopenError('');
+    try {
+      await axios.post(
+        `/api/closed-periods/${reopening.period_id}/reopen`,
+        { reason },
+        { ...authHeaders, skipErrorModal: true }
+      );
+      setSuccess(`Reopened ${reopening.start_date} to ${reopening.end_date}.`);
+      setReopening(null);
+      fetchPeriods();
+    } catch (err) {
+      setReopenError(err.response?.data?.message || 'Failed to reopen period.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (!canManage) {
+    return (
+      <Box sx={{ p: 4 }}>
+        <Alert severity="error">Access Denied: you need the periods.manage permission.</Alert>
+      </Box>
+    );
+  }
+
+  return (
+    <Box sx={{ p: 3 }}>
+      <Stack direction="row" alignItems="center" justifyContent="space-between" sx={{ mb: 2 }}>
+        <Typography variant="h5" sx={{ fontWeight: 700 }}>Period Close</Typography>
+        <Stack direction="row" spacing={1} alignItems="center">
+          <FormControlLabel
+            control={<Switch checked={includeReopened} onChange={(e) => setIncludeReopened(e.target.checked)} />}
+            label="Show reopened"
+          />
+          <Tooltip title="Refresh">
+            <span>
+              <IconButton onClick={fetchPeriods} disabled={loading}><RefreshIcon /></IconButton>
+            </span>
+          </Tooltip>
+          <Button variant="contained" startIcon={<LockOutlinedIcon />} onClick={openClose}>
+            Close period
+          </Button>
+        </Stack>
+      </Stack>
+      <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+        Daily entries in a closed period can no longer be added, changed or deleted.
+        Reopening a period needs a reason, which is kept in the audit trail.
+      </Typography>
+
+      {error && <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError('')}>{error}</Alert>}
+      {success && <Alert severity="success" sx={{ mb: 2 }} onClose={() => setSuccess('')}>{success}</Alert>}
+
+      <Paper elevation={2} sx={{ borderRadius: 3 }}>
+        <TableContainer>
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>From</TableCell>
+                <TableCell>To</TableCell>
+                <TableCell>Team</TableCell>
+                <TableCell>Note</TableCell>
+                <TableCell>Closed</TableCell>
+                <TableCell>Status</TableCell>
+                <TableCell align="right">Actions</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {loading ? (
+                <TableRow>
+                  <TableCell colSpan={7} align="center"><CircularProgress size={24} /></TableCell>
+                </TableRow>
+              ) : periods.length === 0 ? (
+                <TableRow>
+                  <TableCell colSpan={7} align="center">No closed periods.</TableCell>
+                </TableRow>
+              ) : periods.map((p) => (
+                <TableRow key={p.period_id} hover sx={{ opacity: p.reopened_at ? 0.6 : 1 }}>
+                  <TableCell>{p.start_date}</TableCell>
+                  <TableCell>{p.end_date}</TableCell>
+                  <TableCell>{p.team_id ? p.team_name : <em>All teams</em>}</TableCell>
+                  <TableCell>{p.note}</TableCell>
+                  <TableCell>
+                    <Typography variant="body2">{formatTime(p.closed_at)}</Typography>
+                    <Typography variant="caption" color="text.secondary">{p.closed_by_name}</Typography>
+                  </TableCell>
+                  <TableCell>
+                    {p.reopened_at ? (
+                      <Tooltip title={`${p.reopened_by_name || ''} ${formatTime(p.reopened_at)}: ${p.reopen_reason}`}>
+                        <Chip size="small" icon={<LockOpenIcon />} label="reopened" />
+                      </Tooltip>
+                    ) : (
+                      <Chip size="small" color="warning" icon={<LockOutlinedIcon />} label="closed" />
+                    )}
+                  </TableCell>
+                  <TableCell align="right">
+                    {!p.reopened_at && (
+                      <Button size="small" startIcon={<LockOpenIcon />} onClick={() => openReopen(p)}>
+                        Reopen
+                      </Button>
+                    )}
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </TableContainer>
+      </Paper>
+
+      <Dialog open={closeOpen} onClose={() => !saving && setCloseOpen(false)} maxWidth="xs" fullWidth>
+        <DialogTitle>Close period</DialogTitle>
+        <DialogContent dividers>
+          <Stack spacing={2}>
+            <TextField
+              label="From"
+              type="date"
+              value={form.startDate}
+              onChange={(e) => setField('startDate', e.target.value)}
+              error={!!formFieldErrors.startDate}
+              helperText={formFieldErrors.startDate}
+              InputLabelProps={{ shrink: true }}
+              size="small"
+              required
+            />
+            <TextField
+              label="To"
+              type="date"
+              value={form.endDate}
+              onChange={(e) => setField('endDate', e.target.value)}
+              error={!!formFieldErrors.endDate}
+              helperText={formFieldErrors.endDate}
+              InputLabelProps={{ shrink: true }}
+              size="small"
+              required
+            />
+            <TextField
+              select
+              label="Team"
+              value={form.teamId}
+              onChange={(e) => setField('teamId', e.target.value)}
+              error={!!formFieldErrors.teamId}
+              helperText={formFieldErrors.teamId}
+              size="small"
+            >
+              <MenuItem value=""><em>All teams</em></MenuItem>
+              {teams.map((t) => <MenuItem key={t.team_id} value={t.team_id}>{t.team_name}</MenuItem>)}
+            </TextField>
+            <TextField
+              label="Note"
+              value={form.note}
+              onChange={(e) => setField('note', e.target.value)}
+              error={!!formFieldErrors.note}
+              helperText={formFieldErrors.note || 'e.g. Reported to finance on 3 Oct'}
+              size="small"
+            />
+            {formError && <Alert severity="error">{formError}</Alert>}
+          </Stack>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setCloseOpen(false)} disabled={saving}>Cancel</Button>
+          <Button variant="contained" onClick={handleClose} disabled={saving || !form.startDate || !form.endDate}>
+            {saving ? 'Closing…' : 'Close period'}
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      <Dialog open={!!reopening} onClose={() => !saving && setReopening(null)} maxWidth="sm" fullWidth>
+        <DialogTitle>
+          Reopen {reopening?.start_date} to {reopening?.end_date}
+          {reopening && (reopening.team_id ? ` (${reopening.team_name})` : ' (all teams)')}
+        </DialogTitle>
+        <DialogContent dividers>
+          <Stack spacing={2}>
+            <Typography variant="body2" color="text.secondary">
+              Entries in this range become editable again. The reason is recorded in the audit trail.
+            </Typography>
+            <TextField
+              label="Reason"
+              value={reason}
+              onChange={(e) => setReason(e.target.value)}
+              multiline
+              minRows={3}
+              size="small"
+              required
+              autoFocus
+            />
+            {reopenError && <Alert severity="error">{reopenError}</Alert>}
+          </Stack>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setReopening(null)} disabled={saving}>Cancel</Button>
+          <Button variant="contained" color="warning" onClick={handleReopen} disabled={saving || !reason.trim()}>
+            {saving ? 'Reopening…' : 'Reopen'}
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Box>
+  );
+}
+
+export default ClosedPeriods;
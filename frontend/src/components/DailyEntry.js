@@ -1,12 +1,19 @@
 import React, { useEffect, useMemo, useState } from 'react';
 import axios from 'axios';
+import { can } from '../permissions';
+import { fieldErrors, rowFieldErrors } from '../validation';
+import { addDays, weekStartOf, TIMESHEET_STATUS_COLORS } from '../timesheets';
+import DayFillTools from './DayFillTools';
+import WeekGrid from './WeekGrid';
+import EntryHistoryDrawer from './EntryHistoryDrawer';
+import TaskSplitDialog from './TaskSplitDialog';
 
 // MUI
 import {
   Box, Container, Grid, Card, CardHeader, Divider, Typography, Stack,
   TextField, Select, MenuItem, Button, IconButton, Tabs, Tab, Table, TableHead, TableRow,
   TableCell, TableBody, Dialog, DialogTitle, DialogContent, DialogActions,
-  InputAdornment, Chip, CircularProgress, Snackbar, Alert, Paper
+  InputAdornment, Chip, CircularProgress, Snackbar, Alert, Paper, Tooltip, Badge
 } from '@mui/material';
 
 // Icons
@@ -19,10 +26,10 @@ import WorkOutlineIcon from '@mui/icons-material/WorkOutline';
 import PlaylistAddCheckIcon from '@mui/icons-material/PlaylistAddCheck';
 import EditNoteIcon from '@mui/icons-material/EditNote';
 import ErrorOutlineIcon from '@mui/icons-material/ErrorOutline';
-
-const activityTypes = [
-  'Leave','Misc','Meeting','Method development','Correlation','Projects','Supervision','Trainer','CPM','Application','Trainee','Software',
-];
+import SendIcon from '@mui/icons-material/Send';
+import LockOutlinedIcon from '@mui/icons-material/LockOutlined';
+import HistoryIcon from '@mui/icons-material/History';
+import CallSplitIcon from '@mui/icons-material/CallSplit';
 
 const norm = (v = '') => String(v || '').trim();
 const toYMD = (v) => {
@@ -31,11 +38,25 @@ const toYMD = (v) => {
   return /^\d{4}-\d{2}-\d{2}/.test(s) ? s.slice(0, 10) : '';
 };
 
+// API body field -> project row field, for highlighting validation errors
+const PROJECT_ERROR_FIELDS = {
+  plannedStart: 'emp_planned_start',
+  plannedEnd: 'emp_planned_end',
+  startDate: 'emp_actual_start',
+  endDate: 'emp_actual_end',
+  status: 'emp_status',
+  hours: 'emp_hours',
+  comments: 'emp_comments',
+  tasks: 'emp_tasks',
+};
+
 // Strict local YYYY-MM-DD (Asia/Kolkata)
 const todayLocalYMD = () =>
   new Intl.DateTimeFormat('en-CA', { timeZone: 'Asia/Kolkata' }).format(new Date());
 
 function DailyEntry({ user }) {
+  // Without a view permission the page is limited to the user's own entries
+  const selfOnly = !can(user, 'entries.view_team', 'entries.view_all');
   // team & employees
   const [teams, setTeams] = useState([]);
   const [selectedTeamId, setSelectedTeamId] = useState('');
@@ -48,6 +69,7 @@ function DailyEntry({ user }) {
 
   // data
   const [allProjects, setAllProjects] = useState([]);
+  const [activities, setActivities] = useState([]); // active catalog entries, in display order
   const [utilizationEntries, setUtilizationEntries] = useState([]);
   const [projectEntries, setProjectEntries] = useState([]);
 
@@ -59,13 +81,25 @@ function DailyEntry({ user }) {
   // ui state
   const [busy, setBusy] = useState(false);
   const [toast, setToast] = useState({ open: false, severity: 'success', msg: '' });
+  const [historyOpen, setHistoryOpen] = useState(false);
+  // project_id of the row whose task split is open
+  const [splitRowId, setSplitRowId] = useState(null);
+  // server validation errors: { [utilization_id | project_id]: { [row field]: message } }
+  const [utilErrors, setUtilErrors] = useState({});
+  const [projErrors, setProjErrors] = useState({});
+  // timesheet of the selected date's week: { timesheet: { status, review_comment, ... }, total_hours }
+  const [week, setWeek] = useState(null);
+  // closed periods (month-end close) overlapping that week
+  const [closedPeriods, setClosedPeriods] = useState([]);
+  // day limits from backend/utils/hoursPolicy.js; the server re-checks every save
+  const [hoursPolicy, setHoursPolicy] = useState({ maxHoursPerDay: 16, expectedHoursPerDay: 8 });
 
   const getAuth = () => ({ headers: { Authorization: `Bearer ${localStorage.getItem('token')}` } });
 
   const RIGHT_PANEL_W = 1500;
   const RIGHT_PANEL_H = 560;
 
-  const projectColW = { pid: 140, name: 220, date: 132, status: 130, hours: 90, comments: 260, actions: 70 };
+  const projectColW = { pid: 140, name: 220, date: 132, status: 130, hours: 130, comments: 260, actions: 70 };
 
   const excelTableSx = {
     tableLayout: 'fixed',
@@ -100,21 +134,25 @@ function DailyEntry({ user }) {
   useEffect(() => {
     if (!user?.employee_id || !localStorage.getItem('token')) return;
 
-    if (user.role === 'employee' && user.team_id) {
+    if (selfOnly && user.team_id) {
       setSelectedTeamId(String(user.team_id));
       setSelectedEmployeeId(user.employee_id);
     }
 
-    if (user.role !== 'employee') {
+    if (!selfOnly) {
+      // Without entries.view_all only the user's own team is reachable
       axios.get('/api/teams', getAuth())
-        .then(res => setTeams(res.data || []))
+        .then(res => {
+          const list = res.data || [];
+          setTeams(can(user, 'entries.view_all') ? list : list.filter(t => String(t.team_id) === String(user.team_id)));
+        })
         .catch(() => setTeams([]));
     }
     // eslint-disable-next-line
   }, [user]);
 
   useEffect(() => {
-    if (!selectedTeamId || user.role === 'employee') return;
+    if (!selectedTeamId || selfOnly) return;
     axios.get(`/api/employees/team/${selectedTeamId}`, getAuth())
       .then(res => {
         const list = res.data || [];
@@ -127,7 +165,17 @@ function DailyEntry({ user }) {
       })
       .catch(() => setEmployees([]));
     // eslint-disable-next-line
-  }, [selectedTeamId, user.role]);
+  }, [selectedTeamId, selfOnly]);
+
+  useEffect(() => {
+    axios.get('/api/activities', getAuth())
+      .then(res => setActivities(res.data || []))
+      .catch(() => setActivities([]));
+    axios.get('/api/hours-policy', getAuth())
+      .then(res => setHoursPolicy(res.data))
+      .catch(() => {});
+    // eslint-disable-next-line
+  }, [user]);
 
   useEffect(() => {
     axios.get('/api/projects', getAuth())
@@ -138,6 +186,7 @@ function DailyEntry({ user }) {
 
   const fetchUtilization = async () => {
     if (!selectedEmployeeId || !selectedDate) { setUtilizationEntries([]); return; }
+    setUtilErrors({});
     setBusy(true);
     try {
       const res = await axios.get(
@@ -148,8 +197,11 @@ function DailyEntry({ user }) {
         const rows = res.data.map(u => ({
           utilization_id: u.utilization_id,
           activity:       u.activity || '',
+          activity_label: u.activity_label || u.activity || '',
           hours:          u.utilization_hours ?? '',
-          comments:       u.utilization_comments || ''
+          comments:       u.utilization_comments || '',
+          // set on rows written by an approved leave request; those change only through the request
+          leave_request_id: u.leave_request_id || null
         }));
         setUtilizationEntries(rows);
       } else {
@@ -164,6 +216,7 @@ function DailyEntry({ user }) {
 
   const fetchProjects = async () => {
     if (!selectedEmployeeId || !selectedDate) { setProjectEntries([]); return; }
+    setProjErrors({});
     setBusy(true);
     try {
       const res = await axios.get(
@@ -187,6 +240,13 @@ function DailyEntry({ user }) {
             emp_status:   p.employee_project_status || 'Active',
             emp_hours:    isCarry ? '' : (p.employee_project_hours ?? ''),
             emp_comments: isCarry ? '' : (p.employee_project_comments || ''),
+            // project_assignments row of this employee, if any
+            assignment_id: p.assignment_id ?? null,
+            project_role: p.project_role || '',
+            planned_hours_per_week: p.planned_hours_per_week ?? null,
+            // Split of the hours across the project's tasks; sent back only when changed
+            tasks: (p.tasks || []).map(t => ({ taskId: t.task_id, hours: t.hours })),
+            tasks_dirty: false,
           };
         });
       }
@@ -204,6 +264,70 @@ function DailyEntry({ user }) {
     // eslint-disable-next-line
   }, [selectedEmployeeId, selectedDate, allProjects.length]);
 
+  // ---------- Timesheet (week of the selected date) ----------
+  const weekStart = selectedDate ? weekStartOf(selectedDate) : '';
+  const weekStatus = week?.timesheet?.status || 'draft';
+  const weekLocked = weekStatus === 'approved';
+  const holidayName = week?.days?.find((d) => d.date === selectedDate)?.holiday || null;
+  const closedPeriod = closedPeriods.find((p) => p.start_date <= selectedDate && selectedDate <= p.end_date);
+  // Closed periods win over timesheet approval, like backend/middleware/entryLocks.js
+  const dayLocked = !!closedPeriod || weekLocked;
+  // Read-only days of the week for the week grid: { [YYYY-MM-DD]: reason }
+  const lockedDays = useMemo(() => {
+    const out = {};
+    if (!weekStart) return out;
+    for (let i = 0; i < 7; i++) {
+      const day = addDays(weekStart, i);
+      const period = closedPeriods.find((p) => p.start_date <= day && day <= p.end_date);
+      if (period) out[day] = `Closed period (${period.start_date} to ${period.end_date})`;
+      else if (weekLocked) out[day] = 'The timesheet for this week is approved';
+    }
+    return out;
+  }, [weekStart, closedPeriods, weekLocked]);
+
+  const fetchWeek = async () => {
+    if (!selectedEmployeeId || !weekStart) { setWeek(null); return; }
+    try {
+      const { data } = await axios.get(
+        `/api/timesheets/${selectedEmployeeId}/${weekStart}`,
+        { ...getAuth(), skipErrorModal: true }
+      );
+      setWeek(data);
+    } catch {
+      setWeek(null);
+    }
+  };
+
+  const fetchClosedPeriods = async () => {
+    if (!selectedEmployeeId || !weekStart) { setClosedPeriods([]); return; }
+    try {
+      const { data } = await axios.get(
+        `/api/employee/${selectedEmployeeId}/closed-periods`,
+        { ...getAuth(), params: { startDate: weekStart, endDate: addDays(weekStart, 6) }, skipErrorModal: true }
+      );
+      setClosedPeriods(data || []);
+    } catch {
+      setClosedPeriods([]);
+    }
+  };
+
+  useEffect(() => {
+    fetchWeek();
+    fetchClosedPeriods();
+    // eslint-disable-next-line
+  }, [selectedEmployeeId, weekStart]);
+
+  const submitWeek = async () => {
+    if (!window.confirm(`Submit the timesheet for the week of ${weekStart}? Save any pending changes first.`)) return;
+    try {
+      await axios.post(`/api/timesheets/${selectedEmployeeId}/${weekStart}/submit`, {}, { ...getAuth(), skipErrorModal: true });
+      setToast({ open: true, severity: 'success', msg: 'Timesheet submitted for approval.' });
+    } catch (err) {
+      setToast({ open: true, severity: 'error', msg: err?.response?.data?.message || 'Failed to submit timesheet.' });
+    }
+    fetchWeek();
+  };
+
   // ---------- Persistence ----------
   // Restore on mount
   useEffect(() => {
@@ -227,26 +351,57 @@ function DailyEntry({ user }) {
   }, [selectedTeamId, selectedEmployeeId, selectedDate, tab]);
 
   // ---------- Utilization ----------
+  const activityLabel = (row) =>
+    activities.find(a => a.activity_code === row.activity)?.label || row.activity_label || row.activity;
+
+  // ---------- Hours policy (running total of the day, both tabs, unsaved edits included) ----------
+  const dayTotals = useMemo(() => {
+    const num = (v) => (v === '' || v == null || isNaN(Number(v)) ? 0 : Number(v));
+    const utilization = utilizationEntries.reduce((sum, u) => sum + num(u.hours), 0);
+    const project = projectEntries.reduce((sum, p) => sum + num(p.emp_hours), 0);
+    const round = (n) => Number(n.toFixed(2));
+    return { utilization: round(utilization), project: round(project), total: round(utilization + project) };
+  }, [utilizationEntries, projectEntries]);
+
+  const dayTotalColor =
+    dayTotals.total > hoursPolicy.maxHoursPerDay ? 'error'
+      : dayTotals.total > hoursPolicy.expectedHoursPerDay ? 'warning'
+        : dayTotals.total === hoursPolicy.expectedHoursPerDay ? 'success'
+          : 'default';
+
+  const savedMessage = (msg, data) => (
+    data?.warnings?.length
+      ? { open: true, severity: 'warning', msg: `${msg} ${data.warnings.join(' ')}` }
+      : { open: true, severity: 'success', msg }
+  );
+
   const validateUtilBeforeSave = () => {
     const seen = new Set();
     for (const u of utilizationEntries) {
       const key = norm(u.activity);
       if (!key) continue;
-      if (seen.has(key)) return `Duplicate utilization activity "${key}"`;
+      if (seen.has(key)) return `Duplicate utilization activity "${activityLabel(u)}"`;
       seen.add(key);
     }
     for (const u of utilizationEntries) {
       if (norm(u.activity) && (u.hours === '' || isNaN(Number(u.hours))))
-        return `Invalid hours in utilization "${u.activity || 'row'}"`;
+        return `Invalid hours in utilization "${activityLabel(u) || 'row'}"`;
+      const cap = activities.find(a => a.activity_code === u.activity)?.max_hours_per_day;
+      if (cap != null && Number(u.hours) > cap)
+        return `${activityLabel(u)} is limited to ${cap} h per day`;
     }
+    if (dayTotals.total > hoursPolicy.maxHoursPerDay)
+      return `The day would have ${dayTotals.total} h logged; the limit is ${hoursPolicy.maxHoursPerDay} h`;
     return null;
   };
 
   const addUtilRow = () => setUtilizationEntries(prev => [
-    ...prev, { utilization_id: `tmp-${Date.now()}`, activity: '', hours: '', comments: '' }
+    ...prev, { utilization_id: `tmp-${Date.now()}`, activity: '', activity_label: '', hours: '', comments: '' }
   ]);
-  const changeUtil = (id, field, value) =>
+  const changeUtil = (id, field, value) => {
     setUtilizationEntries(prev => prev.map(r => (r.utilization_id === id ? { ...r, [field]: value } : r)));
+    setUtilErrors(prev => (prev[id] ? { ...prev, [id]: { ...prev[id], [field]: undefined, _row: undefined } } : prev));
+  };
   const removeUtil = async (id) => {
     if (String(id).startsWith('tmp-')) {
       setUtilizationEntries(prev => prev.filter(r => r.utilization_id !== id));
@@ -261,8 +416,10 @@ function DailyEntry({ user }) {
   };
 
   // ---------- Projects ----------
-  const changeProj = (projectId, field, value) =>
+  const changeProj = (projectId, field, value) => {
     setProjectEntries(prev => prev.map(r => (r.project_id === projectId ? { ...r, [field]: value } : r)));
+    setProjErrors(prev => (prev[projectId] ? { ...prev, [projectId]: { ...prev[projectId], [field]: undefined } } : prev));
+  };
 
   const removeProj = async (projectId) => {
     try {
@@ -282,6 +439,13 @@ function DailyEntry({ user }) {
     }
   };
 
+  // Task split of a row (TaskSplitDialog); saved with the projects
+  const splitRow = projectEntries.find(r => r.project_id === splitRowId) || null;
+  const applyTaskSplit = (projectId, tasks) => {
+    setProjectEntries(prev => prev.map(r => (r.project_id === projectId ? { ...r, tasks, tasks_dirty: true } : r)));
+    setProjErrors(prev => (prev[projectId] ? { ...prev, [projectId]: { ...prev[projectId], emp_tasks: undefined } } : prev));
+  };
+
   // Modal
   const openProjectModal = () => {
     setTempSelectedProjects(projectEntries.map(p => p.project_id));
@@ -307,6 +471,8 @@ function DailyEntry({ user }) {
           emp_status: 'Active',
           emp_comments: '',
           emp_hours: '',
+          tasks: [],
+          tasks_dirty: false,
         }))
     ];
     setProjectEntries(merged);
@@ -332,8 +498,8 @@ function DailyEntry({ user }) {
       const v = validateUtilBeforeSave();
       if (v) { setToast({ open: true, severity: 'warning', msg: v }); return; }
   
-      const activities = utilizationEntries
-        .filter(e => norm(e.activity) && e.hours !== '' && e.hours != null)
+      const rows = utilizationEntries.filter(e => norm(e.activity) && e.hours !== '' && e.hours != null);
+      const activities = rows
         .map(e => ({ activity: norm(e.activity), hours: Number(e.hours), comments: norm(e.comments) || null }));
 
       if (activities.length === 0) {
@@ -342,16 +508,19 @@ function DailyEntry({ user }) {
       }
   
       setBusy(true);
+      setUtilErrors({});
       try {
-        await axios.post('/api/daily-entries', {
+        const { data } = await axios.post('/api/daily-entries', {
           employeeId: selectedEmployeeId,
           entryDate: selectedDate,
           activities
-        }, getAuth());
+        }, { ...getAuth(), skipErrorModal: true });
   
-        setToast({ open: true, severity: 'success', msg: 'Utilization saved.' });
+        setToast(savedMessage('Utilization saved.', data));
         fetchUtilization();
+        fetchWeek();
       } catch (err) {
+        setUtilErrors(rowFieldErrors(fieldErrors(err), 'activities', i => rows[i]?.utilization_id));
         const msg = err?.response?.data?.message || err?.response?.data?.error || 'Save failed.';
         setToast({ open: true, severity: 'error', msg });
       } finally {
@@ -370,8 +539,8 @@ function DailyEntry({ user }) {
         return;
       }
     
-      const projPayloads = projectEntries
-        .filter(p => norm(p.project_id))
+      const projRows = projectEntries.filter(p => norm(p.project_id));
+      const projPayloads = projRows
         .map(p => {
           const base = {
             entryDate:   selectedDate,
@@ -384,19 +553,20 @@ function DailyEntry({ user }) {
             comments:     norm(p.emp_comments) || null,
             hours:        (p.emp_hours === '' || p.emp_hours == null) ? 0 : Number(p.emp_hours),
           };
+          if (p.tasks_dirty) base.tasks = p.tasks;
     
           if (p.depu_id) {
             return axios.put(
               `/api/employee/${selectedEmployeeId}/projects/${encodeURIComponent(p.project_id)}`,
               base,
-              getAuth()
+              { ...getAuth(), skipErrorModal: true }
             );
           }
     
           return axios.post(
             `/api/employee/${selectedEmployeeId}/projects`,
             { projectId: norm(p.project_id), ...base },
-            getAuth()
+            { ...getAuth(), skipErrorModal: true }
           );
         });
     
@@ -411,15 +581,30 @@ function DailyEntry({ user }) {
       }
     
       setBusy(true);
+      setProjErrors({});
       try {
-        await Promise.all(projPayloads);
-        setToast({ 
-          open: true, 
-          severity: 'success', 
-          msg: 'Projects saved.', 
-          autoHideDuration: 3000 
-        });
+        // Every row is attempted; failed rows keep their edits and are highlighted
+        const results = await Promise.allSettled(projPayloads);
+        const failed = results.filter(r => r.status === 'rejected');
+        if (failed.length) {
+          const errors = {};
+          results.forEach((r, i) => {
+            const fields = r.status === 'rejected' && fieldErrors(r.reason);
+            if (!fields) return;
+            errors[projRows[i].project_id] = Object.fromEntries(
+              Object.entries(fields).map(([f, m]) => [PROJECT_ERROR_FIELDS[f.split('.')[0]] || f, m])
+            );
+          });
+          setProjErrors(errors);
+          throw failed[0].reason;
+        }
+        // Saves are serialised per day on the server; the fullest day total is the final one
+        const last = results
+          .map(r => r.value?.data)
+          .reduce((a, b) => ((b?.totals?.total_hours ?? -1) > (a?.totals?.total_hours ?? -1) ? b : a), null);
+        setToast(savedMessage('Projects saved.', last));
         fetchProjects();
+        fetchWeek();
       } catch (err) {
         const msg = err?.response?.data?.message || err?.response?.data?.error || 'Save failed.';
         setToast({ 
@@ -448,7 +633,13 @@ function DailyEntry({ user }) {
       <Stack direction="row" alignItems="center" spacing={1} sx={{ mb: 2 }}>
         <PlaylistAddCheckIcon fontSize="large" />
         <Typography variant="h6" fontWeight={700}>Daily Entry</Typography>
-        <Chip size="small" icon={<EditNoteIcon />} label={selectedDate} variant="outlined" sx={{ ml: 1 }} />
+        <Chip
+          size="small"
+          icon={dayLocked ? <LockOutlinedIcon /> : <EditNoteIcon />}
+          label={dayLocked ? `${selectedDate} · read-only` : selectedDate}
+          variant="outlined"
+          sx={{ ml: 1 }}
+        />
       </Stack>
 
       <Grid container spacing={2} alignItems="flex-start">
@@ -456,18 +647,18 @@ function DailyEntry({ user }) {
           <Card sx={{ borderRadius: 2, width: 1500 }}>
             <CardHeader
               avatar={<WorkOutlineIcon />}
-              title={user.role === 'employee' ? 'My Daily Entry' : 'Employee Daily Entry'}
+              title={selfOnly ? 'My Daily Entry' : 'Employee Daily Entry'}
               action={
                 <Stack direction="row" alignItems="center" spacing={1}>
                   <Select size="small" displayEmpty value={selectedTeamId || ''} onChange={e => setSelectedTeamId(e.target.value)} sx={{ width: 200 }}>
                     <MenuItem value=""><em>Select Team</em></MenuItem>
                     {teams.map(t => <MenuItem key={t.team_id} value={t.team_id}>{t.team_name}</MenuItem>)}
-                    {user.role === 'employee' && !teams.length && selectedTeamId && (
+                    {selfOnly && !teams.length && selectedTeamId && (
                       <MenuItem value={selectedTeamId}>{`Team ${selectedTeamId}`}</MenuItem>
                     )}
                   </Select>
 
-                  {user.role !== 'employee' && (
+                  {!selfOnly && (
                     <Select size="small" displayEmpty value={selectedEmployeeId || ''} onChange={e => setSelectedEmployeeId(e.target.value)} sx={{ width: 220 }}>
                       <MenuItem value=""><em>Select Employee</em></MenuItem>
                       {employees.map(emp => (
@@ -492,11 +683,68 @@ function DailyEntry({ user }) {
 
             <Box sx={{ height: RIGHT_PANEL_H, overflow: 'auto' }}>
               <Box sx={{ px: 2, pt: 1.5 }}>
-                {(user.role === 'employee' || selectedEmployeeId) ? (
+                {(selfOnly || selectedEmployeeId) ? (
                   <>
+                    <Stack direction="row" alignItems="center" spacing={1} useFlexGap flexWrap="wrap" sx={{ mb: 1 }}>
+                      <Typography variant="body2" color="text.secondary">Week of {weekStart}</Typography>
+                      <Chip size="small" label={weekStatus} color={TIMESHEET_STATUS_COLORS[weekStatus]}
+                            icon={weekLocked ? <LockOutlinedIcon /> : undefined} />
+                      {week && <Typography variant="body2" color="text.secondary">{week.total_hours} h logged</Typography>}
+                      {holidayName && <Chip size="small" color="secondary" variant="outlined" label={`Holiday: ${holidayName}`} />}
+                      <Tooltip
+                        title={`Activities ${dayTotals.utilization} h + projects ${dayTotals.project} h, unsaved edits included. ` +
+                               `Expected ${hoursPolicy.expectedHoursPerDay} h, at most ${hoursPolicy.maxHoursPerDay} h per day.`}
+                      >
+                        <Chip
+                          size="small"
+                          variant="outlined"
+                          color={dayTotalColor}
+                          icon={dayTotalColor === 'error' ? <ErrorOutlineIcon /> : undefined}
+                          label={`Day total ${dayTotals.total} / ${hoursPolicy.expectedHoursPerDay} h`}
+                        />
+                      </Tooltip>
+                      {['draft', 'rejected'].includes(weekStatus) && (
+                        <Button size="small" variant="outlined" startIcon={<SendIcon />} onClick={submitWeek} disabled={busy}>
+                          Submit week
+                        </Button>
+                      )}
+                      <Box sx={{ flexGrow: 1 }} />
+                      <DayFillTools
+                        employeeId={selectedEmployeeId}
+                        date={selectedDate}
+                        disabled={dayLocked || busy}
+                        utilizationEntries={utilizationEntries}
+                        projectEntries={projectEntries}
+                        onFilled={() => { fetchUtilization(); fetchProjects(); fetchWeek(); }}
+                        onToast={setToast}
+                      />
+                      <Tooltip title="Revision history of this day">
+                        <IconButton size="small" onClick={() => setHistoryOpen(true)}>
+                          <HistoryIcon fontSize="small" />
+                        </IconButton>
+                      </Tooltip>
+                    </Stack>
+                    {['rejected', 'draft'].includes(weekStatus) && week?.timesheet?.review_comment && (
+                      <Alert severity="warning" sx={{ mb: 1 }}>
+                        {weekStatus === 'rejected' ? 'Returned' : 'Reopened'} by the reviewer: {week.timesheet.review_comment}
+                      </Alert>
+                    )}
+                    {closedPeriod ? (
+                      <Alert severity="info" icon={<LockOutlinedIcon fontSize="inherit" />} sx={{ mb: 1 }}>
+                        {selectedDate} is in a closed period ({closedPeriod.start_date} to {closedPeriod.end_date}
+                        {closedPeriod.team_id ? `, ${closedPeriod.team_name}` : ''}). Its entries are read-only;
+                        ask an administrator to reopen the period to change them.
+                      </Alert>
+                    ) : weekLocked && (
+                      <Alert severity="info" icon={<LockOutlinedIcon fontSize="inherit" />} sx={{ mb: 1 }}>
+                        The timesheet for this week is approved. Its entries are read-only until a reviewer reopens it.
+                      </Alert>
+                    )}
+
                     <Tabs value={tab} onChange={(_, v) => setTab(v)} sx={{ mb: 1 }}>
                       <Tab label="Utilization (per day)" value="utilization" />
                       <Tab label="Projects (per day)" value="projects" />
+                      <Tab label="Week grid" value="week" />
                     </Tabs>
 
                     {tab === 'utilization' && (
@@ -517,40 +765,57 @@ function DailyEntry({ user }) {
                               </TableRow>
                             </TableHead>
                             <TableBody>
-                              {utilizationEntries.map(row => (
-                                <TableRow key={row.utilization_id} hover>
-                                  <TableCell sx={{ width: 240 }}>
-                                    <Select fullWidth size="small" value={row.activity}
-                                            onChange={e => changeUtil(row.utilization_id, 'activity', e.target.value)} displayEmpty>
-                                      <MenuItem value=""><em>Select Activity</em></MenuItem>
-                                      {activityTypes.map(t => <MenuItem key={t} value={t}>{t}</MenuItem>)}
-                                    </Select>
-                                  </TableCell>
-                                  <TableCell sx={{ width: 80 }}>
-                                    <TextField size="small" type="number" value={row.hours}
-                                               onChange={e => changeUtil(row.utilization_id, 'hours', e.target.value)}
-                                               inputProps={{ step: '0.1', min: '0' }} />
-                                  </TableCell>
-                                  <TableCell sx={{ width: 420 }}>
-                                    <TextField size="small" value={row.comments}
-                                               onChange={e => changeUtil(row.utilization_id, 'comments', e.target.value)}
-                                               placeholder="Comments" fullWidth />
-                                  </TableCell>
-                                  <TableCell align="right" sx={{ width: 56 }}>
-                                    <IconButton size="small" color="error" onClick={() => removeUtil(row.utilization_id)}>
-                                      <DeleteOutlineIcon fontSize="small" />
-                                    </IconButton>
-                                  </TableCell>
-                                </TableRow>
-                              ))}
+                              {utilizationEntries.map(row => {
+                                const errs = utilErrors[row.utilization_id] || {};
+                                const activityError = errs.activity || errs._row;
+                                const fromLeave = !!row.leave_request_id;
+                                return (
+                                  <TableRow key={row.utilization_id} hover>
+                                    <TableCell sx={{ width: 240 }}>
+                                      <Select fullWidth size="small" value={row.activity} error={!!activityError} disabled={fromLeave}
+                                              onChange={e => changeUtil(row.utilization_id, 'activity', e.target.value)} displayEmpty>
+                                        <MenuItem value=""><em>Select Activity</em></MenuItem>
+                                        {activities.map(a => <MenuItem key={a.activity_code} value={a.activity_code}>{a.label}</MenuItem>)}
+                                        {/* keeps a retired activity selectable on the days that already use it */}
+                                        {row.activity && !activities.some(a => a.activity_code === row.activity) && (
+                                          <MenuItem value={row.activity}>{activityLabel(row)} (retired)</MenuItem>
+                                        )}
+                                      </Select>
+                                      {activityError && <Typography variant="caption" color="error">{activityError}</Typography>}
+                                      {fromLeave && (
+                                        <Typography variant="caption" color="text.secondary" display="block">
+                                          Approved leave request #{row.leave_request_id}
+                                        </Typography>
+                                      )}
+                                    </TableCell>
+                                    <TableCell sx={{ width: 80 }}>
+                                      <TextField size="small" type="number" value={row.hours} disabled={fromLeave}
+                                                 onChange={e => changeUtil(row.utilization_id, 'hours', e.target.value)}
+                                                 error={!!errs.hours} helperText={errs.hours}
+                                                 inputProps={{ step: '0.1', min: '0' }} />
+                                    </TableCell>
+                                    <TableCell sx={{ width: 420 }}>
+                                      <TextField size="small" value={row.comments}
+                                                 onChange={e => changeUtil(row.utilization_id, 'comments', e.target.value)}
+                                                 error={!!errs.comments} helperText={errs.comments}
+                                                 placeholder="Comments" fullWidth />
+                                    </TableCell>
+                                    <TableCell align="right" sx={{ width: 56 }}>
+                                      <IconButton size="small" color="error" onClick={() => removeUtil(row.utilization_id)} disabled={dayLocked || fromLeave}>
+                                        <DeleteOutlineIcon fontSize="small" />
+                                      </IconButton>
+                                    </TableCell>
+                                  </TableRow>
+                                );
+                              })}
                             </TableBody>
                           </Table>
 
                           <Stack direction="row" justifyContent="space-between" sx={{ mt: 1.5 }}>
-                            <Button size="small" startIcon={<AddCircleOutlineIcon />} variant="outlined" onClick={addUtilRow}>
+                            <Button size="small" startIcon={<AddCircleOutlineIcon />} variant="outlined" onClick={addUtilRow} disabled={dayLocked}>
                               Add Activity
                             </Button>
-                            <Button variant="contained" size="small" startIcon={<SaveIcon />} onClick={saveUtilization} disabled={busy}>
+                            <Button variant="contained" size="small" startIcon={<SaveIcon />} onClick={saveUtilization} disabled={busy || dayLocked}>
                               Save Utilization
                             </Button>
                           </Stack>
@@ -558,14 +823,28 @@ function DailyEntry({ user }) {
                       )
                     )}
 
+                    {tab === 'week' && (
+                      <WeekGrid
+                        employeeId={selectedEmployeeId}
+                        weekStart={weekStart}
+                        week={week}
+                        activities={activities}
+                        allProjects={allProjects}
+                        lockedDays={lockedDays}
+                        hoursPolicy={hoursPolicy}
+                        onSaved={() => { fetchWeek(); fetchUtilization(); fetchProjects(); }}
+                        onToast={setToast}
+                      />
+                    )}
+
                     {tab === 'projects' && (
                       busy ? <Stack alignItems="center" sx={{ py: 4 }}><CircularProgress size={24} /></Stack> : (
                         <>
                           <Stack direction="row" justifyContent="space-between" sx={{ mb: 1 }}>
-                            <Button size="small" variant="contained" onClick={openProjectModal} startIcon={<SearchIcon />}>
+                            <Button size="small" variant="contained" onClick={openProjectModal} startIcon={<SearchIcon />} disabled={dayLocked}>
                               Select Projects
                             </Button>
-                            <Button variant="contained" size="small" startIcon={<SaveIcon />} onClick={saveProjects} disabled={busy}>
+                            <Button variant="contained" size="small" startIcon={<SaveIcon />} onClick={saveProjects} disabled={busy || dayLocked}>
                               Save Projects
                             </Button>
                           </Stack>
@@ -594,6 +873,8 @@ function DailyEntry({ user }) {
                             <TableBody>
                               {projectEntries.map(row => {
                                 const overdue = row.emp_actual_end && row.emp_planned_end && row.emp_actual_end > row.emp_planned_end;
+                                // rows are one line high, so error messages go in tooltips
+                                const errs = projErrors[row.project_id] || {};
                                 return (
                                   <TableRow key={row.project_id} hover selected={overdue}>
                                     <TableCell className="sticky-col">
@@ -604,31 +885,47 @@ function DailyEntry({ user }) {
                                     <TableCell>
                                       <Stack direction="row" alignItems="center" spacing={1}>
                                         <span>{row.project_name}</span>
+                                        {row.assignment_id && (
+                                          <Tooltip title={[
+                                            row.project_role,
+                                            row.planned_hours_per_week != null && `${Number(row.planned_hours_per_week)} h/week planned`,
+                                          ].filter(Boolean).join(' · ') || 'Assigned to this project'}>
+                                            <Chip size="small" label="Assigned" color="primary" variant="outlined" />
+                                          </Tooltip>
+                                        )}
                                         {overdue && <Chip size="small" label="Overdue" color="error" variant="outlined" />}
                                       </Stack>
                                     </TableCell>
                                     <TableCell>
-                                      <TextField size="small" type="date" value={row.emp_planned_start || ''}
-                                                 onChange={e => changeProj(row.project_id, 'emp_planned_start', e.target.value)}
-                                                 className="cell-input" fullWidth />
+                                      <Tooltip title={errs.emp_planned_start || ''}>
+                                        <TextField size="small" type="date" value={row.emp_planned_start || ''}
+                                                   onChange={e => changeProj(row.project_id, 'emp_planned_start', e.target.value)}
+                                                   error={!!errs.emp_planned_start} className="cell-input" fullWidth />
+                                      </Tooltip>
                                     </TableCell>
                                     <TableCell>
-                                      <TextField size="small" type="date" value={row.emp_planned_end || ''}
-                                                 onChange={e => changeProj(row.project_id, 'emp_planned_end', e.target.value)}
-                                                 className="cell-input" fullWidth />
+                                      <Tooltip title={errs.emp_planned_end || ''}>
+                                        <TextField size="small" type="date" value={row.emp_planned_end || ''}
+                                                   onChange={e => changeProj(row.project_id, 'emp_planned_end', e.target.value)}
+                                                   error={!!errs.emp_planned_end} className="cell-input" fullWidth />
+                                      </Tooltip>
                                     </TableCell>
                                     <TableCell>
-                                      <TextField size="small" type="date" value={row.emp_actual_start || ''}
-                                                 onChange={e => changeProj(row.project_id, 'emp_actual_start', e.target.value)}
-                                                 className="cell-input" fullWidth />
+                                      <Tooltip title={errs.emp_actual_start || ''}>
+                                        <TextField size="small" type="date" value={row.emp_actual_start || ''}
+                                                   onChange={e => changeProj(row.project_id, 'emp_actual_start', e.target.value)}
+                                                   error={!!errs.emp_actual_start} className="cell-input" fullWidth />
+                                      </Tooltip>
                                     </TableCell>
                                     <TableCell>
-                                      <TextField size="small" type="date" value={row.emp_actual_end || ''}
-                                                 onChange={e => changeProj(row.project_id, 'emp_actual_end', e.target.value)}
-                                                 className="cell-input" fullWidth />
+                                      <Tooltip title={errs.emp_actual_end || ''}>
+                                        <TextField size="small" type="date" value={row.emp_actual_end || ''}
+                                                   onChange={e => changeProj(row.project_id, 'emp_actual_end', e.target.value)}
+                                                   error={!!errs.emp_actual_end} className="cell-input" fullWidth />
+                                      </Tooltip>
                                     </TableCell>
                                     <TableCell>
-                                      <Select size="small" value={row.emp_status || 'Active'}
+                                      <Select size="small" value={row.emp_status || 'Active'} error={!!errs.emp_status}
                                               onChange={e => changeProj(row.project_id, 'emp_status', e.target.value)}
                                               className="cell-select" fullWidth>
                                         <MenuItem value="Active">Active</MenuItem>
@@ -638,17 +935,33 @@ function DailyEntry({ user }) {
                                       </Select>
                                     </TableCell>
                                     <TableCell align="right">
-                                      <TextField size="small" type="number" value={row.emp_hours}
-                                                 onChange={e => changeProj(row.project_id, 'emp_hours', e.target.value)}
-                                                 className="cell-input" fullWidth inputProps={{ min: 0, step: '0.1' }} />
+                                      <Stack direction="row" alignItems="center" spacing={0.5}>
+                                        <Tooltip title={errs.emp_hours || ''}>
+                                          <TextField size="small" type="number" value={row.emp_hours}
+                                                     onChange={e => changeProj(row.project_id, 'emp_hours', e.target.value)}
+                                                     error={!!errs.emp_hours} className="cell-input" fullWidth
+                                                     inputProps={{ min: 0, step: '0.1' }} />
+                                        </Tooltip>
+                                        <Tooltip title={errs.emp_tasks || (row.tasks?.length ? `Split across ${row.tasks.length} task(s)` : 'Split across tasks')}>
+                                          <IconButton size="small" color={errs.emp_tasks ? 'error' : row.tasks?.length ? 'primary' : 'default'}
+                                                      onClick={() => setSplitRowId(row.project_id)}>
+                                            <Badge badgeContent={row.tasks?.length || 0} color="primary">
+                                              <CallSplitIcon fontSize="small" />
+                                            </Badge>
+                                          </IconButton>
+                                        </Tooltip>
+                                      </Stack>
                                     </TableCell>
                                     <TableCell>
-                                      <TextField size="small" value={row.emp_comments}
-                                                 onChange={e => changeProj(row.project_id, 'emp_comments', e.target.value)}
-                                                 className="cell-input" fullWidth placeholder="Comments" />
+                                      <Tooltip title={errs.emp_comments || ''}>
+                                        <TextField size="small" value={row.emp_comments}
+                                                   onChange={e => changeProj(row.project_id, 'emp_comments', e.target.value)}
+                                                   error={!!errs.emp_comments} className="cell-input" fullWidth
+                                                   placeholder="Comments" />
+                                      </Tooltip>
                                     </TableCell>
                                     <TableCell align="right">
-                                      <IconButton size="small" color="error" onClick={() => removeProj(row.project_id)}>
+                                      <IconButton size="small" color="error" onClick={() => removeProj(row.project_id)} disabled={dayLocked}>
                                         <DeleteOutlineIcon fontSize="small" />
                                       </IconButton>
                                     </TableCell>
@@ -711,6 +1024,27 @@ function DailyEntry({ user }) {
         </DialogActions>
       </Dialog>
 
+      <EntryHistoryDrawer
+        open={historyOpen}
+        onClose={() => setHistoryOpen(false)}
+        employeeId={selectedEmployeeId}
+        date={selectedDate}
+        disabled={dayLocked}
+        onRestored={() => { fetchUtilization(); fetchProjects(); fetchWeek(); }}
+        onToast={setToast}
+      />
+
+      <TaskSplitDialog
+        open={!!splitRow}
+        onClose={() => setSplitRowId(null)}
+        onApply={(tasks) => { applyTaskSplit(splitRow.project_id, tasks); setSplitRowId(null); }}
+        projectId={splitRow?.project_id}
+        projectName={splitRow?.project_name}
+        hours={splitRow?.emp_hours}
+        split={splitRow?.tasks}
+        readOnly={dayLocked}
+      />
+
       <Snackbar
         open={toast.open} autoHideDuration={3000}
         onClose={() => setToast({ ...toast, open: false })}
@@ -1,5 +1,6 @@
 import React, { useCallback, useEffect, useMemo, useRef, useState } from 'react';
 import axios from 'axios';
+import { can } from '../permissions';
 
 // MUI
 import {
@@ -72,11 +73,14 @@ const CALENDAR_COLORS = {
   pendingBg: '#F9A825', // yellow (today < 2PM, no entry)
   missingBg: '#D32F2F', // red   (weekday missing / today >= 2PM)
   weekendBg: '#9E9E9E', // grey  (ignored if empty)
+  holidayBg: '#6A1B9A', // purple (holiday, ignored if empty)
   textOnDark: '#FFFFFF', // text on colored circles
   futureText: '#9E9E9E', // text for future-day plain cells
 };
 
 function Dashboard({ user }) {
+  // Team-wide totals are only served to entries.view_team / entries.view_all
+  const canViewTeam = can(user, 'entries.view_team', 'entries.view_all');
   const [teams, setTeams] = useState([]);
   const [teamId, setTeamId] = useState('');
   const [employees, setEmployees] = useState([]); // for selected team
@@ -172,8 +176,12 @@ function Dashboard({ user }) {
   // Load teams, projects index
   useEffect(() => {
     if (!user?.employee_id) return;
+    // Non-admins can only read their own team's entries
     axios.get('/api/teams', getAuth())
-      .then(res => setTeams(res.data || []))
+      .then(res => {
+        const list = res.data || [];
+        setTeams(can(user, 'entries.view_all') ? list : list.filter(t => String(t.team_id) === String(user.team_id)));
+      })
       .catch(() => setTeams([]));
 
     axios.get('/api/projects', getAuth())
@@ -208,7 +216,11 @@ function Dashboard({ user }) {
     }
     setLoadingEmp(true);
     axios.get(`/api/employees/team/${teamId}`, getAuth())
-      .then(res => setEmployees(res.data || []))
+      .then(res => {
+        const list = res.data || [];
+        // Without a view permission users only see their own row
+        setEmployees(can(user, 'entries.view_team', 'entries.view_all') ? list : list.filter(e => String(e.employee_id) === String(user.employee_id)));
+      })
       .catch(() => setEmployees([]))
       .finally(() => setLoadingEmp(false));
   }, [teamId, getAuth]); // eslint-disable-line
@@ -290,6 +302,12 @@ function Dashboard({ user }) {
     setEmpKpi(nextKpi);
 
     // ---- Team totals (Util vs Project) for the selected range ----
+    if (!canViewTeam) {
+      setUtilizationHours(0);
+      setProjectHours(0);
+      setLoadingHours(false);
+      return;
+    }
     try {
       const { data } = await axios.get(
         `/api/team/${teamId}/utilization-summary`,
@@ -297,25 +315,12 @@ function Dashboard({ user }) {
       );
       const rows = data?.rows || [];
 
-      // Sum all utilization buckets except P
+      // Per-employee totals come pre-summed over the activity catalog
       let utilHrs = 0;
       let projHrs = 0;
       for (const r of rows) {
-        const P  = Number(r.P  || r['P']  || 0);
-        const S  = Number(r.S  || r['S']  || 0);
-        const C  = Number(r.C  || r['C']  || 0);
-        const M  = Number(r.M  || r['M']  || 0);
-        const A  = Number(r.A  || r['A']  || 0);
-        const CP = Number(r.CP || r['CP'] || 0);
-        const O  = Number(r.O  || r['O']  || 0);
-        const T1 = Number(r.T1 || r['T1'] || 0);
-        const T2 = Number(r.T2 || r['T2'] || 0);
-        const NA = Number(r.NA || r['NA'] || 0);
-        const L  = Number(r.L  || r['L']  || 0);
-        const SW = Number(r.SW || r['SW'] || 0);
-
-        projHrs += P;
-        utilHrs += S + C + M + A + CP + O + T1 + T2 + NA + L + SW;
+        utilHrs += Number(r.utilization_hours || 0);
+        projHrs += Number(r.project_hours || 0);
       }
 
       setUtilizationHours(Number(utilHrs.toFixed(2)));
@@ -326,13 +331,13 @@ function Dashboard({ user }) {
     } finally {
       setLoadingHours(false);
     }
-  }, [teamId, employees, projectsIndex, fromDate, toDate, today, ymdIST, getAuth]); // eslint-disable-line
+  }, [teamId, employees, projectsIndex, fromDate, toDate, today, ymdIST, getAuth, canViewTeam]); // eslint-disable-line
 
   useEffect(() => { computeSelectedTeam(); }, [computeSelectedTeam]); // eslint-disable-line
 
   // Donut = sum of project hours by project for the selected team (server-side)
   const computeDonutForTeamProjects = useCallback(async () => {
-    if (!teamId) { setDonutProjectData([]); return; }
+    if (!teamId || !canViewTeam) { setDonutProjectData([]); return; }
     setLoadingDonut(true);
     try {
       const { data } = await axios.get(
@@ -351,7 +356,7 @@ function Dashboard({ user }) {
     } finally {
       setLoadingDonut(false);
     }
-  }, [teamId, fromDate, toDate, getAuth]);
+  }, [teamId, fromDate, toDate, getAuth, canViewTeam]);
 
   useEffect(() => { computeDonutForTeamProjects(); }, [computeDonutForTeamProjects]);
 
@@ -395,6 +400,8 @@ function Dashboard({ user }) {
   // - If today is the 1st, prepend last 7 days from previous month.
   // - "Filled" means BOTH utilization AND project entries exist; otherwise it's missing.
   // - If an employee is only missing *today* and time < 2 PM IST, we don't count them as missing.
+  // - Holidays (org-wide + the team's, see Holidays admin page) are non-working days like weekends.
+  // - Approved leave fills the day: a full day on its own, a half day together with project entries.
   const runIdRef = useRef(0);
 
   const computeMissingDailyEntries = useCallback(async () => {
@@ -437,6 +444,23 @@ function Dashboard({ user }) {
       // Display sequence: prev-week (if any) + full current month
       const displayDays = isFirstOfMonth ? [...prevWeekDays, ...monthDays] : [...monthDays];
 
+      // { 'YYYY-MM-DD': holiday name } for the selected team
+      const holidayByDate = {};
+      if (displayDays.length) {
+        try {
+          const { data } = await axios.get('/api/holidays', {
+            ...getAuth(),
+            params: { startDate: displayDays[0], endDate: displayDays[displayDays.length - 1], teamId },
+          });
+          (data || []).forEach((h) => {
+            // A team holiday on the same day as an org-wide one keeps the org-wide name
+            if (!holidayByDate[h.holiday_date]) holidayByDate[h.holiday_date] = h.name;
+          });
+        } catch {
+          // Without the calendar every weekday counts, as before
+        }
+      }
+
       const perEmp = {};
       for (const emp of employees) {
         const name = `${emp.first_name || ''} ${emp.last_name || ''}`.trim() || `Emp ${emp.employee_id}`;
@@ -444,19 +468,23 @@ function Dashboard({ user }) {
         let missingCount = 0;
 
         for (const d of displayDays) {
+          const holiday = holidayByDate[d] || null;
+
           // Future of today → still show the number later, but we don't call API
           if (d > todayYMD) {
-            days.push({ date: d, state: 'future', weekendIgnored: false });
+            days.push({ date: d, state: holiday ? 'holiday' : 'future', weekendIgnored: false, holiday });
             continue;
           }
 
           // Fetch daily summary
           let hasBoth = false;
+          let leave = null;
           try {
             const { data } = await axios.get(
               `/api/daily-entries/${emp.employee_id}/${d}/summary`,
               getAuth()
             );
+            leave = data?.leave || null;
             if (typeof data?.has_both_entry === 'boolean') {
               hasBoth = data.has_both_entry;
             } else {
@@ -464,6 +492,7 @@ function Dashboard({ user }) {
               const projCnt = Number(data?.projects_count || 0);
               hasBoth = utilCnt > 0 && projCnt > 0;
             }
+            if (leave && (!leave.half || Number(data?.projects_count || 0) > 0)) hasBoth = true;
           } catch {
             hasBoth = false; // treat error as missing
           }
@@ -474,15 +503,21 @@ function Dashboard({ user }) {
 
           let state;
           if (hasBoth) state = 'filled';
+          else if (holiday) state = 'holiday';
           else if (isToday && istHour < cutoffHour) state = 'pending';
           else state = 'missing';
 
-          // Count missing only for weekdays, excluding pending-before-2PM-today
-          if (!hasBoth && !weekend && !(isToday && istHour < cutoffHour)) {
+          // Count missing only for working weekdays, excluding pending-before-2PM-today
+          if (!hasBoth && !weekend && !holiday && !(isToday && istHour < cutoffHour)) {
             missingCount += 1;
           }
 
-          days.push({ date: d, state, weekendIgnored });
+          days.push({
+            date: d,
+            state,
+            weekendIgnored,
+            holiday: holiday || (leave ? `${leave.label || leave.leave_type}${leave.half ? ' (half day)' : ''}` : null),
+          });
         }
 
         perEmp[emp.employee_id] = { name, days, missingCount };
@@ -1138,7 +1173,7 @@ function Dashboard({ user }) {
                             return Array.from({ length: pad }).map((_, i) => <span key={`pad-${i}`} />);
                           })()}
 
-                          {selectedCalDays.map(({ date, state, weekendIgnored }) => {
+                          {selectedCalDays.map(({ date, state, weekendIgnored, holiday }) => {
                             const dnum = parseISO(date).getDate();
 
                             if (state === 'future') {
@@ -1148,6 +1183,8 @@ function Dashboard({ user }) {
                             let sx;
                             if (state === 'filled') {
                               sx = dayCircle(CALENDAR_COLORS.filledBg);
+                            } else if (state === 'holiday') {
+                              sx = dayCircle(CALENDAR_COLORS.holidayBg);
                             } else if (state === 'pending') {
                               sx = dayCircle(CALENDAR_COLORS.pendingBg);
                             } else if (weekendIgnored) {
@@ -1156,7 +1193,7 @@ function Dashboard({ user }) {
                               sx = dayCircle(CALENDAR_COLORS.missingBg);
                             }
 
-                            return <Box key={date} sx={sx}>{dnum}</Box>;
+                            return <Box key={date} sx={sx} title={holiday || undefined}>{dnum}</Box>;
                           })}
                         </Box>
                       </Stack>
@@ -0,0 +1,323 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import axios from 'axios';
+import { fieldErrors } from '../validation';
+import { addDays } from '../timesheets';
+import {
+  Stack, Button, IconButton, Tooltip, Menu, MenuItem, ListItemText, Divider, Alert, TextField,
+  Dialog, DialogTitle, DialogContent, DialogActions, FormControlLabel, Checkbox, Typography
+} from '@mui/material';
+import ContentCopyIcon from '@mui/icons-material/ContentCopy';
+import TuneIcon from '@mui/icons-material/Tune';
+import BookmarksIcon from '@mui/icons-material/BookmarksOutlined';
+import BookmarkAddIcon from '@mui/icons-material/BookmarkAddOutlined';
+import DeleteOutlineIcon from '@mui/icons-material/DeleteOutline';
+
+// Last weekday before a YYYY-MM-DD day (Monday → Friday)
+const previousWeekday = (ymd) => {
+  const dow = new Date(`${ymd}T00:00:00Z`).getUTCDay();
+  return addDays(ymd, dow === 1 ? -3 : dow === 0 ? -2 : -1);
+};
+
+// Toast for the { message, filled, skipped, warnings } answer of a copy / apply
+const fillSummary = (data) => {
+  const skipped = (data.skipped || []).map((s) => `${s.date} (${s.reason})`);
+  const parts = [data.message];
+  if (skipped.length) parts.push(`Skipped: ${skipped.join('; ')}.`);
+  if (data.warnings?.length) parts.push(data.warnings.join(' '));
+  return {
+    open: true,
+    severity: data.filled?.length && !skipped.length && !data.warnings?.length ? 'success' : 'warning',
+    msg: parts.join(' '),
+  };
+};
+
+// "Copy previous day", copy to a range and daily templates for the Daily Entry header.
+// onFilled() runs after the shown day may have changed; onToast(toast) reports the outcome.
+function DayFillTools({ employeeId, date, disabled, utilizationEntries, projectEntries, onFilled, onToast }) {
+  const [templates, setTemplates] = useState([]);
+  const [menuAnchor, setMenuAnchor] = useState(null);
+  const [working, setWorking] = useState(false);
+
+  const [copyOpen, setCopyOpen] = useState(false);
+  const [copyForm, setCopyForm] = useState({});
+  const [copyErrors, setCopyErrors] = useState({});
+
+  const [saveOpen, setSaveOpen] = useState(false);
+  const [templateName, setTemplateName] = useState('');
+  const [withProjects, setWithProjects] = useState(true);
+  const [saveError, setSaveError] = useState('');
+
+  const getAuth = () => ({ headers: { Authorization: `Bearer ${localStorage.getItem('token')}` } });
+
+  const fetchTemplates = useCallback(async () => {
+    if (!employeeId) { setTemplates([]); return; }
+    try {
+      const { data } = await axios.get(`/api/employee/${employeeId}/entry-templates`, {
+        headers: { Authorization: `Bearer ${localStorage.getItem('token')}` },
+        skipErrorModal: true,
+      });
+      setTemplates(data || []);
+    } catch {
+      setTemplates([]);
+    }
+  }, [employeeId]);
+
+  useEffect(() => {
+    fetchTemplates();
+  }, [fetchTemplates]);
+
+  const savedRows = utilizationEntries.filter((u) => u.activity && !String(u.utilization_id).startsWith('tmp-'));
+  const dayHasEntries = savedRows.length > 0 || projectEntries.some((p) => p.depu_id != null);
+
+  // Filling a day that has entries replaces them, so ask first
+  const confirmOverwrite = (what) =>
+    !dayHasEntries || window.confirm(`${date} already has entries. Replace them with ${what}?`);
+
+  const finish = (data) => {
+    onToast(fillSummary(data));
+    if (data.filled?.includes(date)) onFilled();
+  };
+
+  const failed = (err, fallback) =>
+    onToast({ open: true, severity: 'error', msg: err?.response?.data?.message || fallback });
+
+  const copyPreviousDay = async () => {
+    const sourceDate = previousWeekday(date);
+    if (!confirmOverwrite(`the entries of ${sourceDate}`)) return;
+    setWorking(true);
+    try {
+      const { data } = await axios.post('/api/daily-entries/copy', {
+        employeeId, sourceDate, startDate: date,
+        includeProjects: true, includeComments: true, overwrite: dayHasEntries,
+      }, { ...getAuth(), skipErrorModal: true });
+      finish(data);
+    } catch (err) {
+      failed(err, 'Failed to copy the previous day.');
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const openCopy = () => {
+    setCopyForm({
+      sourceDate: previousWeekday(date), startDate: date, endDate: date,
+      includeProjects: true, includeComments: false, overwrite: false,
+    });
+    setCopyErrors({});
+    setCopyOpen(true);
+  };
+
+  const setCopyField = (field, value) => {
+    setCopyForm((prev) => ({ ...prev, [field]: value }));
+    setCopyErrors((prev) => ({ ...prev, [field]: undefined }));
+  };
+
+  const copyToRange = async () => {
+    setWorking(true);
+    setCopyErrors({});
+    try {
+      const { data } = await axios.post('/api/daily-entries/copy', { employeeId, ...copyForm }, { ...getAuth(), skipErrorModal: true });
+      setCopyOpen(false);
+      finish(data);
+    } catch (err) {
+      const errs = fieldErrors(err) || {};
+      setCopyErrors({ ...errs, _form: Object.keys(errs).length ? '' : err?.response?.data?.message || 'Copy failed.' });
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const applyTemplate = async (t) => {
+    setMenuAnchor(null);
+    if (!confirmOverwrite(`"${t.name}"`)) return;
+    setWorking(true);
+    try {
+      const { data } = await axios.post(
+        `/api/employee/${employeeId}/entry-templates/${t.template_id}/apply`,
+        { startDate: date, overwrite: dayHasEntries },
+        { ...getAuth(), skipErrorModal: true }
+      );
+      finish(data);
+    } catch (err) {
+      failed(err, 'Failed to apply the template.');
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const deleteTemplate = async (t) => {
+    if (!window.confirm(`Delete the template "${t.name}"?`)) return;
+    try {
+      await axios.delete(`/api/employee/${employeeId}/entry-templates/${t.template_id}`, { ...getAuth(), skipErrorModal: true });
+      onToast({ open: true, severity: 'success', msg: `Template "${t.name}" deleted.` });
+      fetchTemplates();
+    } catch (err) {
+      failed(err, 'Failed to delete the template.');
+    }
+  };
+
+  const openSave = () => {
+    setMenuAnchor(null);
+    setTemplateName('');
+    setWithProjects(true);
+    setSaveError('');
+    setSaveOpen(true);
+  };
+
+  // The rows shown on screen, unsaved edits included; leave rows belong to their leave request
+  const saveTemplate = async () => {
+    const activities = utilizationEntries
+      .filter((u) => u.activity && !u.leave_request_id && u.hours !== '' && u.hours != null)
+      .map((u) => ({ activity: u.activity, hours: Number(u.hours), comments: u.comments || null }));
+    const projects = withProjects
+      ? projectEntries
+        .filter((p) => Number(p.emp_hours) > 0)
+        .map((p) => ({ projectId: p.project_id, hours: Number(p.emp_hours), comments: p.emp_comments || null }))
+      : [];
+
+    setWorking(true);
+    setSaveError('');
+    try {
+      await axios.post(
+        `/api/employee/${employeeId}/entry-templates`,
+        { name: templateName, activities, projects },
+        { ...getAuth(), skipErrorModal: true }
+      );
+      setSaveOpen(false);
+      onToast({ open: true, severity: 'success', msg: `Template "${templateName}" saved.` });
+      fetchTemplates();
+    } catch (err) {
+      const errs = fieldErrors(err) || {};
+      setSaveError(errs.name || errs.activities || err?.response?.data?.message || 'Failed to save the template.');
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const templateSummary = (t) => [
+    ...t.activities.map((a) => `${a.activity_label || a.activity} ${a.hours} h`),
+    ...t.projects.map((p) => `${p.project_name || p.project_id} ${p.hours} h`),
+  ].join(', ');
+
+  return (
+    <>
+      <Stack direction="row" alignItems="center" spacing={0.5}>
+        <Button size="small" variant="outlined" startIcon={<ContentCopyIcon />} onClick={copyPreviousDay}
+                disabled={disabled || working || !employeeId}>
+          Copy previous day
+        </Button>
+        <Tooltip title="Copy a day to a range of days">
+          <span>
+            <IconButton size="small" onClick={openCopy} disabled={disabled || working || !employeeId}>
+              <TuneIcon fontSize="small" />
+            </IconButton>
+          </span>
+        </Tooltip>
+        <Button size="small" variant="outlined" startIcon={<BookmarksIcon />} onClick={(e) => setMenuAnchor(e.currentTarget)}
+                disabled={working || !employeeId}>
+          Templates
+        </Button>
+      </Stack>
+
+      <Menu anchorEl={menuAnchor} open={!!menuAnchor} onClose={() => setMenuAnchor(null)}>
+        {templates.length === 0 && (
+          <MenuItem disabled><ListItemText primary="No templates yet" /></MenuItem>
+        )}
+        {templates.map((t) => (
+          <MenuItem key={t.template_id} onClick={() => applyTemplate(t)} disabled={disabled} sx={{ maxWidth: 420 }}>
+            <ListItemText
+              primary={t.name}
+              secondary={templateSummary(t)}
+              secondaryTypographyProps={{ noWrap: true }}
+            />
+            <IconButton size="small" edge="end" sx={{ ml: 1 }}
+                        onClick={(e) => { e.stopPropagation(); setMenuAnchor(null); deleteTemplate(t); }}>
+              <DeleteOutlineIcon fontSize="small" />
+            </IconButton>
+          </MenuItem>
+        ))}
+        <Divider />
+        <MenuItem onClick={openSave}>
+          <BookmarkAddIcon fontSize="small" sx={{ mr: 1 }} />
+          <ListItemText primary="Save this day as a template…" />
+        </MenuItem>
+      </Menu>
+
+      <Dialog open={copyOpen} onClose={() => !working && setCopyOpen(false)} maxWidth="xs" fullWidth>
+        <DialogTitle>Copy a day</DialogTitle>
+        <DialogContent dividers>
+          <Stack spacing={2}>
+            <TextField
+              label="Copy from" type="date" size="small" InputLabelProps={{ shrink: true }}
+              value={copyForm.sourceDate || ''} onChange={(e) => setCopyField('sourceDate', e.target.value)}
+              error={!!copyErrors.sourceDate} helperText={copyErrors.sourceDate}
+            />
+            <Stack direction="row" spacing={1}>
+              <TextField
+                label="To (from)" type="date" size="small" InputLabelProps={{ shrink: true }} fullWidth
+                value={copyForm.startDate || ''} onChange={(e) => setCopyField('startDate', e.target.value)}
+                error={!!copyErrors.startDate} helperText={copyErrors.startDate}
+              />
+              <TextField
+                label="To (until)" type="date" size="small" InputLabelProps={{ shrink: true }} fullWidth
+                value={copyForm.endDate || ''} onChange={(e) => setCopyField('endDate', e.target.value)}
+                error={!!copyErrors.endDate} helperText={copyErrors.endDate}
+              />
+            </Stack>
+            <Typography variant="caption" color="text.secondary">
+              Weekends, holidays, days on leave and locked days are skipped.
+            </Typography>
+            <FormControlLabel
+              control={<Checkbox checked={!!copyForm.includeProjects} onChange={(e) => setCopyField('includeProjects', e.target.checked)} />}
+              label="Include project hours"
+            />
+            <FormControlLabel
+              control={<Checkbox checked={!!copyForm.includeComments} onChange={(e) => setCopyField('includeComments', e.target.checked)} />}
+              label="Include comments"
+            />
+            <FormControlLabel
+              control={<Checkbox checked={!!copyForm.overwrite} onChange={(e) => setCopyField('overwrite', e.target.checked)} />}
+              label="Replace days that already have entries"
+            />
+            {copyErrors._form && <Alert severity="error">{copyErrors._form}</Alert>}
+          </Stack>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setCopyOpen(false)} disabled={working}>Cancel</Button>
+          <Button variant="contained" onClick={copyToRange} disabled={working || !copyForm.sourceDate || !copyForm.startDate}>
+            {working ? 'Copying…' : 'Copy'}
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      <Dialog open={saveOpen} onClose={() => !working && setSaveOpen(false)} maxWidth="xs" fullWidth>
+        <DialogTitle>Save as template</DialogTitle>
+        <DialogContent dividers>
+          <Stack spacing={2}>
+            <Typography variant="body2" color="text.secondary">
+              Saves the activities of {date} as shown, including unsaved edits.
+            </Typography>
+            <TextField
+              label="Name" size="small" value={templateName} autoFocus required
+              placeholder="Standard dev day"
+              onChange={(e) => setTemplateName(e.target.value)}
+            />
+            <FormControlLabel
+              control={<Checkbox checked={withProjects} onChange={(e) => setWithProjects(e.target.checked)} />}
+              label="Include project hours"
+            />
+            {saveError && <Alert severity="error">{saveError}</Alert>}
+          </Stack>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setSaveOpen(false)} disabled={working}>Cancel</Button>
+          <Button variant="contained" onClick={saveTemplate} disabled={working || !templateName.trim()}>
+            {working ? 'Saving…' : 'Save template'}
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </>
+  );
+}
+
+export default DayFillTools;
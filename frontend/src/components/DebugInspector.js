@@ -0,0 +1,381 @@
+import React, { useCallback, useEffect, useMemo, useState } from 'react';
+import axios from 'axios';
+import { can } from '../permissions';
+import {
+  Box, Paper, Typography, List, ListItemButton, ListItemText, Chip, Stack,
+  Tabs, Tab, Table, TableHead, TableRow, TableCell, TableBody, TableContainer,
+  TableSortLabel, TablePagination, TextField, Select, MenuItem, FormControl,
+  InputLabel, InputAdornment, Alert, CircularProgress, Button, Tooltip, Grid
+} from '@mui/material';
+import SearchIcon from '@mui/icons-material/Search';
+import RefreshIcon from '@mui/icons-material/Refresh';
+
+const MONO = 'ui-monospace, SFMono-Regular, Menlo, monospace';
+
+const fmtCell = (v) => {
+  if (v === null || v === undefined) return <Typography component="span" variant="caption" color="text.disabled">NULL</Typography>;
+  if (typeof v === 'object') return JSON.stringify(v);
+  return String(v);
+};
+
+const fmtType = (c) =>
+  c.character_maximum_length ? `${c.udt_name}(${c.character_maximum_length})` : c.udt_name || c.data_type;
+
+function DebugInspector({ user }) {
+  const isAdmin = can(user, 'system.admin');
+
+  const [tables, setTables] = useState([]);
+  const [tablesLoading, setTablesLoading] = useState(false);
+  const [selected, setSelected] = useState('');
+  const [tab, setTab] = useState(0);
+  const [error, setError] = useState('');
+
+  // Structure
+  const [meta, setMeta] = useState(null);
+  const [metaLoading, setMetaLoading] = useState(false);
+
+  // Data
+  const [rows, setRows] = useState([]);
+  const [columns, setColumns] = useState([]);
+  const [redacted, setRedacted] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [page, setPage] = useState(0);
+  const [rowsPerPage, setRowsPerPage] = useState(25);
+  const [sort, setSort] = useState({ column: '', order: 'asc' });
+  const [search, setSearch] = useState('');
+  const [filterColumn, setFilterColumn] = useState('');
+  const [filterValue, setFilterValue] = useState('');
+  const [rowsLoading, setRowsLoading] = useState(false);
+
+  const authHeaders = useMemo(
+    () => ({ headers: { Authorization: `Bearer ${localStorage.getItem('token')}` } }),
+    []
+  );
+
+  const fetchTables = useCallback(async () => {
+    setTablesLoading(true);
+    try {
+      const { data } = await axios.get('/api/debug/tables', authHeaders);
+      setTables(data.tables || []);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to fetch tables.');
+    } finally {
+      setTablesLoading(false);
+    }
+  }, [authHeaders]);
+
+  useEffect(() => {
+    if (isAdmin) fetchTables();
+  }, [isAdmin, fetchTables]);
+
+  const fetchMeta = useCallback(async (tableName) => {
+    setMetaLoading(true);
+    try {
+      const { data } = await axios.get(`/api/debug/tables/${encodeURIComponent(tableName)}`, authHeaders);
+      setMeta(data);
+    } catch (err) {
+      setMeta(null);
+      setError(err.response?.data?.message || 'Failed to describe table.');
+    } finally {
+      setMetaLoading(false);
+    }
+  }, [authHeaders]);
+
+  const fetchRows = useCallback(async () => {
+    if (!selected) return;
+    setRowsLoading(true);
+    try {
+      const params = { page: page + 1, pageSize: rowsPerPage };
+      if (sort.column) Object.assign(params, { sort: sort.column, order: sort.order });
+      if (search.trim()) params.search = search.trim();
+      if (filterColumn && filterValue !== '') Object.assign(params, { column: filterColumn, value: filterValue });
+
+      const { data } = await axios.get(`/api/debug/tables/${encodeURIComponent(selected)}/rows`, {
+        ...authHeaders,
+        params,
+      });
+      setRows(data.data || []);
+      setColumns(data.columns || []);
+      setRedacted(data.redacted_columns || []);
+      setTotal(data.total || 0);
+    } catch (err) {
+      setRows([]);
+      setTotal(0);
+      setError(err.response?.data?.message || 'Failed to fetch rows.');
+    } finally {
+      setRowsLoading(false);
+    }
+  }, [selected, page, rowsPerPage, sort, search, filterColumn, filterValue, authHeaders]);
+
+  useEffect(() => {
+    fetchRows();
+  }, [fetchRows]);
+
+  const selectTable = (tableName) => {
+    setError('');
+    setSelected(tableName);
+    setPage(0);
+    setSort({ column: '', order: 'asc' });
+    setSearch('');
+    setFilterColumn('');
+    setFilterValue('');
+    fetchMeta(tableName);
+  };
+
+  const toggleSort = (column) => {
+    setPage(0);
+    setSort((prev) =>
+      prev.column === column
+        ? { column, order: prev.order === 'asc' ? 'desc' : 'asc' }
+        : { column, order: 'asc' }
+    );
+  };
+
+  if (!isAdmin) {
+    return (
+      <Box sx={{ p: 4 }}>
+        <Alert severity="error">Access Denied: you need the system.admin permission.</Alert>
+      </Box>
+    );
+  }
+
+  return (
+    <Box sx={{ p: 3 }}>
+      <Typography variant="h5" sx={{ fontWeight: 700, mb: 2 }}>
+        Database Inspector
+      </Typography>
+
+      {error && <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError('')}>{error}</Alert>}
+
+      <Grid container spacing={2}>
+        <Grid size={{ xs: 12, md: 3 }}>
+          <Paper elevation={2} sx={{ borderRadius: 3 }}>
+            <Stack direction="row" alignItems="center" justifyContent="space-between" sx={{ px: 2, pt: 1.5 }}>
+              <Typography variant="subtitle1" sx={{ fontWeight: 600 }}>Tables</Typography>
+              <Tooltip title="Refresh">
+                <span>
+                  <Button size="small" onClick={fetchTables} disabled={tablesLoading}>
+                    <RefreshIcon fontSize="small" />
+                  </Button>
+                </span>
+              </Tooltip>
+            </Stack>
+            {tablesLoading ? (
+              <Stack alignItems="center" sx={{ py: 3 }}><CircularProgress size={24} /></Stack>
+            ) : (
+              <List dense>
+                {tables.map((t) => (
+                  <ListItemButton
+                    key={t.table_name}
+                    selected={t.table_name === selected}
+                    onClick={() => selectTable(t.table_name)}
+                  >
+                    <ListItemText primary={t.table_name} primaryTypographyProps={{ sx: { fontFamily: MONO, fontSize: 13 } }} />
+                    <Chip size="small" label={t.row_count} />
+                  </ListItemButton>
+                ))}
+              </List>
+            )}
+          </Paper>
+        </Grid>
+
+        <Grid size={{ xs: 12, md: 9 }}>
+          <Paper elevation={2} sx={{ borderRadius: 3, p: 2 }}>
+            {!selected ? (
+              <Typography variant="body2" color="text.secondary">Select a table to inspect.</Typography>
+            ) : (
+              <>
+                <Stack direction="row" alignItems="center" spacing={1} sx={{ mb: 1 }}>
+                  <Typography variant="h6" sx={{ fontFamily: MONO }}>{selected}</Typography>
+                  {meta && <Chip size="small" label={`${meta.row_count} rows`} />}
+                </Stack>
+                <Tabs value={tab} onChange={(_, v) => setTab(v)} sx={{ mb: 2 }}>
+                  <Tab label="Data" />
+                  <Tab label="Structure" />
+                </Tabs>
+
+                {tab === 0 && (
+                  <>
+                    <Stack direction={{ xs: 'column', sm: 'row' }} spacing={2} sx={{ mb: 2 }}>
+                      <TextField
+                        size="small"
+                        label="Search all columns"
+                        value={search}
+                        onChange={(e) => { setSearch(e.target.value); setPage(0); }}
+                        InputProps={{
+                          startAdornment: (
+                            <InputAdornment position="start"><SearchIcon fontSize="small" /></InputAdornment>
+                          ),
+                        }}
+                        sx={{ minWidth: 240 }}
+                      />
+                      <FormControl size="small" sx={{ minWidth: 180 }}>
+                        <InputLabel>Filter column</InputLabel>
+                        <Select
+                          label="Filter column"
+                          value={filterColumn}
+                          onChange={(e) => { setFilterColumn(e.target.value); setPage(0); }}
+                        >
+                          <MenuItem value=""><em>None</em></MenuItem>
+                          {columns.filter((c) => !redacted.includes(c)).map((c) => (
+                            <MenuItem key={c} value={c}>{c}</MenuItem>
+                          ))}
+                        </Select>
+                      </FormControl>
+                      <TextField
+                        size="small"
+                        label="Contains"
+                        value={filterValue}
+                        disabled={!filterColumn}
+                        onChange={(e) => { setFilterValue(e.target.value); setPage(0); }}
+                      />
+                    </Stack>
+
+                    <TableContainer sx={{ maxHeight: 560 }}>
+                      <Table size="small" stickyHeader>
+                        <TableHead>
+                          <TableRow>
+                            {columns.map((c) => (
+                              <TableCell key={c} sx={{ fontFamily: MONO, whiteSpace: 'nowrap' }}>
+                                {redacted.includes(c) ? c : (
+                                  <TableSortLabel
+                                    active={sort.column === c}
+                                    direction={sort.column === c ? sort.order : 'asc'}
+                                    onClick={() => toggleSort(c)}
+                                  >
+                                    {c}
+                                  </TableSortLabel>
+                                )}
+                              </TableCell>
+                            ))}
+                          </TableRow>
+                        </TableHead>
+                        <TableBody>
+                          {rowsLoading ? (
+                            <TableRow>
+                              <TableCell colSpan={columns.length || 1} align="center"><CircularProgress size={24} /></TableCell>
+                            </TableRow>
+                          ) : rows.length === 0 ? (
+                            <TableRow>
+                              <TableCell colSpan={columns.length || 1} align="center">No rows.</TableCell>
+                            </TableRow>
+                          ) : rows.map((row, i) => (
+                            <TableRow key={i} hover>
+                              {columns.map((c) => (
+                                <TableCell key={c} sx={{ fontFamily: MONO, fontSize: 12, whiteSpace: 'nowrap', maxWidth: 320, overflow: 'hidden', textOverflow: 'ellipsis' }}>
+                                  {fmtCell(row[c])}
+                                </TableCell>
+                              ))}
+                            </TableRow>
+                          ))}
+                        </TableBody>
+                      </Table>
+                    </TableContainer>
+                    <TablePagination
+                      component="div"
+                      count={total}
+                      page={page}
+                      onPageChange={(_, p) => setPage(p)}
+                      rowsPerPage={rowsPerPage}
+                      onRowsPerPageChange={(e) => { setRowsPerPage(parseInt(e.target.value, 10)); setPage(0); }}
+                      rowsPerPageOptions={[10, 25, 50, 100, 200]}
+                    />
+                  </>
+                )}
+
+                {tab === 1 && (
+                  metaLoading || !meta ? (
+                    <Stack alignItems="center" sx={{ py: 3 }}><CircularProgress size={24} /></Stack>
+                  ) : (
+                    <Stack spacing={3}>
+                      <Box>
+                        <Typography variant="subtitle1" sx={{ fontWeight: 600, mb: 1 }}>Columns</Typography>
+                        <Table size="small">
+                          <TableHead>
+                            <TableRow>
+                              <TableCell>Name</TableCell>
+                              <TableCell>Type</TableCell>
+                              <TableCell>Nullable</TableCell>
+                              <TableCell>Default</TableCell>
+                            </TableRow>
+                          </TableHead>
+                          <TableBody>
+                            {meta.columns.map((c) => (
+                              <TableRow key={c.column_name}>
+                                <TableCell sx={{ fontFamily: MONO }}>
+                                  {c.column_name}
+                                  {c.redacted && <Chip size="small" label="redacted" sx={{ ml: 1 }} />}
+                                </TableCell>
+                                <TableCell sx={{ fontFamily: MONO }}>{fmtType(c)}</TableCell>
+                                <TableCell>{c.is_nullable === 'YES' ? 'yes' : 'no'}</TableCell>
+                                <TableCell sx={{ fontFamily: MONO, fontSize: 12 }}>
+                                  {c.is_identity === 'YES' ? 'identity' : c.column_default || '—'}
+                                </TableCell>
+                              </TableRow>
+                            ))}
+                          </TableBody>
+                        </Table>
+                      </Box>
+
+                      <Box>
+                        <Typography variant="subtitle1" sx={{ fontWeight: 600, mb: 1 }}>Constraints</Typography>
+                        {meta.constraints.length === 0 ? (
+                          <Typography variant="body2" color="text.secondary">None.</Typography>
+                        ) : (
+                          <Table size="small">
+                            <TableHead>
+                              <TableRow>
+                                <TableCell>Name</TableCell>
+                                <TableCell>Type</TableCell>
+                                <TableCell>Definition</TableCell>
+                              </TableRow>
+                            </TableHead>
+                            <TableBody>
+                              {meta.constraints.map((c) => (
+                                <TableRow key={c.constraint_name}>
+                                  <TableCell sx={{ fontFamily: MONO }}>{c.constraint_name}</TableCell>
+                                  <TableCell>{c.constraint_type}</TableCell>
+                                  <TableCell sx={{ fontFamily: MONO, fontSize: 12 }}>{c.definition}</TableCell>
+                                </TableRow>
+                              ))}
+                            </TableBody>
+                          </Table>
+                        )}
+                      </Box>
+
+                      <Box>
+                        <Typography variant="subtitle1" sx={{ fontWeight: 600, mb: 1 }}>Indexes</Typography>
+                        {meta.indexes.length === 0 ? (
+                          <Typography variant="body2" color="text.secondary">None.</Typography>
+                        ) : (
+                          <Table size="small">
+                            <TableHead>
+                              <TableRow>
+                                <TableCell>Name</TableCell>
+                                <TableCell>Definition</TableCell>
+                              </TableRow>
+                            </TableHead>
+                            <TableBody>
+                              {meta.indexes.map((ix) => (
+                                <TableRow key={ix.index_name}>
+                                  <TableCell sx={{ fontFamily: MONO }}>{ix.index_name}</TableCell>
+                                  <TableCell sx={{ fontFamily: MONO, fontSize: 12 }}>{ix.definition}</TableCell>
+                                </TableRow>
+                              ))}
+                            </TableBody>
+                          </Table>
+                        )}
+                      </Box>
+                    </Stack>
+                  )
+                )}
+              </>
+            )}
+          </Paper>
+        </Grid>
+      </Grid>
+    </Box>
+  );
+}
+
+export default DebugInspector;
@@ -0,0 +1,181 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import axios from 'axios';
+import {
+  Drawer, Box, Stack, Typography, IconButton, Button, Chip, Paper, Alert, CircularProgress, Divider
+} from '@mui/material';
+import CloseIcon from '@mui/icons-material/Close';
+import RestoreIcon from '@mui/icons-material/Restore';
+
+const SOURCE_LABELS = {
+  baseline: 'Before history was kept',
+  entry: 'Daily entry',
+  week_grid: 'Week grid',
+  copy: 'Copied from another day',
+  template: 'Template',
+  leave: 'Leave request',
+  restore: 'Restore',
+  project_delete: 'Project deleted',
+  team_delete: 'Team deleted',
+};
+
+const formatWhen = (ts) => (ts ? new Date(ts).toLocaleString() : '');
+const hours = (n) => `${Math.round((Number(n) || 0) * 100) / 100} h`;
+
+// What changed from `older` to `newer` (revision rows), as [{ kind: 'added'|'removed'|'changed', text }]
+const diffRevisions = (newer, older) => {
+  const lines = [];
+  const compare = (list, key, label, fields) => {
+    const before = new Map((older?.[list] || []).map((r) => [r[key], r]));
+    const after = new Map((newer[list] || []).map((r) => [r[key], r]));
+    after.forEach((row, id) => {
+      const prev = before.get(id);
+      if (!prev) {
+        lines.push({ kind: 'added', text: `${label(row)}: ${hours(row.hours)}${row.comments ? ` (“${row.comments}”)` : ''}` });
+        return;
+      }
+      const changes = fields
+        .filter(([field]) => (prev[field] ?? '') !== (row[field] ?? ''))
+        .map(([field, name, fmt = (v) => v || '—']) => `${name} ${fmt(prev[field])} → ${fmt(row[field])}`);
+      if (changes.length) lines.push({ kind: 'changed', text: `${label(row)}: ${changes.join(', ')}` });
+    });
+    before.forEach((row, id) => {
+      if (!after.has(id)) lines.push({ kind: 'removed', text: `${label(row)}: ${hours(row.hours)}` });
+    });
+  };
+  compare('activities', 'activity', (r) => r.activity_label || r.activity, [
+    ['hours', 'hours', hours],
+    ['comments', 'comment'],
+  ]);
+  compare('projects', 'project_id', (r) => `${r.project_name || r.project_id} (${r.project_id})`, [
+    ['hours', 'hours', hours],
+    ['status', 'status'],
+    ['comments', 'comment'],
+    ['start_date', 'start'],
+    ['end_date', 'end'],
+  ]);
+  return lines;
+};
+
+const DIFF_COLORS = { added: 'success.main', removed: 'error.main', changed: 'text.primary' };
+const DIFF_MARKS = { added: '+', removed: '−', changed: '~' };
+
+// Revision history of one employee-day with a diff per revision and restore.
+// onRestored() runs after the day changed; onToast(toast) reports the outcome.
+function EntryHistoryDrawer({ open, onClose, employeeId, date, disabled, onRestored, onToast }) {
+  const [revisions, setRevisions] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [restoring, setRestoring] = useState(null);
+
+  const getAuth = () => ({ headers: { Authorization: `Bearer ${localStorage.getItem('token')}` } });
+
+  const fetchRevisions = useCallback(async () => {
+    if (!employeeId || !date) { setRevisions([]); return; }
+    setLoading(true);
+    setError('');
+    try {
+      const { data } = await axios.get(`/api/daily-entries/${employeeId}/${date}/revisions`, {
+        headers: { Authorization: `Bearer ${localStorage.getItem('token')}` },
+        skipErrorModal: true,
+      });
+      setRevisions(data || []);
+    } catch (err) {
+      setRevisions([]);
+      setError(err?.response?.data?.message || 'Failed to load the revision history.');
+    } finally {
+      setLoading(false);
+    }
+  }, [employeeId, date]);
+
+  useEffect(() => {
+    if (open) fetchRevisions();
+  }, [open, fetchRevisions]);
+
+  const restore = async (rev) => {
+    if (!window.confirm(`Restore ${date} to revision #${rev.revision_id} (${formatWhen(rev.changed_at)})? The current entries are replaced; the history keeps them.`)) return;
+    setRestoring(rev.revision_id);
+    try {
+      const { data } = await axios.post(
+        `/api/daily-entries/${employeeId}/${date}/revisions/${rev.revision_id}/restore`,
+        {},
+        { ...getAuth(), skipErrorModal: true }
+      );
+      onToast({
+        open: true,
+        severity: data.warnings?.length ? 'warning' : 'success',
+        msg: [data.message, ...(data.warnings || [])].join(' '),
+      });
+      onRestored();
+      fetchRevisions();
+    } catch (err) {
+      onToast({ open: true, severity: 'error', msg: err?.response?.data?.message || 'Failed to restore the revision.' });
+    } finally {
+      setRestoring(null);
+    }
+  };
+
+  return (
+    <Drawer anchor="right" open={open} onClose={onClose}>
+      <Box sx={{ width: 460, p: 2 }}>
+        <Stack direction="row" alignItems="center" sx={{ mb: 1 }}>
+          <Typography variant="h6" sx={{ flexGrow: 1 }}>History of {date}</Typography>
+          <IconButton onClick={onClose}><CloseIcon /></IconButton>
+        </Stack>
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+          Every save of this day, newest first, with what it changed.
+        </Typography>
+
+        {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+        {loading ? (
+          <Stack alignItems="center" sx={{ py: 4 }}><CircularProgress size={24} /></Stack>
+        ) : revisions.length === 0 ? (
+          !error && <Alert severity="info">No changes recorded for this day.</Alert>
+        ) : (
+          <Stack spacing={1.5}>
+            {revisions.map((rev, idx) => {
+              const lines = diffRevisions(rev, revisions[idx + 1]);
+              const isCurrent = idx === 0;
+              return (
+                <Paper key={rev.revision_id} variant="outlined" sx={{ p: 1.5 }}>
+                  <Stack direction="row" alignItems="center" spacing={1} sx={{ mb: 0.5 }}>
+                    <Typography variant="subtitle2">#{rev.revision_id}</Typography>
+                    <Chip size="small" label={SOURCE_LABELS[rev.source] || rev.source} />
+                    {isCurrent && <Chip size="small" color="primary" label="Current" />}
+                    {rev.restored_from && <Chip size="small" variant="outlined" label={`from #${rev.restored_from}`} />}
+                  </Stack>
+                  <Typography variant="caption" color="text.secondary" display="block">
+                    {formatWhen(rev.changed_at)}
+                    {rev.changed_by_name || rev.changed_by_email ? ` · ${rev.changed_by_name || rev.changed_by_email}` : ''}
+                  </Typography>
+                  <Divider sx={{ my: 1 }} />
+                  {lines.length === 0 ? (
+                    <Typography variant="body2" color="text.secondary">
+                      {rev.source === 'baseline' ? 'Entries as they were when history started.' : 'No visible change.'}
+                    </Typography>
+                  ) : lines.map((line) => (
+                    <Typography key={`${line.kind}-${line.text}`} variant="body2" color={DIFF_COLORS[line.kind]}>
+                      {DIFF_MARKS[line.kind]} {line.text}
+                    </Typography>
+                  ))}
+                  <Typography variant="caption" color="text.secondary" display="block" sx={{ mt: 0.5 }}>
+                    Day total {hours([...rev.activities, ...rev.projects].reduce((sum, r) => sum + (Number(r.hours) || 0), 0))}
+                  </Typography>
+                  {!isCurrent && (
+                    <Stack direction="row" justifyContent="flex-end">
+                      <Button size="small" startIcon={<RestoreIcon />} onClick={() => restore(rev)}
+                              disabled={disabled || restoring !== null}>
+                        {restoring === rev.revision_id ? 'Restoring…' : 'Restore this version'}
+                      </Button>
+                    </Stack>
+                  )}
+                </Paper>
+              );
+            })}
+          </Stack>
+        )}
+      </Box>
+    </Drawer>
+  );
+}
+
+export default EntryHistoryDrawer;
@@ -0,0 +1,149 @@
+import React, { useState } from 'react';
+import axios from 'axios';
+import { Link as RouterLink } from 'react-router-dom';
+import '../index.css';
+
+// MUI
+import {
+  Box,
+  Card,
+  CardHeader,
+  CardContent,
+  Divider,
+  TextField,
+  Button,
+  Typography,
+  InputAdornment,
+  Avatar,
+  CircularProgress,
+  Alert,
+  Link,
+} from '@mui/material';
+
+// Icons
+import PersonIcon from '@mui/icons-material/Person';
+import LockResetIcon from '@mui/icons-material/LockReset';
+
+function ForgotPassword() {
+  const [email, setEmail] = useState('');
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+  const [isLoading, setIsLoading] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setMessage('');
+    if (!email.trim()) {
+      setError('Please enter your email.');
+      return;
+    }
+    setIsLoading(true);
+    try {
+      const { data } = await axios.post(
+        '/api/auth/forgot-password',
+        { email: email.trim() },
+        { skipErrorModal: true }
+      );
+      setMessage(data?.message || 'If that email is registered, a reset link has been sent.');
+    } catch (err) {
+      console.error('Forgot password error:', err);
+      setError(err?.response?.data?.message || 'Could not send reset email. Please try again.');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  return (
+    <Box
+      sx={{
+        minHeight: '100vh',
+        display: 'grid',
+        placeItems: 'center',
+        px: 2,
+        background:
+          'linear-gradient(135deg, rgba(25,118,210,0.12) 0%, rgba(156,39,176,0.10) 50%, rgba(0,0,0,0.06) 100%)',
+      }}
+    >
+      <Card elevation={8} sx={{ width: '100%', maxWidth: 440, borderRadius: 4 }}>
+        <CardHeader
+          avatar={
+            <Avatar sx={{ bgcolor: 'primary.main' }}>
+              <LockResetIcon />
+            </Avatar>
+          }
+          title={
+            <Typography variant="h5" fontWeight={700}>
+              Forgot password
+            </Typography>
+          }
+          subheader={<Typography variant="body2">Enter your email to receive a reset link</Typography>}
+          sx={{ pb: 0 }}
+        />
+        <CardContent sx={{ pt: 2 }}>
+          <Divider sx={{ mb: 3 }} />
+          <Box
+            component="form"
+            onSubmit={handleSubmit}
+            noValidate
+            sx={{ display: 'flex', flexDirection: 'column', gap: 2 }}
+          >
+            <TextField
+              label="Email"
+              type="email"
+              id="email"
+              value={email}
+              onChange={(e) => setEmail(e.target.value)}
+              placeholder="you@example.com"
+              required
+              disabled={isLoading}
+              autoComplete="email"
+              fullWidth
+              InputProps={{
+                startAdornment: (
+                  <InputAdornment position="start">
+                    <PersonIcon />
+                  </InputAdornment>
+                ),
+              }}
+            />
+
+            {error && (
+              <Alert severity="error" variant="outlined">
+                {error}
+              </Alert>
+            )}
+            {message && (
+              <Alert severity="success" variant="outlined">
+                {message}
+              </Alert>
+            )}
+
+            <Button
+              type="submit"
+              variant="contained"
+              size="large"
+              disabled={isLoading}
+              sx={{ py: 1.2, borderRadius: 2, textTransform: 'none', fontWeight: 700 }}
+            >
+              {isLoading ? (
+                <>
+                  <CircularProgress size={22} sx={{ mr: 1 }} />
+                  Sending…
+                </>
+              ) : (
+                'Send reset link'
+              )}
+            </Button>
+
+            <Link component={RouterLink} to="/login" variant="body2" sx={{ alignSelf: 'center' }}>
+              Back to login
+            </Link>
+          </Box>
+        </CardContent>
+      </Card>
+    </Box>
+  );
+}
+
+export default ForgotPassword;
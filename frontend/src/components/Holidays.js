@@ -0,0 +1,369 @@
+import React, { useCallback, useEffect, useMemo, useState } from 'react';
+import axios from 'axios';
+import { can } from '../permissions';
+import { fieldErrors } from '../validation';
+import {
+  Box, Paper, Typography, Stack, Button, Alert, CircularProgress, Chip, IconButton, Tooltip,
+  Table, TableHead, TableRow, TableCell, TableBody, TableContainer,
+  Dialog, DialogTitle, DialogContent, DialogActions, TextField, MenuItem
+} from '@mui/material';
+import AddIcon from '@mui/icons-material/Add';
+import EditOutlinedIcon from '@mui/icons-material/EditOutlined';
+import DeleteOutlineIcon from '@mui/icons-material/DeleteOutline';
+import RefreshIcon from '@mui/icons-material/Refresh';
+import UploadFileIcon from '@mui/icons-material/UploadFile';
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const weekdayOf = (ymd) => WEEKDAYS[new Date(`${ymd}T00:00:00Z`).getUTCDay()];
+
+const SOURCE_LABELS = { manual: 'manual', xlsx: 'spreadsheet', ics: 'calendar' };
+
+const EMPTY_FORM = { date: '', name: '', teamId: '' };
+
+function Holidays({ user }) {
+  const canManage = can(user, 'holidays.manage');
+
+  const thisYear = new Date().getFullYear();
+  const [year, setYear] = useState(thisYear);
+  // '' lists every scope; a team shows the org-wide holidays plus that team's
+  const [teamFilter, setTeamFilter] = useState('');
+  const [holidays, setHolidays] = useState([]);
+  const [teams, setTeams] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  // editing: null (closed), 'new', or the holiday_id being edited
+  const [editing, setEditing] = useState(null);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [formError, setFormError] = useState('');
+  const [formFieldErrors, setFormFieldErrors] = useState({});
+  const [saving, setSaving] = useState(false);
+
+  const [importOpen, setImportOpen] = useState(false);
+  const [importFile, setImportFile] = useState(null);
+  const [importTeamId, setImportTeamId] = useState('');
+  const [importResult, setImportResult] = useState(null);
+  const [importError, setImportError] = useState('');
+
+  const authHeaders = useMemo(
+    () => ({ headers: { Authorization: `Bearer ${localStorage.getItem('token')}` } }),
+    []
+  );
+
+  const fetchHolidays = useCallback(async () => {
+    setLoading(true);
+    setError('');
+    try {
+      const { data } = await axios.get('/api/holidays', {
+        ...authHeaders,
+        params: { startDate: `${year}-01-01`, endDate: `${year}-12-31`, teamId: teamFilter },
+      });
+      setHolidays(data || []);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to fetch holidays.');
+    } finally {
+      setLoading(false);
+    }
+  }, [authHeaders, year, teamFilter]);
+
+  useEffect(() => {
+    if (canManage) fetchHolidays();
+  }, [canManage, fetchHolidays]);
+
+  useEffect(() => {
+    if (!canManage) return;
+    axios.get('/api/teams', authHeaders).then(({ data }) => setTeams(data || [])).catch(() => setTeams([]));
+  }, [canManage, authHeaders]);
+
+  const setField = (field, value) => {
+    setForm((prev) => ({ ...prev, [field]: value }));
+    setFormFieldErrors((prev) => ({ ...prev, [field]: undefined }));
+  };
+
+  const openCreate = () => {
+    setForm({ ...EMPTY_FORM, teamId: teamFilter });
+    setFormError('');
+    setFormFieldErrors({});
+    setEditing('new');
+  };
+
+  const openEdit = (h) => {
+    setForm({ date: h.holiday_date, name: h.name, teamId: h.team_id ?? '' });
+    setFormError('');
+    setFormFieldErrors({});
+    setEditing(h.holiday_id);
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    setFormError('');
+    setFormFieldErrors({});
+    const body = { ...form, teamId: form.teamId || null };
+    try {
+      if (editing === 'new') {
+        await axios.post('/api/holidays', body, { ...authHeaders, skipErrorModal: true });
+        setSuccess(`Holiday "${form.name}" added.`);
+      } else {
+        await axios.put(`/api/holidays/${editing}`, body, { ...authHeaders, skipErrorModal: true });
+        setSuccess(`Holiday "${form.name}" updated.`);
+      }
+      setEditing(null);
+      fetchHolidays();
+    } catch (err) {
+      setFormFieldErrors(fieldErrors(err) || {});
+      setFormError(err.response?.data?.message || 'Failed to save holiday.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (h) => {
+    if (!window.confirm(`Delete holiday "${h.name}" on ${h.holiday_date}?`)) return;
+    setError('');
+    try {
+      await axios.delete(`/api/holidays/${h.holiday_id}`, { ...authHeaders, skipErrorModal: true });
+      setSuccess(`Holiday "${h.name}" deleted.`);
+      fetchHolidays();
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to delete holiday.');
+    }
+  };
+
+  const openImport = () => {
+    setImportFile(null);
+    setImportTeamId(teamFilter);
+    setImportResult(null);
+    setImportError('');
+    setImportOpen(true);
+  };
+
+  const handleImport = async () => {
+    const fd = new FormData();
+    fd.append('file', importFile);
+    fd.append('teamId', importTeamId);
+    setSaving(true);
+    setImportError('');
+    setImportResult(null);
+    try {
+      const { data } = await axios.post('/api/holidays/import', fd, {
+        headers: { ...authHeaders.headers, 'Content-Type': 'multipart/form-data' },
+        skipErrorModal: true,
+      });
+      setImportResult(data);
+      fetchHolidays();
+    } catch (err) {
+      setImportError(err.response?.data?.message || 'Import failed. Check the file format.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (!canManage) {
+    return (
+      <Box sx={{ p: 4 }}>
+        <Alert severity="error">Access Denied: you need the holidays.manage permission.</Alert>
+      </Box>
+    );
+  }
+
+  const teamSelectItems = [
+    <MenuItem key="" value=""><em>All teams (org-wide)</em></MenuItem>,
+    ...teams.map((t) => <MenuItem key={t.team_id} value={t.team_id}>{t.team_name}</MenuItem>),
+  ];
+
+  return (
+    <Box sx={{ p: 3 }}>
+      <Stack direction="row" alignItems="center" justifyContent="space-between" sx={{ mb: 2 }}>
+        <Typography variant="h5" sx={{ fontWeight: 700 }}>Holidays</Typography>
+        <Stack direction="row" spacing={1} alignItems="center">
+          <TextField
+            select
+            size="small"
+            label="Year"
+            value={year}
+            onChange={(e) => setYear(e.target.value)}
+            sx={{ width: 110 }}
+          >
+            {[thisYear - 1, thisYear, thisYear + 1].map((y) => <MenuItem key={y} value={y}>{y}</MenuItem>)}
+          </TextField>
+          <TextField
+            select
+            size="small"
+            label="Team"
+            value={teamFilter}
+            onChange={(e) => setTeamFilter(e.target.value)}
+            sx={{ width: 220 }}
+          >
+            <MenuItem value=""><em>Every scope</em></MenuItem>
+            {teams.map((t) => <MenuItem key={t.team_id} value={t.team_id}>{t.team_name}</MenuItem>)}
+          </TextField>
+          <Tooltip title="Refresh">
+            <span>
+              <IconButton onClick={fetchHolidays} disabled={loading}><RefreshIcon /></IconButton>
+            </span>
+          </Tooltip>
+          <Button variant="outlined" startIcon={<UploadFileIcon />} onClick={openImport}>
+            Import
+          </Button>
+          <Button variant="contained" startIcon={<AddIcon />} onClick={openCreate}>
+            New holiday
+          </Button>
+        </Stack>
+      </Stack>
+      <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+        Holidays are non-working days: the dashboard does not count them as missing entries.
+        Org-wide holidays apply to every team; team holidays only to that team&apos;s members.
+      </Typography>
+
+      {error && <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError('')}>{error}</Alert>}
+      {success && <Alert severity="success" sx={{ mb: 2 }} onClose={() => setSuccess('')}>{success}</Alert>}
+
+      <Paper elevation={2} sx={{ borderRadius: 3 }}>
+        <TableContainer>
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>Date</TableCell>
+                <TableCell>Day</TableCell>
+                <TableCell>Name</TableCell>
+                <TableCell>Applies to</TableCell>
+                <TableCell>Source</TableCell>
+                <TableCell align="right">Actions</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {loading ? (
+                <TableRow>
+                  <TableCell colSpan={6} align="center"><CircularProgress size={24} /></TableCell>
+                </TableRow>
+              ) : holidays.length === 0 ? (
+                <TableRow>
+                  <TableCell colSpan={6} align="center">No holidays in {year}.</TableCell>
+                </TableRow>
+              ) : holidays.map((h) => (
+                <TableRow key={h.holiday_id} hover>
+                  <TableCell>{h.holiday_date}</TableCell>
+                  <TableCell>{weekdayOf(h.holiday_date)}</TableCell>
+                  <TableCell>{h.name}</TableCell>
+                  <TableCell>
+                    {h.team_id ? h.team_name : <Chip size="small" variant="outlined" label="All teams" />}
+                  </TableCell>
+                  <TableCell>{SOURCE_LABELS[h.source] || h.source}</TableCell>
+                  <TableCell align="right" sx={{ whiteSpace: 'nowrap' }}>
+                    <Tooltip title="Edit">
+                      <IconButton size="small" onClick={() => openEdit(h)}><EditOutlinedIcon fontSize="small" /></IconButton>
+                    </Tooltip>
+                    <Tooltip title="Delete">
+                      <IconButton size="small" color="error" onClick={() => handleDelete(h)}>
+                        <DeleteOutlineIcon fontSize="small" />
+                      </IconButton>
+                    </Tooltip>
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </TableContainer>
+      </Paper>
+
+      <Dialog open={editing !== null} onClose={() => !saving && setEditing(null)} maxWidth="xs" fullWidth>
+        <DialogTitle>{editing === 'new' ? 'New holiday' : 'Edit holiday'}</DialogTitle>
+        <DialogContent dividers>
+          <Stack spacing={2}>
+            <TextField
+              label="Date"
+              type="date"
+              value={form.date}
+              onChange={(e) => setField('date', e.target.value)}
+              error={!!formFieldErrors.date}
+              helperText={formFieldErrors.date}
+              InputLabelProps={{ shrink: true }}
+              size="small"
+              required
+            />
+            <TextField
+              label="Name"
+              value={form.name}
+              onChange={(e) => setField('name', e.target.value)}
+              error={!!formFieldErrors.name}
+              helperText={formFieldErrors.name}
+              size="small"
+              required
+            />
+            <TextField
+              select
+              label="Applies to"
+              value={form.teamId}
+              onChange={(e) => setField('teamId', e.target.value)}
+              error={!!formFieldErrors.teamId}
+              helperText={formFieldErrors.teamId}
+              size="small"
+            >
+              {teamSelectItems}
+            </TextField>
+            {formError && <Alert severity="error">{formError}</Alert>}
+          </Stack>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setEditing(null)} disabled={saving}>Cancel</Button>
+          <Button variant="contained" onClick={handleSave} disabled={saving || !form.date || !form.name.trim()}>
+            {saving ? 'Saving…' : 'Save'}
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      <Dialog open={importOpen} onClose={() => !saving && setImportOpen(false)} maxWidth="sm" fullWidth>
+        <DialogTitle>Import holidays</DialogTitle>
+        <DialogContent dividers>
+          <Stack spacing={2}>
+            <Typography variant="body2">
+              Accepted files: <strong>.xlsx</strong> / <strong>.csv</strong> with the headers <strong>Date | Name</strong>,
+              or an iCalendar <strong>.ics</strong> export (all-day events). Holidays already on a day are renamed.
+            </Typography>
+            <TextField
+              select
+              label="Applies to"
+              value={importTeamId}
+              onChange={(e) => setImportTeamId(e.target.value)}
+              size="small"
+            >
+              {teamSelectItems}
+            </TextField>
+            <Stack direction="row" alignItems="center" spacing={2}>
+              <Button component="label" variant="outlined" startIcon={<UploadFileIcon />}>
+                Choose file
+                <input
+                  type="file"
+                  accept=".xlsx,.csv,.ics"
+                  hidden
+                  onChange={(e) => { setImportFile(e.target.files?.[0] || null); setImportResult(null); }}
+                />
+              </Button>
+              <Typography variant="body2" color="text.secondary">
+                {importFile?.name || 'No file selected'}
+              </Typography>
+            </Stack>
+            {importError && <Alert severity="error">{importError}</Alert>}
+            {importResult && (
+              <Alert severity={importResult.errors?.length ? 'warning' : 'success'}>
+                Added {importResult.inserted}, updated {importResult.updated}, skipped {importResult.skipped}.
+                {importResult.errors?.map((e) => (
+                  <Typography key={e.ref} variant="caption" display="block">{e.ref}: {e.error}</Typography>
+                ))}
+              </Alert>
+            )}
+          </Stack>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setImportOpen(false)} disabled={saving}>{importResult ? 'Close' : 'Cancel'}</Button>
+          <Button variant="contained" onClick={handleImport} disabled={saving || !importFile}>
+            {saving ? <CircularProgress size={18} /> : 'Import'}
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Box>
+  );
+}
+
+export default Holidays;
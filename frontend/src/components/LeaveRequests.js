@@ -0,0 +1,509 @@
+import React, { useCallback, useEffect, useMemo, useState } from 'react';
+import axios from 'axios';
+import { can, ADMIN_ROLE } from '../permissions';
+import { fieldErrors } from '../validation';
+import {
+  Box, Paper, Typography, Stack, Button, Alert, CircularProgress, Chip, IconButton, Tooltip,
+  Table, TableHead, TableRow, TableCell, TableBody, TableContainer,
+  Dialog, DialogTitle, DialogContent, DialogActions, TextField, MenuItem,
+  FormControlLabel, Checkbox, LinearProgress
+} from '@mui/material';
+import AddIcon from '@mui/icons-material/Add';
+import RefreshIcon from '@mui/icons-material/Refresh';
+import CheckIcon from '@mui/icons-material/Check';
+import CloseIcon from '@mui/icons-material/Close';
+import EventBusyIcon from '@mui/icons-material/EventBusy';
+
+const LEAVE_STATUS_COLORS = { pending: 'info', approved: 'success', rejected: 'error', cancelled: 'default' };
+
+const todayYMD = () => new Intl.DateTimeFormat('en-CA', { timeZone: 'Asia/Kolkata' }).format(new Date());
+const emptyForm = () => ({ leaveType: '', startDate: todayYMD(), endDate: todayYMD(), startHalfDay: false, endHalfDay: false, reason: '' });
+
+// "2025-03-03 (pm) → 2025-03-05 (am)"; a half start day is taken from midday, a half end day until midday
+const formatRange = (r) => {
+  if (r.start_date === r.end_date) {
+    return `${r.start_date}${r.start_half_day || r.end_half_day ? ' (half day)' : ''}`;
+  }
+  return `${r.start_date}${r.start_half_day ? ' (pm)' : ''} → ${r.end_date}${r.end_half_day ? ' (am)' : ''}`;
+};
+
+// Leave balance per type, the employee's own requests and, for reviewers, the approval queue
+function LeaveRequests({ user }) {
+  const canReview = can(user, 'leave.approve');
+  const allTeams = can(user, 'entries.view_all');
+  const employeeId = user.employee_id;
+
+  const [year, setYear] = useState(() => Number(todayYMD().slice(0, 4)));
+  const [types, setTypes] = useState([]);
+  const [balances, setBalances] = useState([]);
+  const [requests, setRequests] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  const [formOpen, setFormOpen] = useState(false);
+  const [form, setForm] = useState(emptyForm);
+  const [formError, setFormError] = useState('');
+  const [formFieldErrors, setFormFieldErrors] = useState({});
+  const [saving, setSaving] = useState(false);
+
+  const [queueFilters, setQueueFilters] = useState({ status: 'pending', teamId: '' });
+  const [teams, setTeams] = useState([]);
+  const [queue, setQueue] = useState([]);
+  const [queueLoading, setQueueLoading] = useState(false);
+  // rejecting: the request whose rejection dialog is open
+  const [rejecting, setRejecting] = useState(null);
+  const [comment, setComment] = useState('');
+
+  const authHeaders = useMemo(
+    () => ({ headers: { Authorization: `Bearer ${localStorage.getItem('token')}` } }),
+    []
+  );
+
+  const fetchMine = useCallback(async () => {
+    setLoading(true);
+    setError('');
+    try {
+      const [balanceRes, requestsRes] = await Promise.all([
+        axios.get(`/api/employee/${employeeId}/leave-balance`, { ...authHeaders, params: { year }, skipErrorModal: true }),
+        axios.get(`/api/employee/${employeeId}/leave-requests`, { ...authHeaders, params: { year }, skipErrorModal: true }),
+      ]);
+      setBalances(balanceRes.data?.balances || []);
+      setRequests(requestsRes.data || []);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to fetch leave.');
+    } finally {
+      setLoading(false);
+    }
+  }, [authHeaders, employeeId, year]);
+
+  const fetchQueue = useCallback(async () => {
+    setQueueLoading(true);
+    try {
+      const params = Object.fromEntries(Object.entries(queueFilters).filter(([, v]) => v !== ''));
+      const { data } = await axios.get('/api/leave-requests/queue', { ...authHeaders, params, skipErrorModal: true });
+      setQueue(data || []);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to fetch leave requests to review.');
+      setQueue([]);
+    } finally {
+      setQueueLoading(false);
+    }
+  }, [authHeaders, queueFilters]);
+
+  useEffect(() => {
+    fetchMine();
+  }, [fetchMine]);
+
+  useEffect(() => {
+    if (canReview) fetchQueue();
+  }, [canReview, fetchQueue]);
+
+  useEffect(() => {
+    axios.get('/api/leave-types', authHeaders).then(({ data }) => setTypes(data || [])).catch(() => setTypes([]));
+  }, [authHeaders]);
+
+  useEffect(() => {
+    if (canReview && allTeams) {
+      axios.get('/api/teams', authHeaders).then(({ data }) => setTeams(data || [])).catch(() => setTeams([]));
+    }
+  }, [canReview, allTeams, authHeaders]);
+
+  const refreshAll = () => {
+    fetchMine();
+    if (canReview) fetchQueue();
+  };
+
+  const setField = (field, value) => {
+    setForm((prev) => ({ ...prev, [field]: value }));
+    setFormFieldErrors((prev) => ({ ...prev, [field]: undefined }));
+  };
+
+  const openForm = () => {
+    setForm({ ...emptyForm(), leaveType: types[0]?.leave_type || '' });
+    setFormError('');
+    setFormFieldErrors({});
+    setFormOpen(true);
+  };
+
+  const submitRequest = async () => {
+    setSaving(true);
+    setFormError('');
+    setFormFieldErrors({});
+    try {
+      const { data } = await axios.post(
+        `/api/employee/${employeeId}/leave-requests`,
+        form,
+        { ...authHeaders, skipErrorModal: true }
+      );
+      setSuccess(`Requested ${data.request.days} day(s) of ${data.request.leave_type_label || data.request.leave_type}.`);
+      setFormOpen(false);
+      refreshAll();
+    } catch (err) {
+      setFormFieldErrors(fieldErrors(err) || {});
+      setFormError(err.response?.data?.message || 'Failed to request leave.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const cancelRequest = async (r) => {
+    if (!window.confirm(`Cancel the ${r.leave_type_label || r.leave_type} request for ${formatRange(r)}?`)) return;
+    setError('');
+    try {
+      await axios.post(`/api/leave-requests/${r.leave_request_id}/cancel`, {}, { ...authHeaders, skipErrorModal: true });
+      setSuccess('Leave request cancelled.');
+      refreshAll();
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to cancel leave request.');
+    }
+  };
+
+  const approve = async (r) => {
+    setError('');
+    try {
+      await axios.post(`/api/leave-requests/${r.leave_request_id}/approve`, {}, { ...authHeaders, skipErrorModal: true });
+      setSuccess(`Approved ${r.first_name} ${r.last_name}'s leave for ${formatRange(r)}.`);
+      refreshAll();
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to approve leave request.');
+    }
+  };
+
+  const openReject = (r) => {
+    setComment('');
+    setRejecting(r);
+  };
+
+  const reject = async () => {
+    setSaving(true);
+    setError('');
+    try {
+      await axios.post(
+        `/api/leave-requests/${rejecting.leave_request_id}/reject`,
+        { comment },
+        { ...authHeaders, skipErrorModal: true }
+      );
+      setSuccess(`Rejected ${rejecting.first_name} ${rejecting.last_name}'s leave for ${formatRange(rejecting)}.`);
+      setRejecting(null);
+      refreshAll();
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to reject leave request.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // Mirrors the API: only admins may review their own request
+  const isOwn = (r) => String(r.employee_id) === String(employeeId) && user.role !== ADMIN_ROLE;
+  const singleDay = form.startDate && form.startDate === form.endDate;
+
+  return (
+    <Box sx={{ p: 3 }}>
+      <Stack direction="row" alignItems="center" justifyContent="space-between" sx={{ mb: 2 }}>
+        <Typography variant="h5" sx={{ fontWeight: 700 }}>Leave</Typography>
+        <Stack direction="row" spacing={1} alignItems="center">
+          <TextField
+            select size="small" label="Year" value={year}
+            onChange={(e) => setYear(Number(e.target.value))} sx={{ width: 110 }}
+          >
+            {[-1, 0, 1].map((d) => {
+              const y = Number(todayYMD().slice(0, 4)) + d;
+              return <MenuItem key={y} value={y}>{y}</MenuItem>;
+            })}
+          </TextField>
+          <Tooltip title="Refresh">
+            <span>
+              <IconButton onClick={refreshAll} disabled={loading}><RefreshIcon /></IconButton>
+            </span>
+          </Tooltip>
+          <Button variant="contained" startIcon={<AddIcon />} onClick={openForm} disabled={!types.length}>
+            Request leave
+          </Button>
+        </Stack>
+      </Stack>
+      <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+        Weekends and holidays are not counted. Approved leave is added to your daily entries as Leave.
+      </Typography>
+
+      {error && <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError('')}>{error}</Alert>}
+      {success && <Alert severity="success" sx={{ mb: 2 }} onClose={() => setSuccess('')}>{success}</Alert>}
+
+      <Box sx={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fill, minmax(220px, 1fr))', gap: 2, mb: 3 }}>
+        {balances.map((b) => {
+          const used = b.approved + b.pending;
+          return (
+            <Paper key={b.leave_type} elevation={2} sx={{ p: 2, borderRadius: 3 }}>
+              <Typography variant="subtitle2" color="text.secondary">{b.label}</Typography>
+              <Typography variant="h5" sx={{ fontWeight: 700 }}>
+                {b.allowance == null ? `${b.approved}` : `${b.remaining} / ${b.allowance}`}
+              </Typography>
+              <Typography variant="caption" color="text.secondary">
+                {b.allowance == null ? 'days taken' : 'days left'} · {b.approved} approved · {b.pending} pending
+              </Typography>
+              {b.allowance != null && (
+                <LinearProgress
+                  variant="determinate"
+                  value={Math.min(100, b.allowance ? (used / b.allowance) * 100 : 100)}
+                  color={b.remaining < 0 ? 'error' : 'primary'}
+                  sx={{ mt: 1, borderRadius: 1 }}
+                />
+              )}
+            </Paper>
+          );
+        })}
+      </Box>
+
+      <Typography variant="h6" sx={{ mb: 1 }}>My requests</Typography>
+      <Paper elevation={2} sx={{ borderRadius: 3, mb: 3 }}>
+        <TableContainer>
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>Type</TableCell>
+                <TableCell>Dates</TableCell>
+                <TableCell align="right">Days</TableCell>
+                <TableCell>Reason</TableCell>
+                <TableCell>Status</TableCell>
+                <TableCell align="right">Actions</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {loading ? (
+                <TableRow>
+                  <TableCell colSpan={6} align="center"><CircularProgress size={24} /></TableCell>
+                </TableRow>
+              ) : requests.length === 0 ? (
+                <TableRow>
+                  <TableCell colSpan={6} align="center">No leave requests in {year}.</TableCell>
+                </TableRow>
+              ) : requests.map((r) => (
+                <TableRow key={r.leave_request_id} hover>
+                  <TableCell>{r.leave_type_label || r.leave_type}</TableCell>
+                  <TableCell sx={{ whiteSpace: 'nowrap' }}>{formatRange(r)}</TableCell>
+                  <TableCell align="right">{r.days}</TableCell>
+                  <TableCell>{r.reason}</TableCell>
+                  <TableCell>
+                    <Chip size="small" label={r.status} color={LEAVE_STATUS_COLORS[r.status]} />
+                    {r.review_comment && (
+                      <Typography variant="caption" color="text.secondary" display="block">
+                        {r.reviewed_by_name}: {r.review_comment}
+                      </Typography>
+                    )}
+                  </TableCell>
+                  <TableCell align="right">
+                    {['pending', 'approved'].includes(r.status) && (
+                      <Button size="small" startIcon={<EventBusyIcon />} onClick={() => cancelRequest(r)}>
+                        Cancel
+                      </Button>
+                    )}
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </TableContainer>
+      </Paper>
+
+      {canReview && (
+        <>
+          <Stack direction="row" alignItems="center" spacing={2} sx={{ mb: 1 }}>
+            <Typography variant="h6" sx={{ flexGrow: 1 }}>Team requests</Typography>
+            <TextField
+              select size="small" label="Status" value={queueFilters.status} sx={{ width: 160 }}
+              onChange={(e) => setQueueFilters((prev) => ({ ...prev, status: e.target.value }))}
+            >
+              {Object.keys(LEAVE_STATUS_COLORS).map((s) => <MenuItem key={s} value={s}>{s}</MenuItem>)}
+            </TextField>
+            {allTeams && (
+              <TextField
+                select size="small" label="Team" value={queueFilters.teamId} sx={{ width: 220 }}
+                onChange={(e) => setQueueFilters((prev) => ({ ...prev, teamId: e.target.value }))}
+              >
+                <MenuItem value="">All teams</MenuItem>
+                {teams.map((t) => <MenuItem key={t.team_id} value={String(t.team_id)}>{t.team_name}</MenuItem>)}
+              </TextField>
+            )}
+          </Stack>
+          <Paper elevation={2} sx={{ borderRadius: 3 }}>
+            <TableContainer>
+              <Table size="small">
+                <TableHead>
+                  <TableRow>
+                    <TableCell>Employee</TableCell>
+                    <TableCell>Team</TableCell>
+                    <TableCell>Type</TableCell>
+                    <TableCell>Dates</TableCell>
+                    <TableCell align="right">Days</TableCell>
+                    <TableCell>Reason</TableCell>
+                    <TableCell>Status</TableCell>
+                    <TableCell align="right">Actions</TableCell>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {queueLoading ? (
+                    <TableRow>
+                      <TableCell colSpan={8} align="center"><CircularProgress size={24} /></TableCell>
+                    </TableRow>
+                  ) : queue.length === 0 ? (
+                    <TableRow>
+                      <TableCell colSpan={8} align="center">No leave requests to show.</TableCell>
+                    </TableRow>
+                  ) : queue.map((r) => (
+                    <TableRow key={r.leave_request_id} hover>
+                      <TableCell>{r.first_name} {r.last_name}</TableCell>
+                      <TableCell>{r.team_name || '—'}</TableCell>
+                      <TableCell>{r.leave_type_label || r.leave_type}</TableCell>
+                      <TableCell sx={{ whiteSpace: 'nowrap' }}>{formatRange(r)}</TableCell>
+                      <TableCell align="right">{r.days}</TableCell>
+                      <TableCell>{r.reason}</TableCell>
+                      <TableCell>
+                        <Chip size="small" label={r.status} color={LEAVE_STATUS_COLORS[r.status]} />
+                        {r.review_comment && (
+                          <Typography variant="caption" color="text.secondary" display="block">{r.review_comment}</Typography>
+                        )}
+                      </TableCell>
+                      <TableCell align="right" sx={{ whiteSpace: 'nowrap' }}>
+                        {r.status === 'pending' && (
+                          <>
+                            <Tooltip title={isOwn(r) ? 'You cannot review your own request' : 'Approve'}>
+                              <span>
+                                <IconButton size="small" color="success" disabled={isOwn(r)} onClick={() => approve(r)}>
+                                  <CheckIcon fontSize="small" />
+                                </IconButton>
+                              </span>
+                            </Tooltip>
+                            <Tooltip title={isOwn(r) ? 'You cannot review your own request' : 'Reject'}>
+                              <span>
+                                <IconButton size="small" color="error" disabled={isOwn(r)} onClick={() => openReject(r)}>
+                                  <CloseIcon fontSize="small" />
+                                </IconButton>
+                              </span>
+                            </Tooltip>
+                          </>
+                        )}
+                        {r.status === 'approved' && !isOwn(r) && (
+                          <Tooltip title="Cancel and remove the Leave entries">
+                            <IconButton size="small" onClick={() => cancelRequest(r)}>
+                              <EventBusyIcon fontSize="small" />
+                            </IconButton>
+                          </Tooltip>
+                        )}
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </TableContainer>
+          </Paper>
+        </>
+      )}
+
+      <Dialog open={formOpen} onClose={() => !saving && setFormOpen(false)} maxWidth="xs" fullWidth>
+        <DialogTitle>Request leave</DialogTitle>
+        <DialogContent dividers>
+          <Stack spacing={2}>
+            <TextField
+              select
+              label="Leave type"
+              value={form.leaveType}
+              onChange={(e) => setField('leaveType', e.target.value)}
+              error={!!formFieldErrors.leaveType}
+              helperText={formFieldErrors.leaveType}
+              size="small"
+              required
+            >
+              {types.map((t) => <MenuItem key={t.leave_type} value={t.leave_type}>{t.label}</MenuItem>)}
+            </TextField>
+            <TextField
+              label="From"
+              type="date"
+              value={form.startDate}
+              onChange={(e) => setField('startDate', e.target.value)}
+              error={!!formFieldErrors.startDate}
+              helperText={formFieldErrors.startDate}
+              InputLabelProps={{ shrink: true }}
+              size="small"
+              required
+            />
+            <TextField
+              label="To"
+              type="date"
+              value={form.endDate}
+              onChange={(e) => setField('endDate', e.target.value)}
+              error={!!formFieldErrors.endDate}
+              helperText={formFieldErrors.endDate}
+              InputLabelProps={{ shrink: true }}
+              size="small"
+              required
+            />
+            <Stack direction="row" spacing={1}>
+              <FormControlLabel
+                control={<Checkbox checked={form.startHalfDay} onChange={(e) => setField('startHalfDay', e.target.checked)} />}
+                label={singleDay ? 'Afternoon only' : 'Start at midday'}
+              />
+              <FormControlLabel
+                control={<Checkbox checked={form.endHalfDay} onChange={(e) => setField('endHalfDay', e.target.checked)} />}
+                label={singleDay ? 'Morning only' : 'End at midday'}
+              />
+            </Stack>
+            {(formFieldErrors.startHalfDay || formFieldErrors.endHalfDay) && (
+              <Typography variant="caption" color="error">{formFieldErrors.startHalfDay || formFieldErrors.endHalfDay}</Typography>
+            )}
+            <TextField
+              label="Reason"
+              value={form.reason}
+              onChange={(e) => setField('reason', e.target.value)}
+              error={!!formFieldErrors.reason}
+              helperText={formFieldErrors.reason}
+              multiline
+              minRows={2}
+              size="small"
+            />
+            {formError && <Alert severity="error">{formError}</Alert>}
+          </Stack>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setFormOpen(false)} disabled={saving}>Cancel</Button>
+          <Button
+            variant="contained"
+            onClick={submitRequest}
+            disabled={saving || !form.leaveType || !form.startDate || !form.endDate}
+          >
+            {saving ? 'Requesting…' : 'Request'}
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      <Dialog open={!!rejecting} onClose={() => !saving && setRejecting(null)} maxWidth="sm" fullWidth>
+        <DialogTitle>Reject leave request</DialogTitle>
+        <DialogContent dividers>
+          {rejecting && (
+            <Typography variant="body2" sx={{ mb: 2 }}>
+              {rejecting.first_name} {rejecting.last_name}, {rejecting.leave_type_label || rejecting.leave_type} for{' '}
+              {formatRange(rejecting)}. The employee sees your comment.
+            </Typography>
+          )}
+          <TextField
+            label="Comment"
+            value={comment}
+            onChange={(e) => setComment(e.target.value)}
+            multiline
+            minRows={3}
+            fullWidth
+            required
+            autoFocus
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setRejecting(null)} disabled={saving}>Cancel</Button>
+          <Button variant="contained" color="error" onClick={reject} disabled={saving || !comment.trim()}>
+            {saving ? 'Rejecting…' : 'Reject'}
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Box>
+  );
+}
+
+export default LeaveRequests;
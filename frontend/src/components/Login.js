@@ -1,5 +1,6 @@
-import React, { useState } from 'react';
+import React, { useEffect, useState } from 'react';
 import axios from 'axios';
+import { Link as RouterLink, useNavigate } from 'react-router-dom';
 import '../index.css';
 
 // MUI
@@ -16,6 +17,7 @@ import {
   Avatar,
   CircularProgress,
   Alert,
+  Link,
 } from '@mui/material';
 
 // Icons
@@ -28,6 +30,16 @@ function Login({ onLogin }) {
   const [password, setPassword] = useState('');
   const [error, setError] = useState('');
   const [isLoading, setIsLoading] = useState(false);
+  const navigate = useNavigate();
+
+  // A database without any admin goes through first-time setup instead
+  useEffect(() => {
+    axios.get('/api/setup/status', { skipErrorModal: true })
+      .then(({ data }) => {
+        if (data?.setupRequired) navigate('/setup', { replace: true });
+      })
+      .catch(() => {});
+  }, [navigate]);
 
   const handleSubmit = async (e) => {
     e.preventDefault();
@@ -35,7 +47,7 @@ function Login({ onLogin }) {
     setIsLoading(true);
     try {
       const { data } = await axios.post('/api/login', { email, password });
-      onLogin(data.token, data.employee);
+      onLogin(data.token, data.employee, data.refreshToken);
     } catch (err) {
       console.error('Login error:', err);
       setError(err?.response?.data?.message || 'Login failed. Please try again.');
@@ -149,6 +161,10 @@ function Login({ onLogin }) {
                 'Login'
               )}
             </Button>
+
+            <Link component={RouterLink} to="/forgot-password" variant="body2" sx={{ alignSelf: 'center' }}>
+              Forgot password?
+            </Link>
           </Box>
         </CardContent>
       </Card>
@@ -1,5 +1,8 @@
 import React, { useState, useEffect, useMemo, useCallback } from 'react';
 import axios from 'axios';
+import { Link as RouterLink } from 'react-router-dom';
+import { can } from '../permissions';
+import { fieldErrors } from '../validation';
 import {
   Box, Button, TextField, Typography, Dialog, DialogActions,
   DialogContent, DialogTitle, Select, MenuItem, FormControl,
@@ -13,6 +16,9 @@ import DeleteIcon from '@mui/icons-material/Delete';
 import UploadFileIcon from '@mui/icons-material/UploadFile';
 import AddCircleOutlineIcon from '@mui/icons-material/AddCircleOutline';
 import SearchIcon from '@mui/icons-material/Search';
+import AssignmentIndIcon from '@mui/icons-material/AssignmentInd';
+import ListAltIcon from '@mui/icons-material/ListAlt';
+import ProjectAssignmentsDialog from './ProjectAssignmentsDialog';
 
 const statusChip = (status) => {
   const s = (status || '').toLowerCase();
@@ -51,6 +57,19 @@ const toYMD = (v) => {
   return '';
 };
 
+// API body field -> form field, for highlighting validation errors
+const ERROR_FIELD_ALIASES = {
+  newProjectId: 'projectId',
+  buId: 'businessUnit',
+  projectComments: 'comments',
+  projectActualStartDate: 'actualStartDate',
+  projectActualEndDate: 'actualEndDate',
+};
+const toFormErrors = (err) =>
+  Object.fromEntries(
+    Object.entries(fieldErrors(err) || {}).map(([f, m]) => [ERROR_FIELD_ALIASES[f] || f, m])
+  );
+
 // normalize for payloads: '' -> null, else Y-M-D
 const ymdOrNull = (v) => {
   const y = toYMD(v);
@@ -59,6 +78,7 @@ const ymdOrNull = (v) => {
 
 function ManageProjects({ user }) {
   const [projects, setProjects] = useState([]);
+  const [businessUnits, setBusinessUnits] = useState([]);
   const [open, setOpen] = useState(false);
   const [importOpen, setImportOpen] = useState(false);
   const [importFile, setImportFile] = useState(null);
@@ -72,13 +92,17 @@ function ManageProjects({ user }) {
     estimatedHours: '', actualHours: '',
     comments: '',
   });
+  const [formErrors, setFormErrors] = useState({});
   const [loading, setLoading] = useState(false);
   const [message, setMessage] = useState({ text: '', type: '' });
   const [searchTerm, setSearchTerm] = useState('');
 
   const [editingRowId, setEditingRowId] = useState(null);
   const [editRowData, setEditRowData] = useState({});
+  const [editErrors, setEditErrors] = useState({});
   const [deletingIds, setDeletingIds] = useState(new Set());
+  // Project whose assignments dialog is open, or null
+  const [assignmentsProject, setAssignmentsProject] = useState(null);
   const [page, setPage] = useState(0);
   const [rowsPerPage, setRowsPerPage] = useState(10);
 
@@ -99,11 +123,33 @@ function ManageProjects({ user }) {
     }
   }, [authHeaders]);
 
-  useEffect(() => {
-    if (user?.role === 'admin') fetchProjects();
-  }, [user?.role, fetchProjects]);
+  const fetchBusinessUnits = useCallback(async () => {
+    try {
+      const res = await axios.get('/api/business-units', authHeaders);
+      setBusinessUnits(res.data || []);
+    } catch {
+      setMessage({ text: 'Failed to fetch business units.', type: 'error' });
+    }
+  }, [authHeaders]);
 
-  const resetForm = () =>
+  useEffect(() => {
+    if (can(user, 'projects.edit')) {
+      fetchProjects();
+      fetchBusinessUnits();
+    }
+  }, [user, fetchProjects, fetchBusinessUnits]);
+
+  // Active units, plus the project's current one even if it was deactivated
+  const businessUnitOptions = (current) => businessUnits
+    .filter((u) => u.is_active || u.bu_id === current)
+    .map((u) => (
+      <MenuItem key={u.bu_id} value={u.bu_id}>
+        {u.bu_name && u.bu_name !== u.bu_id ? `${u.bu_id} · ${u.bu_name}` : u.bu_id}
+      </MenuItem>
+    ));
+
+  const resetForm = () => {
+    setFormErrors({});
     setForm({
       projectId: '', projectName: '', businessUnit: '',
       plannedStartDate: '', plannedEndDate: '',
@@ -111,11 +157,15 @@ function ManageProjects({ user }) {
       status: 'Active', estimatedHours: '', actualHours: '',
       comments: '',
     });
+  };
 
   const handleOpen = () => { resetForm(); setOpen(true); };
   const handleClose = () => { setOpen(false); resetForm(); };
 
-  const handleChange = (field) => (e) => setForm({ ...form, [field]: e.target.value });
+  const handleChange = (field) => (e) => {
+    setForm({ ...form, [field]: e.target.value });
+    setFormErrors((prev) => ({ ...prev, [field]: undefined }));
+  };
 
   const handleSubmit = async () => {
     if (!form.projectId.trim() || !form.projectName.trim() || !form.businessUnit.trim()) {
@@ -137,11 +187,12 @@ function ManageProjects({ user }) {
         comments: form.comments?.trim() || null,
       };
 
-      await axios.post('/api/projects', payload, authHeaders);
+      await axios.post('/api/projects', payload, { ...authHeaders, skipErrorModal: true });
       setMessage({ text: 'Project created successfully.', type: 'success' });
       fetchProjects();
       handleClose();
     } catch (err) {
+      setFormErrors(toFormErrors(err));
       const msg = err?.response?.data?.message || 'Failed to create project.';
       setMessage({ text: msg, type: 'error' });
     }
@@ -154,8 +205,8 @@ function ManageProjects({ user }) {
     setDeletingIds(prev => new Set(prev).add(projectId));
 
     try {
-      await axios.delete(`/api/projects/${encodeURIComponent(projectId)}`, authHeaders);
-      setMessage({ text: 'Project deleted successfully.', type: 'success' });
+      const { data } = await axios.delete(`/api/projects/${encodeURIComponent(projectId)}`, authHeaders);
+      setMessage({ text: data?.message || 'Project moved to the recycle bin.', type: 'success' });
       fetchProjects();
     } catch (err) {
       const msg = err?.response?.data?.message || 'Delete failed.';
@@ -171,6 +222,7 @@ function ManageProjects({ user }) {
 
   const handleInlineEditClick = (project) => {
     setEditingRowId(project.project_id);
+    setEditErrors({});
     setEditRowData({
       projectId: project.project_id,
       projectName: project.project_name || '',
@@ -186,7 +238,10 @@ function ManageProjects({ user }) {
     });
   };
 
-  const handleEditChange = (field) => (e) => setEditRowData({ ...editRowData, [field]: e.target.value });
+  const handleEditChange = (field) => (e) => {
+    setEditRowData({ ...editRowData, [field]: e.target.value });
+    setEditErrors((prev) => ({ ...prev, [field]: undefined }));
+  };
 
   const handleInlineSave = async (originalProjectId) => {
     try {
@@ -199,7 +254,8 @@ function ManageProjects({ user }) {
         projectId: originalProjectId,
         newProjectId: editRowData.projectId.trim(),
         projectName: editRowData.projectName?.trim(),
-        businessUnit: editRowData.businessUnit?.trim(),
+        // Left out clears the business unit
+        businessUnit: editRowData.businessUnit || undefined,
         plannedStartDate: ymdOrNull(editRowData.plannedStartDate),
         plannedEndDate: ymdOrNull(editRowData.plannedEndDate),
         actualStartDate: ymdOrNull(editRowData.actualStartDate),
@@ -210,12 +266,17 @@ function ManageProjects({ user }) {
         comments: editRowData.comments?.trim() || null,
       };
 
-      await axios.put(`/api/projects/${encodeURIComponent(originalProjectId)}`, payload, authHeaders);
+      await axios.put(
+        `/api/projects/${encodeURIComponent(originalProjectId)}`,
+        payload,
+        { ...authHeaders, skipErrorModal: true }
+      );
       setMessage({ text: 'Project updated successfully.', type: 'success' });
       fetchProjects();
       setEditingRowId(null);
       setEditRowData({});
     } catch (err) {
+      setEditErrors(toFormErrors(err));
       const msg = err?.response?.data?.message || 'Failed to update project.';
       setMessage({ text: msg, type: 'error' });
     }
@@ -224,6 +285,7 @@ function ManageProjects({ user }) {
   const handleInlineCancel = () => {
     setEditingRowId(null);
     setEditRowData({});
+    setEditErrors({});
   };
 
   const handleImport = async () => {
@@ -261,6 +323,7 @@ function ManageProjects({ user }) {
     (p.project_id || '').toLowerCase().includes(searchTerm.toLowerCase()) ||
     (p.project_name || '').toLowerCase().includes(searchTerm.toLowerCase()) ||
     (p.business_unit || '').toLowerCase().includes(searchTerm.toLowerCase()) ||
+    (p.business_unit_name || '').toLowerCase().includes(searchTerm.toLowerCase()) ||
     (p.comments || '').toLowerCase().includes(searchTerm.toLowerCase())
   );
 
@@ -276,8 +339,8 @@ function ManageProjects({ user }) {
     setPage(0);
   };
 
-  if (!user || user.role !== 'admin') {
-    return <Alert severity="error">Access Denied. Admins only.</Alert>;
+  if (!can(user, 'projects.edit')) {
+    return <Alert severity="error">Access Denied. You need the projects.edit permission.</Alert>;
   }
 
   // ---------- Excel-like styling ----------
@@ -415,13 +478,16 @@ function ManageProjects({ user }) {
                         {/* Sticky first column */}
                         <TableCell className="sticky-col">
                           {isEditing ? (
-                            <TextField
-                              size="small"
-                              value={editRowData.projectId}
-                              onChange={handleEditChange('projectId')}
-                              className="cell-input"
-                              fullWidth
-                            />
+                            <Tooltip title={editErrors.projectId || ''}>
+                              <TextField
+                                size="small"
+                                value={editRowData.projectId}
+                                onChange={handleEditChange('projectId')}
+                                error={!!editErrors.projectId}
+                                className="cell-input"
+                                fullWidth
+                              />
+                            </Tooltip>
                           ) : (
                             <Typography className="cell-mono">{p.project_id}</Typography>
                           )}
@@ -429,95 +495,124 @@ function ManageProjects({ user }) {
 
                         <TableCell>
                           {isEditing ? (
-                            <TextField
-                              size="small"
-                              value={editRowData.projectName}
-                              onChange={handleEditChange('projectName')}
-                              className="cell-input"
-                              fullWidth
-                            />
+                            <Tooltip title={editErrors.projectName || ''}>
+                              <TextField
+                                size="small"
+                                value={editRowData.projectName}
+                                onChange={handleEditChange('projectName')}
+                                error={!!editErrors.projectName}
+                                className="cell-input"
+                                fullWidth
+                              />
+                            </Tooltip>
                           ) : (p.project_name || '')}
                         </TableCell>
 
                         <TableCell>
                           {isEditing ? (
-                            <TextField
-                              size="small"
-                              value={editRowData.businessUnit}
-                              onChange={handleEditChange('businessUnit')}
-                              className="cell-input"
-                              fullWidth
-                            />
-                          ) : (p.business_unit || '')}
+                            <Tooltip title={editErrors.businessUnit || ''}>
+                              <TextField
+                                select
+                                size="small"
+                                value={editRowData.businessUnit}
+                                onChange={handleEditChange('businessUnit')}
+                                error={!!editErrors.businessUnit}
+                                className="cell-input"
+                                fullWidth
+                              >
+                                <MenuItem value=""><em>None</em></MenuItem>
+                                {businessUnitOptions(p.business_unit)}
+                              </TextField>
+                            </Tooltip>
+                          ) : (
+                            <Tooltip title={p.business_unit_name || ''}>
+                              <span>{p.business_unit || ''}</span>
+                            </Tooltip>
+                          )}
                         </TableCell>
 
                         <TableCell>
                           {isEditing ? (
-                            <TextField
-                              type="date"
-                              size="small"
-                              value={toYMD(editRowData.plannedStartDate)}
-                              onChange={handleEditChange('plannedStartDate')}
-                              InputLabelProps={{ shrink: true }}
-                              className="cell-input"
-                              fullWidth
-                            />
+                            <Tooltip title={editErrors.plannedStartDate || ''}>
+                              <TextField
+                                type="date"
+                                size="small"
+                                value={toYMD(editRowData.plannedStartDate)}
+                                onChange={handleEditChange('plannedStartDate')}
+                                error={!!editErrors.plannedStartDate}
+                                InputLabelProps={{ shrink: true }}
+                                className="cell-input"
+                                fullWidth
+                              />
+                            </Tooltip>
                           ) : toYMD(p.planned_start_date)}
                         </TableCell>
 
                         <TableCell>
                           {isEditing ? (
-                            <TextField
-                              type="date"
-                              size="small"
-                              value={toYMD(editRowData.plannedEndDate)}
-                              onChange={handleEditChange('plannedEndDate')}
-                              InputLabelProps={{ shrink: true }}
-                              className="cell-input"
-                              fullWidth
-                            />
+                            <Tooltip title={editErrors.plannedEndDate || ''}>
+                              <TextField
+                                type="date"
+                                size="small"
+                                value={toYMD(editRowData.plannedEndDate)}
+                                onChange={handleEditChange('plannedEndDate')}
+                                error={!!editErrors.plannedEndDate}
+                                InputLabelProps={{ shrink: true }}
+                                className="cell-input"
+                                fullWidth
+                              />
+                            </Tooltip>
                           ) : toYMD(p.planned_end_date)}
                         </TableCell>
 
                         <TableCell>
                           {isEditing ? (
-                            <TextField
-                              type="date"
-                              size="small"
-                              value={toYMD(editRowData.actualStartDate)}
-                              onChange={handleEditChange('actualStartDate')}
-                              InputLabelProps={{ shrink: true }}
-                              className="cell-input"
-                              fullWidth
-                            />
+                            <Tooltip title={editErrors.actualStartDate || ''}>
+                              <TextField
+                                type="date"
+                                size="small"
+                                value={toYMD(editRowData.actualStartDate)}
+                                onChange={handleEditChange('actualStartDate')}
+                                error={!!editErrors.actualStartDate}
+                                InputLabelProps={{ shrink: true }}
+                                className="cell-input"
+                                fullWidth
+                              />
+                            </Tooltip>
                           ) : toYMD(p.actual_start_date)}
                         </TableCell>
 
                         <TableCell>
                           {isEditing ? (
-                            <TextField
-                              type="date"
-                              size="small"
-                              value={toYMD(editRowData.actualEndDate)}
-                              onChange={handleEditChange('actualEndDate')}
-                              InputLabelProps={{ shrink: true }}
-                              className="cell-input"
-                              fullWidth
-                            />
+                            <Tooltip title={editErrors.actualEndDate || ''}>
+                              <TextField
+                                type="date"
+                                size="small"
+                                value={toYMD(editRowData.actualEndDate)}
+                                onChange={handleEditChange('actualEndDate')}
+                                error={!!editErrors.actualEndDate}
+                                InputLabelProps={{ shrink: true }}
+                                className="cell-input"
+                                fullWidth
+                              />
+                            </Tooltip>
                           ) : toYMD(p.actual_end_date)}
                         </TableCell>
 
                         {/* Comments column */}
                         <TableCell>
                           {isEditing ? (
-                            <TextField
-                              size="small"
-                              value={editRowData.comments}
-                              onChange={handleEditChange('comments')}
-                              className="cell-input"
-                              fullWidth
-                              placeholder="Comments"
-                            />
+                            <Tooltip title={editErrors.comments || ''}>
+                              <TextField
+                                size="small"
+                                value={editRowData.comments}
+                                onChange={handleEditChange('comments')}
+                                error={!!editErrors.comments}
+                                className="cell-input"
+                                fullWidth
+                                placeholder="Comments"
+                              />
+                            </Tooltip>
                           ) : (
                             <Tooltip title={p.comments || ''}>
                               <span>{p.comments || ''}</span>
@@ -542,29 +637,35 @@ function ManageProjects({ user }) {
 
                         <TableCell align="right">
                           {isEditing ? (
-                            <TextField
-                              size="small"
-                              type="number"
-                              value={editRowData.estimatedHours}
-                              onChange={handleEditChange('estimatedHours')}
-                              className="cell-input"
-                              fullWidth
-                              inputProps={{ step: '0.1' }}
-                            />
+                            <Tooltip title={editErrors.estimatedHours || ''}>
+                              <TextField
+                                size="small"
+                                type="number"
+                                value={editRowData.estimatedHours}
+                                onChange={handleEditChange('estimatedHours')}
+                                error={!!editErrors.estimatedHours}
+                                className="cell-input"
+                                fullWidth
+                                inputProps={{ step: '0.1' }}
+                              />
+                            </Tooltip>
                           ) : (p.estimated_hours ?? '')}
                         </TableCell>
 
                         <TableCell align="right">
                           {isEditing ? (
-                            <TextField
-                              size="small"
-                              type="number"
-                              value={editRowData.actualHours}
-                              onChange={handleEditChange('actualHours')}
-                              className="cell-input"
-                              fullWidth
-                              inputProps={{ step: '0.1' }}
-                            />
+                            <Tooltip title={editErrors.actualHours || ''}>
+                              <TextField
+                                size="small"
+                                type="number"
+                                value={editRowData.actualHours}
+                                onChange={handleEditChange('actualHours')}
+                                error={!!editErrors.actualHours}
+                                className="cell-input"
+                                fullWidth
+                                inputProps={{ step: '0.1' }}
+                              />
+                            </Tooltip>
                           ) : (p.actual_hours ?? '')}
                         </TableCell>
 
@@ -580,6 +681,27 @@ function ManageProjects({ user }) {
                             </Stack>
                           ) : (
                             <Stack direction="row" spacing={0.5} justifyContent="center">
+                              <Tooltip title="Tasks and details">
+                                <IconButton
+                                  component={RouterLink}
+                                  to={`/projects/${encodeURIComponent(p.project_id)}`}
+                                  aria-label={`tasks-${p.project_id}`}
+                                  color="primary"
+                                  size="small"
+                                >
+                                  <ListAltIcon fontSize="small" />
+                                </IconButton>
+                              </Tooltip>
+                              <Tooltip title="Assignments">
+                                <IconButton
+                                  onClick={() => setAssignmentsProject(p)}
+                                  aria-label={`assignments-${p.project_id}`}
+                                  color="primary"
+                                  size="small"
+                                >
+                                  <AssignmentIndIcon fontSize="small" />
+                                </IconButton>
+                              </Tooltip>
                               <IconButton
                                 onClick={() => handleInlineEditClick(p)}
                                 disabled={isDeleting}
@@ -656,13 +778,24 @@ function ManageProjects({ user }) {
         <DialogContent>
           <Grid container spacing={2} sx={{ mt: 1 }}>
             <Grid item xs={12} sm={6}>
-              <TextField fullWidth label="Project ID" value={form.projectId} onChange={handleChange('projectId')} required />
+              <TextField fullWidth label="Project ID" value={form.projectId} onChange={handleChange('projectId')} error={!!formErrors.projectId} helperText={formErrors.projectId} required />
             </Grid>
             <Grid item xs={12} sm={6}>
-              <TextField fullWidth label="Project Name" value={form.projectName} onChange={handleChange('projectName')} required />
+              <TextField fullWidth label="Project Name" value={form.projectName} onChange={handleChange('projectName')} error={!!formErrors.projectName} helperText={formErrors.projectName} required />
             </Grid>
             <Grid item xs={12} sm={6}>
-              <TextField fullWidth label="Business Unit" value={form.businessUnit} onChange={handleChange('businessUnit')} required />
+              <TextField
+                select
+                fullWidth
+                label="Business Unit"
+                value={form.businessUnit}
+                onChange={handleChange('businessUnit')}
+                error={!!formErrors.businessUnit}
+                helperText={formErrors.businessUnit || (businessUnits.length ? '' : 'No business units yet; an admin adds them under Business Units.')}
+                required
+              >
+                {businessUnitOptions()}
+              </TextField>
             </Grid>
             <Grid item xs={12} sm={6}>
               <FormControl fullWidth>
@@ -681,6 +814,8 @@ function ManageProjects({ user }) {
                 InputLabelProps={{ shrink: true }}
                 value={toYMD(form.plannedStartDate)}
                 onChange={handleChange('plannedStartDate')}
+                error={!!formErrors.plannedStartDate}
+                helperText={formErrors.plannedStartDate}
               />
             </Grid>
             <Grid item xs={12} sm={6}>
@@ -689,6 +824,8 @@ function ManageProjects({ user }) {
                 InputLabelProps={{ shrink: true }}
                 value={toYMD(form.plannedEndDate)}
                 onChange={handleChange('plannedEndDate')}
+                error={!!formErrors.plannedEndDate}
+                helperText={formErrors.plannedEndDate}
               />
             </Grid>
             <Grid item xs={12} sm={6}>
@@ -697,6 +834,8 @@ function ManageProjects({ user }) {
                 InputLabelProps={{ shrink: true }}
                 value={toYMD(form.actualStartDate)}
                 onChange={handleChange('actualStartDate')}
+                error={!!formErrors.actualStartDate}
+                helperText={formErrors.actualStartDate}
               />
             </Grid>
             <Grid item xs={12} sm={6}>
@@ -705,13 +844,15 @@ function ManageProjects({ user }) {
                 InputLabelProps={{ shrink: true }}
                 value={toYMD(form.actualEndDate)}
                 onChange={handleChange('actualEndDate')}
+                error={!!formErrors.actualEndDate}
+                helperText={formErrors.actualEndDate}
               />
             </Grid>
             <Grid item xs={12} sm={6}>
-              <TextField fullWidth label="Estimated Hours" type="number" value={form.estimatedHours} onChange={handleChange('estimatedHours')} inputProps={{ step: '0.1' }} />
+              <TextField fullWidth label="Estimated Hours" type="number" value={form.estimatedHours} onChange={handleChange('estimatedHours')} error={!!formErrors.estimatedHours} helperText={formErrors.estimatedHours} inputProps={{ step: '0.1' }} />
             </Grid>
             <Grid item xs={12} sm={6}>
-              <TextField fullWidth label="Actual Hours" type="number" value={form.actualHours} onChange={handleChange('actualHours')} inputProps={{ step: '0.1' }} />
+              <TextField fullWidth label="Actual Hours" type="number" value={form.actualHours} onChange={handleChange('actualHours')} error={!!formErrors.actualHours} helperText={formErrors.actualHours} inputProps={{ step: '0.1' }} />
             </Grid>
             <Grid item xs={12}>
               <TextField
@@ -719,6 +860,8 @@ function ManageProjects({ user }) {
                 label="Comments"
                 value={form.comments}
                 onChange={handleChange('comments')}
+                error={!!formErrors.comments}
+                helperText={formErrors.comments}
                 placeholder="Notes / remarks"
               />
             </Grid>
@@ -730,6 +873,12 @@ function ManageProjects({ user }) {
         </DialogActions>
       </Dialog>
 
+      <ProjectAssignmentsDialog
+        open={!!assignmentsProject}
+        onClose={() => setAssignmentsProject(null)}
+        project={assignmentsProject}
+      />
+
       {/* Import dialog */}
       <Dialog open={importOpen} onClose={() => setImportOpen(false)} fullWidth maxWidth="sm">
         <DialogTitle>
@@ -0,0 +1,263 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import axios from 'axios';
+import {
+  Box, Paper, Typography, Stack, Button, Alert, CircularProgress, Chip, IconButton, Tooltip,
+  Table, TableHead, TableRow, TableCell, TableBody, TableContainer,
+  Dialog, DialogTitle, DialogContent, DialogActions, TextField,
+  FormControlLabel, Checkbox, InputAdornment
+} from '@mui/material';
+import AddIcon from '@mui/icons-material/Add';
+import BlockIcon from '@mui/icons-material/Block';
+import ContentCopyIcon from '@mui/icons-material/ContentCopy';
+
+const MONO = 'ui-monospace, SFMono-Regular, Menlo, monospace';
+const fmtDateTime = (v) => (v ? new Date(v).toLocaleString() : '—');
+
+const tokenStatus = (t) => {
+  if (t.revoked_at) return { label: 'revoked', color: 'default' };
+  if (new Date(t.expires_at) <= new Date()) return { label: 'expired', color: 'warning' };
+  return { label: 'active', color: 'success' };
+};
+
+// Account details and personal access tokens for scripts
+function Profile({ user }) {
+  const [tokens, setTokens] = useState([]);
+  const [options, setOptions] = useState({ scopes: ['read', 'write'], maxDays: 365, defaultDays: 90 });
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const [createOpen, setCreateOpen] = useState(false);
+  const [form, setForm] = useState({ name: '', write: false, expiresInDays: 90 });
+  const [formError, setFormError] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [newToken, setNewToken] = useState(null);
+  const [copied, setCopied] = useState(false);
+
+  const loadTokens = useCallback(async () => {
+    setLoading(true);
+    setError('');
+    try {
+      const { data } = await axios.get('/api/auth/tokens', { skipErrorModal: true });
+      setTokens(Array.isArray(data) ? data : []);
+    } catch (err) {
+      setError(err?.response?.data?.message || 'Failed to load API tokens.');
+      setTokens([]);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadTokens();
+    axios.get('/api/auth/tokens/options', { skipErrorModal: true })
+      .then(({ data }) => setOptions(data))
+      .catch(() => {});
+  }, [loadTokens]);
+
+  const openCreate = () => {
+    setForm({ name: '', write: false, expiresInDays: options.defaultDays });
+    setFormError('');
+    setCreateOpen(true);
+  };
+
+  const handleCreate = async () => {
+    setSaving(true);
+    setFormError('');
+    try {
+      const { data } = await axios.post(
+        '/api/auth/tokens',
+        {
+          name: form.name,
+          scopes: form.write ? ['read', 'write'] : ['read'],
+          expiresInDays: parseInt(form.expiresInDays, 10),
+        },
+        { skipErrorModal: true }
+      );
+      setCreateOpen(false);
+      setCopied(false);
+      setNewToken(data.token);
+      loadTokens();
+    } catch (err) {
+      setFormError(err?.response?.data?.message || 'Failed to create token.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRevoke = async (t) => {
+    if (!window.confirm(`Revoke token "${t.name}"? Scripts using it will stop working.`)) return;
+    try {
+      await axios.delete(`/api/auth/tokens/${t.token_id}`, { skipErrorModal: true });
+      loadTokens();
+    } catch (err) {
+      setError(err?.response?.data?.message || 'Failed to revoke token.');
+    }
+  };
+
+  const copyToken = async () => {
+    try {
+      await navigator.clipboard.writeText(newToken.token);
+      setCopied(true);
+    } catch {
+      setCopied(false);
+    }
+  };
+
+  return (
+    <Box sx={{ maxWidth: 1100, mx: 'auto', mt: 4 }}>
+      <Typography variant="h4" gutterBottom>Profile</Typography>
+
+      <Paper elevation={2} sx={{ p: 3, borderRadius: 3, mb: 3 }}>
+        <Typography variant="h6" sx={{ mb: 1 }}>{user.first_name}</Typography>
+        <Typography variant="body2" color="text.secondary">{user.email}</Typography>
+        <Stack direction="row" spacing={0.5} useFlexGap flexWrap="wrap" sx={{ mt: 2 }}>
+          <Chip size="small" color="primary" label={`Role: ${user.role}`} />
+          {(user.permissions || []).map((p) => <Chip key={p} size="small" variant="outlined" label={p} />)}
+        </Stack>
+      </Paper>
+
+      <Paper elevation={2} sx={{ p: 3, borderRadius: 3 }}>
+        <Stack direction="row" alignItems="center" justifyContent="space-between" sx={{ mb: 1 }}>
+          <Typography variant="h6">API tokens</Typography>
+          <Button variant="contained" startIcon={<AddIcon />} onClick={openCreate}>New token</Button>
+        </Stack>
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+          Use a token instead of your password in scripts: send it as <code>Authorization: Bearer &lt;token&gt;</code>.
+          A token acts with your permissions; read-only tokens can only make GET requests.
+        </Typography>
+
+        {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+
+        <TableContainer>
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>Name</TableCell>
+                <TableCell>Token</TableCell>
+                <TableCell>Scopes</TableCell>
+                <TableCell>Created</TableCell>
+                <TableCell>Expires</TableCell>
+                <TableCell>Last used</TableCell>
+                <TableCell>Status</TableCell>
+                <TableCell align="right" />
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {loading ? (
+                <TableRow>
+                  <TableCell colSpan={8} align="center"><CircularProgress size={24} /></TableCell>
+                </TableRow>
+              ) : tokens.length === 0 ? (
+                <TableRow>
+                  <TableCell colSpan={8} align="center">No API tokens yet.</TableCell>
+                </TableRow>
+              ) : tokens.map((t) => {
+                const status = tokenStatus(t);
+                return (
+                  <TableRow key={t.token_id} hover>
+                    <TableCell>{t.name}</TableCell>
+                    <TableCell sx={{ fontFamily: MONO }}>{t.token_prefix}…</TableCell>
+                    <TableCell>{(t.scopes || []).join(', ')}</TableCell>
+                    <TableCell sx={{ whiteSpace: 'nowrap' }}>{fmtDateTime(t.created_at)}</TableCell>
+                    <TableCell sx={{ whiteSpace: 'nowrap' }}>{fmtDateTime(t.expires_at)}</TableCell>
+                    <TableCell sx={{ whiteSpace: 'nowrap' }}>
+                      {fmtDateTime(t.last_used_at)}
+                      {t.last_used_ip && (
+                        <Typography variant="caption" color="text.secondary" display="block">{t.last_used_ip}</Typography>
+                      )}
+                    </TableCell>
+                    <TableCell><Chip size="small" label={status.label} color={status.color} /></TableCell>
+                    <TableCell align="right">
+                      {status.label === 'active' && (
+                        <Tooltip title="Revoke">
+                          <IconButton size="small" color="error" onClick={() => handleRevoke(t)}>
+                            <BlockIcon fontSize="small" />
+                          </IconButton>
+                        </Tooltip>
+                      )}
+                    </TableCell>
+                  </TableRow>
+                );
+              })}
+            </TableBody>
+          </Table>
+        </TableContainer>
+      </Paper>
+
+      {/* Create dialog */}
+      <Dialog open={createOpen} onClose={() => !saving && setCreateOpen(false)} maxWidth="xs" fullWidth>
+        <DialogTitle>New API token</DialogTitle>
+        <DialogContent dividers>
+          <Stack spacing={2}>
+            <TextField
+              label="Name"
+              placeholder="e.g. nightly utilization export"
+              value={form.name}
+              onChange={(e) => setForm((prev) => ({ ...prev, name: e.target.value }))}
+              size="small"
+              required
+              autoFocus
+            />
+            <TextField
+              label="Expires in"
+              type="number"
+              value={form.expiresInDays}
+              onChange={(e) => setForm((prev) => ({ ...prev, expiresInDays: e.target.value }))}
+              size="small"
+              inputProps={{ min: 1, max: options.maxDays }}
+              InputProps={{ endAdornment: <InputAdornment position="end">days</InputAdornment> }}
+              helperText={`1 – ${options.maxDays} days`}
+            />
+            <FormControlLabel
+              control={
+                <Checkbox
+                  checked={form.write}
+                  onChange={(e) => setForm((prev) => ({ ...prev, write: e.target.checked }))}
+                />
+              }
+              label="Allow changes (write scope)"
+            />
+            {formError && <Alert severity="error">{formError}</Alert>}
+          </Stack>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setCreateOpen(false)} disabled={saving}>Cancel</Button>
+          <Button variant="contained" onClick={handleCreate} disabled={saving || !form.name.trim()}>
+            {saving ? 'Creating…' : 'Create'}
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      {/* One-time display of the new token */}
+      <Dialog open={!!newToken} onClose={() => setNewToken(null)} maxWidth="sm" fullWidth>
+        <DialogTitle>Token created</DialogTitle>
+        <DialogContent dividers>
+          <Alert severity="warning" sx={{ mb: 2 }}>
+            Copy this token now. It is stored hashed and will not be shown again.
+          </Alert>
+          <TextField
+            value={newToken?.token || ''}
+            fullWidth
+            size="small"
+            InputProps={{
+              readOnly: true,
+              sx: { fontFamily: MONO },
+              endAdornment: (
+                <InputAdornment position="end">
+                  <Tooltip title={copied ? 'Copied' : 'Copy'}>
+                    <IconButton onClick={copyToken} edge="end"><ContentCopyIcon fontSize="small" /></IconButton>
+                  </Tooltip>
+                </InputAdornment>
+              ),
+            }}
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button variant="contained" onClick={() => setNewToken(null)}>Done</Button>
+        </DialogActions>
+      </Dialog>
+    </Box>
+  );
+}
+
+export default Profile;
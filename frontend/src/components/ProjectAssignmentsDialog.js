@@ -0,0 +1,272 @@
+import React, { useCallback, useEffect, useMemo, useState } from 'react';
+import axios from 'axios';
+import { fieldErrors } from '../validation';
+import {
+  Dialog, DialogTitle, DialogContent, DialogActions, Button, Stack, Typography, TextField, Autocomplete,
+  Table, TableHead, TableRow, TableCell, TableBody, IconButton, Tooltip, Alert, CircularProgress, Divider
+} from '@mui/material';
+import EditIcon from '@mui/icons-material/Edit';
+import DeleteIcon from '@mui/icons-material/Delete';
+import PersonAddAltIcon from '@mui/icons-material/PersonAddAlt';
+
+const EMPTY_FORM = { employeeId: null, projectRole: '', plannedStartDate: '', plannedEndDate: '', plannedHoursPerWeek: '' };
+
+const hours = (n) => (n == null ? '—' : `${Math.round(Number(n) * 100) / 100} h`);
+
+// Logged minus planned; over plan is shown in the warning colour
+const Variance = ({ planned, logged }) => {
+  if (planned == null) return '—';
+  const diff = Math.round((Number(logged) - Number(planned)) * 100) / 100;
+  return (
+    <Typography variant="body2" color={diff > 0 ? 'warning.main' : diff < 0 ? 'text.secondary' : 'success.main'}>
+      {diff > 0 ? '+' : ''}{diff} h
+    </Typography>
+  );
+};
+
+// Employees assigned to one project with their planned allocation, and planned vs logged hours so far.
+function ProjectAssignmentsDialog({ open, onClose, project }) {
+  const [assignments, setAssignments] = useState([]);
+  const [employees, setEmployees] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  // null: adding; otherwise the assignment being edited
+  const [editing, setEditing] = useState(null);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [formErrors, setFormErrors] = useState({});
+  const [saving, setSaving] = useState(false);
+
+  const authHeaders = useMemo(
+    () => ({ headers: { Authorization: `Bearer ${localStorage.getItem('token')}` } }),
+    []
+  );
+  const baseUrl = project ? `/api/projects/${encodeURIComponent(project.project_id)}/assignments` : '';
+
+  const fetchAssignments = useCallback(async () => {
+    if (!baseUrl) return;
+    setLoading(true);
+    setError('');
+    try {
+      const { data } = await axios.get(baseUrl, { ...authHeaders, skipErrorModal: true });
+      setAssignments(data || []);
+    } catch (err) {
+      setAssignments([]);
+      setError(err.response?.data?.message || 'Failed to load assignments.');
+    } finally {
+      setLoading(false);
+    }
+  }, [baseUrl, authHeaders]);
+
+  useEffect(() => {
+    if (!open) return;
+    setEditing(null);
+    setForm(EMPTY_FORM);
+    setFormErrors({});
+    fetchAssignments();
+    axios.get('/api/employees', { ...authHeaders, skipErrorModal: true })
+      .then(({ data }) => setEmployees(data || []))
+      .catch(() => setEmployees([]));
+  }, [open, fetchAssignments, authHeaders]);
+
+  const setField = (field, value) => {
+    setForm((prev) => ({ ...prev, [field]: value }));
+    setFormErrors((prev) => ({ ...prev, [field]: undefined }));
+  };
+
+  const startEdit = (a) => {
+    setEditing(a);
+    setFormErrors({});
+    setForm({
+      employeeId: a.employee_id,
+      projectRole: a.project_role || '',
+      plannedStartDate: a.planned_start_date || '',
+      plannedEndDate: a.planned_end_date || '',
+      plannedHoursPerWeek: a.planned_hours_per_week ?? '',
+    });
+  };
+
+  const cancelEdit = () => {
+    setEditing(null);
+    setForm(EMPTY_FORM);
+    setFormErrors({});
+  };
+
+  const handleSave = async () => {
+    const body = {
+      projectRole: form.projectRole.trim() || null,
+      plannedStartDate: form.plannedStartDate || null,
+      plannedEndDate: form.plannedEndDate || null,
+      plannedHoursPerWeek: form.plannedHoursPerWeek === '' ? null : Number(form.plannedHoursPerWeek),
+    };
+    setSaving(true);
+    setError('');
+    setFormErrors({});
+    try {
+      if (editing) {
+        await axios.put(`${baseUrl}/${editing.assignment_id}`, body, { ...authHeaders, skipErrorModal: true });
+      } else {
+        await axios.post(baseUrl, { ...body, employeeId: form.employeeId }, { ...authHeaders, skipErrorModal: true });
+      }
+      cancelEdit();
+      fetchAssignments();
+    } catch (err) {
+      setFormErrors(fieldErrors(err) || {});
+      setError(err.response?.data?.message || 'Failed to save the assignment.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRemove = async (a) => {
+    if (!window.confirm(`Remove ${a.employee_name} from ${project.project_name}? Hours already logged are kept.`)) return;
+    setError('');
+    try {
+      await axios.delete(`${baseUrl}/${a.assignment_id}`, { ...authHeaders, skipErrorModal: true });
+      if (editing?.assignment_id === a.assignment_id) cancelEdit();
+      fetchAssignments();
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to remove the assignment.');
+    }
+  };
+
+  const assignedIds = new Set(assignments.map((a) => a.employee_id));
+  const employeeOptions = employees.filter((e) => !assignedIds.has(e.employee_id) || e.employee_id === form.employeeId);
+  const employeeLabel = (e) => `${e.first_name || ''} ${e.last_name || ''}`.trim() || e.email;
+
+  return (
+    <Dialog open={open} onClose={onClose} fullWidth maxWidth="lg">
+      <DialogTitle>
+        <Typography variant="h6" fontWeight={700}>
+          Assignments · {project?.project_name} <Typography component="span" color="text.secondary">({project?.project_id})</Typography>
+        </Typography>
+        <Typography variant="body2" color="text.secondary">
+          Assigned employees see the project in their daily entry during the planned window.
+          Planned hours are prorated per calendar week up to today.
+        </Typography>
+      </DialogTitle>
+      <DialogContent dividers>
+        {error && <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError('')}>{error}</Alert>}
+
+        <Stack direction={{ xs: 'column', md: 'row' }} spacing={1.5} alignItems="flex-start" sx={{ mb: 2 }}>
+          <Autocomplete
+            size="small"
+            sx={{ minWidth: 240 }}
+            options={employeeOptions}
+            getOptionLabel={employeeLabel}
+            value={employees.find((e) => e.employee_id === form.employeeId) || null}
+            onChange={(_, e) => setField('employeeId', e?.employee_id ?? null)}
+            isOptionEqualToValue={(o, v) => o.employee_id === v.employee_id}
+            disabled={!!editing}
+            renderInput={(params) => (
+              <TextField {...params} label="Employee" error={!!formErrors.employeeId} helperText={formErrors.employeeId} />
+            )}
+          />
+          <TextField
+            size="small"
+            label="Role"
+            value={form.projectRole}
+            onChange={(e) => setField('projectRole', e.target.value)}
+            error={!!formErrors.projectRole}
+            helperText={formErrors.projectRole}
+            placeholder="e.g. Developer"
+          />
+          <TextField
+            size="small"
+            type="date"
+            label="Planned start"
+            value={form.plannedStartDate}
+            onChange={(e) => setField('plannedStartDate', e.target.value)}
+            error={!!formErrors.plannedStartDate}
+            helperText={formErrors.plannedStartDate}
+            InputLabelProps={{ shrink: true }}
+          />
+          <TextField
+            size="small"
+            type="date"
+            label="Planned end"
+            value={form.plannedEndDate}
+            onChange={(e) => setField('plannedEndDate', e.target.value)}
+            error={!!formErrors.plannedEndDate}
+            helperText={formErrors.plannedEndDate}
+            InputLabelProps={{ shrink: true }}
+          />
+          <TextField
+            size="small"
+            type="number"
+            label="Hours / week"
+            value={form.plannedHoursPerWeek}
+            onChange={(e) => setField('plannedHoursPerWeek', e.target.value)}
+            error={!!formErrors.plannedHoursPerWeek}
+            helperText={formErrors.plannedHoursPerWeek}
+            inputProps={{ min: 0, max: 168, step: 0.5 }}
+            sx={{ width: 130 }}
+          />
+          <Stack direction="row" spacing={1}>
+            <Button
+              variant="contained"
+              startIcon={editing ? <EditIcon /> : <PersonAddAltIcon />}
+              onClick={handleSave}
+              disabled={saving || (!editing && !form.employeeId)}
+            >
+              {editing ? 'Update' : 'Assign'}
+            </Button>
+            {editing && <Button onClick={cancelEdit} disabled={saving}>Cancel</Button>}
+          </Stack>
+        </Stack>
+
+        <Divider sx={{ mb: 1 }} />
+        <Table size="small">
+          <TableHead>
+            <TableRow>
+              <TableCell>Employee</TableCell>
+              <TableCell>Role</TableCell>
+              <TableCell>Planned start</TableCell>
+              <TableCell>Planned end</TableCell>
+              <TableCell align="right">Hours / week</TableCell>
+              <TableCell align="right">Planned so far</TableCell>
+              <TableCell align="right">Logged</TableCell>
+              <TableCell align="right">Variance</TableCell>
+              <TableCell align="right" />
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {loading ? (
+              <TableRow>
+                <TableCell colSpan={9} align="center"><CircularProgress size={24} /></TableCell>
+              </TableRow>
+            ) : assignments.length === 0 ? (
+              <TableRow>
+                <TableCell colSpan={9} align="center">Nobody is assigned to this project yet.</TableCell>
+              </TableRow>
+            ) : assignments.map((a) => (
+              <TableRow key={a.assignment_id} hover selected={editing?.assignment_id === a.assignment_id}>
+                <TableCell>{a.employee_name}</TableCell>
+                <TableCell>{a.project_role || '—'}</TableCell>
+                <TableCell>{a.planned_start_date || '—'}</TableCell>
+                <TableCell>{a.planned_end_date || 'open'}</TableCell>
+                <TableCell align="right">{hours(a.planned_hours_per_week)}</TableCell>
+                <TableCell align="right">{hours(a.planned_hours)}</TableCell>
+                <TableCell align="right">{hours(a.logged_hours)}</TableCell>
+                <TableCell align="right"><Variance planned={a.planned_hours} logged={a.logged_hours} /></TableCell>
+                <TableCell align="right">
+                  <Tooltip title="Edit">
+                    <IconButton size="small" color="warning" onClick={() => startEdit(a)}><EditIcon fontSize="small" /></IconButton>
+                  </Tooltip>
+                  <Tooltip title="Remove">
+                    <IconButton size="small" color="error" onClick={() => handleRemove(a)}><DeleteIcon fontSize="small" /></IconButton>
+                  </Tooltip>
+                </TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Close</Button>
+      </DialogActions>
+    </Dialog>
+  );
+}
+
+export default ProjectAssignmentsDialog;
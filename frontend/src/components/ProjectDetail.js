@@ -0,0 +1,362 @@
+import React, { useCallback, useEffect, useMemo, useState } from 'react';
+import axios from 'axios';
+import { Link as RouterLink, useParams } from 'react-router-dom';
+import { can } from '../permissions';
+import { fieldErrors } from '../validation';
+import {
+  Box, Paper, Typography, Stack, Button, Alert, CircularProgress, Chip, IconButton, Tooltip, Grid,
+  Table, TableHead, TableRow, TableCell, TableBody, TableContainer, LinearProgress, Autocomplete,
+  Dialog, DialogTitle, DialogContent, DialogActions, TextField, MenuItem
+} from '@mui/material';
+import ArrowBackIcon from '@mui/icons-material/ArrowBack';
+import AddCircleOutlineIcon from '@mui/icons-material/AddCircleOutline';
+import EditIcon from '@mui/icons-material/Edit';
+import DeleteIcon from '@mui/icons-material/Delete';
+import RefreshIcon from '@mui/icons-material/Refresh';
+
+// Same values as backend/utils/projectTasks.js
+const TASK_STATUSES = ['Open', 'In Progress', 'Blocked', 'Done'];
+const STATUS_COLORS = { Open: 'default', 'In Progress': 'info', Blocked: 'error', Done: 'success' };
+
+const EMPTY_FORM = { title: '', ownerId: null, status: 'Open', estimateHours: '', dueDate: '' };
+
+const hours = (n) => (n == null ? '—' : `${Math.round(Number(n) * 100) / 100} h`);
+
+const todayYMD = () => {
+  const d = new Date();
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+};
+
+const SummaryCard = ({ label, value, hint }) => (
+  <Paper variant="outlined" sx={{ p: 2, borderRadius: 2, height: '100%' }}>
+    <Typography variant="caption" color="text.secondary">{label}</Typography>
+    <Typography variant="h6" fontWeight={700}>{value}</Typography>
+    {hint && <Typography variant="caption" color="text.secondary">{hint}</Typography>}
+  </Paper>
+);
+
+// Logged hours against the estimate; over the estimate is shown in the warning colour
+const TaskProgress = ({ task }) => {
+  if (!task.estimate_hours) return <Typography variant="body2">{hours(task.logged_hours)}</Typography>;
+  const pct = (task.logged_hours / task.estimate_hours) * 100;
+  return (
+    <Box sx={{ minWidth: 140 }}>
+      <Typography variant="body2">{hours(task.logged_hours)} of {hours(task.estimate_hours)}</Typography>
+      <LinearProgress variant="determinate" value={Math.min(pct, 100)} color={pct > 100 ? 'warning' : 'primary'} />
+    </Box>
+  );
+};
+
+// One project with its hour totals and its tasks. Project editors manage the tasks here;
+// daily entry splits project hours across them.
+function ProjectDetail({ user }) {
+  const { projectId } = useParams();
+  const canEdit = can(user, 'projects.edit');
+
+  const [detail, setDetail] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+  const [employees, setEmployees] = useState([]);
+
+  // Task dialog: null when closed, {} when adding, the task when editing
+  const [editing, setEditing] = useState(null);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [formErrors, setFormErrors] = useState({});
+  const [saving, setSaving] = useState(false);
+
+  const authHeaders = useMemo(
+    () => ({ headers: { Authorization: `Bearer ${localStorage.getItem('token')}` } }),
+    []
+  );
+  const baseUrl = `/api/projects/${encodeURIComponent(projectId)}`;
+
+  const fetchDetail = useCallback(async () => {
+    setLoading(true);
+    setError('');
+    try {
+      const { data } = await axios.get(`${baseUrl}/detail`, { ...authHeaders, skipErrorModal: true });
+      setDetail(data);
+    } catch (err) {
+      setDetail(null);
+      setError(err.response?.data?.message || 'Failed to load the project.');
+    } finally {
+      setLoading(false);
+    }
+  }, [baseUrl, authHeaders]);
+
+  useEffect(() => {
+    fetchDetail();
+  }, [fetchDetail]);
+
+  useEffect(() => {
+    if (!canEdit) return;
+    axios.get('/api/employees', { ...authHeaders, skipErrorModal: true })
+      .then(({ data }) => setEmployees(data || []))
+      .catch(() => setEmployees([]));
+  }, [canEdit, authHeaders]);
+
+  const setField = (field, value) => {
+    setForm((prev) => ({ ...prev, [field]: value }));
+    setFormErrors((prev) => ({ ...prev, [field]: undefined }));
+  };
+
+  const openTask = (task) => {
+    setEditing(task || {});
+    setFormErrors({});
+    setForm(task
+      ? {
+        title: task.title,
+        ownerId: task.owner_id,
+        status: task.status,
+        estimateHours: task.estimate_hours ?? '',
+        dueDate: task.due_date || '',
+      }
+      : EMPTY_FORM);
+  };
+
+  const handleSave = async () => {
+    const body = {
+      title: form.title.trim(),
+      ownerId: form.ownerId,
+      status: form.status,
+      estimateHours: form.estimateHours === '' ? null : Number(form.estimateHours),
+      dueDate: form.dueDate || null,
+    };
+    setSaving(true);
+    setFormErrors({});
+    try {
+      if (editing.task_id) {
+        await axios.put(`${baseUrl}/tasks/${editing.task_id}`, body, { ...authHeaders, skipErrorModal: true });
+        setSuccess(`Task "${body.title}" updated.`);
+      } else {
+        await axios.post(`${baseUrl}/tasks`, body, { ...authHeaders, skipErrorModal: true });
+        setSuccess(`Task "${body.title}" created.`);
+      }
+      setEditing(null);
+      fetchDetail();
+    } catch (err) {
+      const fields = fieldErrors(err);
+      if (fields) setFormErrors(fields);
+      else {
+        setEditing(null);
+        setError(err.response?.data?.message || 'Failed to save the task.');
+      }
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (task) => {
+    if (!window.confirm(`Delete task "${task.title}"?`)) return;
+    setError('');
+    try {
+      const { data } = await axios.delete(`${baseUrl}/tasks/${task.task_id}`, { ...authHeaders, skipErrorModal: true });
+      setSuccess(data.message || 'Task deleted.');
+      fetchDetail();
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to delete the task.');
+    }
+  };
+
+  const project = detail?.project;
+  const totals = detail?.totals;
+  const tasks = detail?.tasks || [];
+  const estimateTotal = tasks.reduce((sum, t) => sum + (t.estimate_hours || 0), 0);
+  const openCount = tasks.filter((t) => t.status !== 'Done').length;
+  const today = todayYMD();
+  const employeeLabel = (e) => `${e.first_name || ''} ${e.last_name || ''}`.trim() || e.email;
+
+  return (
+    <Box sx={{ p: 3 }}>
+      <Stack direction="row" alignItems="center" justifyContent="space-between" sx={{ mb: 2 }}>
+        <Stack direction="row" alignItems="center" spacing={1}>
+          {canEdit && (
+            <Tooltip title="Back to projects">
+              <IconButton component={RouterLink} to="/manage-projects"><ArrowBackIcon /></IconButton>
+            </Tooltip>
+          )}
+          <Box>
+            <Typography variant="h5" sx={{ fontWeight: 700 }}>{project?.project_name || projectId}</Typography>
+            <Typography variant="body2" color="text.secondary">
+              {projectId}
+              {project?.bu_id ? ` · ${project.bu_id}` : ''}
+              {project?.planned_start_date ? ` · planned ${project.planned_start_date} to ${project.planned_end_date || 'open'}` : ''}
+            </Typography>
+          </Box>
+          {project?.status && <Chip size="small" label={project.status} />}
+        </Stack>
+        <Stack direction="row" spacing={1} alignItems="center">
+          {canEdit && project && (
+            <Button variant="contained" startIcon={<AddCircleOutlineIcon />} onClick={() => openTask(null)}>
+              Add task
+            </Button>
+          )}
+          <Tooltip title="Refresh">
+            <span>
+              <IconButton onClick={fetchDetail} disabled={loading}><RefreshIcon /></IconButton>
+            </span>
+          </Tooltip>
+        </Stack>
+      </Stack>
+
+      {error && <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError('')}>{error}</Alert>}
+      {success && <Alert severity="success" sx={{ mb: 2 }} onClose={() => setSuccess('')}>{success}</Alert>}
+
+      {totals && (
+        <Grid container spacing={2} sx={{ mb: 2 }}>
+          <Grid size={{ xs: 6, md: 3 }}>
+            <SummaryCard
+              label="Logged on the project"
+              value={hours(totals.logged_hours)}
+              hint={`${totals.contributors} contributor(s)${project?.estimated_hours != null ? ` · estimate ${hours(project.estimated_hours)}` : ''}`}
+            />
+          </Grid>
+          <Grid size={{ xs: 6, md: 3 }}>
+            <SummaryCard label="Split across tasks" value={hours(totals.task_hours)} />
+          </Grid>
+          <Grid size={{ xs: 6, md: 3 }}>
+            <SummaryCard label="Not split" value={hours(totals.unallocated_hours)} hint="Logged on the project alone" />
+          </Grid>
+          <Grid size={{ xs: 6, md: 3 }}>
+            <SummaryCard label="Task estimates" value={hours(estimateTotal)} hint={`${openCount} of ${tasks.length} task(s) open`} />
+          </Grid>
+        </Grid>
+      )}
+
+      <Paper elevation={2} sx={{ borderRadius: 3 }}>
+        <TableContainer>
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>Task</TableCell>
+                <TableCell>Owner</TableCell>
+                <TableCell>Status</TableCell>
+                <TableCell>Due</TableCell>
+                <TableCell>Logged / estimate</TableCell>
+                <TableCell align="right">Remaining</TableCell>
+                <TableCell align="right">Contributors</TableCell>
+                {canEdit && <TableCell align="right">Actions</TableCell>}
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {loading && !detail ? (
+                <TableRow>
+                  <TableCell colSpan={8} align="center"><CircularProgress size={24} /></TableCell>
+                </TableRow>
+              ) : tasks.length === 0 ? (
+                <TableRow>
+                  <TableCell colSpan={8} align="center">
+                    {project ? 'No tasks yet; project hours are logged on the project alone.' : ''}
+                  </TableCell>
+                </TableRow>
+              ) : tasks.map((t) => {
+                const overdue = t.due_date && t.due_date < today && t.status !== 'Done';
+                return (
+                  <TableRow key={t.task_id} hover>
+                    <TableCell>{t.title}</TableCell>
+                    <TableCell>{t.owner_name || '—'}</TableCell>
+                    <TableCell><Chip size="small" label={t.status} color={STATUS_COLORS[t.status] || 'default'} /></TableCell>
+                    <TableCell>
+                      <Typography variant="body2" color={overdue ? 'error.main' : 'text.primary'}>
+                        {t.due_date || '—'}
+                      </Typography>
+                    </TableCell>
+                    <TableCell><TaskProgress task={t} /></TableCell>
+                    <TableCell align="right">
+                      <Typography variant="body2" color={t.remaining_hours < 0 ? 'warning.main' : 'text.primary'}>
+                        {hours(t.remaining_hours)}
+                      </Typography>
+                    </TableCell>
+                    <TableCell align="right">{t.contributors}</TableCell>
+                    {canEdit && (
+                      <TableCell align="right">
+                        <Tooltip title="Edit">
+                          <IconButton size="small" color="warning" onClick={() => openTask(t)}><EditIcon fontSize="small" /></IconButton>
+                        </Tooltip>
+                        <Tooltip title={t.logged_hours > 0 ? 'Has logged hours; mark it Done instead' : 'Delete'}>
+                          <span>
+                            <IconButton size="small" color="error" onClick={() => handleDelete(t)} disabled={t.logged_hours > 0}>
+                              <DeleteIcon fontSize="small" />
+                            </IconButton>
+                          </span>
+                        </Tooltip>
+                      </TableCell>
+                    )}
+                  </TableRow>
+                );
+              })}
+            </TableBody>
+          </Table>
+        </TableContainer>
+      </Paper>
+
+      <Dialog open={!!editing} onClose={() => !saving && setEditing(null)} maxWidth="sm" fullWidth>
+        <DialogTitle>{editing?.task_id ? 'Edit task' : 'Add task'}</DialogTitle>
+        <DialogContent>
+          <Stack spacing={2} sx={{ mt: 1 }}>
+            <TextField
+              label="Title"
+              value={form.title}
+              onChange={(e) => setField('title', e.target.value)}
+              error={!!formErrors.title}
+              helperText={formErrors.title}
+              placeholder="e.g. Design review"
+              autoFocus
+              required
+            />
+            <Autocomplete
+              options={employees}
+              getOptionLabel={employeeLabel}
+              value={employees.find((e) => e.employee_id === form.ownerId) || null}
+              onChange={(_, e) => setField('ownerId', e?.employee_id ?? null)}
+              isOptionEqualToValue={(o, v) => o.employee_id === v.employee_id}
+              renderInput={(params) => (
+                <TextField {...params} label="Owner" error={!!formErrors.ownerId} helperText={formErrors.ownerId} />
+              )}
+            />
+            <Stack direction="row" spacing={2}>
+              <TextField
+                select
+                label="Status"
+                value={form.status}
+                onChange={(e) => setField('status', e.target.value)}
+                error={!!formErrors.status}
+                helperText={formErrors.status}
+                sx={{ minWidth: 160 }}
+              >
+                {TASK_STATUSES.map((s) => <MenuItem key={s} value={s}>{s}</MenuItem>)}
+              </TextField>
+              <TextField
+                type="number"
+                label="Estimate (h)"
+                value={form.estimateHours}
+                onChange={(e) => setField('estimateHours', e.target.value)}
+                error={!!formErrors.estimateHours}
+                helperText={formErrors.estimateHours}
+                inputProps={{ min: 0, step: 0.5 }}
+              />
+              <TextField
+                type="date"
+                label="Due date"
+                value={form.dueDate}
+                onChange={(e) => setField('dueDate', e.target.value)}
+                error={!!formErrors.dueDate}
+                helperText={formErrors.dueDate}
+                InputLabelProps={{ shrink: true }}
+              />
+            </Stack>
+          </Stack>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setEditing(null)} disabled={saving}>Cancel</Button>
+          <Button variant="contained" onClick={handleSave} disabled={saving || !form.title.trim()}>
+            {saving ? 'Saving…' : 'Save'}
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Box>
+  );
+}
+
+export default ProjectDetail;
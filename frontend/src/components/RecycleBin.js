@@ -0,0 +1,227 @@
+import React, { useCallback, useEffect, useMemo, useState } from 'react';
+import axios from 'axios';
+import { can } from '../permissions';
+import {
+  Box, Paper, Typography, Stack, Button, Alert, CircularProgress, Chip, IconButton, Tooltip,
+  Table, TableHead, TableRow, TableCell, TableBody, TableContainer,
+  Dialog, DialogTitle, DialogContent, DialogContentText, DialogActions, TextField, MenuItem
+} from '@mui/material';
+import RestoreFromTrashIcon from '@mui/icons-material/RestoreFromTrash';
+import DeleteForeverIcon from '@mui/icons-material/DeleteForever';
+import RefreshIcon from '@mui/icons-material/Refresh';
+
+const TYPE_LABELS = { team: 'Team', employee: 'Employee', project: 'Project' };
+
+const formatTime = (ts) => (ts ? new Date(ts).toLocaleString() : '');
+
+// What a permanent delete takes with it, for the confirmation
+const purgeConsequence = (item) => {
+  if (item.type === 'team') {
+    return item.member_count
+      ? `Its ${item.member_count} archived member(s) are left without a team; their entries are kept.`
+      : 'The team has no members left.';
+  }
+  return item.entry_count
+    ? `${item.entry_count} daily entry row(s) are deleted with it and disappear from every report.`
+    : 'It has no daily entries.';
+};
+
+function RecycleBin({ user }) {
+  const isAdmin = can(user, 'system.admin');
+
+  const [items, setItems] = useState([]);
+  const [typeFilter, setTypeFilter] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+  const [busyKey, setBusyKey] = useState(null);
+
+  // The record being purged, or null
+  const [purging, setPurging] = useState(null);
+
+  const authHeaders = useMemo(
+    () => ({ headers: { Authorization: `Bearer ${localStorage.getItem('token')}` } }),
+    []
+  );
+
+  const fetchItems = useCallback(async () => {
+    setLoading(true);
+    setError('');
+    try {
+      const { data } = await axios.get('/api/recycle-bin', authHeaders);
+      setItems(data || []);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to fetch the recycle bin.');
+    } finally {
+      setLoading(false);
+    }
+  }, [authHeaders]);
+
+  useEffect(() => {
+    if (isAdmin) fetchItems();
+  }, [isAdmin, fetchItems]);
+
+  const itemUrl = (item) => `/api/recycle-bin/${item.type}/${encodeURIComponent(item.id)}`;
+  const itemKey = (item) => `${item.type}:${item.id}`;
+
+  const handleRestore = async (item) => {
+    setBusyKey(itemKey(item));
+    setError('');
+    try {
+      const { data } = await axios.post(`${itemUrl(item)}/restore`, {}, { ...authHeaders, skipErrorModal: true });
+      setSuccess([`${item.name} restored.`, ...(data.warnings || [])].join(' '));
+      fetchItems();
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to restore.');
+    } finally {
+      setBusyKey(null);
+    }
+  };
+
+  const handlePurge = async () => {
+    const item = purging;
+    setBusyKey(itemKey(item));
+    setError('');
+    try {
+      await axios.delete(itemUrl(item), { ...authHeaders, skipErrorModal: true });
+      setSuccess(`${item.name} deleted permanently.`);
+      setPurging(null);
+      fetchItems();
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to delete permanently.');
+      setPurging(null);
+    } finally {
+      setBusyKey(null);
+    }
+  };
+
+  const visible = typeFilter ? items.filter((i) => i.type === typeFilter) : items;
+
+  if (!isAdmin) {
+    return (
+      <Box sx={{ p: 4 }}>
+        <Alert severity="error">Access Denied: you need the system.admin permission.</Alert>
+      </Box>
+    );
+  }
+
+  return (
+    <Box sx={{ p: 3 }}>
+      <Stack direction="row" alignItems="center" justifyContent="space-between" sx={{ mb: 2 }}>
+        <Typography variant="h5" sx={{ fontWeight: 700 }}>Recycle Bin</Typography>
+        <Stack direction="row" spacing={1} alignItems="center">
+          <TextField
+            select
+            label="Type"
+            value={typeFilter}
+            onChange={(e) => setTypeFilter(e.target.value)}
+            size="small"
+            sx={{ minWidth: 160 }}
+          >
+            <MenuItem value=""><em>All</em></MenuItem>
+            {Object.entries(TYPE_LABELS).map(([type, label]) => <MenuItem key={type} value={type}>{label}s</MenuItem>)}
+          </TextField>
+          <Tooltip title="Refresh">
+            <span>
+              <IconButton onClick={fetchItems} disabled={loading}><RefreshIcon /></IconButton>
+            </span>
+          </Tooltip>
+        </Stack>
+      </Stack>
+      <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+        Deleted teams, employees and projects stay here with their daily entries until they are
+        restored or deleted permanently. Archived employees cannot sign in.
+      </Typography>
+
+      {error && <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError('')}>{error}</Alert>}
+      {success && <Alert severity="success" sx={{ mb: 2 }} onClose={() => setSuccess('')}>{success}</Alert>}
+
+      <Paper elevation={2} sx={{ borderRadius: 3 }}>
+        <TableContainer>
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>Type</TableCell>
+                <TableCell>Name</TableCell>
+                <TableCell>Details</TableCell>
+                <TableCell>Deleted</TableCell>
+                <TableCell align="right">Entries</TableCell>
+                <TableCell align="right">Actions</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {loading ? (
+                <TableRow>
+                  <TableCell colSpan={6} align="center"><CircularProgress size={24} /></TableCell>
+                </TableRow>
+              ) : visible.length === 0 ? (
+                <TableRow>
+                  <TableCell colSpan={6} align="center">The recycle bin is empty.</TableCell>
+                </TableRow>
+              ) : visible.map((item) => (
+                <TableRow key={itemKey(item)} hover>
+                  <TableCell><Chip size="small" label={TYPE_LABELS[item.type] || item.type} /></TableCell>
+                  <TableCell>
+                    <Typography variant="body2">{item.name}</Typography>
+                    {item.type === 'project' && (
+                      <Typography variant="caption" color="text.secondary">{item.id}</Typography>
+                    )}
+                  </TableCell>
+                  <TableCell>
+                    {item.type === 'team' ? `${item.member_count} archived member(s)` : item.detail}
+                  </TableCell>
+                  <TableCell>
+                    <Typography variant="body2">{formatTime(item.archived_at)}</Typography>
+                    <Typography variant="caption" color="text.secondary">{item.archived_by_name}</Typography>
+                  </TableCell>
+                  <TableCell align="right">{item.type === 'team' ? '—' : item.entry_count}</TableCell>
+                  <TableCell align="right">
+                    <Stack direction="row" spacing={1} justifyContent="flex-end">
+                      <Button
+                        size="small"
+                        startIcon={<RestoreFromTrashIcon />}
+                        onClick={() => handleRestore(item)}
+                        disabled={busyKey !== null}
+                      >
+                        Restore
+                      </Button>
+                      <Button
+                        size="small"
+                        color="error"
+                        startIcon={<DeleteForeverIcon />}
+                        onClick={() => setPurging(item)}
+                        disabled={busyKey !== null}
+                      >
+                        Delete permanently
+                      </Button>
+                    </Stack>
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </TableContainer>
+      </Paper>
+
+      <Dialog open={!!purging} onClose={() => busyKey === null && setPurging(null)} maxWidth="xs" fullWidth>
+        <DialogTitle>Delete permanently?</DialogTitle>
+        <DialogContent>
+          {purging && (
+            <DialogContentText>
+              {TYPE_LABELS[purging.type]} <strong>{purging.name}</strong> is deleted for good and cannot be
+              restored. {purgeConsequence(purging)}
+            </DialogContentText>
+          )}
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setPurging(null)} disabled={busyKey !== null}>Cancel</Button>
+          <Button color="error" variant="contained" onClick={handlePurge} disabled={busyKey !== null}>
+            {busyKey !== null ? 'Deleting…' : 'Delete permanently'}
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Box>
+  );
+}
+
+export default RecycleBin;
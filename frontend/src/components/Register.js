@@ -1,5 +1,6 @@
 import React, { useState, useEffect } from 'react';
 import axios from 'axios';
+import { can } from '../permissions';
 import {
   Box, Button, TextField, Typography, Paper, MenuItem,
   InputAdornment, IconButton, Alert, LinearProgress,
@@ -17,6 +18,7 @@ function Register({ user }) {
   const [teamId, setTeamId]       = useState('');
   const [role, setRole]           = useState('employee');
   const [teams, setTeams]         = useState([]);
+  const [roles, setRoles]         = useState([]);
   const [error, setError]         = useState('');
   const [successMessage, setSuccessMessage] = useState('');
   const navigate = useNavigate();
@@ -39,7 +41,17 @@ function Register({ user }) {
         setError('Could not fetch teams. Register an Admin first or create teams later.');
       }
     };
+    const fetchRoles = async () => {
+      try {
+        const token = localStorage.getItem('token');
+        const response = await axios.get('/api/roles', { headers: { Authorization: `Bearer ${token}` } });
+        setRoles(response.data);
+      } catch (err) {
+        console.error('Error fetching roles:', err);
+      }
+    };
     fetchTeams();
+    fetchRoles();
   }, []);
 
   const handleSubmit = async (e) => {
@@ -107,7 +119,7 @@ function Register({ user }) {
     }
   };
 
-  const isAdmin = String(user?.role || '').toLowerCase() === 'admin';
+  const canManage = can(user, 'employees.manage');
 
   return (
     <Box sx={{ maxWidth: 500, mx: 'auto', mt: 6 }}>
@@ -207,9 +219,9 @@ function Register({ user }) {
                   value={role}
                   onChange={(e) => setRole(e.target.value)}
                 >
-                  <MenuItem value="employee">Employee</MenuItem>
-                  <MenuItem value="team_lead">Team Lead</MenuItem>
-                  <MenuItem value="admin">Admin</MenuItem>
+                  {roles.map((r) => (
+                    <MenuItem key={r.role_key} value={r.role_key}>{r.role_name}</MenuItem>
+                  ))}
                 </Select>
               </FormControl>
 
@@ -223,8 +235,8 @@ function Register({ user }) {
           </Paper>
         </Grid>
 
-        {/* Right: Compact import block (Admin only) */}
-        {isAdmin && (
+        {/* Right: Compact import block (employees.manage) */}
+        {canManage && (
           <Grid item xs={12} md={4}>
             <Paper sx={{ p: 2, borderRadius: 2 }}>
               {/* Accessible file chooser */}
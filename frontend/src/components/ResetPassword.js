@@ -0,0 +1,188 @@
+import React, { useEffect, useState } from 'react';
+import axios from 'axios';
+import { Link as RouterLink, useSearchParams } from 'react-router-dom';
+import '../index.css';
+
+// MUI
+import {
+  Box,
+  Card,
+  CardHeader,
+  CardContent,
+  Divider,
+  TextField,
+  Button,
+  Typography,
+  InputAdornment,
+  Avatar,
+  CircularProgress,
+  Alert,
+  Link,
+} from '@mui/material';
+
+// Icons
+import LockIcon from '@mui/icons-material/Lock';
+import LockResetIcon from '@mui/icons-material/LockReset';
+
+function ResetPassword() {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token') || '';
+
+  const [newPassword, setNewPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [policy, setPolicy] = useState(null);
+  const [error, setError] = useState('');
+  const [errorList, setErrorList] = useState([]);
+  const [message, setMessage] = useState('');
+  const [isLoading, setIsLoading] = useState(false);
+
+  useEffect(() => {
+    axios.get('/api/auth/password-policy')
+      .then((res) => setPolicy(res.data || null))
+      .catch(() => setPolicy(null));
+  }, []);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setErrorList([]);
+    if (!token) {
+      setError('This reset link is missing its token. Request a new one.');
+      return;
+    }
+    if (!newPassword || newPassword !== confirmPassword) {
+      setError('Passwords do not match.');
+      return;
+    }
+    setIsLoading(true);
+    try {
+      const { data } = await axios.post(
+        '/api/auth/reset-password',
+        { token, newPassword },
+        { skipErrorModal: true }
+      );
+      setMessage(data?.message || 'Password has been reset. You can now log in.');
+      setNewPassword('');
+      setConfirmPassword('');
+    } catch (err) {
+      console.error('Reset password error:', err);
+      setError(err?.response?.data?.message || 'Failed to reset password.');
+      setErrorList((err?.response?.data?.errors || []).map((x) => x.message));
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const passwordAdornment = {
+    startAdornment: (
+      <InputAdornment position="start">
+        <LockIcon />
+      </InputAdornment>
+    ),
+  };
+
+  return (
+    <Box
+      sx={{
+        minHeight: '100vh',
+        display: 'grid',
+        placeItems: 'center',
+        px: 2,
+        background:
+          'linear-gradient(135deg, rgba(25,118,210,0.12) 0%, rgba(156,39,176,0.10) 50%, rgba(0,0,0,0.06) 100%)',
+      }}
+    >
+      <Card elevation={8} sx={{ width: '100%', maxWidth: 440, borderRadius: 4 }}>
+        <CardHeader
+          avatar={
+            <Avatar sx={{ bgcolor: 'primary.main' }}>
+              <LockResetIcon />
+            </Avatar>
+          }
+          title={
+            <Typography variant="h5" fontWeight={700}>
+              Choose a new password
+            </Typography>
+          }
+          subheader={<Typography variant="body2">{policy?.description || 'Minimum 8 characters'}</Typography>}
+          sx={{ pb: 0 }}
+        />
+        <CardContent sx={{ pt: 2 }}>
+          <Divider sx={{ mb: 3 }} />
+          {message ? (
+            <Box sx={{ display: 'flex', flexDirection: 'column', gap: 2 }}>
+              <Alert severity="success" variant="outlined">{message}</Alert>
+              <Button component={RouterLink} to="/login" variant="contained" size="large">
+                Go to login
+              </Button>
+            </Box>
+          ) : (
+            <Box
+              component="form"
+              onSubmit={handleSubmit}
+              noValidate
+              sx={{ display: 'flex', flexDirection: 'column', gap: 2 }}
+            >
+              <TextField
+                label="New password"
+                type="password"
+                value={newPassword}
+                onChange={(e) => setNewPassword(e.target.value)}
+                required
+                disabled={isLoading}
+                autoComplete="new-password"
+                fullWidth
+                InputProps={passwordAdornment}
+              />
+              <TextField
+                label="Confirm new password"
+                type="password"
+                value={confirmPassword}
+                onChange={(e) => setConfirmPassword(e.target.value)}
+                required
+                disabled={isLoading}
+                autoComplete="new-password"
+                fullWidth
+                InputProps={passwordAdornment}
+              />
+
+              {error && (
+                <Alert severity="error" variant="outlined">
+                  {error}
+                  {errorList.length > 0 && (
+                    <Box component="ul" sx={{ m: 0, mt: 0.5, pl: 2 }}>
+                      {errorList.map((msg) => <li key={msg}>{msg}</li>)}
+                    </Box>
+                  )}
+                </Alert>
+              )}
+
+              <Button
+                type="submit"
+                variant="contained"
+                size="large"
+                disabled={isLoading}
+                sx={{ py: 1.2, borderRadius: 2, textTransform: 'none', fontWeight: 700 }}
+              >
+                {isLoading ? (
+                  <>
+                    <CircularProgress size={22} sx={{ mr: 1 }} />
+                    Saving…
+                  </>
+                ) : (
+                  'Reset password'
+                )}
+              </Button>
+
+              <Link component={RouterLink} to="/forgot-password" variant="body2" sx={{ alignSelf: 'center' }}>
+                Request a new link
+              </Link>
+            </Box>
+          )}
+        </CardContent>
+      </Card>
+    </Box>
+  );
+}
+
+export default ResetPassword;
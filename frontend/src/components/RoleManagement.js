@@ -0,0 +1,284 @@
+import React, { useCallback, useEffect, useMemo, useState } from 'react';
+import axios from 'axios';
+import { can, ADMIN_ROLE } from '../permissions';
+import {
+  Box, Paper, Typography, Stack, Button, Alert, CircularProgress, Chip, IconButton, Tooltip,
+  Table, TableHead, TableRow, TableCell, TableBody, TableContainer,
+  Dialog, DialogTitle, DialogContent, DialogActions, TextField,
+  FormGroup, FormControlLabel, Checkbox
+} from '@mui/material';
+import AddIcon from '@mui/icons-material/Add';
+import EditOutlinedIcon from '@mui/icons-material/EditOutlined';
+import DeleteOutlineIcon from '@mui/icons-material/DeleteOutline';
+import RefreshIcon from '@mui/icons-material/Refresh';
+
+const EMPTY_FORM = { roleKey: '', roleName: '', description: '', permissions: [] };
+
+function RoleManagement({ user }) {
+  const canManage = can(user, 'roles.manage');
+
+  const [roles, setRoles] = useState([]);
+  const [catalogue, setCatalogue] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  // editing: null (closed), 'new', or the role_key being edited
+  const [editing, setEditing] = useState(null);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [formError, setFormError] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const authHeaders = useMemo(
+    () => ({ headers: { Authorization: `Bearer ${localStorage.getItem('token')}` } }),
+    []
+  );
+
+  const fetchRoles = useCallback(async () => {
+    setLoading(true);
+    setError('');
+    try {
+      const [rolesRes, permsRes] = await Promise.all([
+        axios.get('/api/roles', authHeaders),
+        axios.get('/api/permissions', authHeaders),
+      ]);
+      setRoles(rolesRes.data || []);
+      setCatalogue(permsRes.data || []);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to fetch roles.');
+    } finally {
+      setLoading(false);
+    }
+  }, [authHeaders]);
+
+  useEffect(() => {
+    if (canManage) fetchRoles();
+  }, [canManage, fetchRoles]);
+
+  const openCreate = () => {
+    setForm(EMPTY_FORM);
+    setFormError('');
+    setEditing('new');
+  };
+
+  const openEdit = (role) => {
+    setForm({
+      roleKey: role.role_key,
+      roleName: role.role_name,
+      description: role.description || '',
+      permissions: role.permissions || [],
+    });
+    setFormError('');
+    setEditing(role.role_key);
+  };
+
+  const togglePermission = (key) => {
+    setForm((prev) => ({
+      ...prev,
+      permissions: prev.permissions.includes(key)
+        ? prev.permissions.filter((p) => p !== key)
+        : [...prev.permissions, key],
+    }));
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    setFormError('');
+    try {
+      if (editing === 'new') {
+        await axios.post('/api/roles', form, { ...authHeaders, skipErrorModal: true });
+        setSuccess(`Role "${form.roleName}" created.`);
+      } else {
+        const { roleName, description, permissions } = form;
+        const body = editing === ADMIN_ROLE ? { roleName, description } : { roleName, description, permissions };
+        await axios.put(`/api/roles/${encodeURIComponent(editing)}`, body, { ...authHeaders, skipErrorModal: true });
+        setSuccess(`Role "${form.roleName}" updated.`);
+      }
+      setEditing(null);
+      fetchRoles();
+    } catch (err) {
+      setFormError(err.response?.data?.message || 'Failed to save role.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (role) => {
+    if (!window.confirm(`Delete role "${role.role_name}"?`)) return;
+    setError('');
+    try {
+      await axios.delete(`/api/roles/${encodeURIComponent(role.role_key)}`, { ...authHeaders, skipErrorModal: true });
+      setSuccess(`Role "${role.role_name}" deleted.`);
+      fetchRoles();
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to delete role.');
+    }
+  };
+
+  if (!canManage) {
+    return (
+      <Box sx={{ p: 4 }}>
+        <Alert severity="error">Access Denied: you need the roles.manage permission.</Alert>
+      </Box>
+    );
+  }
+
+  const isAdminRole = editing === ADMIN_ROLE;
+
+  return (
+    <Box sx={{ p: 3 }}>
+      <Stack direction="row" alignItems="center" justifyContent="space-between" sx={{ mb: 2 }}>
+        <Typography variant="h5" sx={{ fontWeight: 700 }}>Roles &amp; Permissions</Typography>
+        <Stack direction="row" spacing={1}>
+          <Tooltip title="Refresh">
+            <span>
+              <IconButton onClick={fetchRoles} disabled={loading}><RefreshIcon /></IconButton>
+            </span>
+          </Tooltip>
+          <Button variant="contained" startIcon={<AddIcon />} onClick={openCreate}>
+            New role
+          </Button>
+        </Stack>
+      </Stack>
+
+      {error && <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError('')}>{error}</Alert>}
+      {success && <Alert severity="success" sx={{ mb: 2 }} onClose={() => setSuccess('')}>{success}</Alert>}
+
+      <Paper elevation={2} sx={{ borderRadius: 3 }}>
+        <TableContainer>
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>Role</TableCell>
+                <TableCell>Key</TableCell>
+                <TableCell>Permissions</TableCell>
+                <TableCell align="right">Employees</TableCell>
+                <TableCell align="right">Actions</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {loading ? (
+                <TableRow>
+                  <TableCell colSpan={5} align="center"><CircularProgress size={24} /></TableCell>
+                </TableRow>
+              ) : roles.map((role) => (
+                <TableRow key={role.role_key} hover>
+                  <TableCell>
+                    <Typography variant="body2" sx={{ fontWeight: 600 }}>
+                      {role.role_name}
+                      {role.is_system && <Chip size="small" label="built-in" sx={{ ml: 1 }} />}
+                    </Typography>
+                    {role.description && (
+                      <Typography variant="caption" color="text.secondary">{role.description}</Typography>
+                    )}
+                  </TableCell>
+                  <TableCell sx={{ fontFamily: 'monospace' }}>{role.role_key}</TableCell>
+                  <TableCell>
+                    {role.role_key === ADMIN_ROLE ? (
+                      <Chip size="small" color="primary" label="All permissions" />
+                    ) : role.permissions.length ? (
+                      <Stack direction="row" spacing={0.5} useFlexGap flexWrap="wrap">
+                        {role.permissions.map((p) => <Chip key={p} size="small" variant="outlined" label={p} />)}
+                      </Stack>
+                    ) : (
+                      <Typography variant="caption" color="text.secondary">Own entries only</Typography>
+                    )}
+                  </TableCell>
+                  <TableCell align="right">{role.employee_count}</TableCell>
+                  <TableCell align="right" sx={{ whiteSpace: 'nowrap' }}>
+                    <Tooltip title="Edit">
+                      <IconButton size="small" onClick={() => openEdit(role)}><EditOutlinedIcon fontSize="small" /></IconButton>
+                    </Tooltip>
+                    <Tooltip
+                      title={
+                        role.is_system ? 'Built-in roles cannot be deleted'
+                          : role.employee_count > 0 ? 'Reassign its employees first'
+                          : 'Delete'
+                      }
+                    >
+                      <span>
+                        <IconButton
+                          size="small"
+                          color="error"
+                          disabled={role.is_system || role.employee_count > 0}
+                          onClick={() => handleDelete(role)}
+                        >
+                          <DeleteOutlineIcon fontSize="small" />
+                        </IconButton>
+                      </span>
+                    </Tooltip>
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </TableContainer>
+      </Paper>
+
+      <Dialog open={editing !== null} onClose={() => !saving && setEditing(null)} maxWidth="sm" fullWidth>
+        <DialogTitle>{editing === 'new' ? 'New role' : `Edit role "${editing}"`}</DialogTitle>
+        <DialogContent dividers>
+          <Stack spacing={2}>
+            {editing === 'new' && (
+              <TextField
+                label="Key"
+                value={form.roleKey}
+                onChange={(e) => setForm((prev) => ({ ...prev, roleKey: e.target.value.toLowerCase() }))}
+                helperText="Lowercase letters, digits and _, e.g. pmo or viewer"
+                size="small"
+                required
+              />
+            )}
+            <TextField
+              label="Name"
+              value={form.roleName}
+              onChange={(e) => setForm((prev) => ({ ...prev, roleName: e.target.value }))}
+              size="small"
+              required
+            />
+            <TextField
+              label="Description"
+              value={form.description}
+              onChange={(e) => setForm((prev) => ({ ...prev, description: e.target.value }))}
+              size="small"
+            />
+            <Typography variant="subtitle2">Permissions</Typography>
+            {isAdminRole ? (
+              <Alert severity="info">The admin role always has every permission.</Alert>
+            ) : (
+              <FormGroup>
+                {catalogue.map((p) => (
+                  <FormControlLabel
+                    key={p.permission_key}
+                    control={
+                      <Checkbox
+                        size="small"
+                        checked={form.permissions.includes(p.permission_key)}
+                        onChange={() => togglePermission(p.permission_key)}
+                      />
+                    }
+                    label={
+                      <Box>
+                        <Typography variant="body2" sx={{ fontFamily: 'monospace' }}>{p.permission_key}</Typography>
+                        <Typography variant="caption" color="text.secondary">{p.description}</Typography>
+                      </Box>
+                    }
+                  />
+                ))}
+              </FormGroup>
+            )}
+            {formError && <Alert severity="error">{formError}</Alert>}
+          </Stack>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setEditing(null)} disabled={saving}>Cancel</Button>
+          <Button variant="contained" onClick={handleSave} disabled={saving}>
+            {saving ? 'Saving…' : 'Save'}
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Box>
+  );
+}
+
+export default RoleManagement;
@@ -0,0 +1,118 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import axios from 'axios';
+import {
+  Dialog, DialogTitle, DialogContent, DialogActions, Button, Table, TableHead,
+  TableRow, TableCell, TableBody, Chip, IconButton, Tooltip, Alert, Stack,
+  CircularProgress, Typography
+} from '@mui/material';
+import LogoutIcon from '@mui/icons-material/Logout';
+
+const fmtDateTime = (v) => (v ? new Date(v).toLocaleString() : '—');
+
+// Lists the signed-in user's active sessions and lets them revoke one or all
+function SessionsDialog({ open, onClose, onSignedOut }) {
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const loadSessions = useCallback(async () => {
+    setLoading(true);
+    setError('');
+    try {
+      const { data } = await axios.get('/api/auth/sessions', { skipErrorModal: true });
+      setSessions(Array.isArray(data) ? data : []);
+    } catch (err) {
+      setError(err?.response?.data?.message || 'Failed to load sessions.');
+      setSessions([]);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (open) loadSessions();
+  }, [open, loadSessions]);
+
+  const revokeOne = async (session) => {
+    try {
+      await axios.delete(`/api/auth/sessions/${session.session_id}`, { skipErrorModal: true });
+      if (session.current) {
+        onClose();
+        onSignedOut?.();
+        return;
+      }
+      loadSessions();
+    } catch (err) {
+      setError(err?.response?.data?.message || 'Failed to revoke session.');
+    }
+  };
+
+  const revokeAll = async () => {
+    if (!window.confirm('Log out of every device, including this one?')) return;
+    try {
+      await axios.delete('/api/auth/sessions', { skipErrorModal: true });
+      onClose();
+      onSignedOut?.();
+    } catch (err) {
+      setError(err?.response?.data?.message || 'Failed to log out everywhere.');
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="md" fullWidth>
+      <DialogTitle>Active sessions</DialogTitle>
+      <DialogContent dividers>
+        {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+        {loading ? (
+          <Stack alignItems="center" sx={{ py: 4 }}><CircularProgress size={24} /></Stack>
+        ) : sessions.length === 0 ? (
+          <Typography variant="body2">No active sessions.</Typography>
+        ) : (
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>Device</TableCell>
+                <TableCell>IP address</TableCell>
+                <TableCell>Signed in</TableCell>
+                <TableCell>Last used</TableCell>
+                <TableCell align="right" />
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {sessions.map((s) => (
+                <TableRow key={s.session_id} hover>
+                  <TableCell>
+                    <Stack direction="row" spacing={1} alignItems="center">
+                      <Tooltip title={s.user_agent || ''}>
+                        <span>{s.device}</span>
+                      </Tooltip>
+                      {s.current && <Chip size="small" color="primary" label="This device" />}
+                    </Stack>
+                  </TableCell>
+                  <TableCell>{s.ip_address || '—'}</TableCell>
+                  <TableCell>{fmtDateTime(s.created_at)}</TableCell>
+                  <TableCell>{fmtDateTime(s.last_used_at)}</TableCell>
+                  <TableCell align="right">
+                    <Tooltip title="Revoke session">
+                      <IconButton size="small" color="error" onClick={() => revokeOne(s)}>
+                        <LogoutIcon fontSize="small" />
+                      </IconButton>
+                    </Tooltip>
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button color="error" onClick={revokeAll} disabled={loading}>
+          Log out everywhere
+        </Button>
+        <Button onClick={onClose}>Close</Button>
+      </DialogActions>
+    </Dialog>
+  );
+}
+
+export default SessionsDialog;
@@ -0,0 +1,268 @@
+import React, { useEffect, useState } from 'react';
+import axios from 'axios';
+import { useNavigate } from 'react-router-dom';
+import '../index.css';
+
+// MUI
+import {
+  Box,
+  Card,
+  CardHeader,
+  CardContent,
+  Divider,
+  TextField,
+  Button,
+  Typography,
+  InputAdornment,
+  Avatar,
+  CircularProgress,
+  Alert,
+  Stack,
+} from '@mui/material';
+
+// Icons
+import PersonIcon from '@mui/icons-material/Person';
+import EmailIcon from '@mui/icons-material/Email';
+import LockIcon from '@mui/icons-material/Lock';
+import KeyIcon from '@mui/icons-material/Key';
+import AdminPanelSettingsIcon from '@mui/icons-material/AdminPanelSettings';
+
+// One-time screen shown while the database has no accounts yet
+function Setup({ onLogin }) {
+  const navigate = useNavigate();
+  const [status, setStatus] = useState(null);
+  const [policy, setPolicy] = useState(null);
+  const [form, setForm] = useState({
+    firstName: '', lastName: '', email: '', password: '', confirmPassword: '', setupToken: '',
+  });
+  const [error, setError] = useState('');
+  const [errorList, setErrorList] = useState([]);
+  const [isLoading, setIsLoading] = useState(false);
+
+  useEffect(() => {
+    axios.get('/api/setup/status', { skipErrorModal: true })
+      .then(({ data }) => {
+        if (!data?.setupRequired) {
+          navigate('/login', { replace: true });
+          return;
+        }
+        setStatus(data);
+      })
+      .catch(() => setError('Could not reach the server.'));
+    axios.get('/api/auth/password-policy', { skipErrorModal: true })
+      .then(({ data }) => setPolicy(data || null))
+      .catch(() => setPolicy(null));
+  }, [navigate]);
+
+  const handleChange = (field) => (e) => setForm({ ...form, [field]: e.target.value });
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setErrorList([]);
+    if (form.password !== form.confirmPassword) {
+      setError('Passwords do not match.');
+      return;
+    }
+    setIsLoading(true);
+    try {
+      const { confirmPassword, ...payload } = form;
+      const { data } = await axios.post('/api/setup', payload, { skipErrorModal: true });
+      onLogin(data.token, null, data.refreshToken);
+    } catch (err) {
+      if (err?.response?.status === 409) {
+        navigate('/login', { replace: true });
+        return;
+      }
+      setError(err?.response?.data?.message || 'Setup failed. Please try again.');
+      setErrorList((err?.response?.data?.errors || []).map((x) => x.message));
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  return (
+    <Box
+      sx={{
+        minHeight: '100vh',
+        display: 'grid',
+        placeItems: 'center',
+        px: 2,
+        background:
+          'linear-gradient(135deg, rgba(25,118,210,0.12) 0%, rgba(156,39,176,0.10) 50%, rgba(0,0,0,0.06) 100%)',
+      }}
+    >
+      <Card
+        elevation={8}
+        sx={{
+          width: '100%',
+          maxWidth: 480,
+          borderRadius: 4,
+          backdropFilter: 'blur(6px)',
+        }}
+      >
+        <CardHeader
+          avatar={
+            <Avatar sx={{ bgcolor: 'primary.main' }}>
+              <AdminPanelSettingsIcon />
+            </Avatar>
+          }
+          title={
+            <Typography variant="h5" fontWeight={700}>
+              First-time setup
+            </Typography>
+          }
+          subheader={<Typography variant="body2">Create the administrator account</Typography>}
+          sx={{ pb: 0 }}
+        />
+        <CardContent sx={{ pt: 2 }}>
+          <Divider sx={{ mb: 3 }} />
+          {!status ? (
+            error ? (
+              <Alert severity="error" variant="outlined">{error}</Alert>
+            ) : (
+              <Stack alignItems="center" sx={{ py: 3 }}><CircularProgress /></Stack>
+            )
+          ) : (
+            <Box
+              component="form"
+              onSubmit={handleSubmit}
+              noValidate
+              sx={{ display: 'flex', flexDirection: 'column', gap: 2 }}
+            >
+              <Stack direction="row" spacing={2}>
+                <TextField
+                  label="First name"
+                  value={form.firstName}
+                  onChange={handleChange('firstName')}
+                  required
+                  disabled={isLoading}
+                  fullWidth
+                  InputProps={{
+                    startAdornment: (
+                      <InputAdornment position="start">
+                        <PersonIcon />
+                      </InputAdornment>
+                    ),
+                  }}
+                />
+                <TextField
+                  label="Last name"
+                  value={form.lastName}
+                  onChange={handleChange('lastName')}
+                  disabled={isLoading}
+                  fullWidth
+                />
+              </Stack>
+
+              <TextField
+                label="Email"
+                type="email"
+                value={form.email}
+                onChange={handleChange('email')}
+                placeholder="you@example.com"
+                required
+                disabled={isLoading}
+                autoComplete="email"
+                fullWidth
+                InputProps={{
+                  startAdornment: (
+                    <InputAdornment position="start">
+                      <EmailIcon />
+                    </InputAdornment>
+                  ),
+                }}
+              />
+
+              <TextField
+                label="Password"
+                type="password"
+                value={form.password}
+                onChange={handleChange('password')}
+                helperText={policy?.description}
+                required
+                disabled={isLoading}
+                autoComplete="new-password"
+                fullWidth
+                InputProps={{
+                  startAdornment: (
+                    <InputAdornment position="start">
+                      <LockIcon />
+                    </InputAdornment>
+                  ),
+                }}
+              />
+
+              <TextField
+                label="Confirm password"
+                type="password"
+                value={form.confirmPassword}
+                onChange={handleChange('confirmPassword')}
+                required
+                disabled={isLoading}
+                autoComplete="new-password"
+                fullWidth
+                InputProps={{
+                  startAdornment: (
+                    <InputAdornment position="start">
+                      <LockIcon />
+                    </InputAdornment>
+                  ),
+                }}
+              />
+
+              {status.tokenRequired && (
+                <TextField
+                  label="Setup token"
+                  value={form.setupToken}
+                  onChange={handleChange('setupToken')}
+                  helperText="The SETUP_TOKEN configured on the server"
+                  required
+                  disabled={isLoading}
+                  fullWidth
+                  InputProps={{
+                    startAdornment: (
+                      <InputAdornment position="start">
+                        <KeyIcon />
+                      </InputAdornment>
+                    ),
+                  }}
+                />
+              )}
+
+              {error && (
+                <Alert severity="error" variant="outlined">
+                  {error}
+                  {errorList.length > 0 && (
+                    <Box component="ul" sx={{ m: 0, mt: 0.5, pl: 2 }}>
+                      {errorList.map((msg) => <li key={msg}>{msg}</li>)}
+                    </Box>
+                  )}
+                </Alert>
+              )}
+
+              <Button
+                type="submit"
+                variant="contained"
+                size="large"
+                disabled={isLoading}
+                sx={{ py: 1.2, borderRadius: 2, textTransform: 'none', fontWeight: 700 }}
+              >
+                {isLoading ? (
+                  <>
+                    <CircularProgress size={22} sx={{ mr: 1 }} />
+                    Creating account…
+                  </>
+                ) : (
+                  'Create administrator'
+                )}
+              </Button>
+            </Box>
+          )}
+        </CardContent>
+      </Card>
+    </Box>
+  );
+}
+
+export default Setup;
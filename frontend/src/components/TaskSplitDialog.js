@@ -0,0 +1,141 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import axios from 'axios';
+import {
+  Dialog, DialogTitle, DialogContent, DialogActions, Button, Stack, Typography, TextField, MenuItem,
+  IconButton, Alert, CircularProgress
+} from '@mui/material';
+import AddCircleOutlineIcon from '@mui/icons-material/AddCircleOutline';
+import DeleteOutlineIcon from '@mui/icons-material/DeleteOutline';
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+// Splits the hours of one project row of the daily entry across the project's tasks.
+// split: [{ taskId, hours }]. Applying only changes the row; it is saved with the projects.
+// Hours left over stay on the project alone.
+function TaskSplitDialog({ open, onClose, onApply, projectId, projectName, hours, split, readOnly }) {
+  const [tasks, setTasks] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [lines, setLines] = useState([]);
+
+  const authHeaders = useMemo(
+    () => ({ headers: { Authorization: `Bearer ${localStorage.getItem('token')}` } }),
+    []
+  );
+
+  useEffect(() => {
+    if (!open || !projectId) return;
+    setLines((split || []).map((t) => ({ taskId: t.taskId, hours: String(t.hours) })));
+    setError('');
+    setLoading(true);
+    axios.get(`/api/projects/${encodeURIComponent(projectId)}/tasks`, { ...authHeaders, skipErrorModal: true })
+      .then(({ data }) => setTasks(data || []))
+      .catch((err) => {
+        setTasks([]);
+        setError(err.response?.data?.message || 'Failed to load the tasks.');
+      })
+      .finally(() => setLoading(false));
+    // split is read when the dialog opens only
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [open, projectId, authHeaders]);
+
+  const rowHours = Number(hours) || 0;
+  const splitTotal = round2(lines.reduce((sum, l) => sum + (Number(l.hours) || 0), 0));
+  const overBy = round2(splitTotal - rowHours);
+  const usedIds = new Set(lines.map((l) => l.taskId));
+  // Done tasks stay selectable where they are already used
+  const optionsFor = (line) => tasks.filter((t) => (t.status !== 'Done' || t.task_id === line.taskId)
+    && (!usedIds.has(t.task_id) || t.task_id === line.taskId));
+  const incomplete = lines.some((l) => !l.taskId || !(Number(l.hours) > 0));
+
+  const setLine = (idx, field, value) => setLines((prev) => prev.map((l, i) => (i === idx ? { ...l, [field]: value } : l)));
+
+  const handleApply = () => {
+    onApply(lines.map((l) => ({ taskId: l.taskId, hours: Number(l.hours) })));
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="sm" fullWidth>
+      <DialogTitle>
+        <Typography variant="h6" fontWeight={700}>Task split · {projectName || projectId}</Typography>
+        <Typography variant="body2" color="text.secondary">
+          {rowHours} h on the project this day. Hours not split stay on the project alone.
+        </Typography>
+      </DialogTitle>
+      <DialogContent dividers>
+        {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+        {loading ? (
+          <Stack alignItems="center" sx={{ py: 2 }}><CircularProgress size={24} /></Stack>
+        ) : !tasks.length ? (
+          <Alert severity="info">This project has no tasks yet.</Alert>
+        ) : (
+          <Stack spacing={1.5}>
+            {lines.map((line, idx) => (
+              <Stack key={idx} direction="row" spacing={1} alignItems="center">
+                <TextField
+                  select
+                  size="small"
+                  label="Task"
+                  value={line.taskId || ''}
+                  onChange={(e) => setLine(idx, 'taskId', e.target.value)}
+                  disabled={readOnly}
+                  sx={{ flex: 1 }}
+                >
+                  {optionsFor(line).map((t) => (
+                    <MenuItem key={t.task_id} value={t.task_id}>
+                      {t.title}{t.status !== 'Open' ? ` (${t.status})` : ''}
+                    </MenuItem>
+                  ))}
+                </TextField>
+                <TextField
+                  size="small"
+                  type="number"
+                  label="Hours"
+                  value={line.hours}
+                  onChange={(e) => setLine(idx, 'hours', e.target.value)}
+                  disabled={readOnly}
+                  inputProps={{ min: 0, step: '0.1' }}
+                  sx={{ width: 110 }}
+                />
+                <IconButton
+                  size="small"
+                  color="error"
+                  onClick={() => setLines((prev) => prev.filter((_, i) => i !== idx))}
+                  disabled={readOnly}
+                >
+                  <DeleteOutlineIcon fontSize="small" />
+                </IconButton>
+              </Stack>
+            ))}
+            {!readOnly && (
+              <Button
+                size="small"
+                startIcon={<AddCircleOutlineIcon />}
+                onClick={() => setLines((prev) => [...prev, { taskId: '', hours: '' }])}
+                disabled={lines.length >= tasks.filter((t) => t.status !== 'Done' || usedIds.has(t.task_id)).length}
+                sx={{ alignSelf: 'flex-start' }}
+              >
+                Add task
+              </Button>
+            )}
+            <Typography variant="body2" color={overBy > 0 ? 'error.main' : 'text.secondary'}>
+              {overBy > 0
+                ? `The split is ${overBy} h more than the project hours.`
+                : `${splitTotal} h on tasks, ${round2(rowHours - splitTotal)} h on the project alone.`}
+            </Typography>
+          </Stack>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>{readOnly ? 'Close' : 'Cancel'}</Button>
+        {!readOnly && (
+          <Button variant="contained" onClick={handleApply} disabled={loading || overBy > 0 || incomplete}>
+            Apply
+          </Button>
+        )}
+      </DialogActions>
+    </Dialog>
+  );
+}
+
+export default TaskSplitDialog;
@@ -1,6 +1,7 @@
 // src/components/TeamManagement.js
 import React, { useState, useEffect, useRef, useCallback } from 'react';
 import axios from 'axios';
+import { can } from '../permissions';
 import { useModal } from '../context/ModalContext';
 import NotificationOverlay from './NotificationOverlay';
 import '../index.css';
@@ -33,6 +34,7 @@ function TeamManagement({ user }) {
   const [changesMade, setChangesMade] = useState(false);
   const [editing, setEditing] = useState(false);
   const [employeeChanges, setEmployeeChanges] = useState({});
+  const [roles, setRoles] = useState([]);
   const [selectedEntities, setSelectedEntities] = useState([]);
   const [error, setError] = useState('');
   const [successMessage, setSuccessMessage] = useState('');
@@ -126,10 +128,13 @@ function TeamManagement({ user }) {
   }, [fetchTeams, fetchEmployees, selectedTeam]);
 
   useEffect(() => {
-    if (user?.role === 'admin') {
+    if (can(user, 'teams.manage')) {
       syncWithServer(false);
+      axios.get('/api/roles', getAuthHeaders())
+        .then((res) => setRoles(res.data || []))
+        .catch(() => setRoles([]));
     } else {
-      setError('Access Denied. Only Admins can manage teams.');
+      setError('Access Denied. You need the teams.manage permission.');
       setLoadingTeams(false);
       setLoadingEmployees(false);
     }
@@ -184,9 +189,9 @@ function TeamManagement({ user }) {
     showModal(`Delete employee ${employee.first_name} ${employee.last_name}?`, true, async () => {
       setOperationLoading(true);
       try {
-        await axios.delete(`/api/employees/${employee.employee_id}`, getAuthHeaders());
+        const { data } = await axios.delete(`/api/employees/${employee.employee_id}`, getAuthHeaders());
         await syncWithServer(true);
-        setSuccessMessage('Employee deleted successfully.');
+        setSuccessMessage(data?.message || 'Employee moved to the recycle bin.');
       } catch (err) {
         const errorMessage = err.response?.data?.message || 'Failed to delete employee.';
         setError(errorMessage);
@@ -244,20 +249,18 @@ function TeamManagement({ user }) {
     showModal(`Delete ${selectedEntities.length} selected items?`, true, async () => {
       setOperationLoading(true);
       try {
-        await Promise.all(
-          selectedEntities.map((entity) => {
-            const [type, id] = entity.split(':');
-            return axios.delete(
-              type === 'team' ? `/api/teams/${id}` : `/api/employees/${id}`,
-              getAuthHeaders()
-            );
-          })
-        );
+        // Employees first: a team can only be deleted once it has no members left
+        const ordered = [...selectedEntities].sort((a, b) => a.startsWith('team:') - b.startsWith('team:'));
+        for (const entity of ordered) {
+          const [type, id] = entity.split(':');
+          await axios.delete(type === 'team' ? `/api/teams/${id}` : `/api/employees/${id}`, getAuthHeaders());
+        }
         setSelectedEntities([]);
         await syncWithServer(false);
-        setSuccessMessage('Selected items deleted.');
-      } catch {
-        setError('Bulk delete failed.');
+        setSuccessMessage('Selected items moved to the recycle bin.');
+      } catch (err) {
+        setError(err.response?.data?.message || 'Bulk delete failed.');
+        await syncWithServer(false);
       } finally {
         setOperationLoading(false);
       }
@@ -411,9 +414,9 @@ function TeamManagement({ user }) {
                                   size="small"
                                   fullWidth
                                 >
-                                  <MenuItem value="employee">Employee</MenuItem>
-                                  <MenuItem value="team_lead">Team Lead</MenuItem>
-                                  <MenuItem value="admin">Admin</MenuItem>
+                                  {roles.map((r) => (
+                                    <MenuItem key={r.role_key} value={r.role_key}>{r.role_name}</MenuItem>
+                                  ))}
                                 </Select>
                               ) : (
                                 emp.role
@@ -424,7 +427,7 @@ function TeamManagement({ user }) {
                                 <IconButton
                                   onClick={() => handleRemoveEmployee(emp)}
                                   className="remove-button"
-                                  disabled={emp.email === 'Admin@admin' || operationLoading}
+                                  disabled={emp.employee_id === user?.employee_id || operationLoading}
                                   color="error"
                                   size="small"
                                   aria-label="remove"
@@ -1,6 +1,7 @@
 import React, { useState, useEffect, useRef } from 'react';
 import axios from 'axios';
 import * as XLSX from 'xlsx';
+import { can } from '../permissions';
 import {
   Box, Card, CardHeader, CardContent, CardActions, Grid, FormControl,
   InputLabel, Select, MenuItem, TextField, Button, Typography, Alert,
@@ -17,6 +18,7 @@ function TeamScrumReport({ user }) {
   const [teams, setTeams] = useState([]);
   const [employees, setEmployees] = useState([]);
   const [projects, setProjects] = useState([]);
+  const [activities, setActivities] = useState([]); // whole catalog incl. retired, in display order
   const [error, setError] = useState('');
   const [loading, setLoading] = useState(true);
   const fetchTimeoutRef = useRef(null);
@@ -49,12 +51,14 @@ function TeamScrumReport({ user }) {
           }, 10000);
           fetchTimeoutRef.current = timeout;
 
-          const [tRes, pRes] = await Promise.all([
+          const [tRes, pRes, aRes] = await Promise.all([
             axios.get('/api/teams', getAuthHeaders()),
             axios.get('/api/projects', getAuthHeaders()),
+            axios.get('/api/activities', { ...getAuthHeaders(), params: { includeInactive: true } }),
           ]);
           setTeams(tRes.data || []);
           setProjects(pRes.data || []);
+          setActivities(aRes.data || []);
           if ((tRes.data || []).length > 0 && !saved && !selectedTeamId) {
             setSelectedTeamId(String(tRes.data[0].team_id));
           }
@@ -115,6 +119,7 @@ function TeamScrumReport({ user }) {
     setTeams([]);
     setEmployees([]);
     setProjects([]);
+    setActivities([]);
     setError('');
     localStorage.removeItem('teamScrumReportState');
   };
@@ -126,7 +131,9 @@ function TeamScrumReport({ user }) {
   };
 
   // Range report per employee (matches backend daily.js)
-  // returns { activities: [{report_date, activity_type, hours, comment}], projectEntries: [...] }
+  // returns { activities: [{report_date, activity_type, hours, comment}], projectEntries: [...],
+  //           assignments: [{project_id, project_name, project_role, planned_hours, logged_hours, ...}],
+  //           taskEntries: [{project_id, project_name, task_id, title, status, hours}] }
   const fetchEmployeeRangeReport = async (employeeId) => {
     try {
       const { data } = await axios.get(
@@ -165,6 +172,8 @@ function TeamScrumReport({ user }) {
   };
 
   // ===== Project report (per team sheet; supports employee filter) =====
+  // returns { rows, taskRows }; taskRows break the project hours down by task and are empty
+  // when nobody on the team split their hours across tasks
   const buildProjectRowsForTeam = async (t, employeeIdFilter = 'ALL') => {
     const teamEmployees = await fetchEmployeesForTeam(t.team_id);
     const filteredEmployees =
@@ -172,7 +181,7 @@ function TeamScrumReport({ user }) {
         ? teamEmployees
         : teamEmployees.filter(e => String(e.employee_id) === String(employeeIdFilter));
 
-    if (!filteredEmployees.length) return [{ Note: 'No employees in this team.' }];
+    if (!filteredEmployees.length) return { rows: [{ Note: 'No employees in this team.' }], taskRows: [] };
 
     const reports = await Promise.all(
       filteredEmployees.map(async (emp) => ({
@@ -184,36 +193,54 @@ function TeamScrumReport({ user }) {
     const rowsMap = new Map();
     let hasAnyEntries = false;
 
+    // One row per employee and project, keys in column order
+    const rowFor = (employee, projectId, projectName) => {
+      const key = `${employee.employee_id}::${projectId}`;
+      if (!rowsMap.has(key)) {
+        rowsMap.set(key, {
+          Employee: `${employee.first_name} ${employee.last_name}`,
+          'Employee ID': employee.employee_id,
+          'Project ID': projectId,
+          'Project Name': projectName,
+          Role: '',
+          'Planned Hours': '',
+          'Hours Spent': 0,
+          Variance: '',
+          Comments: new Set(),
+        });
+      }
+      return rowsMap.get(key);
+    };
+
     reports.forEach(({ employee, data }) => {
       const entries = data.projectEntries || [];
       if (entries.length) hasAnyEntries = true;
       entries.forEach((raw) => {
         const e = normalizeEntry(raw);
         if (!e.project_id) return;
-        const key = `${employee.employee_id}::${e.project_id}`;
-
-        if (!rowsMap.has(key)) {
-          rowsMap.set(key, {
-            Employee: `${employee.first_name} ${employee.last_name}`,
-            'Employee ID': employee.employee_id,
-            'Project ID': e.project_id,
-            'Project Name': e.project_name,
-            'Hours Spent': 0,
-            Comments: new Set(),
-          });
-        }
-        const rec = rowsMap.get(key);
+        const rec = rowFor(employee, e.project_id, e.project_name);
         const h = Number(e.employee_project_hours || 0);
         rec['Hours Spent'] += Number.isFinite(h) ? h : 0;
         const c = (e.employee_project_comments || '').toString().trim();
         if (c) rec.Comments.add(c);
       });
+
+      // Assigned projects show up even without logged hours, so gaps are visible
+      (data.assignments || []).forEach((a) => {
+        hasAnyEntries = true;
+        const rec = rowFor(employee, a.project_id, a.project_name);
+        rec.Role = a.project_role || '';
+        if (a.planned_hours != null) rec['Planned Hours'] = Number(a.planned_hours);
+      });
     });
 
-    if (!hasAnyEntries) return [{ Note: 'No project contributions in selected date range.' }];
+    if (!hasAnyEntries) return { rows: [{ Note: 'No project contributions in selected date range.' }], taskRows: [] };
 
+    const round2 = (n) => Math.round(n * 100) / 100;
     let rows = Array.from(rowsMap.values()).map((r) => ({
       ...r,
+      'Hours Spent': round2(r['Hours Spent']),
+      Variance: r['Planned Hours'] === '' ? '' : round2(r['Hours Spent'] - r['Planned Hours']),
       Comments: Array.from(r.Comments || []).join(' | '),
     }));
 
@@ -222,7 +249,35 @@ function TeamScrumReport({ user }) {
         (a.Employee || '').localeCompare(b.Employee || '') ||
         (a['Project ID'] || '').localeCompare(b['Project ID'] || '')
     );
-    return rows;
+
+    // Task rows per employee and project, plus what stayed on the project alone
+    const taskRows = [];
+    reports.forEach(({ employee, data }) => {
+      const taskEntries = data.taskEntries || [];
+      const employeeName = `${employee.first_name} ${employee.last_name}`;
+      [...new Set(taskEntries.map((te) => te.project_id))].forEach((projectId) => {
+        const onTasks = taskEntries.filter((te) => te.project_id === projectId);
+        const base = {
+          Employee: employeeName,
+          'Employee ID': employee.employee_id,
+          'Project ID': projectId,
+          'Project Name': findProjectMeta(projectId)?.project_name ?? onTasks[0].project_name,
+        };
+        onTasks.forEach((te) => {
+          taskRows.push({ ...base, Task: te.title, 'Task Status': te.status, Hours: round2(te.hours) });
+        });
+        const projectHours = rowsMap.get(`${employee.employee_id}::${projectId}`)?.['Hours Spent'] || 0;
+        const notSplit = round2(projectHours - onTasks.reduce((sum, te) => sum + te.hours, 0));
+        if (notSplit > 0) taskRows.push({ ...base, Task: '(not split)', 'Task Status': '', Hours: notSplit });
+      });
+    });
+    taskRows.sort(
+      (a, b) =>
+        a.Employee.localeCompare(b.Employee) ||
+        a['Project ID'].localeCompare(b['Project ID'])
+    );
+
+    return { rows, taskRows };
   };
 
   const exportProjectReport = async () => {
@@ -238,12 +293,16 @@ function TeamScrumReport({ user }) {
     }
 
     for (const t of targetTeams) {
-      const rows = await buildProjectRowsForTeam(
+      const { rows, taskRows } = await buildProjectRowsForTeam(
         t,
         selectedTeamId === 'ALL' ? 'ALL' : selectedEmployeeId // employee filter only when single team view
       );
+      const teamName = t.team_name || `Team_${t.team_id}`;
       const sheet = XLSX.utils.json_to_sheet(rows);
-      XLSX.utils.book_append_sheet(workbook, sheet, sanitizeSheetName(t.team_name || `Team_${t.team_id}`));
+      XLSX.utils.book_append_sheet(workbook, sheet, sanitizeSheetName(teamName));
+      if (taskRows.length) {
+        XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(taskRows), sanitizeSheetName(`Tasks ${teamName}`));
+      }
     }
 
     const suffix =
@@ -255,32 +314,10 @@ function TeamScrumReport({ user }) {
   };
 
   // ===== Utilization report (one sheet per team, ONLY from daily_entry_utilization) =====
-  // Exact order you specified (compulsory columns):
-  const ACTIVITY_LABELS = [
-    'Leave','Misc','Meeting','Method development','Correlation','Projects',
-    'Supervision','Trainer','CPM','Application','Trainee','Software',
-  ];
-
-  // Normalize backend activity strings to our labels
-  const normalizeActivityLabel = (raw) => {
-    if (!raw) return null;
-    const s = String(raw).trim().toLowerCase();
-    switch (s) {
-      case 'leave': return 'Leave';
-      case 'misc': return 'Misc';
-      case 'meeting': return 'Meeting';
-      case 'method development': return 'Method development';
-      case 'correlation': return 'Correlation';
-      case 'projects': return 'Projects'; // from daily utilization "Projects" only
-      case 'supervision': return 'Supervision';
-      case 'trainer': return 'Trainer';
-      case 'cpm': return 'CPM';
-      case 'application': return 'Application';
-      case 'trainee': return 'Trainee';
-      case 'software': return 'Software';
-      default: return null; // ignore any other/free-text activities
-    }
-  };
+  // One column per catalog activity in its sort order. Retired activities only get a
+  // column when somebody on the sheet logged hours against them in the range.
+  const activityColumns = (usedCodes) =>
+    activities.filter((a) => a.is_active || usedCodes.has(a.activity_code));
 
   const buildUtilizationSheetForTeam = async (teamId, employeeIdFilter = 'ALL') => {
     const teamEmployees = await fetchEmployeesForTeam(teamId);
@@ -289,53 +326,45 @@ function TeamScrumReport({ user }) {
         ? teamEmployees
         : teamEmployees.filter(e => String(e.employee_id) === String(employeeIdFilter));
 
-    const rows = [];
-
     if (!filteredEmployees.length) {
-      const header = ['Employee', ...ACTIVITY_LABELS, 'Total'];
-      const ws = XLSX.utils.aoa_to_sheet([header, ['—', ...ACTIVITY_LABELS.map(() => 0), 0]]);
+      const labels = activityColumns(new Set()).map(a => a.label);
+      const header = ['Employee', ...labels, 'Total'];
+      const ws = XLSX.utils.aoa_to_sheet([header, ['—', ...labels.map(() => 0), 0]]);
       return ws;
     }
 
     // For each employee, pull ONLY daily_entry_utilization from the range endpoint
+    const reports = [];
+    const usedCodes = new Set();
     for (const emp of filteredEmployees) {
-      const { activities } = await fetchEmployeeRangeReport(emp.employee_id);
+      const { activities: entries } = await fetchEmployeeRangeReport(emp.employee_id);
+      (entries || []).forEach(a => usedCodes.add(a.activity_code));
+      reports.push({ emp, entries: entries || [] });
+    }
+    const columns = activityColumns(usedCodes);
 
-      // seed zeros for every compulsory header
+    const rows = reports.map(({ emp, entries }) => {
+      // seed zeros for every column, then sum hours by activity code
       const agg = {};
-      ACTIVITY_LABELS.forEach(lbl => { agg[lbl] = 0; });
-
-      // sum hours by normalized activity label
-      for (const a of (activities || [])) {
-        const lbl = normalizeActivityLabel(a.activity_type);
-        if (!lbl) continue;
+      columns.forEach(a => { agg[a.activity_code] = 0; });
+      for (const a of entries) {
+        if (!(a.activity_code in agg)) continue;
         const h = Number(a.hours || 0);
-        if (Number.isFinite(h)) agg[lbl] += h;
+        if (Number.isFinite(h)) agg[a.activity_code] += h;
       }
 
       // Round to 2 decimals and compute Total
-      ACTIVITY_LABELS.forEach(lbl => { agg[lbl] = Number(Number(agg[lbl]).toFixed(2)); });
-      const total = Number(
-        ACTIVITY_LABELS.reduce((s, lbl) => s + Number(agg[lbl] || 0), 0).toFixed(2)
-      );
-
-      rows.push({
-        Employee: `${emp.first_name || ''} ${emp.last_name || ''}`.trim() || `Emp ${emp.employee_id}`,
-        ...agg,
-        Total: total,
-      });
-    }
+      const values = columns.map(a => Number(Number(agg[a.activity_code]).toFixed(2)));
+      const total = Number(values.reduce((sum, h) => sum + h, 0).toFixed(2));
+      const name = `${emp.first_name || ''} ${emp.last_name || ''}`.trim() || `Emp ${emp.employee_id}`;
+      return [name, ...values, total];
+    });
 
     // Sort by employee for readability
-    rows.sort((a, b) => (a.Employee || '').localeCompare(b.Employee || ''));
-
-    const header = ['Employee', ...ACTIVITY_LABELS, 'Total'];
-    const wsData = [
-      header,
-      ...rows.map(r => header.map(h => r[h] ?? (h === 'Employee' ? '—' : 0))),
-    ];
+    rows.sort((a, b) => (a[0] || '').localeCompare(b[0] || ''));
 
-    return XLSX.utils.aoa_to_sheet(wsData);
+    const header = ['Employee', ...columns.map(a => a.label), 'Total'];
+    return XLSX.utils.aoa_to_sheet([header, ...rows]);
   };
 
   const exportUtilizationReport = async () => {
@@ -393,10 +422,10 @@ function TeamScrumReport({ user }) {
   };
 
   // ===== Role guard & UI =====
-  if (!user || !['admin', 'team_lead'].includes(user.role)) {
+  if (!can(user, 'reports.view')) {
     return (
       <Box sx={{ p: 4 }}>
-        <Alert severity="error" variant="outlined">Access denied. Admins and Team Leads only.</Alert>
+        <Alert severity="error" variant="outlined">Access denied. You need the reports.view permission.</Alert>
       </Box>
     );
   }
@@ -425,7 +454,7 @@ function TeamScrumReport({ user }) {
                     value={reportType}
                     onChange={(e) => setReportType(e.target.value)}
                   >
-                    <MenuItem value="project">Project report (sheet per team)</MenuItem>
+                    <MenuItem value="project">Project report with planned vs logged hours and task breakdown (sheets per team)</MenuItem>
                     <MenuItem value="utilization">Utilization summary (sheet per team)</MenuItem>
                   </Select>
                 </FormControl>
@@ -498,7 +527,7 @@ function TeamScrumReport({ user }) {
             <Button
               variant="contained" size="large"
               startIcon={loading ? <CircularProgress size={18} /> : <DownloadOutlinedIcon />}
-              onClick={handleExport} disabled={loading}
+              onClick={handleExport} disabled={loading || !can(user, 'reports.export')}
               sx={{ textTransform: 'none', borderRadius: 2, fontWeight: 700 }}
             >
               {loading ? 'Preparing…' : 'Export to Excel'}
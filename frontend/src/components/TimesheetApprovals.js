@@ -0,0 +1,361 @@
+import React, { useCallback, useEffect, useMemo, useState } from 'react';
+import axios from 'axios';
+import { can, ADMIN_ROLE } from '../permissions';
+import { weekStartOf, TIMESHEET_STATUS_COLORS } from '../timesheets';
+import {
+  Box, Paper, Typography, Stack, Button, Alert, CircularProgress, Chip, IconButton, Tooltip,
+  Table, TableHead, TableRow, TableCell, TableBody, TableContainer, Collapse,
+  Dialog, DialogTitle, DialogContent, DialogActions, TextField, MenuItem
+} from '@mui/material';
+import RefreshIcon from '@mui/icons-material/Refresh';
+import CheckIcon from '@mui/icons-material/Check';
+import CloseIcon from '@mui/icons-material/Close';
+import LockOpenIcon from '@mui/icons-material/LockOpen';
+import KeyboardArrowDownIcon from '@mui/icons-material/KeyboardArrowDown';
+import KeyboardArrowUpIcon from '@mui/icons-material/KeyboardArrowUp';
+
+const WEEKDAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+
+// Review actions that send a week back to the employee with a required comment
+const RETURN_ACTIONS = {
+  reject: {
+    title: 'Reject timesheet',
+    hint: 'The employee sees your comment and can correct and resubmit the week.',
+    button: 'Reject',
+    busy: 'Rejecting…',
+    done: (t) => `Returned the week of ${t.week_start} to ${t.first_name} ${t.last_name}.`,
+    failed: 'Failed to reject timesheet.',
+  },
+  reopen: {
+    title: 'Reopen timesheet',
+    hint: 'The approval is withdrawn and the week goes back to draft: its entries can change again and it has to be resubmitted.',
+    button: 'Reopen',
+    busy: 'Reopening…',
+    done: (t) => `Reopened the week of ${t.week_start} for ${t.first_name} ${t.last_name}.`,
+    failed: 'Failed to reopen timesheet.',
+  },
+};
+
+const fmtDateTime = (v) => (v ? new Date(v).toLocaleString() : '—');
+const rowKey = (t) => `${t.employee_id}/${t.week_start}`;
+
+// Day-by-day breakdown of one employee-week
+function WeekDetail({ employeeId, weekStart, authHeaders }) {
+  const [detail, setDetail] = useState(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    axios.get(`/api/timesheets/${employeeId}/${weekStart}`, { ...authHeaders, skipErrorModal: true })
+      .then(({ data }) => setDetail(data))
+      .catch((err) => setError(err.response?.data?.message || 'Failed to load the week.'));
+  }, [employeeId, weekStart, authHeaders]);
+
+  if (error) return <Alert severity="error" sx={{ my: 1 }}>{error}</Alert>;
+  if (!detail) return <Box sx={{ p: 2, textAlign: 'center' }}><CircularProgress size={20} /></Box>;
+
+  return (
+    <Table size="small" sx={{ my: 1 }}>
+      <TableHead>
+        <TableRow>
+          <TableCell>Day</TableCell>
+          <TableCell>Activities</TableCell>
+          <TableCell>Projects</TableCell>
+          <TableCell align="right">Hours</TableCell>
+        </TableRow>
+      </TableHead>
+      <TableBody>
+        {detail.days.map((d, i) => (
+          <TableRow key={d.date}>
+            <TableCell sx={{ whiteSpace: 'nowrap', verticalAlign: 'top' }}>
+              {WEEKDAYS[i]} {d.date}
+              {d.holiday && <Typography variant="caption" color="secondary" display="block">{d.holiday}</Typography>}
+            </TableCell>
+            <TableCell sx={{ verticalAlign: 'top' }}>
+              {d.activities.length ? d.activities.map((a) => (
+                <Typography key={a.activity} variant="body2">
+                  {a.activity_label || a.activity}: {a.hours} h
+                  {a.comments && <Typography component="span" variant="caption" color="text.secondary"> — {a.comments}</Typography>}
+                </Typography>
+              )) : <Typography variant="caption" color="text.secondary">—</Typography>}
+            </TableCell>
+            <TableCell sx={{ verticalAlign: 'top' }}>
+              {d.projects.length ? d.projects.map((p) => (
+                <Typography key={p.project_id} variant="body2">
+                  {p.project_name || p.project_id} ({p.project_id}): {p.hours} h
+                  {p.comments && <Typography component="span" variant="caption" color="text.secondary"> — {p.comments}</Typography>}
+                </Typography>
+              )) : <Typography variant="caption" color="text.secondary">—</Typography>}
+            </TableCell>
+            <TableCell align="right" sx={{ verticalAlign: 'top', fontWeight: 600 }}>{d.total_hours}</TableCell>
+          </TableRow>
+        ))}
+      </TableBody>
+    </Table>
+  );
+}
+
+// Approval queue: submitted weeks of the reviewer's team (or every team with entries.view_all)
+function TimesheetApprovals({ user }) {
+  const canReview = can(user, 'timesheets.approve');
+  const allTeams = can(user, 'entries.view_all');
+
+  const [filters, setFilters] = useState({ status: 'submitted', teamId: '', weekStart: '' });
+  const [teams, setTeams] = useState([]);
+  const [timesheets, setTimesheets] = useState([]);
+  const [expanded, setExpanded] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  // returning: { timesheet, action } of the open reject / reopen dialog
+  const [returning, setReturning] = useState(null);
+  const [comment, setComment] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const authHeaders = useMemo(
+    () => ({ headers: { Authorization: `Bearer ${localStorage.getItem('token')}` } }),
+    []
+  );
+
+  const fetchQueue = useCallback(async () => {
+    setLoading(true);
+    setError('');
+    try {
+      const params = Object.fromEntries(Object.entries(filters).filter(([, v]) => v !== ''));
+      const { data } = await axios.get('/api/timesheets/queue', { ...authHeaders, params, skipErrorModal: true });
+      setTimesheets(data || []);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to fetch timesheets.');
+      setTimesheets([]);
+    } finally {
+      setLoading(false);
+    }
+  }, [filters, authHeaders]);
+
+  useEffect(() => {
+    if (canReview) fetchQueue();
+  }, [canReview, fetchQueue]);
+
+  useEffect(() => {
+    if (canReview && allTeams) {
+      axios.get('/api/teams', authHeaders).then(({ data }) => setTeams(data || [])).catch(() => setTeams([]));
+    }
+  }, [canReview, allTeams, authHeaders]);
+
+  const setFilter = (field) => (e) => setFilters((prev) => ({ ...prev, [field]: e.target.value }));
+  // Any day picks its week
+  const setWeekFilter = (e) => setFilters((prev) => ({ ...prev, weekStart: e.target.value ? weekStartOf(e.target.value) : '' }));
+
+  const approve = async (t) => {
+    setError('');
+    try {
+      await axios.post(`/api/timesheets/${t.employee_id}/${t.week_start}/approve`, {}, { ...authHeaders, skipErrorModal: true });
+      setSuccess(`Approved the week of ${t.week_start} for ${t.first_name} ${t.last_name}.`);
+      fetchQueue();
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to approve timesheet.');
+    }
+  };
+
+  const openReturn = (timesheet, action) => {
+    setComment('');
+    setReturning({ timesheet, action });
+  };
+
+  const sendBack = async () => {
+    const { timesheet: t, action } = returning;
+    setSaving(true);
+    setError('');
+    try {
+      await axios.post(
+        `/api/timesheets/${t.employee_id}/${t.week_start}/${action}`,
+        { comment },
+        { ...authHeaders, skipErrorModal: true }
+      );
+      setSuccess(RETURN_ACTIONS[action].done(t));
+      setReturning(null);
+      fetchQueue();
+    } catch (err) {
+      setError(err.response?.data?.message || RETURN_ACTIONS[action].failed);
+    } finally {
+      setSaving(false);
+    }
+  };
+  const returnAction = returning && RETURN_ACTIONS[returning.action];
+
+  if (!canReview) {
+    return (
+      <Box sx={{ p: 4 }}>
+        <Alert severity="error">Access Denied: you need the timesheets.approve permission.</Alert>
+      </Box>
+    );
+  }
+
+  // Mirrors the API: only admins may review their own week
+  const isOwn = (t) => String(t.employee_id) === String(user.employee_id) && user.role !== ADMIN_ROLE;
+
+  return (
+    <Box sx={{ p: 3 }}>
+      <Stack direction="row" alignItems="center" justifyContent="space-between" sx={{ mb: 2 }}>
+        <Typography variant="h5" sx={{ fontWeight: 700 }}>Timesheet Approvals</Typography>
+        <Tooltip title="Refresh">
+          <span>
+            <IconButton onClick={fetchQueue} disabled={loading}><RefreshIcon /></IconButton>
+          </span>
+        </Tooltip>
+      </Stack>
+
+      <Stack direction="row" spacing={2} sx={{ mb: 2 }}>
+        <TextField select size="small" label="Status" value={filters.status} onChange={setFilter('status')} sx={{ width: 160 }}>
+          <MenuItem value="submitted">Submitted</MenuItem>
+          <MenuItem value="approved">Approved</MenuItem>
+          <MenuItem value="rejected">Rejected</MenuItem>
+        </TextField>
+        {allTeams && (
+          <TextField select size="small" label="Team" value={filters.teamId} onChange={setFilter('teamId')} sx={{ width: 220 }}>
+            <MenuItem value="">All teams</MenuItem>
+            {teams.map((t) => <MenuItem key={t.team_id} value={String(t.team_id)}>{t.team_name}</MenuItem>)}
+          </TextField>
+        )}
+        <TextField
+          size="small" type="date" label="Week of"
+          value={filters.weekStart} onChange={setWeekFilter}
+          InputLabelProps={{ shrink: true }} sx={{ width: 200 }}
+        />
+      </Stack>
+
+      {error && <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError('')}>{error}</Alert>}
+      {success && <Alert severity="success" sx={{ mb: 2 }} onClose={() => setSuccess('')}>{success}</Alert>}
+
+      <Paper elevation={2} sx={{ borderRadius: 3 }}>
+        <TableContainer>
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell sx={{ width: 40 }} />
+                <TableCell>Employee</TableCell>
+                <TableCell>Team</TableCell>
+                <TableCell>Week</TableCell>
+                <TableCell align="right">Utilization h</TableCell>
+                <TableCell align="right">Project h</TableCell>
+                <TableCell align="right">Total h</TableCell>
+                <TableCell>Submitted</TableCell>
+                <TableCell>Status</TableCell>
+                <TableCell align="right">Actions</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {loading ? (
+                <TableRow>
+                  <TableCell colSpan={10} align="center"><CircularProgress size={24} /></TableCell>
+                </TableRow>
+              ) : timesheets.length === 0 ? (
+                <TableRow>
+                  <TableCell colSpan={10} align="center">No timesheets to show.</TableCell>
+                </TableRow>
+              ) : timesheets.map((t) => {
+                const key = rowKey(t);
+                const open = expanded === key;
+                return (
+                  <React.Fragment key={key}>
+                    <TableRow hover>
+                      <TableCell>
+                        <IconButton size="small" onClick={() => setExpanded(open ? null : key)}>
+                          {open ? <KeyboardArrowUpIcon fontSize="small" /> : <KeyboardArrowDownIcon fontSize="small" />}
+                        </IconButton>
+                      </TableCell>
+                      <TableCell>{t.first_name} {t.last_name}</TableCell>
+                      <TableCell>{t.team_name || '—'}</TableCell>
+                      <TableCell sx={{ whiteSpace: 'nowrap' }}>{t.week_start}</TableCell>
+                      <TableCell align="right">{t.utilization_hours}</TableCell>
+                      <TableCell align="right">{t.project_hours}</TableCell>
+                      <TableCell align="right" sx={{ fontWeight: 600 }}>{t.total_hours}</TableCell>
+                      <TableCell sx={{ whiteSpace: 'nowrap' }}>{fmtDateTime(t.submitted_at)}</TableCell>
+                      <TableCell>
+                        <Chip size="small" label={t.status} color={TIMESHEET_STATUS_COLORS[t.status]} />
+                        {t.review_comment && (
+                          <Typography variant="caption" color="text.secondary" display="block">{t.review_comment}</Typography>
+                        )}
+                      </TableCell>
+                      <TableCell align="right" sx={{ whiteSpace: 'nowrap' }}>
+                        {t.status === 'submitted' && (
+                          <>
+                            <Tooltip title={isOwn(t) ? 'You cannot review your own timesheet' : 'Approve'}>
+                              <span>
+                                <IconButton size="small" color="success" disabled={isOwn(t)} onClick={() => approve(t)}>
+                                  <CheckIcon fontSize="small" />
+                                </IconButton>
+                              </span>
+                            </Tooltip>
+                            <Tooltip title={isOwn(t) ? 'You cannot review your own timesheet' : 'Reject'}>
+                              <span>
+                                <IconButton size="small" color="error" disabled={isOwn(t)} onClick={() => openReturn(t, 'reject')}>
+                                  <CloseIcon fontSize="small" />
+                                </IconButton>
+                              </span>
+                            </Tooltip>
+                          </>
+                        )}
+                        {t.status === 'approved' && (
+                          <Tooltip title={isOwn(t) ? 'You cannot reopen your own timesheet' : 'Reopen'}>
+                            <span>
+                              <IconButton size="small" color="warning" disabled={isOwn(t)} onClick={() => openReturn(t, 'reopen')}>
+                                <LockOpenIcon fontSize="small" />
+                              </IconButton>
+                            </span>
+                          </Tooltip>
+                        )}
+                      </TableCell>
+                    </TableRow>
+                    <TableRow>
+                      <TableCell colSpan={10} sx={{ py: 0, borderBottom: open ? undefined : 'none' }}>
+                        <Collapse in={open} unmountOnExit>
+                          <WeekDetail employeeId={t.employee_id} weekStart={t.week_start} authHeaders={authHeaders} />
+                        </Collapse>
+                      </TableCell>
+                    </TableRow>
+                  </React.Fragment>
+                );
+              })}
+            </TableBody>
+          </Table>
+        </TableContainer>
+      </Paper>
+
+      <Dialog open={!!returning} onClose={() => !saving && setReturning(null)} maxWidth="sm" fullWidth>
+        <DialogTitle>{returnAction?.title}</DialogTitle>
+        <DialogContent dividers>
+          {returning && (
+            <Typography variant="body2" sx={{ mb: 2 }}>
+              {returning.timesheet.first_name} {returning.timesheet.last_name}, week of {returning.timesheet.week_start}.{' '}
+              {returnAction.hint}
+            </Typography>
+          )}
+          <TextField
+            label="Comment"
+            value={comment}
+            onChange={(e) => setComment(e.target.value)}
+            multiline
+            minRows={3}
+            fullWidth
+            required
+            autoFocus
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setReturning(null)} disabled={saving}>Cancel</Button>
+          <Button
+            variant="contained"
+            color={returning?.action === 'reopen' ? 'warning' : 'error'}
+            onClick={sendBack}
+            disabled={saving || !comment.trim()}
+          >
+            {saving ? returnAction?.busy : returnAction?.button}
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Box>
+  );
+}
+
+export default TimesheetApprovals;
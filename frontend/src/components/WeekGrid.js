@@ -0,0 +1,289 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import axios from 'axios';
+import { fieldErrors } from '../validation';
+import { addDays } from '../timesheets';
+import {
+  Stack, Box, Table, TableHead, TableRow, TableCell, TableBody, TextField, Select, MenuItem,
+  Button, IconButton, Tooltip, Typography, Alert, Autocomplete
+} from '@mui/material';
+import AddCircleOutlineIcon from '@mui/icons-material/AddCircleOutline';
+import DeleteOutlineIcon from '@mui/icons-material/DeleteOutline';
+import SaveIcon from '@mui/icons-material/Save';
+import LockOutlinedIcon from '@mui/icons-material/LockOutlined';
+
+const DAY_NAMES = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+
+const round2 = (n) => Math.round(n * 100) / 100;
+const cellHours = (v) => Number(v) || 0;
+const sum = (values) => round2(values.reduce((total, v) => total + cellHours(v), 0));
+
+// Grid rows from GET /api/timesheets/:employeeId/:weekStart, one hours cell per day.
+// Activity cells written by an approved leave request remember it, so they stay read-only.
+const rowsFromWeek = (week) => {
+  const activities = [];
+  const projects = [];
+  (week?.days || []).forEach((day, dayIdx) => {
+    day.activities.forEach((a) => {
+      let row = activities.find((r) => r.activity === a.activity);
+      if (!row) {
+        row = { activity: a.activity, label: a.activity_label || a.activity, hours: Array(7).fill(''), leave: Array(7).fill(null) };
+        activities.push(row);
+      }
+      row.hours[dayIdx] = a.hours ? String(a.hours) : '';
+      row.leave[dayIdx] = a.leave_request_id || null;
+    });
+    day.projects.forEach((p) => {
+      let row = projects.find((r) => r.project_id === p.project_id);
+      if (!row) {
+        row = { project_id: p.project_id, project_name: p.project_name, hours: Array(7).fill('') };
+        projects.push(row);
+      }
+      row.hours[dayIdx] = p.hours ? String(p.hours) : '';
+    });
+  });
+  return { activities, projects };
+};
+
+// Splits "activities.<row>.hours.<day>" style paths into per-cell, per-row and per-day messages
+const gridErrors = (fields) => {
+  const out = { cells: {}, rows: {}, days: {}, general: [] };
+  Object.entries(fields || {}).forEach(([path, message]) => {
+    const [head, index, field, day] = path.split('.');
+    if (head === 'days' && index !== undefined) out.days[index] = message;
+    else if (field === 'hours' && day !== undefined) out.cells[`${head}.${index}.${day}`] = message;
+    else if (index !== undefined) out.rows[`${head}.${index}`] = message;
+    else out.general.push(message);
+  });
+  return out;
+};
+
+// Mon–Sun grid of one employee-week: activity and project rows with row and day totals,
+// saved as a whole through PUT /api/employee/:employeeId/week-entries/:weekStart.
+// lockedDays: { [YYYY-MM-DD]: reason } for days whose entries are read-only.
+function WeekGrid({ employeeId, weekStart, week, activities, allProjects, lockedDays, hoursPolicy, onSaved, onToast }) {
+  const [rows, setRows] = useState({ activities: [], projects: [] });
+  const [dirty, setDirty] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [errors, setErrors] = useState(gridErrors(null));
+  const [newActivity, setNewActivity] = useState('');
+  const [newProject, setNewProject] = useState(null);
+
+  useEffect(() => {
+    setRows(rowsFromWeek(week));
+    setDirty(false);
+    setErrors(gridErrors(null));
+  }, [week]);
+
+  const days = useMemo(() => Array.from({ length: 7 }, (_, i) => addDays(weekStart, i)), [weekStart]);
+  const holidays = useMemo(
+    () => Object.fromEntries((week?.days || []).filter((d) => d.holiday).map((d) => [d.date, d.holiday])),
+    [week]
+  );
+
+  const dayTotals = days.map((_, dayIdx) =>
+    round2(sum(rows.activities.map((r) => r.hours[dayIdx])) + sum(rows.projects.map((r) => r.hours[dayIdx]))));
+  const weekTotal = round2(dayTotals.reduce((total, h) => total + h, 0));
+
+  const edit = (list, rowIdx, dayIdx, value) => {
+    setRows((prev) => ({
+      ...prev,
+      [list]: prev[list].map((r, i) => (i === rowIdx ? { ...r, hours: r.hours.map((h, d) => (d === dayIdx ? value : h)) } : r)),
+    }));
+    setErrors((prev) => ({ ...prev, cells: { ...prev.cells, [`${list}.${rowIdx}.${dayIdx}`]: undefined } }));
+    setDirty(true);
+  };
+
+  // Row indexes shift on removal, so stale per-row errors are dropped with it
+  const removeRow = (list, rowIdx) => {
+    setRows((prev) => ({ ...prev, [list]: prev[list].filter((_, i) => i !== rowIdx) }));
+    setErrors(gridErrors(null));
+    setDirty(true);
+  };
+
+  const addActivityRow = () => {
+    const a = activities.find((x) => x.activity_code === newActivity);
+    if (!a) return;
+    setRows((prev) => ({
+      ...prev,
+      activities: [...prev.activities, { activity: a.activity_code, label: a.label, hours: Array(7).fill(''), leave: Array(7).fill(null) }],
+    }));
+    setNewActivity('');
+    setDirty(true);
+  };
+
+  const addProjectRow = () => {
+    if (!newProject) return;
+    setRows((prev) => ({
+      ...prev,
+      projects: [...prev.projects, { project_id: newProject.project_id, project_name: newProject.project_name, hours: Array(7).fill('') }],
+    }));
+    setNewProject(null);
+    setDirty(true);
+  };
+
+  const save = async () => {
+    setSaving(true);
+    setErrors(gridErrors(null));
+    try {
+      const { data } = await axios.put(
+        `/api/employee/${employeeId}/week-entries/${weekStart}`,
+        {
+          activities: rows.activities.map((r) => ({ activity: r.activity, hours: r.hours.map(cellHours) })),
+          projects: rows.projects.map((r) => ({ projectId: r.project_id, hours: r.hours.map(cellHours) })),
+        },
+        { headers: { Authorization: `Bearer ${localStorage.getItem('token')}` }, skipErrorModal: true }
+      );
+      onToast({
+        open: true,
+        severity: data.warnings?.length ? 'warning' : 'success',
+        msg: [data.message, ...(data.warnings || [])].join(' '),
+      });
+      onSaved();
+    } catch (err) {
+      const fields = fieldErrors(err);
+      if (fields) setErrors(gridErrors(fields));
+      onToast({ open: true, severity: 'error', msg: err?.response?.data?.message || 'Failed to save the week.' });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const usedActivities = new Set(rows.activities.map((r) => r.activity));
+  const usedProjects = new Set(rows.projects.map((r) => r.project_id));
+  const projectOptions = allProjects
+    .filter((p) => !usedProjects.has(p.project_id))
+    .map((p) => ({ project_id: p.project_id, project_name: p.project_name, label: `${p.project_name} (${p.project_id})` }));
+
+  const dayTotalColor = (hours) =>
+    hours > hoursPolicy.maxHoursPerDay ? 'error.main' : hours > hoursPolicy.expectedHoursPerDay ? 'warning.main' : 'text.primary';
+
+  const renderRow = (list, row, rowIdx, title) => {
+    const rowError = errors.rows[`${list}.${rowIdx}`];
+    const hasLeave = row.leave?.some(Boolean);
+    return (
+      <TableRow key={`${list}-${row.activity || row.project_id}`} hover>
+        <TableCell>
+          <Typography variant="body2" noWrap title={title}>{title}</Typography>
+          {rowError && <Typography variant="caption" color="error" display="block">{rowError}</Typography>}
+        </TableCell>
+        {days.map((day, dayIdx) => {
+          const cellError = errors.cells[`${list}.${rowIdx}.${dayIdx}`];
+          const leaveId = row.leave?.[dayIdx];
+          const cell = (
+            <TextField
+              size="small" type="number" value={row.hours[dayIdx]} className="cell-input"
+              disabled={!!lockedDays[day] || !!leaveId}
+              onChange={(e) => edit(list, rowIdx, dayIdx, e.target.value)}
+              error={!!cellError}
+              inputProps={{ step: '0.1', min: '0', style: { textAlign: 'right' } }}
+            />
+          );
+          return (
+            <TableCell key={day} align="right">
+              {cellError || leaveId
+                ? <Tooltip title={cellError || `Approved leave request #${leaveId}`}><span>{cell}</span></Tooltip>
+                : cell}
+            </TableCell>
+          );
+        })}
+        <TableCell align="right"><strong>{sum(row.hours)}</strong></TableCell>
+        <TableCell align="right">
+          <IconButton size="small" color="error" onClick={() => removeRow(list, rowIdx)}
+                      disabled={hasLeave || days.some((d, i) => lockedDays[d] && cellHours(row.hours[i]))}>
+            <DeleteOutlineIcon fontSize="small" />
+          </IconButton>
+        </TableCell>
+      </TableRow>
+    );
+  };
+
+  const sectionRow = (label) => (
+    <TableRow>
+      <TableCell colSpan={10} sx={{ bgcolor: 'action.selected', fontWeight: 600 }}>{label}</TableCell>
+    </TableRow>
+  );
+
+  return (
+    <>
+      {errors.general.map((msg) => <Alert key={msg} severity="error" sx={{ mb: 1 }}>{msg}</Alert>)}
+      <Table size="small" stickyHeader sx={{ tableLayout: 'fixed' }}>
+        <TableHead>
+          <TableRow>
+            <TableCell sx={{ width: 260 }}>Activity / project</TableCell>
+            {days.map((day, i) => (
+              <TableCell key={day} align="right" sx={{ width: 110 }}>
+                <Stack direction="row" alignItems="center" justifyContent="flex-end" spacing={0.5}>
+                  {lockedDays[day] && (
+                    <Tooltip title={lockedDays[day]}><LockOutlinedIcon fontSize="inherit" color="action" /></Tooltip>
+                  )}
+                  <span>{DAY_NAMES[i]} {day.slice(5)}</span>
+                </Stack>
+                {holidays[day] && (
+                  <Typography variant="caption" color="secondary" display="block" noWrap title={holidays[day]}>
+                    {holidays[day]}
+                  </Typography>
+                )}
+              </TableCell>
+            ))}
+            <TableCell align="right" sx={{ width: 80 }}>Total</TableCell>
+            <TableCell sx={{ width: 56 }} />
+          </TableRow>
+        </TableHead>
+        <TableBody>
+          {sectionRow('Activities')}
+          {rows.activities.map((row, idx) => renderRow('activities', row, idx, row.label))}
+          {sectionRow('Projects')}
+          {rows.projects.map((row, idx) =>
+            renderRow('projects', row, idx, `${row.project_name || row.project_id} (${row.project_id})`))}
+          <TableRow>
+            <TableCell><strong>Day total</strong></TableCell>
+            {dayTotals.map((hours, i) => (
+              <TableCell key={days[i]} align="right">
+                <Tooltip title={errors.days[i] || ''}>
+                  <Typography variant="body2" fontWeight={700} color={errors.days[i] ? 'error.main' : dayTotalColor(hours)}>
+                    {hours}
+                  </Typography>
+                </Tooltip>
+              </TableCell>
+            ))}
+            <TableCell align="right"><strong>{weekTotal}</strong></TableCell>
+            <TableCell />
+          </TableRow>
+        </TableBody>
+      </Table>
+
+      <Stack direction="row" alignItems="center" spacing={1} sx={{ mt: 1.5 }}>
+        <Select size="small" displayEmpty value={newActivity} onChange={(e) => setNewActivity(e.target.value)} sx={{ width: 220 }}>
+          <MenuItem value=""><em>Select Activity</em></MenuItem>
+          {activities.filter((a) => !usedActivities.has(a.activity_code)).map((a) => (
+            <MenuItem key={a.activity_code} value={a.activity_code}>{a.label}</MenuItem>
+          ))}
+        </Select>
+        <Button size="small" variant="outlined" startIcon={<AddCircleOutlineIcon />} onClick={addActivityRow} disabled={!newActivity}>
+          Add Activity
+        </Button>
+        <Autocomplete
+          size="small"
+          options={projectOptions}
+          value={newProject}
+          onChange={(_, val) => setNewProject(val)}
+          isOptionEqualToValue={(a, b) => a.project_id === b.project_id}
+          renderInput={(params) => <TextField {...params} placeholder="Search project by name / id" />}
+          sx={{ width: 300 }}
+        />
+        <Button size="small" variant="outlined" startIcon={<AddCircleOutlineIcon />} onClick={addProjectRow} disabled={!newProject}>
+          Add Project
+        </Button>
+        <Box sx={{ flexGrow: 1 }} />
+        <Typography variant="caption" color="text.secondary">
+          A blank activity cell removes the entry for that day; a blank project cell keeps the project row at 0 h.
+        </Typography>
+        <Button variant="contained" size="small" startIcon={<SaveIcon />} onClick={save} disabled={saving || !dirty}>
+          {saving ? 'Saving…' : 'Save Week'}
+        </Button>
+      </Stack>
+    </>
+  );
+}
+
+export default WeekGrid;
@@ -0,0 +1,12 @@
+// permissions.js
+// Client-side mirror of backend/utils/permissions.js, used to show or hide UI.
+// The token's permission list is only a hint: the API re-checks every request.
+export const ADMIN_ROLE = 'admin';
+
+// True when the user holds at least one of the given permissions
+export const can = (user, ...permissions) => {
+  if (!user) return false;
+  if (user.role === ADMIN_ROLE) return true;
+  const granted = user.permissions || [];
+  return permissions.some((p) => granted.includes(p));
+};
@@ -0,0 +1,13 @@
+// Weekly timesheets: weeks run Monday to Sunday and are addressed by their Monday,
+// the same rule as backend/utils/timesheets.js.
+
+export const addDays = (ymd, days) => {
+  const d = new Date(`${ymd}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0, 10);
+};
+
+// Monday of the week containing a YYYY-MM-DD day
+export const weekStartOf = (ymd) => addDays(ymd, -((new Date(`${ymd}T00:00:00Z`).getUTCDay() + 6) % 7));
+
+export const TIMESHEET_STATUS_COLORS = { draft: 'default', submitted: 'info', approved: 'success', rejected: 'error' };
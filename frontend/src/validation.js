@@ -0,0 +1,30 @@
+// Field-level errors from the API's validation failures:
+//   400 { message, code: 'VALIDATION_ERROR', errors: [{ location, field, message }] }
+// `field` is a dotted path inside the body/query/params, e.g. "activities.2.hours".
+
+export const isValidationError = (err) => err?.response?.data?.code === 'VALIDATION_ERROR';
+
+// { [field]: message } keeping the first message per field, or null for any other error
+export const fieldErrors = (err) => {
+  if (!isValidationError(err)) return null;
+  const out = {};
+  (err.response.data.errors || []).forEach(({ field, message }) => {
+    if (!(field in out)) out[field] = message;
+  });
+  return out;
+};
+
+// Groups "<list>.<index>.<field>" errors by row: { [rowKey(index)]: { [field]: message } }.
+// Errors about the whole item (e.g. a duplicate) land under `_row`.
+export const rowFieldErrors = (fields, list, rowKey) => {
+  const out = {};
+  Object.entries(fields || {}).forEach(([path, message]) => {
+    const [head, index, ...rest] = path.split('.');
+    if (head !== list || index === undefined) return;
+    const key = rowKey(Number(index));
+    if (key === undefined) return;
+    const field = rest.join('.') || '_row';
+    out[key] = { ...out[key], [field]: out[key]?.[field] || message };
+  });
+  return out;
+};